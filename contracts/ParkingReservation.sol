@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
+import { IERC20, IERC20Permit } from "./interfaces/IERC20Permit.sol";
+
 /**
  * @title ParkingReservation
  * @notice Simplified parking reservation system (without FHE for actual deployment)
@@ -11,7 +13,27 @@ contract ParkingReservation {
 
     address public owner;
     uint32 public totalSpots;
+    uint32 public totalLots;
     uint32 public reservationCounter;
+    uint256 public platformFees; // Platform cut of lot revenue, and overstay penalties
+    // Token every price, payment, payout and refund is in; ETH while unset
+    IERC20 public paymentToken;
+    uint256 public totalEscrowed; // Payments collected and not yet sent out, credited or not
+    CancellationPolicy public cancellationPolicy;
+
+    uint256 public constant MAX_ADVANCE_BOOKING = 30 days;
+    uint256 public constant PLATFORM_FEE_PERCENT = 5; // Kept from the refund of an early check-out
+    uint8 public constant MIN_FEE_SHARE = 5; // Lowest platform cut a lot can set
+    uint256 public constant MAX_CANCELLATION_NOTICE = 7 days;
+    uint16 public constant MAX_PRICE_PERCENT = 500; // Highest multiplier a pricing rule can apply, 5x the base price
+    uint256 private constant HOURS_PER_WEEK = 7 * 24; // Pricing rules repeat weekly
+    uint256 public constant WAITLIST_CLAIM_WINDOW = 15 minutes; // How long a freed spot is held for its waitlist
+    uint256 public constant MAX_WAITLIST_LENGTH = 20;
+    uint256 public constant OVERSTAY_GRACE_PERIOD = 15 minutes; // After endTime, before an overstay can be marked
+    uint256 public constant OVERSTAY_PENALTY_PERCENT = 150; // Of the spot's hourly price, per started hour overstayed
+    uint8 public constant MAX_OVERSTAYS = 3; // Users marked this many times can no longer reserve
+    uint256 public constant MAX_SPOTS_PER_BATCH = 50; // Keeps addParkingSpots within the block gas limit
+    uint256 public constant MAX_PAGE_SIZE = 100; // Most items a paginated view returns
 
     // ============ Structs ============
 
@@ -22,6 +44,14 @@ contract ParkingReservation {
         address spotOwner;
     }
 
+    // Lot IDs start at 1; spots outside a lot pay their spotOwner directly
+    struct ParkingLot {
+        address operator; // Manages the lot's spots and withdraws its revenue
+        uint8 feeShare; // Platform cut in percent of the lot's revenue
+        uint256 revenue; // Settled revenue awaiting withdrawal
+        string name;
+    }
+
     struct User {
         uint32 userId;
         uint16 creditScore;
@@ -34,15 +64,93 @@ contract ParkingReservation {
         uint256 spotId;
         uint256 startTime;
         uint256 endTime;
-        uint256 totalPrice;
-        bool isCompleted;
+        uint256 totalPrice; // Held in escrow until the reservation is completed, checked out or cancelled
+        bool isCompleted; // Also set for cancelled reservations: the window is released and nothing is owed
+        bool isCancelled;
+    }
+
+    // Cancelling at least `freeNotice` seconds before the start is free; later cancellations pay `feePercent`
+    // of the price to the spot. Running reservations cannot be cancelled, they check out early instead.
+    struct CancellationPolicy {
+        uint32 freeNotice;
+        uint8 feePercent;
+    }
+
+    // Hourly price of a spot as a share of its base pricePerHour, in percent (100 = base price). Peak and weekend
+    // percentages apply to each booked hour by its start time (UTC); the surge applies to the whole booking when
+    // the spot's lot (or the spots outside lots) is at least surgeOccupancy percent occupied at booking time.
+    struct PricingRule {
+        bool enabled;
+        uint8 peakStartHour; // Inclusive; peak hours wrap past midnight when peakEndHour is lower
+        uint8 peakEndHour; // Exclusive; equal to peakStartHour for no peak hours
+        uint16 peakPercent;
+        uint16 weekendPercent; // Saturdays and Sundays
+        uint8 surgeOccupancy; // 0 disables the surge
+        uint16 surgePercent;
+        uint256 maxPrice; // Cap on the resulting hourly price; 0 for none
+    }
+
+    struct LotOccupancy {
+        uint32 spots;
+        uint32 occupied; // Spots whose isAvailable is false
+    }
+
+    // The deposit prepays the reservation made on claiming, at the price quoted when joining
+    struct WaitlistEntry {
+        uint32 position; // 1-based index in the spot's waitlist; 0 when not waiting
+        uint32 durationHours;
+        uint256 deposit;
+    }
+
+    // A freed spot is held for one waitlisted user until expiresAt
+    struct WaitlistOffer {
+        address user;
+        uint256 expiresAt;
+    }
+
+    // Items of the paginated views: the stored struct with the key it is stored under
+    struct SpotView {
+        uint256 spotId;
+        uint32 lotId;
+        ParkingSpot spot;
+    }
+
+    struct ReservationView {
+        uint256 reservationId;
+        Reservation reservation;
+    }
+
+    struct UserView {
+        address account;
+        User user;
     }
 
     // ============ Mappings ============
 
     mapping(uint256 => ParkingSpot) public parkingSpots;
+    mapping(uint32 => ParkingLot) public parkingLots;
+    mapping(uint256 => uint32) public spotLots; // Lot of each spot, 0 outside lots
+    mapping(address => bool) public operators; // May register lots
+    mapping(address => bool) public keepers; // May mark overstays on any spot
+    mapping(uint256 => PricingRule) public spotPricingRules; // Takes precedence over the rule of the spot's lot
+    mapping(uint32 => PricingRule) public lotPricingRules; // Lot 0 prices the spots outside lots
+    mapping(uint32 => LotOccupancy) public lotOccupancy; // Lot 0 counts the spots outside lots
+    // Payouts and refunds awaiting withdrawal; nothing is pushed to callers, so contract wallets can be paid
+    mapping(address => uint256) public pendingWithdrawals;
+    // Penalties not covered by pendingWithdrawals; settled from later credits or with payPenalty
+    mapping(address => uint256) public outstandingPenalties;
+    mapping(address => uint8) public overstayCounts;
     mapping(address => User) public users;
+    address[] private registeredUsers; // In the order they registered
     mapping(uint256 => Reservation) public reservations;
+    mapping(address => uint256[]) private userReservations; // In the order they were made
+    // Reservations per spot that may still hold a time window (pruned as they end)
+    mapping(uint256 => uint256[]) private spotBookings;
+    // Users in the order they joined; entries before waitlistHeads have been offered the spot or left
+    mapping(uint256 => address[]) private waitlists;
+    mapping(uint256 => uint256) private waitlistHeads;
+    mapping(uint256 => mapping(address => WaitlistEntry)) public waitlistEntries;
+    mapping(uint256 => WaitlistOffer) public waitlistOffers;
 
     // ============ Events ============
 
@@ -50,6 +158,31 @@ contract ParkingReservation {
     event ParkingSpotAdded(uint256 indexed spotId, string location, uint256 pricePerHour);
     event ReservationCreated(uint256 indexed reservationId, address indexed user, uint256 spotId);
     event ReservationCompleted(uint256 indexed reservationId);
+    event ReservationExtended(uint256 indexed reservationId, uint256 newEndTime);
+    event EarlyCheckOut(uint256 indexed reservationId, uint256 refund);
+    event ReservationCancelled(uint256 indexed reservationId, uint256 refund);
+    event CancellationPolicyUpdated(uint32 freeNotice, uint8 feePercent);
+    event PaymentTokenUpdated(address indexed token);
+    event PaymentCredited(address indexed account, uint256 amount);
+    event Withdrawal(address indexed account, uint256 amount);
+    event OperatorUpdated(address indexed operator, bool status);
+    event LotRegistered(uint32 indexed lotId, address indexed operator, string name);
+    event LotFeeShareUpdated(uint32 indexed lotId, uint8 feeShare);
+    event LotSpotAdded(uint32 indexed lotId, uint256 indexed spotId);
+    event SpotPriceUpdated(uint256 indexed spotId, uint256 pricePerHour);
+    event SpotPricingRuleUpdated(uint256 indexed spotId, bool enabled);
+    event LotPricingRuleUpdated(uint32 indexed lotId, bool enabled);
+    event LotRevenueWithdrawn(uint32 indexed lotId, address indexed to, uint256 amount);
+    event PlatformFeesWithdrawn(address indexed to, uint256 amount);
+    event WaitlistJoined(uint256 indexed spotId, address indexed user, uint256 deposit);
+    event WaitlistLeft(uint256 indexed spotId, address indexed user, uint256 refund);
+    event WaitlistOffered(uint256 indexed spotId, address indexed user, uint256 expiresAt);
+    event WaitlistOfferClaimed(uint256 indexed spotId, address indexed user, uint256 reservationId);
+    event WaitlistOfferExpired(uint256 indexed spotId, address indexed user);
+    event KeeperUpdated(address indexed keeper, bool status);
+    event OverstayMarked(uint256 indexed reservationId, address indexed user, uint256 overstayHours, uint256 penalty);
+    event PenaltyPaid(address indexed user, uint256 amount);
+    event OverstaysCleared(address indexed user);
 
     // ============ Modifiers ============
 
@@ -58,8 +191,22 @@ contract ParkingReservation {
         _;
     }
 
-    modifier onlyRegistered() {
+    modifier onlyOperator() {
+        require(msg.sender == owner || operators[msg.sender], "Not operator");
+        _;
+    }
+
+    modifier onlyLotOperator(uint32 lotId) {
+        require(lotId > 0 && lotId <= totalLots, "Invalid lot ID");
+        require(parkingLots[lotId].operator == msg.sender, "Not lot operator");
+        _;
+    }
+
+    // Registered, without outstanding penalties and not barred for overstaying
+    modifier onlyEligible() {
         require(users[msg.sender].isRegistered, "Not registered");
+        require(outstandingPenalties[msg.sender] == 0, "Outstanding penalty");
+        require(overstayCounts[msg.sender] < MAX_OVERSTAYS, "Too many overstays");
         _;
     }
 
@@ -69,6 +216,7 @@ contract ParkingReservation {
         owner = msg.sender;
         totalSpots = 0;
         reservationCounter = 0;
+        cancellationPolicy = CancellationPolicy({ freeNotice: 1 hours, feePercent: 10 });
     }
 
     // ============ User Functions ============
@@ -89,9 +237,242 @@ contract ParkingReservation {
             registrationTime: block.timestamp
         });
 
+        registeredUsers.push(msg.sender);
+
         emit UserRegistered(msg.sender, userId, creditScore);
     }
 
+    // ============ Admin Functions ============
+
+    /**
+     * @notice Allow or revoke an address to register parking lots
+     * @param operator Operator address
+     * @param status Whether the address is an operator
+     */
+    function setOperator(address operator, bool status) external onlyOwner {
+        require(operator != address(0), "Invalid address");
+        operators[operator] = status;
+        emit OperatorUpdated(operator, status);
+    }
+
+    /**
+     * @notice Allow or revoke an address (e.g. a keeper bot) to mark overstays on every spot
+     * @param keeper Keeper address
+     * @param status Whether the address is a keeper
+     */
+    function setKeeper(address keeper, bool status) external onlyOwner {
+        require(keeper != address(0), "Invalid address");
+        keepers[keeper] = status;
+        emit KeeperUpdated(keeper, status);
+    }
+
+    /**
+     * @notice Let a user barred after MAX_OVERSTAYS overstays reserve again
+     * @param user User address
+     */
+    function clearOverstays(address user) external onlyOwner {
+        overstayCounts[user] = 0;
+        emit OverstaysCleared(user);
+    }
+
+    /**
+     * @notice Withdraw the platform cut of lot revenue, and overstay penalties
+     * @param to Address to receive the fees
+     */
+    function withdrawPlatformFees(address to) external onlyOwner {
+        require(to != address(0), "Invalid address");
+        uint256 amount = platformFees;
+        require(amount > 0, "No fees to withdraw");
+
+        platformFees = 0;
+        _send(to, amount);
+
+        emit PlatformFeesWithdrawn(to, amount);
+    }
+
+    /**
+     * @notice Take payments in an ERC-20 (e.g. a stablecoin) instead of ETH; prices are then in token units
+     * @dev Only while the contract holds no payments (deposits, waitlist deposits, credits, fees), so escrowed and
+     *      credited amounts are always in one currency
+     * @param token ERC-20 address, or address(0) for ETH
+     */
+    function setPaymentToken(address token) external onlyOwner {
+        require(totalEscrowed == 0, "Payments already taken");
+        require(token == address(0) || token.code.length > 0, "Invalid token");
+
+        paymentToken = IERC20(token);
+        emit PaymentTokenUpdated(token);
+    }
+
+    /**
+     * @notice Set the cancellation policy; applies to cancellations from now on
+     * @param freeNotice Seconds before the start until which cancelling is free (at most MAX_CANCELLATION_NOTICE)
+     * @param feePercent Share of the price kept for the spot on later cancellations (0-100)
+     */
+    function setCancellationPolicy(uint32 freeNotice, uint8 feePercent) external onlyOwner {
+        require(freeNotice <= MAX_CANCELLATION_NOTICE, "Notice too long");
+        require(feePercent <= 100, "Invalid percentage");
+
+        cancellationPolicy = CancellationPolicy({ freeNotice: freeNotice, feePercent: feePercent });
+        emit CancellationPolicyUpdated(freeNotice, feePercent);
+    }
+
+    // ============ Parking Lots ============
+
+    /**
+     * @notice Register a parking lot operated by the caller
+     * @param name Lot or garage name
+     * @param feeShare Platform cut in percent of the lot's revenue (MIN_FEE_SHARE-100)
+     * @return lotId ID of the new lot
+     */
+    function registerLot(string memory name, uint8 feeShare) external onlyOperator returns (uint32 lotId) {
+        require(bytes(name).length > 0, "Name required");
+        require(feeShare >= MIN_FEE_SHARE && feeShare <= 100, "Invalid fee share");
+
+        lotId = ++totalLots;
+        parkingLots[lotId] = ParkingLot({ operator: msg.sender, feeShare: feeShare, revenue: 0, name: name });
+
+        emit LotRegistered(lotId, msg.sender, name);
+    }
+
+    /**
+     * @notice Change the platform cut of a lot; applies to payments settled from now on
+     * @param lotId Lot ID
+     * @param feeShare Platform cut in percent (MIN_FEE_SHARE-100)
+     */
+    function setLotFeeShare(uint32 lotId, uint8 feeShare) external onlyLotOperator(lotId) {
+        require(feeShare >= MIN_FEE_SHARE && feeShare <= 100, "Invalid fee share");
+        parkingLots[lotId].feeShare = feeShare;
+        emit LotFeeShareUpdated(lotId, feeShare);
+    }
+
+    /**
+     * @notice Add a parking spot to a lot
+     * @param lotId Lot ID
+     * @param location Parking spot location
+     * @param pricePerHour Price per hour in wei
+     */
+    function addLotSpot(uint32 lotId, string memory location, uint256 pricePerHour) external onlyLotOperator(lotId) {
+        _addSpot(lotId, location, pricePerHour);
+        emit LotSpotAdded(lotId, totalSpots);
+    }
+
+    /**
+     * @notice Change the hourly price of a spot; applies to reservations and extensions made from now on
+     * @dev Lot spots are priced by their lot operator, other spots by the owner
+     * @param spotId Parking spot ID
+     * @param pricePerHour Price per hour in wei
+     */
+    function updateSpotPrice(uint256 spotId, uint256 pricePerHour) external {
+        _requireSpotOperator(spotId);
+
+        parkingSpots[spotId].pricePerHour = pricePerHour;
+        emit SpotPriceUpdated(spotId, pricePerHour);
+    }
+
+    function _requireSpotOperator(uint256 spotId) internal view {
+        require(spotId > 0 && spotId <= totalSpots, "Invalid spot ID");
+        require(_isSpotOperator(spotId), "Not spot operator");
+    }
+
+    function _isSpotOperator(uint256 spotId) internal view returns (bool) {
+        uint32 lotId = spotLots[spotId];
+        return msg.sender == (lotId == 0 ? owner : parkingLots[lotId].operator);
+    }
+
+    /**
+     * @notice Withdraw the settled revenue of a lot
+     * @param lotId Lot ID
+     * @param to Address to receive the revenue
+     */
+    function withdrawLotRevenue(uint32 lotId, address to) external onlyLotOperator(lotId) {
+        require(to != address(0), "Invalid address");
+        uint256 amount = parkingLots[lotId].revenue;
+        require(amount > 0, "No revenue to withdraw");
+
+        parkingLots[lotId].revenue = 0;
+        _send(to, amount);
+
+        emit LotRevenueWithdrawn(lotId, to, amount);
+    }
+
+    /**
+     * @dev Release a settled amount from escrow: lot spots credit their lot minus the platform cut, other spots
+     *      credit their spotOwner's pending withdrawals
+     */
+    function _payOut(uint256 spotId, uint256 amount) internal {
+        uint32 lotId = spotLots[spotId];
+        if (lotId == 0) {
+            _credit(parkingSpots[spotId].spotOwner, amount);
+            return;
+        }
+
+        uint256 fee = (amount * parkingLots[lotId].feeShare) / 100;
+        platformFees += fee;
+        parkingLots[lotId].revenue += amount - fee;
+    }
+
+    // ============ Withdrawals ============
+
+    /**
+     * @notice Withdraw the payouts and refunds credited to the caller
+     */
+    function withdraw() external {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        pendingWithdrawals[msg.sender] = 0;
+        _send(msg.sender, amount);
+
+        emit Withdrawal(msg.sender, amount);
+    }
+
+    // Outstanding penalties are settled first
+    function _credit(address account, uint256 amount) internal {
+        uint256 owed = outstandingPenalties[account];
+        if (owed > 0 && amount > 0) {
+            uint256 settled = owed < amount ? owed : amount;
+            outstandingPenalties[account] = owed - settled;
+            platformFees += settled;
+            amount -= settled;
+            emit PenaltyPaid(account, settled);
+        }
+
+        if (amount == 0) return;
+        pendingWithdrawals[account] += amount;
+        emit PaymentCredited(account, amount);
+    }
+
+    // Balances are cleared before sending, so a reentrant call finds nothing left to withdraw
+    function _send(address to, uint256 amount) internal {
+        totalEscrowed -= amount;
+        if (address(paymentToken) != address(0)) {
+            _callToken(abi.encodeCall(IERC20.transfer, (to, amount)));
+            return;
+        }
+        (bool sent, ) = payable(to).call{ value: amount }("");
+        require(sent, "Withdraw failed");
+    }
+
+    // Take a payment from the caller: excess ETH is credited back, tokens are pulled for the exact price
+    function _collect(uint256 price) internal {
+        if (address(paymentToken) == address(0)) {
+            require(msg.value >= price, "Insufficient payment");
+            totalEscrowed += msg.value;
+            _credit(msg.sender, msg.value - price);
+            return;
+        }
+        require(msg.value == 0, "ETH not accepted");
+        totalEscrowed += price;
+        _callToken(abi.encodeCall(IERC20.transferFrom, (msg.sender, address(this), price)));
+    }
+
+    // Tokens that return nothing on success are accepted, as most stablecoins predate the bool return
+    function _callToken(bytes memory data) internal {
+        (bool success, bytes memory result) = address(paymentToken).call(data);
+        require(success && (result.length == 0 || abi.decode(result, (bool))), "Token transfer failed");
+    }
+
     // ============ Parking Management ============
 
     /**
@@ -100,7 +481,39 @@ contract ParkingReservation {
      * @param pricePerHour Price per hour in wei
      */
     function addParkingSpot(string memory location, uint256 pricePerHour) external onlyOwner {
+        _addSpot(0, location, pricePerHour);
+    }
+
+    /**
+     * @notice Add several parking spots in one transaction, e.g. from a bulk import
+     * @dev Spots outside lots (lot 0) are added by the owner, lot spots by their lot operator.
+     *      The spots get consecutive IDs in the order given.
+     * @param lotId Lot to add the spots to, 0 outside lots
+     * @param locations Parking spot locations
+     * @param pricesPerHour Price per hour in wei of each spot
+     */
+    function addParkingSpots(uint32 lotId, string[] calldata locations, uint256[] calldata pricesPerHour) external {
+        if (lotId == 0) {
+            require(msg.sender == owner, "Not owner");
+        } else {
+            require(lotId <= totalLots, "Invalid lot ID");
+            require(parkingLots[lotId].operator == msg.sender, "Not lot operator");
+        }
+        require(locations.length == pricesPerHour.length, "Length mismatch");
+        require(locations.length > 0 && locations.length <= MAX_SPOTS_PER_BATCH, "Invalid batch size");
+
+        for (uint256 i = 0; i < locations.length; i++) {
+            _addSpot(lotId, locations[i], pricesPerHour[i]);
+            if (lotId > 0) {
+                emit LotSpotAdded(lotId, totalSpots);
+            }
+        }
+    }
+
+    function _addSpot(uint32 lotId, string memory location, uint256 pricePerHour) internal {
         totalSpots++;
+        spotLots[totalSpots] = lotId;
+        lotOccupancy[lotId].spots++;
 
         parkingSpots[totalSpots] = ParkingSpot({
             location: location,
@@ -113,34 +526,102 @@ contract ParkingReservation {
     }
 
     /**
-     * @notice Make a reservation
+     * @notice Make a reservation starting now
      * @param spotId Parking spot ID
      * @param durationHours Duration in hours
      */
-    function makeReservation(uint256 spotId, uint256 durationHours) external payable onlyRegistered {
+    function makeReservation(uint256 spotId, uint256 durationHours) external payable onlyEligible {
+        _reserveNow(spotId, durationHours);
+    }
+
+    /**
+     * @notice Book a time window in advance
+     * @param spotId Parking spot ID
+     * @param startTime Start of the window (unix timestamp, at most MAX_ADVANCE_BOOKING ahead)
+     * @param durationHours Duration in hours
+     */
+    function makeReservationAt(uint256 spotId, uint256 startTime, uint256 durationHours) external payable onlyEligible {
+        _reserveAt(spotId, startTime, durationHours);
+    }
+
+    /**
+     * @notice Reserve with a token permit (EIP-2612) instead of a separate approve transaction
+     * @dev A failing permit is ignored: if it was front-run, the allowance it granted is already in place
+     * @param spotId Parking spot ID
+     * @param startTime Start of the window, or 0 to start now
+     * @param durationHours Duration in hours
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function makeReservationWithPermit(
+        uint256 spotId,
+        uint256 startTime,
+        uint256 durationHours,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external onlyEligible {
+        require(address(paymentToken) != address(0), "Token payments disabled");
+
+        uint256 totalPrice = _quote(spotId, startTime == 0 ? block.timestamp : startTime, durationHours);
+        try
+            IERC20Permit(address(paymentToken)).permit(msg.sender, address(this), totalPrice, deadline, v, r, s)
+        {} catch {} // solhint-disable-line no-empty-blocks
+
+        if (startTime == 0) {
+            _reserveNow(spotId, durationHours);
+        } else {
+            _reserveAt(spotId, startTime, durationHours);
+        }
+    }
+
+    function _reserveNow(uint256 spotId, uint256 durationHours) internal {
         require(spotId > 0 && spotId <= totalSpots, "Invalid spot ID");
         require(parkingSpots[spotId].isAvailable, "Spot not available");
+        _reserve(spotId, block.timestamp, durationHours);
+    }
+
+    function _reserveAt(uint256 spotId, uint256 startTime, uint256 durationHours) internal {
+        require(spotId > 0 && spotId <= totalSpots, "Invalid spot ID");
+        require(startTime >= block.timestamp, "Start time in the past");
+        require(startTime <= block.timestamp + MAX_ADVANCE_BOOKING, "Start time too far ahead");
+        _reserve(spotId, startTime, durationHours);
+    }
+
+    function _reserve(uint256 spotId, uint256 startTime, uint256 durationHours) internal {
         require(durationHours > 0, "Invalid duration");
+        require(waitlistOffers[spotId].expiresAt < block.timestamp, "Spot offered to waitlist");
 
-        uint256 totalPrice = parkingSpots[spotId].pricePerHour * durationHours;
-        require(msg.value >= totalPrice, "Insufficient payment");
+        uint256 totalPrice = _quote(spotId, startTime, durationHours);
+        _book(spotId, startTime, durationHours, totalPrice);
+        _collect(totalPrice);
+    }
+
+    // Record a paid reservation for the caller
+    function _book(uint256 spotId, uint256 startTime, uint256 durationHours, uint256 totalPrice) internal {
+        uint256 endTime = startTime + (durationHours * 1 hours);
+        _claimWindow(spotId, startTime, endTime);
 
         reservationCounter++;
 
         reservations[reservationCounter] = Reservation({
             user: msg.sender,
             spotId: spotId,
-            startTime: block.timestamp,
-            endTime: block.timestamp + (durationHours * 1 hours),
+            startTime: startTime,
+            endTime: endTime,
             totalPrice: totalPrice,
-            isCompleted: false
+            isCompleted: false,
+            isCancelled: false
         });
+        spotBookings[spotId].push(reservationCounter);
+        userReservations[msg.sender].push(reservationCounter);
 
-        parkingSpots[spotId].isAvailable = false;
-
-        // Refund excess payment
-        if (msg.value > totalPrice) {
-            payable(msg.sender).transfer(msg.value - totalPrice);
+        // Only a reservation running now occupies the spot; future windows are tracked in spotBookings
+        if (startTime == block.timestamp) {
+            _setAvailable(spotId, false);
         }
 
         emit ReservationCreated(reservationCounter, msg.sender, spotId);
@@ -148,6 +629,7 @@ contract ParkingReservation {
 
     /**
      * @notice Complete a reservation
+     * @dev Completing after endTime + OVERSTAY_GRACE_PERIOD charges the overstay penalty, as markOverstay does
      * @param reservationId Reservation ID
      */
     function completeReservation(uint256 reservationId) external {
@@ -158,12 +640,478 @@ contract ParkingReservation {
         require(!reservation.isCompleted, "Already completed");
 
         reservation.isCompleted = true;
-        parkingSpots[reservation.spotId].isAvailable = true;
+        if (reservation.startTime <= block.timestamp) {
+            _setAvailable(reservation.spotId, true);
+        }
 
-        // Transfer payment to spot owner
-        payable(parkingSpots[reservation.spotId].spotOwner).transfer(reservation.totalPrice);
+        // Pay the spot owner, or the lot and the platform
+        _payOut(reservation.spotId, reservation.totalPrice);
+        if (block.timestamp > reservation.endTime + OVERSTAY_GRACE_PERIOD) {
+            _chargeOverstay(reservationId, reservation);
+        }
 
         emit ReservationCompleted(reservationId);
+        _offerNext(reservation.spotId);
+    }
+
+    /**
+     * @notice Extend a reservation that has not ended yet
+     * @param reservationId Reservation ID
+     * @param extraHours Hours to add; the spot must not be booked by someone else in that time
+     */
+    function extendReservation(uint256 reservationId, uint256 extraHours) external payable {
+        require(reservationId > 0 && reservationId <= reservationCounter, "Invalid reservation ID");
+        Reservation storage reservation = reservations[reservationId];
+
+        require(reservation.user == msg.sender, "Not your reservation");
+        require(!reservation.isCompleted, "Already completed");
+        require(reservation.endTime > block.timestamp, "Reservation ended");
+        require(extraHours > 0, "Invalid duration");
+
+        uint256 extraPrice = _quote(reservation.spotId, reservation.endTime, extraHours);
+
+        uint256 newEndTime = reservation.endTime + (extraHours * 1 hours);
+        _claimWindow(reservation.spotId, reservation.endTime, newEndTime);
+
+        reservation.endTime = newEndTime;
+        reservation.totalPrice += extraPrice;
+
+        _collect(extraPrice);
+
+        emit ReservationExtended(reservationId, newEndTime);
+    }
+
+    /**
+     * @notice Leave before the end of a running reservation
+     * @dev Credits the unused share of the price minus PLATFORM_FEE_PERCENT, which goes to the platform; the
+     *      spot is paid for the time used
+     * @param reservationId Reservation ID
+     */
+    function checkOutEarly(uint256 reservationId) external {
+        require(reservationId > 0 && reservationId <= reservationCounter, "Invalid reservation ID");
+        Reservation storage reservation = reservations[reservationId];
+
+        require(reservation.user == msg.sender, "Not your reservation");
+        require(!reservation.isCompleted, "Already completed");
+        require(reservation.startTime <= block.timestamp, "Reservation not started");
+        require(reservation.endTime > block.timestamp, "Reservation ended");
+
+        uint256 unused = (reservation.totalPrice * (reservation.endTime - block.timestamp)) /
+            (reservation.endTime - reservation.startTime);
+        uint256 fee = (unused * PLATFORM_FEE_PERCENT) / 100;
+        uint256 refund = unused - fee;
+
+        // Record what was actually used
+        reservation.isCompleted = true;
+        reservation.endTime = block.timestamp;
+        reservation.totalPrice -= unused;
+        _setAvailable(reservation.spotId, true);
+
+        platformFees += fee;
+        _payOut(reservation.spotId, reservation.totalPrice);
+        _credit(msg.sender, refund);
+
+        emit EarlyCheckOut(reservationId, refund);
+        emit ReservationCompleted(reservationId);
+        _offerNext(reservation.spotId);
+    }
+
+    /**
+     * @notice Cancel a reservation that has not started yet
+     * @dev Refunds the full price with at least cancellationPolicy.freeNotice notice, otherwise the price minus
+     *      cancellationPolicy.feePercent, which goes to the spot. The refund is credited for withdraw.
+     * @param reservationId Reservation ID
+     */
+    function cancelReservation(uint256 reservationId) external {
+        require(reservationId > 0 && reservationId <= reservationCounter, "Invalid reservation ID");
+        Reservation storage reservation = reservations[reservationId];
+
+        require(reservation.user == msg.sender, "Not your reservation");
+        require(!reservation.isCompleted, "Already completed");
+        require(reservation.startTime > block.timestamp, "Reservation started");
+
+        uint256 refund = reservation.totalPrice;
+        if (reservation.startTime - block.timestamp < cancellationPolicy.freeNotice) {
+            refund -= (refund * cancellationPolicy.feePercent) / 100;
+        }
+
+        reservation.isCompleted = true;
+        reservation.isCancelled = true;
+        reservation.totalPrice -= refund;
+
+        _payOut(reservation.spotId, reservation.totalPrice);
+        _credit(msg.sender, refund);
+
+        emit ReservationCancelled(reservationId, refund);
+        _offerNext(reservation.spotId);
+    }
+
+    // ============ Overstays ============
+
+    /**
+     * @notice Settle a reservation its user left running past endTime + OVERSTAY_GRACE_PERIOD and charge a penalty
+     * @dev Spot operators and keepers only. The spot is paid as on completion and freed for its waitlist. The
+     *      penalty goes to the platform, taken from the user's pending withdrawals; the rest stays outstanding and
+     *      bars the user from reserving until paid. Each overstay counts towards MAX_OVERSTAYS.
+     * @param reservationId Reservation ID
+     */
+    function markOverstay(uint256 reservationId) external {
+        require(reservationId > 0 && reservationId <= reservationCounter, "Invalid reservation ID");
+        Reservation storage reservation = reservations[reservationId];
+        uint256 spotId = reservation.spotId;
+
+        require(keepers[msg.sender] || _isSpotOperator(spotId), "Not spot operator or keeper");
+        require(!reservation.isCompleted, "Already completed");
+        require(block.timestamp > reservation.endTime + OVERSTAY_GRACE_PERIOD, "Not overstayed");
+
+        reservation.isCompleted = true;
+        _setAvailable(spotId, true);
+        _payOut(spotId, reservation.totalPrice);
+        _chargeOverstay(reservationId, reservation);
+
+        emit ReservationCompleted(reservationId);
+        _offerNext(spotId);
+    }
+
+    // Penalty of OVERSTAY_PENALTY_PERCENT of the hourly price per started hour past endTime
+    function _chargeOverstay(uint256 reservationId, Reservation storage reservation) internal {
+        uint256 overstayHours = (block.timestamp - reservation.endTime + 1 hours - 1) / 1 hours;
+        uint256 penalty = (overstayHours * parkingSpots[reservation.spotId].pricePerHour * OVERSTAY_PENALTY_PERCENT) /
+            100;
+        address user = reservation.user;
+
+        if (overstayCounts[user] < type(uint8).max) overstayCounts[user]++;
+        uint256 available = pendingWithdrawals[user];
+        uint256 taken = available < penalty ? available : penalty;
+        pendingWithdrawals[user] = available - taken;
+        platformFees += taken;
+        outstandingPenalties[user] += penalty - taken;
+
+        emit OverstayMarked(reservationId, user, overstayHours, penalty);
+    }
+
+    /**
+     * @notice Pay the caller's outstanding overstay penalty, in ETH or the payment token
+     */
+    function payPenalty() external payable {
+        uint256 amount = outstandingPenalties[msg.sender];
+        require(amount > 0, "No outstanding penalty");
+
+        outstandingPenalties[msg.sender] = 0;
+        platformFees += amount;
+        _collect(amount);
+
+        emit PenaltyPaid(msg.sender, amount);
+    }
+
+    // Keeps lotOccupancy in step with isAvailable
+    function _setAvailable(uint256 spotId, bool available) internal {
+        if (parkingSpots[spotId].isAvailable == available) return;
+        parkingSpots[spotId].isAvailable = available;
+
+        LotOccupancy storage occupancy = lotOccupancy[spotLots[spotId]];
+        if (available) {
+            occupancy.occupied--;
+        } else {
+            occupancy.occupied++;
+        }
+    }
+
+    // ============ Dynamic Pricing ============
+
+    /**
+     * @notice Set or clear (enabled = false) the pricing rule of a spot; applies to bookings made from now on
+     * @dev Lot spots are priced by their lot operator, other spots by the owner
+     * @param spotId Parking spot ID
+     * @param rule Pricing rule
+     */
+    function setSpotPricingRule(uint256 spotId, PricingRule calldata rule) external {
+        _requireSpotOperator(spotId);
+        _validatePricingRule(rule);
+
+        spotPricingRules[spotId] = rule;
+        emit SpotPricingRuleUpdated(spotId, rule.enabled);
+    }
+
+    /**
+     * @notice Set or clear (enabled = false) the pricing rule of every spot in a lot without a rule of its own
+     * @param lotId Lot ID, or 0 (owner only) for the spots outside lots
+     * @param rule Pricing rule
+     */
+    function setLotPricingRule(uint32 lotId, PricingRule calldata rule) external {
+        require(lotId <= totalLots, "Invalid lot ID");
+        require(msg.sender == (lotId == 0 ? owner : parkingLots[lotId].operator), "Not lot operator");
+        _validatePricingRule(rule);
+
+        lotPricingRules[lotId] = rule;
+        emit LotPricingRuleUpdated(lotId, rule.enabled);
+    }
+
+    function _validatePricingRule(PricingRule calldata rule) internal pure {
+        if (!rule.enabled) return;
+        require(rule.peakStartHour < 24 && rule.peakEndHour < 24, "Invalid hour");
+        require(
+            _validPercent(rule.peakPercent) && _validPercent(rule.weekendPercent) && _validPercent(rule.surgePercent),
+            "Invalid percentage"
+        );
+        require(rule.surgeOccupancy <= 100, "Invalid percentage");
+    }
+
+    function _validPercent(uint16 percent) internal pure returns (bool) {
+        return percent > 0 && percent <= MAX_PRICE_PERCENT;
+    }
+
+    /**
+     * @notice Price of booking a spot, as makeReservation, makeReservationAt and extendReservation would charge it
+     * @param spotId Parking spot ID
+     * @param startTime Start of the window, or 0 to start now
+     * @param durationHours Duration in hours
+     * @return totalPrice Price in wei, or token units
+     */
+    function quotePrice(
+        uint256 spotId,
+        uint256 startTime,
+        uint256 durationHours
+    ) external view returns (uint256 totalPrice) {
+        require(spotId > 0 && spotId <= totalSpots, "Invalid spot ID");
+        require(durationHours > 0, "Invalid duration");
+        return _quote(spotId, startTime == 0 ? block.timestamp : startTime, durationHours);
+    }
+
+    function _quote(uint256 spotId, uint256 startTime, uint256 durationHours) internal view returns (uint256 total) {
+        uint256 basePrice = parkingSpots[spotId].pricePerHour;
+        uint32 lotId = spotLots[spotId];
+        PricingRule memory rule = spotPricingRules[spotId];
+        if (!rule.enabled) rule = lotPricingRules[lotId];
+        if (!rule.enabled) return basePrice * durationHours;
+
+        LotOccupancy memory occupancy = lotOccupancy[lotId];
+        if (
+            rule.surgeOccupancy > 0 &&
+            uint256(occupancy.occupied) * 100 >= uint256(occupancy.spots) * rule.surgeOccupancy
+        ) {
+            basePrice = (basePrice * rule.surgePercent) / 100;
+        }
+
+        // Hourly prices repeat every week, so whole weeks are priced once: at most two weeks of hours are summed
+        uint256 fullWeeks = durationHours / HOURS_PER_WEEK;
+        if (fullWeeks > 0) {
+            total = _sumHourlyPrices(rule, basePrice, startTime, HOURS_PER_WEEK) * fullWeeks;
+        }
+        total += _sumHourlyPrices(rule, basePrice, startTime, durationHours % HOURS_PER_WEEK);
+    }
+
+    function _sumHourlyPrices(
+        PricingRule memory rule,
+        uint256 basePrice,
+        uint256 startTime,
+        uint256 hoursCount
+    ) internal pure returns (uint256 total) {
+        for (uint256 i = 0; i < hoursCount; i++) {
+            uint256 hourStart = startTime + i * 1 hours;
+            uint256 hourOfDay = (hourStart % 1 days) / 1 hours;
+            // 1970-01-01 was a Thursday, so day 0 of the week is Thursday; Saturday is 2 and Sunday 3
+            uint256 dayOfWeek = (hourStart / 1 days) % 7;
+
+            uint256 price = basePrice;
+            if (_isPeakHour(rule, hourOfDay)) price = (price * rule.peakPercent) / 100;
+            if (dayOfWeek == 2 || dayOfWeek == 3) price = (price * rule.weekendPercent) / 100;
+            if (rule.maxPrice > 0 && price > rule.maxPrice) price = rule.maxPrice;
+            total += price;
+        }
+    }
+
+    function _isPeakHour(PricingRule memory rule, uint256 hourOfDay) internal pure returns (bool) {
+        if (rule.peakStartHour <= rule.peakEndHour) {
+            return hourOfDay >= rule.peakStartHour && hourOfDay < rule.peakEndHour;
+        }
+        return hourOfDay >= rule.peakStartHour || hourOfDay < rule.peakEndHour;
+    }
+
+    // ============ Waitlist ============
+
+    /**
+     * @notice Queue for a spot that is taken; when it frees up, the first user in line is offered it for
+     *         WAITLIST_CLAIM_WINDOW
+     * @dev The deposit is the quoted price of the reservation and is refunded on leaving or if the offer expires
+     * @param spotId Parking spot ID
+     * @param durationHours Duration of the reservation made on claiming the spot
+     */
+    function joinWaitlist(uint256 spotId, uint32 durationHours) external payable onlyEligible {
+        require(spotId > 0 && spotId <= totalSpots, "Invalid spot ID");
+        require(durationHours > 0, "Invalid duration");
+        require(!_isFree(spotId) || waitlistOffers[spotId].expiresAt >= block.timestamp, "Spot available");
+        require(waitlistEntries[spotId][msg.sender].position == 0, "Already waitlisted");
+
+        address[] storage queue = waitlists[spotId];
+        require(queue.length - waitlistHeads[spotId] < MAX_WAITLIST_LENGTH, "Waitlist full");
+
+        uint256 deposit = _quote(spotId, block.timestamp, durationHours);
+        queue.push(msg.sender);
+        waitlistEntries[spotId][msg.sender] = WaitlistEntry({
+            position: uint32(queue.length),
+            durationHours: durationHours,
+            deposit: deposit
+        });
+        _collect(deposit);
+
+        emit WaitlistJoined(spotId, msg.sender, deposit);
+    }
+
+    /**
+     * @notice Leave a waitlist, or decline the spot offered; the deposit is credited for withdraw
+     * @param spotId Parking spot ID
+     */
+    function leaveWaitlist(uint256 spotId) external {
+        WaitlistEntry memory entry = waitlistEntries[spotId][msg.sender];
+        require(entry.position > 0, "Not waitlisted");
+
+        delete waitlistEntries[spotId][msg.sender];
+        _credit(msg.sender, entry.deposit);
+        emit WaitlistLeft(spotId, msg.sender, entry.deposit);
+
+        if (waitlistOffers[spotId].user == msg.sender) {
+            delete waitlistOffers[spotId];
+            _offerNext(spotId);
+        }
+    }
+
+    /**
+     * @notice Reserve the spot offered to the caller, starting now and paid by the deposit
+     * @param spotId Parking spot ID
+     */
+    function claimWaitlistOffer(uint256 spotId) external onlyEligible {
+        WaitlistOffer memory offer = waitlistOffers[spotId];
+        require(offer.user == msg.sender, "No offer");
+        require(offer.expiresAt >= block.timestamp, "Offer expired");
+
+        WaitlistEntry memory entry = waitlistEntries[spotId][msg.sender];
+        delete waitlistOffers[spotId];
+        delete waitlistEntries[spotId][msg.sender];
+        _book(spotId, block.timestamp, entry.durationHours, entry.deposit);
+
+        emit WaitlistOfferClaimed(spotId, msg.sender, reservationCounter);
+    }
+
+    /**
+     * @notice Refund an offer that was not claimed in time and offer the spot to the next user; callable by anyone
+     * @param spotId Parking spot ID
+     */
+    function expireWaitlistOffer(uint256 spotId) external {
+        WaitlistOffer memory offer = waitlistOffers[spotId];
+        require(offer.user != address(0) && offer.expiresAt < block.timestamp, "No expired offer");
+
+        uint256 deposit = waitlistEntries[spotId][offer.user].deposit;
+        delete waitlistOffers[spotId];
+        delete waitlistEntries[spotId][offer.user];
+        _credit(offer.user, deposit);
+        emit WaitlistOfferExpired(spotId, offer.user);
+
+        _offerNext(spotId);
+    }
+
+    /**
+     * @notice Users waiting for a spot, first in line first; the user holding the current offer is not included
+     * @param spotId Parking spot ID
+     * @return waiting User addresses
+     */
+    function getWaitlist(uint256 spotId) external view returns (address[] memory waiting) {
+        require(spotId > 0 && spotId <= totalSpots, "Invalid spot ID");
+        address[] storage queue = waitlists[spotId];
+        uint256 head = waitlistHeads[spotId];
+
+        uint256 count = 0;
+        for (uint256 i = head; i < queue.length; i++) {
+            if (_isWaiting(spotId, queue, i)) count++;
+        }
+
+        waiting = new address[](count);
+        uint256 j = 0;
+        for (uint256 i = head; i < queue.length; i++) {
+            if (_isWaiting(spotId, queue, i)) waiting[j++] = queue[i];
+        }
+    }
+
+    // Offer a free spot to the first user still waiting, unless it is already offered
+    function _offerNext(uint256 spotId) internal {
+        if (waitlistOffers[spotId].user != address(0) || !_isFree(spotId)) return;
+
+        address[] storage queue = waitlists[spotId];
+        uint256 head = waitlistHeads[spotId];
+        while (head < queue.length) {
+            address user = queue[head];
+            bool waiting = _isWaiting(spotId, queue, head);
+            head++;
+            if (!waiting) continue;
+
+            uint256 expiresAt = block.timestamp + WAITLIST_CLAIM_WINDOW;
+            waitlistOffers[spotId] = WaitlistOffer({ user: user, expiresAt: expiresAt });
+            emit WaitlistOffered(spotId, user, expiresAt);
+            break;
+        }
+        waitlistHeads[spotId] = head;
+    }
+
+    // Users who left, or left and joined again further back, leave stale entries behind
+    function _isWaiting(uint256 spotId, address[] storage queue, uint256 index) internal view returns (bool) {
+        return waitlistEntries[spotId][queue[index]].position == index + 1;
+    }
+
+    // ============ Booking Windows ============
+
+    /**
+     * @dev Revert if [startTime, endTime) overlaps a booking that still holds the spot;
+     *      completed and ended bookings are dropped from the list on the way
+     */
+    function _claimWindow(uint256 spotId, uint256 startTime, uint256 endTime) internal {
+        uint256[] storage bookings = spotBookings[spotId];
+        uint256 i = 0;
+        while (i < bookings.length) {
+            Reservation storage booking = reservations[bookings[i]];
+            if (booking.isCompleted || booking.endTime <= block.timestamp) {
+                bookings[i] = bookings[bookings.length - 1];
+                bookings.pop();
+                continue;
+            }
+            require(endTime <= booking.startTime || startTime >= booking.endTime, "Time slot already booked");
+            i++;
+        }
+    }
+
+    /**
+     * @notice Booked windows of a spot that have not ended yet
+     * @param spotId Spot ID
+     * @return reservationIds Reservation IDs
+     * @return startTimes Window start times
+     * @return endTimes Window end times
+     */
+    function getSpotBookings(
+        uint256 spotId
+    ) external view returns (uint256[] memory reservationIds, uint256[] memory startTimes, uint256[] memory endTimes) {
+        require(spotId > 0 && spotId <= totalSpots, "Invalid spot ID");
+        uint256[] storage bookings = spotBookings[spotId];
+
+        uint256 count = 0;
+        for (uint256 i = 0; i < bookings.length; i++) {
+            if (_holdsWindow(reservations[bookings[i]])) count++;
+        }
+
+        reservationIds = new uint256[](count);
+        startTimes = new uint256[](count);
+        endTimes = new uint256[](count);
+        uint256 j = 0;
+        for (uint256 i = 0; i < bookings.length; i++) {
+            Reservation storage booking = reservations[bookings[i]];
+            if (!_holdsWindow(booking)) continue;
+            reservationIds[j] = bookings[i];
+            startTimes[j] = booking.startTime;
+            endTimes[j] = booking.endTime;
+            j++;
+        }
+    }
+
+    function _holdsWindow(Reservation storage booking) internal view returns (bool) {
+        return !booking.isCompleted && booking.endTime > block.timestamp;
     }
 
     // ============ View Functions ============
@@ -181,11 +1129,24 @@ contract ParkingReservation {
     /**
      * @notice Check if a spot is available
      * @param spotId Spot ID
-     * @return available Availability status
+     * @return available Availability status; false while the spot is held for a waitlisted user
      */
     function isSpotAvailable(uint256 spotId) external view returns (bool available) {
         require(spotId > 0 && spotId <= totalSpots, "Invalid spot ID");
-        return parkingSpots[spotId].isAvailable;
+        return _isFree(spotId) && waitlistOffers[spotId].expiresAt < block.timestamp;
+    }
+
+    // Not occupied, neither by a reservation made for now nor by a window booked in advance
+    function _isFree(uint256 spotId) internal view returns (bool) {
+        if (!parkingSpots[spotId].isAvailable) return false;
+
+        // A window booked in advance may have started since
+        uint256[] storage bookings = spotBookings[spotId];
+        for (uint256 i = 0; i < bookings.length; i++) {
+            Reservation storage booking = reservations[bookings[i]];
+            if (_holdsWindow(booking) && booking.startTime <= block.timestamp) return false;
+        }
+        return true;
     }
 
     /**
@@ -201,4 +1162,100 @@ contract ParkingReservation {
         User memory user = users[userAddress];
         return (user.userId, user.creditScore, user.isRegistered);
     }
+
+    // ============ Paginated Views ============
+
+    /**
+     * @notice Page through the spots in ID order
+     * @param offset Spots to skip
+     * @param limit Spots to return, capped at MAX_PAGE_SIZE
+     * @return page Spots with their ID and lot
+     * @return total Number of spots
+     */
+    function getSpotsPage(uint256 offset, uint256 limit) external view returns (SpotView[] memory page, uint256 total) {
+        total = totalSpots;
+        page = new SpotView[](_pageLength(offset, limit, total));
+        for (uint256 i = 0; i < page.length; i++) {
+            uint256 spotId = offset + i + 1;
+            page[i] = SpotView(spotId, spotLots[spotId], parkingSpots[spotId]);
+        }
+    }
+
+    /**
+     * @notice Page through the reservations of a user in the order they were made
+     * @param user User address
+     * @param offset Reservations to skip
+     * @param limit Reservations to return, capped at MAX_PAGE_SIZE
+     * @return page Reservations with their ID
+     * @return total Number of reservations the user made
+     */
+    function getUserReservationsPage(
+        address user,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ReservationView[] memory page, uint256 total) {
+        uint256[] storage reservationIds = userReservations[user];
+        total = reservationIds.length;
+        page = new ReservationView[](_pageLength(offset, limit, total));
+        for (uint256 i = 0; i < page.length; i++) {
+            uint256 reservationId = reservationIds[offset + i];
+            page[i] = ReservationView(reservationId, reservations[reservationId]);
+        }
+    }
+
+    /**
+     * @notice Page through the reservations that are neither completed nor cancelled
+     * @dev Pages run over reservation IDs, so a page holds the active reservations among `limit` IDs and may be
+     *      empty while later ones are not. Keep paging until offset reaches total.
+     * @param offset Reservation IDs to skip
+     * @param limit Reservation IDs to check, capped at MAX_PAGE_SIZE
+     * @return page Active reservations with their ID
+     * @return total Number of reservations, active or not
+     */
+    function getActiveReservations(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ReservationView[] memory page, uint256 total) {
+        total = reservationCounter;
+        uint256 length = _pageLength(offset, limit, total);
+        page = new ReservationView[](length);
+        uint256 found = 0;
+        for (uint256 i = 0; i < length; i++) {
+            uint256 reservationId = offset + i + 1;
+            // Cancelled reservations are completed too
+            if (!reservations[reservationId].isCompleted) {
+                page[found++] = ReservationView(reservationId, reservations[reservationId]);
+            }
+        }
+        // Shorten the array to the reservations found
+        assembly ("memory-safe") {
+            mstore(page, found)
+        }
+    }
+
+    /**
+     * @notice Page through the registered users in the order they registered
+     * @param offset Users to skip
+     * @param limit Users to return, capped at MAX_PAGE_SIZE
+     * @return page Users with their address
+     * @return total Number of registered users
+     */
+    function getRegisteredUsersPage(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (UserView[] memory page, uint256 total) {
+        total = registeredUsers.length;
+        page = new UserView[](_pageLength(offset, limit, total));
+        for (uint256 i = 0; i < page.length; i++) {
+            address account = registeredUsers[offset + i];
+            page[i] = UserView(account, users[account]);
+        }
+    }
+
+    // Items a page starting at offset holds out of total
+    function _pageLength(uint256 offset, uint256 limit, uint256 total) internal pure returns (uint256) {
+        if (offset >= total) return 0;
+        uint256 length = limit < MAX_PAGE_SIZE ? limit : MAX_PAGE_SIZE;
+        return length < total - offset ? length : total - offset;
+    }
 }
@@ -1,8 +1,21 @@
 // SPDX-License-Identifier: BSD-3-Clause-Clear
 pragma solidity ^0.8.24;
 
-import { FHE, externalEuint64, euint8, euint16, euint32, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import {
+    FHE,
+    externalEuint16,
+    externalEuint32,
+    externalEuint64,
+    euint8,
+    euint16,
+    euint32,
+    euint64,
+    ebool
+} from "@fhevm/solidity/lib/FHE.sol";
 import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { PrivateParkingReservationStorage } from "./PrivateParkingReservationStorage.sol";
+import { PrivateParkingReservationExtension } from "./PrivateParkingReservationExtension.sol";
+import { PrivateParkingReservationViews } from "./PrivateParkingReservationViews.sol";
 
 /**
  * @title PrivateParkingReservation
@@ -25,159 +38,35 @@ import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
  * - Batched homomorphic operations
  * - Minimal encrypted comparisons
  * - Efficient state updates
+ *
+ * Code Size:
+ * - State, events and shared helpers live in PrivateParkingReservationStorage
+ * - Adding spots, lot management, pricing rules and window prices, changes to running reservations, joining and
+ *   leaving waitlists, overstays, Gateway timeouts and emergency functions run in
+ *   PrivateParkingReservationExtension through delegatecall; it is deployed first and passed to the constructor
  */
-contract PrivateParkingReservation is SepoliaConfig {
-
-    // ============ Constants ============
-    uint256 public constant MIN_DURATION = 15 minutes;
-    uint256 public constant MAX_DURATION = 24 hours;
-    uint256 public constant TIMEOUT_PERIOD = 1 hours;
-    uint256 public constant REFUND_GRACE_PERIOD = 30 minutes;
-    uint256 public constant MAX_PRICE = 10000; // Maximum price in wei units
-    uint16 public constant MAX_CREDIT_SCORE = 850;
-    uint256 public constant PRICE_OBFUSCATION_RANGE = 100; // Price obfuscation range
-
-    // ============ State Variables ============
-    address public owner;
-    address public pendingOwner;
-    uint32 public totalSpots;
-    uint256 public reservationCounter;
-    uint256 public platformFees;
-    bool public paused;
-    bool private locked; // Reentrancy guard
-
-    // Random multiplier for privacy protection (division problem solution)
-    uint64 public privacyMultiplier;
-    uint256 public lastMultiplierUpdate;
-
-    // ============ Enums ============
-    enum SpotStatus { Available, Reserved, Maintenance }
-    enum ReservationStatus { Pending, Active, Completed, Cancelled, Refunded }
-    enum RequestType { Reservation, Cancellation, PriceQuery }
-
-    // ============ Structs ============
-    struct ParkingSpot {
-        euint16 encryptedPrice;           // Encrypted parking price
-        euint8 encryptedStatus;           // Encrypted status
-        bool isActive;                    // Whether spot is active
-        euint32 encryptedReservedBy;      // Encrypted reserver ID
-        uint256 reservationEnd;           // Reservation end time
-        string location;                  // Location info
-        uint64 obfuscationSeed;           // Price obfuscation seed
-    }
-
-    struct UserProfile {
-        euint32 encryptedUserId;          // Encrypted user ID
-        euint16 encryptedCreditScore;     // Encrypted credit score
-        bool isRegistered;                // Registration status
-        uint256 totalReservations;        // Total reservations count
-        uint256 lastReservation;          // Last reservation timestamp
-        uint256 depositBalance;           // User deposit balance for refunds
-    }
-
-    struct Reservation {
-        uint32 spotId;                    // Parking spot ID
-        address user;                     // User address
-        euint32 encryptedUserId;          // Encrypted user ID
-        euint16 encryptedPaidAmount;      // Encrypted payment amount
-        uint256 startTime;                // Start time
-        uint256 endTime;                  // End time
-        ReservationStatus status;         // Reservation status
-        bool isActive;                    // Active flag
-        uint256 depositAmount;            // Deposited amount for potential refund
-        uint256 requestTimestamp;         // Gateway request timestamp
-        uint256 decryptionRequestId;      // Gateway decryption request ID
-    }
-
-    struct GatewayRequest {
-        RequestType requestType;          // Type of request
-        uint256 reservationId;            // Associated reservation ID
-        uint32 spotId;                    // Associated spot ID
-        address requester;                // Requester address
-        uint256 timestamp;                // Request timestamp
-        bool processed;                   // Whether callback has been processed
-        bool timedOut;                    // Whether request has timed out
-        bytes32[] ciphertextHandles;      // Ciphertext handles for decryption
-    }
-
-    // ============ Mappings ============
-    mapping(uint32 => ParkingSpot) public parkingSpots;
-    mapping(address => UserProfile) public userProfiles;
-    mapping(uint256 => Reservation) public reservations;
-    mapping(address => uint256[]) public userReservations;
-    mapping(address => euint32) private encryptedUserIds;
-    mapping(uint256 => GatewayRequest) public gatewayRequests;
-    mapping(uint256 => string) internal requestIdToReservation;
-    mapping(address => bool) public operators; // Authorized operators
-
-    uint256 public nextRequestId;
-
-    // ============ Events ============
-    event SpotAdded(uint32 indexed spotId, string location);
-    event SpotUpdated(uint32 indexed spotId);
-    event SpotRemoved(uint32 indexed spotId);
-    event UserRegistered(address indexed user);
-    event UserUpdated(address indexed user);
-    event ReservationRequested(uint256 indexed reservationId, uint32 indexed spotId, address indexed user, uint256 requestId);
-    event ReservationConfirmed(uint256 indexed reservationId, uint32 indexed spotId, address indexed user);
-    event ReservationCompleted(uint256 indexed reservationId, uint32 indexed spotId);
-    event ReservationCancelled(uint256 indexed reservationId, uint32 indexed spotId);
-    event RefundIssued(address indexed user, uint256 amount, string reason);
-    event TimeoutTriggered(uint256 indexed requestId, address indexed user);
-    event GatewayCallbackReceived(uint256 indexed requestId, bool success);
-    event PriceUpdated(uint32 indexed spotId);
-    event PrivacyMultiplierUpdated(uint64 newMultiplier);
-    event OwnershipTransferInitiated(address indexed previousOwner, address indexed newOwner);
-    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
-    event OperatorUpdated(address indexed operator, bool status);
-    event Paused(address indexed by);
-    event Unpaused(address indexed by);
-    event PlatformFeesWithdrawn(address indexed to, uint256 amount);
-    event DepositReceived(address indexed user, uint256 amount);
-    event EmergencyWithdrawal(address indexed user, uint256 amount);
-
-    // ============ Modifiers ============
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Not authorized: owner only");
-        _;
-    }
-
-    modifier onlyOperator() {
-        require(msg.sender == owner || operators[msg.sender], "Not authorized: operator only");
-        _;
-    }
-
-    modifier onlyRegistered() {
-        require(userProfiles[msg.sender].isRegistered, "User not registered");
-        _;
-    }
-
-    modifier validSpot(uint32 spotId) {
-        require(spotId < totalSpots, "Invalid spot ID");
-        require(parkingSpots[spotId].isActive, "Spot not active");
-        _;
-    }
+contract PrivateParkingReservation is SepoliaConfig, PrivateParkingReservationStorage {
 
-    modifier whenNotPaused() {
-        require(!paused, "Contract is paused");
-        _;
-    }
+    // Functions that do not fit in this contract's code size limit, run on its storage
+    PrivateParkingReservationExtension public immutable extension;
 
-    modifier nonReentrant() {
-        require(!locked, "Reentrant call");
-        locked = true;
-        _;
-        locked = false;
-    }
+    // Paginated views, deployed with this contract because they do not fit in its code size limit
+    PrivateParkingReservationViews public immutable views;
 
     // ============ Constructor ============
-    constructor() {
+    /**
+     * @param _extension Deployment of PrivateParkingReservationExtension; it holds no state of its own, so one
+     *        deployment can serve any number of these contracts
+     */
+    constructor(PrivateParkingReservationExtension _extension) {
+        require(address(_extension).code.length > 0, "Invalid extension");
         owner = msg.sender;
         totalSpots = 0;
         reservationCounter = 0;
-        nextRequestId = 1;
         privacyMultiplier = uint64(block.timestamp % 1000) + 1; // Initial random multiplier
         lastMultiplierUpdate = block.timestamp;
+        extension = _extension;
+        views = new PrivateParkingReservationViews(this);
     }
 
     // ============ Admin Functions ============
@@ -242,6 +131,34 @@ contract PrivateParkingReservation is SepoliaConfig {
         emit PrivacyMultiplierUpdated(privacyMultiplier);
     }
 
+    /**
+     * @notice Configure the credit score tiers applied to reservation offers
+     * @dev Scores stay encrypted: tiers are evaluated with FHE comparisons and selects, so neither the score nor
+     *      the tier of a user is revealed by a reservation
+     * @param minScore Minimum score to reserve (0: everyone)
+     * @param depositScore Scores below pay a security deposit on top of the price (0: nobody)
+     * @param depositPercent Security deposit in percent of the price
+     * @param discountScore Scores from here get a discount (0: nobody)
+     * @param discountPercent Discount in percent of the price (below 100)
+     */
+    function setCreditTiers(
+        uint16 minScore,
+        uint16 depositScore,
+        uint8 depositPercent,
+        uint16 discountScore,
+        uint8 discountPercent
+    ) external onlyOperator {
+        require(
+            minScore <= MAX_CREDIT_SCORE && depositScore <= MAX_CREDIT_SCORE && discountScore <= MAX_CREDIT_SCORE,
+            "Invalid credit score"
+        );
+        require(discountScore == 0 || depositScore <= discountScore, "Invalid tier order");
+        require(depositPercent <= 100 && discountPercent < 100, "Invalid percentage");
+
+        creditTiers = CreditTierConfig(minScore, depositScore, depositPercent, discountScore, discountPercent);
+        emit CreditTiersUpdated(minScore, depositScore, depositPercent, discountScore, discountPercent);
+    }
+
     /**
      * @notice Withdraw platform fees
      * @param to Address to send fees
@@ -259,18 +176,23 @@ contract PrivateParkingReservation is SepoliaConfig {
     // ============ User Registration ============
 
     /**
-     * @notice Register a new user with encrypted credentials
-     * @param _userId User ID to encrypt
-     * @param _creditScore Credit score to encrypt (0-850)
+     * @notice Register a new user with credentials encrypted client-side
+     * @dev The values are bound to this contract and msg.sender by the input proof, so they never appear in
+     *      calldata. They cannot be range-checked in the clear: the credit score is capped at MAX_CREDIT_SCORE
+     *      under encryption instead.
+     * @param encryptedUserId Handle of the encrypted user ID
+     * @param encryptedCreditScore Handle of the encrypted credit score (0-850)
+     * @param inputProof Proof covering both handles
      */
-    function registerUser(uint32 _userId, uint16 _creditScore) external whenNotPaused {
+    function registerUser(
+        externalEuint32 encryptedUserId,
+        externalEuint16 encryptedCreditScore,
+        bytes calldata inputProof
+    ) external whenNotPaused {
         require(!userProfiles[msg.sender].isRegistered, "User already registered");
-        require(_userId > 0, "Invalid user ID");
-        require(_creditScore <= MAX_CREDIT_SCORE, "Invalid credit score");
 
-        // Encrypt user data with privacy multiplier
-        euint32 encUserId = FHE.asEuint32(_userId);
-        euint16 encCreditScore = FHE.asEuint16(_creditScore);
+        euint32 encUserId = FHE.fromExternal(encryptedUserId, inputProof);
+        euint16 encCreditScore = FHE.min(FHE.fromExternal(encryptedCreditScore, inputProof), MAX_CREDIT_SCORE);
 
         userProfiles[msg.sender] = UserProfile({
             encryptedUserId: encUserId,
@@ -282,6 +204,7 @@ contract PrivateParkingReservation is SepoliaConfig {
         });
 
         encryptedUserIds[msg.sender] = encUserId;
+        registeredUsers.push(msg.sender);
 
         // Set FHE permissions
         FHE.allowThis(encUserId);
@@ -297,52 +220,19 @@ contract PrivateParkingReservation is SepoliaConfig {
      */
     function deposit() external payable onlyRegistered whenNotPaused {
         require(msg.value > 0, "Deposit must be positive");
-        userProfiles[msg.sender].depositBalance += msg.value;
+        userProfiles[msg.sender].depositBalance += _settlePenalty(msg.sender, msg.value);
         emit DepositReceived(msg.sender, msg.value);
     }
 
     // ============ Parking Spot Management ============
 
-    /**
-     * @notice Add a new parking spot with encrypted price
-     * @param _price Price of the parking spot
-     * @param _location Location description
-     */
-    function addParkingSpot(uint16 _price, string memory _location) external onlyOperator whenNotPaused {
-        require(_price > 0 && _price <= MAX_PRICE, "Invalid price");
-        require(bytes(_location).length > 0, "Location required");
-
-        // Apply price obfuscation for privacy
-        uint64 obfuscationSeed = uint64((block.timestamp * totalSpots) % PRICE_OBFUSCATION_RANGE);
-        euint16 encPrice = FHE.asEuint16(_price);
-        euint8 encStatus = FHE.asEuint8(uint8(SpotStatus.Available));
-        euint32 encReservedBy = FHE.asEuint32(0);
-
-        parkingSpots[totalSpots] = ParkingSpot({
-            encryptedPrice: encPrice,
-            encryptedStatus: encStatus,
-            isActive: true,
-            encryptedReservedBy: encReservedBy,
-            reservationEnd: 0,
-            location: _location,
-            obfuscationSeed: obfuscationSeed
-        });
-
-        // Set FHE permissions
-        FHE.allowThis(encPrice);
-        FHE.allowThis(encStatus);
-        FHE.allowThis(encReservedBy);
-
-        emit SpotAdded(totalSpots, _location);
-        totalSpots++;
-    }
-
     /**
      * @notice Update parking spot price
+     * @dev This is the hourly price pricing rules apply to; they never raise it above MAX_PRICE
      * @param spotId Spot ID to update
      * @param newPrice New price
      */
-    function updateSpotPrice(uint32 spotId, uint16 newPrice) external onlyOperator validSpot(spotId) {
+    function updateSpotPrice(uint32 spotId, uint16 newPrice) external onlySpotOperator(spotId) validSpot(spotId) {
         require(newPrice > 0 && newPrice <= MAX_PRICE, "Invalid price");
 
         // Update obfuscation seed for additional privacy
@@ -360,7 +250,10 @@ contract PrivateParkingReservation is SepoliaConfig {
      * @param spotId Spot ID
      * @param inMaintenance Whether spot is in maintenance
      */
-    function setSpotMaintenance(uint32 spotId, bool inMaintenance) external onlyOperator validSpot(spotId) {
+    function setSpotMaintenance(
+        uint32 spotId,
+        bool inMaintenance
+    ) external onlySpotOperator(spotId) validSpot(spotId) {
         require(parkingSpots[spotId].reservationEnd < block.timestamp, "Spot currently reserved");
 
         euint8 newStatus = FHE.asEuint8(uint8(inMaintenance ? SpotStatus.Maintenance : SpotStatus.Available));
@@ -374,7 +267,7 @@ contract PrivateParkingReservation is SepoliaConfig {
      * @notice Deactivate a parking spot
      * @param spotId Spot ID to deactivate
      */
-    function deactivateSpot(uint32 spotId) external onlyOperator validSpot(spotId) {
+    function deactivateSpot(uint32 spotId) external onlySpotOperator(spotId) validSpot(spotId) {
         require(parkingSpots[spotId].reservationEnd < block.timestamp, "Spot currently reserved");
         parkingSpots[spotId].isActive = false;
         emit SpotRemoved(spotId);
@@ -383,51 +276,98 @@ contract PrivateParkingReservation is SepoliaConfig {
     // ============ Reservation Functions with Gateway Callback ============
 
     /**
-     * @notice Request a parking spot reservation
+     * @notice Request a parking spot reservation starting now
      * @dev Initiates Gateway callback pattern: User submits -> Contract records -> Gateway decrypts -> Callback completes
      * @param spotId Spot ID to reserve
      * @param duration Duration in seconds
+     * @param encryptedOffer Handle of the encrypted offer in wei, compared to the window price under encryption
+     * @param inputProof Proof for the offer handle
      */
     function requestReservation(
         uint32 spotId,
-        uint256 duration
-    ) external payable onlyRegistered validSpot(spotId) whenNotPaused nonReentrant {
-        require(duration >= MIN_DURATION && duration <= MAX_DURATION, "Invalid duration");
-        require(msg.value > 0, "Payment required");
+        uint256 duration,
+        externalEuint64 encryptedOffer,
+        bytes calldata inputProof
+    ) external payable onlyEligible validSpot(spotId) whenNotPaused nonReentrant {
+        // Check if spot's current reservation has ended
+        require(parkingSpots[spotId].reservationEnd < block.timestamp, "Spot currently reserved");
+        _requestReservation(spotId, block.timestamp, duration, FHE.fromExternal(encryptedOffer, inputProof), msg.value);
+    }
 
-        ParkingSpot storage spot = parkingSpots[spotId];
+    /**
+     * @notice Request a reservation for a future time window
+     * @dev Same Gateway flow as requestReservation; the window is held while the request is pending
+     * @param spotId Spot ID to reserve
+     * @param startTime Start of the window (at most MAX_ADVANCE_BOOKING ahead)
+     * @param duration Duration in seconds
+     * @param encryptedOffer Handle of the encrypted offer in wei, compared to the window price under encryption
+     * @param inputProof Proof for the offer handle
+     */
+    function requestReservationAt(
+        uint32 spotId,
+        uint256 startTime,
+        uint256 duration,
+        externalEuint64 encryptedOffer,
+        bytes calldata inputProof
+    ) external payable onlyEligible validSpot(spotId) whenNotPaused nonReentrant {
+        require(startTime >= block.timestamp, "Start time in the past");
+        require(startTime <= block.timestamp + MAX_ADVANCE_BOOKING, "Start time too far ahead");
+        _requestReservation(spotId, startTime, duration, FHE.fromExternal(encryptedOffer, inputProof), msg.value);
+    }
 
-        // Check if spot's current reservation has ended
-        require(spot.reservationEnd < block.timestamp, "Spot currently reserved");
+    /**
+     * @dev The deposit is public, the offer is not: the Gateway only decrypts whether the offer covers the
+     *      encrypted price of the window at the user's credit tier and is backed by the deposit, never the offer
+     *      or the price
+     */
+    function _requestReservation(
+        uint32 spotId,
+        uint256 startTime,
+        uint256 duration,
+        euint64 offer,
+        uint256 depositAmount
+    ) internal {
+        require(duration >= MIN_DURATION && duration <= MAX_DURATION, "Invalid duration");
+        require(depositAmount > 0, "Payment required");
+        require(depositAmount <= type(uint64).max, "Payment too large");
+        require(waitlistOffers[spotId].expiresAt < block.timestamp, "Spot offered to waitlist");
 
-        uint256 startTime = block.timestamp;
         uint256 endTime = startTime + duration;
+        _claimWindow(spotId, startTime, endTime);
 
         // Create reservation with pending status
         uint256 reservationId = reservationCounter++;
-        euint16 encPaidAmount = FHE.asEuint16(uint16(msg.value));
+        ebool offerAccepted = FHE.and(
+            FHE.ge(offer, _offerPrice(spotId, startTime, duration)),
+            FHE.le(offer, uint64(depositAmount))
+        );
+        if (creditTiers.minScore > 0) {
+            offerAccepted = FHE.and(offerAccepted, FHE.ge(userProfiles[msg.sender].encryptedCreditScore, creditTiers.minScore));
+        }
 
         reservations[reservationId] = Reservation({
             spotId: spotId,
             user: msg.sender,
             encryptedUserId: userProfiles[msg.sender].encryptedUserId,
-            encryptedPaidAmount: encPaidAmount,
+            encryptedPaidAmount: offer,
             startTime: startTime,
             endTime: endTime,
             status: ReservationStatus.Pending,
             isActive: true,
-            depositAmount: msg.value,
+            depositAmount: depositAmount,
             requestTimestamp: block.timestamp,
-            decryptionRequestId: 0
+            decryptionRequestId: 0,
+            platformFee: 0
         });
 
         // Set FHE permissions
-        FHE.allowThis(encPaidAmount);
-        FHE.allow(encPaidAmount, msg.sender);
+        FHE.allowThis(offer);
+        FHE.allow(offer, msg.sender);
 
-        // Prepare Gateway decryption request for spot status verification
-        bytes32[] memory cts = new bytes32[](1);
-        cts[0] = FHE.toBytes32(spot.encryptedStatus);
+        // Prepare Gateway decryption request for spot status and price verification
+        bytes32[] memory cts = new bytes32[](2);
+        cts[0] = FHE.toBytes32(parkingSpots[spotId].encryptedStatus);
+        cts[1] = FHE.toBytes32(offerAccepted);
 
         // Request Gateway decryption
         uint256 requestId = FHE.requestDecryption(cts, this.reservationCallback.selector);
@@ -446,10 +386,24 @@ contract PrivateParkingReservation is SepoliaConfig {
 
         reservations[reservationId].decryptionRequestId = requestId;
         userReservations[msg.sender].push(reservationId);
+        spotBookings[spotId].push(reservationId);
 
         emit ReservationRequested(reservationId, spotId, msg.sender, requestId);
     }
 
+    // The pricing rules do not fit in this contract, so the extension prices the window on its storage
+    function _offerPrice(uint32 spotId, uint256 startTime, uint256 duration) private returns (euint64) {
+        (bool success, bytes memory result) = address(extension).delegatecall(
+            abi.encodeCall(PrivateParkingReservationExtension.offerPrice, (spotId, startTime, duration))
+        );
+        if (!success) {
+            assembly ("memory-safe") {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return abi.decode(result, (euint64));
+    }
+
     /**
      * @notice Gateway callback for reservation confirmation
      * @dev Called by Gateway after decryption is complete
@@ -472,30 +426,46 @@ contract PrivateParkingReservation is SepoliaConfig {
 
         request.processed = true;
 
-        // Decode the spot status
-        uint8 spotStatus = abi.decode(cleartexts, (uint8));
+        // Decode the spot status and the result of the price comparison
+        (uint8 spotStatus, bool offerAccepted) = abi.decode(cleartexts, (uint8, bool));
 
         Reservation storage reservation = reservations[request.reservationId];
         ParkingSpot storage spot = parkingSpots[request.spotId];
 
-        // Check if spot is available
-        if (spotStatus == uint8(SpotStatus.Available)) {
+        // A spot reserved by someone else is fine if that reservation ends before this window starts
+        bool spotUsable = spotStatus == uint8(SpotStatus.Available) ||
+            (spotStatus == uint8(SpotStatus.Reserved) && reservation.startTime >= spot.reservationEnd);
+
+        if (!offerAccepted) {
+            // Offer below the spot price or above the deposit - refund user
+            _processRefund(reservation.user, reservation.depositAmount, "Offer not accepted");
+            reservation.status = ReservationStatus.Refunded;
+            reservation.isActive = false;
+
+            emit GatewayCallbackReceived(requestId, false);
+        } else if (spotUsable) {
             // Confirm reservation
             reservation.status = ReservationStatus.Active;
 
-            // Update spot status to reserved
-            euint8 reservedStatus = FHE.asEuint8(uint8(SpotStatus.Reserved));
-            spot.encryptedStatus = reservedStatus;
-            spot.encryptedReservedBy = reservation.encryptedUserId;
-            spot.reservationEnd = reservation.endTime;
-            FHE.allowThis(reservedStatus);
+            // Windows booked in advance only occupy the spot once they start
+            if (reservation.startTime <= block.timestamp) {
+                if (spot.reservationEnd == 0) {
+                    lotOccupancy[spotLots[request.spotId]].occupied++;
+                }
+                euint8 reservedStatus = FHE.asEuint8(uint8(SpotStatus.Reserved));
+                spot.encryptedStatus = reservedStatus;
+                spot.encryptedReservedBy = reservation.encryptedUserId;
+                spot.reservationEnd = reservation.endTime;
+                FHE.allowThis(reservedStatus);
+            }
 
             // Update user profile
             userProfiles[reservation.user].totalReservations++;
             userProfiles[reservation.user].lastReservation = block.timestamp;
 
-            // Collect platform fee (5%)
-            uint256 fee = reservation.depositAmount / 20;
+            // Collect the platform fee (5%, or the fee share of the spot's lot)
+            uint256 fee = _platformFee(request.spotId, reservation.depositAmount);
+            reservation.platformFee = fee;
             platformFees += fee;
 
             emit ReservationConfirmed(request.reservationId, request.spotId, request.requester);
@@ -508,56 +478,15 @@ contract PrivateParkingReservation is SepoliaConfig {
 
             emit GatewayCallbackReceived(requestId, false);
         }
-    }
-
-    // ============ Timeout Protection ============
-
-    /**
-     * @notice Trigger timeout for stuck Gateway request
-     * @dev Allows user to claim refund if Gateway doesn't respond in time
-     * @param requestId Request ID to timeout
-     */
-    function triggerTimeout(uint256 requestId) external nonReentrant {
-        GatewayRequest storage request = gatewayRequests[requestId];
-        require(request.requester == msg.sender || msg.sender == owner, "Not authorized");
-        require(!request.processed, "Already processed");
-        require(!request.timedOut, "Already timed out");
-        require(block.timestamp >= request.timestamp + TIMEOUT_PERIOD, "Timeout not reached");
-
-        request.timedOut = true;
 
-        if (request.requestType == RequestType.Reservation) {
-            Reservation storage reservation = reservations[request.reservationId];
-
-            // Refund the deposit
-            _processRefund(reservation.user, reservation.depositAmount, "Gateway timeout");
-            reservation.status = ReservationStatus.Refunded;
-            reservation.isActive = false;
+        // A refused waitlist claim leaves the spot free for the next user in line
+        if (reservation.status == ReservationStatus.Refunded) {
+            _offerNext(request.spotId);
         }
-
-        emit TimeoutTriggered(requestId, request.requester);
     }
 
     // ============ Refund Mechanism ============
 
-    /**
-     * @notice Internal function to process refunds
-     * @param user User to refund
-     * @param amount Amount to refund
-     * @param reason Reason for refund
-     */
-    function _processRefund(address user, uint256 amount, string memory reason) internal {
-        require(amount > 0, "No amount to refund");
-
-        (bool sent, ) = payable(user).call{value: amount}("");
-        if (!sent) {
-            // If transfer fails, add to user's deposit balance for later withdrawal
-            userProfiles[user].depositBalance += amount;
-        }
-
-        emit RefundIssued(user, amount, reason);
-    }
-
     /**
      * @notice Withdraw deposit balance
      */
@@ -578,10 +507,7 @@ contract PrivateParkingReservation is SepoliaConfig {
      * @param reservationId Reservation ID to cancel
      */
     function cancelReservation(uint256 reservationId) external nonReentrant {
-        require(reservationId < reservationCounter, "Invalid reservation ID");
-
-        Reservation storage reservation = reservations[reservationId];
-        require(reservation.user == msg.sender, "Not your reservation");
+        Reservation storage reservation = _ownReservation(reservationId);
         require(reservation.isActive, "Reservation not active");
         require(
             reservation.status == ReservationStatus.Pending ||
@@ -602,26 +528,22 @@ contract PrivateParkingReservation is SepoliaConfig {
         if (reservation.status == ReservationStatus.Pending) {
             refundAmount = reservation.depositAmount;
         } else {
-            // 10% cancellation fee for active reservations
-            refundAmount = (reservation.depositAmount * 90) / 100;
-            platformFees += reservation.depositAmount - refundAmount;
+            // 10% cancellation fee for active reservations, kept by the lot; the platform fee is never refunded
+            refundAmount = (reservation.depositAmount * CANCELLATION_REFUND_PERCENT) / 100;
+            if (refundAmount > reservation.depositAmount - reservation.platformFee) {
+                refundAmount = reservation.depositAmount - reservation.platformFee;
+            }
+            _settle(reservation, refundAmount);
         }
 
         // Update reservation status
         reservation.status = ReservationStatus.Cancelled;
         reservation.isActive = false;
 
-        // Release parking spot
-        ParkingSpot storage spot = parkingSpots[reservation.spotId];
-        euint8 availableStatus = FHE.asEuint8(uint8(SpotStatus.Available));
-        euint32 noReserver = FHE.asEuint32(0);
-
-        spot.encryptedStatus = availableStatus;
-        spot.encryptedReservedBy = noReserver;
-        spot.reservationEnd = 0;
-
-        FHE.allowThis(availableStatus);
-        FHE.allowThis(noReserver);
+        // Release parking spot (a window that has not started does not hold it yet)
+        if (reservation.startTime <= block.timestamp) {
+            _releaseSpot(reservation.spotId);
+        }
 
         // Process refund
         _processRefund(msg.sender, refundAmount, "User cancelled");
@@ -631,12 +553,11 @@ contract PrivateParkingReservation is SepoliaConfig {
 
     /**
      * @notice Complete a reservation
+     * @dev Completing after endTime + OVERSTAY_GRACE_PERIOD charges the overstay penalty, as markOverstay does
      * @param reservationId Reservation ID to complete
      */
     function completeReservation(uint256 reservationId) external {
-        require(reservationId < reservationCounter, "Invalid reservation ID");
-
-        Reservation storage reservation = reservations[reservationId];
+        Reservation storage reservation = _reservation(reservationId);
         require(reservation.isActive, "Reservation not active");
         require(reservation.status == ReservationStatus.Active, "Reservation not active");
         require(block.timestamp >= reservation.endTime, "Reservation not ended");
@@ -644,90 +565,253 @@ contract PrivateParkingReservation is SepoliaConfig {
         // Update reservation status
         reservation.status = ReservationStatus.Completed;
         reservation.isActive = false;
+        _settle(reservation, 0);
+        if (block.timestamp > reservation.endTime + OVERSTAY_GRACE_PERIOD) {
+            _chargeOverstay(reservationId, reservation);
+        }
 
         // Release parking spot
-        ParkingSpot storage spot = parkingSpots[reservation.spotId];
-        euint8 availableStatus = FHE.asEuint8(uint8(SpotStatus.Available));
-        euint32 noReserver = FHE.asEuint32(0);
-
-        spot.encryptedStatus = availableStatus;
-        spot.encryptedReservedBy = noReserver;
-        spot.reservationEnd = 0;
-
-        FHE.allowThis(availableStatus);
-        FHE.allowThis(noReserver);
+        _releaseSpot(reservation.spotId);
 
         emit ReservationCompleted(reservationId, reservation.spotId);
     }
 
-    // ============ Emergency Functions ============
+    // ============ Waitlist ============
+    // Joining, leaving and expiring offers are implemented in PrivateParkingReservationExtension
 
     /**
-     * @notice Emergency release of a parking spot
-     * @param spotId Spot ID to release
+     * @notice Request the reservation of the spot offered to the caller, starting now
+     * @dev Goes through the Gateway like requestReservation, with the offer and deposit given on joining the
+     *      waitlist; the deposit is refunded if the offer no longer covers the spot price
+     * @param spotId Spot ID offered to the caller
      */
-    function emergencyReleaseSpot(uint32 spotId) external onlyOwner validSpot(spotId) {
-        ParkingSpot storage spot = parkingSpots[spotId];
+    function claimWaitlistOffer(uint32 spotId) external onlyEligible validSpot(spotId) whenNotPaused nonReentrant {
+        WaitlistOffer memory offer = waitlistOffers[spotId];
+        require(offer.user == msg.sender, "No offer");
+        require(offer.expiresAt >= block.timestamp, "Offer expired");
 
-        euint8 availableStatus = FHE.asEuint8(uint8(SpotStatus.Available));
-        euint32 noReserver = FHE.asEuint32(0);
+        WaitlistEntry memory entry = waitlistEntries[spotId][msg.sender];
+        delete waitlistOffers[spotId];
+        delete waitlistEntries[spotId][msg.sender];
+        _requestReservation(spotId, block.timestamp, entry.duration, entry.encryptedOffer, entry.deposit);
 
-        spot.encryptedStatus = availableStatus;
-        spot.encryptedReservedBy = noReserver;
-        spot.reservationEnd = 0;
+        emit WaitlistOfferClaimed(spotId, msg.sender, reservationCounter - 1);
+    }
 
-        FHE.allowThis(availableStatus);
-        FHE.allowThis(noReserver);
+    /**
+     * @notice Users waiting for a spot, first in line first; the user holding the current offer is not included
+     * @param spotId Spot ID
+     * @return waiting User addresses
+     */
+    function getWaitlist(uint32 spotId) external view returns (address[] memory waiting) {
+        require(spotId < totalSpots, "Invalid spot ID");
+        address[] storage queue = waitlists[spotId];
+        uint256 head = waitlistHeads[spotId];
 
-        emit SpotUpdated(spotId);
+        uint256 count = 0;
+        for (uint256 i = head; i < queue.length; i++) {
+            if (_isWaiting(spotId, queue, i)) count++;
+        }
+
+        waiting = new address[](count);
+        uint256 j = 0;
+        for (uint256 i = head; i < queue.length; i++) {
+            if (_isWaiting(spotId, queue, i)) waiting[j++] = queue[i];
+        }
     }
 
+    // ============ Credit Tiers ============
+
     /**
-     * @notice Emergency refund for a reservation
-     * @param reservationId Reservation ID to refund
+     * @notice Compute the caller's credit tier under encryption, for the caller to decrypt
+     * @dev Readable through getCreditTierResult; the value is a CreditTier
      */
-    function emergencyRefund(uint256 reservationId) external onlyOwner nonReentrant {
-        require(reservationId < reservationCounter, "Invalid reservation ID");
+    function checkCreditTier() external onlyRegistered returns (euint8 tier) {
+        (ebool depositRequired, ebool discounted) = _creditTier(userProfiles[msg.sender].encryptedCreditScore);
+        tier = FHE.select(
+            depositRequired,
+            FHE.asEuint8(uint8(CreditTier.DepositRequired)),
+            FHE.select(discounted, FHE.asEuint8(uint8(CreditTier.Discount)), FHE.asEuint8(uint8(CreditTier.Standard)))
+        );
 
-        Reservation storage reservation = reservations[reservationId];
-        require(reservation.isActive, "Reservation not active");
+        creditTierResults[msg.sender] = tier;
+        FHE.allowThis(tier);
+        FHE.allow(tier, msg.sender);
+    }
 
-        reservation.status = ReservationStatus.Refunded;
-        reservation.isActive = false;
+    /**
+     * @notice Result of the caller's latest checkCreditTier, for user decryption
+     */
+    function getCreditTierResult() external view returns (euint8) {
+        return creditTierResults[msg.sender];
+    }
+
+    // ============ Booking Windows ============
+
+    /**
+     * @notice Pending and active windows of a spot that have not ended yet
+     * @param spotId Spot ID
+     */
+    function getSpotBookings(uint32 spotId) external view returns (
+        uint256[] memory reservationIds,
+        uint256[] memory startTimes,
+        uint256[] memory endTimes
+    ) {
+        require(spotId < totalSpots, "Invalid spot ID");
+        uint256[] storage bookings = spotBookings[spotId];
+
+        uint256 count = 0;
+        for (uint256 i = 0; i < bookings.length; i++) {
+            if (_holdsWindow(reservations[bookings[i]])) count++;
+        }
+
+        reservationIds = new uint256[](count);
+        startTimes = new uint256[](count);
+        endTimes = new uint256[](count);
+        uint256 j = 0;
+        for (uint256 i = 0; i < bookings.length; i++) {
+            Reservation storage booking = reservations[bookings[i]];
+            if (!_holdsWindow(booking)) continue;
+            reservationIds[j] = bookings[i];
+            startTimes[j] = booking.startTime;
+            endTimes[j] = booking.endTime;
+            j++;
+        }
+    }
+
+    // ============ Extension Functions ============
+    // Implemented in PrivateParkingReservationExtension, see there for their documentation
+
+    function addParkingSpot(uint16, string calldata) external {
+        _delegate();
+    }
+
+    function registerLot(string calldata, uint8) external returns (uint32) {
+        _delegate();
+    }
+
+    function setLotFeeShare(uint32, uint8) external {
+        _delegate();
+    }
+
+    function addLotSpot(uint32, uint16, string calldata) external {
+        _delegate();
+    }
+
+    function withdrawLotRevenue(uint32, address) external {
+        _delegate();
+    }
+
+    function setSpotPricingRule(uint32, PricingRule calldata) external {
+        _delegate();
+    }
+
+    function setLotPricingRule(uint32, PricingRule calldata) external {
+        _delegate();
+    }
+
+    function quotePrice(uint32, uint256, uint256) external returns (euint64) {
+        _delegate();
+    }
+
+    function extendReservation(uint256, uint256) external payable {
+        _delegate();
+    }
+
+    function extensionCallback(uint256, bytes calldata, bytes calldata) external {
+        _delegate();
+    }
+
+    function triggerTimeout(uint256) external {
+        _delegate();
+    }
+
+    function checkOutEarly(uint256) external {
+        _delegate();
+    }
+
+    function joinWaitlist(uint32, uint256, externalEuint64, bytes calldata) external payable {
+        _delegate();
+    }
+
+    function leaveWaitlist(uint32) external {
+        _delegate();
+    }
 
-        // Release spot
-        ParkingSpot storage spot = parkingSpots[reservation.spotId];
-        euint8 availableStatus = FHE.asEuint8(uint8(SpotStatus.Available));
-        euint32 noReserver = FHE.asEuint32(0);
+    function expireWaitlistOffer(uint32) external {
+        _delegate();
+    }
+
+    function setKeeper(address, bool) external {
+        _delegate();
+    }
+
+    function clearOverstays(address) external {
+        _delegate();
+    }
+
+    function markOverstay(uint256) external {
+        _delegate();
+    }
+
+    function payPenalty() external payable {
+        _delegate();
+    }
 
-        spot.encryptedStatus = availableStatus;
-        spot.encryptedReservedBy = noReserver;
-        spot.reservationEnd = 0;
+    function emergencyReleaseSpot(uint32) external {
+        _delegate();
+    }
 
-        FHE.allowThis(availableStatus);
-        FHE.allowThis(noReserver);
+    function emergencyRefund(uint256) external {
+        _delegate();
+    }
 
-        // Full refund
-        _processRefund(reservation.user, reservation.depositAmount, "Emergency refund by admin");
+    /**
+     * @dev Run the calldata on the extension with this contract's storage, balance and FHE permissions, and return
+     *      or revert with its result
+     */
+    function _delegate() private {
+        address target = address(extension);
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(gas(), target, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(success) {
+                revert(ptr, returndatasize())
+            }
+            return(ptr, returndatasize())
+        }
     }
 
     // ============ View Functions ============
 
     /**
      * @notice Check spot availability (encrypted query)
+     * @dev The caller is allowed to decrypt the result, which stays readable through getAvailabilityResult
      * @param spotId Spot ID to check
-     * @return Encrypted boolean indicating availability
+     * @return available Encrypted boolean indicating availability
      */
-    function checkSpotAvailability(uint32 spotId) external validSpot(spotId) returns (ebool) {
+    function checkSpotAvailability(uint32 spotId) external validSpot(spotId) returns (ebool available) {
         ParkingSpot storage spot = parkingSpots[spotId];
 
         // Check if reservation has expired
         if (spot.reservationEnd > 0 && block.timestamp > spot.reservationEnd) {
-            return FHE.asEbool(true);
+            available = FHE.asEbool(true);
+        } else {
+            available = FHE.eq(spot.encryptedStatus, FHE.asEuint8(uint8(SpotStatus.Available)));
         }
 
-        euint8 availableStatus = FHE.asEuint8(uint8(SpotStatus.Available));
-        return FHE.eq(spot.encryptedStatus, availableStatus);
+        availabilityResults[msg.sender][spotId] = available;
+        _allowResult(available);
+    }
+
+    /**
+     * @notice Result of the caller's latest checkSpotAvailability for a spot, for user decryption
+     * @param spotId Spot ID
+     */
+    function getAvailabilityResult(uint32 spotId) external view returns (ebool) {
+        return availabilityResults[msg.sender][spotId];
     }
 
     /**
@@ -755,8 +839,7 @@ contract PrivateParkingReservation is SepoliaConfig {
         ReservationStatus status,
         bool isActive
     ) {
-        require(reservationId < reservationCounter, "Invalid reservation ID");
-        Reservation storage reservation = reservations[reservationId];
+        Reservation storage reservation = _reservation(reservationId);
         return (
             reservation.spotId,
             reservation.user,
@@ -769,12 +852,37 @@ contract PrivateParkingReservation is SepoliaConfig {
 
     /**
      * @notice Get user reservations
+     * @dev Returns every ID; views.getUserReservationsPage returns them a page at a time with their details
      * @param user User address
      */
     function getUserReservations(address user) external view returns (uint256[] memory) {
         return userReservations[user];
     }
 
+    /**
+     * @notice Number of reservations a user made, for paging with userReservationAt
+     * @param user User address
+     */
+    function userReservationCount(address user) external view returns (uint256) {
+        return userReservations[user].length;
+    }
+
+    /**
+     * @notice Reservation ID at a position of the user's reservations, in the order they were made
+     * @param user User address
+     * @param index Position, below userReservationCount
+     */
+    function userReservationAt(address user, uint256 index) external view returns (uint256) {
+        return userReservations[user][index];
+    }
+
+    /**
+     * @notice Number of registered users, for paging through registeredUsers
+     */
+    function registeredUserCount() external view returns (uint256) {
+        return registeredUsers.length;
+    }
+
     /**
      * @notice Get user profile info
      * @param user User address
@@ -831,23 +939,52 @@ contract PrivateParkingReservation is SepoliaConfig {
 
     /**
      * @notice Verify user identity using encrypted comparison
+     * @dev The caller is allowed to decrypt the result, which stays readable through getIdentityResult. Only the
+     *      user and operators may check, since repeated guesses would otherwise reveal the user's ID to anyone
      * @param user User address
      * @param providedUserId User ID to verify
+     * @return matches Encrypted boolean, true when the IDs match
      */
-    function verifyUserIdentity(address user, uint32 providedUserId) external returns (ebool) {
+    function verifyUserIdentity(address user, uint32 providedUserId) external returns (ebool matches) {
+        if (user != msg.sender) _checkOperator();
         require(userProfiles[user].isRegistered, "User not registered");
 
         // Apply privacy multiplier to protect against division attacks
         euint32 encProvidedId = FHE.asEuint32(providedUserId);
         euint32 storedId = userProfiles[user].encryptedUserId;
 
-        return FHE.eq(encProvidedId, storedId);
+        matches = FHE.eq(encProvidedId, storedId);
+        identityResults[msg.sender][user] = matches;
+        _allowResult(matches);
+    }
+
+    /**
+     * @notice Result of the caller's latest verifyUserIdentity for a user, for user decryption
+     * @param user User address
+     */
+    function getIdentityResult(address user) external view returns (ebool) {
+        return identityResults[msg.sender][user];
+    }
+
+    /**
+     * @notice Result of the caller's latest quotePrice, for user decryption
+     */
+    function getQuoteResult() external view returns (euint64) {
+        return quoteResults[msg.sender];
+    }
+
+    /**
+     * @dev User decryption needs both the contract and the caller on the ACL of the handle
+     */
+    function _allowResult(ebool result) internal {
+        FHE.allowThis(result);
+        FHE.allow(result, msg.sender);
     }
 
     // ============ Receive Function ============
     receive() external payable {
         if (userProfiles[msg.sender].isRegistered) {
-            userProfiles[msg.sender].depositBalance += msg.value;
+            userProfiles[msg.sender].depositBalance += _settlePenalty(msg.sender, msg.value);
             emit DepositReceived(msg.sender, msg.value);
         } else {
             revert("User not registered");
@@ -0,0 +1,576 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { FHE, externalEuint64, euint8, euint16, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { PrivateParkingReservationStorage } from "./PrivateParkingReservationStorage.sol";
+
+/**
+ * @title PrivateParkingReservationExtension
+ * @notice Functions of PrivateParkingReservation that do not fit in its 24 KiB code size limit
+ * @dev Deployed first and passed to the constructor of PrivateParkingReservation, which forwards the calls it does
+ *      not implement itself here with delegatecall, so they run on its storage, balance and FHE permissions and emit
+ *      its events. Called directly, it only sees its own storage, which has no owner, spots or reservations.
+ */
+contract PrivateParkingReservationExtension is PrivateParkingReservationStorage {
+
+    // ============ Parking Spot Management ============
+
+    /**
+     * @notice Add a new parking spot with encrypted price
+     * @param _price Price of the parking spot
+     * @param _location Location description
+     */
+    function addParkingSpot(uint16 _price, string memory _location) external onlyOperator whenNotPaused {
+        _addSpot(0, _price, _location);
+    }
+
+    // ============ Parking Lots ============
+
+    /**
+     * @notice Register a parking lot operated by the caller
+     * @param name Lot or garage name
+     * @param feeShare Platform cut in percent of every deposit on the lot's spots (MIN_FEE_SHARE-100)
+     * @return lotId ID of the new lot
+     */
+    function registerLot(string memory name, uint8 feeShare) external onlyOperator whenNotPaused returns (uint32 lotId) {
+        require(bytes(name).length > 0, "Name required");
+        require(feeShare >= MIN_FEE_SHARE && feeShare <= 100, "Invalid fee share");
+
+        lotId = ++totalLots;
+        parkingLots[lotId] = ParkingLot({operator: msg.sender, feeShare: feeShare, revenue: 0, name: name});
+
+        emit LotRegistered(lotId, msg.sender, name);
+    }
+
+    /**
+     * @notice Change the platform cut of a lot; applies to deposits received from now on
+     * @param lotId Lot ID
+     * @param feeShare Platform cut in percent (MIN_FEE_SHARE-100)
+     */
+    function setLotFeeShare(uint32 lotId, uint8 feeShare) external onlyLotOperator(lotId) {
+        require(lotId > 0, "Invalid lot ID");
+        require(feeShare >= MIN_FEE_SHARE && feeShare <= 100, "Invalid fee share");
+        parkingLots[lotId].feeShare = feeShare;
+        emit LotFeeShareUpdated(lotId, feeShare);
+    }
+
+    /**
+     * @notice Add a parking spot to a lot; the lot operator manages it like operators manage platform spots
+     * @param lotId Lot ID
+     * @param _price Price of the parking spot
+     * @param _location Location description
+     */
+    function addLotSpot(uint32 lotId, uint16 _price, string memory _location) external onlyLotOperator(lotId) whenNotPaused {
+        _addSpot(lotId, _price, _location);
+    }
+
+    /**
+     * @notice Withdraw the settled revenue of a lot; lot 0 holds the revenue of platform spots for the owner
+     * @param lotId Lot ID
+     * @param to Address to receive the revenue
+     */
+    function withdrawLotRevenue(uint32 lotId, address to) external onlyLotOperator(lotId) nonReentrant {
+        uint256 amount = parkingLots[lotId].revenue;
+        require(amount > 0, "No revenue to withdraw");
+        require(to != address(0), "Invalid address");
+
+        parkingLots[lotId].revenue = 0;
+        (bool sent, ) = payable(to).call{value: amount}("");
+        require(sent, "Withdraw failed");
+
+        emit LotRevenueWithdrawn(lotId, to, amount);
+    }
+
+    // ============ Pricing Rules ============
+
+    /**
+     * @notice Set or clear (enabled = false) the pricing rule of a spot; applies to requests made from now on
+     * @dev Platform spots are priced by the owner and operators, lot spots by their lot operator
+     * @param spotId Spot ID
+     * @param rule Pricing rule
+     */
+    function setSpotPricingRule(
+        uint32 spotId,
+        PricingRule calldata rule
+    ) external onlySpotOperator(spotId) validSpot(spotId) {
+        _validatePricingRule(rule);
+        spotPricingRules[spotId] = rule;
+        emit SpotPricingRuleUpdated(spotId, rule.enabled);
+    }
+
+    /**
+     * @notice Set or clear (enabled = false) the pricing rule of every spot in a lot without a rule of its own
+     * @param lotId Lot ID, or 0 (owner only) for the platform spots
+     * @param rule Pricing rule
+     */
+    function setLotPricingRule(uint32 lotId, PricingRule calldata rule) external onlyLotOperator(lotId) {
+        _validatePricingRule(rule);
+        lotPricingRules[lotId] = rule;
+        emit LotPricingRuleUpdated(lotId, rule.enabled);
+    }
+
+    function _validatePricingRule(PricingRule calldata rule) internal pure {
+        if (!rule.enabled) return;
+        require(rule.peakStartHour < 24 && rule.peakEndHour < 24, "Invalid hour");
+        require(
+            _validPercent(rule.peakPercent) && _validPercent(rule.weekendPercent) && _validPercent(rule.surgePercent),
+            "Invalid percentage"
+        );
+        require(rule.surgeOccupancy <= 100, "Invalid percentage");
+        require(rule.maxPrice <= MAX_PRICE, "Invalid price");
+    }
+
+    function _validPercent(uint16 percent) internal pure returns (bool) {
+        return percent > 0 && percent <= MAX_PRICE_PERCENT;
+    }
+
+    /**
+     * @notice Price the caller would have to offer for a window, encrypted for the caller to decrypt
+     * @dev Priced as requestReservation and requestReservationAt would price it now: pricing rule, lot occupancy
+     *      and the caller's credit tier. Readable through getQuoteResult.
+     * @param spotId Spot ID
+     * @param startTime Start of the window, or 0 to start now
+     * @param duration Duration in seconds
+     * @return price Encrypted price in wei
+     */
+    function quotePrice(
+        uint32 spotId,
+        uint256 startTime,
+        uint256 duration
+    ) external onlyRegistered validSpot(spotId) returns (euint64 price) {
+        require(duration >= MIN_DURATION && duration <= MAX_DURATION, "Invalid duration");
+        price = _offerPrice(spotId, startTime == 0 ? block.timestamp : startTime, duration);
+
+        quoteResults[msg.sender] = price;
+        FHE.allowThis(price);
+        FHE.allow(price, msg.sender);
+    }
+
+    /**
+     * @notice Price the caller has to offer for a window
+     * @dev Run by PrivateParkingReservation through delegatecall to check offers: the pricing rules do not fit in
+     *      its code. Payable because the delegatecall carries the value of the reservation request.
+     */
+    function offerPrice(uint32 spotId, uint256 startTime, uint256 duration) external payable returns (euint64) {
+        return _offerPrice(spotId, startTime, duration);
+    }
+
+    function _offerPrice(uint32 spotId, uint256 startTime, uint256 duration) internal returns (euint64) {
+        return _tierPrice(userProfiles[msg.sender].encryptedCreditScore, _windowPrice(spotId, startTime, duration));
+    }
+
+    /**
+     * @dev Encrypted price of every started hour of [startTime, startTime + duration): the spot price, raised or
+     *      lowered hour by hour by the pricing rule of the spot or else of its lot, and capped. Hours are sorted
+     *      into four classes (peak or not, weekend or not) in the clear, so each class costs one encrypted product.
+     */
+    function _windowPrice(uint32 spotId, uint256 startTime, uint256 duration) internal returns (euint64 total) {
+        euint64 price = FHE.asEuint64(parkingSpots[spotId].encryptedPrice);
+        uint64 startedHours = uint64((duration + 1 hours - 1) / 1 hours);
+
+        uint32 lotId = spotLots[spotId];
+        PricingRule memory rule = spotPricingRules[spotId];
+        if (!rule.enabled) rule = lotPricingRules[lotId];
+        if (!rule.enabled) return FHE.mul(price, startedHours);
+
+        LotOccupancy memory occupancy = lotOccupancy[lotId];
+        if (
+            rule.surgeOccupancy > 0 &&
+            uint256(occupancy.occupied) * 100 >= uint256(occupancy.spots) * rule.surgeOccupancy
+        ) {
+            price = FHE.div(FHE.mul(price, rule.surgePercent), 100);
+        }
+
+        // Index bit 0: peak hour; bit 1: weekend (1970-01-01 was a Thursday, so Saturday is day 2 of the week)
+        uint64[4] memory classHours;
+        for (uint256 i = 0; i < startedHours; i++) {
+            uint256 hourStart = startTime + i * 1 hours;
+            uint256 dayOfWeek = (hourStart / 1 days) % 7;
+            uint256 class = _isPeakHour(rule, (hourStart % 1 days) / 1 hours) ? 1 : 0;
+            if (dayOfWeek == 2 || dayOfWeek == 3) class += 2;
+            classHours[class]++;
+        }
+
+        uint64 cap = rule.maxPrice > 0 && rule.maxPrice < MAX_PRICE ? rule.maxPrice : uint64(MAX_PRICE);
+        total = FHE.asEuint64(0);
+        for (uint256 class = 0; class < 4; class++) {
+            if (classHours[class] == 0) continue;
+            euint64 hourly = price;
+            if (class & 1 != 0) hourly = FHE.div(FHE.mul(hourly, rule.peakPercent), 100);
+            if (class & 2 != 0) hourly = FHE.div(FHE.mul(hourly, rule.weekendPercent), 100);
+            total = FHE.add(total, FHE.mul(FHE.min(hourly, cap), classHours[class]));
+        }
+    }
+
+    function _isPeakHour(PricingRule memory rule, uint256 hourOfDay) internal pure returns (bool) {
+        if (rule.peakStartHour <= rule.peakEndHour) {
+            return hourOfDay >= rule.peakStartHour && hourOfDay < rule.peakEndHour;
+        }
+        return hourOfDay >= rule.peakStartHour || hourOfDay < rule.peakEndHour;
+    }
+
+    /**
+     * @dev Price a user of the given score has to offer: price plus the security deposit, price minus the
+     *      discount, or the price itself, chosen with FHE.select so the tier stays hidden
+     */
+    function _tierPrice(euint16 score, euint64 basePrice) internal returns (euint64) {
+        CreditTierConfig memory tiers = creditTiers;
+        if (tiers.depositPercent == 0 && tiers.discountPercent == 0) {
+            return basePrice;
+        }
+
+        (ebool depositRequired, ebool discounted) = _creditTier(score);
+        euint64 withDeposit = FHE.add(basePrice, FHE.div(FHE.mul(basePrice, tiers.depositPercent), 100));
+        euint64 withDiscount = FHE.sub(basePrice, FHE.div(FHE.mul(basePrice, tiers.discountPercent), 100));
+        return FHE.select(depositRequired, withDeposit, FHE.select(discounted, withDiscount, basePrice));
+    }
+
+    // ============ Running Reservations ============
+
+    /**
+     * @notice Request the extension of an active reservation that has not ended yet
+     * @dev The extra time is held right away while the Gateway checks under encryption that the payment covers its
+     *      price, as a reservation of every started hour of it would be priced, at the user's credit tier. extensionCallback then adds the
+     *      payment to the deposit and charges the platform fee on it like on the original deposit, or refunds it
+     *      and gives the time back.
+     * @param reservationId Reservation ID to extend
+     * @param extraDuration Seconds to add; the total stays within MAX_DURATION and must not reach the next booking
+     */
+    function extendReservation(
+        uint256 reservationId,
+        uint256 extraDuration
+    ) external payable whenNotPaused nonReentrant {
+        Reservation storage reservation = _ownReservation(reservationId);
+        require(reservation.isActive && reservation.status == ReservationStatus.Active, "Reservation not active");
+        require(block.timestamp < reservation.endTime, "Reservation ended");
+        require(pendingExtensions[reservationId].payment == 0, "Extension pending");
+        require(extraDuration > 0, "Invalid duration");
+        require(reservation.endTime + extraDuration - reservation.startTime <= MAX_DURATION, "Exceeds maximum duration");
+        require(msg.value > 0, "Payment required");
+        require(msg.value <= type(uint64).max, "Payment too large");
+
+        uint256 newEndTime = reservation.endTime + extraDuration;
+        _claimWindow(reservation.spotId, reservation.endTime, newEndTime);
+
+        // Keep the spot held for the longer stay if this reservation is the one occupying it
+        ParkingSpot storage spot = parkingSpots[reservation.spotId];
+        if (spot.reservationEnd == reservation.endTime) {
+            spot.reservationEnd = newEndTime;
+        }
+        reservation.endTime = newEndTime;
+
+        // Only whether the payment covers the price is decrypted, never the price
+        euint64 price = _offerPrice(reservation.spotId, newEndTime - extraDuration, extraDuration);
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(FHE.le(price, uint64(msg.value)));
+
+        uint256 requestId = FHE.requestDecryption(cts, this.extensionCallback.selector);
+        gatewayRequests[requestId] = GatewayRequest({
+            requestType: RequestType.Extension,
+            reservationId: reservationId,
+            spotId: reservation.spotId,
+            requester: msg.sender,
+            timestamp: block.timestamp,
+            processed: false,
+            timedOut: false,
+            ciphertextHandles: cts
+        });
+        pendingExtensions[reservationId] = PendingExtension(requestId, extraDuration, msg.value);
+
+        emit ExtensionRequested(reservationId, requestId, newEndTime);
+    }
+
+    /**
+     * @notice Gateway callback for extension requests
+     * @dev Refunds the payment and gives the time back if it does not cover the price, or if the reservation was
+     *      settled in the meantime
+     * @param requestId Request ID from Gateway
+     * @param cleartexts Decoded cleartext values
+     * @param decryptionProof Proof of correct decryption
+     */
+    function extensionCallback(uint256 requestId, bytes memory cleartexts, bytes memory decryptionProof) external {
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        GatewayRequest storage request = gatewayRequests[requestId];
+        require(!request.processed, "Already processed");
+        require(!request.timedOut, "Request timed out");
+        require(request.requestType == RequestType.Extension, "Wrong request type");
+
+        request.processed = true;
+
+        bool paymentCovered = abi.decode(cleartexts, (bool));
+        Reservation storage reservation = reservations[request.reservationId];
+        PendingExtension memory extension = pendingExtensions[request.reservationId];
+        delete pendingExtensions[request.reservationId];
+
+        if (!reservation.isActive || reservation.status != ReservationStatus.Active) {
+            _refundExtension(reservation, extension, "Reservation not active");
+            emit GatewayCallbackReceived(requestId, false);
+        } else if (!paymentCovered) {
+            _refundExtension(reservation, extension, "Extension not covered");
+            emit GatewayCallbackReceived(requestId, false);
+        } else {
+            euint64 encPaidAmount = FHE.add(reservation.encryptedPaidAmount, uint64(extension.payment));
+            reservation.encryptedPaidAmount = encPaidAmount;
+            FHE.allowThis(encPaidAmount);
+            FHE.allow(encPaidAmount, reservation.user);
+
+            uint256 fee = _platformFee(reservation.spotId, extension.payment);
+            reservation.depositAmount += extension.payment;
+            reservation.platformFee += fee;
+            platformFees += fee;
+
+            emit ReservationExtended(request.reservationId, reservation.endTime);
+            emit GatewayCallbackReceived(requestId, true);
+        }
+    }
+
+    // Refund an extension that was not confirmed and give back the time it held
+    function _refundExtension(
+        Reservation storage reservation,
+        PendingExtension memory extension,
+        string memory reason
+    ) internal {
+        ParkingSpot storage spot = parkingSpots[reservation.spotId];
+        if (spot.reservationEnd == reservation.endTime) {
+            spot.reservationEnd -= extension.extraDuration;
+        }
+        reservation.endTime -= extension.extraDuration;
+        _processRefund(reservation.user, extension.payment, reason);
+    }
+
+    /**
+     * @notice Leave before the end of a running reservation
+     * @dev Refunds the unused share of the deposit; the platform fee collected on confirmation is kept
+     * @param reservationId Reservation ID to check out of
+     */
+    function checkOutEarly(uint256 reservationId) external nonReentrant {
+        Reservation storage reservation = _ownReservation(reservationId);
+        require(reservation.isActive && reservation.status == ReservationStatus.Active, "Reservation not active");
+        require(reservation.startTime <= block.timestamp, "Reservation not started");
+        require(block.timestamp < reservation.endTime, "Reservation ended");
+        require(pendingExtensions[reservationId].payment == 0, "Extension pending");
+
+        uint256 refundable = reservation.depositAmount - reservation.platformFee;
+        uint256 refundAmount = (refundable * (reservation.endTime - block.timestamp)) /
+            (reservation.endTime - reservation.startTime);
+
+        reservation.status = ReservationStatus.Completed;
+        reservation.isActive = false;
+        reservation.endTime = block.timestamp;
+        _settle(reservation, refundAmount);
+
+        _releaseSpot(reservation.spotId);
+
+        if (refundAmount > 0) {
+            _processRefund(msg.sender, refundAmount, "Early check-out");
+        }
+
+        emit ReservationCompleted(reservationId, reservation.spotId);
+    }
+
+    // ============ Waitlist ============
+
+    /**
+     * @notice Queue for a spot that is taken; when it frees up, the first user in line is offered it for
+     *         WAITLIST_CLAIM_WINDOW and can claim it with claimWaitlistOffer
+     * @dev The deposit and the encrypted offer back the reservation requested on claiming, which the Gateway checks
+     *      like any other request. The deposit is refunded on leaving or if the offer expires.
+     * @param spotId Spot ID
+     * @param duration Duration in seconds of the reservation requested on claiming
+     * @param encryptedOffer Handle of the encrypted offer in wei, compared to the spot price on claiming
+     * @param inputProof Proof for the offer handle
+     */
+    function joinWaitlist(
+        uint32 spotId,
+        uint256 duration,
+        externalEuint64 encryptedOffer,
+        bytes calldata inputProof
+    ) external payable onlyEligible validSpot(spotId) whenNotPaused nonReentrant {
+        require(duration >= MIN_DURATION && duration <= MAX_DURATION, "Invalid duration");
+        require(msg.value > 0, "Payment required");
+        require(msg.value <= type(uint64).max, "Payment too large");
+        require(!_isFree(spotId) || waitlistOffers[spotId].expiresAt >= block.timestamp, "Spot available");
+        require(waitlistEntries[spotId][msg.sender].position == 0, "Already waitlisted");
+
+        address[] storage queue = waitlists[spotId];
+        require(queue.length - waitlistHeads[spotId] < MAX_WAITLIST_LENGTH, "Waitlist full");
+
+        euint64 offer = FHE.fromExternal(encryptedOffer, inputProof);
+        FHE.allowThis(offer);
+        FHE.allow(offer, msg.sender);
+
+        queue.push(msg.sender);
+        waitlistEntries[spotId][msg.sender] = WaitlistEntry({
+            position: uint32(queue.length),
+            duration: duration,
+            deposit: msg.value,
+            encryptedOffer: offer
+        });
+
+        emit WaitlistJoined(spotId, msg.sender, msg.value);
+    }
+
+    /**
+     * @notice Leave a waitlist, or decline the spot offered; the deposit is refunded
+     * @param spotId Spot ID
+     */
+    function leaveWaitlist(uint32 spotId) external nonReentrant {
+        WaitlistEntry memory entry = waitlistEntries[spotId][msg.sender];
+        require(entry.position > 0, "Not waitlisted");
+
+        delete waitlistEntries[spotId][msg.sender];
+        emit WaitlistLeft(spotId, msg.sender, entry.deposit);
+
+        if (waitlistOffers[spotId].user == msg.sender) {
+            delete waitlistOffers[spotId];
+            _offerNext(spotId);
+        }
+
+        _processRefund(msg.sender, entry.deposit, "Left waitlist");
+    }
+
+    /**
+     * @notice Refund an offer that was not claimed in time and offer the spot to the next user; callable by anyone
+     * @param spotId Spot ID
+     */
+    function expireWaitlistOffer(uint32 spotId) external nonReentrant {
+        WaitlistOffer memory offer = waitlistOffers[spotId];
+        require(offer.user != address(0) && offer.expiresAt < block.timestamp, "No expired offer");
+
+        uint256 deposit = waitlistEntries[spotId][offer.user].deposit;
+        delete waitlistOffers[spotId];
+        delete waitlistEntries[spotId][offer.user];
+        emit WaitlistOfferExpired(spotId, offer.user);
+
+        _offerNext(spotId);
+
+        _processRefund(offer.user, deposit, "Waitlist offer expired");
+    }
+
+    // ============ Overstays ============
+
+    /**
+     * @notice Allow or revoke an address (e.g. a keeper bot) to mark overstays on every spot
+     * @param keeper Keeper address
+     * @param status Whether the address is a keeper
+     */
+    function setKeeper(address keeper, bool status) external onlyOwner {
+        require(keeper != address(0), "Invalid address");
+        keepers[keeper] = status;
+        emit KeeperUpdated(keeper, status);
+    }
+
+    /**
+     * @notice Let a user barred after MAX_OVERSTAYS overstays reserve again
+     * @param user User address
+     */
+    function clearOverstays(address user) external onlyOwner {
+        overstayCounts[user] = 0;
+        emit OverstaysCleared(user);
+    }
+
+    /**
+     * @notice Settle a reservation its user left running past endTime + OVERSTAY_GRACE_PERIOD and charge a penalty
+     * @dev Spot operators and keepers only. The reservation is settled as on completion and the spot freed for its
+     *      waitlist. The spot price is encrypted, so the penalty is charged on the deposit per started hour booked.
+     *      It goes to the platform, taken from the user's deposit balance; the rest stays outstanding and bars the
+     *      user from reserving until paid. Each overstay counts towards MAX_OVERSTAYS.
+     * @param reservationId Reservation ID
+     */
+    function markOverstay(uint256 reservationId) external nonReentrant {
+        Reservation storage reservation = _reservation(reservationId);
+        uint32 spotId = reservation.spotId;
+
+        if (!keepers[msg.sender]) _checkSpotOperator(spotId);
+        require(reservation.status == ReservationStatus.Active, "Reservation not active");
+        require(pendingExtensions[reservationId].payment == 0, "Extension pending");
+        require(block.timestamp > reservation.endTime + OVERSTAY_GRACE_PERIOD, "Not overstayed");
+
+        reservation.status = ReservationStatus.Completed;
+        reservation.isActive = false;
+        _settle(reservation, 0);
+        _chargeOverstay(reservationId, reservation);
+
+        emit ReservationCompleted(reservationId, spotId);
+        _releaseSpot(spotId);
+    }
+
+    /**
+     * @notice Pay the caller's outstanding overstay penalty; any excess goes to the deposit balance
+     */
+    function payPenalty() external payable nonReentrant {
+        uint256 amount = outstandingPenalties[msg.sender];
+        require(amount > 0, "No outstanding penalty");
+        require(msg.value >= amount, "Insufficient payment");
+
+        outstandingPenalties[msg.sender] = 0;
+        platformFees += amount;
+        userProfiles[msg.sender].depositBalance += msg.value - amount;
+
+        emit PenaltyPaid(msg.sender, amount);
+    }
+
+    // ============ Timeout Protection ============
+
+    /**
+     * @notice Trigger timeout for stuck Gateway request
+     * @dev Allows user to claim refund if Gateway doesn't respond in time
+     * @param requestId Request ID to timeout
+     */
+    function triggerTimeout(uint256 requestId) external nonReentrant {
+        GatewayRequest storage request = gatewayRequests[requestId];
+        require(request.requester == msg.sender || msg.sender == owner, "Not authorized");
+        require(!request.processed, "Already processed");
+        require(!request.timedOut, "Already timed out");
+        require(block.timestamp >= request.timestamp + TIMEOUT_PERIOD, "Timeout not reached");
+
+        request.timedOut = true;
+
+        if (request.requestType == RequestType.Reservation) {
+            Reservation storage reservation = reservations[request.reservationId];
+
+            // Refund the deposit
+            _processRefund(reservation.user, reservation.depositAmount, "Gateway timeout");
+            reservation.status = ReservationStatus.Refunded;
+            reservation.isActive = false;
+        } else if (request.requestType == RequestType.Extension) {
+            PendingExtension memory extension = pendingExtensions[request.reservationId];
+            delete pendingExtensions[request.reservationId];
+            _refundExtension(reservations[request.reservationId], extension, "Gateway timeout");
+        }
+
+        emit TimeoutTriggered(requestId, request.requester);
+    }
+
+    // ============ Emergency Functions ============
+
+    /**
+     * @notice Emergency release of a parking spot
+     * @param spotId Spot ID to release
+     */
+    function emergencyReleaseSpot(uint32 spotId) external onlyOwner validSpot(spotId) {
+        _releaseSpot(spotId);
+        emit SpotUpdated(spotId);
+    }
+
+    /**
+     * @notice Emergency refund for a reservation
+     * @param reservationId Reservation ID to refund
+     */
+    function emergencyRefund(uint256 reservationId) external onlyOwner nonReentrant {
+        Reservation storage reservation = _reservation(reservationId);
+        require(reservation.isActive, "Reservation not active");
+
+        reservation.status = ReservationStatus.Refunded;
+        reservation.isActive = false;
+
+        // Release spot
+        if (reservation.startTime <= block.timestamp) {
+            _releaseSpot(reservation.spotId);
+        }
+
+        // Full refund
+        _processRefund(reservation.user, reservation.depositAmount, "Emergency refund by admin");
+    }
+}
@@ -0,0 +1,530 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { FHE, euint8, euint16, euint32, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
+
+/**
+ * @title PrivateParkingReservationStorage
+ * @notice State, events and internal helpers of PrivateParkingReservation
+ * @dev Shared by PrivateParkingReservation and PrivateParkingReservationExtension, which runs on the storage of the
+ *      former through delegatecall: both must see the exact same layout, so state is only ever declared here.
+ *      New variables go after the existing ones.
+ */
+abstract contract PrivateParkingReservationStorage {
+
+    // ============ Constants ============
+    uint256 public constant MIN_DURATION = 15 minutes;
+    uint256 public constant MAX_DURATION = 24 hours;
+    uint256 public constant TIMEOUT_PERIOD = 1 hours;
+    uint256 public constant REFUND_GRACE_PERIOD = 30 minutes;
+    uint256 public constant MAX_ADVANCE_BOOKING = 30 days;
+    uint256 public constant PLATFORM_FEE_DIVISOR = 20; // 5% platform fee on deposits
+    uint8 public constant MIN_FEE_SHARE = uint8(100 / PLATFORM_FEE_DIVISOR); // Lots cannot undercut the platform fee
+    uint256 public constant CANCELLATION_REFUND_PERCENT = 90;
+    uint256 public constant MAX_PRICE = 10000; // Maximum price in wei units, also caps prices raised by pricing rules
+    uint16 public constant MAX_PRICE_PERCENT = 500; // Highest multiplier a pricing rule can apply, 5x the spot price
+    uint16 public constant MAX_CREDIT_SCORE = 850;
+    uint256 public constant PRICE_OBFUSCATION_RANGE = 100; // Price obfuscation range
+    uint256 public constant WAITLIST_CLAIM_WINDOW = 15 minutes; // How long a freed spot is held for its waitlist
+    uint256 public constant MAX_WAITLIST_LENGTH = 20;
+    uint256 public constant OVERSTAY_GRACE_PERIOD = 15 minutes; // After endTime, before an overstay can be marked
+    uint256 public constant OVERSTAY_PENALTY_PERCENT = 150; // Of the hourly deposit rate, per started hour overstayed
+    uint8 public constant MAX_OVERSTAYS = 3; // Users marked this many times can no longer reserve
+
+    // ============ State Variables ============
+    address public owner;
+    address public pendingOwner;
+    uint32 public totalSpots;
+    uint32 public totalLots;
+    uint256 public reservationCounter;
+    uint256 public platformFees;
+    bool public paused;
+    bool internal locked; // Reentrancy guard
+
+    // Random multiplier for privacy protection (division problem solution)
+    uint64 public privacyMultiplier;
+    uint256 public lastMultiplierUpdate;
+
+    // ============ Enums ============
+    enum SpotStatus { Available, Reserved, Maintenance }
+    enum ReservationStatus { Pending, Active, Completed, Cancelled, Refunded }
+    enum RequestType { Reservation, Cancellation, PriceQuery, Extension }
+    enum CreditTier { DepositRequired, Standard, Discount }
+
+    // ============ Structs ============
+    struct ParkingSpot {
+        euint16 encryptedPrice;           // Encrypted parking price
+        euint8 encryptedStatus;           // Encrypted status
+        bool isActive;                    // Whether spot is active
+        euint32 encryptedReservedBy;      // Encrypted reserver ID
+        uint256 reservationEnd;           // Reservation end time
+        string location;                  // Location info
+        uint64 obfuscationSeed;           // Price obfuscation seed
+    }
+
+    struct UserProfile {
+        euint32 encryptedUserId;          // Encrypted user ID
+        euint16 encryptedCreditScore;     // Encrypted credit score
+        bool isRegistered;                // Registration status
+        uint256 totalReservations;        // Total reservations count
+        uint256 lastReservation;          // Last reservation timestamp
+        uint256 depositBalance;           // User deposit balance for refunds
+    }
+
+    struct Reservation {
+        uint32 spotId;                    // Parking spot ID
+        address user;                     // User address
+        euint32 encryptedUserId;          // Encrypted user ID
+        euint64 encryptedPaidAmount;      // Encrypted offer, plus any extension payments
+        uint256 startTime;                // Start time
+        uint256 endTime;                  // End time
+        ReservationStatus status;         // Reservation status
+        bool isActive;                    // Active flag
+        uint256 depositAmount;            // Deposited amount for potential refund
+        uint256 requestTimestamp;         // Gateway request timestamp
+        uint256 decryptionRequestId;      // Gateway decryption request ID
+        uint256 platformFee;              // Platform cut taken on confirmation and extensions
+    }
+
+    // Lot IDs start at 1; lot 0 holds the platform's own spots and is managed by the owner and operators
+    struct ParkingLot {
+        address operator;                 // Manages the lot's spots and withdraws its revenue
+        uint8 feeShare;                   // Platform cut in percent of every deposit, at least MIN_FEE_SHARE
+        uint256 revenue;                  // Settled revenue awaiting withdrawal
+        string name;                      // Lot or garage name
+    }
+
+    // Thresholds are compared to the encrypted credit score; a threshold of 0 disables its rule
+    struct CreditTierConfig {
+        uint16 minScore;                  // Below: not eligible to reserve
+        uint16 depositScore;              // Below: DepositRequired, pays depositPercent on top of the price
+        uint8 depositPercent;             // Security deposit in percent of the price
+        uint16 discountScore;             // From here: Discount, pays discountPercent less
+        uint8 discountPercent;            // Discount in percent of the price
+    }
+
+    struct GatewayRequest {
+        RequestType requestType;          // Type of request
+        uint256 reservationId;            // Associated reservation ID
+        uint32 spotId;                    // Associated spot ID
+        address requester;                // Requester address
+        uint256 timestamp;                // Request timestamp
+        bool processed;                   // Whether callback has been processed
+        bool timedOut;                    // Whether request has timed out
+        bytes32[] ciphertextHandles;      // Ciphertext handles for decryption
+    }
+
+    // The extra time is held while the Gateway checks the payment, and given back if it is refunded
+    struct PendingExtension {
+        uint256 requestId;                // Gateway decryption request ID
+        uint256 extraDuration;            // Seconds added to the reservation
+        uint256 payment;                  // Payment to add to the deposit once accepted
+    }
+
+    // The deposit and the encrypted offer back the reservation requested on claiming
+    struct WaitlistEntry {
+        uint32 position;                  // 1-based index in the spot's waitlist; 0 when not waiting
+        uint256 duration;                 // Duration in seconds of the reservation requested on claiming
+        uint256 deposit;                  // Deposit of that reservation, refunded on leaving
+        euint64 encryptedOffer;           // Offer of that reservation, checked by the Gateway on claiming
+    }
+
+    // A freed spot is held for one waitlisted user until expiresAt
+    struct WaitlistOffer {
+        address user;
+        uint256 expiresAt;
+    }
+
+    // Public multipliers applied hour by hour to the encrypted spot price; hours are UTC
+    struct PricingRule {
+        bool enabled;
+        uint8 peakStartHour;              // Peak hours run to peakEndHour, past midnight if it is smaller
+        uint8 peakEndHour;
+        uint16 peakPercent;               // Price in peak hours, in percent of the spot price
+        uint16 weekendPercent;            // Price on Saturdays and Sundays, in percent
+        uint8 surgeOccupancy;             // Lot occupancy in percent from which surgePercent applies; 0: never
+        uint16 surgePercent;              // Price under surge, in percent
+        uint16 maxPrice;                  // Cap on the hourly price, 0 for none; MAX_PRICE applies either way
+    }
+
+    struct LotOccupancy {
+        uint32 spots;
+        uint32 occupied;                  // Spots held by a confirmed reservation until it is released
+    }
+
+    // ============ Mappings ============
+    mapping(uint32 => ParkingSpot) public parkingSpots;
+    mapping(uint32 => ParkingLot) public parkingLots;
+    mapping(uint32 => uint32) public spotLots; // Lot of each spot, 0 for platform spots
+    mapping(address => UserProfile) public userProfiles;
+    mapping(uint256 => Reservation) public reservations;
+    mapping(address => uint256[]) internal userReservations;
+    address[] public registeredUsers; // In the order they registered
+    mapping(uint32 => uint256[]) internal spotBookings; // Reservations that may still hold a time window
+    mapping(address => euint32) internal encryptedUserIds;
+    mapping(uint256 => GatewayRequest) public gatewayRequests;
+    mapping(address => bool) public operators; // Authorized operators
+    // Latest encrypted query results per caller, readable by that caller through user decryption
+    mapping(address => mapping(uint32 => ebool)) internal availabilityResults;
+    mapping(address => mapping(address => ebool)) internal identityResults;
+    mapping(address => euint8) internal creditTierResults;
+
+    CreditTierConfig public creditTiers;
+
+    mapping(uint256 => PendingExtension) public pendingExtensions; // By reservation ID, while the Gateway answers
+
+    // Users in the order they joined; entries before waitlistHeads have been offered the spot or left
+    mapping(uint32 => address[]) internal waitlists;
+    mapping(uint32 => uint256) internal waitlistHeads;
+    mapping(uint32 => mapping(address => WaitlistEntry)) public waitlistEntries;
+    mapping(uint32 => WaitlistOffer) public waitlistOffers;
+
+    mapping(address => bool) public keepers; // May mark overstays on any spot
+    // Penalties not covered by depositBalance; settled from later deposits and refunds or with payPenalty
+    mapping(address => uint256) public outstandingPenalties;
+    mapping(address => uint8) public overstayCounts;
+
+    mapping(uint32 => PricingRule) public spotPricingRules; // Takes precedence over the rule of the spot's lot
+    mapping(uint32 => PricingRule) public lotPricingRules; // Lot 0 prices the platform spots
+    mapping(uint32 => LotOccupancy) public lotOccupancy; // Lot 0 counts the platform spots
+    mapping(address => euint64) internal quoteResults;
+
+    // ============ Events ============
+    event SpotAdded(uint32 indexed spotId, string location);
+    event LotRegistered(uint32 indexed lotId, address indexed operator, string name);
+    event LotFeeShareUpdated(uint32 indexed lotId, uint8 feeShare);
+    event LotSpotAdded(uint32 indexed lotId, uint32 indexed spotId);
+    event LotRevenueWithdrawn(uint32 indexed lotId, address indexed to, uint256 amount);
+    event SpotUpdated(uint32 indexed spotId);
+    event SpotRemoved(uint32 indexed spotId);
+    event UserRegistered(address indexed user);
+    event UserUpdated(address indexed user);
+    event ReservationRequested(uint256 indexed reservationId, uint32 indexed spotId, address indexed user, uint256 requestId);
+    event ReservationConfirmed(uint256 indexed reservationId, uint32 indexed spotId, address indexed user);
+    event ReservationCompleted(uint256 indexed reservationId, uint32 indexed spotId);
+    event ReservationCancelled(uint256 indexed reservationId, uint32 indexed spotId);
+    event ExtensionRequested(uint256 indexed reservationId, uint256 requestId, uint256 newEndTime);
+    event ReservationExtended(uint256 indexed reservationId, uint256 newEndTime);
+    event RefundIssued(address indexed user, uint256 amount, string reason);
+    event TimeoutTriggered(uint256 indexed requestId, address indexed user);
+    event GatewayCallbackReceived(uint256 indexed requestId, bool success);
+    event PriceUpdated(uint32 indexed spotId);
+    event PrivacyMultiplierUpdated(uint64 newMultiplier);
+    event CreditTiersUpdated(uint16 minScore, uint16 depositScore, uint8 depositPercent, uint16 discountScore, uint8 discountPercent);
+    event OwnershipTransferInitiated(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event OperatorUpdated(address indexed operator, bool status);
+    event Paused(address indexed by);
+    event Unpaused(address indexed by);
+    event PlatformFeesWithdrawn(address indexed to, uint256 amount);
+    event DepositReceived(address indexed user, uint256 amount);
+    event EmergencyWithdrawal(address indexed user, uint256 amount);
+    event WaitlistJoined(uint32 indexed spotId, address indexed user, uint256 deposit);
+    event WaitlistLeft(uint32 indexed spotId, address indexed user, uint256 refund);
+    event WaitlistOffered(uint32 indexed spotId, address indexed user, uint256 expiresAt);
+    event WaitlistOfferClaimed(uint32 indexed spotId, address indexed user, uint256 reservationId);
+    event WaitlistOfferExpired(uint32 indexed spotId, address indexed user);
+    event KeeperUpdated(address indexed keeper, bool status);
+    event OverstayMarked(uint256 indexed reservationId, address indexed user, uint256 overstayHours, uint256 penalty);
+    event PenaltyPaid(address indexed user, uint256 amount);
+    event OverstaysCleared(address indexed user);
+    event SpotPricingRuleUpdated(uint32 indexed spotId, bool enabled);
+    event LotPricingRuleUpdated(uint32 indexed lotId, bool enabled);
+
+    // ============ Modifiers ============
+    // Checks live in internal functions so each modifier use does not inline its own copy of the
+    // revert strings; PrivateParkingReservation is close to the 24 KiB code size limit
+    modifier onlyOwner() {
+        _checkOwner();
+        _;
+    }
+
+    modifier onlyOperator() {
+        _checkOperator();
+        _;
+    }
+
+    modifier onlyRegistered() {
+        _checkRegistered();
+        _;
+    }
+
+    modifier onlyEligible() {
+        _checkEligible();
+        _;
+    }
+
+    modifier onlyLotOperator(uint32 lotId) {
+        _checkLotOperator(lotId);
+        _;
+    }
+
+    modifier onlySpotOperator(uint32 spotId) {
+        _checkSpotOperator(spotId);
+        _;
+    }
+
+    modifier validSpot(uint32 spotId) {
+        _checkSpot(spotId);
+        _;
+    }
+
+    modifier whenNotPaused() {
+        _checkNotPaused();
+        _;
+    }
+
+    modifier nonReentrant() {
+        _enter();
+        _;
+        locked = false;
+    }
+
+    function _checkOwner() internal view {
+        require(msg.sender == owner, "Not authorized: owner only");
+    }
+
+    function _checkOperator() internal view {
+        require(msg.sender == owner || operators[msg.sender], "Not authorized: operator only");
+    }
+
+    function _checkLotOperator(uint32 lotId) internal view {
+        require(lotId <= totalLots, "Invalid lot ID");
+        require(
+            lotId == 0 ? msg.sender == owner : msg.sender == parkingLots[lotId].operator,
+            "Not authorized: lot operator only"
+        );
+    }
+
+    // Platform spots are managed by the owner and operators, lot spots by their lot operator
+    function _checkSpotOperator(uint32 spotId) internal view {
+        uint32 lotId = spotLots[spotId];
+        if (lotId == 0) {
+            _checkOperator();
+        } else {
+            require(msg.sender == parkingLots[lotId].operator, "Not authorized: lot operator only");
+        }
+    }
+
+    function _checkRegistered() internal view {
+        require(userProfiles[msg.sender].isRegistered, "User not registered");
+    }
+
+    // Registered, without outstanding penalties and not barred for overstaying
+    function _checkEligible() internal view {
+        _checkRegistered();
+        require(outstandingPenalties[msg.sender] == 0, "Outstanding penalty");
+        require(overstayCounts[msg.sender] < MAX_OVERSTAYS, "Too many overstays");
+    }
+
+    function _checkSpot(uint32 spotId) internal view {
+        require(spotId < totalSpots, "Invalid spot ID");
+        require(parkingSpots[spotId].isActive, "Spot not active");
+    }
+
+    function _checkNotPaused() internal view {
+        require(!paused, "Contract is paused");
+    }
+
+    function _enter() internal {
+        require(!locked, "Reentrant call");
+        locked = true;
+    }
+
+    // ============ Internal Helpers ============
+
+    // Platform cut of a deposit: the lot's fee share, or the standard fee for platform spots
+    function _platformFee(uint32 spotId, uint256 amount) internal view returns (uint256) {
+        uint32 lotId = spotLots[spotId];
+        return lotId == 0 ? amount / PLATFORM_FEE_DIVISOR : (amount * parkingLots[lotId].feeShare) / 100;
+    }
+
+    // Credit the lot with what is left of a settled deposit once the platform cut and the refund are paid
+    function _settle(Reservation storage reservation, uint256 refundAmount) internal {
+        parkingLots[spotLots[reservation.spotId]].revenue +=
+            reservation.depositAmount - reservation.platformFee - refundAmount;
+    }
+
+    function _addSpot(uint32 lotId, uint16 _price, string memory _location) internal {
+        require(_price > 0 && _price <= MAX_PRICE, "Invalid price");
+        require(bytes(_location).length > 0, "Location required");
+
+        // Apply price obfuscation for privacy
+        uint64 obfuscationSeed = uint64((block.timestamp * totalSpots) % PRICE_OBFUSCATION_RANGE);
+        euint16 encPrice = FHE.asEuint16(_price);
+        euint8 encStatus = FHE.asEuint8(uint8(SpotStatus.Available));
+        euint32 encReservedBy = FHE.asEuint32(0);
+
+        parkingSpots[totalSpots] = ParkingSpot({
+            encryptedPrice: encPrice,
+            encryptedStatus: encStatus,
+            isActive: true,
+            encryptedReservedBy: encReservedBy,
+            reservationEnd: 0,
+            location: _location,
+            obfuscationSeed: obfuscationSeed
+        });
+
+        // Set FHE permissions
+        FHE.allowThis(encPrice);
+        FHE.allowThis(encStatus);
+        FHE.allowThis(encReservedBy);
+
+        lotOccupancy[lotId].spots++;
+        if (lotId > 0) {
+            spotLots[totalSpots] = lotId;
+            emit LotSpotAdded(lotId, totalSpots);
+        }
+
+        emit SpotAdded(totalSpots, _location);
+        totalSpots++;
+    }
+
+    /**
+     * @notice Internal function to process refunds
+     * @param user User to refund
+     * @param amount Amount to refund
+     * @param reason Reason for refund
+     */
+    function _processRefund(address user, uint256 amount, string memory reason) internal {
+        require(amount > 0, "No amount to refund");
+        amount = _settlePenalty(user, amount);
+        if (amount == 0) return;
+
+        (bool sent, ) = payable(user).call{value: amount}("");
+        if (!sent) {
+            // If transfer fails, add to user's deposit balance for later withdrawal
+            userProfiles[user].depositBalance += amount;
+        }
+
+        emit RefundIssued(user, amount, reason);
+    }
+
+    // Penalty of OVERSTAY_PENALTY_PERCENT of the deposit per started hour booked, for every started hour past endTime
+    function _chargeOverstay(uint256 reservationId, Reservation storage reservation) internal {
+        uint256 overstayHours = (block.timestamp - reservation.endTime + 1 hours - 1) / 1 hours;
+        uint256 bookedHours = (reservation.endTime - reservation.startTime + 1 hours - 1) / 1 hours;
+        uint256 penalty = (overstayHours * reservation.depositAmount * OVERSTAY_PENALTY_PERCENT) / (bookedHours * 100);
+        address user = reservation.user;
+
+        if (overstayCounts[user] < type(uint8).max) overstayCounts[user]++;
+        UserProfile storage profile = userProfiles[user];
+        uint256 taken = profile.depositBalance < penalty ? profile.depositBalance : penalty;
+        profile.depositBalance -= taken;
+        platformFees += taken;
+        outstandingPenalties[user] += penalty - taken;
+
+        emit OverstayMarked(reservationId, user, overstayHours, penalty);
+    }
+
+    // Outstanding penalties are settled first from what is refunded or deposited to a user; returns the rest
+    function _settlePenalty(address user, uint256 amount) internal returns (uint256) {
+        uint256 owed = outstandingPenalties[user];
+        if (owed == 0) return amount;
+
+        uint256 settled = owed < amount ? owed : amount;
+        outstandingPenalties[user] = owed - settled;
+        platformFees += settled;
+        emit PenaltyPaid(user, settled);
+        return amount - settled;
+    }
+
+    function _reservation(uint256 reservationId) internal view returns (Reservation storage) {
+        require(reservationId < reservationCounter, "Invalid reservation ID");
+        return reservations[reservationId];
+    }
+
+    function _ownReservation(uint256 reservationId) internal view returns (Reservation storage reservation) {
+        reservation = _reservation(reservationId);
+        require(reservation.user == msg.sender, "Not your reservation");
+    }
+
+    /**
+     * @dev Mark a spot available again, clear its reserver and offer it to its waitlist
+     */
+    function _releaseSpot(uint32 spotId) internal {
+        ParkingSpot storage spot = parkingSpots[spotId];
+        euint8 availableStatus = FHE.asEuint8(uint8(SpotStatus.Available));
+        euint32 noReserver = FHE.asEuint32(0);
+
+        if (spot.reservationEnd != 0) {
+            lotOccupancy[spotLots[spotId]].occupied--;
+        }
+        spot.encryptedStatus = availableStatus;
+        spot.encryptedReservedBy = noReserver;
+        spot.reservationEnd = 0;
+
+        FHE.allowThis(availableStatus);
+        FHE.allowThis(noReserver);
+
+        _offerNext(spotId);
+    }
+
+    // Offer a free spot to the first user still waiting, unless it is already offered
+    function _offerNext(uint32 spotId) internal {
+        if (waitlistOffers[spotId].user != address(0) || !_isFree(spotId)) return;
+
+        address[] storage queue = waitlists[spotId];
+        uint256 head = waitlistHeads[spotId];
+        while (head < queue.length) {
+            address user = queue[head];
+            bool waiting = _isWaiting(spotId, queue, head);
+            head++;
+            if (!waiting) continue;
+
+            uint256 expiresAt = block.timestamp + WAITLIST_CLAIM_WINDOW;
+            waitlistOffers[spotId] = WaitlistOffer({user: user, expiresAt: expiresAt});
+            emit WaitlistOffered(spotId, user, expiresAt);
+            break;
+        }
+        waitlistHeads[spotId] = head;
+    }
+
+    // Users who left, or left and joined again further back, leave stale entries behind
+    function _isWaiting(uint32 spotId, address[] storage queue, uint256 index) internal view returns (bool) {
+        return waitlistEntries[spotId][queue[index]].position == index + 1;
+    }
+
+    // Active and not occupied, neither by a reservation made for now nor by a window booked in advance that started
+    function _isFree(uint32 spotId) internal view returns (bool) {
+        if (!parkingSpots[spotId].isActive) return false;
+
+        uint256[] storage bookings = spotBookings[spotId];
+        for (uint256 i = 0; i < bookings.length; i++) {
+            Reservation storage booking = reservations[bookings[i]];
+            if (_holdsWindow(booking) && booking.startTime <= block.timestamp) return false;
+        }
+        return true;
+    }
+
+    function _creditTier(euint16 score) internal returns (ebool depositRequired, ebool discounted) {
+        CreditTierConfig memory tiers = creditTiers;
+        depositRequired = FHE.lt(score, tiers.depositScore);
+        discounted = tiers.discountScore > 0 ? FHE.ge(score, tiers.discountScore) : FHE.asEbool(false);
+    }
+
+    /**
+     * @dev Revert if [startTime, endTime) overlaps a pending or active booking of the spot;
+     *      bookings that ended or no longer hold the spot are dropped from the list on the way
+     */
+    function _claimWindow(uint32 spotId, uint256 startTime, uint256 endTime) internal {
+        uint256[] storage bookings = spotBookings[spotId];
+        uint256 i = 0;
+        while (i < bookings.length) {
+            Reservation storage booking = reservations[bookings[i]];
+            if (!_holdsWindow(booking)) {
+                bookings[i] = bookings[bookings.length - 1];
+                bookings.pop();
+                continue;
+            }
+            require(endTime <= booking.startTime || startTime >= booking.endTime, "Time slot already booked");
+            i++;
+        }
+    }
+
+    function _holdsWindow(Reservation storage booking) internal view returns (bool) {
+        return
+            (booking.status == ReservationStatus.Pending || booking.status == ReservationStatus.Active) &&
+            booking.endTime > block.timestamp;
+    }
+}
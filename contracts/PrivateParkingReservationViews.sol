@@ -0,0 +1,176 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { PrivateParkingReservation } from "./PrivateParkingReservation.sol";
+import { PrivateParkingReservationStorage } from "./PrivateParkingReservationStorage.sol";
+
+/**
+ * @title PrivateParkingReservationViews
+ * @notice Paginated views of a PrivateParkingReservation deployment
+ * @dev PrivateParkingReservation is at the 24 KiB code size limit, so these live in a contract of their own that its
+ *      constructor deploys (see PrivateParkingReservation.views). They read its public getters and return the same
+ *      pages as the views of ParkingReservation.
+ */
+contract PrivateParkingReservationViews {
+    uint256 public constant MAX_PAGE_SIZE = 100; // Most items a paginated view returns
+
+    // Items of the paginated views: the stored struct with the key it is stored under
+    struct SpotView {
+        uint256 spotId;
+        uint32 lotId;
+        PrivateParkingReservationStorage.ParkingSpot spot;
+    }
+
+    struct ReservationView {
+        uint256 reservationId;
+        PrivateParkingReservationStorage.Reservation reservation;
+    }
+
+    struct UserView {
+        address account;
+        PrivateParkingReservationStorage.UserProfile user;
+    }
+
+    PrivateParkingReservation public immutable parking;
+
+    constructor(PrivateParkingReservation _parking) {
+        parking = _parking;
+    }
+
+    /**
+     * @notice Page through the spots in ID order
+     * @param offset Spots to skip
+     * @param limit Spots to return, capped at MAX_PAGE_SIZE
+     * @return page Spots with their ID and lot; prices and statuses are encrypted handles
+     * @return total Number of spots
+     */
+    function getSpotsPage(uint256 offset, uint256 limit) external view returns (SpotView[] memory page, uint256 total) {
+        total = parking.totalSpots();
+        page = new SpotView[](_pageLength(offset, limit, total));
+        for (uint256 i = 0; i < page.length; i++) {
+            uint32 spotId = uint32(offset + i);
+            page[i] = SpotView(spotId, parking.spotLots(spotId), _spot(spotId));
+        }
+    }
+
+    /**
+     * @notice Page through the reservations of a user in the order they were made
+     * @param user User address
+     * @param offset Reservations to skip
+     * @param limit Reservations to return, capped at MAX_PAGE_SIZE
+     * @return page Reservations with their ID
+     * @return total Number of reservations the user made
+     */
+    function getUserReservationsPage(
+        address user,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ReservationView[] memory page, uint256 total) {
+        total = parking.userReservationCount(user);
+        page = new ReservationView[](_pageLength(offset, limit, total));
+        for (uint256 i = 0; i < page.length; i++) {
+            uint256 reservationId = parking.userReservationAt(user, offset + i);
+            page[i] = ReservationView(reservationId, _reservation(reservationId));
+        }
+    }
+
+    /**
+     * @notice Page through the reservations that are pending or confirmed and not yet settled
+     * @dev Pages run over reservation IDs, so a page holds the active reservations among `limit` IDs and may be
+     *      empty while later ones are not. Keep paging until offset reaches total.
+     * @param offset Reservation IDs to skip
+     * @param limit Reservation IDs to check, capped at MAX_PAGE_SIZE
+     * @return page Active reservations with their ID
+     * @return total Number of reservations, active or not
+     */
+    function getActiveReservations(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ReservationView[] memory page, uint256 total) {
+        total = parking.reservationCounter();
+        uint256 length = _pageLength(offset, limit, total);
+        page = new ReservationView[](length);
+        uint256 found = 0;
+        for (uint256 i = 0; i < length; i++) {
+            PrivateParkingReservationStorage.Reservation memory reservation = _reservation(offset + i);
+            if (reservation.isActive) {
+                page[found++] = ReservationView(offset + i, reservation);
+            }
+        }
+        // Shorten the array to the reservations found
+        assembly ("memory-safe") {
+            mstore(page, found)
+        }
+    }
+
+    /**
+     * @notice Page through the registered users in the order they registered
+     * @param offset Users to skip
+     * @param limit Users to return, capped at MAX_PAGE_SIZE
+     * @return page Users with their address; IDs and credit scores are encrypted handles
+     * @return total Number of registered users
+     */
+    function getRegisteredUsersPage(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (UserView[] memory page, uint256 total) {
+        total = parking.registeredUserCount();
+        page = new UserView[](_pageLength(offset, limit, total));
+        for (uint256 i = 0; i < page.length; i++) {
+            address account = parking.registeredUsers(offset + i);
+            page[i] = UserView(account, _profile(account));
+        }
+    }
+
+    // The public getters return struct members one by one
+    function _spot(uint32 spotId) internal view returns (PrivateParkingReservationStorage.ParkingSpot memory spot) {
+        (
+            spot.encryptedPrice,
+            spot.encryptedStatus,
+            spot.isActive,
+            spot.encryptedReservedBy,
+            spot.reservationEnd,
+            spot.location,
+            spot.obfuscationSeed
+        ) = parking.parkingSpots(spotId);
+    }
+
+    function _reservation(
+        uint256 reservationId
+    ) internal view returns (PrivateParkingReservationStorage.Reservation memory reservation) {
+        (
+            reservation.spotId,
+            reservation.user,
+            reservation.encryptedUserId,
+            reservation.encryptedPaidAmount,
+            reservation.startTime,
+            reservation.endTime,
+            reservation.status,
+            reservation.isActive,
+            reservation.depositAmount,
+            reservation.requestTimestamp,
+            reservation.decryptionRequestId,
+            reservation.platformFee
+        ) = parking.reservations(reservationId);
+    }
+
+    function _profile(
+        address account
+    ) internal view returns (PrivateParkingReservationStorage.UserProfile memory profile) {
+        (
+            profile.encryptedUserId,
+            profile.encryptedCreditScore,
+            profile.isRegistered,
+            profile.totalReservations,
+            profile.lastReservation,
+            profile.depositBalance
+        ) = parking.userProfiles(account);
+    }
+
+    // Items a page starting at offset holds out of total
+    function _pageLength(uint256 offset, uint256 limit, uint256 total) internal pure returns (uint256) {
+        if (offset >= total) return 0;
+        uint256 length = limit < MAX_PAGE_SIZE ? limit : MAX_PAGE_SIZE;
+        return length < total - offset ? length : total - offset;
+    }
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title Multicall3
+ * @notice The aggregate3 function of Multicall3 (https://github.com/mds1/multicall), for local networks and tests
+ * @dev Public chains already have Multicall3 at 0xcA11bde05977b3631167028862bE2a173976CA11;
+ *      deploy/03_deploy_multicall.js copies this contract's code to that address on Hardhat and localhost.
+ *      It keeps no state, so the copied code behaves like a deployment.
+ */
+contract Multicall3 {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    /**
+     * @notice Call several contracts and return every result
+     * @param calls Target, calldata and whether the call may fail without reverting the batch
+     * @return returnData Success flag and return data of each call, in order
+     */
+    function aggregate3(Call3[] calldata calls) external payable returns (Result[] memory returnData) {
+        returnData = new Result[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool success, bytes memory data) = calls[i].target.call(calls[i].callData);
+            require(success || calls[i].allowFailure, "Multicall3: call failed");
+            returnData[i] = Result({ success: success, returnData: data });
+        }
+    }
+}
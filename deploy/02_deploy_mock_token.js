@@ -0,0 +1,36 @@
+const { network } = require("hardhat");
+
+// Stablecoin stand-in for ParkingReservation.setPaymentToken on local networks
+const DEV_NETWORKS = ["hardhat", "localhost"];
+const DECIMALS = 6;
+const FAUCET_AMOUNT = 10000n * 10n ** BigInt(DECIMALS);
+
+module.exports = async ({ getNamedAccounts, deployments, ethers }) => {
+  const { deploy, log } = deployments;
+  const { deployer, user1, user2 } = await getNamedAccounts();
+
+  log("----------------------------------------------------");
+  log("Deploying MockERC20Permit token...");
+  log(`Network: ${network.name}`);
+
+  const token = await deploy("MockERC20Permit", {
+    from: deployer,
+    args: ["Mock USD", "mUSD", DECIMALS],
+    log: true,
+  });
+
+  // Fund the named accounts so they can pay for reservations right away
+  const contract = await ethers.getContractAt("MockERC20Permit", token.address);
+  for (const account of [deployer, user1, user2]) {
+    if ((await contract.balanceOf(account)) === 0n) {
+      await (await contract.mint(account, FAUCET_AMOUNT)).wait();
+    }
+  }
+
+  log(`Token deployed at: ${token.address}`);
+  log(`Minted ${ethers.formatUnits(FAUCET_AMOUNT, DECIMALS)} mUSD to deployer, user1 and user2`);
+  log("----------------------------------------------------");
+};
+
+module.exports.tags = ["mocks", "token"];
+module.exports.skip = async () => !DEV_NETWORKS.includes(network.name);
@@ -0,0 +1,31 @@
+const { network } = require("hardhat");
+const { MULTICALL3_ADDRESS } = require("../public/adapters/batch-reader");
+
+// The frontends and the CLI batch their reads through Multicall3 at its canonical address, which public
+// chains already have; local networks get a copy of contracts/mocks/Multicall3.sol there
+const DEV_NETWORKS = ["hardhat", "localhost"];
+
+module.exports = async ({ getNamedAccounts, deployments, ethers }) => {
+  const { deploy, log } = deployments;
+  const { deployer } = await getNamedAccounts();
+
+  log("----------------------------------------------------");
+  log("Deploying Multicall3...");
+  log(`Network: ${network.name}`);
+
+  if ((await ethers.provider.getCode(MULTICALL3_ADDRESS)) !== "0x") {
+    log(`Multicall3 already at ${MULTICALL3_ADDRESS}`);
+    log("----------------------------------------------------");
+    return;
+  }
+
+  const multicall = await deploy("Multicall3", { from: deployer, log: true });
+  const code = await ethers.provider.getCode(multicall.address);
+  await ethers.provider.send("hardhat_setCode", [MULTICALL3_ADDRESS, code]);
+
+  log(`Multicall3 deployed at ${multicall.address} and copied to ${MULTICALL3_ADDRESS}`);
+  log("----------------------------------------------------");
+};
+
+module.exports.tags = ["mocks", "multicall"];
+module.exports.skip = async () => !DEV_NETWORKS.includes(network.name);
@@ -3,6 +3,7 @@ require("@fhevm/hardhat-plugin");
 require("hardhat-contract-sizer");
 require("hardhat-deploy");
 require("dotenv").config();
+require("./tasks/parking");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -14,7 +15,8 @@ module.exports = {
         runs: 200,
       },
       evmVersion: "cancun",
-      viaIR: false,
+      // PrivateParkingReservation only fits the 24 KiB limit when compiled through the IR pipeline
+      viaIR: true,
     },
   },
   networks: {
@@ -27,14 +29,28 @@ module.exports = {
     },
     localhost: {
       url: "http://127.0.0.1:8545",
-      chainId: 31337
+      chainId: 31337,
+      // Settings of scripts/keeper.js
+      keeper: {
+        pollInterval: 5000,
+        dryRun: false,
+      }
     },
     sepolia: {
       url: process.env.SEPOLIA_RPC_URL || "https://sepolia.infura.io/v3/your-api-key",
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
       chainId: 11155111,
       gasPrice: "auto",
-      gas: "auto"
+      gas: "auto",
+      keeper: {
+        pollInterval: 60000,
+        // Run with KEEPER_DRY_RUN=false to send settlements
+        dryRun: true,
+        maxFeePerGas: "30",
+        maxPriorityFeePerGas: "2",
+        gasLimit: 300000,
+        maxActionsPerPoll: 10,
+      }
     },
     // Zama FHEVM network configuration
     fhevm: {
@@ -1,5 +1,6 @@
 import { HardhatUserConfig } from "hardhat/config";
 import "@nomicfoundation/hardhat-toolbox";
+import "@fhevm/hardhat-plugin";
 import "@nomicfoundation/hardhat-verify";
 import "@typechain/hardhat";
 import "hardhat-contract-sizer";
@@ -19,7 +20,8 @@ const config: HardhatUserConfig = {
         runs: parseInt(process.env.OPTIMIZER_RUNS || "200"),
       },
       evmVersion: "cancun",
-      viaIR: false,
+      // PrivateParkingReservation only fits the 24 KiB limit when compiled through the IR pipeline
+      viaIR: true,
       metadata: {
         bytecodeHash: "none",
       },
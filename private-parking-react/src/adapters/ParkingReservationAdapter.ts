@@ -0,0 +1,636 @@
+// @contract ParkingReservation
+import { Contract, Result, ZeroAddress, formatUnits, parseUnits } from 'ethers';
+import type {
+  Booking,
+  CheckOutResult,
+  CreditTier,
+  CreditTiers,
+  ExtendResult,
+  FheProvider,
+  Page,
+  ParkingAdapter,
+  ParkingLot,
+  PaymentToken,
+  PenaltyStatus,
+  PricingRule,
+  RegisteredUser,
+  Reservation,
+  ReserveResult,
+  Spot,
+  SpotInput,
+  Stats,
+  TransactionResult,
+  UserInfo,
+  Waitlist,
+  WaitlistOffer,
+} from './types';
+import {
+  ERC20_PERMIT_ABI,
+  UnsupportedOperationError,
+  findEvent,
+  getBlockTimestamp,
+  parseBookings,
+  parsePricingRule,
+  sendTransaction,
+  signPermit,
+} from './utils';
+import { BatchReader } from './batchReader';
+
+const SECONDS_PER_HOUR = 3600;
+// Mirrors ParkingReservation.PLATFORM_FEE_PERCENT
+const PLATFORM_FEE_PERCENT = 5n;
+// How long a reservation permit stays valid once signed
+const PERMIT_VALIDITY = 3600;
+// Mirror ParkingReservation.OVERSTAY_GRACE_PERIOD and MAX_OVERSTAYS
+const OVERSTAY_GRACE_PERIOD = 15 * 60;
+const MAX_OVERSTAYS = 3;
+
+/** Adapter for the plain (non-FHE) ParkingReservation contract */
+export class ParkingReservationAdapter implements ParkingAdapter {
+  readonly contractName = 'ParkingReservation';
+  readonly capabilities = {
+    cancel: true,
+    gatewayCallback: false,
+    encryptedQueries: false,
+    publicPrices: true,
+    encryptedInputs: false,
+    scheduling: true,
+    extend: true,
+    earlyCheckOut: true,
+    creditTiers: false,
+    dynamicPricing: true,
+    waitlist: true,
+    overstayPenalties: true,
+    batchSpots: true,
+    maintenance: false,
+    tokenPayments: true,
+  };
+  readonly firstSpotId = 1;
+  /** Set by loadPaymentToken; null pays in ETH */
+  paymentToken: PaymentToken | null = null;
+  readonly spotEvents = ['ParkingSpotAdded', 'SpotPriceUpdated', 'ReservationCreated', 'ReservationCompleted'];
+
+  // No encrypted inputs: fhe is only taken to share the constructor of the other adapters
+  constructor(
+    readonly contract: Contract,
+    readonly deploymentBlock = 0,
+    _fhe: FheProvider | null = null,
+    private readonly reader = new BatchReader(null)
+  ) {}
+
+  // Spot IDs start at 1 and run up to totalSpots
+  spotIds(totalSpots: number): number[] {
+    return Array.from({ length: totalSpots }, (_, i) => i + 1);
+  }
+
+  get priceUnit(): string {
+    return `${this.paymentToken?.symbol ?? 'ETH'}/hour`;
+  }
+
+  get priceDecimals(): number {
+    return this.paymentToken?.decimals ?? 18;
+  }
+
+  parsePrice(input: string): bigint {
+    return parseUnits(input, this.priceDecimals);
+  }
+
+  formatPrice(price: bigint | null): string {
+    return price === null ? 'N/A' : this.formatAmount(price);
+  }
+
+  formatAmount(amount: bigint): string {
+    const { decimals, symbol } = this.paymentToken ?? { decimals: 18, symbol: 'ETH' };
+    return `${formatUnits(amount, decimals)} ${symbol}`;
+  }
+
+  async loadPaymentToken(): Promise<PaymentToken | null> {
+    const address: string = await this.contract.paymentToken();
+    if (address === ZeroAddress) {
+      this.paymentToken = null;
+      return null;
+    }
+
+    const token = this.tokenContract(address);
+    const [symbol, decimals, supportsPermit] = await Promise.all([
+      token.symbol() as Promise<string>,
+      token.decimals() as Promise<bigint>,
+      token.nonces(ZeroAddress).then(
+        () => true,
+        () => false
+      ),
+    ]);
+    this.paymentToken = { address, symbol, decimals: Number(decimals), supportsPermit };
+    return this.paymentToken;
+  }
+
+  async tokenBalances(address: string): Promise<{ balance: bigint; allowance: bigint } | null> {
+    const paymentToken = await this.loadPaymentToken();
+    if (!paymentToken) return null;
+
+    const token = this.tokenContract(paymentToken.address);
+    const [balance, allowance] = await Promise.all([
+      token.balanceOf(address) as Promise<bigint>,
+      token.allowance(address, await this.contract.getAddress()) as Promise<bigint>,
+    ]);
+    return { balance, allowance };
+  }
+
+  async approveToken(amount: bigint): Promise<TransactionResult> {
+    const paymentToken = await this.loadPaymentToken();
+    if (!paymentToken) {
+      throw new UnsupportedOperationError(this.contractName, 'Token approval without a payment token');
+    }
+    const token = this.tokenContract(paymentToken.address);
+    return sendTransaction(token, token.approve(await this.contract.getAddress(), amount));
+  }
+
+  private tokenContract(address: string): Contract {
+    return new Contract(address, ERC20_PERMIT_ABI, this.contract.runner);
+  }
+
+  private async ensureAllowance(amount: bigint): Promise<void> {
+    const signer = this.contract.runner as unknown as { getAddress(): Promise<string> };
+    const balances = await this.tokenBalances(await signer.getAddress());
+    if (balances && balances.allowance < amount) {
+      await this.approveToken(amount);
+    }
+  }
+
+  register(userId: number, creditScore: number): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.registerUser(userId, creditScore));
+  }
+
+  async addSpot(location: string, price: bigint) {
+    const result = await sendTransaction(this.contract, this.contract.addParkingSpot(location, price));
+    const event = findEvent(result.events, 'ParkingSpotAdded');
+    return { ...result, spotId: event ? Number(event.args.spotId) : null };
+  }
+
+  async registerLot(name: string, feeShare: number) {
+    const result = await sendTransaction(this.contract, this.contract.registerLot(name, feeShare));
+    const event = findEvent(result.events, 'LotRegistered');
+    return { ...result, lotId: event ? Number(event.args.lotId) : null };
+  }
+
+  setLotFeeShare(lotId: number, feeShare: number): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.setLotFeeShare(lotId, feeShare));
+  }
+
+  async addLotSpot(lotId: number, location: string, price: bigint) {
+    const result = await sendTransaction(this.contract, this.contract.addLotSpot(lotId, location, price));
+    const event = findEvent(result.events, 'ParkingSpotAdded');
+    return { ...result, spotId: event ? Number(event.args.spotId) : null };
+  }
+
+  async addSpots(lotId: number, spots: SpotInput[]) {
+    const result = await sendTransaction(
+      this.contract,
+      this.contract.addParkingSpots(
+        lotId,
+        spots.map((spot) => spot.location),
+        spots.map((spot) => spot.price)
+      )
+    );
+    const spotIds = result.events
+      .filter((event) => event.name === 'ParkingSpotAdded')
+      .map((event) => Number(event.args.spotId));
+    return { ...result, spotIds };
+  }
+
+  async setSpotMaintenance(): Promise<TransactionResult> {
+    throw new UnsupportedOperationError(this.contractName, 'Spot maintenance');
+  }
+
+  updateSpotPrice(spotId: number, price: bigint): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.updateSpotPrice(spotId, price));
+  }
+
+  withdrawLotRevenue(lotId: number, to: string): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.withdrawLotRevenue(lotId, to));
+  }
+
+  /** Rounded up to whole hours like reserve does */
+  async quote(spotId: number, durationSeconds: number, startTime: number | null = null): Promise<bigint> {
+    const durationHours = Math.max(1, Math.ceil(durationSeconds / SECONDS_PER_HOUR));
+    return this.contract.quotePrice(spotId, startTime ?? 0, durationHours);
+  }
+
+  async getSpotPricingRule(spotId: number): Promise<PricingRule> {
+    return parsePricingRule(await this.contract.spotPricingRules(spotId));
+  }
+
+  async getLotPricingRule(lotId: number): Promise<PricingRule> {
+    return parsePricingRule(await this.contract.lotPricingRules(lotId));
+  }
+
+  setSpotPricingRule(spotId: number, rule: PricingRule): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.setSpotPricingRule(spotId, rule));
+  }
+
+  setLotPricingRule(lotId: number, rule: PricingRule): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.setLotPricingRule(lotId, rule));
+  }
+
+  async getLot(lotId: number): Promise<ParkingLot> {
+    const lot = await this.contract.parkingLots(lotId);
+    return {
+      id: lotId,
+      name: lot.name,
+      operator: lot.operator,
+      feeShare: Number(lot.feeShare),
+      revenue: lot.revenue,
+    };
+  }
+
+  // Spots outside lots pay their owner directly, so there is no lot 0
+  async listLots(operatorAddress: string): Promise<ParkingLot[]> {
+    const events = await this.contract.queryFilter(
+      this.contract.filters.LotRegistered(null, operatorAddress),
+      this.deploymentBlock
+    );
+    return Promise.all(
+      events.map((event) => this.getLot(Number(this.contract.interface.parseLog(event)!.args.lotId)))
+    );
+  }
+
+  /** The contract books whole hours, so the duration is rounded up */
+  async reserve(
+    spotId: number,
+    durationSeconds: number,
+    payment: bigint | null,
+    startTime: number | null = null
+  ): Promise<ReserveResult> {
+    const durationHours = Math.max(1, Math.ceil(durationSeconds / SECONDS_PER_HOUR));
+    const price = await this.quote(spotId, durationSeconds, startTime);
+    const paymentToken = await this.loadPaymentToken();
+
+    let txPromise;
+    if (paymentToken?.supportsPermit) {
+      const deadline = (await getBlockTimestamp(this.contract)) + PERMIT_VALIDITY;
+      const { v, r, s } = await signPermit(
+        this.tokenContract(paymentToken.address),
+        await this.contract.getAddress(),
+        price,
+        deadline
+      );
+      txPromise = this.contract.makeReservationWithPermit(spotId, startTime ?? 0, durationHours, deadline, v, r, s);
+    } else {
+      // Tokens are pulled for the exact price; ETH payments refund the excess through withdraw
+      if (paymentToken) await this.ensureAllowance(price);
+      const overrides = paymentToken ? {} : { value: payment ?? price };
+      txPromise =
+        startTime !== null
+          ? this.contract.makeReservationAt(spotId, startTime, durationHours, overrides)
+          : this.contract.makeReservation(spotId, durationHours, overrides);
+    }
+
+    const result = await sendTransaction(this.contract, txPromise);
+    const event = findEvent(result.events, 'ReservationCreated');
+    return { ...result, reservationId: event ? Number(event.args.reservationId) : null, requestId: null };
+  }
+
+  /** Only before the start; the refund is credited for withdraw, minus a fee on short notice */
+  cancel(reservationId: number): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.cancelReservation(reservationId));
+  }
+
+  // Payouts and refunds are credited to the account and pulled with withdraw
+  async withdrawableBalance(address: string): Promise<bigint> {
+    return this.contract.pendingWithdrawals(address);
+  }
+
+  withdraw(): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.withdraw());
+  }
+
+  complete(reservationId: number): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.completeReservation(reservationId));
+  }
+
+  /** Like reserve, the extra time is rounded up to whole hours */
+  async extend(reservationId: number, extraSeconds: number, payment: bigint | null = null): Promise<ExtendResult> {
+    const extraHours = Math.max(1, Math.ceil(extraSeconds / SECONDS_PER_HOUR));
+    const paymentToken = await this.loadPaymentToken();
+    let value = paymentToken ? null : payment;
+    if (value === null) {
+      const reservation = await this.getReservation(reservationId);
+      value = await this.quote(reservation.spotId, extraSeconds, reservation.endTime);
+    }
+
+    if (paymentToken) await this.ensureAllowance(value);
+    const overrides = paymentToken ? {} : { value };
+    const result = await sendTransaction(
+      this.contract,
+      this.contract.extendReservation(reservationId, extraHours, overrides)
+    );
+    const event = findEvent(result.events, 'ReservationExtended');
+    return { ...result, endTime: event ? Number(event.args.newEndTime) : null, requestId: null };
+  }
+
+  async checkOut(reservationId: number): Promise<CheckOutResult> {
+    const result = await sendTransaction(this.contract, this.contract.checkOutEarly(reservationId));
+    const event = findEvent(result.events, 'EarlyCheckOut');
+    return { ...result, refund: event ? (event.args.refund as bigint) : null };
+  }
+
+  // Running reservations check out early instead
+  canCancel(reservation: Reservation, at: number): boolean {
+    return reservation.status === 'Active' && at < reservation.startTime;
+  }
+
+  estimateCheckOutRefund(reservation: Reservation, at: number): bigint {
+    if (at < reservation.startTime || at >= reservation.endTime) return 0n;
+    const unused =
+      (reservation.amount * BigInt(reservation.endTime - at)) / BigInt(reservation.endTime - reservation.startTime);
+    return unused - (unused * PLATFORM_FEE_PERCENT) / 100n;
+  }
+
+  async joinWaitlist(spotId: number, durationSeconds: number, payment: bigint | null = null) {
+    const durationHours = Math.max(1, Math.ceil(durationSeconds / SECONDS_PER_HOUR));
+    const paymentToken = await this.loadPaymentToken();
+    const deposit = payment !== null && !paymentToken ? payment : await this.quote(spotId, durationSeconds);
+
+    if (paymentToken) await this.ensureAllowance(deposit);
+    const overrides = paymentToken ? {} : { value: deposit };
+    const result = await sendTransaction(this.contract, this.contract.joinWaitlist(spotId, durationHours, overrides));
+    const event = findEvent(result.events, 'WaitlistJoined');
+    return { ...result, deposit: event ? (event.args.deposit as bigint) : null };
+  }
+
+  leaveWaitlist(spotId: number): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.leaveWaitlist(spotId));
+  }
+
+  async claimWaitlistOffer(spotId: number): Promise<ReserveResult> {
+    const result = await sendTransaction(this.contract, this.contract.claimWaitlistOffer(spotId));
+    const event = findEvent(result.events, 'WaitlistOfferClaimed');
+    return { ...result, reservationId: event ? Number(event.args.reservationId) : null, requestId: null };
+  }
+
+  expireWaitlistOffer(spotId: number): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.expireWaitlistOffer(spotId));
+  }
+
+  async getWaitlist(spotId: number): Promise<Waitlist> {
+    const [waiting, offer] = await Promise.all([
+      this.contract.getWaitlist(spotId),
+      this.contract.waitlistOffers(spotId),
+    ]);
+    return {
+      waiting: Array.from(waiting as string[]),
+      offer: offer.user !== ZeroAddress ? { spotId, user: offer.user, expiresAt: Number(offer.expiresAt) } : null,
+    };
+  }
+
+  async listWaitlistOffers(userAddress: string): Promise<WaitlistOffer[]> {
+    const events = await this.contract.queryFilter(
+      this.contract.filters.WaitlistOffered(null, userAddress),
+      this.deploymentBlock
+    );
+    const spotIds = [...new Set(events.map((event) => Number(this.contract.interface.parseLog(event)!.args.spotId)))];
+    const offers = await Promise.all(
+      spotIds.map(async (spotId) => {
+        const offer = await this.contract.waitlistOffers(spotId);
+        return { spotId, user: offer.user as string, expiresAt: Number(offer.expiresAt) };
+      })
+    );
+    return offers.filter((offer) => offer.user.toLowerCase() === userAddress.toLowerCase());
+  }
+
+  async listOverstays(at: number | null = null): Promise<Reservation[]> {
+    const now = at ?? (await getBlockTimestamp(this.contract));
+    const events = await this.contract.queryFilter(this.contract.filters.ReservationCreated(), this.deploymentBlock);
+    const reservations = await this.getReservations(
+      events.map((event) => Number(this.contract.interface.parseLog(event)!.args.reservationId))
+    );
+    return reservations.filter(
+      (reservation) => reservation.status === 'Active' && reservation.endTime + OVERSTAY_GRACE_PERIOD < now
+    );
+  }
+
+  async markOverstay(reservationId: number) {
+    const result = await sendTransaction(this.contract, this.contract.markOverstay(reservationId));
+    const event = findEvent(result.events, 'OverstayMarked');
+    return {
+      ...result,
+      overstayHours: event ? Number(event.args.overstayHours) : null,
+      penalty: event ? (event.args.penalty as bigint) : null,
+    };
+  }
+
+  async getPenaltyStatus(address: string): Promise<PenaltyStatus> {
+    const [outstanding, overstays] = await Promise.all([
+      this.contract.outstandingPenalties(address),
+      this.contract.overstayCounts(address),
+    ]);
+    return {
+      outstanding,
+      overstays: Number(overstays),
+      maxOverstays: MAX_OVERSTAYS,
+      eligible: outstanding === 0n && Number(overstays) < MAX_OVERSTAYS,
+    };
+  }
+
+  async payPenalty(): Promise<TransactionResult> {
+    const signer = this.contract.runner as unknown as { getAddress(): Promise<string> };
+    const outstanding: bigint = await this.contract.outstandingPenalties(await signer.getAddress());
+    const paymentToken = await this.loadPaymentToken();
+
+    if (paymentToken) await this.ensureAllowance(outstanding);
+    const overrides = paymentToken ? {} : { value: outstanding };
+    return sendTransaction(this.contract, this.contract.payPenalty(overrides));
+  }
+
+  setKeeper(address: string, status: boolean): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.setKeeper(address, status));
+  }
+
+  clearOverstays(address: string): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.clearOverstays(address));
+  }
+
+  onWaitlistOffer(userAddress: string, callback: (offer: WaitlistOffer) => void): () => void {
+    const filter = this.contract.filters.WaitlistOffered(null, userAddress);
+    const listener = (spotId: bigint, user: string, expiresAt: bigint) =>
+      callback({ spotId: Number(spotId), user, expiresAt: Number(expiresAt) });
+    this.contract.on(filter, listener);
+    return () => {
+      this.contract.off(filter, listener);
+    };
+  }
+
+  async getSpot(spotId: number): Promise<Spot> {
+    return (await this.getSpots([spotId]))[0];
+  }
+
+  // Two views per spot, read through the batch reader
+  async getSpots(spotIds: number[]): Promise<Spot[]> {
+    const results = await this.reader.read(
+      spotIds.flatMap((spotId) => [
+        { contract: this.contract, method: 'parkingSpots', args: [spotId] },
+        { contract: this.contract, method: 'spotLots', args: [spotId] },
+      ])
+    );
+    return spotIds.map((spotId, i) => parseSpot(spotId, results[2 * i], results[2 * i + 1]));
+  }
+
+  async getReservation(reservationId: number): Promise<Reservation> {
+    return (await this.getReservations([reservationId]))[0];
+  }
+
+  async getReservations(reservationIds: number[]): Promise<Reservation[]> {
+    const results = await this.reader.read(
+      reservationIds.map((id) => ({ contract: this.contract, method: 'reservations', args: [id] }))
+    );
+    return reservationIds.map((id, i) => parseReservation(id, results[i]));
+  }
+
+  async getBookings(spotId: number): Promise<Booking[]> {
+    return parseBookings(await this.contract.getSpotBookings(spotId));
+  }
+
+  // Reservations are confirmed in the same transaction, there is no gateway request to follow
+  async getGatewayRequest(): Promise<null> {
+    return null;
+  }
+
+  async getRefundReason(): Promise<null> {
+    return null;
+  }
+
+  async timeoutPeriod(): Promise<null> {
+    return null;
+  }
+
+  async triggerTimeout(): Promise<TransactionResult> {
+    throw new UnsupportedOperationError(this.contractName, 'Gateway timeout');
+  }
+
+  // The contract keeps no per-user index, so reservations are found through ReservationCreated events
+  async listReservations(userAddress: string): Promise<Reservation[]> {
+    const events = await this.contract.queryFilter(
+      this.contract.filters.ReservationCreated(null, userAddress),
+      this.deploymentBlock
+    );
+    return this.getReservations(
+      events.map((event) => Number(this.contract.interface.parseLog(event)!.args.reservationId))
+    );
+  }
+
+  async getSpotsPage(offset: number, limit: number): Promise<Page<Spot>> {
+    const [page, total] = await this.contract.getSpotsPage(offset, limit);
+    return {
+      items: page.map((item: Result) => parseSpot(Number(item.spotId), item.spot, item.lotId)),
+      total: Number(total),
+    };
+  }
+
+  async getUserReservationsPage(userAddress: string, offset: number, limit: number): Promise<Page<Reservation>> {
+    const [page, total] = await this.contract.getUserReservationsPage(userAddress, offset, limit);
+    return { items: parseReservationViews(page), total: Number(total) };
+  }
+
+  async getActiveReservations(offset: number, limit: number): Promise<Page<Reservation>> {
+    const [page, total] = await this.contract.getActiveReservations(offset, limit);
+    return { items: parseReservationViews(page), total: Number(total) };
+  }
+
+  async getRegisteredUsersPage(offset: number, limit: number): Promise<Page<RegisteredUser>> {
+    const [page, total] = await this.contract.getRegisteredUsersPage(offset, limit);
+    return {
+      items: page.map((item: Result) => ({ address: item.account, ...parseUser(item.user) })),
+      total: Number(total),
+    };
+  }
+
+  async getUser(userAddress: string): Promise<UserInfo> {
+    return parseUser(await this.contract.getUserInfo(userAddress));
+  }
+
+  async checkAvailability(spotId: number): Promise<boolean | null> {
+    return (await this.getSpot(spotId)).isAvailable;
+  }
+
+  async verifyIdentity(userAddress: string, userId: number): Promise<boolean> {
+    const user = await this.getUser(userAddress);
+    return user.isRegistered && user.userId === userId;
+  }
+
+  async getCreditTiers(): Promise<CreditTiers> {
+    throw new UnsupportedOperationError(this.contractName, 'Credit tiers');
+  }
+
+  async setCreditTiers(): Promise<TransactionResult> {
+    throw new UnsupportedOperationError(this.contractName, 'Credit tiers');
+  }
+
+  async getCreditTier(): Promise<CreditTier> {
+    throw new UnsupportedOperationError(this.contractName, 'Credit tiers');
+  }
+
+  async stats(): Promise<Stats> {
+    const [stats, platformFees] = await Promise.all([
+      this.contract.getStatistics(),
+      this.contract.platformFees(),
+    ]);
+    return {
+      totalSpots: Number(stats._totalSpots),
+      totalReservations: Number(stats._totalReservations),
+      timestamp: Number(stats._timestamp),
+      platformFees,
+      paused: false,
+    };
+  }
+}
+
+// Result of parkingSpots and spotLots for one spot
+function parseSpot(
+  spotId: number,
+  spot: { location: string; pricePerHour: bigint; spotOwner: string; isAvailable: boolean },
+  lotId: bigint
+): Spot {
+  return {
+    id: spotId,
+    lotId: Number(lotId),
+    location: spot.location,
+    price: spot.pricePerHour,
+    isActive: spot.spotOwner !== ZeroAddress,
+    isAvailable: spot.isAvailable,
+    reservationEnd: 0,
+    owner: spot.spotOwner,
+  };
+}
+
+function parseReservationViews(page: Result[]): Reservation[] {
+  return page.map((item) => parseReservation(Number(item.reservationId), item.reservation));
+}
+
+function parseReservation(
+  reservationId: number,
+  reservation: {
+    spotId: bigint;
+    user: string;
+    startTime: bigint;
+    endTime: bigint;
+    isCancelled: boolean;
+    isCompleted: boolean;
+    totalPrice: bigint;
+  }
+): Reservation {
+  return {
+    id: reservationId,
+    spotId: Number(reservation.spotId),
+    user: reservation.user,
+    startTime: Number(reservation.startTime),
+    endTime: Number(reservation.endTime),
+    status: reservation.isCancelled ? 'Cancelled' : reservation.isCompleted ? 'Completed' : 'Active',
+    amount: reservation.totalPrice,
+    requestId: null,
+    requestTimestamp: null,
+  };
+}
+
+function parseUser(user: { isRegistered: boolean; userId: bigint; creditScore: bigint }): UserInfo {
+  return { isRegistered: user.isRegistered, userId: Number(user.userId), creditScore: Number(user.creditScore) };
+}
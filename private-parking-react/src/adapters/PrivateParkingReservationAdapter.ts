@@ -0,0 +1,714 @@
+// @contract PrivateParkingReservation
+import { Contract, Result, ZeroAddress, formatEther } from 'ethers';
+import type {
+  Booking,
+  CheckOutResult,
+  CreditTier,
+  CreditTiers,
+  DecryptionKey,
+  ExtendResult,
+  FheProvider,
+  GatewayRequest,
+  Page,
+  ParkingAdapter,
+  ParkingLot,
+  PenaltyStatus,
+  PricingRule,
+  RegisteredUser,
+  Reservation,
+  ReserveResult,
+  Spot,
+  Stats,
+  TransactionResult,
+  UserInfo,
+  Waitlist,
+  WaitlistOffer,
+} from './types';
+import {
+  RESERVATION_STATUS,
+  UnsupportedOperationError,
+  encryptInputs,
+  findEvent,
+  getBlockTimestamp,
+  parseBookings,
+  parseLogs,
+  parsePricingRule,
+  sendTransaction,
+  userDecrypt,
+} from './utils';
+import { BatchReader } from './batchReader';
+
+// Mirrors PrivateParkingReservation.PLATFORM_FEE_DIVISOR
+const PLATFORM_FEE_DIVISOR = 20n;
+// Mirrors PrivateParkingReservation.REFUND_GRACE_PERIOD
+const REFUND_GRACE_PERIOD = 30 * 60;
+const MAX_CREDIT_SCORE = 850;
+// Mirror PrivateParkingReservation.OVERSTAY_GRACE_PERIOD and MAX_OVERSTAYS
+const OVERSTAY_GRACE_PERIOD = 15 * 60;
+const MAX_OVERSTAYS = 3;
+// Mirrors PrivateParkingReservation.CreditTier
+const CREDIT_TIERS: CreditTier[] = ['DepositRequired', 'Standard', 'Discount'];
+// Paginated views of PrivateParkingReservationViews
+const SPOT_PAGE =
+  'tuple(uint256 spotId, uint32 lotId, tuple(bytes32 encryptedPrice, bytes32 encryptedStatus, bool isActive, ' +
+  'bytes32 encryptedReservedBy, uint256 reservationEnd, string location, uint64 obfuscationSeed) spot)[] page';
+const RESERVATION_PAGE =
+  'tuple(uint256 reservationId, tuple(uint32 spotId, address user, bytes32 encryptedUserId, ' +
+  'bytes32 encryptedPaidAmount, uint256 startTime, uint256 endTime, uint8 status, bool isActive, ' +
+  'uint256 depositAmount, uint256 requestTimestamp, uint256 decryptionRequestId, uint256 platformFee) ' +
+  'reservation)[] page';
+const USER_PAGE =
+  'tuple(address account, tuple(bytes32 encryptedUserId, bytes32 encryptedCreditScore, bool isRegistered, ' +
+  'uint256 totalReservations, uint256 lastReservation, uint256 depositBalance) user)[] page';
+const VIEWS_ABI = [
+  `function getSpotsPage(uint256 offset, uint256 limit) view returns (${SPOT_PAGE}, uint256 total)`,
+  'function getUserReservationsPage(address user, uint256 offset, uint256 limit) view ' +
+    `returns (${RESERVATION_PAGE}, uint256 total)`,
+  `function getActiveReservations(uint256 offset, uint256 limit) view returns (${RESERVATION_PAGE}, uint256 total)`,
+  `function getRegisteredUsersPage(uint256 offset, uint256 limit) view returns (${USER_PAGE}, uint256 total)`,
+];
+
+/** Adapter for the FHE PrivateParkingReservation contract (gateway callback flow) */
+export class PrivateParkingReservationAdapter implements ParkingAdapter {
+  readonly contractName = 'PrivateParkingReservation';
+  readonly capabilities = {
+    cancel: true,
+    gatewayCallback: true,
+    encryptedQueries: true,
+    publicPrices: false,
+    encryptedInputs: true,
+    scheduling: true,
+    extend: true,
+    earlyCheckOut: true,
+    creditTiers: true,
+    dynamicPricing: true,
+    waitlist: true,
+    overstayPenalties: true,
+    batchSpots: false,
+    maintenance: true,
+    tokenPayments: false,
+  };
+  readonly firstSpotId = 0;
+  readonly priceUnit = 'units';
+  readonly priceDecimals = 0;
+  readonly paymentToken = null;
+  readonly spotEvents = [
+    'SpotAdded',
+    'SpotUpdated',
+    'SpotRemoved',
+    'PriceUpdated',
+    'ReservationConfirmed',
+    'ReservationCompleted',
+    'ReservationCancelled',
+    'ReservationExtended',
+  ];
+  private cachedTimeoutPeriod: number | null = null;
+  private viewsContract: Contract | null = null;
+  // Signed decryption keypair, reused until it expires
+  private readonly decryptionSession: { key?: DecryptionKey } = {};
+
+  constructor(
+    readonly contract: Contract,
+    readonly deploymentBlock = 0,
+    private readonly fhe: FheProvider | null = null,
+    private readonly reader = new BatchReader(null)
+  ) {}
+
+  // Spot IDs start at 0 and run up to totalSpots - 1
+  spotIds(totalSpots: number): number[] {
+    return Array.from({ length: totalSpots }, (_, i) => i);
+  }
+
+  // Prices are uint16 values encrypted on-chain
+  parsePrice(input: string): bigint {
+    return BigInt(input);
+  }
+
+  formatPrice(price: bigint | null): string {
+    return price === null ? 'Encrypted' : `${price} units`;
+  }
+
+  // Deposits, refunds and lot revenue are in ETH, unlike the unit prices
+  formatAmount(amount: bigint): string {
+    return `${formatEther(amount)} ETH`;
+  }
+
+  // Payments are in ETH only (capabilities.tokenPayments): the encrypted offer is backed by the ETH sent with the
+  // request, and the contract has no payment token or permit support
+  async loadPaymentToken(): Promise<null> {
+    return null;
+  }
+
+  async tokenBalances(): Promise<null> {
+    return null;
+  }
+
+  async approveToken(): Promise<TransactionResult> {
+    throw new UnsupportedOperationError(this.contractName, 'ERC-20 payments');
+  }
+
+  /** Only handles and the input proof are sent; the contract cannot range-check them, so they are validated here */
+  async register(userId: number, creditScore: number): Promise<TransactionResult> {
+    if (!(userId > 0)) {
+      throw new Error('Invalid user ID');
+    }
+    if (!(creditScore >= 0 && creditScore <= MAX_CREDIT_SCORE)) {
+      throw new Error('Invalid credit score');
+    }
+
+    const { handles, inputProof } = await encryptInputs(this.fhe, this.contract, [
+      ['add32', userId],
+      ['add16', creditScore],
+    ]);
+    return sendTransaction(this.contract, this.contract.registerUser(handles[0], handles[1], inputProof));
+  }
+
+  async addSpot(location: string, price: bigint) {
+    const result = await sendTransaction(this.contract, this.contract.addParkingSpot(price, location));
+    const event = findEvent(result.events, 'SpotAdded');
+    return { ...result, spotId: event ? Number(event.args.spotId) : null };
+  }
+
+  async registerLot(name: string, feeShare: number) {
+    const result = await sendTransaction(this.contract, this.contract.registerLot(name, feeShare));
+    const event = findEvent(result.events, 'LotRegistered');
+    return { ...result, lotId: event ? Number(event.args.lotId) : null };
+  }
+
+  setLotFeeShare(lotId: number, feeShare: number): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.setLotFeeShare(lotId, feeShare));
+  }
+
+  async addLotSpot(lotId: number, location: string, price: bigint) {
+    const result = await sendTransaction(this.contract, this.contract.addLotSpot(lotId, price, location));
+    const event = findEvent(result.events, 'SpotAdded');
+    return { ...result, spotId: event ? Number(event.args.spotId) : null };
+  }
+
+  // The contract has no room left for a batch function; add spots one at a time
+  async addSpots(): Promise<TransactionResult & { spotIds: number[] }> {
+    throw new UnsupportedOperationError(this.contractName, 'Batch spot import');
+  }
+
+  // Fails while the spot is reserved
+  setSpotMaintenance(spotId: number, inMaintenance: boolean): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.setSpotMaintenance(spotId, inMaintenance));
+  }
+
+  updateSpotPrice(spotId: number, price: bigint): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.updateSpotPrice(spotId, price));
+  }
+
+  /**
+   * The price is encrypted, so the contract computes it in a transaction and only the caller can decrypt it; it
+   * includes the caller's credit tier and charges every started hour
+   */
+  async quote(spotId: number, durationSeconds: number, startTime: number | null = null): Promise<bigint> {
+    await sendTransaction(this.contract, this.contract.quotePrice(spotId, startTime ?? 0, durationSeconds));
+    const handle: string = await this.contract.getQuoteResult();
+    const [price] = await userDecrypt(this.fhe, this.contract, [handle], this.decryptionSession);
+    return BigInt(price);
+  }
+
+  // Rules are public, only the spot prices they apply to are encrypted
+  async getSpotPricingRule(spotId: number): Promise<PricingRule> {
+    return parsePricingRule(await this.contract.spotPricingRules(spotId));
+  }
+
+  async getLotPricingRule(lotId: number): Promise<PricingRule> {
+    return parsePricingRule(await this.contract.lotPricingRules(lotId));
+  }
+
+  /** maxPrice is in price units */
+  setSpotPricingRule(spotId: number, rule: PricingRule): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.setSpotPricingRule(spotId, rule));
+  }
+
+  setLotPricingRule(lotId: number, rule: PricingRule): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.setLotPricingRule(lotId, rule));
+  }
+
+  /**
+   * Prices are encrypted, so the deposit cannot be quoted and is required. It is sent with an encrypted offer of the
+   * same amount, which the gateway checks against the spot price when the offer is claimed.
+   */
+  async joinWaitlist(spotId: number, durationSeconds: number, payment: bigint | null = null) {
+    if (!payment) {
+      throw new Error('Payment required: spot prices are encrypted, enter the deposit to send');
+    }
+
+    const { handles, inputProof } = await encryptInputs(this.fhe, this.contract, [['add64', payment]]);
+    const result = await sendTransaction(
+      this.contract,
+      this.contract.joinWaitlist(spotId, durationSeconds, handles[0], inputProof, { value: payment })
+    );
+    const event = findEvent(result.events, 'WaitlistJoined');
+    return { ...result, deposit: event ? (event.args.deposit as bigint) : null };
+  }
+
+  leaveWaitlist(spotId: number): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.leaveWaitlist(spotId));
+  }
+
+  /** Like reserve, the reservation stays Pending until the gateway calls reservationCallback */
+  async claimWaitlistOffer(spotId: number): Promise<ReserveResult> {
+    const result = await sendTransaction(this.contract, this.contract.claimWaitlistOffer(spotId));
+    const event = findEvent(result.events, 'ReservationRequested');
+    return {
+      ...result,
+      reservationId: event ? Number(event.args.reservationId) : null,
+      requestId: event ? Number(event.args.requestId) : null,
+    };
+  }
+
+  expireWaitlistOffer(spotId: number): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.expireWaitlistOffer(spotId));
+  }
+
+  async getWaitlist(spotId: number): Promise<Waitlist> {
+    const [waiting, offer] = await Promise.all([
+      this.contract.getWaitlist(spotId),
+      this.contract.waitlistOffers(spotId),
+    ]);
+    return {
+      waiting: Array.from(waiting as string[]),
+      offer: offer.user !== ZeroAddress ? { spotId, user: offer.user, expiresAt: Number(offer.expiresAt) } : null,
+    };
+  }
+
+  async listWaitlistOffers(userAddress: string): Promise<WaitlistOffer[]> {
+    const events = await this.contract.queryFilter(
+      this.contract.filters.WaitlistOffered(null, userAddress),
+      this.deploymentBlock
+    );
+    const spotIds = [...new Set(events.map((event) => Number(this.contract.interface.parseLog(event)!.args.spotId)))];
+    const offers = await Promise.all(
+      spotIds.map(async (spotId) => {
+        const offer = await this.contract.waitlistOffers(spotId);
+        return { spotId, user: offer.user as string, expiresAt: Number(offer.expiresAt) };
+      })
+    );
+    return offers.filter((offer) => offer.user.toLowerCase() === userAddress.toLowerCase());
+  }
+
+  onWaitlistOffer(userAddress: string, callback: (offer: WaitlistOffer) => void): () => void {
+    const filter = this.contract.filters.WaitlistOffered(null, userAddress);
+    const listener = (spotId: bigint, user: string, expiresAt: bigint) =>
+      callback({ spotId: Number(spotId), user, expiresAt: Number(expiresAt) });
+    this.contract.on(filter, listener);
+    return () => {
+      this.contract.off(filter, listener);
+    };
+  }
+
+  async listOverstays(at: number | null = null): Promise<Reservation[]> {
+    const now = at ?? (await getBlockTimestamp(this.contract));
+    const events = await this.contract.queryFilter(this.contract.filters.ReservationRequested(), this.deploymentBlock);
+    const reservations = await this.getReservations(
+      events.map((event) => Number(this.contract.interface.parseLog(event)!.args.reservationId))
+    );
+    return reservations.filter(
+      (reservation) => reservation.status === 'Active' && reservation.endTime + OVERSTAY_GRACE_PERIOD < now
+    );
+  }
+
+  /** The spot price is encrypted, so the penalty is charged on the deposit rate of the reservation */
+  async markOverstay(reservationId: number) {
+    const result = await sendTransaction(this.contract, this.contract.markOverstay(reservationId));
+    const event = findEvent(result.events, 'OverstayMarked');
+    return {
+      ...result,
+      overstayHours: event ? Number(event.args.overstayHours) : null,
+      penalty: event ? (event.args.penalty as bigint) : null,
+    };
+  }
+
+  async getPenaltyStatus(address: string): Promise<PenaltyStatus> {
+    const [outstanding, overstays] = await Promise.all([
+      this.contract.outstandingPenalties(address),
+      this.contract.overstayCounts(address),
+    ]);
+    return {
+      outstanding,
+      overstays: Number(overstays),
+      maxOverstays: MAX_OVERSTAYS,
+      eligible: outstanding === 0n && Number(overstays) < MAX_OVERSTAYS,
+    };
+  }
+
+  async payPenalty(): Promise<TransactionResult> {
+    const signer = this.contract.runner as unknown as { getAddress(): Promise<string> };
+    const outstanding: bigint = await this.contract.outstandingPenalties(await signer.getAddress());
+    return sendTransaction(this.contract, this.contract.payPenalty({ value: outstanding }));
+  }
+
+  setKeeper(address: string, status: boolean): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.setKeeper(address, status));
+  }
+
+  clearOverstays(address: string): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.clearOverstays(address));
+  }
+
+  /** Lot 0 holds the revenue of the platform's own spots and is withdrawn by the owner */
+  withdrawLotRevenue(lotId: number, to: string): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.withdrawLotRevenue(lotId, to));
+  }
+
+  async getLot(lotId: number): Promise<ParkingLot> {
+    const lot = await this.contract.parkingLots(lotId);
+    if (lotId === 0) {
+      return {
+        id: 0,
+        name: 'Platform spots',
+        operator: await this.contract.owner(),
+        feeShare: Number(100n / PLATFORM_FEE_DIVISOR),
+        revenue: lot.revenue,
+      };
+    }
+    return { id: lotId, name: lot.name, operator: lot.operator, feeShare: Number(lot.feeShare), revenue: lot.revenue };
+  }
+
+  // The owner also gets lot 0 with the platform's own spots
+  async listLots(operatorAddress: string): Promise<ParkingLot[]> {
+    const [events, owner] = await Promise.all([
+      this.contract.queryFilter(this.contract.filters.LotRegistered(null, operatorAddress), this.deploymentBlock),
+      this.contract.owner(),
+    ]);
+    const lotIds = events.map((event) => Number(this.contract.interface.parseLog(event)!.args.lotId));
+    if (owner.toLowerCase() === operatorAddress.toLowerCase()) {
+      lotIds.unshift(0);
+    }
+    return Promise.all(lotIds.map((lotId) => this.getLot(lotId)));
+  }
+
+  /**
+   * The reservation stays Pending until the gateway calls reservationCallback. Only whether the encrypted offer
+   * covers the encrypted price is decrypted; the offer must not exceed the deposit.
+   */
+  async reserve(
+    spotId: number,
+    durationSeconds: number,
+    payment: bigint | null,
+    startTime: number | null = null,
+    offer: bigint | null = null
+  ): Promise<ReserveResult> {
+    if (!payment) {
+      throw new Error('Payment required: spot prices are encrypted, enter the deposit to send');
+    }
+    const offerValue = offer ?? payment;
+    if (offerValue > payment) {
+      throw new Error('Offer exceeds the deposit');
+    }
+
+    const { handles, inputProof } = await encryptInputs(this.fhe, this.contract, [['add64', offerValue]]);
+    const result = await sendTransaction(
+      this.contract,
+      startTime !== null
+        ? this.contract.requestReservationAt(spotId, startTime, durationSeconds, handles[0], inputProof, {
+            value: payment,
+          })
+        : this.contract.requestReservation(spotId, durationSeconds, handles[0], inputProof, { value: payment })
+    );
+    const event = findEvent(result.events, 'ReservationRequested');
+    return {
+      ...result,
+      reservationId: event ? Number(event.args.reservationId) : null,
+      requestId: event ? Number(event.args.requestId) : null,
+    };
+  }
+
+  cancel(reservationId: number): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.cancelReservation(reservationId));
+  }
+
+  // Refunds go to the deposit balance of the user profile
+  async withdrawableBalance(address: string): Promise<bigint> {
+    const profile = await this.contract.getUserProfile(address);
+    return profile.depositBalance;
+  }
+
+  withdraw(): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.withdrawDeposit());
+  }
+
+  complete(reservationId: number): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.completeReservation(reservationId));
+  }
+
+  /**
+   * The total duration stays within MAX_DURATION. The gateway checks that the payment covers the encrypted price of
+   * every started hour, pricing rules included; payment defaults to the deposit rate of the reservation for those
+   * hours.
+   */
+  async extend(reservationId: number, extraSeconds: number, payment: bigint | null = null): Promise<ExtendResult> {
+    let value = payment;
+    if (value === null) {
+      // Prices are encrypted, so charge the extra time at the rate already deposited
+      const reservation = await this.getReservation(reservationId);
+      const duration = BigInt(reservation.endTime - reservation.startTime);
+      const paidSeconds = BigInt(Math.ceil(extraSeconds / 3600) * 3600);
+      value = (reservation.amount * paidSeconds + duration - 1n) / duration;
+    }
+    if (value === 0n) {
+      throw new Error('Payment required: enter the deposit to send for the extra time');
+    }
+
+    const result = await sendTransaction(this.contract, this.contract.extendReservation(reservationId, extraSeconds, { value }));
+    const event = findEvent(result.events, 'ExtensionRequested');
+    return {
+      ...result,
+      endTime: event ? Number(event.args.newEndTime) : null,
+      requestId: event ? Number(event.args.requestId) : null,
+    };
+  }
+
+  async checkOut(reservationId: number): Promise<CheckOutResult> {
+    const result = await sendTransaction(this.contract, this.contract.checkOutEarly(reservationId));
+    const event = findEvent(result.events, 'RefundIssued');
+    return { ...result, refund: event ? (event.args.amount as bigint) : 0n };
+  }
+
+  // Pending reservations, or active ones within REFUND_GRACE_PERIOD of their start
+  canCancel(reservation: Reservation, at: number): boolean {
+    if (reservation.status === 'Pending') return true;
+    return reservation.status === 'Active' && at < reservation.startTime + REFUND_GRACE_PERIOD;
+  }
+
+  estimateCheckOutRefund(reservation: Reservation, at: number): bigint {
+    if (at < reservation.startTime || at >= reservation.endTime) return 0n;
+    // The platform fee taken on confirmation is not refunded
+    const refundable = reservation.amount - (reservation.platformFee ?? reservation.amount / PLATFORM_FEE_DIVISOR);
+    return (refundable * BigInt(reservation.endTime - at)) / BigInt(reservation.endTime - reservation.startTime);
+  }
+
+  // The public getter is used instead of getSpotInfo, which reverts for deactivated spots
+  async getSpot(spotId: number): Promise<Spot> {
+    return (await this.getSpots([spotId]))[0];
+  }
+
+  // Two views per spot, read through the batch reader
+  async getSpots(spotIds: number[]): Promise<Spot[]> {
+    const results = await this.reader.read(
+      spotIds.flatMap((spotId) => [
+        { contract: this.contract, method: 'parkingSpots', args: [spotId] },
+        { contract: this.contract, method: 'spotLots', args: [spotId] },
+      ])
+    );
+    return spotIds.map((spotId, i) => parseSpot(spotId, results[2 * i], results[2 * i + 1]));
+  }
+
+  async getReservation(reservationId: number): Promise<Reservation> {
+    return (await this.getReservations([reservationId]))[0];
+  }
+
+  async getReservations(reservationIds: number[]): Promise<Reservation[]> {
+    const results = await this.reader.read(
+      reservationIds.map((id) => ({ contract: this.contract, method: 'reservations', args: [id] }))
+    );
+    return reservationIds.map((id, i) => parseReservation(id, results[i]));
+  }
+  // Pending reservations hold their window too
+  async getBookings(spotId: number): Promise<Booking[]> {
+    return parseBookings(await this.contract.getSpotBookings(spotId));
+  }
+
+  async getGatewayRequest(requestId: number): Promise<GatewayRequest> {
+    const request = await this.contract.gatewayRequests(requestId);
+    return {
+      id: requestId,
+      reservationId: Number(request.reservationId),
+      requester: request.requester,
+      timestamp: Number(request.timestamp),
+      processed: request.processed,
+      timedOut: request.timedOut,
+    };
+  }
+
+  // Read from the RefundIssued event of the callback transaction: 'Offer not accepted' or 'Spot not available'
+  async getRefundReason(requestId: number): Promise<string | null> {
+    const [callback] = await this.contract.queryFilter(
+      this.contract.filters.GatewayCallbackReceived(requestId),
+      this.deploymentBlock
+    );
+    if (!callback) return null;
+
+    const receipt = await callback.getTransactionReceipt();
+    const refund = findEvent(parseLogs(this.contract, receipt.logs), 'RefundIssued');
+    return refund ? (refund.args.reason as string) : null;
+  }
+
+  // Seconds after which an unanswered gateway request can be timed out
+  async timeoutPeriod(): Promise<number> {
+    if (this.cachedTimeoutPeriod === null) {
+      this.cachedTimeoutPeriod = Number(await this.contract.TIMEOUT_PERIOD());
+    }
+    return this.cachedTimeoutPeriod;
+  }
+
+  // Refunds the deposit of a reservation the gateway never answered
+  triggerTimeout(requestId: number): Promise<TransactionResult> {
+    return sendTransaction(this.contract, this.contract.triggerTimeout(requestId));
+  }
+
+  async listReservations(userAddress: string): Promise<Reservation[]> {
+    const ids: bigint[] = await this.contract.getUserReservations(userAddress);
+    return this.getReservations(ids.map((id) => Number(id)));
+  }
+
+  async getSpotsPage(offset: number, limit: number): Promise<Page<Spot>> {
+    const [page, total] = await (await this.views()).getSpotsPage(offset, limit);
+    return {
+      items: page.map((item: Result) => parseSpot(Number(item.spotId), item.spot, item.lotId)),
+      total: Number(total),
+    };
+  }
+
+  async getUserReservationsPage(userAddress: string, offset: number, limit: number): Promise<Page<Reservation>> {
+    const [page, total] = await (await this.views()).getUserReservationsPage(userAddress, offset, limit);
+    return { items: parseReservationViews(page), total: Number(total) };
+  }
+
+  async getActiveReservations(offset: number, limit: number): Promise<Page<Reservation>> {
+    const [page, total] = await (await this.views()).getActiveReservations(offset, limit);
+    return { items: parseReservationViews(page), total: Number(total) };
+  }
+
+  async getRegisteredUsersPage(offset: number, limit: number): Promise<Page<RegisteredUser>> {
+    const [page, total] = await (await this.views()).getRegisteredUsersPage(offset, limit);
+    return {
+      items: page.map((item: Result) => ({ address: item.account, ...parseUser(item.user) })),
+      total: Number(total),
+    };
+  }
+
+  // The views do not fit in the contract itself; its constructor deploys them (PrivateParkingReservation.views)
+  private async views(): Promise<Contract> {
+    if (!this.viewsContract) {
+      this.viewsContract = new Contract(await this.contract.views(), VIEWS_ABI, this.contract.runner);
+    }
+    return this.viewsContract;
+  }
+
+  async getUser(userAddress: string): Promise<UserInfo> {
+    return parseUser(await this.contract.getUserProfile(userAddress));
+  }
+
+  /** The answer is encrypted for the connected account: a transaction, then an EIP-712 signature to decrypt it */
+  async checkAvailability(spotId: number): Promise<boolean> {
+    await sendTransaction(this.contract, this.contract.checkSpotAvailability(spotId));
+    return this.decryptBool(await this.contract.getAvailabilityResult(spotId));
+  }
+
+  // Compared under encryption like checkAvailability; the user ID never leaves the contract in the clear
+  async verifyIdentity(userAddress: string, userId: number): Promise<boolean> {
+    await sendTransaction(this.contract, this.contract.verifyUserIdentity(userAddress, userId));
+    return this.decryptBool(await this.contract.getIdentityResult(userAddress));
+  }
+
+  async getCreditTiers(): Promise<CreditTiers> {
+    const tiers = await this.contract.creditTiers();
+    return {
+      minScore: Number(tiers.minScore),
+      depositScore: Number(tiers.depositScore),
+      depositPercent: Number(tiers.depositPercent),
+      discountScore: Number(tiers.discountScore),
+      discountPercent: Number(tiers.discountPercent),
+    };
+  }
+
+  // Operator only; offers are then compared to the price of the user's tier under encryption
+  async setCreditTiers(tiers: Partial<CreditTiers>): Promise<TransactionResult> {
+    const { minScore = 0, depositScore = 0, depositPercent = 0, discountScore = 0, discountPercent = 0 } = tiers;
+    return sendTransaction(
+      this.contract,
+      this.contract.setCreditTiers(minScore, depositScore, depositPercent, discountScore, discountPercent)
+    );
+  }
+
+  // Computed from the encrypted credit score and decrypted for the connected account alone
+  async getCreditTier(): Promise<CreditTier> {
+    await sendTransaction(this.contract, this.contract.checkCreditTier());
+    const handle: string = await this.contract.getCreditTierResult();
+    const [tier] = await userDecrypt(this.fhe, this.contract, [handle], this.decryptionSession);
+    return CREDIT_TIERS[Number(tier)];
+  }
+
+  private async decryptBool(handle: string): Promise<boolean> {
+    const [value] = await userDecrypt(this.fhe, this.contract, [handle], this.decryptionSession);
+    return Boolean(value);
+  }
+
+  async stats(): Promise<Stats> {
+    const stats = await this.contract.getStatistics();
+    return {
+      totalSpots: Number(stats.totalParkingSpots),
+      totalReservations: Number(stats.totalReservationsCount),
+      timestamp: null,
+      platformFees: stats.currentPlatformFees,
+      paused: stats.isPaused,
+    };
+  }
+}
+
+// Result of parkingSpots and spotLots for one spot
+function parseSpot(
+  spotId: number,
+  spot: { location: string; isActive: boolean; reservationEnd: bigint },
+  lotId: bigint
+): Spot {
+  const reservationEnd = Number(spot.reservationEnd);
+  return {
+    id: spotId,
+    lotId: Number(lotId),
+    location: spot.location,
+    price: null,
+    isActive: spot.isActive,
+    // Status is encrypted; only a running reservation is publicly visible
+    isAvailable: reservationEnd > Math.floor(Date.now() / 1000) ? false : null,
+    reservationEnd,
+    owner: null,
+  };
+}
+
+function parseReservationViews(page: Result[]): Reservation[] {
+  return page.map((item) => parseReservation(Number(item.reservationId), item.reservation));
+}
+
+function parseReservation(
+  reservationId: number,
+  reservation: {
+    spotId: bigint;
+    user: string;
+    startTime: bigint;
+    endTime: bigint;
+    status: bigint;
+    depositAmount: bigint;
+    decryptionRequestId: bigint;
+    requestTimestamp: bigint;
+    platformFee: bigint;
+  }
+): Reservation {
+  return {
+    id: reservationId,
+    spotId: Number(reservation.spotId),
+    user: reservation.user,
+    startTime: Number(reservation.startTime),
+    endTime: Number(reservation.endTime),
+    status: RESERVATION_STATUS[Number(reservation.status)],
+    amount: reservation.depositAmount,
+    requestId: Number(reservation.decryptionRequestId),
+    requestTimestamp: Number(reservation.requestTimestamp),
+    platformFee: reservation.platformFee,
+  };
+}
+
+function parseUser(profile: { isRegistered: boolean; totalReservations: bigint; depositBalance: bigint }): UserInfo {
+  return {
+    isRegistered: profile.isRegistered,
+    userId: null,
+    creditScore: null,
+    totalReservations: Number(profile.totalReservations),
+    depositBalance: profile.depositBalance,
+  };
+}
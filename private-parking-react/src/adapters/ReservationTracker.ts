@@ -0,0 +1,192 @@
+import type { GatewayRequest, ParkingAdapter, Reservation } from './types';
+import { getBlockTimestamp } from './utils';
+
+// Mirrors public/adapters/reservation-tracker.js
+export type LifecycleStage =
+  | 'AwaitingGateway'
+  | 'TimeoutClaimable'
+  | 'Confirmed'
+  | 'Refunded'
+  | 'TimedOut'
+  | 'Cancelled'
+  | 'Completed';
+
+export interface ReservationLifecycle {
+  reservationId: number;
+  requestId: number | null;
+  stage: LifecycleStage;
+  status: Reservation['status'];
+  /** Refund reason, as passed to RefundIssued */
+  reason: string | null;
+  /** Block timestamp after which triggerTimeout is accepted */
+  timeoutAt: number | null;
+  canClaimTimeout: boolean;
+  /** false while the gateway has not answered */
+  isSettled: boolean;
+}
+
+// Any event that can move a pending reservation forward triggers a refresh
+const WATCHED_EVENTS = [
+  'ReservationConfirmed',
+  'GatewayCallbackReceived',
+  'RefundIssued',
+  'TimeoutTriggered',
+  'ReservationCancelled',
+];
+
+export function describeLifecycle(
+  reservation: Reservation,
+  request: GatewayRequest | null,
+  now: number,
+  timeoutPeriod: number | null,
+  refundReason: string | null = null
+): ReservationLifecycle {
+  const timeoutAt = request && timeoutPeriod !== null ? request.timestamp + timeoutPeriod : null;
+  const base = {
+    reservationId: reservation.id,
+    requestId: reservation.requestId,
+    status: reservation.status,
+    reason: null,
+    timeoutAt,
+    canClaimTimeout: false,
+    isSettled: true,
+  };
+
+  switch (reservation.status) {
+    case 'Pending': {
+      const canClaimTimeout =
+        request !== null && timeoutAt !== null && now >= timeoutAt && !request.processed && !request.timedOut;
+      return {
+        ...base,
+        stage: canClaimTimeout ? 'TimeoutClaimable' : 'AwaitingGateway',
+        canClaimTimeout,
+        isSettled: false,
+      };
+    }
+    case 'Active':
+      return { ...base, stage: 'Confirmed' };
+    case 'Refunded':
+      return request?.timedOut
+        ? { ...base, stage: 'TimedOut', reason: 'Gateway timeout' }
+        : { ...base, stage: 'Refunded', reason: refundReason };
+    case 'Cancelled':
+      return { ...base, stage: 'Cancelled' };
+    default:
+      return { ...base, stage: 'Completed' };
+  }
+}
+
+interface TrackerOptions {
+  /** Called when a tracked reservation changes stage */
+  onUpdate?: (lifecycle: ReservationLifecycle) => void;
+  /** Polling interval in ms, 0 disables polling */
+  pollInterval?: number;
+}
+
+/** Follows reservations from ReservationRequested through confirmation, refund or timeout */
+export class ReservationTracker {
+  private readonly onUpdate: (lifecycle: ReservationLifecycle) => void;
+  private readonly pollInterval: number;
+  private readonly tracked = new Map<number, ReservationLifecycle | null>();
+  private listener: (() => void) | null = null;
+  private timer: ReturnType<typeof setInterval> | null = null;
+
+  constructor(private readonly adapter: ParkingAdapter, options: TrackerOptions = {}) {
+    this.onUpdate = options.onUpdate ?? (() => {});
+    this.pollInterval = options.pollInterval ?? 15000;
+  }
+
+  /** Start following a reservation; settled reservations are returned but not watched */
+  async track(reservationId: number): Promise<ReservationLifecycle> {
+    this.tracked.set(reservationId, null);
+    const lifecycle = await this.refresh(reservationId);
+    this.updateWatchers();
+    return lifecycle;
+  }
+
+  untrack(reservationId: number): void {
+    this.tracked.delete(reservationId);
+    this.updateWatchers();
+  }
+
+  get(reservationId: number): ReservationLifecycle | null {
+    return this.tracked.get(reservationId) ?? null;
+  }
+
+  /** Re-read a reservation and notify onUpdate if its stage changed */
+  async refresh(reservationId: number): Promise<ReservationLifecycle> {
+    const reservation = await this.adapter.getReservation(reservationId);
+    const [request, now, timeoutPeriod] = await Promise.all([
+      reservation.requestId !== null ? this.adapter.getGatewayRequest(reservation.requestId) : null,
+      getBlockTimestamp(this.adapter.contract),
+      this.adapter.timeoutPeriod(),
+    ]);
+
+    const refundReason =
+      reservation.status === 'Refunded' && request && !request.timedOut && reservation.requestId !== null
+        ? await this.adapter.getRefundReason(reservation.requestId)
+        : null;
+
+    const lifecycle = describeLifecycle(reservation, request, now, timeoutPeriod, refundReason);
+    const previous = this.tracked.get(reservationId);
+
+    if (lifecycle.isSettled) {
+      this.tracked.delete(reservationId);
+    } else {
+      this.tracked.set(reservationId, lifecycle);
+    }
+
+    if (previous && previous.stage !== lifecycle.stage) {
+      this.onUpdate(lifecycle);
+    }
+    return lifecycle;
+  }
+
+  async refreshAll(): Promise<void> {
+    const results = await Promise.allSettled(Array.from(this.tracked.keys()).map((id) => this.refresh(id)));
+    results
+      .filter((result): result is PromiseRejectedResult => result.status === 'rejected')
+      .forEach((result) => console.warn('Reservation refresh failed:', result.reason));
+    this.updateWatchers();
+  }
+
+  /** Claim the deposit back once the gateway missed TIMEOUT_PERIOD */
+  async claimTimeoutRefund(reservationId: number): Promise<ReservationLifecycle> {
+    const lifecycle = await this.refresh(reservationId);
+    if (!lifecycle.canClaimTimeout || lifecycle.requestId === null) {
+      throw new Error(`Reservation #${reservationId} cannot be timed out yet`);
+    }
+
+    await this.adapter.triggerTimeout(lifecycle.requestId);
+    return this.refresh(reservationId);
+  }
+
+  stop(): void {
+    this.tracked.clear();
+    this.updateWatchers();
+  }
+
+  // Listen for contract events and poll only while something is still pending
+  private updateWatchers(): void {
+    const pending = this.tracked.size > 0;
+    const { contract } = this.adapter;
+
+    if (pending && !this.listener) {
+      const listener = () => void this.refreshAll();
+      this.listener = listener;
+      WATCHED_EVENTS.forEach((name) => void contract.on(name, listener));
+    } else if (!pending && this.listener) {
+      const listener = this.listener;
+      WATCHED_EVENTS.forEach((name) => void contract.off(name, listener));
+      this.listener = null;
+    }
+
+    // Polling also notices when TIMEOUT_PERIOD elapses, which emits no event
+    if (pending && !this.timer && this.pollInterval > 0) {
+      this.timer = setInterval(() => void this.refreshAll(), this.pollInterval);
+    } else if (!pending && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
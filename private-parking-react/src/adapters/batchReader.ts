@@ -0,0 +1,76 @@
+import { Contract, ContractRunner, Result } from 'ethers';
+
+/** Same address on Sepolia, mainnet and most other chains; deploy/03_deploy_multicall.js puts it there locally */
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+// aggregate3 is payable on-chain; declared as a view so ethers eth_calls it instead of sending it
+export const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) view returns (tuple(bool success, bytes returnData)[] returnData)',
+];
+// Calls per eth_call, well below the gas and response size limits of public nodes
+const DEFAULT_MAX_CALLS = 100;
+
+export interface ViewCall {
+  contract: Contract;
+  method: string;
+  args?: unknown[];
+}
+
+// Like a direct call: single-output functions return the value itself
+function unwrap(result: Result): unknown {
+  return result.length === 1 ? result[0] : result;
+}
+
+export class BatchReader {
+  private available: Promise<boolean> | null = null;
+
+  /** multicall is null to call each view directly */
+  constructor(private readonly multicall: Contract | null, private readonly maxCalls = DEFAULT_MAX_CALLS) {}
+
+  /** Whether Multicall3 has code on the connected chain; checked once */
+  isAvailable(): Promise<boolean> {
+    if (!this.multicall) return Promise.resolve(false);
+    if (!this.available) {
+      const provider = this.multicall.runner?.provider;
+      this.available = provider
+        ? provider.getCode(this.multicall.target as string).then((code) => code !== '0x')
+        : Promise.resolve(false);
+    }
+    return this.available;
+  }
+
+  /** Read contract views, maxCalls per request; a reverting view fails the whole read, as with Promise.all */
+  async read(calls: ViewCall[]): Promise<any[]> {
+    if (calls.length === 0) return [];
+    if (!(await this.isAvailable())) {
+      return Promise.all(calls.map(({ contract, method, args = [] }) => contract.getFunction(method)(...args)));
+    }
+
+    const chunks = Array.from({ length: Math.ceil(calls.length / this.maxCalls) }, (_, i) =>
+      calls.slice(i * this.maxCalls, (i + 1) * this.maxCalls)
+    );
+    const results = await Promise.all(chunks.map((chunk) => this.aggregate(chunk)));
+    return results.flat();
+  }
+
+  private async aggregate(calls: ViewCall[]): Promise<unknown[]> {
+    const returnData: { returnData: string }[] = await this.multicall!.aggregate3(
+      calls.map(({ contract, method, args = [] }) => ({
+        target: contract.target,
+        allowFailure: false,
+        callData: contract.interface.encodeFunctionData(method, args),
+      }))
+    );
+    return returnData.map((result, i) =>
+      unwrap(calls[i].contract.interface.decodeFunctionResult(calls[i].method, result.returnData))
+    );
+  }
+}
+
+/** Reader going through Multicall3 at address (default: its canonical address); null reads directly */
+export function createBatchReader(
+  runner: ContractRunner,
+  address: string | null = MULTICALL3_ADDRESS,
+  maxCalls = DEFAULT_MAX_CALLS
+): BatchReader {
+  return new BatchReader(address ? new Contract(address, MULTICALL3_ABI, runner) : null, maxCalls);
+}
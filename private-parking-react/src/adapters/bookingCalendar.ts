@@ -0,0 +1,87 @@
+import type { Booking } from './types';
+
+// Mirrors public/adapters/booking-calendar.js
+
+const SECONDS_PER_DAY = 86400;
+
+const pad = (value: number) => String(value).padStart(2, '0');
+
+export interface CalendarSlot extends Booking {
+  /** Start of the slot within the day, in percent */
+  offset: number;
+  /** Length of the slot, in percent of the day */
+  width: number;
+}
+
+export interface CalendarDay {
+  start: number;
+  end: number;
+  slots: CalendarSlot[];
+}
+
+/** First booking whose window overlaps [startTime, endTime), mirroring the contracts' check */
+export function findConflict(bookings: Booking[], startTime: number, endTime: number): Booking | null {
+  return bookings.find((booking) => startTime < booking.endTime && booking.startTime < endTime) ?? null;
+}
+
+/** Read the values of a date ("YYYY-MM-DD") and a time ("HH:MM") picker as local time */
+export function parseDateTime(date: string, time: string): number {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+  const clock = /^(\d{2}):(\d{2})$/.exec(time);
+  if (!match || !clock) {
+    throw new Error(`Invalid start time: ${date} ${time}`);
+  }
+  const [, year, month, day] = match.map(Number);
+  const [, hours, minutes] = clock.map(Number);
+  return Math.floor(new Date(year, month - 1, day, hours, minutes).getTime() / 1000);
+}
+
+export function toDateInput(timestamp: number): string {
+  const date = new Date(timestamp * 1000);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function toTimeInput(timestamp: number): string {
+  const date = new Date(timestamp * 1000);
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function startOfDay(timestamp: number): number {
+  const date = new Date(timestamp * 1000);
+  date.setHours(0, 0, 0, 0);
+  return Math.floor(date.getTime() / 1000);
+}
+
+/** Split bookings into calendar days, starting with the day containing `from` */
+export function calendarDays(
+  bookings: Booking[],
+  { from = Math.floor(Date.now() / 1000), days = 7 }: { from?: number; days?: number } = {}
+): CalendarDay[] {
+  const first = startOfDay(from);
+
+  return Array.from({ length: days }, (_, i) => {
+    // Derive each midnight from the date so DST changes do not shift the grid
+    const start = startOfDay(first + i * SECONDS_PER_DAY + SECONDS_PER_DAY / 2);
+    const end = startOfDay(start + SECONDS_PER_DAY + SECONDS_PER_DAY / 2);
+    const slots = bookings
+      .filter((booking) => booking.startTime < end && booking.endTime > start)
+      .map((booking) => {
+        const slotStart = Math.max(booking.startTime, start);
+        const slotEnd = Math.min(booking.endTime, end);
+        return {
+          ...booking,
+          offset: ((slotStart - start) / (end - start)) * 100,
+          width: ((slotEnd - slotStart) / (end - start)) * 100,
+        };
+      });
+    return { start, end, slots };
+  });
+}
+
+/** e.g. "2026-10-20 09:00 – 11:00" or "2026-10-20 22:00 – 2026-10-21 02:00" */
+export function formatWindow(booking: Pick<Booking, 'startTime' | 'endTime'>): string {
+  const startDay = toDateInput(booking.startTime);
+  const endDay = toDateInput(booking.endTime);
+  const end = endDay === startDay ? toTimeInput(booking.endTime) : `${endDay} ${toTimeInput(booking.endTime)}`;
+  return `${startDay} ${toTimeInput(booking.startTime)} – ${end}`;
+}
@@ -0,0 +1,86 @@
+import { Contract, ContractRunner } from 'ethers';
+import type { ContractDeployment, ContractDescription } from '../config/contracts';
+import { ParkingReservationAdapter } from './ParkingReservationAdapter';
+import { PrivateParkingReservationAdapter } from './PrivateParkingReservationAdapter';
+import { BatchReader, createBatchReader } from './batchReader';
+import type { FheProvider, ParkingAdapter } from './types';
+
+export * from './types';
+export * from './ReservationTracker';
+export * from './spotCatalog';
+export * from './bookingCalendar';
+export * from './lotDashboard';
+export * from './batchReader';
+export { ParkingReservationAdapter, PrivateParkingReservationAdapter };
+
+const ADAPTERS: Record<
+  string,
+  new (contract: Contract, deploymentBlock?: number, fhe?: FheProvider | null, reader?: BatchReader) => ParkingAdapter
+> = {
+  ParkingReservation: ParkingReservationAdapter,
+  PrivateParkingReservation: PrivateParkingReservationAdapter,
+};
+
+interface SelectedDeployment {
+  contract: ContractDescription;
+  deployment: ContractDeployment;
+}
+
+/** Find the deployment to use on a chain; the most recent one wins if several contracts are deployed */
+export function selectDeployment(
+  contracts: Record<string, ContractDescription>,
+  chainId: number,
+  contractName?: string
+): SelectedDeployment | null {
+  const candidates = Object.values(contracts)
+    .filter((contract) => !contractName || contract.contractName === contractName)
+    .flatMap((contract) =>
+      Object.values(contract.deployments)
+        .filter((deployment) => deployment.chainId === chainId)
+        .map((deployment) => ({ contract, deployment }))
+    );
+
+  candidates.sort((a, b) => (b.deployment.blockNumber ?? 0) - (a.deployment.blockNumber ?? 0));
+  return candidates[0] ?? null;
+}
+
+interface CreateAdapterOptions {
+  contracts: Record<string, ContractDescription>;
+  chainId: number;
+  runner: ContractRunner;
+  contractName?: string;
+  /** Explicit address; requires contractName */
+  address?: string | null;
+  /** FHE instance for contracts taking encrypted inputs */
+  fhe?: FheProvider | null;
+  /** Multicall3 for spot and reservation lists (default: its canonical address); null reads each directly */
+  multicallAddress?: string | null;
+}
+
+/** Create the adapter for the contract deployed on the connected chain, or null if there is none */
+export function createParkingAdapter({
+  contracts,
+  chainId,
+  runner,
+  contractName,
+  address,
+  fhe = null,
+  multicallAddress,
+}: CreateAdapterOptions): ParkingAdapter | null {
+  const selected =
+    address && contractName
+      ? { contract: contracts[contractName], deployment: { address, chainId, blockNumber: 0 } }
+      : selectDeployment(contracts, chainId, contractName);
+
+  if (!selected || !selected.contract) {
+    return null;
+  }
+
+  const Adapter = ADAPTERS[selected.contract.contractName];
+  if (!Adapter) {
+    throw new Error(`No adapter for contract ${selected.contract.contractName}`);
+  }
+
+  const contract = new Contract(selected.deployment.address, selected.contract.abi, runner);
+  return new Adapter(contract, selected.deployment.blockNumber ?? 0, fhe, createBatchReader(runner, multicallAddress));
+}
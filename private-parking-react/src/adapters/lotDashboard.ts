@@ -0,0 +1,47 @@
+import { loadSpots, spotState } from './spotCatalog';
+import type { ParkingAdapter, ParkingLot, Reservation, Spot } from './types';
+
+// Mirrors public/adapters/lot-dashboard.js
+export interface LotOverview extends ParkingLot {
+  spots: Spot[];
+  counts: { total: number; reserved: number; inactive: number };
+}
+
+export interface LotDashboard {
+  /** Lots with their overstayed reservations, empty without capabilities.overstayPenalties */
+  lots: (LotOverview & { overstays: Reservation[] })[];
+  /** Withdrawable revenue of all the lots */
+  revenue: bigint;
+}
+
+/** Group spots under their lot and count them by state */
+export function groupByLot(lots: ParkingLot[], spots: Spot[], now = Math.floor(Date.now() / 1000)): LotOverview[] {
+  return lots.map((lot) => {
+    const lotSpots = spots.filter((spot) => spot.lotId === lot.id);
+    const states = lotSpots.map((spot) => spotState(spot, now));
+    return {
+      ...lot,
+      spots: lotSpots,
+      counts: {
+        total: lotSpots.length,
+        reserved: states.filter((state) => state === 'reserved').length,
+        inactive: states.filter((state) => state === 'inactive').length,
+      },
+    };
+  });
+}
+
+export async function loadLotDashboard(adapter: ParkingAdapter, operatorAddress: string): Promise<LotDashboard> {
+  const [lots, spots, overstays] = await Promise.all([
+    adapter.listLots(operatorAddress),
+    loadSpots(adapter),
+    adapter.capabilities.overstayPenalties ? adapter.listOverstays() : Promise.resolve([]),
+  ]);
+  return {
+    lots: groupByLot(lots, spots).map((lot) => ({
+      ...lot,
+      overstays: overstays.filter((reservation) => lot.spots.some((spot) => spot.id === reservation.spotId)),
+    })),
+    revenue: lots.reduce((total, lot) => total + lot.revenue, 0n),
+  };
+}
@@ -0,0 +1,72 @@
+import type { ParkingAdapter, Spot } from './types';
+
+// Mirrors public/adapters/spot-catalog.js
+/** 'unknown': FHE contract, status is encrypted and no reservation is running */
+export type SpotState = 'available' | 'reserved' | 'inactive' | 'unknown';
+
+export type SpotSortKey = 'id' | 'location' | 'price' | 'reservationEnd';
+
+export interface SpotFilter {
+  search?: string;
+  /** 'available' also keeps spots whose status is encrypted but not visibly reserved */
+  state?: SpotState | 'all';
+  sortBy?: SpotSortKey;
+  descending?: boolean;
+}
+
+const SORTERS: Record<SpotSortKey, (a: Spot, b: Spot) => number> = {
+  id: (a, b) => a.id - b.id,
+  location: (a, b) => a.location.localeCompare(b.location),
+  // Encrypted prices sort last
+  price: (a, b) => {
+    if (a.price === null || b.price === null) return Number(a.price === null) - Number(b.price === null);
+    return a.price < b.price ? -1 : a.price > b.price ? 1 : 0;
+  },
+  // Soonest free first; spots without a running reservation come first
+  reservationEnd: (a, b) => a.reservationEnd - b.reservationEnd,
+};
+
+/** Load every spot the contract knows about, in ID order */
+export async function loadSpots(adapter: ParkingAdapter): Promise<Spot[]> {
+  const { totalSpots } = await adapter.stats();
+  return adapter.getSpots(adapter.spotIds(totalSpots));
+}
+
+export function spotState(spot: Spot, now: number): SpotState {
+  if (!spot.isActive) return 'inactive';
+  if (spot.reservationEnd > now || spot.isAvailable === false) return 'reserved';
+  if (spot.isAvailable === true) return 'available';
+  return 'unknown';
+}
+
+export function filterSpots(spots: Spot[], filter: SpotFilter = {}, now = Math.floor(Date.now() / 1000)): Spot[] {
+  const { search = '', state = 'all', sortBy = 'id', descending = false } = filter;
+  const query = search.trim().toLowerCase();
+  const sorter = SORTERS[sortBy];
+
+  return spots
+    .filter((spot) => !query || spot.location.toLowerCase().includes(query) || String(spot.id) === query)
+    .filter((spot) => {
+      const current = spotState(spot, now);
+      if (state === 'all') return true;
+      if (state === 'available') return current === 'available' || current === 'unknown';
+      return current === state;
+    })
+    .sort((a, b) => (descending ? sorter(b, a) : sorter(a, b)));
+}
+
+/** Time left until a reservation ends, e.g. "1h 05m 09s" */
+export function formatCountdown(seconds: number): string {
+  if (seconds <= 0) return 'ended';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+  const secs = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}h ${minutes}m ${secs}s` : `${minutes}m ${secs}s`;
+}
+
+/** Call onChange whenever an event that affects spots is emitted; returns the unsubscribe function */
+export function watchSpots(adapter: ParkingAdapter, onChange: () => void): () => void {
+  const listener = () => onChange();
+  adapter.spotEvents.forEach((name) => void adapter.contract.on(name, listener));
+  return () => adapter.spotEvents.forEach((name) => void adapter.contract.off(name, listener));
+}
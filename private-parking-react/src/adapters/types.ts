@@ -0,0 +1,415 @@
+import type {
+  Contract,
+  ContractTransactionReceipt,
+  ContractTransactionResponse,
+  LogDescription,
+  TypedDataDomain,
+  TypedDataField,
+} from 'ethers';
+
+export type ReservationStatus = 'Pending' | 'Active' | 'Completed' | 'Cancelled' | 'Refunded';
+
+export interface AdapterCapabilities {
+  cancel: boolean;
+  gatewayCallback: boolean;
+  /** Query results (availability, identity) are encrypted and decrypted for the caller, which needs an FHE instance */
+  encryptedQueries: boolean;
+  publicPrices: boolean;
+  /** Sensitive inputs are encrypted client-side, which needs an FHE instance */
+  encryptedInputs: boolean;
+  /** Reservations can start at a later time (reserve's startTime) */
+  scheduling: boolean;
+  /** Active reservations can be extended */
+  extend: boolean;
+  /** Running reservations can be left early for a prorated refund */
+  earlyCheckOut: boolean;
+  /** Offers are priced by credit score tiers evaluated under encryption */
+  creditTiers: boolean;
+  /** Prices follow per-spot or per-lot pricing rules and can be quoted before reserving */
+  dynamicPricing: boolean;
+  /** Users can queue for a taken spot and are offered it when it frees up */
+  waitlist: boolean;
+  /** Reservations left running past their end can be settled with a penalty for the user */
+  overstayPenalties: boolean;
+  /** Several spots of a lot can be added in one transaction (addSpots) */
+  batchSpots: boolean;
+  /** Spots can be taken out of service for maintenance and put back */
+  maintenance: boolean;
+  /** The contract can take an ERC-20 token (see loadPaymentToken), with a permit when the token supports one */
+  tokenPayments: boolean;
+}
+
+export interface Spot {
+  id: number;
+  /** Lot the spot belongs to; 0 for spots outside any lot */
+  lotId: number;
+  location: string;
+  /** Price in contract units, null when it is encrypted on-chain */
+  price: bigint | null;
+  isActive: boolean;
+  /** null when availability is encrypted */
+  isAvailable: boolean | null;
+  reservationEnd: number;
+  owner: string | null;
+}
+
+export interface Reservation {
+  id: number;
+  spotId: number;
+  user: string;
+  startTime: number;
+  endTime: number;
+  status: ReservationStatus;
+  amount: bigint;
+  /** Gateway decryption request, null for contracts without a callback flow */
+  requestId: number | null;
+  requestTimestamp: number | null;
+  /** Platform fee kept from the deposit, for contracts that take it on confirmation */
+  platformFee?: bigint;
+}
+
+/** A spot to add with addSpots */
+export interface SpotInput {
+  location: string;
+  price: bigint;
+}
+
+/** A time window that holds a spot, as returned by getSpotBookings */
+export interface Booking {
+  reservationId: number;
+  startTime: number;
+  endTime: number;
+}
+
+export interface GatewayRequest {
+  id: number;
+  reservationId: number;
+  requester: string;
+  timestamp: number;
+  processed: boolean;
+  timedOut: boolean;
+}
+
+export interface UserInfo {
+  isRegistered: boolean;
+  userId: number | null;
+  creditScore: number | null;
+  totalReservations?: number;
+  depositBalance?: bigint;
+}
+
+export interface RegisteredUser extends UserInfo {
+  address: string;
+}
+
+/** One page of a paginated view; total counts every item, not only the ones on the page */
+export interface Page<T> {
+  items: T[];
+  total: number;
+}
+
+/** Credit tier pricing set by the operators; a score or percentage of 0 disables its rule */
+export interface CreditTiers {
+  /** Scores below cannot reserve */
+  minScore: number;
+  /** Scores below pay depositPercent on top of the price */
+  depositScore: number;
+  depositPercent: number;
+  /** Scores from here pay discountPercent less */
+  discountScore: number;
+  discountPercent: number;
+}
+
+/**
+ * Mirrors the PricingRule of both contracts. Percentages are of the base price (100 = unchanged, at most 500); peak
+ * and weekend rates apply to each booked hour by its start (UTC), the surge to bookings made while the lot is at
+ * least surgeOccupancy percent occupied. On PrivateParkingReservation the rule is public and applied to the
+ * encrypted price, and MAX_PRICE caps every hour.
+ */
+export interface PricingRule {
+  enabled: boolean;
+  peakStartHour: number;
+  /** Exclusive; peak hours wrap past midnight when lower than peakStartHour */
+  peakEndHour: number;
+  peakPercent: number;
+  weekendPercent: number;
+  /** 0 disables the surge */
+  surgeOccupancy: number;
+  surgePercent: number;
+  /** Cap on the hourly price; 0n for none */
+  maxPrice: bigint;
+}
+
+/** A freed spot held for a waitlisted user until expiresAt (unix seconds) */
+export interface WaitlistOffer {
+  spotId: number;
+  user: string;
+  expiresAt: number;
+}
+
+export interface Waitlist {
+  /** Addresses first in line first, without the user holding the offer */
+  waiting: string[];
+  /** Current offer, which may have expired */
+  offer: WaitlistOffer | null;
+}
+
+/** Overstay record of a user */
+export interface PenaltyStatus {
+  /** Penalty not covered by the user's pending withdrawals */
+  outstanding: bigint;
+  overstays: number;
+  /** Overstays after which the user can no longer reserve */
+  maxOverstays: number;
+  /** False while a penalty is outstanding or after maxOverstays overstays */
+  eligible: boolean;
+}
+
+/** Mirrors PrivateParkingReservation.CreditTier */
+export type CreditTier = 'DepositRequired' | 'Standard' | 'Discount';
+
+/** A parking lot run by an operator, who withdraws its revenue net of the platform fee */
+export interface ParkingLot {
+  id: number;
+  name: string;
+  operator: string;
+  /** Platform fee in percent of each payment */
+  feeShare: number;
+  /** Withdrawable by the operator */
+  revenue: bigint;
+}
+
+export interface Stats {
+  totalSpots: number;
+  totalReservations: number;
+  timestamp: number | null;
+  platformFees: bigint | null;
+  paused: boolean;
+}
+
+export interface TransactionResult {
+  tx: ContractTransactionResponse;
+  receipt: ContractTransactionReceipt;
+  events: LogDescription[];
+}
+
+export interface ReserveResult extends TransactionResult {
+  reservationId: number | null;
+  requestId: number | null;
+}
+
+export interface ExtendResult extends TransactionResult {
+  endTime: number | null;
+  /** Gateway request checking the payment (FHE); the end time is held until its callback confirms or refunds it */
+  requestId: number | null;
+}
+
+export interface CheckOutResult extends TransactionResult {
+  refund: bigint | null;
+}
+
+/** The part of the relayer SDK's encrypted input builder the adapters use */
+export interface EncryptedInput {
+  add16(value: number | bigint): EncryptedInput;
+  add32(value: number | bigint): EncryptedInput;
+  add64(value: number | bigint): EncryptedInput;
+  encrypt(): Promise<{ handles: Uint8Array[]; inputProof: Uint8Array }>;
+}
+
+/** The EIP-712 request a user signs to decrypt with a generated keypair */
+export interface DecryptionRequest {
+  domain: TypedDataDomain;
+  /** Keyed by type name, as the relayer SDK returns them; the request is UserDecryptRequestVerification */
+  types: Record<string, TypedDataField[]>;
+  message: Record<string, unknown>;
+}
+
+/** A relayer SDK instance (createInstance), or anything exposing the same encryption and user decryption API */
+export interface FheInstance {
+  createEncryptedInput(contractAddress: string, userAddress: string): EncryptedInput;
+  generateKeypair(): { publicKey: string; privateKey: string };
+  createEIP712(
+    publicKey: string,
+    contractAddresses: string[],
+    startTimestamp: number,
+    durationDays: number
+  ): DecryptionRequest;
+  userDecrypt(
+    handles: { handle: string; contractAddress: string }[],
+    privateKey: string,
+    publicKey: string,
+    signature: string,
+    contractAddresses: string[],
+    userAddress: string,
+    startTimestamp: number,
+    durationDays: number
+  ): Promise<Record<string, bigint | boolean | string>>;
+}
+
+/** Signed decryption keypair kept by an adapter until it expires */
+export interface DecryptionKey {
+  userAddress: string;
+  publicKey: string;
+  privateKey: string;
+  signature: string;
+  startTimestamp: number;
+  expiresAt: number;
+}
+
+/** An FHE instance, or a function resolving to one so the SDK is only loaded when needed */
+export type FheProvider = FheInstance | (() => Promise<FheInstance>);
+
+/** ERC-20 the contract takes payments in */
+export interface PaymentToken {
+  address: string;
+  symbol: string;
+  decimals: number;
+  /** Whether reservations can be paid with an EIP-2612 permit instead of an approval */
+  supportsPermit: boolean;
+}
+
+/** Common interface implemented once per contract variant */
+export interface ParkingAdapter {
+  readonly contract: Contract;
+  readonly contractName: string;
+  readonly capabilities: AdapterCapabilities;
+  readonly firstSpotId: number;
+  readonly priceUnit: string;
+  /** Decimals parsePrice reads prices with */
+  readonly priceDecimals: number;
+  /** Set by loadPaymentToken; null pays in ETH */
+  readonly paymentToken: PaymentToken | null;
+  /** Events that change what getSpot returns */
+  readonly spotEvents: string[];
+
+  spotIds(totalSpots: number): number[];
+  parsePrice(input: string): bigint;
+  formatPrice(price: bigint | null): string;
+  /** Amounts (payouts, refunds, revenue) in the payment currency */
+  formatAmount(amount: bigint): string;
+  /** Currency the contract takes, or null for ETH; call once before parsing or formatting amounts */
+  loadPaymentToken(): Promise<PaymentToken | null>;
+  /** Token balance of the account and what it allowed the contract to spend; null when paying in ETH */
+  tokenBalances(address: string): Promise<{ balance: bigint; allowance: bigint } | null>;
+  approveToken(amount: bigint): Promise<TransactionResult>;
+
+  /** Contracts with encryptedInputs encrypt both values client-side */
+  register(userId: number, creditScore: number): Promise<TransactionResult>;
+  addSpot(location: string, price: bigint): Promise<TransactionResult & { spotId: number | null }>;
+  /** Operator only; the caller operates the new lot */
+  registerLot(name: string, feeShare: number): Promise<TransactionResult & { lotId: number | null }>;
+  /** Lot operator only */
+  setLotFeeShare(lotId: number, feeShare: number): Promise<TransactionResult>;
+  addLotSpot(lotId: number, location: string, price: bigint): Promise<TransactionResult & { spotId: number | null }>;
+  /** Needs capabilities.batchSpots; lot 0 adds spots outside lots (owner only). IDs follow the order given */
+  addSpots(lotId: number, spots: SpotInput[]): Promise<TransactionResult & { spotIds: number[] }>;
+  /** Needs capabilities.maintenance; spot operator only */
+  setSpotMaintenance(spotId: number, inMaintenance: boolean): Promise<TransactionResult>;
+  updateSpotPrice(spotId: number, price: bigint): Promise<TransactionResult>;
+  withdrawLotRevenue(lotId: number, to: string): Promise<TransactionResult>;
+  /**
+   * Price reserve would pay, pricing rules included; startTime defaults to now. With encryptedQueries it is the offer
+   * the caller's credit tier needs, computed in a transaction and decrypted for the caller.
+   */
+  quote(spotId: number, durationSeconds: number, startTime?: number | null): Promise<bigint>;
+  /** The spot rule takes precedence over the rule of its lot */
+  getSpotPricingRule(spotId: number): Promise<PricingRule>;
+  /** Lot 0 holds the rule of the spots outside lots */
+  getLotPricingRule(lotId: number): Promise<PricingRule>;
+  /** Spot operator only; a disabled rule clears it */
+  setSpotPricingRule(spotId: number, rule: PricingRule): Promise<TransactionResult>;
+  /** Lot operator only, or the owner for lot 0 */
+  setLotPricingRule(lotId: number, rule: PricingRule): Promise<TransactionResult>;
+  /**
+   * startTime (unix seconds) books a future window; omitted or null starts now. With encryptedInputs the offer
+   * (default: payment) is encrypted and compared to the encrypted price on-chain. With a payment token the exact
+   * price is pulled, through a permit when the token supports one.
+   */
+  reserve(
+    spotId: number,
+    durationSeconds: number,
+    payment: bigint | null,
+    startTime?: number | null,
+    offer?: bigint | null
+  ): Promise<ReserveResult>;
+  cancel(reservationId: number): Promise<TransactionResult>;
+  /** Refunds and payouts the account can withdraw (the deposit balance on the FHE contract) */
+  withdrawableBalance(address: string): Promise<bigint>;
+  withdraw(): Promise<TransactionResult>;
+  complete(reservationId: number): Promise<TransactionResult>;
+  /** payment defaults to the spot price (plain) or the deposit rate of the reservation per started hour (FHE) */
+  extend(reservationId: number, extraSeconds: number, payment?: bigint | null): Promise<ExtendResult>;
+  /** Leave a running reservation; the unused time is refunded minus the platform fee */
+  checkOut(reservationId: number): Promise<CheckOutResult>;
+  /** Whether cancel would succeed at `at` (unix seconds) */
+  canCancel(reservation: Reservation, at: number): boolean;
+  /** Refund checkOut would pay at `at` (unix seconds), computed like the contract does */
+  estimateCheckOutRefund(reservation: Reservation, at: number): bigint;
+  /**
+   * Queue for a taken spot; the deposit (default: the quoted price, required on the FHE contract) prepays the
+   * reservation made on claiming
+   */
+  joinWaitlist(
+    spotId: number,
+    durationSeconds: number,
+    payment?: bigint | null
+  ): Promise<TransactionResult & { deposit: bigint | null }>;
+  /** Also declines an offer; the deposit is credited for withdraw (plain) or refunded (FHE) */
+  leaveWaitlist(spotId: number): Promise<TransactionResult>;
+  /** Reserve the offered spot from now on, paid by the deposit; FHE reservations wait for the gateway like reserve */
+  claimWaitlistOffer(spotId: number): Promise<ReserveResult>;
+  /** Anyone can refund an expired offer, which offers the spot to the next user */
+  expireWaitlistOffer(spotId: number): Promise<TransactionResult>;
+  getWaitlist(spotId: number): Promise<Waitlist>;
+  /** Spots currently offered to a user, found through WaitlistOffered events */
+  listWaitlistOffers(userAddress: string): Promise<WaitlistOffer[]>;
+  /** Calls back when a spot is offered to the user; returns a function that stops listening */
+  onWaitlistOffer(userAddress: string, callback: (offer: WaitlistOffer) => void): () => void;
+  /** Active reservations past their end and the grace period; `at` defaults to the latest block's timestamp */
+  listOverstays(at?: number): Promise<Reservation[]>;
+  /** Spot operators and keepers only; settles the reservation and charges the user a penalty */
+  markOverstay(
+    reservationId: number
+  ): Promise<TransactionResult & { overstayHours: number | null; penalty: bigint | null }>;
+  getPenaltyStatus(address: string): Promise<PenaltyStatus>;
+  /** Pays the whole outstanding penalty of the connected account */
+  payPenalty(): Promise<TransactionResult>;
+  /** Owner only */
+  setKeeper(address: string, status: boolean): Promise<TransactionResult>;
+  /** Owner only; lets a user barred for overstaying reserve again */
+  clearOverstays(address: string): Promise<TransactionResult>;
+
+  getSpot(spotId: number): Promise<Spot>;
+  /** Several spots in a few requests when the chain has Multicall3 */
+  getSpots(spotIds: number[]): Promise<Spot[]>;
+  getLot(lotId: number): Promise<ParkingLot>;
+  /** Lots run by an operator, found through LotRegistered events */
+  listLots(operatorAddress: string): Promise<ParkingLot[]>;
+  getReservation(reservationId: number): Promise<Reservation>;
+  getReservations(reservationIds: number[]): Promise<Reservation[]>;
+  /** Windows that have not ended yet, ordered by start time */
+  getBookings(spotId: number): Promise<Booking[]>;
+  /** null for contracts that confirm reservations in the same transaction */
+  getGatewayRequest(requestId: number): Promise<GatewayRequest | null>;
+  /** RefundIssued reason of the gateway callback for a request, null if it refunded nothing */
+  getRefundReason(requestId: number): Promise<string | null>;
+  timeoutPeriod(): Promise<number | null>;
+  triggerTimeout(requestId: number): Promise<TransactionResult>;
+  listReservations(userAddress: string): Promise<Reservation[]>;
+  /** Paginated views return at most MAX_PAGE_SIZE items per call */
+  getSpotsPage(offset: number, limit: number): Promise<Page<Spot>>;
+  getUserReservationsPage(userAddress: string, offset: number, limit: number): Promise<Page<Reservation>>;
+  /** Pages run over reservation IDs: a page may hold fewer than limit items, keep going until offset reaches total */
+  getActiveReservations(offset: number, limit: number): Promise<Page<Reservation>>;
+  getRegisteredUsersPage(offset: number, limit: number): Promise<Page<RegisteredUser>>;
+  getUser(userAddress: string): Promise<UserInfo>;
+  /** With encryptedQueries this sends a transaction and asks for a decryption signature */
+  checkAvailability(spotId: number): Promise<boolean | null>;
+  verifyIdentity(userAddress: string, userId: number): Promise<boolean>;
+  getCreditTiers(): Promise<CreditTiers>;
+  /** Operator only */
+  setCreditTiers(tiers: Partial<CreditTiers>): Promise<TransactionResult>;
+  /** Tier of the connected account; sends a transaction and asks for a decryption signature */
+  getCreditTier(): Promise<CreditTier>;
+  stats(): Promise<Stats>;
+}
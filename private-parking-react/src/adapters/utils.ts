@@ -0,0 +1,191 @@
+import { Contract, ContractTransactionResponse, Log, LogDescription, Signature, Signer } from 'ethers';
+import type {
+  Booking,
+  DecryptionKey,
+  FheInstance,
+  FheProvider,
+  PricingRule,
+  ReservationStatus,
+  TransactionResult,
+} from './types';
+
+// Mirrors PrivateParkingReservation.ReservationStatus
+export const RESERVATION_STATUS: ReservationStatus[] = ['Pending', 'Active', 'Completed', 'Cancelled', 'Refunded'];
+
+export class UnsupportedOperationError extends Error {
+  constructor(public readonly contractName: string, public readonly operation: string) {
+    super(`${operation} is not supported by ${contractName}`);
+    this.name = 'UnsupportedOperationError';
+  }
+}
+
+/** Send a contract transaction and collect the events it emitted */
+export async function sendTransaction(
+  contract: Contract,
+  txPromise: Promise<ContractTransactionResponse>
+): Promise<TransactionResult> {
+  const tx = await txPromise;
+  const receipt = await tx.wait();
+  if (!receipt) {
+    throw new Error(`Transaction ${tx.hash} was dropped`);
+  }
+
+  return { tx, receipt, events: parseLogs(contract, receipt.logs) };
+}
+
+/** Parse the logs of a receipt that the contract emitted, leaving out logs of other contracts */
+export function parseLogs(contract: Contract, logs: readonly Log[]): LogDescription[] {
+  return logs.map((log) => contract.interface.parseLog(log)).filter((event): event is LogDescription => event !== null);
+}
+
+/** Convert the (reservationIds, startTimes, endTimes) tuple returned by getSpotBookings */
+export function parseBookings([reservationIds, startTimes, endTimes]: bigint[][]): Booking[] {
+  return reservationIds
+    .map((id, i) => ({ reservationId: Number(id), startTime: Number(startTimes[i]), endTime: Number(endTimes[i]) }))
+    .sort((a, b) => a.startTime - b.startTime);
+}
+
+/** Encrypt values client-side for a contract call, bound to the contract and the connected account */
+export async function encryptInputs(
+  fhe: FheProvider | null,
+  contract: Contract,
+  values: [method: 'add16' | 'add32' | 'add64', value: number | bigint][]
+): Promise<{ handles: Uint8Array[]; inputProof: Uint8Array }> {
+  const instance = await resolveFhe(fhe, 'Encrypting inputs');
+  const signer = requireSigner(contract, 'Encrypting inputs');
+  const input = instance.createEncryptedInput(await contract.getAddress(), await signer.getAddress());
+  values.forEach(([method, value]) => input[method](value));
+  return input.encrypt();
+}
+
+// Days a user decryption signature stays valid
+const DECRYPTION_VALIDITY_DAYS = 1;
+
+/**
+ * Decrypt handles the connected account is allowed to read (FHE.allow): sign an EIP-712 request for a fresh
+ * keypair, then let the relayer reencrypt the values for it. session.key keeps the signed keypair until it expires.
+ */
+export async function userDecrypt(
+  fhe: FheProvider | null,
+  contract: Contract,
+  handles: string[],
+  session: { key?: DecryptionKey } = {}
+): Promise<(bigint | boolean | string)[]> {
+  const instance = await resolveFhe(fhe, 'Decrypting results');
+  const signer = requireSigner(contract, 'Decrypting results');
+  const userAddress = await signer.getAddress();
+  const contractAddress = await contract.getAddress();
+  const now = Math.floor(Date.now() / 1000);
+
+  let key = session.key;
+  if (!key || key.userAddress !== userAddress || key.expiresAt <= now) {
+    const { publicKey, privateKey } = instance.generateKeypair();
+    const eip712 = instance.createEIP712(publicKey, [contractAddress], now, DECRYPTION_VALIDITY_DAYS);
+    const signature = await signer.signTypedData(
+      eip712.domain,
+      { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+      eip712.message
+    );
+    key = {
+      userAddress,
+      publicKey,
+      privateKey,
+      signature: signature.replace('0x', ''),
+      startTimestamp: now,
+      expiresAt: now + DECRYPTION_VALIDITY_DAYS * 86400,
+    };
+    session.key = key;
+  }
+
+  const results = await instance.userDecrypt(
+    handles.map((handle) => ({ handle, contractAddress })),
+    key.privateKey,
+    key.publicKey,
+    key.signature,
+    [contractAddress],
+    userAddress,
+    key.startTimestamp,
+    DECRYPTION_VALIDITY_DAYS
+  );
+  return handles.map((handle) => results[handle]);
+}
+
+async function resolveFhe(fhe: FheProvider | null, action: string): Promise<FheInstance> {
+  const instance = typeof fhe === 'function' ? await fhe() : fhe;
+  if (!instance) {
+    throw new Error(`${action} needs an FHE instance: pass \`fhe\` to createParkingAdapter`);
+  }
+  return instance;
+}
+
+function requireSigner(contract: Contract, action: string): Signer {
+  const signer = contract.runner as Signer | null;
+  if (!signer?.getAddress) {
+    throw new Error(`${action} needs a signer`);
+  }
+  return signer;
+}
+
+// ERC-20 calls the adapters make on a payment token
+export const ERC20_PERMIT_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 value) returns (bool)',
+  'function name() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+];
+
+/** Sign an EIP-2612 permit letting spender pull value tokens from the connected account until deadline */
+export async function signPermit(token: Contract, spender: string, value: bigint, deadline: number): Promise<Signature> {
+  const signer = requireSigner(token, 'Signing a permit');
+  const owner = await signer.getAddress();
+  const [name, nonce, network] = await Promise.all([
+    token.name() as Promise<string>,
+    token.nonces(owner) as Promise<bigint>,
+    signer.provider!.getNetwork(),
+  ]);
+
+  const signature = await signer.signTypedData(
+    { name, version: '1', chainId: network.chainId, verifyingContract: await token.getAddress() },
+    {
+      Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+      ],
+    },
+    { owner, spender, value, nonce, deadline }
+  );
+  return Signature.from(signature);
+}
+
+export function findEvent(events: LogDescription[], name: string): LogDescription | null {
+  return events.find((event) => event.name === name) ?? null;
+}
+
+/** Timeouts are measured against block time, not the local clock */
+export async function getBlockTimestamp(contract: Contract): Promise<number> {
+  const block = await contract.runner?.provider?.getBlock('latest');
+  if (!block) {
+    throw new Error('Contract runner has no provider');
+  }
+  return block.timestamp;
+}
+
+/** PricingRule of either contract, read from spotPricingRules or lotPricingRules */
+export function parsePricingRule(rule: PricingRule): PricingRule {
+  return {
+    enabled: rule.enabled,
+    peakStartHour: Number(rule.peakStartHour),
+    peakEndHour: Number(rule.peakEndHour),
+    peakPercent: Number(rule.peakPercent),
+    weekendPercent: Number(rule.weekendPercent),
+    surgeOccupancy: Number(rule.surgeOccupancy),
+    surgePercent: Number(rule.surgePercent),
+    maxPrice: rule.maxPrice,
+  };
+}
@@ -0,0 +1,139 @@
+import { useEffect, useState } from 'react';
+import { useWallet } from '../context/WalletContext';
+import type { CreditTier, CreditTiers as CreditTierConfig } from '../adapters/types';
+
+type Status = { message: string; type: 'success' | 'error' | 'info' };
+
+const TIER_FIELDS: { key: keyof CreditTierConfig; label: string; max: number }[] = [
+  { key: 'minScore', label: 'Minimum score to reserve', max: 850 },
+  { key: 'depositScore', label: 'Security deposit below score', max: 850 },
+  { key: 'depositPercent', label: 'Security deposit (%)', max: 100 },
+  { key: 'discountScore', label: 'Discount from score', max: 850 },
+  { key: 'discountPercent', label: 'Discount (%)', max: 99 },
+];
+
+const TIER_LABELS: Record<CreditTier, string> = {
+  DepositRequired: 'Security deposit required',
+  Standard: 'Standard price',
+  Discount: 'Discounted price',
+};
+
+function describeTier(tier: CreditTier, tiers: CreditTierConfig | null): string {
+  if (tier === 'DepositRequired' && tiers) return `${TIER_LABELS[tier]} (+${tiers.depositPercent}% of the spot price)`;
+  if (tier === 'Discount' && tiers) return `${TIER_LABELS[tier]} (-${tiers.discountPercent}% of the spot price)`;
+  return TIER_LABELS[tier];
+}
+
+export default function CreditTiers() {
+  const { adapter } = useWallet();
+  const [tiers, setTiers] = useState<CreditTierConfig | null>(null);
+  const [form, setForm] = useState<Record<keyof CreditTierConfig, string>>({
+    minScore: '',
+    depositScore: '',
+    depositPercent: '',
+    discountScore: '',
+    discountPercent: '',
+  });
+  const [myTier, setMyTier] = useState<CreditTier | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState<Status | null>(null);
+
+  const supported = Boolean(adapter?.capabilities.creditTiers);
+
+  useEffect(() => {
+    if (!adapter || !supported) return;
+    adapter
+      .getCreditTiers()
+      .then((current) => {
+        setTiers(current);
+        setForm({
+          minScore: String(current.minScore),
+          depositScore: String(current.depositScore),
+          depositPercent: String(current.depositPercent),
+          discountScore: String(current.discountScore),
+          discountPercent: String(current.discountPercent),
+        });
+      })
+      .catch((error) => console.error('Loading credit tiers failed:', error));
+  }, [adapter, supported]);
+
+  if (!adapter || !supported) return null;
+
+  const saveTiers = async () => {
+    const values = Object.fromEntries(
+      TIER_FIELDS.map(({ key }) => [key, Number(form[key] || 0)])
+    ) as unknown as CreditTierConfig;
+
+    setBusy(true);
+    setStatus({ message: 'Updating credit tiers...', type: 'info' });
+    try {
+      await adapter.setCreditTiers(values);
+      setTiers(values);
+      setStatus({ message: 'Credit tiers updated', type: 'success' });
+    } catch (error) {
+      console.error('Updating credit tiers failed:', error);
+      setStatus({ message: `Update failed: ${(error as Error).message}`, type: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const checkMyTier = async () => {
+    setBusy(true);
+    setStatus({
+      message: 'Decrypting your tier: confirm the query transaction, then sign the decryption request...',
+      type: 'info',
+    });
+    try {
+      setMyTier(await adapter.getCreditTier());
+      setStatus(null);
+    } catch (error) {
+      console.error('Tier check failed:', error);
+      setStatus({ message: `Tier check failed: ${(error as Error).message}`, type: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card mb-8">
+      <h2 className="text-2xl font-bold mb-5">📊 Credit Tiers</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        <div>
+          <h3 className="text-lg font-semibold mb-3">Tier Pricing (operators)</h3>
+          <p className="text-sm opacity-75 mb-3">A score or percentage of 0 disables its rule.</p>
+          {TIER_FIELDS.map(({ key, label, max }) => (
+            <div className="form-group" key={key}>
+              <label htmlFor={key}>{label}:</label>
+              <input
+                id={key}
+                type="number"
+                min={0}
+                max={max}
+                value={form[key]}
+                onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+              />
+            </div>
+          ))}
+          <button className="btn" onClick={saveTiers} disabled={busy}>
+            Update Tiers
+          </button>
+        </div>
+
+        <div>
+          <h3 className="text-lg font-semibold mb-3">My Tier</h3>
+          <p className="text-sm opacity-75 mb-3">
+            Your tier is computed from your encrypted credit score and decrypted for you alone.
+          </p>
+          <button className="btn" onClick={checkMyTier} disabled={busy}>
+            Check My Tier
+          </button>
+          {myTier && <div className="status status-info">{describeTier(myTier, tiers)}</div>}
+        </div>
+      </div>
+
+      {status && <div className={`status status-${status.type}`}>{status.message}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,310 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useWallet } from '../context/WalletContext';
+import { useReservationTracker } from '../context/ReservationTrackerContext';
+import type { LifecycleStage, PenaltyStatus, Reservation, ReservationLifecycle } from '../adapters';
+import Pager from './Pager';
+
+// Reservations per page, read through the paginated getUserReservationsPage view
+const PAGE_SIZE = 12;
+
+const STAGE_LABELS: Record<LifecycleStage, string> = {
+  AwaitingGateway: '⏳ Awaiting gateway confirmation',
+  TimeoutClaimable: '⚠️ Gateway timed out',
+  Confirmed: '✅ Confirmed',
+  Refunded: '↩️ Refunded',
+  TimedOut: '↩️ Refunded after timeout',
+  Cancelled: 'Cancelled',
+  Completed: 'Completed',
+};
+
+function formatTime(timestamp: number) {
+  return new Date(timestamp * 1000).toLocaleString();
+}
+
+export default function MyReservations() {
+  const { adapter, userAddress } = useWallet();
+  const { lifecycles, lastUpdate, track, claimTimeoutRefund } = useReservationTracker();
+  const [reservations, setReservations] = useState<Reservation[] | null>(null);
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
+  // Reloads after actions and tracker updates stay on the page shown
+  const pageShown = useRef(0);
+  const [status, setStatus] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
+  const [busyId, setBusyId] = useState<number | null>(null);
+  const [extraDurations, setExtraDurations] = useState<Record<number, string>>({});
+  const [withdrawable, setWithdrawable] = useState<bigint | null>(null);
+  const [penalties, setPenalties] = useState<PenaltyStatus | null>(null);
+  const listShown = useRef(false);
+
+  const loadReservations = useCallback(
+    async (nextPage = pageShown.current) => {
+      if (!adapter || !userAddress) {
+        setStatus({ message: 'Please connect wallet first', type: 'error' });
+        return;
+      }
+
+      try {
+        const [list, balance, penaltyStatus] = await Promise.all([
+          adapter.getUserReservationsPage(userAddress, nextPage * PAGE_SIZE, PAGE_SIZE),
+          adapter.withdrawableBalance(userAddress),
+          adapter.capabilities.overstayPenalties ? adapter.getPenaltyStatus(userAddress) : null,
+        ]);
+        await Promise.all(list.items.map((reservation) => track(reservation.id)));
+        pageShown.current = nextPage;
+        setPage(nextPage);
+        setTotal(list.total);
+        setReservations(list.items);
+        setWithdrawable(balance);
+        setPenalties(penaltyStatus);
+        setStatus(null);
+        listShown.current = true;
+      } catch (error) {
+        console.error('Loading reservations failed:', error);
+        setStatus({ message: `Loading reservations failed: ${(error as Error).message}`, type: 'error' });
+      }
+    },
+    [adapter, userAddress, track]
+  );
+
+  // Reload when the tracker reports a confirmation, refund or timeout
+  useEffect(() => {
+    if (lastUpdate && listShown.current) {
+      loadReservations();
+    }
+  }, [lastUpdate, loadReservations]);
+
+  useEffect(() => {
+    listShown.current = false;
+    pageShown.current = 0;
+    setPage(0);
+    setReservations(null);
+    setWithdrawable(null);
+    setPenalties(null);
+  }, [adapter, userAddress]);
+
+  const runAction = async (reservationId: number, action: () => Promise<unknown>, label: string) => {
+    setBusyId(reservationId);
+    try {
+      await action();
+      await loadReservations();
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+      setStatus({ message: `${label} failed: ${(error as Error).message}`, type: 'error' });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const extend = async (reservationId: number) => {
+    const extraSeconds = Number(extraDurations[reservationId]);
+    if (!extraSeconds) {
+      setStatus({ message: 'Please enter the extra duration in seconds', type: 'error' });
+      return;
+    }
+    const outcome: { requestId?: number | null } = {};
+    await runAction(
+      reservationId,
+      async () => {
+        outcome.requestId = (await adapter!.extend(reservationId, extraSeconds)).requestId;
+        setExtraDurations((current) => ({ ...current, [reservationId]: '' }));
+      },
+      'Extend reservation'
+    );
+    if (outcome.requestId != null) {
+      setStatus({
+        message: `Extension of reservation #${reservationId} requested; confirmed once the gateway checks the payment`,
+        type: 'info',
+      });
+    }
+  };
+
+  const checkOut = async (reservationId: number) => {
+    const outcome: { refund?: bigint | null } = {};
+    await runAction(
+      reservationId,
+      async () => {
+        outcome.refund = (await adapter!.checkOut(reservationId)).refund;
+      },
+      'Check-out'
+    );
+    // Set after runAction, which clears the status when it reloads the list
+    if (outcome.refund !== undefined) {
+      setStatus({
+        message: `Checked out of reservation #${reservationId}, refunded ${adapter!.formatAmount(
+          outcome.refund ?? 0n
+        )}`,
+        type: 'success',
+      });
+    }
+  };
+
+  const withdraw = async () => {
+    try {
+      await adapter!.withdraw();
+      await loadReservations();
+      setStatus({ message: 'Balance withdrawn', type: 'success' });
+    } catch (error) {
+      console.error('Withdraw failed:', error);
+      setStatus({ message: `Withdraw failed: ${(error as Error).message}`, type: 'error' });
+    }
+  };
+
+  const payPenalty = async () => {
+    try {
+      await adapter!.payPenalty();
+      await loadReservations();
+      setStatus({ message: 'Penalty paid', type: 'success' });
+    } catch (error) {
+      console.error('Paying penalty failed:', error);
+      setStatus({ message: `Paying penalty failed: ${(error as Error).message}`, type: 'error' });
+    }
+  };
+
+  const renderReservation = (reservation: Reservation, lifecycle: ReservationLifecycle | undefined) => {
+    const isOpen = reservation.status === 'Pending' || reservation.status === 'Active';
+    const busy = busyId === reservation.id;
+    const now = Math.floor(Date.now() / 1000);
+    const canCancel = adapter!.capabilities.cancel && adapter!.canCancel(reservation, now);
+    const canExtend = adapter!.capabilities.extend && reservation.status === 'Active' && now < reservation.endTime;
+    const canCheckOut =
+      adapter!.capabilities.earlyCheckOut &&
+      reservation.status === 'Active' &&
+      reservation.startTime <= now &&
+      now < reservation.endTime;
+    const overdue = reservation.status === 'Active' && now >= reservation.endTime;
+
+    return (
+      <div
+        key={reservation.id}
+        className={`rounded-xl border-2 p-5 text-center ${
+          isOpen ? 'border-yellow-400 bg-yellow-50' : 'border-gray-200 bg-gray-50'
+        }`}
+      >
+        <h4 className="font-semibold mb-2">Reservation #{reservation.id}</h4>
+        <p>
+          <strong>Parking Spot:</strong> {reservation.spotId}
+        </p>
+        <p>
+          <strong>Start:</strong> {formatTime(reservation.startTime)}
+        </p>
+        <p>
+          <strong>End:</strong> {formatTime(reservation.endTime)}
+        </p>
+        <p>
+          <strong>Status:</strong> {lifecycle ? STAGE_LABELS[lifecycle.stage] : reservation.status}
+        </p>
+        {overdue && (
+          <p className="text-red-600">
+            <strong>⚠️ Ended:</strong> complete it now, overstays can be charged a penalty
+          </p>
+        )}
+        {lifecycle?.reason && (
+          <p>
+            <strong>Reason:</strong> {lifecycle.reason}
+          </p>
+        )}
+        {lifecycle?.stage === 'AwaitingGateway' && lifecycle.timeoutAt !== null && (
+          <p>
+            <strong>Timeout refund after:</strong> {formatTime(lifecycle.timeoutAt)}
+          </p>
+        )}
+
+        {lifecycle?.canClaimTimeout && (
+          <button
+            className="btn"
+            disabled={busy}
+            onClick={() => runAction(reservation.id, () => claimTimeoutRefund(reservation.id), 'Timeout refund')}
+          >
+            Claim timeout refund
+          </button>
+        )}
+        {reservation.status === 'Active' && (
+          <button
+            className="btn"
+            disabled={busy}
+            onClick={() => runAction(reservation.id, () => adapter!.complete(reservation.id), 'Complete reservation')}
+          >
+            Complete Reservation
+          </button>
+        )}
+        {canCancel && (
+          <button
+            className="btn btn-secondary"
+            disabled={busy}
+            onClick={() => runAction(reservation.id, () => adapter!.cancel(reservation.id), 'Cancel reservation')}
+          >
+            Cancel
+          </button>
+        )}
+        {canExtend && (
+          <div className="mt-3">
+            <input
+              type="number"
+              placeholder="Extra seconds (e.g. 3600)"
+              min={60}
+              value={extraDurations[reservation.id] ?? ''}
+              onChange={(e) => setExtraDurations((current) => ({ ...current, [reservation.id]: e.target.value }))}
+            />
+            <button className="btn" disabled={busy} onClick={() => extend(reservation.id)}>
+              Extend
+            </button>
+          </div>
+        )}
+        {canCheckOut && (
+          <button className="btn btn-secondary" disabled={busy} onClick={() => checkOut(reservation.id)}>
+            Check out now (refund ≈ {adapter!.formatAmount(adapter!.estimateCheckOutRefund(reservation, now))})
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="card mb-8">
+      <h2 className="text-2xl font-bold mb-5">📋 My Reservations</h2>
+      <button className="btn" onClick={() => loadReservations()}>
+        Load My Reservations
+      </button>
+
+      {status && <div className={`status status-${status.type}`}>{status.message}</div>}
+
+      {withdrawable !== null && withdrawable > 0n && (
+        <div className="status status-info">
+          Refunds and payouts to withdraw: <strong>{adapter!.formatAmount(withdrawable)}</strong>{' '}
+          <button className="btn" onClick={withdraw}>
+            Withdraw
+          </button>
+        </div>
+      )}
+
+      {penalties && (penalties.outstanding > 0n || penalties.overstays > 0) && (
+        <div className={`status ${penalties.eligible ? 'status-info' : 'status-error'}`}>
+          Overstays:{' '}
+          <strong>
+            {penalties.overstays}/{penalties.maxOverstays}
+          </strong>
+          {penalties.outstanding > 0n && (
+            <>
+              {' '}
+              · Outstanding penalty: <strong>{adapter!.formatAmount(penalties.outstanding)}</strong>{' '}
+              <button className="btn" onClick={payPenalty}>
+                Pay Penalty
+              </button>
+            </>
+          )}
+          {penalties.overstays >= penalties.maxOverstays && (
+            <p>You can no longer reserve; contact the operator to have your overstays cleared.</p>
+          )}
+        </div>
+      )}
+
+      {reservations && total === 0 && <div className="status status-info">You have no reservation records yet</div>}
+      {reservations && reservations.length > 0 && (
+        <div className="grid grid-cols-[repeat(auto-fill,minmax(200px,1fr))] gap-5 mt-5">
+          {reservations.map((reservation) => renderReservation(reservation, lifecycles[reservation.id]))}
+        </div>
+      )}
+      {reservations && <Pager page={page} pageSize={PAGE_SIZE} total={total} onPage={loadReservations} />}
+    </div>
+  );
+}
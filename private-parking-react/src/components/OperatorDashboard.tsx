@@ -0,0 +1,219 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useWallet } from '../context/WalletContext';
+import { loadLotDashboard, type LotDashboard } from '../adapters';
+
+type Status = { message: string; type: 'success' | 'error' | 'info' };
+
+export default function OperatorDashboard() {
+  const { adapter, userAddress } = useWallet();
+  const [dashboard, setDashboard] = useState<LotDashboard | null>(null);
+  const [lotName, setLotName] = useState('');
+  const [feeShare, setFeeShare] = useState('');
+  const [spotLocation, setSpotLocation] = useState<Record<number, string>>({});
+  const [spotPrice, setSpotPrice] = useState<Record<number, string>>({});
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState<Status | null>(null);
+
+  const refresh = useCallback(async () => {
+    if (!adapter || !userAddress) return;
+    try {
+      setDashboard(await loadLotDashboard(adapter, userAddress));
+    } catch (error) {
+      console.error('Loading lots failed:', error);
+    }
+  }, [adapter, userAddress]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  if (!adapter || !userAddress) return null;
+
+  const run = async (pending: string, action: () => Promise<string>) => {
+    setBusy(true);
+    setStatus({ message: pending, type: 'info' });
+    try {
+      setStatus({ message: await action(), type: 'success' });
+      await refresh();
+    } catch (error) {
+      console.error(`${pending} failed:`, error);
+      setStatus({ message: `Failed: ${(error as Error).message}`, type: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const registerLot = () => {
+    if (!lotName || !feeShare) {
+      setStatus({ message: 'Please fill in lot name and fee share', type: 'error' });
+      return;
+    }
+    run('Registering lot...', async () => {
+      const { lotId } = await adapter.registerLot(lotName, Number(feeShare));
+      setLotName('');
+      setFeeShare('');
+      return `Lot #${lotId} registered`;
+    });
+  };
+
+  const addLotSpot = (lotId: number) => {
+    if (!spotLocation[lotId] || !spotPrice[lotId]) {
+      setStatus({ message: 'Please fill in location and price', type: 'error' });
+      return;
+    }
+    run('Adding spot...', async () => {
+      const { spotId } =
+        lotId === 0
+          ? await adapter.addSpot(spotLocation[lotId], adapter.parsePrice(spotPrice[lotId]))
+          : await adapter.addLotSpot(lotId, spotLocation[lotId], adapter.parsePrice(spotPrice[lotId]));
+      setSpotLocation({ ...spotLocation, [lotId]: '' });
+      setSpotPrice({ ...spotPrice, [lotId]: '' });
+      return `Spot #${spotId} added`;
+    });
+  };
+
+  const updatePrice = (spotId: number) => {
+    const input = prompt(`New price for spot #${spotId} (${adapter.priceUnit}):`);
+    if (!input) return;
+    run('Updating price...', async () => {
+      await adapter.updateSpotPrice(spotId, adapter.parsePrice(input));
+      return `Spot #${spotId} price updated`;
+    });
+  };
+
+  const updateFeeShare = (lotId: number) => {
+    const input = prompt(`New platform fee share for lot #${lotId} (%):`);
+    if (!input) return;
+    run('Updating fee share...', async () => {
+      await adapter.setLotFeeShare(lotId, Number(input));
+      return `Lot #${lotId} fee share updated`;
+    });
+  };
+
+  const withdraw = (lotId: number) =>
+    run('Withdrawing revenue...', async () => {
+      await adapter.withdrawLotRevenue(lotId, userAddress);
+      return `Lot #${lotId} revenue withdrawn`;
+    });
+
+  const markOverstay = (reservationId: number) =>
+    run('Marking overstay...', async () => {
+      const { overstayHours, penalty } = await adapter.markOverstay(reservationId);
+      return `Reservation #${reservationId} settled: ${overstayHours} hour(s) overstayed, penalty ${adapter.formatAmount(
+        penalty ?? 0n
+      )}`;
+    });
+
+  return (
+    <div className="card mb-8">
+      <h2 className="text-2xl font-bold mb-5">🏢 Operator Dashboard</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="form-group">
+          <label htmlFor="lotName">Lot Name:</label>
+          <input
+            id="lotName"
+            value={lotName}
+            onChange={(e) => setLotName(e.target.value)}
+            placeholder="e.g., Central Garage"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="lotFeeShare">Platform Fee Share (%):</label>
+          <input
+            id="lotFeeShare"
+            type="number"
+            min={5}
+            max={100}
+            value={feeShare}
+            onChange={(e) => setFeeShare(e.target.value)}
+          />
+        </div>
+        <div className="flex items-end">
+          <button className="btn" onClick={registerLot} disabled={busy}>
+            Register Lot (operators)
+          </button>
+        </div>
+      </div>
+
+      {dashboard && dashboard.lots.length > 0 ? (
+        <>
+          <p className="mb-4">
+            Withdrawable revenue across your lots: <strong>{adapter.formatAmount(dashboard.revenue)}</strong>
+          </p>
+          {dashboard.lots.map((lot) => (
+            <div key={lot.id} className="border-t border-white/20 pt-4 mb-4">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                <h3 className="text-lg font-semibold">
+                  #{lot.id} {lot.name}
+                </h3>
+                <span className="text-sm opacity-75">
+                  {lot.counts.total} spots · {lot.counts.reserved} reserved · {lot.counts.inactive} inactive · fee{' '}
+                  {lot.feeShare}%
+                </span>
+              </div>
+              <div className="flex flex-wrap gap-2 mb-3">
+                <span>Revenue: {adapter.formatAmount(lot.revenue)}</span>
+                <button className="btn" onClick={() => withdraw(lot.id)} disabled={busy || lot.revenue === 0n}>
+                  Withdraw
+                </button>
+                {lot.id !== 0 && (
+                  <button className="btn" onClick={() => updateFeeShare(lot.id)} disabled={busy}>
+                    Change Fee Share
+                  </button>
+                )}
+              </div>
+              <ul className="mb-3">
+                {lot.spots.map((spot) => (
+                  <li key={spot.id} className="flex items-center gap-3">
+                    <span>
+                      #{spot.id} {spot.location} · {adapter.formatPrice(spot.price)}
+                      {!spot.isActive && ' · inactive'}
+                    </span>
+                    <button className="btn" onClick={() => updatePrice(spot.id)} disabled={busy}>
+                      Update Price
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              {lot.overstays.length > 0 && (
+                <ul className="mb-3">
+                  {lot.overstays.map((reservation) => (
+                    <li key={reservation.id} className="flex items-center gap-3">
+                      <span>
+                        ⚠️ Reservation #{reservation.id} on spot #{reservation.spotId} ended{' '}
+                        {new Date(reservation.endTime * 1000).toLocaleString()}
+                      </span>
+                      <button className="btn" onClick={() => markOverstay(reservation.id)} disabled={busy}>
+                        Mark Overstay
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="flex flex-wrap gap-2">
+                <input
+                  value={spotLocation[lot.id] ?? ''}
+                  onChange={(e) => setSpotLocation({ ...spotLocation, [lot.id]: e.target.value })}
+                  placeholder="Location"
+                />
+                <input
+                  value={spotPrice[lot.id] ?? ''}
+                  onChange={(e) => setSpotPrice({ ...spotPrice, [lot.id]: e.target.value })}
+                  placeholder={`Price (${adapter.priceUnit})`}
+                />
+                <button className="btn" onClick={() => addLotSpot(lot.id)} disabled={busy}>
+                  Add Spot
+                </button>
+              </div>
+            </div>
+          ))}
+        </>
+      ) : (
+        <p className="opacity-75">You do not operate any lot yet.</p>
+      )}
+
+      {status && <div className={`status status-${status.type}`}>{status.message}</div>}
+    </div>
+  );
+}
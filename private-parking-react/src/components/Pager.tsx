@@ -0,0 +1,28 @@
+interface PagerProps {
+  /** Zero-based page shown */
+  page: number;
+  pageSize: number;
+  total: number;
+  onPage: (page: number) => void;
+}
+
+/** Previous/next buttons and the items of total the page holds; nothing when everything fits on one page */
+export default function Pager({ page, pageSize, total, onPage }: PagerProps) {
+  if (total <= pageSize) return null;
+
+  const first = page * pageSize + 1;
+  const last = Math.min((page + 1) * pageSize, total);
+  return (
+    <div className="flex items-center justify-center gap-3 mt-4">
+      <button className="btn btn-secondary" disabled={page === 0} onClick={() => onPage(page - 1)}>
+        ← Previous
+      </button>
+      <span>
+        {first}–{last} of {total}
+      </span>
+      <button className="btn btn-secondary" disabled={last >= total} onClick={() => onPage(page + 1)}>
+        Next →
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,279 @@
+import { useEffect, useState } from 'react';
+import { parseEther } from 'ethers';
+import { useWallet } from '../context/WalletContext';
+import { useReservationTracker } from '../context/ReservationTrackerContext';
+import { findConflict, formatWindow, parseDateTime } from '../adapters';
+import SpotCalendar from './SpotCalendar';
+
+type Status = { message: string; type: 'success' | 'error' | 'info' };
+
+export default function ParkingManagement() {
+  const { adapter, userAddress } = useWallet();
+  const { track } = useReservationTracker();
+  const [spotPrice, setSpotPrice] = useState('');
+  const [spotLocation, setSpotLocation] = useState('');
+  const [reserveSpotId, setReserveSpotId] = useState('');
+  const [duration, setDuration] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [startClock, setStartClock] = useState('');
+  const [payment, setPayment] = useState('');
+  const [calendarSpotId, setCalendarSpotId] = useState<number | null>(null);
+  const [calendarRefresh, setCalendarRefresh] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState<Status | null>(null);
+  const [tokenBalances, setTokenBalances] = useState<{ balance: bigint; allowance: bigint } | null>(null);
+  const [quote, setQuote] = useState<string | null>(null);
+
+  // Reservations on a token-paying contract pull the token; refreshed after each reservation
+  useEffect(() => {
+    if (!adapter || !userAddress) {
+      setTokenBalances(null);
+      return;
+    }
+    adapter
+      .tokenBalances(userAddress)
+      .then(setTokenBalances)
+      .catch((error) => console.error('Loading token balances failed:', error));
+  }, [adapter, userAddress, calendarRefresh]);
+
+  const paymentToken = adapter?.paymentToken ?? null;
+
+  const addSpot = async () => {
+    if (!adapter) {
+      setStatus({ message: 'Please connect wallet first', type: 'error' });
+      return;
+    }
+    if (!spotPrice || !spotLocation) {
+      setStatus({ message: 'Please fill in price and location', type: 'error' });
+      return;
+    }
+
+    setBusy(true);
+    setStatus({ message: 'Adding parking spot...', type: 'info' });
+    try {
+      const { spotId } = await adapter.addSpot(spotLocation, adapter.parsePrice(spotPrice));
+      setStatus({ message: `Parking spot #${spotId} added successfully!`, type: 'success' });
+      setSpotPrice('');
+      setSpotLocation('');
+    } catch (error) {
+      console.error('Adding parking spot failed:', error);
+      setStatus({ message: `Adding failed: ${(error as Error).message}`, type: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const reserve = async () => {
+    if (!adapter) {
+      setStatus({ message: 'Please connect wallet first', type: 'error' });
+      return;
+    }
+    if (!reserveSpotId || !duration) {
+      setStatus({ message: 'Please fill in spot ID and duration', type: 'error' });
+      return;
+    }
+
+    const spotId = Number(reserveSpotId);
+    setBusy(true);
+    try {
+      // No start date: the reservation starts now
+      let startTime: number | null = null;
+      if (startDate) {
+        startTime = parseDateTime(startDate, startClock || '00:00');
+        if (startTime < Math.floor(Date.now() / 1000)) {
+          throw new Error('Start time is in the past');
+        }
+        const conflict = findConflict(await adapter.getBookings(spotId), startTime, startTime + Number(duration));
+        if (conflict) {
+          throw new Error(`Spot #${spotId} is already booked ${formatWindow(conflict)}`);
+        }
+      }
+
+      setStatus({ message: 'Reserving parking spot...', type: 'info' });
+      const { reservationId, requestId } = await adapter.reserve(
+        spotId,
+        Number(duration),
+        payment ? parseEther(payment) : null,
+        startTime
+      );
+
+      if (adapter.capabilities.gatewayCallback && reservationId !== null) {
+        setStatus({
+          message: `Reservation #${reservationId} requested, waiting for gateway confirmation (request ${requestId})`,
+          type: 'info',
+        });
+        await track(reservationId);
+      } else {
+        setStatus({ message: `Parking spot reserved successfully! Reservation #${reservationId}`, type: 'success' });
+      }
+
+      setReserveSpotId('');
+      setQuote(null);
+      setDuration('');
+      setStartDate('');
+      setStartClock('');
+      setPayment('');
+      setCalendarRefresh((count) => count + 1);
+    } catch (error) {
+      console.error('Reservation failed:', error);
+      setStatus({ message: `Reservation failed: ${(error as Error).message}`, type: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Pricing rules can make the price depend on the window and on occupancy, so ask the contract
+  const getQuote = async () => {
+    if (!adapter || !reserveSpotId || !duration) {
+      setStatus({ message: 'Please fill in spot ID and duration', type: 'error' });
+      return;
+    }
+    try {
+      const startTime = startDate ? parseDateTime(startDate, startClock || '00:00') : null;
+      const price = await adapter.quote(Number(reserveSpotId), Number(duration), startTime);
+      setQuote(`Quoted price: ${adapter.formatPrice(price)}`);
+    } catch (error) {
+      console.error('Quote failed:', error);
+      setStatus({ message: `Quote failed: ${(error as Error).message}`, type: 'error' });
+    }
+  };
+
+  const showCalendar = () => {
+    if (!reserveSpotId) {
+      setStatus({ message: 'Please fill in the spot ID to show its bookings', type: 'error' });
+      return;
+    }
+    setCalendarSpotId(Number(reserveSpotId));
+    setCalendarRefresh((count) => count + 1);
+  };
+
+  return (
+    <div className="card mb-8">
+      <h2 className="text-2xl font-bold mb-5">🅿️ Parking Management</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        <div>
+          <h3 className="text-lg font-semibold mb-3">Add Parking Spot (Admin Only)</h3>
+          <div className="form-group">
+            <label htmlFor="spotPrice">Price (per hour):</label>
+            <input
+              id="spotPrice"
+              type="number"
+              placeholder="Enter price"
+              min={1}
+              value={spotPrice}
+              onChange={(e) => setSpotPrice(e.target.value)}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="spotLocation">Location Description:</label>
+            <input
+              id="spotLocation"
+              type="text"
+              placeholder="e.g.: Zone A Spot 1"
+              value={spotLocation}
+              onChange={(e) => setSpotLocation(e.target.value)}
+            />
+          </div>
+          <button className="btn" onClick={addSpot} disabled={busy || !adapter}>
+            Add Parking Spot
+          </button>
+        </div>
+
+        <div>
+          <h3 className="text-lg font-semibold mb-3">Reserve Parking Spot</h3>
+          <div className="form-group">
+            <label htmlFor="reserveSpotId">Parking Spot ID:</label>
+            <input
+              id="reserveSpotId"
+              type="number"
+              placeholder="Enter parking spot ID"
+              min={0}
+              value={reserveSpotId}
+              onChange={(e) => setReserveSpotId(e.target.value)}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="reserveDuration">Duration (seconds):</label>
+            <input
+              id="reserveDuration"
+              type="number"
+              placeholder="e.g.: 3600 (1 hour)"
+              min={60}
+              max={86400}
+              value={duration}
+              onChange={(e) => setDuration(e.target.value)}
+            />
+          </div>
+          {(!adapter || adapter.capabilities.scheduling) && (
+            <div className="form-group">
+              <label htmlFor="reserveStartDate">Start (leave empty to start now):</label>
+              <div className="grid grid-cols-2 gap-3">
+                <input
+                  id="reserveStartDate"
+                  type="date"
+                  value={startDate}
+                  onChange={(e) => setStartDate(e.target.value)}
+                />
+                <input
+                  id="reserveStartTime"
+                  type="time"
+                  value={startClock}
+                  onChange={(e) => setStartClock(e.target.value)}
+                />
+              </div>
+            </div>
+          )}
+          {paymentToken ? (
+            <div className="form-group">
+              <p>
+                Paid in {paymentToken.symbol} at the listed price
+                {paymentToken.supportsPermit ? ', with a signed permit' : ', after an approval'}.
+              </p>
+              {tokenBalances && (
+                <p className="text-sm opacity-75">
+                  Balance: {adapter!.formatAmount(tokenBalances.balance)} · Allowance:{' '}
+                  {adapter!.formatAmount(tokenBalances.allowance)}
+                </p>
+              )}
+            </div>
+          ) : (
+            <div className="form-group">
+              <label htmlFor="paymentAmount">Payment Amount (ETH):</label>
+              <input
+                id="paymentAmount"
+                type="number"
+                placeholder="Payment amount"
+                value={payment}
+                onChange={(e) => setPayment(e.target.value)}
+              />
+              {adapter && !adapter.capabilities.tokenPayments && (
+                <p className="text-sm opacity-75 mt-2">
+                  This contract takes ETH only: ERC-20 tokens and permits cannot pay for reservations.
+                </p>
+              )}
+            </div>
+          )}
+          <div className="flex gap-3">
+            <button className="btn" onClick={reserve} disabled={busy || !adapter}>
+              Reserve Parking Spot
+            </button>
+            {adapter?.capabilities.dynamicPricing && (
+              <button className="btn btn-secondary" onClick={getQuote}>
+                Get Quote
+              </button>
+            )}
+            <button className="btn btn-secondary" onClick={showCalendar} disabled={!adapter}>
+              Show Booked Times
+            </button>
+          </div>
+          {quote && <p className="mt-3">{quote}</p>}
+        </div>
+      </div>
+
+      {status && <div className={`status status-${status.type}`}>{status.message}</div>}
+
+      {adapter && calendarSpotId !== null && <SpotCalendar spotId={calendarSpotId} refreshKey={calendarRefresh} />}
+    </div>
+  );
+}
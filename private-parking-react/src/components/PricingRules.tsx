@@ -0,0 +1,176 @@
+import { useState } from 'react';
+import { formatUnits } from 'ethers';
+import { useWallet } from '../context/WalletContext';
+import type { PricingRule } from '../adapters/types';
+
+type Status = { message: string; type: 'success' | 'error' | 'info' };
+type Scope = 'spot' | 'lot';
+type RuleField = Exclude<keyof PricingRule, 'enabled' | 'maxPrice'>;
+
+const RULE_FIELDS: { key: RuleField; label: string; max: number }[] = [
+  { key: 'peakStartHour', label: 'Peak hours start (UTC hour)', max: 23 },
+  { key: 'peakEndHour', label: 'Peak hours end (UTC hour, exclusive)', max: 23 },
+  { key: 'peakPercent', label: 'Peak price (% of base)', max: 500 },
+  { key: 'weekendPercent', label: 'Weekend price (% of base)', max: 500 },
+  { key: 'surgeOccupancy', label: 'Surge from lot occupancy (%, 0 = off)', max: 100 },
+  { key: 'surgePercent', label: 'Surge price (% of base)', max: 500 },
+];
+
+type RuleForm = Record<RuleField | 'maxPrice', string>;
+
+const DEFAULT_FORM: RuleForm = {
+  peakStartHour: '0',
+  peakEndHour: '0',
+  peakPercent: '100',
+  weekendPercent: '100',
+  surgeOccupancy: '0',
+  surgePercent: '100',
+  maxPrice: '',
+};
+
+function ruleToForm(rule: PricingRule, decimals: number): RuleForm {
+  const form = { ...DEFAULT_FORM, maxPrice: rule.maxPrice > 0n ? formatUnits(rule.maxPrice, decimals) : '' };
+  RULE_FIELDS.forEach(({ key }) => {
+    form[key] = String(rule[key]);
+  });
+  return form;
+}
+
+function formToRule(form: RuleForm, enabled: boolean, maxPrice: bigint): PricingRule {
+  const rule = { enabled, maxPrice } as PricingRule;
+  RULE_FIELDS.forEach(({ key }) => {
+    rule[key] = Number(form[key] || 0);
+  });
+  return rule;
+}
+
+export default function PricingRules() {
+  const { adapter } = useWallet();
+  const [scope, setScope] = useState<Scope>('spot');
+  const [targetId, setTargetId] = useState('');
+  const [form, setForm] = useState(DEFAULT_FORM);
+  const [current, setCurrent] = useState<PricingRule | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState<Status | null>(null);
+
+  if (!adapter || !adapter.capabilities.dynamicPricing) return null;
+
+  const run = async (pending: string, action: () => Promise<string>) => {
+    if (targetId === '') {
+      setStatus({ message: `Please fill in the ${scope} ID`, type: 'error' });
+      return;
+    }
+    setBusy(true);
+    setStatus({ message: pending, type: 'info' });
+    try {
+      setStatus({ message: await action(), type: 'success' });
+    } catch (error) {
+      console.error(`${pending} failed:`, error);
+      setStatus({ message: `Failed: ${(error as Error).message}`, type: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const readRule = (id: number) => (scope === 'spot' ? adapter.getSpotPricingRule(id) : adapter.getLotPricingRule(id));
+
+  const loadRule = () =>
+    run('Loading rule...', async () => {
+      const rule = await readRule(Number(targetId));
+      setCurrent(rule);
+      if (rule.enabled) {
+        setForm(ruleToForm(rule, adapter.priceDecimals));
+      }
+      return rule.enabled ? `Rule of ${scope} #${targetId} loaded` : `${scope} #${targetId} has no rule`;
+    });
+
+  const saveRule = (enabled: boolean) =>
+    run(enabled ? 'Saving rule...' : 'Clearing rule...', async () => {
+      const rule = formToRule(form, enabled, form.maxPrice ? adapter.parsePrice(form.maxPrice) : 0n);
+      const id = Number(targetId);
+      if (scope === 'spot') {
+        await adapter.setSpotPricingRule(id, rule);
+      } else {
+        await adapter.setLotPricingRule(id, rule);
+      }
+      setCurrent(await readRule(id));
+      return enabled ? `Rule of ${scope} #${targetId} saved` : `Rule of ${scope} #${targetId} cleared`;
+    });
+
+  return (
+    <div className="card mb-8">
+      <h2 className="text-2xl font-bold mb-5">💹 Pricing Rules</h2>
+      <p className="text-sm opacity-75 mb-4">
+        Spot rules take precedence over lot rules; lot 0 prices the spots outside lots. Percentages are of the base
+        price, and each booked hour is priced by its start time.
+        {!adapter.capabilities.publicPrices &&
+          ' The rules are public but apply to the encrypted prices, and never raise an hourly price above the maximum spot price.'}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div className="form-group">
+          <label htmlFor="pricingScope">Applies to:</label>
+          <select id="pricingScope" value={scope} onChange={(e) => setScope(e.target.value as Scope)}>
+            <option value="spot">Spot</option>
+            <option value="lot">Lot</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="pricingTargetId">{scope === 'spot' ? 'Spot ID' : 'Lot ID'}:</label>
+          <input
+            id="pricingTargetId"
+            type="number"
+            min={0}
+            value={targetId}
+            onChange={(e) => setTargetId(e.target.value)}
+          />
+        </div>
+        <div className="flex items-end">
+          <button className="btn btn-secondary" onClick={loadRule} disabled={busy}>
+            Load Rule
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {RULE_FIELDS.map(({ key, label, max }) => (
+          <div className="form-group" key={key}>
+            <label htmlFor={key}>{label}:</label>
+            <input
+              id={key}
+              type="number"
+              min={0}
+              max={max}
+              value={form[key]}
+              onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+            />
+          </div>
+        ))}
+        <div className="form-group">
+          <label htmlFor="pricingMaxPrice">Hourly price cap ({adapter.priceUnit}, empty = none):</label>
+          <input
+            id="pricingMaxPrice"
+            value={form.maxPrice}
+            onChange={(e) => setForm({ ...form, maxPrice: e.target.value })}
+          />
+        </div>
+      </div>
+
+      <div className="flex gap-3">
+        <button className="btn" onClick={() => saveRule(true)} disabled={busy}>
+          Save Rule
+        </button>
+        <button className="btn btn-secondary" onClick={() => saveRule(false)} disabled={busy}>
+          Clear Rule
+        </button>
+      </div>
+
+      {current && (
+        <p className="text-sm opacity-75 mt-3">
+          Current rule: {current.enabled ? 'enabled' : 'none, the base price applies'}
+        </p>
+      )}
+      {status && <div className={`status status-${status.type}`}>{status.message}</div>}
+    </div>
+  );
+}
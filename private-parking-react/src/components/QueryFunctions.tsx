@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { useWallet } from '../context/WalletContext';
+
+type Status = { message: string; type: 'success' | 'error' | 'info' };
+
+export default function QueryFunctions() {
+  const { adapter, userAddress } = useWallet();
+  const [checkSpotId, setCheckSpotId] = useState('');
+  const [verifyUserId, setVerifyUserId] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState<Status | null>(null);
+
+  const checkAvailability = async () => {
+    if (!adapter) {
+      setStatus({ message: 'Please connect wallet first', type: 'error' });
+      return;
+    }
+    if (!checkSpotId) {
+      setStatus({ message: 'Please enter parking spot ID', type: 'error' });
+      return;
+    }
+
+    const spotId = Number(checkSpotId);
+    setBusy(true);
+    setStatus({ message: 'Checking availability...', type: 'info' });
+    try {
+      const spot = await adapter.getSpot(spotId);
+      let isAvailable = spot.isAvailable;
+      if (isAvailable === null && spot.isActive) {
+        setStatus({
+          message: 'Decrypting availability: confirm the query transaction, then sign the decryption request...',
+          type: 'info',
+        });
+        isAvailable = await adapter.checkAvailability(spotId);
+      }
+
+      const availability = isAvailable === null ? 'N/A' : isAvailable ? 'Yes' : 'No';
+      const reservationEnd = spot.reservationEnd > 0 ? new Date(spot.reservationEnd * 1000).toLocaleString() : 'Not reserved';
+      setStatus({
+        message: `Parking Spot ${spotId}: ${spot.location || 'N/A'} · Price: ${adapter.formatPrice(spot.price)} · Active: ${
+          spot.isActive ? 'Yes' : 'No'
+        } · Available: ${availability} · Reservation End Time: ${reservationEnd}`,
+        type: 'info',
+      });
+    } catch (error) {
+      console.error('Query failed:', error);
+      setStatus({ message: `Query failed: ${(error as Error).message}`, type: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const verifyIdentity = async () => {
+    if (!adapter || !userAddress) {
+      setStatus({ message: 'Please connect wallet first', type: 'error' });
+      return;
+    }
+    if (!verifyUserId) {
+      setStatus({ message: 'Please enter user ID', type: 'error' });
+      return;
+    }
+
+    setBusy(true);
+    setStatus({
+      message: adapter.capabilities.encryptedQueries
+        ? 'Verifying identity: confirm the query transaction, then sign the decryption request...'
+        : 'Verifying identity...',
+      type: 'info',
+    });
+    try {
+      const isValid = await adapter.verifyIdentity(userAddress, Number(verifyUserId));
+      setStatus({
+        message: `Identity Verification Result: ${isValid ? 'User ID matches' : 'User ID does not match'}`,
+        type: isValid ? 'success' : 'info',
+      });
+    } catch (error) {
+      console.error('Verification failed:', error);
+      setStatus({ message: `Verification failed: ${(error as Error).message}`, type: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card mb-8">
+      <h2 className="text-2xl font-bold mb-5">🔍 Query Functions</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        <div>
+          <h3 className="text-lg font-semibold mb-3">Check Parking Spot Availability</h3>
+          <div className="form-group">
+            <label htmlFor="checkSpotId">Parking Spot ID:</label>
+            <input
+              id="checkSpotId"
+              type="number"
+              placeholder="Enter parking spot ID"
+              min={0}
+              value={checkSpotId}
+              onChange={(e) => setCheckSpotId(e.target.value)}
+            />
+          </div>
+          <button className="btn" onClick={checkAvailability} disabled={busy || !adapter}>
+            Check Availability
+          </button>
+        </div>
+
+        <div>
+          <h3 className="text-lg font-semibold mb-3">Verify User Identity</h3>
+          <div className="form-group">
+            <label htmlFor="verifyUserId">User ID:</label>
+            <input
+              id="verifyUserId"
+              type="number"
+              placeholder="Enter user ID"
+              min={1}
+              value={verifyUserId}
+              onChange={(e) => setVerifyUserId(e.target.value)}
+            />
+          </div>
+          <button className="btn" onClick={verifyIdentity} disabled={busy || !adapter}>
+            Verify Identity
+          </button>
+        </div>
+      </div>
+
+      {status && <div className={`status status-${status.type}`}>{status.message}</div>}
+    </div>
+  );
+}
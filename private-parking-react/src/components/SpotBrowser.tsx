@@ -0,0 +1,208 @@
+import { useState, useEffect, useCallback } from 'react';
+import { parseEther } from 'ethers';
+import { useWallet } from '../context/WalletContext';
+import { useReservationTracker } from '../context/ReservationTrackerContext';
+import { Spot, SpotSortKey, SpotState, filterSpots, formatCountdown, spotState, watchSpots } from '../adapters';
+import Pager from './Pager';
+
+// Spots per page, read through the paginated getSpotsPage view
+const PAGE_SIZE = 24;
+
+const STATE_STYLES: Record<SpotState, { className: string; label: string }> = {
+  available: { className: 'border-green-600 bg-green-50', label: '✅ Available' },
+  reserved: { className: 'border-red-600 bg-red-50', label: '🔴 Reserved' },
+  inactive: { className: 'border-yellow-600 bg-yellow-50', label: '🚧 Out of service' },
+  unknown: { className: 'border-gray-400 bg-gray-50', label: '🔐 Status encrypted' },
+};
+
+type Status = { message: string; type: 'success' | 'error' | 'info' };
+
+function useNow() {
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+  return now;
+}
+
+export default function SpotBrowser() {
+  const { adapter } = useWallet();
+  const { track } = useReservationTracker();
+  const now = useNow();
+  const [spots, setSpots] = useState<Spot[]>([]);
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [search, setSearch] = useState('');
+  const [stateFilter, setStateFilter] = useState<SpotState | 'all'>('all');
+  const [sortBy, setSortBy] = useState<SpotSortKey>('id');
+  const [durations, setDurations] = useState<Record<number, string>>({});
+  const [payments, setPayments] = useState<Record<number, string>>({});
+  const [busyId, setBusyId] = useState<number | null>(null);
+  const [status, setStatus] = useState<Status | null>(null);
+
+  const refresh = useCallback(async () => {
+    if (!adapter) {
+      setSpots([]);
+      setTotal(0);
+      return;
+    }
+
+    try {
+      const result = await adapter.getSpotsPage(page * PAGE_SIZE, PAGE_SIZE);
+      setSpots(result.items);
+      setTotal(result.total);
+    } catch (error) {
+      console.error('Loading spots failed:', error);
+      setStatus({ message: `Loading spots failed: ${(error as Error).message}`, type: 'error' });
+    }
+  }, [adapter, page]);
+
+  useEffect(() => {
+    setPage(0);
+  }, [adapter]);
+
+  // Reload whenever a spot is added, reserved or released
+  useEffect(() => {
+    refresh();
+    if (!adapter) return;
+    return watchSpots(adapter, refresh);
+  }, [adapter, refresh]);
+
+  const reserve = async (spotId: number) => {
+    if (!adapter) return;
+
+    const duration = Number(durations[spotId] ?? 3600);
+    const payment = payments[spotId] ? parseEther(payments[spotId]) : null;
+
+    setBusyId(spotId);
+    setStatus({ message: 'Reserving parking spot...', type: 'info' });
+    try {
+      const { reservationId, requestId } = await adapter.reserve(spotId, duration, payment);
+      if (adapter.capabilities.gatewayCallback && reservationId !== null) {
+        setStatus({
+          message: `Reservation #${reservationId} requested, waiting for gateway confirmation (request ${requestId})`,
+          type: 'info',
+        });
+        await track(reservationId);
+      } else {
+        setStatus({ message: `Parking spot reserved successfully! Reservation #${reservationId}`, type: 'success' });
+      }
+      await refresh();
+    } catch (error) {
+      console.error('Reservation failed:', error);
+      setStatus({ message: `Reservation failed: ${(error as Error).message}`, type: 'error' });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const visibleSpots = filterSpots(spots, { search, state: stateFilter, sortBy }, now);
+
+  return (
+    <div className="card mb-8">
+      <h2 className="text-2xl font-bold mb-5">🗺️ Spot Browser</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-[2fr_1fr_1fr_auto] gap-4 items-end">
+        <div className="form-group">
+          <label htmlFor="spotSearch">Search:</label>
+          <input
+            id="spotSearch"
+            type="text"
+            placeholder="Location or spot ID"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="spotStateFilter">Show:</label>
+          <select
+            id="spotStateFilter"
+            value={stateFilter}
+            onChange={(e) => setStateFilter(e.target.value as SpotState | 'all')}
+          >
+            <option value="all">All spots</option>
+            <option value="available">Available</option>
+            <option value="reserved">Reserved</option>
+            <option value="inactive">Out of service</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="spotSort">Sort by:</label>
+          <select id="spotSort" value={sortBy} onChange={(e) => setSortBy(e.target.value as SpotSortKey)}>
+            <option value="id">Spot ID</option>
+            <option value="location">Location</option>
+            <option value="price">Price</option>
+            <option value="reservationEnd">Free soonest</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <button className="btn" onClick={refresh} disabled={!adapter}>
+            Refresh Spots
+          </button>
+        </div>
+      </div>
+
+      {status && <div className={`status status-${status.type}`}>{status.message}</div>}
+
+      {!adapter && <div className="status status-info">Connect your wallet to browse parking spots</div>}
+      {adapter && total === 0 && <div className="status status-info">No parking spots have been added yet</div>}
+      {adapter && spots.length > 0 && visibleSpots.length === 0 && (
+        <div className="status status-info">No parking spots on this page match the filters</div>
+      )}
+
+      {adapter && visibleSpots.length > 0 && (
+        <div className="grid grid-cols-[repeat(auto-fill,minmax(200px,1fr))] gap-5 mt-5">
+          {visibleSpots.map((spot) => {
+            const state = spotState(spot, now);
+            const canReserve = state === 'available' || state === 'unknown';
+
+            return (
+              <div key={spot.id} className={`rounded-xl border-2 p-5 text-center ${STATE_STYLES[state].className}`}>
+                <h4 className="font-semibold mb-2">Spot #{spot.id}</h4>
+                <p>{spot.location}</p>
+                <p>
+                  <strong>Price:</strong> {adapter.formatPrice(spot.price)}
+                </p>
+                <p className="font-semibold">{STATE_STYLES[state].label}</p>
+                {spot.reservationEnd > now && (
+                  <p>
+                    Free in <span className="font-mono font-bold">{formatCountdown(spot.reservationEnd - now)}</span>
+                  </p>
+                )}
+
+                {canReserve && (
+                  <div className="mt-2 space-y-2">
+                    <input
+                      type="number"
+                      className="w-full p-2 border-2 border-gray-200 rounded-lg text-sm"
+                      placeholder="Duration (seconds)"
+                      min={60}
+                      max={86400}
+                      value={durations[spot.id] ?? '3600'}
+                      onChange={(e) => setDurations({ ...durations, [spot.id]: e.target.value })}
+                    />
+                    {!adapter.capabilities.publicPrices && (
+                      <input
+                        type="number"
+                        className="w-full p-2 border-2 border-gray-200 rounded-lg text-sm"
+                        placeholder="ETH deposit"
+                        value={payments[spot.id] ?? ''}
+                        onChange={(e) => setPayments({ ...payments, [spot.id]: e.target.value })}
+                      />
+                    )}
+                    <button className="btn" disabled={busyId === spot.id} onClick={() => reserve(spot.id)}>
+                      Reserve
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {adapter && <Pager page={page} pageSize={PAGE_SIZE} total={total} onPage={setPage} />}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useWallet } from '../context/WalletContext';
+import { Booking, calendarDays, formatWindow, watchSpots } from '../adapters';
+
+interface SpotCalendarProps {
+  spotId: number;
+  /** Change to reload, e.g. after submitting a reservation */
+  refreshKey?: number;
+  days?: number;
+}
+
+/** Booked windows of one spot, one row per day */
+export default function SpotCalendar({ spotId, refreshKey = 0, days = 7 }: SpotCalendarProps) {
+  const { adapter } = useWallet();
+  const [bookings, setBookings] = useState<Booking[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    if (!adapter) return;
+    try {
+      setBookings(await adapter.getBookings(spotId));
+      setError(null);
+    } catch (loadError) {
+      console.error('Loading bookings failed:', loadError);
+      setError(`Loading bookings failed: ${(loadError as Error).message}`);
+    }
+  }, [adapter, spotId]);
+
+  useEffect(() => {
+    refresh();
+    if (!adapter) return;
+    return watchSpots(adapter, refresh);
+  }, [adapter, refresh, refreshKey]);
+
+  if (error) return <div className="status status-error">{error}</div>;
+  if (!bookings) return null;
+
+  return (
+    <div className="mt-5">
+      <h3 className="text-lg font-semibold mb-2">
+        📅 Spot #{spotId} bookings (next {days} days)
+      </h3>
+
+      {calendarDays(bookings, { days }).map((day) => (
+        <div key={day.start} className="grid grid-cols-[110px_1fr] gap-3 items-center mt-2">
+          <span className="text-sm">
+            {new Date(day.start * 1000).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}
+          </span>
+          <div className="relative h-6 bg-green-50 border border-gray-200 rounded-md overflow-hidden">
+            {day.slots.map((slot) => (
+              <div
+                key={slot.reservationId}
+                className="absolute top-0 bottom-0 bg-red-500 opacity-75"
+                style={{ left: `${slot.offset}%`, width: `${slot.width}%` }}
+                title={`Reservation #${slot.reservationId}: ${formatWindow(slot)}`}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {bookings.length === 0 ? (
+        <p className="mt-3 text-sm">No upcoming bookings</p>
+      ) : (
+        <ul className="mt-3 text-sm">
+          {bookings.map((booking) => (
+            <li key={booking.reservationId}>
+              #{booking.reservationId}: {formatWindow(booking)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
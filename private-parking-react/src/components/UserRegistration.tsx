@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { useWallet } from '../context/WalletContext';
+
+type Status = { message: string; type: 'success' | 'error' | 'info' };
+
+export default function UserRegistration() {
+  const { adapter } = useWallet();
+  const [userId, setUserId] = useState('');
+  const [creditScore, setCreditScore] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState<Status | null>(null);
+
+  const register = async () => {
+    if (!adapter) {
+      setStatus({ message: 'Please connect wallet first', type: 'error' });
+      return;
+    }
+    if (!userId || !creditScore) {
+      setStatus({ message: 'Please fill in all fields', type: 'error' });
+      return;
+    }
+    if (Number(creditScore) < 300 || Number(creditScore) > 850) {
+      setStatus({ message: 'Credit score must be between 300-850', type: 'error' });
+      return;
+    }
+
+    setBusy(true);
+    setStatus({
+      message: adapter.capabilities.encryptedInputs ? 'Encrypting credentials and registering...' : 'Registering user...',
+      type: 'info',
+    });
+    try {
+      await adapter.register(Number(userId), Number(creditScore));
+      setStatus({ message: 'User registration successful!', type: 'success' });
+      setUserId('');
+      setCreditScore('');
+    } catch (error) {
+      console.error('Registration failed:', error);
+      setStatus({ message: `Registration failed: ${(error as Error).message}`, type: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2 className="text-2xl font-bold mb-5">🔐 User Registration</h2>
+      <div className="form-group">
+        <label htmlFor="userId">User ID (Private):</label>
+        <input
+          id="userId"
+          type="number"
+          placeholder="Enter your private user ID"
+          min={1}
+          max={999999}
+          value={userId}
+          onChange={(e) => setUserId(e.target.value)}
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor="creditScore">Credit Score (Private):</label>
+        <input
+          id="creditScore"
+          type="number"
+          placeholder="Credit score (300-850)"
+          min={300}
+          max={850}
+          value={creditScore}
+          onChange={(e) => setCreditScore(e.target.value)}
+        />
+      </div>
+      <button className="btn" onClick={register} disabled={busy || !adapter}>
+        Register User
+      </button>
+
+      {status && <div className={`status status-${status.type}`}>{status.message}</div>}
+    </div>
+  );
+}
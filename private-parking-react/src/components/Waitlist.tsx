@@ -0,0 +1,174 @@
+import { useCallback, useEffect, useState } from 'react';
+import { parseEther } from 'ethers';
+import { useWallet } from '../context/WalletContext';
+import { useReservationTracker } from '../context/ReservationTrackerContext';
+import type { WaitlistOffer } from '../adapters/types';
+
+type Status = { message: string; type: 'success' | 'error' | 'info' };
+
+function formatTime(timestamp: number): string {
+  return new Date(timestamp * 1000).toLocaleString();
+}
+
+export default function Waitlist() {
+  const { adapter, userAddress } = useWallet();
+  const { track } = useReservationTracker();
+  const [spotId, setSpotId] = useState('');
+  const [duration, setDuration] = useState('');
+  const [payment, setPayment] = useState('');
+  const [offers, setOffers] = useState<WaitlistOffer[]>([]);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState<Status | null>(null);
+
+  const supported = Boolean(adapter?.capabilities.waitlist);
+
+  const loadOffers = useCallback(async () => {
+    if (!adapter || !userAddress || !supported) return;
+    try {
+      const now = Math.floor(Date.now() / 1000);
+      setOffers((await adapter.listWaitlistOffers(userAddress)).filter((offer) => offer.expiresAt >= now));
+    } catch (error) {
+      console.error('Loading waitlist offers failed:', error);
+    }
+  }, [adapter, userAddress, supported]);
+
+  // Offers made while the page is open are announced, in the browser too when notifications are allowed
+  useEffect(() => {
+    setOffers([]);
+    if (!adapter || !userAddress || !supported) return;
+
+    loadOffers();
+    return adapter.onWaitlistOffer(userAddress, (offer) => {
+      const message = `Spot #${offer.spotId} is free for you until ${formatTime(offer.expiresAt)}`;
+      setStatus({ message: `${message}: claim it before the offer expires`, type: 'info' });
+      if (window.Notification && Notification.permission === 'granted') {
+        new Notification('Parking spot available', { body: message });
+      }
+      loadOffers();
+    });
+  }, [adapter, userAddress, supported, loadOffers]);
+
+  if (!adapter || !userAddress || !supported) return null;
+
+  const run = async (pending: string, action: () => Promise<Status | string>) => {
+    setBusy(true);
+    setStatus({ message: pending, type: 'info' });
+    try {
+      const result = await action();
+      setStatus(typeof result === 'string' ? { message: result, type: 'success' } : result);
+      await loadOffers();
+    } catch (error) {
+      console.error(`${pending} failed:`, error);
+      setStatus({ message: `Failed: ${(error as Error).message}`, type: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const join = () => {
+    if (!spotId || !duration) {
+      setStatus({ message: 'Please fill in spot ID and duration', type: 'error' });
+      return;
+    }
+    run('Joining waitlist...', async () => {
+      const { deposit } = await adapter.joinWaitlist(
+        Number(spotId),
+        Number(duration),
+        payment ? parseEther(payment) : null
+      );
+      const { waiting } = await adapter.getWaitlist(Number(spotId));
+      const position = waiting.findIndex((address) => address.toLowerCase() === userAddress.toLowerCase()) + 1;
+      if (window.Notification && Notification.permission === 'default') {
+        Notification.requestPermission();
+      }
+      const paid = adapter.formatAmount(deposit ?? 0n);
+      return `Waitlisted for spot #${spotId} (position ${position}, deposit ${paid}). You will be notified when it frees up.`;
+    });
+  };
+
+  const leave = (id: number) =>
+    run('Leaving waitlist...', async () => {
+      await adapter.leaveWaitlist(id);
+      const refund = adapter.capabilities.gatewayCallback ? 'refunded' : 'can be withdrawn';
+      return `Left the waitlist of spot #${id}, your deposit ${refund}`;
+    });
+
+  // With encrypted prices the gateway checks the deposit before the reservation is active
+  const claim = (id: number) =>
+    run('Claiming spot...', async () => {
+      const { reservationId, requestId } = await adapter.claimWaitlistOffer(id);
+      if (adapter.capabilities.gatewayCallback && reservationId !== null) {
+        await track(reservationId);
+        return {
+          message: `Reservation #${reservationId} requested, waiting for gateway confirmation (request ${requestId})`,
+          type: 'info',
+        };
+      }
+      return `Spot #${id} reserved (reservation #${reservationId})`;
+    });
+
+  return (
+    <div className="card mb-8">
+      <h2 className="text-2xl font-bold mb-5">⏳ Waitlist</h2>
+      <p className="text-sm opacity-75 mb-4">
+        Queue for a taken spot with a deposit of its price. When it frees up, the first user in line has a few minutes
+        to claim it; the deposit pays the reservation, or is refunded on leaving or when the offer expires. Enter the
+        deposit when prices are encrypted.
+      </p>
+
+      {offers.map((offer) => (
+        <div key={offer.spotId} className="status status-info flex flex-wrap items-center gap-3">
+          <span>
+            Spot #{offer.spotId} is held for you until {formatTime(offer.expiresAt)}.
+          </span>
+          <button className="btn" onClick={() => claim(offer.spotId)} disabled={busy}>
+            Claim
+          </button>
+          <button className="btn btn-secondary" onClick={() => leave(offer.spotId)} disabled={busy}>
+            Decline
+          </button>
+        </div>
+      ))}
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="form-group">
+          <label htmlFor="waitlistSpotId">Parking Spot ID:</label>
+          <input id="waitlistSpotId" type="number" min={0} value={spotId} onChange={(e) => setSpotId(e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="waitlistDuration">Duration (seconds):</label>
+          <input
+            id="waitlistDuration"
+            type="number"
+            placeholder="e.g.: 3600 (1 hour)"
+            min={60}
+            value={duration}
+            onChange={(e) => setDuration(e.target.value)}
+          />
+        </div>
+        {!adapter.paymentToken && (
+          <div className="form-group">
+            <label htmlFor="waitlistDeposit">Deposit (ETH):</label>
+            <input
+              id="waitlistDeposit"
+              type="number"
+              placeholder="Defaults to the quoted price"
+              value={payment}
+              onChange={(e) => setPayment(e.target.value)}
+            />
+          </div>
+        )}
+        <div className="flex items-end gap-3">
+          <button className="btn" onClick={join} disabled={busy}>
+            Join Waitlist
+          </button>
+          <button className="btn btn-secondary" onClick={() => spotId && leave(Number(spotId))} disabled={busy}>
+            Leave
+          </button>
+        </div>
+      </div>
+
+      {status && <div className={`status status-${status.type}`}>{status.message}</div>}
+    </div>
+  );
+}
@@ -1,38 +1,10 @@
-export const CONTRACT_ABI = [
-  // Basic functions
-  "function owner() view returns (address)",
-  "function totalSpots() view returns (uint32)",
-  "function reservationCounter() view returns (uint32)",
+import { CONTRACTS } from './contracts';
 
-  // User management
-  "function registerUser(uint32 _userId, uint16 _creditScore)",
-  "function userProfiles(address) view returns (tuple(uint32, uint16, bool, uint256, uint256))",
+// ABIs and deployment addresses are generated from compiled artifacts by `npm run abi:generate`
+export { CONTRACTS };
 
-  // Parking spot management
-  "function addParkingSpot(uint16 _price, string _location)",
-  "function checkSpotAvailability(uint32 spotId) returns (bool)",
-  "function getSpotInfo(uint32 spotId) view returns (string, bool, uint256)",
+/** Force a contract variant; by default whichever contract is deployed on the connected chain is used */
+export const CONTRACT_NAME: string | undefined = import.meta.env.VITE_CONTRACT_NAME || undefined;
 
-  // Reservation management
-  "function reserveSpot(uint32 spotId, uint256 duration, uint16 paymentAmount)",
-  "function completeReservation(uint256 reservationId)",
-  "function cancelReservation(uint256 reservationId)",
-  "function getUserReservations(address user) view returns (uint256[])",
-  "function getReservationInfo(uint256 reservationId) view returns (uint32, uint256, uint256, bool)",
-
-  // Query functions
-  "function getStatistics() view returns (uint32, uint256, uint256)",
-  "function verifyUserIdentity(address user, uint32 providedUserId) returns (bool)",
-
-  // Admin functions
-  "function updateSpotPrice(uint32 spotId, uint16 newPrice)",
-  "function setSpotMaintenance(uint32 spotId, bool inMaintenance)",
-  "function emergencyReleaseSpot(uint32 spotId)",
-
-  // Events
-  "event UserRegistered(address indexed user)",
-  "event SpotAdded(uint32 indexed spotId, string location)",
-  "event ReservationCreated(uint256 indexed reservationId, uint32 indexed spotId, address indexed user)",
-  "event ReservationCompleted(uint256 indexed reservationId, uint32 indexed spotId)",
-  "event ReservationCancelled(uint256 indexed reservationId, uint32 indexed spotId)"
-];
+/** Address override for deployments not in the generated list (requires VITE_CONTRACT_NAME) */
+export const CONTRACT_ADDRESS: string | undefined = import.meta.env.VITE_CONTRACT_ADDRESS || undefined;
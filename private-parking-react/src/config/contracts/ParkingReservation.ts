@@ -0,0 +1,122 @@
+// Auto-generated by scripts/generate-abi.js - do not edit by hand.
+import type { ContractDescription } from './types';
+
+const contract: ContractDescription = {
+  "contractName": "ParkingReservation",
+  "abi": [
+    "constructor()",
+    "event CancellationPolicyUpdated(uint32 freeNotice, uint8 feePercent)",
+    "event EarlyCheckOut(uint256 indexed reservationId, uint256 refund)",
+    "event KeeperUpdated(address indexed keeper, bool status)",
+    "event LotFeeShareUpdated(uint32 indexed lotId, uint8 feeShare)",
+    "event LotPricingRuleUpdated(uint32 indexed lotId, bool enabled)",
+    "event LotRegistered(uint32 indexed lotId, address indexed operator, string name)",
+    "event LotRevenueWithdrawn(uint32 indexed lotId, address indexed to, uint256 amount)",
+    "event LotSpotAdded(uint32 indexed lotId, uint256 indexed spotId)",
+    "event OperatorUpdated(address indexed operator, bool status)",
+    "event OverstayMarked(uint256 indexed reservationId, address indexed user, uint256 overstayHours, uint256 penalty)",
+    "event OverstaysCleared(address indexed user)",
+    "event ParkingSpotAdded(uint256 indexed spotId, string location, uint256 pricePerHour)",
+    "event PaymentCredited(address indexed account, uint256 amount)",
+    "event PaymentTokenUpdated(address indexed token)",
+    "event PenaltyPaid(address indexed user, uint256 amount)",
+    "event PlatformFeesWithdrawn(address indexed to, uint256 amount)",
+    "event ReservationCancelled(uint256 indexed reservationId, uint256 refund)",
+    "event ReservationCompleted(uint256 indexed reservationId)",
+    "event ReservationCreated(uint256 indexed reservationId, address indexed user, uint256 spotId)",
+    "event ReservationExtended(uint256 indexed reservationId, uint256 newEndTime)",
+    "event SpotPriceUpdated(uint256 indexed spotId, uint256 pricePerHour)",
+    "event SpotPricingRuleUpdated(uint256 indexed spotId, bool enabled)",
+    "event UserRegistered(address indexed user, uint32 userId, uint16 creditScore)",
+    "event WaitlistJoined(uint256 indexed spotId, address indexed user, uint256 deposit)",
+    "event WaitlistLeft(uint256 indexed spotId, address indexed user, uint256 refund)",
+    "event WaitlistOfferClaimed(uint256 indexed spotId, address indexed user, uint256 reservationId)",
+    "event WaitlistOfferExpired(uint256 indexed spotId, address indexed user)",
+    "event WaitlistOffered(uint256 indexed spotId, address indexed user, uint256 expiresAt)",
+    "event Withdrawal(address indexed account, uint256 amount)",
+    "function MAX_ADVANCE_BOOKING() view returns (uint256)",
+    "function MAX_CANCELLATION_NOTICE() view returns (uint256)",
+    "function MAX_OVERSTAYS() view returns (uint8)",
+    "function MAX_PAGE_SIZE() view returns (uint256)",
+    "function MAX_PRICE_PERCENT() view returns (uint16)",
+    "function MAX_SPOTS_PER_BATCH() view returns (uint256)",
+    "function MAX_WAITLIST_LENGTH() view returns (uint256)",
+    "function MIN_FEE_SHARE() view returns (uint8)",
+    "function OVERSTAY_GRACE_PERIOD() view returns (uint256)",
+    "function OVERSTAY_PENALTY_PERCENT() view returns (uint256)",
+    "function PLATFORM_FEE_PERCENT() view returns (uint256)",
+    "function WAITLIST_CLAIM_WINDOW() view returns (uint256)",
+    "function addLotSpot(uint32 lotId, string location, uint256 pricePerHour)",
+    "function addParkingSpot(string location, uint256 pricePerHour)",
+    "function addParkingSpots(uint32 lotId, string[] locations, uint256[] pricesPerHour)",
+    "function cancelReservation(uint256 reservationId)",
+    "function cancellationPolicy() view returns (uint32 freeNotice, uint8 feePercent)",
+    "function checkOutEarly(uint256 reservationId)",
+    "function claimWaitlistOffer(uint256 spotId)",
+    "function clearOverstays(address user)",
+    "function completeReservation(uint256 reservationId)",
+    "function expireWaitlistOffer(uint256 spotId)",
+    "function extendReservation(uint256 reservationId, uint256 extraHours) payable",
+    "function getActiveReservations(uint256 offset, uint256 limit) view returns ((uint256 reservationId, (address user, uint256 spotId, uint256 startTime, uint256 endTime, uint256 totalPrice, bool isCompleted, bool isCancelled) reservation)[] page, uint256 total)",
+    "function getRegisteredUsersPage(uint256 offset, uint256 limit) view returns ((address account, (uint32 userId, uint16 creditScore, bool isRegistered, uint256 registrationTime) user)[] page, uint256 total)",
+    "function getSpotBookings(uint256 spotId) view returns (uint256[] reservationIds, uint256[] startTimes, uint256[] endTimes)",
+    "function getSpotsPage(uint256 offset, uint256 limit) view returns ((uint256 spotId, uint32 lotId, (string location, uint256 pricePerHour, bool isAvailable, address spotOwner) spot)[] page, uint256 total)",
+    "function getStatistics() view returns (uint32 _totalSpots, uint32 _totalReservations, uint256 _timestamp)",
+    "function getUserInfo(address userAddress) view returns (uint32 userId, uint16 creditScore, bool isRegistered)",
+    "function getUserReservationsPage(address user, uint256 offset, uint256 limit) view returns ((uint256 reservationId, (address user, uint256 spotId, uint256 startTime, uint256 endTime, uint256 totalPrice, bool isCompleted, bool isCancelled) reservation)[] page, uint256 total)",
+    "function getWaitlist(uint256 spotId) view returns (address[] waiting)",
+    "function isSpotAvailable(uint256 spotId) view returns (bool available)",
+    "function joinWaitlist(uint256 spotId, uint32 durationHours) payable",
+    "function keepers(address) view returns (bool)",
+    "function leaveWaitlist(uint256 spotId)",
+    "function lotOccupancy(uint32) view returns (uint32 spots, uint32 occupied)",
+    "function lotPricingRules(uint32) view returns (bool enabled, uint8 peakStartHour, uint8 peakEndHour, uint16 peakPercent, uint16 weekendPercent, uint8 surgeOccupancy, uint16 surgePercent, uint256 maxPrice)",
+    "function makeReservation(uint256 spotId, uint256 durationHours) payable",
+    "function makeReservationAt(uint256 spotId, uint256 startTime, uint256 durationHours) payable",
+    "function makeReservationWithPermit(uint256 spotId, uint256 startTime, uint256 durationHours, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+    "function markOverstay(uint256 reservationId)",
+    "function operators(address) view returns (bool)",
+    "function outstandingPenalties(address) view returns (uint256)",
+    "function overstayCounts(address) view returns (uint8)",
+    "function owner() view returns (address)",
+    "function parkingLots(uint32) view returns (address operator, uint8 feeShare, uint256 revenue, string name)",
+    "function parkingSpots(uint256) view returns (string location, uint256 pricePerHour, bool isAvailable, address spotOwner)",
+    "function payPenalty() payable",
+    "function paymentToken() view returns (address)",
+    "function pendingWithdrawals(address) view returns (uint256)",
+    "function platformFees() view returns (uint256)",
+    "function quotePrice(uint256 spotId, uint256 startTime, uint256 durationHours) view returns (uint256 totalPrice)",
+    "function registerLot(string name, uint8 feeShare) returns (uint32 lotId)",
+    "function registerUser(uint32 userId, uint16 creditScore)",
+    "function reservationCounter() view returns (uint32)",
+    "function reservations(uint256) view returns (address user, uint256 spotId, uint256 startTime, uint256 endTime, uint256 totalPrice, bool isCompleted, bool isCancelled)",
+    "function setCancellationPolicy(uint32 freeNotice, uint8 feePercent)",
+    "function setKeeper(address keeper, bool status)",
+    "function setLotFeeShare(uint32 lotId, uint8 feeShare)",
+    "function setLotPricingRule(uint32 lotId, (bool enabled, uint8 peakStartHour, uint8 peakEndHour, uint16 peakPercent, uint16 weekendPercent, uint8 surgeOccupancy, uint16 surgePercent, uint256 maxPrice) rule)",
+    "function setOperator(address operator, bool status)",
+    "function setPaymentToken(address token)",
+    "function setSpotPricingRule(uint256 spotId, (bool enabled, uint8 peakStartHour, uint8 peakEndHour, uint16 peakPercent, uint16 weekendPercent, uint8 surgeOccupancy, uint16 surgePercent, uint256 maxPrice) rule)",
+    "function spotLots(uint256) view returns (uint32)",
+    "function spotPricingRules(uint256) view returns (bool enabled, uint8 peakStartHour, uint8 peakEndHour, uint16 peakPercent, uint16 weekendPercent, uint8 surgeOccupancy, uint16 surgePercent, uint256 maxPrice)",
+    "function totalEscrowed() view returns (uint256)",
+    "function totalLots() view returns (uint32)",
+    "function totalSpots() view returns (uint32)",
+    "function updateSpotPrice(uint256 spotId, uint256 pricePerHour)",
+    "function users(address) view returns (uint32 userId, uint16 creditScore, bool isRegistered, uint256 registrationTime)",
+    "function waitlistEntries(uint256, address) view returns (uint32 position, uint32 durationHours, uint256 deposit)",
+    "function waitlistOffers(uint256) view returns (address user, uint256 expiresAt)",
+    "function withdraw()",
+    "function withdrawLotRevenue(uint32 lotId, address to)",
+    "function withdrawPlatformFees(address to)"
+  ],
+  "deployments": {
+    "sepolia": {
+      "address": "0x78257622318fC85f2a9c909DD7aF9d0142cd90ce",
+      "chainId": 11155111,
+      "blockNumber": 9472844
+    }
+  }
+};
+
+export default contract;
@@ -0,0 +1,11 @@
+// Auto-generated by scripts/generate-abi.js - do not edit by hand.
+import ParkingReservation from './ParkingReservation';
+import PrivateParkingReservation from './PrivateParkingReservation';
+import type { ContractDescription } from './types';
+
+export type { ContractDescription, ContractDeployment } from './types';
+
+export const CONTRACTS: Record<string, ContractDescription> = {
+  ParkingReservation,
+  PrivateParkingReservation,
+};
@@ -0,0 +1,11 @@
+export interface ContractDeployment {
+  address: string;
+  chainId: number;
+  blockNumber?: number;
+}
+
+export interface ContractDescription {
+  contractName: string;
+  abi: string[];
+  deployments: Record<string, ContractDeployment>;
+}
@@ -0,0 +1,16 @@
+import { createInstance, initSDK, SepoliaConfig, type FhevmInstance } from '@zama-fhe/relayer-sdk/web';
+
+let instance: Promise<FhevmInstance> | null = null;
+
+/** Relayer SDK instance for encrypted inputs, created on first use since initSDK loads the WASM modules */
+export function getFheInstance(): Promise<FhevmInstance> {
+  if (!instance) {
+    instance = initSDK()
+      .then(() => createInstance({ ...SepoliaConfig, network: window.ethereum }))
+      .catch((error) => {
+        instance = null;
+        throw error;
+      });
+  }
+  return instance;
+}
@@ -0,0 +1,84 @@
+import { createContext, useContext, useState, useEffect, useRef, useCallback, ReactNode } from 'react';
+import { ReservationLifecycle, ReservationTracker } from '../adapters';
+import { useWallet } from './WalletContext';
+
+interface ReservationTrackerContextType {
+  /** Latest known lifecycle per reservation ID */
+  lifecycles: Record<number, ReservationLifecycle>;
+  /** Most recent stage change reported by the tracker */
+  lastUpdate: ReservationLifecycle | null;
+  track: (reservationId: number) => Promise<ReservationLifecycle | null>;
+  claimTimeoutRefund: (reservationId: number) => Promise<ReservationLifecycle>;
+}
+
+const ReservationTrackerContext = createContext<ReservationTrackerContextType | undefined>(undefined);
+
+export function ReservationTrackerProvider({ children }: { children: ReactNode }) {
+  const { adapter } = useWallet();
+  const trackerRef = useRef<ReservationTracker | null>(null);
+  const [lifecycles, setLifecycles] = useState<Record<number, ReservationLifecycle>>({});
+  const [lastUpdate, setLastUpdate] = useState<ReservationLifecycle | null>(null);
+
+  const remember = useCallback((lifecycle: ReservationLifecycle) => {
+    setLifecycles((previous) => ({ ...previous, [lifecycle.reservationId]: lifecycle }));
+  }, []);
+
+  // Only the gateway callback flow has anything to follow
+  useEffect(() => {
+    setLifecycles({});
+    setLastUpdate(null);
+
+    if (!adapter || !adapter.capabilities.gatewayCallback) {
+      trackerRef.current = null;
+      return;
+    }
+
+    const tracker = new ReservationTracker(adapter, {
+      onUpdate: (lifecycle) => {
+        remember(lifecycle);
+        setLastUpdate(lifecycle);
+      },
+    });
+    trackerRef.current = tracker;
+
+    return () => tracker.stop();
+  }, [adapter, remember]);
+
+  const track = useCallback(
+    async (reservationId: number) => {
+      if (!trackerRef.current) {
+        return null;
+      }
+      const lifecycle = await trackerRef.current.track(reservationId);
+      remember(lifecycle);
+      return lifecycle;
+    },
+    [remember]
+  );
+
+  const claimTimeoutRefund = useCallback(
+    async (reservationId: number) => {
+      if (!trackerRef.current) {
+        throw new Error('Timeout refunds are not supported by this contract');
+      }
+      const lifecycle = await trackerRef.current.claimTimeoutRefund(reservationId);
+      remember(lifecycle);
+      return lifecycle;
+    },
+    [remember]
+  );
+
+  return (
+    <ReservationTrackerContext.Provider value={{ lifecycles, lastUpdate, track, claimTimeoutRefund }}>
+      {children}
+    </ReservationTrackerContext.Provider>
+  );
+}
+
+export function useReservationTracker() {
+  const context = useContext(ReservationTrackerContext);
+  if (context === undefined) {
+    throw new Error('useReservationTracker must be used within ReservationTrackerProvider');
+  }
+  return context;
+}
@@ -1,11 +1,14 @@
 import { createContext, useContext, useState, useEffect, ReactNode } from 'react';
 import { BrowserProvider, Contract, Signer } from 'ethers';
-import { CONTRACT_ABI } from '../config/contract';
+import { CONTRACTS, CONTRACT_ADDRESS, CONTRACT_NAME } from '../config/contract';
+import { getFheInstance } from '../config/fhe';
+import { createParkingAdapter, ParkingAdapter } from '../adapters';
 
 interface WalletContextType {
   provider: BrowserProvider | null;
   signer: Signer | null;
   contract: Contract | null;
+  adapter: ParkingAdapter | null;
   userAddress: string | null;
   chainId: number | null;
   isConnected: boolean;
@@ -18,7 +21,7 @@ const WalletContext = createContext<WalletContextType | undefined>(undefined);
 export function WalletProvider({ children }: { children: ReactNode }) {
   const [provider, setProvider] = useState<BrowserProvider | null>(null);
   const [signer, setSigner] = useState<Signer | null>(null);
-  const [contract, setContract] = useState<Contract | null>(null);
+  const [adapter, setAdapter] = useState<ParkingAdapter | null>(null);
   const [userAddress, setUserAddress] = useState<string | null>(null);
   const [chainId, setChainId] = useState<number | null>(null);
   const [isConnected, setIsConnected] = useState(false);
@@ -42,11 +45,22 @@ export function WalletProvider({ children }: { children: ReactNode }) {
       setChainId(Number(network.chainId));
       setIsConnected(true);
 
-      const contractAddress = import.meta.env.VITE_CONTRACT_ADDRESS;
-      if (contractAddress) {
-        const contractInstance = new Contract(contractAddress, CONTRACT_ABI, browserSigner);
-        setContract(contractInstance);
+      // Adapter for whichever contract variant is deployed on this chain
+      const parkingAdapter = createParkingAdapter({
+        contracts: CONTRACTS,
+        chainId: Number(network.chainId),
+        runner: browserSigner,
+        contractName: CONTRACT_NAME,
+        address: CONTRACT_ADDRESS,
+        fhe: getFheInstance,
+      });
+      if (!parkingAdapter) {
+        console.warn(`No parking contract deployment for chain ${network.chainId}`);
+      } else {
+        // Prices and amounts are parsed and formatted in the payment token from here on
+        await parkingAdapter.loadPaymentToken();
       }
+      setAdapter(parkingAdapter);
     } catch (error) {
       console.error('Failed to connect wallet:', error);
     }
@@ -55,7 +69,7 @@ export function WalletProvider({ children }: { children: ReactNode }) {
   const disconnectWallet = () => {
     setProvider(null);
     setSigner(null);
-    setContract(null);
+    setAdapter(null);
     setUserAddress(null);
     setChainId(null);
     setIsConnected(false);
@@ -82,7 +96,8 @@ export function WalletProvider({ children }: { children: ReactNode }) {
       value={{
         provider,
         signer,
-        contract,
+        contract: adapter ? adapter.contract : null,
+        adapter,
         userAddress,
         chainId,
         isConnected,
@@ -0,0 +1,291 @@
+// Shared helpers for the contract adapters.
+// Loaded as a plain <script> in the browser (window.ParkingAdapters.utils) and via require() in Node.
+// Only version-neutral ethers APIs are used so the same code runs on ethers v5 (browser) and v6 (Hardhat).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ParkingAdapters = root.ParkingAdapters || {};
+        root.ParkingAdapters.utils = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Mirrors PrivateParkingReservation.ReservationStatus
+    const RESERVATION_STATUS = ['Pending', 'Active', 'Completed', 'Cancelled', 'Refunded'];
+
+    class UnsupportedOperationError extends Error {
+        constructor(contractName, operation) {
+            super(`${operation} is not supported by ${contractName}`);
+            this.name = 'UnsupportedOperationError';
+            this.contractName = contractName;
+            this.operation = operation;
+        }
+    }
+
+    // BigNumber (v5) and bigint (v6) both stringify to a decimal integer
+    function toBigInt(value) {
+        return BigInt(value.toString());
+    }
+
+    function toNumber(value) {
+        return Number(value.toString());
+    }
+
+    /**
+     * Parse a decimal string (e.g. "0.01") into base units
+     * @param {string} value - Decimal amount
+     * @param {number} decimals - Number of decimals of the unit
+     * @returns {bigint} Amount in base units
+     */
+    function parseUnits(value, decimals = 18) {
+        const [whole, fraction = ''] = String(value).trim().split('.');
+        if (!/^\d*$/.test(whole) || !/^\d*$/.test(fraction) || fraction.length > decimals) {
+            throw new Error(`Invalid amount: ${value}`);
+        }
+        return BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+    }
+
+    /**
+     * Format base units as a decimal string
+     * @param {bigint} value - Amount in base units
+     * @param {number} decimals - Number of decimals of the unit
+     * @returns {string} Decimal amount without trailing zeros
+     */
+    function formatUnits(value, decimals = 18) {
+        const base = 10n ** BigInt(decimals);
+        const amount = toBigInt(value);
+        const fraction = (amount % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+        return fraction ? `${amount / base}.${fraction}` : `${amount / base}`;
+    }
+
+    /**
+     * Send a contract transaction and collect the events it emitted
+     * @param {object} contract - ethers Contract
+     * @param {Promise<object>} txPromise - Pending contract call
+     * @returns {Promise<{tx: object, receipt: object, events: object[]}>} Transaction, receipt and parsed events
+     */
+    async function sendTransaction(contract, txPromise) {
+        const tx = await txPromise;
+        const receipt = await tx.wait();
+        return { tx, receipt, events: parseLogs(contract, receipt.logs) };
+    }
+
+    /**
+     * Parse the logs of a receipt that the contract emitted
+     * @param {object} contract - ethers Contract
+     * @param {object[]} logs - Receipt logs
+     * @returns {object[]} Parsed events, logs of other contracts left out
+     */
+    function parseLogs(contract, logs) {
+        return logs
+            .map((log) => {
+                try {
+                    return contract.interface.parseLog(log);
+                } catch (error) {
+                    return null; // Log emitted by another contract (v5 throws, v6 returns null)
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Convert the (reservationIds, startTimes, endTimes) tuple returned by getSpotBookings
+     * @param {object} result - Contract call result
+     * @returns {object[]} { reservationId, startTime, endTime } ordered by start time
+     */
+    function parseBookings(result) {
+        const [reservationIds, startTimes, endTimes] = result;
+        return Array.from(reservationIds, (id, i) => ({
+            reservationId: toNumber(id),
+            startTime: toNumber(startTimes[i]),
+            endTime: toNumber(endTimes[i]),
+        })).sort((a, b) => a.startTime - b.startTime);
+    }
+
+    /**
+     * Encrypt values client-side for a contract call, bound to the contract and the connected account
+     * @param {object|Function} fhe - FHE instance (relayer-sdk createInstance, or hre.fhevm in Hardhat),
+     *   or a function resolving to one so the SDK is only loaded when needed
+     * @param {object} contract - ethers Contract with a signer
+     * @param {Array<[string, number|bigint|boolean]>} values - [method, value] pairs, e.g. ['add32', 42]
+     * @returns {Promise<{handles: Uint8Array[], inputProof: Uint8Array}>} One handle per value and the proof covering them
+     */
+    async function encryptInputs(fhe, contract, values) {
+        const instance = await resolveFhe(fhe, 'Encrypting inputs');
+        const signer = contract.signer || contract.runner;
+        const input = instance.createEncryptedInput(contract.address || contract.target, await signer.getAddress());
+        values.forEach(([method, value]) => input[method](value));
+        return input.encrypt();
+    }
+
+    // Days a user decryption signature stays valid
+    const DECRYPTION_VALIDITY_DAYS = 1;
+
+    /**
+     * Decrypt handles the connected account is allowed to read (FHE.allow), the relayer-sdk way: sign an EIP-712
+     * request for a fresh keypair, then let the relayer reencrypt the values for it
+     * @param {object|Function} fhe - FHE instance or a function resolving to one, as for encryptInputs
+     * @param {object} contract - ethers Contract with a signer; must also be allowed on the handles
+     * @param {string[]} handles - bytes32 handles
+     * @param {object} [session] - Object kept by the caller to reuse the signed keypair until it expires
+     * @returns {Promise<Array<bigint|boolean|string>>} Cleartext values in the order of handles
+     */
+    async function userDecrypt(fhe, contract, handles, session = {}) {
+        const instance = await resolveFhe(fhe, 'Decrypting results');
+        const signer = contract.signer || contract.runner;
+        const userAddress = await signer.getAddress();
+        const contractAddress = contract.address || contract.target;
+        const now = Math.floor(Date.now() / 1000);
+
+        let key = session.key;
+        if (!key || key.userAddress !== userAddress || key.expiresAt <= now) {
+            const { publicKey, privateKey } = instance.generateKeypair();
+            const eip712 = instance.createEIP712(publicKey, [contractAddress], now, DECRYPTION_VALIDITY_DAYS);
+            const signature = await signer.signTypedData(
+                eip712.domain,
+                { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+                eip712.message
+            );
+            key = {
+                userAddress,
+                publicKey,
+                privateKey,
+                signature: signature.replace('0x', ''),
+                startTimestamp: now,
+                expiresAt: now + DECRYPTION_VALIDITY_DAYS * 86400,
+            };
+            session.key = key;
+        }
+
+        const results = await instance.userDecrypt(
+            handles.map((handle) => ({ handle, contractAddress })),
+            key.privateKey,
+            key.publicKey,
+            key.signature,
+            [contractAddress],
+            userAddress,
+            key.startTimestamp,
+            DECRYPTION_VALIDITY_DAYS
+        );
+        return handles.map((handle) => results[handle]);
+    }
+
+    async function resolveFhe(fhe, action) {
+        const instance = typeof fhe === 'function' ? await fhe() : fhe;
+        if (!instance) {
+            throw new Error(`${action} needs an FHE instance: pass \`fhe\` to createParkingAdapter`);
+        }
+        return instance;
+    }
+
+    // ERC-20 calls the adapters make on a payment token, as a human-readable ABI both ethers versions parse
+    const ERC20_PERMIT_ABI = [
+        'function symbol() view returns (string)',
+        'function decimals() view returns (uint8)',
+        'function balanceOf(address account) view returns (uint256)',
+        'function allowance(address owner, address spender) view returns (uint256)',
+        'function approve(address spender, uint256 value) returns (bool)',
+        'function name() view returns (string)',
+        'function nonces(address owner) view returns (uint256)',
+    ];
+
+    /**
+     * Sign an EIP-2612 permit letting spender pull value tokens from the signer until deadline
+     * @param {object} token - ethers Contract of the token with a signer (ERC20_PERMIT_ABI)
+     * @param {string} spender - Address allowed to spend
+     * @param {bigint} value - Allowance granted
+     * @param {number} deadline - Unix timestamp after which the permit is rejected
+     * @returns {Promise<{v: number, r: string, s: string}>} Signature split for the contract call
+     */
+    async function signPermit(token, spender, value, deadline) {
+        const signer = token.signer || token.runner;
+        const owner = await signer.getAddress();
+        const provider = signer.provider;
+        const [name, nonce, network] = await Promise.all([token.name(), token.nonces(owner), provider.getNetwork()]);
+
+        const signature = await signer.signTypedData(
+            {
+                name,
+                version: '1',
+                chainId: toNumber(network.chainId),
+                verifyingContract: token.address || token.target,
+            },
+            {
+                Permit: [
+                    { name: 'owner', type: 'address' },
+                    { name: 'spender', type: 'address' },
+                    { name: 'value', type: 'uint256' },
+                    { name: 'nonce', type: 'uint256' },
+                    { name: 'deadline', type: 'uint256' },
+                ],
+            },
+            { owner, spender, value: value.toString(), nonce: nonce.toString(), deadline }
+        );
+
+        // 65-byte r || s || v; split by hand as the helpers differ between ethers versions
+        const v = parseInt(signature.slice(130, 132), 16);
+        return { v: v < 27 ? v + 27 : v, r: `0x${signature.slice(2, 66)}`, s: `0x${signature.slice(66, 130)}` };
+    }
+
+    function findEvent(events, name) {
+        return events.find((event) => event.name === name) || null;
+    }
+
+    // Timeouts are measured against block time, not the local clock
+    async function getBlockTimestamp(contract) {
+        const provider = contract.provider || (contract.runner && contract.runner.provider);
+        const block = await provider.getBlock('latest');
+        return toNumber(block.timestamp);
+    }
+
+    const PRICING_RULE_FIELDS = [
+        'peakStartHour',
+        'peakEndHour',
+        'peakPercent',
+        'weekendPercent',
+        'surgeOccupancy',
+        'surgePercent',
+    ];
+
+    // PricingRule of either contract, read from spotPricingRules or lotPricingRules
+    function parsePricingRule(rule) {
+        const parsed = { enabled: rule.enabled, maxPrice: toBigInt(rule.maxPrice) };
+        PRICING_RULE_FIELDS.forEach((field) => {
+            parsed[field] = toNumber(rule[field]);
+        });
+        return parsed;
+    }
+
+    // Missing percentages default to 100 (the base price), so a rule can set only what it changes
+    function toPricingRuleInput(rule) {
+        return {
+            enabled: rule.enabled !== false,
+            peakStartHour: rule.peakStartHour || 0,
+            peakEndHour: rule.peakEndHour || 0,
+            peakPercent: rule.peakPercent || 100,
+            weekendPercent: rule.weekendPercent || 100,
+            surgeOccupancy: rule.surgeOccupancy || 0,
+            surgePercent: rule.surgePercent || 100,
+            maxPrice: (rule.maxPrice || 0n).toString(),
+        };
+    }
+
+    return {
+        RESERVATION_STATUS,
+        UnsupportedOperationError,
+        toBigInt,
+        toNumber,
+        parseUnits,
+        formatUnits,
+        sendTransaction,
+        parseLogs,
+        findEvent,
+        parseBookings,
+        ERC20_PERMIT_ABI,
+        signPermit,
+        encryptInputs,
+        userDecrypt,
+        getBlockTimestamp,
+        parsePricingRule,
+        toPricingRuleInput,
+    };
+});
@@ -0,0 +1,98 @@
+// Reads many contract views in a few requests through Multicall3, or one call each where it is not deployed.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ParkingAdapters = root.ParkingAdapters || {};
+        root.ParkingAdapters.batchReader = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Same address on Sepolia, mainnet and most other chains; deploy/03_deploy_multicall.js puts it there on
+    // Hardhat and localhost
+    const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+    // aggregate3 is payable on-chain; declared as a view so ethers v5 and v6 eth_call it instead of sending it
+    const MULTICALL3_ABI = [
+        'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) view returns (tuple(bool success, bytes returnData)[] returnData)',
+    ];
+    // Calls per eth_call, well below the gas and response size limits of public nodes
+    const DEFAULT_MAX_CALLS = 100;
+
+    // Like a direct call: single-output functions return the value itself
+    function unwrap(result) {
+        return result.length === 1 ? result[0] : result;
+    }
+
+    function addressOf(contract) {
+        return contract.target || contract.address;
+    }
+
+    class BatchReader {
+        /**
+         * @param {object|null} multicall - ethers Contract (v5 or v6) bound to Multicall3; null calls each view
+         *   directly
+         * @param {object} options - { maxCalls } calls per aggregate3 request
+         */
+        constructor(multicall, options = {}) {
+            this.multicall = multicall;
+            this.maxCalls = options.maxCalls || DEFAULT_MAX_CALLS;
+            this._available = null;
+        }
+
+        // Whether Multicall3 has code on the connected chain; checked once
+        isAvailable() {
+            if (!this.multicall) return Promise.resolve(false);
+            if (!this._available) {
+                const runner = this.multicall.runner || this.multicall.signer || this.multicall.provider;
+                const provider = runner.provider || runner;
+                this._available = provider.getCode(addressOf(this.multicall)).then((code) => code !== '0x');
+            }
+            return this._available;
+        }
+
+        /**
+         * Read contract views, maxCalls per request. A reverting view fails the whole read, as with Promise.all.
+         * @param {object[]} calls - { contract, method, args } ethers Contract, function name and arguments
+         * @returns {Promise<Array>} Results in call order, shaped like the results of direct calls
+         */
+        async read(calls) {
+            if (calls.length === 0) return [];
+            if (!(await this.isAvailable())) {
+                return Promise.all(calls.map(({ contract, method, args = [] }) => contract[method](...args)));
+            }
+
+            const chunks = Array.from({ length: Math.ceil(calls.length / this.maxCalls) }, (_, i) =>
+                calls.slice(i * this.maxCalls, (i + 1) * this.maxCalls)
+            );
+            const results = await Promise.all(chunks.map((chunk) => this._aggregate(chunk)));
+            return results.flat();
+        }
+
+        async _aggregate(calls) {
+            const returnData = await this.multicall.aggregate3(
+                calls.map(({ contract, method, args = [] }) => ({
+                    target: addressOf(contract),
+                    allowFailure: false,
+                    callData: contract.interface.encodeFunctionData(method, args),
+                }))
+            );
+            return returnData.map((result, i) =>
+                unwrap(calls[i].contract.interface.decodeFunctionResult(calls[i].method, result.returnData))
+            );
+        }
+    }
+
+    /**
+     * Create a reader going through the Multicall3 deployment of the connected chain
+     * @param {object} ethers - ethers library (v5 or v6)
+     * @param {object} runner - Signer or provider
+     * @param {object} options - { address, maxCalls } address defaults to MULTICALL3_ADDRESS; null reads directly
+     * @returns {BatchReader}
+     */
+    function createBatchReader(ethers, runner, options = {}) {
+        const address = options.address === undefined ? MULTICALL3_ADDRESS : options.address;
+        const multicall = address ? new ethers.Contract(address, MULTICALL3_ABI, runner) : null;
+        return new BatchReader(multicall, options);
+    }
+
+    return { MULTICALL3_ADDRESS, MULTICALL3_ABI, BatchReader, createBatchReader };
+});
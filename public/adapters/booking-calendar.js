@@ -0,0 +1,103 @@
+// Time-window helpers for booking ahead: conflict checks, date/time picker values and the per-spot calendar.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ParkingAdapters = root.ParkingAdapters || {};
+        root.ParkingAdapters.bookingCalendar = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SECONDS_PER_DAY = 86400;
+
+    const pad = (value) => String(value).padStart(2, '0');
+
+    /**
+     * First booking whose window overlaps [startTime, endTime), mirroring the contracts' check
+     * @param {object[]} bookings - Bookings returned by adapter.getBookings
+     * @param {number} startTime - Unix timestamp in seconds
+     * @param {number} endTime - Unix timestamp in seconds
+     * @returns {object|null} Conflicting booking
+     */
+    function findConflict(bookings, startTime, endTime) {
+        return bookings.find((booking) => startTime < booking.endTime && booking.startTime < endTime) || null;
+    }
+
+    /**
+     * Read the values of a date and a time picker as local time
+     * @param {string} date - "YYYY-MM-DD"
+     * @param {string} time - "HH:MM"
+     * @returns {number} Unix timestamp in seconds
+     */
+    function parseDateTime(date, time) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+        const clock = /^(\d{2}):(\d{2})$/.exec(time || '');
+        if (!match || !clock) {
+            throw new Error(`Invalid start time: ${date} ${time}`);
+        }
+        const [, year, month, day] = match.map(Number);
+        const [, hours, minutes] = clock.map(Number);
+        return Math.floor(new Date(year, month - 1, day, hours, minutes).getTime() / 1000);
+    }
+
+    // Picker values ("YYYY-MM-DD", "HH:MM") for a unix timestamp, in local time
+    function toDateInput(timestamp) {
+        const date = new Date(timestamp * 1000);
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    function toTimeInput(timestamp) {
+        const date = new Date(timestamp * 1000);
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    // Local midnight of the day containing timestamp
+    function startOfDay(timestamp) {
+        const date = new Date(timestamp * 1000);
+        date.setHours(0, 0, 0, 0);
+        return Math.floor(date.getTime() / 1000);
+    }
+
+    /**
+     * Split bookings into calendar days
+     * @param {object[]} bookings - Bookings returned by adapter.getBookings
+     * @param {object} [options] - { from, days } from is a unix timestamp (default: now), days defaults to 7
+     * @returns {object[]} { start, end, slots } per day; each slot is the part of a booking that falls on the day,
+     *   with offset and width as percentages of the day for drawing
+     */
+    function calendarDays(bookings, options = {}) {
+        const { from = Math.floor(Date.now() / 1000), days = 7 } = options;
+        const first = startOfDay(from);
+
+        return Array.from({ length: days }, (_, i) => {
+            // Derive each midnight from the date so DST changes do not shift the grid
+            const start = startOfDay(first + i * SECONDS_PER_DAY + SECONDS_PER_DAY / 2);
+            const end = startOfDay(start + SECONDS_PER_DAY + SECONDS_PER_DAY / 2);
+            const slots = bookings
+                .filter((booking) => booking.startTime < end && booking.endTime > start)
+                .map((booking) => {
+                    const slotStart = Math.max(booking.startTime, start);
+                    const slotEnd = Math.min(booking.endTime, end);
+                    return {
+                        ...booking,
+                        offset: ((slotStart - start) / (end - start)) * 100,
+                        width: ((slotEnd - slotStart) / (end - start)) * 100,
+                    };
+                });
+            return { start, end, slots };
+        });
+    }
+
+    /**
+     * Format a booked window for display
+     * @param {object} booking - { startTime, endTime }
+     * @returns {string} e.g. "2026-10-20 09:00 – 11:00" or "2026-10-20 22:00 – 2026-10-21 02:00"
+     */
+    function formatWindow(booking) {
+        const startDay = toDateInput(booking.startTime);
+        const endDay = toDateInput(booking.endTime);
+        const end = endDay === startDay ? toTimeInput(booking.endTime) : `${endDay} ${toTimeInput(booking.endTime)}`;
+        return `${startDay} ${toTimeInput(booking.startTime)} – ${end}`;
+    }
+
+    return { findConflict, parseDateTime, toDateInput, toTimeInput, calendarDays, formatWindow };
+});
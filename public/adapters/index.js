@@ -0,0 +1,108 @@
+// Picks the adapter matching whichever contract is deployed on the connected chain.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./parking-reservation-adapter'),
+            require('./private-parking-reservation-adapter'),
+            require('./reservation-tracker'),
+            require('./spot-catalog'),
+            require('./booking-calendar'),
+            require('./lot-dashboard'),
+            require('./batch-reader')
+        );
+    } else {
+        root.ParkingAdapters = root.ParkingAdapters || {};
+        Object.assign(
+            root.ParkingAdapters,
+            factory(
+                root.ParkingAdapters.ParkingReservationAdapter,
+                root.ParkingAdapters.PrivateParkingReservationAdapter,
+                root.ParkingAdapters.ReservationTracker,
+                root.ParkingAdapters.spotCatalog,
+                root.ParkingAdapters.bookingCalendar,
+                root.ParkingAdapters.lotDashboard,
+                root.ParkingAdapters.batchReader
+            )
+        );
+    }
+})(typeof self !== 'undefined' ? self : this, function (
+    ParkingReservationAdapter,
+    PrivateParkingReservationAdapter,
+    ReservationTracker,
+    spotCatalog,
+    bookingCalendar,
+    lotDashboard,
+    batchReader
+) {
+    const ADAPTERS = {
+        ParkingReservation: ParkingReservationAdapter,
+        PrivateParkingReservation: PrivateParkingReservationAdapter,
+    };
+
+    /**
+     * Find the deployment to use on a chain; the most recent one wins if several contracts are deployed
+     * @param {object} contracts - Generated contract descriptions keyed by name (window.PARKING_CONTRACTS)
+     * @param {number} chainId - Connected chain ID
+     * @param {string} [contractName] - Force a specific contract
+     * @returns {{contract: object, deployment: object}|null} Selected contract description and deployment
+     */
+    function selectDeployment(contracts, chainId, contractName) {
+        const candidates = Object.values(contracts)
+            .filter((contract) => !contractName || contract.contractName === contractName)
+            .flatMap((contract) =>
+                Object.values(contract.deployments)
+                    .filter((deployment) => deployment.chainId === Number(chainId))
+                    .map((deployment) => ({ contract, deployment }))
+            );
+
+        candidates.sort((a, b) => (b.deployment.blockNumber || 0) - (a.deployment.blockNumber || 0));
+        return candidates[0] || null;
+    }
+
+    /**
+     * Create the adapter for the contract deployed on the connected chain
+     * @param {object} options - { ethers, contracts, chainId, runner, contractName?, address?, fhe?,
+     *   multicallAddress? } fhe is the FHE instance (or a function resolving to one) for contracts taking
+     *   encrypted inputs. Spot and reservation lists are read through Multicall3 at multicallAddress
+     *   (default: its canonical address) when the chain has it; null reads each with its own call.
+     * @returns {object|null} Adapter instance, or null when nothing is deployed on the chain
+     */
+    function createParkingAdapter({
+        ethers,
+        contracts,
+        chainId,
+        runner,
+        contractName,
+        address,
+        fhe,
+        multicallAddress,
+    }) {
+        const selected = address
+            ? { contract: contracts[contractName], deployment: { address, blockNumber: 0 } }
+            : selectDeployment(contracts, chainId, contractName);
+
+        if (!selected || !selected.contract) {
+            return null;
+        }
+
+        const Adapter = ADAPTERS[selected.contract.contractName];
+        if (!Adapter) {
+            throw new Error(`No adapter for contract ${selected.contract.contractName}`);
+        }
+
+        const contract = new ethers.Contract(selected.deployment.address, selected.contract.abi, runner);
+        const reader = batchReader.createBatchReader(ethers, runner, { address: multicallAddress });
+        return new Adapter(contract, { deploymentBlock: selected.deployment.blockNumber || 0, fhe, ethers, reader });
+    }
+
+    return {
+        ADAPTERS,
+        selectDeployment,
+        createParkingAdapter,
+        ReservationTracker,
+        spotCatalog,
+        bookingCalendar,
+        lotDashboard,
+        batchReader,
+    };
+});
@@ -0,0 +1,58 @@
+// Operator dashboard: the lots of one operator with their spots, occupancy, overstays and withdrawable revenue.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./spot-catalog'));
+    } else {
+        root.ParkingAdapters = root.ParkingAdapters || {};
+        root.ParkingAdapters.lotDashboard = factory(root.ParkingAdapters.spotCatalog);
+    }
+})(typeof self !== 'undefined' ? self : this, function (spotCatalog) {
+    const { SPOT_STATE, loadSpots, spotState } = spotCatalog;
+
+    /**
+     * Group spots under their lot and count them by state
+     * @param {object[]} lots - Lots returned by adapter.listLots
+     * @param {object[]} spots - Spots returned by loadSpots
+     * @param {number} now - Unix timestamp in seconds
+     * @returns {object[]} Lots with spots and counts { total, reserved, inactive }
+     */
+    function groupByLot(lots, spots, now = Math.floor(Date.now() / 1000)) {
+        return lots.map((lot) => {
+            const lotSpots = spots.filter((spot) => spot.lotId === lot.id);
+            const states = lotSpots.map((spot) => spotState(spot, now));
+            return {
+                ...lot,
+                spots: lotSpots,
+                counts: {
+                    total: lotSpots.length,
+                    reserved: states.filter((state) => state === SPOT_STATE.RESERVED).length,
+                    inactive: states.filter((state) => state === SPOT_STATE.INACTIVE).length,
+                },
+            };
+        });
+    }
+
+    /**
+     * Load the dashboard of an operator
+     * @param {object} adapter - Contract adapter
+     * @param {string} operatorAddress - Operator address
+     * @returns {Promise<{lots: object[], revenue: bigint}>} Lots with their spots and overstayed reservations
+     *   (empty without adapter.capabilities.overstayPenalties), and their total revenue
+     */
+    async function loadLotDashboard(adapter, operatorAddress) {
+        const [lots, spots, overstays] = await Promise.all([
+            adapter.listLots(operatorAddress),
+            loadSpots(adapter),
+            adapter.capabilities.overstayPenalties ? adapter.listOverstays() : [],
+        ]);
+        return {
+            lots: groupByLot(lots, spots).map((lot) => ({
+                ...lot,
+                overstays: overstays.filter((reservation) => lot.spots.some((spot) => spot.id === reservation.spotId)),
+            })),
+            revenue: lots.reduce((total, lot) => total + lot.revenue, 0n),
+        };
+    }
+
+    return { groupByLot, loadLotDashboard };
+});
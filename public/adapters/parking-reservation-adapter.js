@@ -0,0 +1,740 @@
+// Adapter for the plain (non-FHE) ParkingReservation contract.
+// @contract ParkingReservation
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./adapter-utils'), require('./batch-reader'));
+    } else {
+        root.ParkingAdapters = root.ParkingAdapters || {};
+        root.ParkingAdapters.ParkingReservationAdapter = factory(
+            root.ParkingAdapters.utils,
+            root.ParkingAdapters.batchReader
+        );
+    }
+})(typeof self !== 'undefined' ? self : this, function (utils, batchReader) {
+    const {
+        UnsupportedOperationError,
+        toBigInt,
+        toNumber,
+        parseUnits,
+        formatUnits,
+        sendTransaction,
+        findEvent,
+        parseBookings,
+        ERC20_PERMIT_ABI,
+        signPermit,
+        getBlockTimestamp,
+        parsePricingRule,
+        toPricingRuleInput,
+    } = utils;
+    const { BatchReader } = batchReader;
+
+    const SECONDS_PER_HOUR = 3600;
+    // Mirrors ParkingReservation.PLATFORM_FEE_PERCENT
+    const PLATFORM_FEE_PERCENT = 5n;
+    const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+    // How long a reservation permit stays valid once signed
+    const PERMIT_VALIDITY = 3600;
+    // Mirror ParkingReservation.OVERSTAY_GRACE_PERIOD and MAX_OVERSTAYS
+    const OVERSTAY_GRACE_PERIOD = 15 * 60;
+    const MAX_OVERSTAYS = 3;
+
+    class ParkingReservationAdapter {
+        /**
+         * @param {object} contract - ethers Contract bound to a ParkingReservation deployment
+         * @param {object} options - { deploymentBlock, ethers, reader } first block to scan for events, the ethers
+         *   library (v5 or v6) to bind payment token contracts with, and the BatchReader for spot and
+         *   reservation lists (default: one call each)
+         */
+        constructor(contract, options = {}) {
+            this.contract = contract;
+            this.ethers = options.ethers || null;
+            this.reader = options.reader || new BatchReader(null);
+            this.contractName = 'ParkingReservation';
+            this.deploymentBlock = options.deploymentBlock || 0;
+            this.capabilities = {
+                cancel: true,
+                gatewayCallback: false,
+                encryptedQueries: false,
+                publicPrices: true,
+                encryptedInputs: false,
+                scheduling: true,
+                extend: true,
+                earlyCheckOut: true,
+                creditTiers: false,
+                dynamicPricing: true,
+                waitlist: true,
+                overstayPenalties: true,
+                batchSpots: true,
+                maintenance: false,
+                tokenPayments: true,
+            };
+            this.firstSpotId = 1;
+            this.priceUnit = 'ETH/hour';
+            // { address, symbol, decimals, supportsPermit } once loadPaymentToken found a token; null pays in ETH
+            this.paymentToken = null;
+            // Events that change what getSpot returns
+            this.spotEvents = ['ParkingSpotAdded', 'SpotPriceUpdated', 'ReservationCreated', 'ReservationCompleted'];
+        }
+
+        // Spot IDs start at 1 and run up to totalSpots
+        spotIds(totalSpots) {
+            return Array.from({ length: totalSpots }, (_, i) => i + 1);
+        }
+
+        // Decimals parsePrice reads prices with
+        get priceDecimals() {
+            return this.paymentToken ? this.paymentToken.decimals : 18;
+        }
+
+        parsePrice(input) {
+            return parseUnits(input, this.priceDecimals);
+        }
+
+        formatPrice(price) {
+            return this.formatAmount(price);
+        }
+
+        // Amounts (prices, payouts, refunds) in the payment currency
+        formatAmount(amount) {
+            const { decimals, symbol } = this.paymentToken || { decimals: 18, symbol: 'ETH' };
+            return `${formatUnits(amount, decimals)} ${symbol}`;
+        }
+
+        /**
+         * Read the currency the contract takes; call once before parsing or formatting amounts
+         * @returns {Promise<object|null>} { address, symbol, decimals, supportsPermit }, or null for ETH
+         */
+        async loadPaymentToken() {
+            const address = await this.contract.paymentToken();
+            if (address === ZERO_ADDRESS) {
+                this.paymentToken = null;
+                this.priceUnit = 'ETH/hour';
+                return null;
+            }
+
+            const token = this._tokenContract(address);
+            const [symbol, decimals, supportsPermit] = await Promise.all([
+                token.symbol(),
+                token.decimals(),
+                token.nonces(ZERO_ADDRESS).then(
+                    () => true,
+                    () => false
+                ),
+            ]);
+            this.paymentToken = { address, symbol, decimals: toNumber(decimals), supportsPermit };
+            this.priceUnit = `${symbol}/hour`;
+            return this.paymentToken;
+        }
+
+        /**
+         * Token balance of an account and what it allowed the contract to spend
+         * @param {string} address - Account address
+         * @returns {Promise<{balance: bigint, allowance: bigint}|null>} null when the contract takes ETH
+         */
+        async tokenBalances(address) {
+            const paymentToken = await this.loadPaymentToken();
+            if (!paymentToken) return null;
+
+            const token = this._tokenContract(paymentToken.address);
+            const [balance, allowance] = await Promise.all([
+                token.balanceOf(address),
+                token.allowance(address, this._address()),
+            ]);
+            return { balance: toBigInt(balance), allowance: toBigInt(allowance) };
+        }
+
+        // Allow the contract to pull amount tokens, e.g. ahead of an extension
+        async approveToken(amount) {
+            const paymentToken = await this.loadPaymentToken();
+            if (!paymentToken) {
+                throw new UnsupportedOperationError(this.contractName, 'Token approval without a payment token');
+            }
+            const token = this._tokenContract(paymentToken.address);
+            return sendTransaction(token, token.approve(this._address(), amount.toString()));
+        }
+
+        _address() {
+            return this.contract.address || this.contract.target;
+        }
+
+        // Same runner as the parking contract
+        _tokenContract(address) {
+            if (!this.ethers) {
+                throw new Error('Payment tokens need the ethers library: pass `ethers` to createParkingAdapter');
+            }
+            const runner = this.contract.runner || this.contract.signer || this.contract.provider;
+            return new this.ethers.Contract(address, ERC20_PERMIT_ABI, runner);
+        }
+
+        async _ensureAllowance(amount) {
+            const signer = this.contract.runner || this.contract.signer;
+            const balances = await this.tokenBalances(await signer.getAddress());
+            if (balances.allowance < amount) {
+                await this.approveToken(amount);
+            }
+        }
+
+        async register(userId, creditScore) {
+            return sendTransaction(this.contract, this.contract.registerUser(userId, creditScore));
+        }
+
+        async addSpot(location, price) {
+            const result = await sendTransaction(this.contract, this.contract.addParkingSpot(location, price.toString()));
+            const event = findEvent(result.events, 'ParkingSpotAdded');
+            return { ...result, spotId: event ? toNumber(event.args.spotId) : null };
+        }
+
+        // Operator only; the caller operates the new lot
+        async registerLot(name, feeShare) {
+            const result = await sendTransaction(this.contract, this.contract.registerLot(name, feeShare));
+            const event = findEvent(result.events, 'LotRegistered');
+            return { ...result, lotId: event ? toNumber(event.args.lotId) : null };
+        }
+
+        async setLotFeeShare(lotId, feeShare) {
+            return sendTransaction(this.contract, this.contract.setLotFeeShare(lotId, feeShare));
+        }
+
+        async addLotSpot(lotId, location, price) {
+            const result = await sendTransaction(
+                this.contract,
+                this.contract.addLotSpot(lotId, location, price.toString())
+            );
+            const event = findEvent(result.events, 'ParkingSpotAdded');
+            return { ...result, spotId: event ? toNumber(event.args.spotId) : null };
+        }
+
+        /**
+         * Add the spots of one lot in a single transaction
+         * @param {number} lotId - Lot ID, 0 for spots outside lots (owner only)
+         * @param {object[]} spots - { location, price }, at most MAX_SPOTS_PER_BATCH
+         * @returns {Promise<object>} Transaction result with the new spotIds, in the order given
+         */
+        async addSpots(lotId, spots) {
+            const result = await sendTransaction(
+                this.contract,
+                this.contract.addParkingSpots(
+                    lotId,
+                    spots.map((spot) => spot.location),
+                    spots.map((spot) => spot.price.toString())
+                )
+            );
+            const spotIds = result.events
+                .filter((event) => event.name === 'ParkingSpotAdded')
+                .map((event) => toNumber(event.args.spotId));
+            return { ...result, spotIds };
+        }
+
+        async setSpotMaintenance() {
+            throw new UnsupportedOperationError(this.contractName, 'Spot maintenance');
+        }
+
+        async updateSpotPrice(spotId, price) {
+            return sendTransaction(this.contract, this.contract.updateSpotPrice(spotId, price.toString()));
+        }
+
+        /**
+         * Price the contract would charge for a booking, pricing rules included
+         * @param {number} spotId - Spot ID
+         * @param {number} durationSeconds - Duration in seconds, rounded up to whole hours like reserve does
+         * @param {number} [startTime] - Unix timestamp of the start; now when omitted
+         * @returns {Promise<bigint>} Total price
+         */
+        async quote(spotId, durationSeconds, startTime) {
+            const durationHours = Math.max(1, Math.ceil(durationSeconds / SECONDS_PER_HOUR));
+            return toBigInt(await this.contract.quotePrice(spotId, startTime != null ? startTime : 0, durationHours));
+        }
+
+        // The spot rule takes precedence over the rule of its lot; disabled rules read as { enabled: false, ... }
+        async getSpotPricingRule(spotId) {
+            return parsePricingRule(await this.contract.spotPricingRules(spotId));
+        }
+
+        // Lot 0 holds the rule of the spots outside lots
+        async getLotPricingRule(lotId) {
+            return parsePricingRule(await this.contract.lotPricingRules(lotId));
+        }
+
+        // Spot operator only; pass { enabled: false } to clear the rule
+        async setSpotPricingRule(spotId, rule) {
+            return sendTransaction(this.contract, this.contract.setSpotPricingRule(spotId, toPricingRuleInput(rule)));
+        }
+
+        // Lot operator only, or the owner for lot 0
+        async setLotPricingRule(lotId, rule) {
+            return sendTransaction(this.contract, this.contract.setLotPricingRule(lotId, toPricingRuleInput(rule)));
+        }
+
+        async withdrawLotRevenue(lotId, to) {
+            return sendTransaction(this.contract, this.contract.withdrawLotRevenue(lotId, to));
+        }
+
+        async getLot(lotId) {
+            const lot = await this.contract.parkingLots(lotId);
+            return {
+                id: Number(lotId),
+                name: lot.name,
+                operator: lot.operator,
+                feeShare: toNumber(lot.feeShare),
+                revenue: toBigInt(lot.revenue),
+            };
+        }
+
+        // Lots are found through LotRegistered events; spots outside lots pay their owner directly
+        async listLots(operatorAddress) {
+            const events = await this.contract.queryFilter(
+                this.contract.filters.LotRegistered(null, operatorAddress),
+                this.deploymentBlock
+            );
+            return Promise.all(events.map((event) => this.getLot(toNumber(event.args.lotId))));
+        }
+
+        /**
+         * Reserve a spot; the contract books whole hours, so the duration is rounded up
+         * @param {number} spotId - Spot ID
+         * @param {number} durationSeconds - Requested duration in seconds
+         * @param {bigint} [payment] - ETH to send; defaults to the quoted price. Tokens are always pulled
+         *   for the exact price, with a permit when the token supports one and an approval otherwise
+         * @param {number} [startTime] - Unix timestamp to book a future window; starts now when omitted
+         */
+        async reserve(spotId, durationSeconds, payment, startTime) {
+            const durationHours = Math.max(1, Math.ceil(durationSeconds / SECONDS_PER_HOUR));
+            const price = await this.quote(spotId, durationSeconds, startTime);
+            const paymentToken = await this.loadPaymentToken();
+
+            let txPromise;
+            if (paymentToken && paymentToken.supportsPermit) {
+                const token = this._tokenContract(paymentToken.address);
+                const deadline = (await getBlockTimestamp(this.contract)) + PERMIT_VALIDITY;
+                const { v, r, s } = await signPermit(token, this._address(), price, deadline);
+                txPromise = this.contract.makeReservationWithPermit(
+                    spotId,
+                    startTime != null ? startTime : 0,
+                    durationHours,
+                    deadline,
+                    v,
+                    r,
+                    s
+                );
+            } else {
+                const overrides = {};
+                if (paymentToken) {
+                    await this._ensureAllowance(price);
+                } else {
+                    overrides.value = (payment != null ? toBigInt(payment) : price).toString();
+                }
+                txPromise =
+                    startTime != null
+                        ? this.contract.makeReservationAt(spotId, startTime, durationHours, overrides)
+                        : this.contract.makeReservation(spotId, durationHours, overrides);
+            }
+
+            const result = await sendTransaction(this.contract, txPromise);
+            const event = findEvent(result.events, 'ReservationCreated');
+            return { ...result, reservationId: event ? toNumber(event.args.reservationId) : null, requestId: null };
+        }
+
+        // Only before the start; the refund is credited for withdraw, minus a fee on short notice
+        async cancel(reservationId) {
+            return sendTransaction(this.contract, this.contract.cancelReservation(reservationId));
+        }
+
+        // Payouts and refunds are credited to the account and pulled with withdraw
+        async withdrawableBalance(address) {
+            return toBigInt(await this.contract.pendingWithdrawals(address));
+        }
+
+        async withdraw() {
+            return sendTransaction(this.contract, this.contract.withdraw());
+        }
+
+        async complete(reservationId) {
+            return sendTransaction(this.contract, this.contract.completeReservation(reservationId));
+        }
+
+        /**
+         * Extend a reservation; like reserve, the extra time is rounded up to whole hours
+         * @param {number} reservationId - Reservation ID
+         * @param {number} extraSeconds - Time to add in seconds
+         * @param {bigint} [payment] - ETH to send; defaults to the quoted price of the extra hours. Tokens are
+         *   approved and pulled for the exact price
+         */
+        async extend(reservationId, extraSeconds, payment) {
+            const extraHours = Math.max(1, Math.ceil(extraSeconds / SECONDS_PER_HOUR));
+            const paymentToken = await this.loadPaymentToken();
+            let value = payment != null && !paymentToken ? toBigInt(payment) : null;
+            if (value == null) {
+                const reservation = await this.getReservation(reservationId);
+                value = await this.quote(reservation.spotId, extraSeconds, reservation.endTime);
+            }
+
+            const overrides = {};
+            if (paymentToken) {
+                await this._ensureAllowance(value);
+            } else {
+                overrides.value = value.toString();
+            }
+            const result = await sendTransaction(
+                this.contract,
+                this.contract.extendReservation(reservationId, extraHours, overrides)
+            );
+            const event = findEvent(result.events, 'ReservationExtended');
+            return { ...result, endTime: event ? toNumber(event.args.newEndTime) : null, requestId: null };
+        }
+
+        // Leave a running reservation before its end; the unused time is refunded minus the platform fee
+        async checkOut(reservationId) {
+            const result = await sendTransaction(this.contract, this.contract.checkOutEarly(reservationId));
+            const event = findEvent(result.events, 'EarlyCheckOut');
+            return { ...result, refund: event ? toBigInt(event.args.refund) : null };
+        }
+
+        /**
+         * Whether cancel would succeed at a given time; running reservations check out early instead
+         * @param {object} reservation - Reservation returned by getReservation
+         * @param {number} at - Unix timestamp
+         * @returns {boolean}
+         */
+        canCancel(reservation, at) {
+            return reservation.status === 'Active' && at < reservation.startTime;
+        }
+
+        /**
+         * Refund checkOut would pay at a given time, computed like the contract does
+         * @param {object} reservation - Reservation returned by getReservation
+         * @param {number} at - Unix timestamp of the check-out
+         * @returns {bigint} Refund in wei, or token units
+         */
+        estimateCheckOutRefund(reservation, at) {
+            if (at < reservation.startTime || at >= reservation.endTime) return 0n;
+            const unused =
+                (reservation.amount * BigInt(reservation.endTime - at)) /
+                BigInt(reservation.endTime - reservation.startTime);
+            return unused - (unused * PLATFORM_FEE_PERCENT) / 100n;
+        }
+
+        /**
+         * Queue for a taken spot; the deposit prepays the reservation made when the spot is offered and claimed
+         * @param {number} spotId - Spot ID
+         * @param {number} durationSeconds - Duration of that reservation, rounded up to whole hours
+         * @param {bigint} [payment] - ETH to send; defaults to the quoted price. Tokens are approved and pulled
+         */
+        async joinWaitlist(spotId, durationSeconds, payment) {
+            const durationHours = Math.max(1, Math.ceil(durationSeconds / SECONDS_PER_HOUR));
+            const paymentToken = await this.loadPaymentToken();
+            const deposit =
+                payment != null && !paymentToken ? toBigInt(payment) : await this.quote(spotId, durationSeconds);
+
+            const overrides = {};
+            if (paymentToken) {
+                await this._ensureAllowance(deposit);
+            } else {
+                overrides.value = deposit.toString();
+            }
+            const result = await sendTransaction(this.contract, this.contract.joinWaitlist(spotId, durationHours, overrides));
+            const event = findEvent(result.events, 'WaitlistJoined');
+            return { ...result, deposit: event ? toBigInt(event.args.deposit) : null };
+        }
+
+        // Also declines an offer; the deposit is credited for withdraw
+        async leaveWaitlist(spotId) {
+            return sendTransaction(this.contract, this.contract.leaveWaitlist(spotId));
+        }
+
+        // Reserve the offered spot from now on, paid by the deposit
+        async claimWaitlistOffer(spotId) {
+            const result = await sendTransaction(this.contract, this.contract.claimWaitlistOffer(spotId));
+            const event = findEvent(result.events, 'WaitlistOfferClaimed');
+            return { ...result, reservationId: event ? toNumber(event.args.reservationId) : null };
+        }
+
+        // Anyone can refund an unclaimed offer once it expired, which offers the spot to the next user
+        async expireWaitlistOffer(spotId) {
+            return sendTransaction(this.contract, this.contract.expireWaitlistOffer(spotId));
+        }
+
+        /**
+         * Waitlist of a spot
+         * @param {number} spotId - Spot ID
+         * @returns {Promise<{waiting: string[], offer: object|null}>} Addresses first in line first, and the
+         *   current offer { user, expiresAt }, which may have expired
+         */
+        async getWaitlist(spotId) {
+            const [waiting, offer] = await Promise.all([
+                this.contract.getWaitlist(spotId),
+                this.contract.waitlistOffers(spotId),
+            ]);
+            return {
+                waiting: Array.from(waiting),
+                offer: offer.user !== ZERO_ADDRESS ? { user: offer.user, expiresAt: toNumber(offer.expiresAt) } : null,
+            };
+        }
+
+        // Spots currently offered to a user, found through WaitlistOffered events
+        async listWaitlistOffers(userAddress) {
+            const events = await this.contract.queryFilter(
+                this.contract.filters.WaitlistOffered(null, userAddress),
+                this.deploymentBlock
+            );
+            const spotIds = [...new Set(events.map((event) => toNumber(event.args.spotId)))];
+            const offers = await Promise.all(
+                spotIds.map(async (spotId) => {
+                    const offer = await this.contract.waitlistOffers(spotId);
+                    return { spotId, user: offer.user, expiresAt: toNumber(offer.expiresAt) };
+                })
+            );
+            return offers
+                .filter((offer) => offer.user.toLowerCase() === userAddress.toLowerCase())
+                .map(({ spotId, expiresAt }) => ({ spotId, expiresAt }));
+        }
+
+        /**
+         * Active reservations left running past their end and the grace period, which markOverstay can settle
+         * @param {number} [at] - Unix timestamp; the latest block's when omitted
+         * @returns {Promise<object[]>} Reservations as returned by getReservation
+         */
+        async listOverstays(at) {
+            const now = at != null ? at : await getBlockTimestamp(this.contract);
+            const events = await this.contract.queryFilter(
+                this.contract.filters.ReservationCreated(),
+                this.deploymentBlock
+            );
+            const reservations = await this.getReservations(
+                events.map((event) => toNumber(event.args.reservationId))
+            );
+            return reservations.filter(
+                (reservation) => reservation.status === 'Active' && reservation.endTime + OVERSTAY_GRACE_PERIOD < now
+            );
+        }
+
+        // Spot operators and keepers only; settles the reservation and charges the user a penalty
+        async markOverstay(reservationId) {
+            const result = await sendTransaction(this.contract, this.contract.markOverstay(reservationId));
+            const event = findEvent(result.events, 'OverstayMarked');
+            return {
+                ...result,
+                overstayHours: event ? toNumber(event.args.overstayHours) : null,
+                penalty: event ? toBigInt(event.args.penalty) : null,
+            };
+        }
+
+        /**
+         * Overstay record of a user
+         * @param {string} address - User address
+         * @returns {Promise<object>} { outstanding, overstays, maxOverstays, eligible } eligible is false while a
+         *   penalty is outstanding or after maxOverstays overstays
+         */
+        async getPenaltyStatus(address) {
+            const [outstanding, overstays] = await Promise.all([
+                this.contract.outstandingPenalties(address),
+                this.contract.overstayCounts(address),
+            ]);
+            const status = {
+                outstanding: toBigInt(outstanding),
+                overstays: toNumber(overstays),
+                maxOverstays: MAX_OVERSTAYS,
+            };
+            return { ...status, eligible: status.outstanding === 0n && status.overstays < MAX_OVERSTAYS };
+        }
+
+        // Pays the whole outstanding penalty of the connected account
+        async payPenalty() {
+            const signer = this.contract.runner || this.contract.signer;
+            const outstanding = toBigInt(await this.contract.outstandingPenalties(await signer.getAddress()));
+            const paymentToken = await this.loadPaymentToken();
+
+            const overrides = {};
+            if (paymentToken) {
+                await this._ensureAllowance(outstanding);
+            } else {
+                overrides.value = outstanding.toString();
+            }
+            return sendTransaction(this.contract, this.contract.payPenalty(overrides));
+        }
+
+        // Owner only
+        async setKeeper(address, status) {
+            return sendTransaction(this.contract, this.contract.setKeeper(address, status));
+        }
+
+        // Owner only; lets a user barred for overstaying reserve again
+        async clearOverstays(address) {
+            return sendTransaction(this.contract, this.contract.clearOverstays(address));
+        }
+
+        /**
+         * Call back when a spot is offered to a user
+         * @param {string} userAddress - Waitlisted user
+         * @param {function} callback - Receives { spotId, expiresAt }
+         * @returns {function} Stops listening
+         */
+        onWaitlistOffer(userAddress, callback) {
+            const filter = this.contract.filters.WaitlistOffered(null, userAddress);
+            const listener = (spotId, user, expiresAt) =>
+                callback({ spotId: toNumber(spotId), expiresAt: toNumber(expiresAt) });
+            this.contract.on(filter, listener);
+            return () => this.contract.off(filter, listener);
+        }
+
+        async getSpot(spotId) {
+            return (await this.getSpots([spotId]))[0];
+        }
+
+        // Two views per spot, read through the batch reader
+        async getSpots(spotIds) {
+            const results = await this.reader.read(
+                spotIds.flatMap((spotId) => [
+                    { contract: this.contract, method: 'parkingSpots', args: [spotId] },
+                    { contract: this.contract, method: 'spotLots', args: [spotId] },
+                ])
+            );
+            return spotIds.map((spotId, i) => this._parseSpot(spotId, results[2 * i], results[2 * i + 1]));
+        }
+
+        _parseSpot(spotId, spot, lotId) {
+            return {
+                id: Number(spotId),
+                lotId: toNumber(lotId),
+                location: spot.location,
+                price: toBigInt(spot.pricePerHour),
+                isActive: spot.spotOwner !== ZERO_ADDRESS,
+                isAvailable: spot.isAvailable,
+                reservationEnd: 0,
+                owner: spot.spotOwner,
+            };
+        }
+
+        async getReservation(reservationId) {
+            return (await this.getReservations([reservationId]))[0];
+        }
+
+        async getReservations(reservationIds) {
+            const results = await this.reader.read(
+                reservationIds.map((id) => ({ contract: this.contract, method: 'reservations', args: [id] }))
+            );
+            return reservationIds.map((id, i) => this._parseReservation(id, results[i]));
+        }
+
+        _parseReservation(reservationId, reservation) {
+            return {
+                id: Number(reservationId),
+                spotId: toNumber(reservation.spotId),
+                user: reservation.user,
+                startTime: toNumber(reservation.startTime),
+                endTime: toNumber(reservation.endTime),
+                status: reservation.isCancelled ? 'Cancelled' : reservation.isCompleted ? 'Completed' : 'Active',
+                amount: toBigInt(reservation.totalPrice),
+                requestId: null,
+                requestTimestamp: null,
+            };
+        }
+
+        // Windows that have not ended yet, ordered by start time
+        async getBookings(spotId) {
+            return parseBookings(await this.contract.getSpotBookings(spotId));
+        }
+
+        // Reservations are confirmed in the same transaction, there is no gateway request to follow
+        async getGatewayRequest() {
+            return null;
+        }
+
+        async getRefundReason() {
+            return null;
+        }
+
+        async timeoutPeriod() {
+            return null;
+        }
+
+        async triggerTimeout() {
+            throw new UnsupportedOperationError(this.contractName, 'Gateway timeout');
+        }
+
+        // The contract keeps no per-user index, so reservations are found through ReservationCreated events
+        async listReservations(userAddress) {
+            const events = await this.contract.queryFilter(
+                this.contract.filters.ReservationCreated(null, userAddress),
+                this.deploymentBlock
+            );
+            return this.getReservations(events.map((event) => toNumber(event.args.reservationId)));
+        }
+
+        // Paginated views return { items, total }, at most MAX_PAGE_SIZE items per call
+        async getSpotsPage(offset, limit) {
+            const [page, total] = await this.contract.getSpotsPage(offset, limit);
+            return {
+                items: page.map((item) => this._parseSpot(item.spotId, item.spot, item.lotId)),
+                total: toNumber(total),
+            };
+        }
+
+        async getUserReservationsPage(userAddress, offset, limit) {
+            const [page, total] = await this.contract.getUserReservationsPage(userAddress, offset, limit);
+            return { items: this._parseReservationViews(page), total: toNumber(total) };
+        }
+
+        // Pages run over reservation IDs: a page may hold fewer than limit items, keep going until offset reaches total
+        async getActiveReservations(offset, limit) {
+            const [page, total] = await this.contract.getActiveReservations(offset, limit);
+            return { items: this._parseReservationViews(page), total: toNumber(total) };
+        }
+
+        async getRegisteredUsersPage(offset, limit) {
+            const [page, total] = await this.contract.getRegisteredUsersPage(offset, limit);
+            return {
+                items: page.map((item) => ({ address: item.account, ...this._parseUser(item.user) })),
+                total: toNumber(total),
+            };
+        }
+
+        _parseReservationViews(page) {
+            return page.map((item) => this._parseReservation(item.reservationId, item.reservation));
+        }
+
+        async getUser(userAddress) {
+            return this._parseUser(await this.contract.getUserInfo(userAddress));
+        }
+
+        _parseUser(user) {
+            return { isRegistered: user.isRegistered, userId: toNumber(user.userId), creditScore: toNumber(user.creditScore) };
+        }
+
+        async checkAvailability(spotId) {
+            return (await this.getSpot(spotId)).isAvailable;
+        }
+
+        async verifyIdentity(userAddress, userId) {
+            const user = await this.getUser(userAddress);
+            return user.isRegistered && user.userId === Number(userId);
+        }
+
+        async getCreditTiers() {
+            throw new UnsupportedOperationError(this.contractName, 'Credit tiers');
+        }
+
+        async setCreditTiers() {
+            throw new UnsupportedOperationError(this.contractName, 'Credit tiers');
+        }
+
+        async getCreditTier() {
+            throw new UnsupportedOperationError(this.contractName, 'Credit tiers');
+        }
+
+        async stats() {
+            const [stats, platformFees] = await Promise.all([
+                this.contract.getStatistics(),
+                this.contract.platformFees(),
+            ]);
+            return {
+                totalSpots: toNumber(stats._totalSpots),
+                totalReservations: toNumber(stats._totalReservations),
+                timestamp: toNumber(stats._timestamp),
+                platformFees: toBigInt(platformFees),
+                paused: false,
+            };
+        }
+    }
+
+    return ParkingReservationAdapter;
+});
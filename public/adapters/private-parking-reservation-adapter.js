@@ -0,0 +1,792 @@
+// Adapter for the FHE PrivateParkingReservation contract (gateway callback flow).
+// @contract PrivateParkingReservation
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./adapter-utils'), require('./batch-reader'));
+    } else {
+        root.ParkingAdapters = root.ParkingAdapters || {};
+        root.ParkingAdapters.PrivateParkingReservationAdapter = factory(
+            root.ParkingAdapters.utils,
+            root.ParkingAdapters.batchReader
+        );
+    }
+})(typeof self !== 'undefined' ? self : this, function (utils, batchReader) {
+    const {
+        RESERVATION_STATUS,
+        UnsupportedOperationError,
+        toBigInt,
+        toNumber,
+        parseUnits,
+        formatUnits,
+        sendTransaction,
+        parseLogs,
+        findEvent,
+        parseBookings,
+        encryptInputs,
+        userDecrypt,
+        getBlockTimestamp,
+        parsePricingRule,
+        toPricingRuleInput,
+    } = utils;
+    const { BatchReader } = batchReader;
+
+    // Mirrors PrivateParkingReservation.PLATFORM_FEE_DIVISOR
+    const PLATFORM_FEE_DIVISOR = 20n;
+    // Mirrors PrivateParkingReservation.REFUND_GRACE_PERIOD
+    const REFUND_GRACE_PERIOD = 30 * 60;
+    const MAX_CREDIT_SCORE = 850;
+    // Mirror PrivateParkingReservation.OVERSTAY_GRACE_PERIOD and MAX_OVERSTAYS
+    const OVERSTAY_GRACE_PERIOD = 15 * 60;
+    const MAX_OVERSTAYS = 3;
+    // Mirrors PrivateParkingReservation.CreditTier
+    const CREDIT_TIERS = ['DepositRequired', 'Standard', 'Discount'];
+    const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+    // Paginated views of PrivateParkingReservationViews, as a human-readable ABI both ethers versions parse
+    const SPOT_PAGE =
+        'tuple(uint256 spotId, uint32 lotId, tuple(bytes32 encryptedPrice, bytes32 encryptedStatus, bool isActive, ' +
+        'bytes32 encryptedReservedBy, uint256 reservationEnd, string location, uint64 obfuscationSeed) spot)[] page';
+    const RESERVATION_PAGE =
+        'tuple(uint256 reservationId, tuple(uint32 spotId, address user, bytes32 encryptedUserId, ' +
+        'bytes32 encryptedPaidAmount, uint256 startTime, uint256 endTime, uint8 status, bool isActive, ' +
+        'uint256 depositAmount, uint256 requestTimestamp, uint256 decryptionRequestId, uint256 platformFee) ' +
+        'reservation)[] page';
+    const USER_PAGE =
+        'tuple(address account, tuple(bytes32 encryptedUserId, bytes32 encryptedCreditScore, bool isRegistered, ' +
+        'uint256 totalReservations, uint256 lastReservation, uint256 depositBalance) user)[] page';
+    const VIEWS_ABI = [
+        `function getSpotsPage(uint256 offset, uint256 limit) view returns (${SPOT_PAGE}, uint256 total)`,
+        'function getUserReservationsPage(address user, uint256 offset, uint256 limit) view ' +
+            `returns (${RESERVATION_PAGE}, uint256 total)`,
+        'function getActiveReservations(uint256 offset, uint256 limit) view ' +
+            `returns (${RESERVATION_PAGE}, uint256 total)`,
+        `function getRegisteredUsersPage(uint256 offset, uint256 limit) view returns (${USER_PAGE}, uint256 total)`,
+    ];
+
+    class PrivateParkingReservationAdapter {
+        /**
+         * @param {object} contract - ethers Contract bound to a PrivateParkingReservation deployment
+         * @param {object} options - { deploymentBlock, fhe, ethers, reader } first block to scan for events, the
+         *   FHE instance (or a function resolving to one) used to encrypt registration data and offers and to
+         *   decrypt query results, the ethers library (v5 or v6) to bind the paginated views contract with, and
+         *   the BatchReader for spot and reservation lists (default: one call each)
+         */
+        constructor(contract, options = {}) {
+            this.contract = contract;
+            this.ethers = options.ethers || null;
+            this.reader = options.reader || new BatchReader(null);
+            this.contractName = 'PrivateParkingReservation';
+            this.deploymentBlock = options.deploymentBlock || 0;
+            this.fhe = options.fhe || null;
+            // Signed decryption keypair, reused until it expires
+            this.decryptionSession = {};
+            this.capabilities = {
+                cancel: true,
+                gatewayCallback: true,
+                encryptedQueries: true,
+                publicPrices: false,
+                encryptedInputs: true,
+                scheduling: true,
+                extend: true,
+                earlyCheckOut: true,
+                creditTiers: true,
+                dynamicPricing: true,
+                waitlist: true,
+                overstayPenalties: true,
+                batchSpots: false,
+                maintenance: true,
+                tokenPayments: false,
+            };
+            this.firstSpotId = 0;
+            this.priceUnit = 'units';
+            this.priceDecimals = 0;
+            // Events that change what getSpot returns
+            this.spotEvents = [
+                'SpotAdded',
+                'SpotUpdated',
+                'SpotRemoved',
+                'PriceUpdated',
+                'ReservationConfirmed',
+                'ReservationCompleted',
+                'ReservationCancelled',
+                'ReservationExtended',
+            ];
+        }
+
+        // Spot IDs start at 0 and run up to totalSpots - 1
+        spotIds(totalSpots) {
+            return Array.from({ length: totalSpots }, (_, i) => i);
+        }
+
+        // Prices are uint16 values encrypted on-chain
+        parsePrice(input) {
+            return parseUnits(input, 0);
+        }
+
+        formatPrice(price) {
+            return price == null ? 'Encrypted' : `${formatUnits(price, 0)} units`;
+        }
+
+        // Deposits, refunds and lot revenue are in ETH, unlike the unit prices
+        formatAmount(amount) {
+            return `${formatUnits(amount, 18)} ETH`;
+        }
+
+        // Payments are in ETH only (capabilities.tokenPayments): the encrypted offer is backed by the ETH sent with
+        // the request, and the contract has no payment token or permit support
+        async loadPaymentToken() {
+            return null;
+        }
+
+        async tokenBalances() {
+            return null;
+        }
+
+        async approveToken() {
+            throw new UnsupportedOperationError(this.contractName, 'ERC-20 payments');
+        }
+
+        /**
+         * Register with the user ID and credit score encrypted client-side; only handles and the input proof
+         * are sent. The contract cannot range-check them, so they are validated here.
+         * @param {number} userId - User ID (> 0)
+         * @param {number} creditScore - Credit score (0-850)
+         */
+        async register(userId, creditScore) {
+            if (!(Number(userId) > 0)) {
+                throw new Error('Invalid user ID');
+            }
+            if (!(Number(creditScore) >= 0 && Number(creditScore) <= MAX_CREDIT_SCORE)) {
+                throw new Error('Invalid credit score');
+            }
+
+            const { handles, inputProof } = await encryptInputs(this.fhe, this.contract, [
+                ['add32', Number(userId)],
+                ['add16', Number(creditScore)],
+            ]);
+            return sendTransaction(this.contract, this.contract.registerUser(handles[0], handles[1], inputProof));
+        }
+
+        async addSpot(location, price) {
+            const result = await sendTransaction(this.contract, this.contract.addParkingSpot(price.toString(), location));
+            const event = findEvent(result.events, 'SpotAdded');
+            return { ...result, spotId: event ? toNumber(event.args.spotId) : null };
+        }
+
+        // Operator only; the caller operates the new lot
+        async registerLot(name, feeShare) {
+            const result = await sendTransaction(this.contract, this.contract.registerLot(name, feeShare));
+            const event = findEvent(result.events, 'LotRegistered');
+            return { ...result, lotId: event ? toNumber(event.args.lotId) : null };
+        }
+
+        async setLotFeeShare(lotId, feeShare) {
+            return sendTransaction(this.contract, this.contract.setLotFeeShare(lotId, feeShare));
+        }
+
+        async addLotSpot(lotId, location, price) {
+            const result = await sendTransaction(
+                this.contract,
+                this.contract.addLotSpot(lotId, price.toString(), location)
+            );
+            const event = findEvent(result.events, 'SpotAdded');
+            return { ...result, spotId: event ? toNumber(event.args.spotId) : null };
+        }
+
+        // The contract has no room left for a batch function; add spots one at a time
+        async addSpots() {
+            throw new UnsupportedOperationError(this.contractName, 'Batch spot import');
+        }
+
+        // Spot operator only; fails while the spot is reserved
+        async setSpotMaintenance(spotId, inMaintenance) {
+            return sendTransaction(this.contract, this.contract.setSpotMaintenance(spotId, inMaintenance));
+        }
+
+        async updateSpotPrice(spotId, price) {
+            return sendTransaction(this.contract, this.contract.updateSpotPrice(spotId, price.toString()));
+        }
+
+        /**
+         * Offer reserve needs, pricing rules and the caller's credit tier included. The price is encrypted, so the
+         * contract computes it in a transaction and only the caller can decrypt it.
+         * @param {number} spotId - Spot ID
+         * @param {number} durationSeconds - Duration in seconds; every started hour is charged
+         * @param {number} [startTime] - Unix timestamp of the start; now when omitted
+         * @returns {Promise<bigint>} Price in price units
+         */
+        async quote(spotId, durationSeconds, startTime) {
+            await sendTransaction(
+                this.contract,
+                this.contract.quotePrice(spotId, startTime != null ? startTime : 0, durationSeconds)
+            );
+            const handle = await this.contract.getQuoteResult();
+            const [price] = await userDecrypt(this.fhe, this.contract, [handle], this.decryptionSession);
+            return toBigInt(price);
+        }
+
+        // Rules are public, only the spot prices they apply to are encrypted
+        async getSpotPricingRule(spotId) {
+            return parsePricingRule(await this.contract.spotPricingRules(spotId));
+        }
+
+        // Lot 0 holds the rule of the platform spots
+        async getLotPricingRule(lotId) {
+            return parsePricingRule(await this.contract.lotPricingRules(lotId));
+        }
+
+        // Spot operator only; pass { enabled: false } to clear the rule. maxPrice is in price units
+        async setSpotPricingRule(spotId, rule) {
+            return sendTransaction(this.contract, this.contract.setSpotPricingRule(spotId, toPricingRuleInput(rule)));
+        }
+
+        // Lot operator only, or the owner for lot 0
+        async setLotPricingRule(lotId, rule) {
+            return sendTransaction(this.contract, this.contract.setLotPricingRule(lotId, toPricingRuleInput(rule)));
+        }
+
+        /**
+         * Queue for a taken spot; the deposit and an encrypted offer of the same amount back the reservation
+         * requested when the spot is offered and claimed, which the gateway checks against the spot price then
+         * @param {number} spotId - Spot ID
+         * @param {number} durationSeconds - Duration of that reservation (MIN_DURATION..MAX_DURATION)
+         * @param {bigint} payment - Deposit to send; required, as prices are encrypted
+         */
+        async joinWaitlist(spotId, durationSeconds, payment) {
+            if (payment == null || toBigInt(payment) === 0n) {
+                throw new Error('Payment required: spot prices are encrypted, enter the deposit to send');
+            }
+
+            const deposit = toBigInt(payment);
+            const { handles, inputProof } = await encryptInputs(this.fhe, this.contract, [['add64', deposit]]);
+            const result = await sendTransaction(
+                this.contract,
+                this.contract.joinWaitlist(spotId, durationSeconds, handles[0], inputProof, {
+                    value: deposit.toString(),
+                })
+            );
+            const event = findEvent(result.events, 'WaitlistJoined');
+            return { ...result, deposit: event ? toBigInt(event.args.deposit) : null };
+        }
+
+        // Also declines an offer; the deposit is refunded
+        async leaveWaitlist(spotId) {
+            return sendTransaction(this.contract, this.contract.leaveWaitlist(spotId));
+        }
+
+        // Request the offered spot from now on with the deposit and offer given on joining; like reserve, the
+        // reservation stays Pending until the gateway calls reservationCallback
+        async claimWaitlistOffer(spotId) {
+            const result = await sendTransaction(this.contract, this.contract.claimWaitlistOffer(spotId));
+            const event = findEvent(result.events, 'ReservationRequested');
+            return {
+                ...result,
+                reservationId: event ? toNumber(event.args.reservationId) : null,
+                requestId: event ? toNumber(event.args.requestId) : null,
+            };
+        }
+
+        // Anyone can refund an unclaimed offer once it expired, which offers the spot to the next user
+        async expireWaitlistOffer(spotId) {
+            return sendTransaction(this.contract, this.contract.expireWaitlistOffer(spotId));
+        }
+
+        /**
+         * Waitlist of a spot
+         * @param {number} spotId - Spot ID
+         * @returns {Promise<{waiting: string[], offer: object|null}>} Addresses first in line first, and the
+         *   current offer { user, expiresAt }, which may have expired
+         */
+        async getWaitlist(spotId) {
+            const [waiting, offer] = await Promise.all([
+                this.contract.getWaitlist(spotId),
+                this.contract.waitlistOffers(spotId),
+            ]);
+            return {
+                waiting: Array.from(waiting),
+                offer: offer.user !== ZERO_ADDRESS ? { user: offer.user, expiresAt: toNumber(offer.expiresAt) } : null,
+            };
+        }
+
+        // Spots currently offered to a user, found through WaitlistOffered events
+        async listWaitlistOffers(userAddress) {
+            const events = await this.contract.queryFilter(
+                this.contract.filters.WaitlistOffered(null, userAddress),
+                this.deploymentBlock
+            );
+            const spotIds = [...new Set(events.map((event) => toNumber(event.args.spotId)))];
+            const offers = await Promise.all(
+                spotIds.map(async (spotId) => {
+                    const offer = await this.contract.waitlistOffers(spotId);
+                    return { spotId, user: offer.user, expiresAt: toNumber(offer.expiresAt) };
+                })
+            );
+            return offers
+                .filter((offer) => offer.user.toLowerCase() === userAddress.toLowerCase())
+                .map(({ spotId, expiresAt }) => ({ spotId, expiresAt }));
+        }
+
+        onWaitlistOffer(userAddress, callback) {
+            const filter = this.contract.filters.WaitlistOffered(null, userAddress);
+            const listener = (spotId, user, expiresAt) =>
+                callback({ spotId: toNumber(spotId), expiresAt: toNumber(expiresAt) });
+            this.contract.on(filter, listener);
+            return () => this.contract.off(filter, listener);
+        }
+
+        // Confirmed reservations still running OVERSTAY_GRACE_PERIOD after their end, at a given time (default: now)
+        async listOverstays(at) {
+            const now = at != null ? at : await getBlockTimestamp(this.contract);
+            const events = await this.contract.queryFilter(
+                this.contract.filters.ReservationRequested(),
+                this.deploymentBlock
+            );
+            const reservations = await this.getReservations(
+                events.map((event) => toNumber(event.args.reservationId))
+            );
+            return reservations.filter(
+                (reservation) => reservation.status === 'Active' && reservation.endTime + OVERSTAY_GRACE_PERIOD < now
+            );
+        }
+
+        // Spot operators and keepers only; settles the reservation and charges the user a penalty on the deposit
+        // rate, as the spot price is encrypted
+        async markOverstay(reservationId) {
+            const result = await sendTransaction(this.contract, this.contract.markOverstay(reservationId));
+            const event = findEvent(result.events, 'OverstayMarked');
+            return {
+                ...result,
+                overstayHours: event ? toNumber(event.args.overstayHours) : null,
+                penalty: event ? toBigInt(event.args.penalty) : null,
+            };
+        }
+
+        /**
+         * Overstay record of a user
+         * @param {string} address - User address
+         * @returns {Promise<object>} { outstanding, overstays, maxOverstays, eligible } eligible is false while a
+         *   penalty is outstanding or after maxOverstays overstays
+         */
+        async getPenaltyStatus(address) {
+            const [outstanding, overstays] = await Promise.all([
+                this.contract.outstandingPenalties(address),
+                this.contract.overstayCounts(address),
+            ]);
+            const status = {
+                outstanding: toBigInt(outstanding),
+                overstays: toNumber(overstays),
+                maxOverstays: MAX_OVERSTAYS,
+            };
+            return { ...status, eligible: status.outstanding === 0n && status.overstays < MAX_OVERSTAYS };
+        }
+
+        // Pays the whole outstanding penalty of the connected account
+        async payPenalty() {
+            const signer = this.contract.runner || this.contract.signer;
+            const outstanding = toBigInt(await this.contract.outstandingPenalties(await signer.getAddress()));
+            return sendTransaction(this.contract, this.contract.payPenalty({ value: outstanding.toString() }));
+        }
+
+        // Owner only
+        async setKeeper(address, status) {
+            return sendTransaction(this.contract, this.contract.setKeeper(address, status));
+        }
+
+        // Owner only; lets a user barred for overstaying reserve again
+        async clearOverstays(address) {
+            return sendTransaction(this.contract, this.contract.clearOverstays(address));
+        }
+
+        // Lot 0 holds the revenue of the platform's own spots and is withdrawn by the owner
+        async withdrawLotRevenue(lotId, to) {
+            return sendTransaction(this.contract, this.contract.withdrawLotRevenue(lotId, to));
+        }
+
+        async getLot(lotId) {
+            const lot = await this.contract.parkingLots(lotId);
+            return {
+                id: Number(lotId),
+                name: Number(lotId) === 0 ? 'Platform spots' : lot.name,
+                operator: Number(lotId) === 0 ? await this.contract.owner() : lot.operator,
+                feeShare: Number(lotId) === 0 ? 100 / Number(PLATFORM_FEE_DIVISOR) : toNumber(lot.feeShare),
+                revenue: toBigInt(lot.revenue),
+            };
+        }
+
+        // Lots are found through LotRegistered events; the owner also gets lot 0 with the platform's spots
+        async listLots(operatorAddress) {
+            const events = await this.contract.queryFilter(
+                this.contract.filters.LotRegistered(null, operatorAddress),
+                this.deploymentBlock
+            );
+            const lotIds = events.map((event) => toNumber(event.args.lotId));
+            if ((await this.contract.owner()).toLowerCase() === operatorAddress.toLowerCase()) {
+                lotIds.unshift(0);
+            }
+            return Promise.all(lotIds.map((lotId) => this.getLot(lotId)));
+        }
+
+        /**
+         * Request a reservation; it stays Pending until the gateway calls reservationCallback. The offer is
+         * encrypted and compared to the encrypted spot price on-chain; only the result is decrypted.
+         * @param {number} spotId - Spot ID
+         * @param {number} durationSeconds - Duration in seconds (MIN_DURATION..MAX_DURATION)
+         * @param {bigint} payment - Deposit sent with the request, refunded if the gateway rejects it
+         * @param {number} [startTime] - Unix timestamp to book a future window; starts now when omitted
+         * @param {bigint} [offer] - Encrypted offer in wei, at most the deposit; defaults to the deposit
+         */
+        async reserve(spotId, durationSeconds, payment, startTime, offer) {
+            if (payment == null || toBigInt(payment) === 0n) {
+                throw new Error('Payment required: spot prices are encrypted, enter the deposit to send');
+            }
+            const offerValue = offer != null ? toBigInt(offer) : toBigInt(payment);
+            if (offerValue > toBigInt(payment)) {
+                throw new Error('Offer exceeds the deposit');
+            }
+
+            const { handles, inputProof } = await encryptInputs(this.fhe, this.contract, [['add64', offerValue]]);
+            const overrides = { value: payment.toString() };
+
+            const result = await sendTransaction(
+                this.contract,
+                startTime != null
+                    ? this.contract.requestReservationAt(
+                          spotId,
+                          startTime,
+                          durationSeconds,
+                          handles[0],
+                          inputProof,
+                          overrides
+                      )
+                    : this.contract.requestReservation(spotId, durationSeconds, handles[0], inputProof, overrides)
+            );
+            const event = findEvent(result.events, 'ReservationRequested');
+            return {
+                ...result,
+                reservationId: event ? toNumber(event.args.reservationId) : null,
+                requestId: event ? toNumber(event.args.requestId) : null,
+            };
+        }
+
+        async cancel(reservationId) {
+            return sendTransaction(this.contract, this.contract.cancelReservation(reservationId));
+        }
+
+        // Refunds go to the deposit balance of the user profile
+        async withdrawableBalance(address) {
+            const profile = await this.contract.getUserProfile(address);
+            return toBigInt(profile.depositBalance);
+        }
+
+        async withdraw() {
+            return sendTransaction(this.contract, this.contract.withdrawDeposit());
+        }
+
+        async complete(reservationId) {
+            return sendTransaction(this.contract, this.contract.completeReservation(reservationId));
+        }
+
+        /**
+         * Extend an active reservation; the total duration stays within MAX_DURATION. The gateway checks that
+         * the payment covers the encrypted price of every started hour, pricing rules included, and refunds it
+         * otherwise.
+         * @param {number} reservationId - Reservation ID
+         * @param {number} extraSeconds - Time to add in seconds
+         * @param {bigint} [payment] - Amount to send; defaults to the deposit rate of the reservation per started hour
+         */
+        async extend(reservationId, extraSeconds, payment) {
+            let value = payment != null ? toBigInt(payment) : null;
+            if (value == null) {
+                // Prices are encrypted, so charge the extra time at the rate already deposited
+                const reservation = await this.getReservation(reservationId);
+                const duration = BigInt(reservation.endTime - reservation.startTime);
+                const paidSeconds = BigInt(Math.ceil(extraSeconds / 3600) * 3600);
+                value = (reservation.amount * paidSeconds + duration - 1n) / duration;
+            }
+            if (value === 0n) {
+                throw new Error('Payment required: enter the deposit to send for the extra time');
+            }
+
+            const result = await sendTransaction(
+                this.contract,
+                this.contract.extendReservation(reservationId, extraSeconds, { value: value.toString() })
+            );
+            const event = findEvent(result.events, 'ExtensionRequested');
+            return {
+                ...result,
+                endTime: event ? toNumber(event.args.newEndTime) : null,
+                requestId: event ? toNumber(event.args.requestId) : null,
+            };
+        }
+
+        // Leave a running reservation before its end; the unused share of the deposit is refunded minus the platform fee
+        async checkOut(reservationId) {
+            const result = await sendTransaction(this.contract, this.contract.checkOutEarly(reservationId));
+            const event = findEvent(result.events, 'RefundIssued');
+            return { ...result, refund: event ? toBigInt(event.args.amount) : 0n };
+        }
+
+        /**
+         * Refund checkOut would pay at a given time, computed like the contract does
+         * @param {object} reservation - Reservation returned by getReservation
+         * @param {number} at - Unix timestamp of the check-out
+         * @returns {bigint} Refund in wei
+         */
+        estimateCheckOutRefund(reservation, at) {
+            if (at < reservation.startTime || at >= reservation.endTime) return 0n;
+            // The platform fee taken on confirmation is not refunded
+            const refundable = reservation.amount - reservation.platformFee;
+            return (
+                (refundable * BigInt(reservation.endTime - at)) / BigInt(reservation.endTime - reservation.startTime)
+            );
+        }
+
+        /**
+         * Whether cancel would succeed at a given time: pending reservations, or active ones within
+         * REFUND_GRACE_PERIOD of their start
+         * @param {object} reservation - Reservation returned by getReservation
+         * @param {number} at - Unix timestamp
+         * @returns {boolean}
+         */
+        canCancel(reservation, at) {
+            if (reservation.status === 'Pending') return true;
+            return reservation.status === 'Active' && at < reservation.startTime + REFUND_GRACE_PERIOD;
+        }
+
+        // The public getter is used instead of getSpotInfo, which reverts for deactivated spots
+        async getSpot(spotId) {
+            return (await this.getSpots([spotId]))[0];
+        }
+
+        // Two views per spot, read through the batch reader
+        async getSpots(spotIds) {
+            const results = await this.reader.read(
+                spotIds.flatMap((spotId) => [
+                    { contract: this.contract, method: 'parkingSpots', args: [spotId] },
+                    { contract: this.contract, method: 'spotLots', args: [spotId] },
+                ])
+            );
+            return spotIds.map((spotId, i) => this._parseSpot(spotId, results[2 * i], results[2 * i + 1]));
+        }
+
+        _parseSpot(spotId, spot, lotId) {
+            const reservationEnd = toNumber(spot.reservationEnd);
+            return {
+                id: Number(spotId),
+                lotId: toNumber(lotId),
+                location: spot.location,
+                price: null,
+                isActive: spot.isActive,
+                // Status is encrypted; only a running reservation is publicly visible
+                isAvailable: reservationEnd > Math.floor(Date.now() / 1000) ? false : null,
+                reservationEnd,
+                owner: null,
+            };
+        }
+
+        async getReservation(reservationId) {
+            return (await this.getReservations([reservationId]))[0];
+        }
+
+        async getReservations(reservationIds) {
+            const results = await this.reader.read(
+                reservationIds.map((id) => ({ contract: this.contract, method: 'reservations', args: [id] }))
+            );
+            return reservationIds.map((id, i) => this._parseReservation(id, results[i]));
+        }
+
+        _parseReservation(reservationId, reservation) {
+            return {
+                id: Number(reservationId),
+                spotId: toNumber(reservation.spotId),
+                user: reservation.user,
+                startTime: toNumber(reservation.startTime),
+                endTime: toNumber(reservation.endTime),
+                status: RESERVATION_STATUS[toNumber(reservation.status)],
+                amount: toBigInt(reservation.depositAmount),
+                requestId: toNumber(reservation.decryptionRequestId),
+                requestTimestamp: toNumber(reservation.requestTimestamp),
+                platformFee: toBigInt(reservation.platformFee),
+            };
+        }
+
+        // Pending and active windows that have not ended yet, ordered by start time
+        async getBookings(spotId) {
+            return parseBookings(await this.contract.getSpotBookings(spotId));
+        }
+
+        async getGatewayRequest(requestId) {
+            const request = await this.contract.gatewayRequests(requestId);
+            return {
+                id: Number(requestId),
+                reservationId: toNumber(request.reservationId),
+                requester: request.requester,
+                timestamp: toNumber(request.timestamp),
+                processed: request.processed,
+                timedOut: request.timedOut,
+            };
+        }
+
+        // Reason the gateway callback gave for refunding a request ('Offer not accepted', 'Spot not available'),
+        // read from the RefundIssued event of the callback transaction; null if the callback refunded nothing
+        async getRefundReason(requestId) {
+            const [callback] = await this.contract.queryFilter(
+                this.contract.filters.GatewayCallbackReceived(requestId),
+                this.deploymentBlock
+            );
+            if (!callback) {
+                return null;
+            }
+
+            const receipt = await callback.getTransactionReceipt();
+            const refund = findEvent(parseLogs(this.contract, receipt.logs), 'RefundIssued');
+            return refund ? refund.args.reason : null;
+        }
+
+        // Seconds after which an unanswered gateway request can be timed out
+        async timeoutPeriod() {
+            if (this._timeoutPeriod == null) {
+                this._timeoutPeriod = toNumber(await this.contract.TIMEOUT_PERIOD());
+            }
+            return this._timeoutPeriod;
+        }
+
+        // Refunds the deposit of a reservation the gateway never answered
+        async triggerTimeout(requestId) {
+            return sendTransaction(this.contract, this.contract.triggerTimeout(requestId));
+        }
+
+        async listReservations(userAddress) {
+            const ids = await this.contract.getUserReservations(userAddress);
+            return this.getReservations(ids.map((id) => toNumber(id)));
+        }
+
+        // Paginated views return { items, total }, at most MAX_PAGE_SIZE items per call
+        async getSpotsPage(offset, limit) {
+            const [page, total] = await (await this._views()).getSpotsPage(offset, limit);
+            return {
+                items: page.map((item) => this._parseSpot(item.spotId, item.spot, item.lotId)),
+                total: toNumber(total),
+            };
+        }
+
+        async getUserReservationsPage(userAddress, offset, limit) {
+            const [page, total] = await (await this._views()).getUserReservationsPage(userAddress, offset, limit);
+            return { items: this._parseReservationViews(page), total: toNumber(total) };
+        }
+
+        // Pages run over reservation IDs: a page may hold fewer than limit items, keep going until offset reaches total
+        async getActiveReservations(offset, limit) {
+            const [page, total] = await (await this._views()).getActiveReservations(offset, limit);
+            return { items: this._parseReservationViews(page), total: toNumber(total) };
+        }
+
+        async getRegisteredUsersPage(offset, limit) {
+            const [page, total] = await (await this._views()).getRegisteredUsersPage(offset, limit);
+            return {
+                items: page.map((item) => ({ address: item.account, ...this._parseUser(item.user) })),
+                total: toNumber(total),
+            };
+        }
+
+        _parseReservationViews(page) {
+            return page.map((item) => this._parseReservation(item.reservationId, item.reservation));
+        }
+
+        // The views do not fit in the contract itself; its constructor deploys them (PrivateParkingReservation.views)
+        async _views() {
+            if (!this._viewsContract) {
+                if (!this.ethers) {
+                    throw new Error('Paginated views need the ethers library: pass `ethers` to createParkingAdapter');
+                }
+                const runner = this.contract.runner || this.contract.signer || this.contract.provider;
+                this._viewsContract = new this.ethers.Contract(await this.contract.views(), VIEWS_ABI, runner);
+            }
+            return this._viewsContract;
+        }
+
+        async getUser(userAddress) {
+            return this._parseUser(await this.contract.getUserProfile(userAddress));
+        }
+
+        _parseUser(profile) {
+            return {
+                isRegistered: profile.isRegistered,
+                userId: null,
+                creditScore: null,
+                totalReservations: toNumber(profile.totalReservations),
+                depositBalance: toBigInt(profile.depositBalance),
+            };
+        }
+
+        /**
+         * Ask the contract whether a spot is available; the answer is encrypted and only the connected account may
+         * decrypt it (a transaction, then an EIP-712 signature for the decryption keypair)
+         * @param {number} spotId - Spot ID
+         * @returns {Promise<boolean>}
+         */
+        async checkAvailability(spotId) {
+            await sendTransaction(this.contract, this.contract.checkSpotAvailability(spotId));
+            return this.decryptBool(await this.contract.getAvailabilityResult(spotId));
+        }
+
+        // Compared under encryption like checkAvailability; the user ID never leaves the contract in the clear
+        async verifyIdentity(userAddress, userId) {
+            await sendTransaction(this.contract, this.contract.verifyUserIdentity(userAddress, userId));
+            return this.decryptBool(await this.contract.getIdentityResult(userAddress));
+        }
+
+        /**
+         * Credit tier pricing set by the operators; a score or percentage of 0 disables its rule
+         * @returns {Promise<{minScore: number, depositScore: number, depositPercent: number,
+         *   discountScore: number, discountPercent: number}>}
+         */
+        async getCreditTiers() {
+            const tiers = await this.contract.creditTiers();
+            return {
+                minScore: toNumber(tiers.minScore),
+                depositScore: toNumber(tiers.depositScore),
+                depositPercent: toNumber(tiers.depositPercent),
+                discountScore: toNumber(tiers.discountScore),
+                discountPercent: toNumber(tiers.discountPercent),
+            };
+        }
+
+        // Operator only; offers are then compared to the price of the user's tier under encryption
+        async setCreditTiers(tiers) {
+            const { minScore = 0, depositScore = 0, depositPercent = 0, discountScore = 0, discountPercent = 0 } = tiers;
+            return sendTransaction(
+                this.contract,
+                this.contract.setCreditTiers(minScore, depositScore, depositPercent, discountScore, discountPercent)
+            );
+        }
+
+        /**
+         * Tier of the connected account, computed from its encrypted credit score and decrypted for it alone
+         * @returns {Promise<string>} One of DepositRequired, Standard or Discount
+         */
+        async getCreditTier() {
+            await sendTransaction(this.contract, this.contract.checkCreditTier());
+            const handle = await this.contract.getCreditTierResult();
+            const [tier] = await userDecrypt(this.fhe, this.contract, [handle], this.decryptionSession);
+            return CREDIT_TIERS[toNumber(tier)];
+        }
+
+        async decryptBool(handle) {
+            const [value] = await userDecrypt(this.fhe, this.contract, [handle], this.decryptionSession);
+            return Boolean(value);
+        }
+
+        async stats() {
+            const stats = await this.contract.getStatistics();
+            return {
+                totalSpots: toNumber(stats.totalParkingSpots),
+                totalReservations: toNumber(stats.totalReservationsCount),
+                timestamp: null,
+                platformFees: toBigInt(stats.currentPlatformFees),
+                paused: stats.isPaused,
+            };
+        }
+    }
+
+    return PrivateParkingReservationAdapter;
+});
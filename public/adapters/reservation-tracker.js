@@ -0,0 +1,210 @@
+// Follows reservations through the gateway callback flow:
+// ReservationRequested -> ReservationConfirmed, RefundIssued (offer rejected or spot taken) or TimeoutTriggered.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./adapter-utils'));
+    } else {
+        root.ParkingAdapters = root.ParkingAdapters || {};
+        root.ParkingAdapters.ReservationTracker = factory(root.ParkingAdapters.utils);
+    }
+})(typeof self !== 'undefined' ? self : this, function (utils) {
+    const { getBlockTimestamp } = utils;
+
+    const LIFECYCLE_STAGE = {
+        AWAITING_GATEWAY: 'AwaitingGateway',
+        TIMEOUT_CLAIMABLE: 'TimeoutClaimable',
+        CONFIRMED: 'Confirmed',
+        REFUNDED: 'Refunded',
+        TIMED_OUT: 'TimedOut',
+        CANCELLED: 'Cancelled',
+        COMPLETED: 'Completed',
+    };
+
+    // Any event that can move a pending reservation forward triggers a refresh
+    const WATCHED_EVENTS = [
+        'ReservationConfirmed',
+        'GatewayCallbackReceived',
+        'RefundIssued',
+        'TimeoutTriggered',
+        'ReservationCancelled',
+    ];
+
+    /**
+     * Derive the lifecycle stage of a reservation
+     * @param {object} reservation - Reservation returned by adapter.getReservation
+     * @param {object|null} request - Gateway request returned by adapter.getGatewayRequest
+     * @param {number} now - Current block timestamp
+     * @param {number|null} timeoutPeriod - Seconds before an unanswered request can be timed out
+     * @param {string|null} refundReason - Reason of the callback refund, from adapter.getRefundReason
+     * @returns {object} { reservationId, requestId, stage, status, reason, timeoutAt, canClaimTimeout, isSettled }
+     */
+    function describeLifecycle(reservation, request, now, timeoutPeriod, refundReason = null) {
+        const timeoutAt = request && timeoutPeriod != null ? request.timestamp + timeoutPeriod : null;
+        const lifecycle = {
+            reservationId: reservation.id,
+            requestId: reservation.requestId,
+            stage: null,
+            status: reservation.status,
+            reason: null,
+            timeoutAt,
+            canClaimTimeout: false,
+            isSettled: true,
+        };
+
+        switch (reservation.status) {
+            case 'Pending':
+                lifecycle.canClaimTimeout = timeoutAt != null && now >= timeoutAt && !request.processed && !request.timedOut;
+                lifecycle.stage = lifecycle.canClaimTimeout
+                    ? LIFECYCLE_STAGE.TIMEOUT_CLAIMABLE
+                    : LIFECYCLE_STAGE.AWAITING_GATEWAY;
+                lifecycle.isSettled = false;
+                break;
+            case 'Active':
+                lifecycle.stage = LIFECYCLE_STAGE.CONFIRMED;
+                break;
+            case 'Refunded':
+                // Same reasons the contract passes to RefundIssued
+                if (request && request.timedOut) {
+                    lifecycle.stage = LIFECYCLE_STAGE.TIMED_OUT;
+                    lifecycle.reason = 'Gateway timeout';
+                } else {
+                    lifecycle.stage = LIFECYCLE_STAGE.REFUNDED;
+                    lifecycle.reason = refundReason;
+                }
+                break;
+            case 'Cancelled':
+                lifecycle.stage = LIFECYCLE_STAGE.CANCELLED;
+                break;
+            default:
+                lifecycle.stage = LIFECYCLE_STAGE.COMPLETED;
+        }
+
+        return lifecycle;
+    }
+
+    class ReservationTracker {
+        /**
+         * @param {object} adapter - Contract adapter (see adapters/index.js)
+         * @param {object} options - { onUpdate(lifecycle), pollInterval } onUpdate fires when a tracked reservation
+         *   changes stage; pollInterval in ms, 0 disables polling
+         */
+        constructor(adapter, options = {}) {
+            this.adapter = adapter;
+            this.onUpdate = options.onUpdate || (() => {});
+            this.pollInterval = options.pollInterval != null ? options.pollInterval : 15000;
+            this.tracked = new Map();
+            this.listener = null;
+            this.timer = null;
+        }
+
+        /**
+         * Start following a reservation; settled reservations are returned but not watched
+         * @param {number} reservationId - Reservation ID
+         * @returns {Promise<object>} Current lifecycle
+         */
+        async track(reservationId) {
+            this.tracked.set(Number(reservationId), null);
+            const lifecycle = await this.refresh(reservationId);
+            this.updateWatchers();
+            return lifecycle;
+        }
+
+        untrack(reservationId) {
+            this.tracked.delete(Number(reservationId));
+            this.updateWatchers();
+        }
+
+        get(reservationId) {
+            return this.tracked.get(Number(reservationId)) || null;
+        }
+
+        /**
+         * Re-read a reservation and notify onUpdate if its stage changed
+         * @param {number} reservationId - Reservation ID
+         * @returns {Promise<object>} Current lifecycle
+         */
+        async refresh(reservationId) {
+            const id = Number(reservationId);
+            const reservation = await this.adapter.getReservation(id);
+            const [request, now, timeoutPeriod] = await Promise.all([
+                reservation.requestId != null ? this.adapter.getGatewayRequest(reservation.requestId) : null,
+                getBlockTimestamp(this.adapter.contract),
+                this.adapter.timeoutPeriod(),
+            ]);
+
+            const refundReason =
+                reservation.status === 'Refunded' && request && !request.timedOut
+                    ? await this.adapter.getRefundReason(reservation.requestId)
+                    : null;
+
+            const lifecycle = describeLifecycle(reservation, request, now, timeoutPeriod, refundReason);
+            const previous = this.tracked.get(id);
+
+            if (lifecycle.isSettled) {
+                this.tracked.delete(id);
+            } else {
+                this.tracked.set(id, lifecycle);
+            }
+
+            if (previous && previous.stage !== lifecycle.stage) {
+                this.onUpdate(lifecycle);
+            }
+            return lifecycle;
+        }
+
+        async refreshAll() {
+            const ids = Array.from(this.tracked.keys());
+            const results = await Promise.allSettled(ids.map((id) => this.refresh(id)));
+            results
+                .filter((result) => result.status === 'rejected')
+                .forEach((result) => console.warn('Reservation refresh failed:', result.reason));
+            this.updateWatchers();
+        }
+
+        /**
+         * Claim the deposit back once the gateway missed TIMEOUT_PERIOD
+         * @param {number} reservationId - Reservation ID
+         * @returns {Promise<object>} Lifecycle after the refund
+         */
+        async claimTimeoutRefund(reservationId) {
+            const lifecycle = await this.refresh(reservationId);
+            if (!lifecycle.canClaimTimeout) {
+                throw new Error(`Reservation #${reservationId} cannot be timed out yet`);
+            }
+
+            await this.adapter.triggerTimeout(lifecycle.requestId);
+            return this.refresh(reservationId);
+        }
+
+        // Listen for contract events and poll only while something is still pending
+        updateWatchers() {
+            const pending = this.tracked.size > 0;
+
+            if (pending && !this.listener) {
+                this.listener = () => this.refreshAll();
+                WATCHED_EVENTS.forEach((name) => this.adapter.contract.on(name, this.listener));
+            } else if (!pending && this.listener) {
+                WATCHED_EVENTS.forEach((name) => this.adapter.contract.off(name, this.listener));
+                this.listener = null;
+            }
+
+            // Polling also notices when TIMEOUT_PERIOD elapses, which emits no event
+            if (pending && !this.timer && this.pollInterval > 0) {
+                this.timer = setInterval(() => this.refreshAll(), this.pollInterval);
+            } else if (!pending && this.timer) {
+                clearInterval(this.timer);
+                this.timer = null;
+            }
+        }
+
+        stop() {
+            this.tracked.clear();
+            this.updateWatchers();
+        }
+    }
+
+    ReservationTracker.LIFECYCLE_STAGE = LIFECYCLE_STAGE;
+    ReservationTracker.describeLifecycle = describeLifecycle;
+
+    return ReservationTracker;
+});
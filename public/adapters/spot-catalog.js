@@ -0,0 +1,103 @@
+// Enumerates every parking spot of a contract and filters/sorts them for the spot browser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ParkingAdapters = root.ParkingAdapters || {};
+        root.ParkingAdapters.spotCatalog = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SPOT_STATE = {
+        AVAILABLE: 'available',
+        RESERVED: 'reserved',
+        INACTIVE: 'inactive',
+        // FHE contract: status is encrypted and no reservation is running
+        UNKNOWN: 'unknown',
+    };
+
+    const SORTERS = {
+        id: (a, b) => a.id - b.id,
+        location: (a, b) => a.location.localeCompare(b.location),
+        // Encrypted prices sort last
+        price: (a, b) => {
+            if (a.price == null || b.price == null) return Number(a.price == null) - Number(b.price == null);
+            return a.price < b.price ? -1 : a.price > b.price ? 1 : 0;
+        },
+        // Soonest free first; spots without a running reservation come first
+        reservationEnd: (a, b) => a.reservationEnd - b.reservationEnd,
+    };
+
+    /**
+     * Load every spot the contract knows about
+     * @param {object} adapter - Contract adapter
+     * @returns {Promise<object[]>} Spots in ID order
+     */
+    async function loadSpots(adapter) {
+        const { totalSpots } = await adapter.stats();
+        return adapter.getSpots(adapter.spotIds(totalSpots));
+    }
+
+    /**
+     * Availability of a spot at a point in time
+     * @param {object} spot - Spot returned by adapter.getSpot
+     * @param {number} now - Unix timestamp in seconds
+     * @returns {string} One of SPOT_STATE
+     */
+    function spotState(spot, now) {
+        if (!spot.isActive) return SPOT_STATE.INACTIVE;
+        if (spot.reservationEnd > now || spot.isAvailable === false) return SPOT_STATE.RESERVED;
+        if (spot.isAvailable === true) return SPOT_STATE.AVAILABLE;
+        return SPOT_STATE.UNKNOWN;
+    }
+
+    /**
+     * Filter and sort spots
+     * @param {object[]} spots - Spots returned by loadSpots
+     * @param {object} options - { search, state, sortBy, descending } state is a SPOT_STATE or 'all';
+     *   'available' also keeps spots whose status is encrypted but not visibly reserved
+     * @param {number} now - Unix timestamp in seconds
+     * @returns {object[]} Matching spots
+     */
+    function filterSpots(spots, options = {}, now = Math.floor(Date.now() / 1000)) {
+        const { search = '', state = 'all', sortBy = 'id', descending = false } = options;
+        const query = search.trim().toLowerCase();
+        const sorter = SORTERS[sortBy] || SORTERS.id;
+
+        return spots
+            .filter((spot) => !query || spot.location.toLowerCase().includes(query) || String(spot.id) === query)
+            .filter((spot) => {
+                const current = spotState(spot, now);
+                if (state === 'all') return true;
+                if (state === SPOT_STATE.AVAILABLE) return current === SPOT_STATE.AVAILABLE || current === SPOT_STATE.UNKNOWN;
+                return current === state;
+            })
+            .sort((a, b) => (descending ? sorter(b, a) : sorter(a, b)));
+    }
+
+    /**
+     * Format the time left until a reservation ends
+     * @param {number} seconds - Seconds remaining
+     * @returns {string} e.g. "1h 05m 09s"
+     */
+    function formatCountdown(seconds) {
+        if (seconds <= 0) return 'ended';
+        const hours = Math.floor(seconds / 3600);
+        const minutes = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+        const secs = String(seconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}h ${minutes}m ${secs}s` : `${minutes}m ${secs}s`;
+    }
+
+    /**
+     * Call onChange whenever an event that affects spots is emitted
+     * @param {object} adapter - Contract adapter
+     * @param {Function} onChange - Listener
+     * @returns {Function} Unsubscribe
+     */
+    function watchSpots(adapter, onChange) {
+        const listener = () => onChange();
+        adapter.spotEvents.forEach((name) => adapter.contract.on(name, listener));
+        return () => adapter.spotEvents.forEach((name) => adapter.contract.off(name, listener));
+    }
+
+    return { SPOT_STATE, loadSpots, spotState, filterSpots, formatCountdown, watchSpots };
+});
@@ -1,51 +1,56 @@
 // Private Parking Reservation System - Frontend Application
+
+// Credit tier fields and the inputs of the tier pricing form
+const CREDIT_TIER_INPUTS = {
+    minScore: 'tierMinScore',
+    depositScore: 'tierDepositScore',
+    depositPercent: 'tierDepositPercent',
+    discountScore: 'tierDiscountScore',
+    discountPercent: 'tierDiscountPercent'
+};
+
+// Items per page of the spot browser and of My Reservations, read through the paginated views
+const SPOT_PAGE_SIZE = 24;
+const RESERVATION_PAGE_SIZE = 12;
+
+const PRICING_RULE_INPUTS = {
+    peakStartHour: 'pricingPeakStartHour',
+    peakEndHour: 'pricingPeakEndHour',
+    peakPercent: 'pricingPeakPercent',
+    weekendPercent: 'pricingWeekendPercent',
+    surgeOccupancy: 'pricingSurgeOccupancy',
+    surgePercent: 'pricingSurgePercent'
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Strings read from the contract (spot locations, lot names) are set by whoever added them
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
 class ParkingApp {
     constructor() {
         this.provider = null;
         this.signer = null;
-        this.contract = null;
+        this.adapter = null;
+        this.tracker = null;
         this.userAddress = null;
-
-        // Contract Configuration - Update after deployment
-        this.contractAddress = "0x78257622318fC85f2a9c909DD7aF9d0142cd90ce"; // Replace with actual contract address
-        this.contractABI = [
-            // Basic functions
-            "function owner() view returns (address)",
-            "function totalSpots() view returns (uint32)",
-            "function reservationCounter() view returns (uint32)",
-
-            // User management
-            "function registerUser(uint32 _userId, uint16 _creditScore)",
-            "function userProfiles(address) view returns (tuple(uint32, uint16, bool, uint256, uint256))",
-
-            // Parking spot management
-            "function addParkingSpot(uint16 _price, string _location)",
-            "function checkSpotAvailability(uint32 spotId) returns (bool)",
-            "function getSpotInfo(uint32 spotId) view returns (string, bool, uint256)",
-
-            // Reservation management
-            "function reserveSpot(uint32 spotId, uint256 duration, uint16 paymentAmount)",
-            "function completeReservation(uint256 reservationId)",
-            "function cancelReservation(uint256 reservationId)",
-            "function getUserReservations(address user) view returns (uint256[])",
-            "function getReservationInfo(uint256 reservationId) view returns (uint32, uint256, uint256, bool)",
-
-            // Query functions
-            "function getStatistics() view returns (uint32, uint256, uint256)",
-            "function verifyUserIdentity(address user, uint32 providedUserId) returns (bool)",
-
-            // Admin functions
-            "function updateSpotPrice(uint32 spotId, uint16 newPrice)",
-            "function setSpotMaintenance(uint32 spotId, bool inMaintenance)",
-            "function emergencyReleaseSpot(uint32 spotId)",
-
-            // Events
-            "event UserRegistered(address indexed user)",
-            "event SpotAdded(uint32 indexed spotId, string location)",
-            "event ReservationCreated(uint256 indexed reservationId, uint32 indexed spotId, address indexed user)",
-            "event ReservationCompleted(uint256 indexed reservationId, uint32 indexed spotId)",
-            "event ReservationCancelled(uint256 indexed reservationId, uint32 indexed spotId)"
-        ];
+        this.fhePromise = null;
+        this.creditTiers = null;
+        this.unwatchWaitlist = null;
+
+        // Spot browser state: the spots of the page shown, out of spotTotal
+        this.spots = [];
+        this.spotPage = 0;
+        this.spotTotal = 0;
+        this.reservationPage = 0;
+        this.unwatchSpots = null;
+        this.countdownTimer = null;
+
+        // Contract ABIs and deployments - generated from compiled artifacts by `npm run abi:generate`.
+        // The adapter for whichever contract is deployed on the connected network is picked in connectWallet.
+        this.contracts = window.PARKING_CONTRACTS;
 
         this.initializeApp();
     }
@@ -99,19 +104,32 @@ class ParkingApp {
             this.provider = new ethers.providers.Web3Provider(window.ethereum);
             this.signer = this.provider.getSigner();
             this.userAddress = await this.signer.getAddress();
+            this.reservationPage = 0;
 
             // Check network
             const network = await this.provider.getNetwork();
             console.log('Connected network:', network);
 
-            // Initialize contract
-            if (this.contractAddress && this.contractAddress !== "0x...") {
-                this.contract = new ethers.Contract(
-                    this.contractAddress,
-                    this.contractABI,
-                    this.signer
-                );
+            // Initialize contract adapter
+            this.adapter = window.ParkingAdapters.createParkingAdapter({
+                ethers,
+                contracts: this.contracts,
+                chainId: network.chainId,
+                runner: this.signer,
+                fhe: () => this.getFheInstance()
+            });
+            if (!this.adapter) {
+                console.warn(`No parking contract deployment for chain ${network.chainId}`);
+            } else {
+                // Prices and amounts are parsed and formatted in the payment token from here on
+                await this.adapter.loadPaymentToken();
             }
+            this.updateContractHints();
+            this.loadCreditTiers();
+            this.showPricingRules();
+            this.startWaitlistNotifications();
+            this.startReservationTracker();
+            this.startSpotBrowser();
 
             // Update UI
             document.getElementById('walletInfo').innerHTML = `
@@ -122,8 +140,13 @@ class ParkingApp {
                 <div>
                     <strong>Network:</strong> ${network.name} (${network.chainId})
                 </div>
+                <div>
+                    <strong>Contract:</strong> ${this.adapter ? this.adapter.contractName : 'Not deployed on this network'}
+                </div>
+                <div id="tokenBalances"></div>
                 <button id="disconnectWallet" class="btn btn-secondary">Disconnect</button>
             `;
+            this.renderTokenBalances();
 
             const disconnectBtn = document.getElementById('disconnectWallet');
             if (disconnectBtn) {
@@ -138,11 +161,105 @@ class ParkingApp {
         }
     }
 
+    // Relayer SDK instance for encrypted inputs, created on first use since initSDK loads the WASM modules
+    getFheInstance() {
+        if (!this.fhePromise) {
+            if (!window.relayerSDK) {
+                return Promise.reject(new Error('Zama relayer SDK failed to load. Please refresh the page.'));
+            }
+            const { initSDK, createInstance, SepoliaConfig } = window.relayerSDK;
+            this.fhePromise = initSDK()
+                .then(() => createInstance({ ...SepoliaConfig, network: window.ethereum }))
+                .catch((error) => {
+                    this.fhePromise = null;
+                    throw error;
+                });
+        }
+        return this.fhePromise;
+    }
+
+    // Price and payment semantics differ between contracts
+    updateContractHints() {
+        if (!this.adapter) return;
+
+        const { paymentToken } = this.adapter;
+        document.getElementById('spotPrice').placeholder = `Enter price (${this.adapter.priceUnit})`;
+        document.getElementById('paymentAmount').placeholder = paymentToken
+            ? `Paid in ${paymentToken.symbol} at the listed price (leave empty)`
+            : this.adapter.capabilities.publicPrices
+                ? 'ETH (leave empty to pay the listed price)'
+                : 'ETH deposit (refunded if the spot is unavailable)';
+        document.getElementById('paymentAmount').disabled = Boolean(paymentToken);
+        document.getElementById('ethOnlyNote').style.display = this.adapter.capabilities.tokenPayments ? 'none' : '';
+    }
+
+    // Token balance and allowance of the connected account, when the contract takes an ERC-20
+    async renderTokenBalances() {
+        const element = document.getElementById('tokenBalances');
+        if (!element || !this.adapter) return;
+
+        try {
+            const balances = await this.adapter.tokenBalances(this.userAddress);
+            element.innerHTML = balances ? `
+                <strong>${this.adapter.paymentToken.symbol}:</strong>
+                ${this.adapter.formatAmount(balances.balance)} (allowance ${this.adapter.formatAmount(balances.allowance)})
+            ` : '';
+        } catch (error) {
+            console.error('Loading token balances failed:', error);
+        }
+    }
+
+    // Gateway-confirmed reservations are followed until confirmed, refunded or timed out
+    startReservationTracker() {
+        if (this.tracker) {
+            this.tracker.stop();
+            this.tracker = null;
+        }
+        if (!this.adapter || !this.adapter.capabilities.gatewayCallback) return;
+
+        this.tracker = new window.ParkingAdapters.ReservationTracker(this.adapter, {
+            onUpdate: (lifecycle) => this.onReservationUpdate(lifecycle)
+        });
+    }
+
+    onReservationUpdate(lifecycle) {
+        const messages = {
+            Confirmed: [`Reservation #${lifecycle.reservationId} confirmed by the gateway`, 'success'],
+            Refunded: [`Reservation #${lifecycle.reservationId} refunded: ${lifecycle.reason}`, 'error'],
+            TimedOut: [`Reservation #${lifecycle.reservationId} refunded: ${lifecycle.reason}`, 'info'],
+            TimeoutClaimable: [`Gateway did not answer reservation #${lifecycle.reservationId}, you can claim a timeout refund`, 'info']
+        };
+        if (messages[lifecycle.stage]) {
+            this.showStatus('parkingManagementStatus', ...messages[lifecycle.stage]);
+        }
+
+        // Re-render the list if it is being shown
+        if (document.getElementById('myReservations').querySelector('.parking-grid')) {
+            this.loadMyReservations();
+        }
+        this.loadSystemStats();
+    }
+
     disconnectWallet() {
+        if (this.tracker) {
+            this.tracker.stop();
+            this.tracker = null;
+        }
+        this.stopSpotBrowser();
+        this.stopWaitlistNotifications();
+        this.calendarSpotId = null;
+        document.getElementById('spotCalendar').innerHTML = '';
         this.provider = null;
         this.signer = null;
-        this.contract = null;
+        this.adapter = null;
         this.userAddress = null;
+        this.creditTiers = null;
+        document.getElementById('creditTiersCard').style.display = 'none';
+        this.showPricingRules();
+        document.getElementById('lotDashboard').innerHTML = '';
+        document.getElementById('withdrawableBalance').innerHTML = '';
+        document.getElementById('penaltyStatus').innerHTML = '';
+        document.getElementById('myReservationsPager').innerHTML = '';
 
         document.getElementById('walletInfo').innerHTML = `
             <button id="connectWallet" class="btn">Connect MetaMask Wallet</button>
@@ -184,6 +301,42 @@ class ParkingApp {
             this.reserveSpot();
         });
 
+        document.getElementById('quoteSpot').addEventListener('click', () => {
+            this.quoteSpot();
+        });
+
+        document.getElementById('joinWaitlist').addEventListener('click', () => {
+            this.joinWaitlist();
+        });
+
+        document.getElementById('leaveWaitlist').addEventListener('click', () => {
+            const spotId = document.getElementById('reserveSpotId').value;
+            if (!spotId) {
+                this.showStatus('parkingManagementStatus', 'Please fill in the spot ID', 'error');
+                return;
+            }
+            this.leaveWaitlist(Number(spotId));
+        });
+
+        document.getElementById('showSpotCalendar').addEventListener('click', () => {
+            this.loadSpotCalendar();
+        });
+
+        // Spot browser
+        document.getElementById('loadSpots').addEventListener('click', () => {
+            this.loadSpots();
+        });
+
+        document.getElementById('spotSearch').addEventListener('input', () => {
+            this.renderSpotBrowser();
+        });
+
+        ['spotStateFilter', 'spotSort'].forEach((id) => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.renderSpotBrowser();
+            });
+        });
+
         // 查询功能
         document.getElementById('checkAvailability').addEventListener('click', () => {
             this.checkSpotAvailability();
@@ -193,7 +346,37 @@ class ParkingApp {
             this.verifyUserIdentity();
         });
 
+        // Credit tiers
+        document.getElementById('updateCreditTiers').addEventListener('click', () => {
+            this.updateCreditTiers();
+        });
+
+        document.getElementById('checkCreditTier').addEventListener('click', () => {
+            this.checkCreditTier();
+        });
+
+        // Pricing rules
+        document.getElementById('loadPricingRule').addEventListener('click', () => {
+            this.loadPricingRule();
+        });
+
+        document.getElementById('savePricingRule').addEventListener('click', () => {
+            this.savePricingRule(true);
+        });
+
+        document.getElementById('clearPricingRule').addEventListener('click', () => {
+            this.savePricingRule(false);
+        });
+
         // System status
+        document.getElementById('registerLot').addEventListener('click', () => {
+            this.registerLot();
+        });
+
+        document.getElementById('loadLotDashboard').addEventListener('click', () => {
+            this.loadLotDashboard();
+        });
+
         document.getElementById('refreshStats').addEventListener('click', () => {
             this.loadSystemStats();
         });
@@ -205,7 +388,7 @@ class ParkingApp {
     }
 
     async registerUser() {
-        if (!this.contract) {
+        if (!this.adapter) {
             this.showStatus('registerStatus', 'Please connect wallet and ensure contract address is correct', 'error');
             return;
         }
@@ -224,12 +407,11 @@ class ParkingApp {
         }
 
         try {
-            this.showStatus('registerStatus', 'Registering user...', 'info');
-
-            const tx = await this.contract.registerUser(userId, creditScore);
-            this.showStatus('registerStatus', 'Transaction sent, waiting for confirmation...', 'info');
+            this.showStatus('registerStatus', this.adapter.capabilities.encryptedInputs
+                ? 'Encrypting credentials and registering...'
+                : 'Registering user...', 'info');
 
-            await tx.wait();
+            await this.adapter.register(userId, creditScore);
             this.showStatus('registerStatus', 'User registration successful!', 'success');
 
             // Clear form
@@ -243,7 +425,7 @@ class ParkingApp {
     }
 
     async addParkingSpot() {
-        if (!this.contract) {
+        if (!this.adapter) {
             this.showStatus('parkingManagementStatus', 'Please connect wallet and ensure contract address is correct', 'error');
             return;
         }
@@ -259,11 +441,8 @@ class ParkingApp {
         try {
             this.showStatus('parkingManagementStatus', 'Adding parking spot...', 'info');
 
-            const tx = await this.contract.addParkingSpot(price, location);
-            this.showStatus('parkingManagementStatus', 'Transaction sent, waiting for confirmation...', 'info');
-
-            await tx.wait();
-            this.showStatus('parkingManagementStatus', 'Parking spot added successfully!', 'success');
+            const { spotId } = await this.adapter.addSpot(location, this.adapter.parsePrice(price));
+            this.showStatus('parkingManagementStatus', `Parking spot #${spotId} added successfully!`, 'success');
 
             // Clear form
             document.getElementById('spotPrice').value = '';
@@ -279,7 +458,7 @@ class ParkingApp {
     }
 
     async reserveSpot() {
-        if (!this.contract) {
+        if (!this.adapter) {
             this.showStatus('parkingManagementStatus', 'Please connect wallet and ensure contract address is correct', 'error');
             return;
         }
@@ -287,37 +466,275 @@ class ParkingApp {
         const spotId = document.getElementById('reserveSpotId').value;
         const duration = document.getElementById('reserveDuration').value;
         const paymentAmount = document.getElementById('paymentAmount').value;
+        const startDate = document.getElementById('reserveStartDate').value;
+        const startClock = document.getElementById('reserveStartTime').value;
 
-        if (!spotId || !duration || !paymentAmount) {
-            this.showStatus('parkingManagementStatus', 'Please fill in all fields', 'error');
+        if (!spotId || !duration) {
+            this.showStatus('parkingManagementStatus', 'Please fill in spot ID and duration', 'error');
             return;
         }
 
-        try {
-            this.showStatus('parkingManagementStatus', 'Reserving parking spot...', 'info');
-
-            const tx = await this.contract.reserveSpot(spotId, duration, paymentAmount);
-            this.showStatus('parkingManagementStatus', 'Transaction sent, waiting for confirmation...', 'info');
-
-            await tx.wait();
-            this.showStatus('parkingManagementStatus', 'Parking spot reserved successfully!', 'success');
+        // No start date: the reservation starts now
+        let startTime = null;
+        if (startDate) {
+            const { parseDateTime, findConflict, formatWindow } = window.ParkingAdapters.bookingCalendar;
+            try {
+                startTime = parseDateTime(startDate, startClock || '00:00');
+                if (startTime < Math.floor(Date.now() / 1000)) {
+                    throw new Error('Start time is in the past');
+                }
+                const conflict = findConflict(await this.adapter.getBookings(Number(spotId)), startTime, startTime + Number(duration));
+                if (conflict) {
+                    throw new Error(`Spot #${spotId} is already booked ${formatWindow(conflict)}`);
+                }
+            } catch (error) {
+                this.showStatus('parkingManagementStatus', error.message, 'error');
+                return;
+            }
+        }
 
+        const reserved = await this.submitReservation(spotId, duration, paymentAmount, 'parkingManagementStatus', startTime);
+        if (reserved) {
             // Clear form
             document.getElementById('reserveSpotId').value = '';
             document.getElementById('reserveDuration').value = '';
             document.getElementById('paymentAmount').value = '';
+            document.getElementById('reserveStartDate').value = '';
+            document.getElementById('reserveStartTime').value = '';
+            if (this.calendarSpotId === Number(spotId)) {
+                await this.loadSpotCalendar(this.calendarSpotId);
+            }
+        }
+    }
+
+    // Booked windows of one spot over the next week
+    async loadSpotCalendar(spotId) {
+        const container = document.getElementById('spotCalendar');
+        if (!this.adapter) {
+            this.showStatus('parkingManagementStatus', 'Please connect wallet first', 'error');
+            return;
+        }
+
+        const input = document.getElementById('reserveSpotId').value;
+        spotId = spotId != null ? spotId : input ? Number(input) : this.calendarSpotId;
+        if (spotId == null) {
+            this.showStatus('parkingManagementStatus', 'Please fill in the spot ID to show its bookings', 'error');
+            return;
+        }
+
+        try {
+            const { calendarDays, formatWindow } = window.ParkingAdapters.bookingCalendar;
+            const bookings = await this.adapter.getBookings(spotId);
+            this.calendarSpotId = spotId;
+
+            const rows = calendarDays(bookings).map((day) => {
+                const label = new Date(day.start * 1000).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+                const slots = day.slots.map((slot) =>
+                    `<div class="calendar-slot" style="left: ${slot.offset}%; width: ${slot.width}%" title="Reservation #${slot.reservationId}: ${formatWindow(slot)}"></div>`
+                ).join('');
+                return `<div class="calendar-day"><span>${label}</span><div class="calendar-track">${slots}</div></div>`;
+            }).join('');
+            const list = bookings.length === 0
+                ? '<p>No upcoming bookings</p>'
+                : `<ul>${bookings.map((booking) => `<li>#${booking.reservationId}: ${formatWindow(booking)}</li>`).join('')}</ul>`;
+
+            container.innerHTML = `
+                <h3>📅 Spot #${spotId} bookings (next 7 days)</h3>
+                ${rows}
+                <div class="calendar-list">${list}</div>
+            `;
+        } catch (error) {
+            console.error('Loading bookings failed:', error);
+            container.innerHTML = '';
+            this.showStatus('parkingManagementStatus', 'Loading bookings failed: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Reserve a spot and report progress in a status element
+     * @returns {Promise<boolean>} Whether the reservation transaction succeeded
+     */
+    async submitReservation(spotId, duration, paymentAmount, statusElementId, startTime = null) {
+        try {
+            this.showStatus(statusElementId, 'Reserving parking spot...', 'info');
+
+            const payment = paymentAmount ? window.ParkingAdapters.utils.parseUnits(paymentAmount, 18) : null;
+            const { reservationId, requestId } = await this.adapter.reserve(Number(spotId), Number(duration), payment, startTime);
+
+            if (this.adapter.capabilities.gatewayCallback) {
+                this.showStatus(statusElementId,
+                    `Reservation #${reservationId} requested, waiting for gateway confirmation (request ${requestId})`, 'info');
+                if (this.tracker && reservationId !== null) {
+                    await this.tracker.track(reservationId);
+                }
+            } else {
+                this.showStatus(statusElementId, `Parking spot reserved successfully! Reservation #${reservationId}`, 'success');
+            }
 
             // Refresh statistics
             await this.loadSystemStats();
+            await this.renderTokenBalances();
+            return true;
 
         } catch (error) {
             console.error('Reservation failed:', error);
-            this.showStatus('parkingManagementStatus', 'Reservation failed: ' + error.message, 'error');
+            this.showStatus(statusElementId, 'Reservation failed: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    // Spot browser: lists a page of spots, refreshed on spot events and ticking reservation countdowns
+    startSpotBrowser() {
+        this.stopSpotBrowser();
+        if (!this.adapter) return;
+
+        this.unwatchSpots = window.ParkingAdapters.spotCatalog.watchSpots(this.adapter, () => this.loadSpots());
+        this.countdownTimer = setInterval(() => this.updateCountdowns(), 1000);
+        this.loadSpots();
+    }
+
+    stopSpotBrowser() {
+        if (this.unwatchSpots) {
+            this.unwatchSpots();
+            this.unwatchSpots = null;
+        }
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+        this.spots = [];
+        this.spotPage = 0;
+        this.spotTotal = 0;
+        document.getElementById('spotBrowser').innerHTML = '';
+        document.getElementById('spotPager').innerHTML = '';
+    }
+
+    async loadSpots() {
+        if (!this.adapter) {
+            this.showStatus('spotBrowserStatus', 'Please connect wallet first', 'error');
+            return;
+        }
+
+        try {
+            const { items, total } = await this.adapter.getSpotsPage(this.spotPage * SPOT_PAGE_SIZE, SPOT_PAGE_SIZE);
+            this.spots = items;
+            this.spotTotal = total;
+            this.renderSpotBrowser();
+            document.getElementById('spotPager').innerHTML =
+                this.renderPager(this.spotPage, SPOT_PAGE_SIZE, total, 'showSpotPage');
+        } catch (error) {
+            console.error('Loading spots failed:', error);
+            this.showStatus('spotBrowserStatus', 'Loading spots failed: ' + error.message, 'error');
+        }
+    }
+
+    renderSpotBrowser() {
+        if (!this.adapter) return;
+
+        const { filterSpots } = window.ParkingAdapters.spotCatalog;
+        const now = Math.floor(Date.now() / 1000);
+        const spots = filterSpots(this.spots, {
+            search: document.getElementById('spotSearch').value,
+            state: document.getElementById('spotStateFilter').value,
+            sortBy: document.getElementById('spotSort').value
+        }, now);
+
+        if (this.spotTotal === 0) {
+            document.getElementById('spotBrowser').innerHTML =
+                '<div class="status status-info">No parking spots have been added yet</div>';
+            return;
+        }
+        if (spots.length === 0) {
+            document.getElementById('spotBrowser').innerHTML =
+                '<div class="status status-info">No parking spots on this page match the filters</div>';
+            return;
+        }
+
+        const cardsHtml = spots.map((spot) => this.renderSpotCard(spot, now)).join('');
+        document.getElementById('spotBrowser').innerHTML = `<div class="parking-grid">${cardsHtml}</div>`;
+    }
+
+    showSpotPage(page) {
+        this.spotPage = page;
+        this.loadSpots();
+    }
+
+    // Previous/next buttons calling app[method](page), and which items of total the page holds
+    renderPager(page, pageSize, total, method) {
+        if (total <= pageSize) return '';
+
+        const first = page * pageSize + 1;
+        const last = Math.min((page + 1) * pageSize, total);
+        return `
+            <button onclick="app.${method}(${page - 1})" class="btn btn-secondary" ${page === 0 ? 'disabled' : ''}>← Previous</button>
+            <span>${first}–${last} of ${total}</span>
+            <button onclick="app.${method}(${page + 1})" class="btn btn-secondary" ${last >= total ? 'disabled' : ''}>Next →</button>
+        `;
+    }
+
+    renderSpotCard(spot, now) {
+        const { SPOT_STATE, spotState, formatCountdown } = window.ParkingAdapters.spotCatalog;
+        const state = spotState(spot, now);
+        const stateInfo = {
+            [SPOT_STATE.AVAILABLE]: ['spot-available', '✅ Available'],
+            [SPOT_STATE.RESERVED]: ['spot-reserved', '🔴 Reserved'],
+            [SPOT_STATE.INACTIVE]: ['spot-maintenance', '🚧 Out of service'],
+            [SPOT_STATE.UNKNOWN]: ['spot-unknown', '🔐 Status encrypted']
+        }[state];
+        const canReserve = state === SPOT_STATE.AVAILABLE || state === SPOT_STATE.UNKNOWN;
+
+        return `
+            <div class="parking-spot ${stateInfo[0]}">
+                <h4>Spot #${spot.id}</h4>
+                <p>${escapeHtml(spot.location)}</p>
+                <p><strong>Price:</strong> ${this.adapter.formatPrice(spot.price)}</p>
+                <p><strong>${stateInfo[1]}</strong></p>
+                ${spot.reservationEnd > now ? `<p>Free in <span class="spot-countdown" data-end="${spot.reservationEnd}">${formatCountdown(spot.reservationEnd - now)}</span></p>` : ''}
+                ${canReserve ? `
+                    <input type="number" id="spotDuration-${spot.id}" placeholder="Duration (seconds)" value="3600" min="60" max="86400">
+                    ${this.adapter.capabilities.publicPrices ? '' : `<input type="number" id="spotPayment-${spot.id}" placeholder="ETH deposit">`}
+                    <button onclick="app.reserveFromCard(${spot.id})" class="btn">Reserve</button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    updateCountdowns() {
+        const { formatCountdown } = window.ParkingAdapters.spotCatalog;
+        const now = Math.floor(Date.now() / 1000);
+        let expired = false;
+
+        document.querySelectorAll('.spot-countdown').forEach((element) => {
+            const remaining = Number(element.dataset.end) - now;
+            element.textContent = formatCountdown(remaining);
+            expired = expired || remaining <= 0;
+        });
+
+        // A reservation just ended: the spot can be reserved again
+        if (expired) {
+            this.renderSpotBrowser();
+        }
+    }
+
+    async reserveFromCard(spotId) {
+        if (!this.adapter) return;
+
+        const duration = document.getElementById(`spotDuration-${spotId}`).value;
+        const paymentInput = document.getElementById(`spotPayment-${spotId}`);
+
+        if (!duration) {
+            this.showStatus('spotBrowserStatus', 'Please enter a duration', 'error');
+            return;
+        }
+
+        const reserved = await this.submitReservation(spotId, duration, paymentInput ? paymentInput.value : '', 'spotBrowserStatus');
+        if (reserved) {
+            await this.loadSpots();
         }
     }
 
     async checkSpotAvailability() {
-        if (!this.contract) {
+        if (!this.adapter) {
             this.showStatus('queryStatus', 'Please connect wallet and ensure contract address is correct', 'error');
             return;
         }
@@ -332,18 +749,21 @@ class ParkingApp {
         try {
             this.showStatus('queryStatus', 'Checking availability...', 'info');
 
-            // Note: This is an FHE function, returns encrypted result
-            const isAvailable = await this.contract.checkSpotAvailability(spotId);
-
-            // Get parking spot information
-            const spotInfo = await this.contract.getSpotInfo(spotId);
+            const spot = await this.adapter.getSpot(spotId);
+            let isAvailable = spot.isAvailable;
+            if (isAvailable === null && spot.isActive) {
+                this.showStatus('queryStatus', 'Decrypting availability: confirm the query transaction, then sign the decryption request...', 'info');
+                isAvailable = await this.adapter.checkAvailability(Number(spotId));
+            }
+            const availability = isAvailable === null ? 'N/A' : (isAvailable ? 'Yes' : 'No');
 
             this.showStatus('queryStatus', `
                 <strong>Parking Spot ${spotId} Information:</strong><br>
-                Location: ${spotInfo[0]}<br>
-                Active Status: ${spotInfo[1] ? 'Yes' : 'No'}<br>
-                Reservation End Time: ${spotInfo[2] > 0 ? new Date(spotInfo[2] * 1000).toLocaleString() : 'Not reserved'}<br>
-                <em>Note: Availability status is encrypted, needs decryption to view</em>
+                Location: ${spot.location ? escapeHtml(spot.location) : 'N/A'}<br>
+                Price: ${this.adapter.formatPrice(spot.price)}<br>
+                Active Status: ${spot.isActive ? 'Yes' : 'No'}<br>
+                Available: ${availability}<br>
+                Reservation End Time: ${spot.reservationEnd > 0 ? this.formatTime(spot.reservationEnd) : 'Not reserved'}
             `, 'info');
 
         } catch (error) {
@@ -353,7 +773,7 @@ class ParkingApp {
     }
 
     async verifyUserIdentity() {
-        if (!this.contract) {
+        if (!this.adapter) {
             this.showStatus('queryStatus', 'Please connect wallet and ensure contract address is correct', 'error');
             return;
         }
@@ -366,14 +786,16 @@ class ParkingApp {
         }
 
         try {
-            this.showStatus('queryStatus', 'Verifying identity...', 'info');
+            this.showStatus('queryStatus', this.adapter.capabilities.encryptedQueries
+                ? 'Verifying identity: confirm the query transaction, then sign the decryption request...'
+                : 'Verifying identity...', 'info');
 
-            // Note: This is an FHE function, returns encrypted result
-            const isValid = await this.contract.verifyUserIdentity(this.userAddress, userId);
+            const isValid = await this.adapter.verifyIdentity(this.userAddress, Number(userId));
+            const result = isValid ? 'User ID matches' : 'User ID does not match';
 
             this.showStatus('queryStatus', `
                 <strong>Identity Verification Result:</strong><br>
-                <em>Returns encrypted verification result, needs decryption to view actual result</em>
+                ${result}
             `, 'info');
 
         } catch (error) {
@@ -382,8 +804,436 @@ class ParkingApp {
         }
     }
 
+    // The credit tiers card is only shown for contracts that price offers by credit score
+    async loadCreditTiers() {
+        const supported = Boolean(this.adapter && this.adapter.capabilities.creditTiers);
+        document.getElementById('creditTiersCard').style.display = supported ? '' : 'none';
+        if (!supported) return;
+
+        try {
+            this.creditTiers = await this.adapter.getCreditTiers();
+            for (const [field, id] of Object.entries(CREDIT_TIER_INPUTS)) {
+                document.getElementById(id).value = this.creditTiers[field];
+            }
+        } catch (error) {
+            console.error('Loading credit tiers failed:', error);
+        }
+    }
+
+    // Rules and quotes need a contract that prices by time and occupancy
+    showPricingRules() {
+        const supported = Boolean(this.adapter && this.adapter.capabilities.dynamicPricing);
+        document.getElementById('pricingRulesCard').style.display = supported ? '' : 'none';
+        document.getElementById('pricingRulesEncrypted').style.display =
+            supported && !this.adapter.capabilities.publicPrices ? '' : 'none';
+        document.getElementById('quoteSpot').style.display = supported ? '' : 'none';
+        document.getElementById('reserveQuote').innerHTML = '';
+    }
+
+    async quoteSpot() {
+        const spotId = document.getElementById('reserveSpotId').value;
+        const duration = document.getElementById('reserveDuration').value;
+        const startDate = document.getElementById('reserveStartDate').value;
+        const startClock = document.getElementById('reserveStartTime').value;
+        if (!spotId || !duration) {
+            this.showStatus('parkingManagementStatus', 'Please fill in spot ID and duration', 'error');
+            return;
+        }
+
+        try {
+            const { parseDateTime } = window.ParkingAdapters.bookingCalendar;
+            const startTime = startDate ? parseDateTime(startDate, startClock || '00:00') : null;
+            const price = await this.adapter.quote(Number(spotId), Number(duration), startTime);
+            this.showStatus('reserveQuote', `Quoted price: ${this.adapter.formatPrice(price)}`, 'info');
+        } catch (error) {
+            console.error('Quote failed:', error);
+            this.showStatus('parkingManagementStatus', 'Quote failed: ' + error.message, 'error');
+        }
+    }
+
+    // Spots offered to the connected account are listed and announced as they come in
+    startWaitlistNotifications() {
+        this.stopWaitlistNotifications();
+        const supported = Boolean(this.adapter && this.adapter.capabilities.waitlist);
+        document.getElementById('joinWaitlist').style.display = supported ? '' : 'none';
+        document.getElementById('leaveWaitlist').style.display = supported ? '' : 'none';
+        if (!supported) return;
+
+        this.unwatchWaitlist = this.adapter.onWaitlistOffer(this.userAddress, (offer) => {
+            const message = `Spot #${offer.spotId} is free for you until ${this.formatTime(offer.expiresAt)}`;
+            this.showStatus('parkingManagementStatus', `${message}: claim it before the offer expires`, 'info');
+            if (window.Notification && Notification.permission === 'granted') {
+                new Notification('Parking spot available', { body: message });
+            }
+            this.loadWaitlistOffers();
+        });
+        this.loadWaitlistOffers();
+    }
+
+    stopWaitlistNotifications() {
+        if (this.unwatchWaitlist) {
+            this.unwatchWaitlist();
+            this.unwatchWaitlist = null;
+        }
+        document.getElementById('waitlistOffers').innerHTML = '';
+    }
+
+    async loadWaitlistOffers() {
+        const container = document.getElementById('waitlistOffers');
+        try {
+            const offers = await this.adapter.listWaitlistOffers(this.userAddress);
+            const now = Math.floor(Date.now() / 1000);
+            container.innerHTML = offers.filter((offer) => offer.expiresAt >= now).map((offer) => `
+                <div class="status status-info">
+                    Spot #${offer.spotId} is held for you until ${this.formatTime(offer.expiresAt)}.
+                    <button class="btn" data-claim-offer="${offer.spotId}">Claim</button>
+                    <button class="btn btn-secondary" data-decline-offer="${offer.spotId}">Decline</button>
+                </div>
+            `).join('');
+
+            container.querySelectorAll('[data-claim-offer]').forEach((button) => {
+                button.addEventListener('click', () => this.claimWaitlistOffer(Number(button.dataset.claimOffer)));
+            });
+            container.querySelectorAll('[data-decline-offer]').forEach((button) => {
+                button.addEventListener('click', () => this.leaveWaitlist(Number(button.dataset.declineOffer)));
+            });
+        } catch (error) {
+            console.error('Loading waitlist offers failed:', error);
+        }
+    }
+
+    // The deposit is the quoted price of the reservation made when the spot is offered and claimed; with encrypted
+    // prices the payment amount entered is sent instead
+    async joinWaitlist() {
+        const spotId = document.getElementById('reserveSpotId').value;
+        const duration = document.getElementById('reserveDuration').value;
+        const paymentAmount = document.getElementById('paymentAmount').value;
+        if (!spotId || !duration) {
+            this.showStatus('parkingManagementStatus', 'Please fill in spot ID and duration', 'error');
+            return;
+        }
+
+        try {
+            this.showStatus('parkingManagementStatus', 'Joining waitlist...', 'info');
+            const payment = paymentAmount ? window.ParkingAdapters.utils.parseUnits(paymentAmount, 18) : null;
+            const { deposit } = await this.adapter.joinWaitlist(Number(spotId), Number(duration), payment);
+            const { waiting } = await this.adapter.getWaitlist(Number(spotId));
+            const position = waiting.findIndex((address) => address.toLowerCase() === this.userAddress.toLowerCase()) + 1;
+            this.showStatus('parkingManagementStatus', `Waitlisted for spot #${spotId} (position ${position}, deposit ${this.adapter.formatAmount(deposit)}). You will be notified when it frees up.`, 'success');
+            if (window.Notification && Notification.permission === 'default') {
+                Notification.requestPermission();
+            }
+        } catch (error) {
+            console.error('Joining waitlist failed:', error);
+            this.showStatus('parkingManagementStatus', 'Joining waitlist failed: ' + error.message, 'error');
+        }
+    }
+
+    // Also declines an offer; the deposit is credited for withdraw, or refunded when the gateway checks payments
+    async leaveWaitlist(spotId) {
+        try {
+            this.showStatus('parkingManagementStatus', 'Leaving waitlist...', 'info');
+            await this.adapter.leaveWaitlist(spotId);
+            const refund = this.adapter.capabilities.gatewayCallback ? 'refunded' : 'can be withdrawn';
+            this.showStatus('parkingManagementStatus', `Left the waitlist of spot #${spotId}, your deposit ${refund}`, 'success');
+            this.loadWaitlistOffers();
+            this.renderWithdrawableBalance(await this.adapter.withdrawableBalance(this.userAddress));
+        } catch (error) {
+            console.error('Leaving waitlist failed:', error);
+            this.showStatus('parkingManagementStatus', 'Leaving waitlist failed: ' + error.message, 'error');
+        }
+    }
+
+    async claimWaitlistOffer(spotId) {
+        try {
+            this.showStatus('parkingManagementStatus', 'Claiming spot...', 'info');
+            const { reservationId, requestId } = await this.adapter.claimWaitlistOffer(spotId);
+            if (this.adapter.capabilities.gatewayCallback) {
+                this.showStatus('parkingManagementStatus',
+                    `Reservation #${reservationId} requested, waiting for gateway confirmation (request ${requestId})`, 'info');
+                if (this.tracker && reservationId !== null) {
+                    await this.tracker.track(reservationId);
+                }
+            } else {
+                this.showStatus('parkingManagementStatus', `Spot #${spotId} reserved (reservation #${reservationId})`, 'success');
+            }
+            this.loadWaitlistOffers();
+            this.loadSystemStats();
+        } catch (error) {
+            console.error('Claiming offer failed:', error);
+            this.showStatus('parkingManagementStatus', 'Claiming spot failed: ' + error.message, 'error');
+        }
+    }
+
+    // Rule of the spot or lot selected in the Pricing Rules card
+    pricingTarget() {
+        const id = document.getElementById('pricingTargetId').value;
+        if (id === '') {
+            throw new Error('Please fill in the spot or lot ID');
+        }
+        return { scope: document.getElementById('pricingScope').value, id: Number(id) };
+    }
+
+    async loadPricingRule() {
+        try {
+            const { scope, id } = this.pricingTarget();
+            const rule = scope === 'spot'
+                ? await this.adapter.getSpotPricingRule(id)
+                : await this.adapter.getLotPricingRule(id);
+            if (!rule.enabled) {
+                this.showStatus('pricingRuleStatus', `${scope} #${id} has no rule, the base price applies`, 'info');
+                return;
+            }
+
+            for (const [field, inputId] of Object.entries(PRICING_RULE_INPUTS)) {
+                document.getElementById(inputId).value = rule[field];
+            }
+            document.getElementById('pricingMaxPrice').value = rule.maxPrice > 0n
+                ? window.ParkingAdapters.utils.formatUnits(rule.maxPrice, this.adapter.priceDecimals)
+                : '';
+            this.showStatus('pricingRuleStatus', `Rule of ${scope} #${id} loaded`, 'success');
+        } catch (error) {
+            console.error('Loading pricing rule failed:', error);
+            this.showStatus('pricingRuleStatus', 'Loading rule failed: ' + error.message, 'error');
+        }
+    }
+
+    async savePricingRule(enabled) {
+        try {
+            const { scope, id } = this.pricingTarget();
+            const rule = { enabled };
+            for (const [field, inputId] of Object.entries(PRICING_RULE_INPUTS)) {
+                rule[field] = Number(document.getElementById(inputId).value || 0);
+            }
+            const maxPrice = document.getElementById('pricingMaxPrice').value;
+            rule.maxPrice = maxPrice ? this.adapter.parsePrice(maxPrice) : 0n;
+
+            this.showStatus('pricingRuleStatus', enabled ? 'Saving rule...' : 'Clearing rule...', 'info');
+            if (scope === 'spot') {
+                await this.adapter.setSpotPricingRule(id, rule);
+            } else {
+                await this.adapter.setLotPricingRule(id, rule);
+            }
+            this.showStatus('pricingRuleStatus', `Rule of ${scope} #${id} ${enabled ? 'saved' : 'cleared'}`, 'success');
+        } catch (error) {
+            console.error('Saving pricing rule failed:', error);
+            this.showStatus('pricingRuleStatus', 'Saving rule failed: ' + error.message, 'error');
+        }
+    }
+
+    async updateCreditTiers() {
+        const tiers = {};
+        for (const [field, id] of Object.entries(CREDIT_TIER_INPUTS)) {
+            tiers[field] = Number(document.getElementById(id).value || 0);
+        }
+
+        try {
+            this.showStatus('creditTierStatus', 'Updating credit tiers...', 'info');
+            await this.adapter.setCreditTiers(tiers);
+            this.creditTiers = tiers;
+            this.showStatus('creditTierStatus', 'Credit tiers updated', 'success');
+        } catch (error) {
+            console.error('Updating credit tiers failed:', error);
+            this.showStatus('creditTierStatus', 'Update failed: ' + error.message, 'error');
+        }
+    }
+
+    async checkCreditTier() {
+        try {
+            this.showStatus('creditTierStatus',
+                'Decrypting your tier: confirm the query transaction, then sign the decryption request...', 'info');
+
+            const tier = await this.adapter.getCreditTier();
+            const tiers = this.creditTiers;
+            const descriptions = {
+                DepositRequired: `Security deposit required (+${tiers ? tiers.depositPercent : '?'}% of the spot price)`,
+                Standard: 'Standard price',
+                Discount: `Discounted price (-${tiers ? tiers.discountPercent : '?'}% of the spot price)`
+            };
+
+            this.showStatus('creditTierStatus', `
+                <strong>Your Tier:</strong><br>
+                ${descriptions[tier]}
+            `, 'info');
+        } catch (error) {
+            console.error('Tier check failed:', error);
+            this.showStatus('creditTierStatus', 'Tier check failed: ' + error.message, 'error');
+        }
+    }
+
+    async registerLot() {
+        if (!this.adapter) {
+            this.showStatus('lotDashboardStatus', 'Please connect wallet first', 'error');
+            return;
+        }
+
+        const name = document.getElementById('lotName').value;
+        const feeShare = document.getElementById('lotFeeShare').value;
+        if (!name || !feeShare) {
+            this.showStatus('lotDashboardStatus', 'Please fill in lot name and fee share', 'error');
+            return;
+        }
+
+        try {
+            this.showStatus('lotDashboardStatus', 'Registering lot...', 'info');
+            const { lotId } = await this.adapter.registerLot(name, Number(feeShare));
+            this.showStatus('lotDashboardStatus', `Lot #${lotId} registered`, 'success');
+            document.getElementById('lotName').value = '';
+            document.getElementById('lotFeeShare').value = '';
+            await this.loadLotDashboard();
+        } catch (error) {
+            console.error('Registering lot failed:', error);
+            this.showStatus('lotDashboardStatus', 'Registering lot failed: ' + error.message, 'error');
+        }
+    }
+
+    async loadLotDashboard() {
+        if (!this.adapter || !this.userAddress) {
+            this.showStatus('lotDashboardStatus', 'Please connect wallet first', 'error');
+            return;
+        }
+
+        try {
+            const { lots, revenue } = await window.ParkingAdapters.lotDashboard.loadLotDashboard(
+                this.adapter,
+                this.userAddress
+            );
+            if (lots.length === 0) {
+                document.getElementById('lotDashboard').innerHTML =
+                    '<div class="status status-info">You do not operate any lot yet</div>';
+                return;
+            }
+
+            const lotsHtml = lots.map((lot) => this.renderLot(lot)).join('');
+            document.getElementById('lotDashboard').innerHTML = `
+                <p><strong>Withdrawable revenue:</strong> ${this.adapter.formatAmount(revenue)}</p>
+                <div class="parking-grid">${lotsHtml}</div>
+            `;
+        } catch (error) {
+            console.error('Loading lots failed:', error);
+            this.showStatus('lotDashboardStatus', 'Loading lots failed: ' + error.message, 'error');
+        }
+    }
+
+    renderLot(lot) {
+        const spotsHtml = lot.spots.map((spot) => `
+            <li>
+                #${spot.id} ${escapeHtml(spot.location)} · ${this.adapter.formatPrice(spot.price)}${spot.isActive ? '' : ' · inactive'}
+                <button onclick="app.updateSpotPrice(${spot.id})" class="btn btn-secondary">Update price</button>
+            </li>
+        `).join('');
+
+        return `
+            <div class="parking-spot">
+                <h4>Lot #${lot.id} ${escapeHtml(lot.name)}</h4>
+                <p><strong>Spots:</strong> ${lot.counts.total} (${lot.counts.reserved} reserved, ${lot.counts.inactive} inactive)</p>
+                <p><strong>Platform fee:</strong> ${lot.feeShare}%</p>
+                <p><strong>Revenue:</strong> ${this.adapter.formatAmount(lot.revenue)}</p>
+                ${lot.revenue > 0n ? `<button onclick="app.withdrawLotRevenue(${lot.id})" class="btn">Withdraw</button>` : ''}
+                ${lot.id !== 0 ? `<button onclick="app.setLotFeeShare(${lot.id})" class="btn btn-secondary">Change fee share</button>` : ''}
+                <ul>${spotsHtml}</ul>
+                ${lot.overstays.length > 0 ? `
+                    <p><strong>Overstays:</strong></p>
+                    <ul>${lot.overstays.map((reservation) => `
+                        <li>
+                            #${reservation.id} on spot #${reservation.spotId}, ended ${this.formatTime(reservation.endTime)}
+                            <button onclick="app.markOverstay(${reservation.id})" class="btn btn-secondary">Mark overstay</button>
+                        </li>
+                    `).join('')}</ul>
+                ` : ''}
+                <input type="text" id="lotSpotLocation-${lot.id}" placeholder="Location">
+                <input type="text" id="lotSpotPrice-${lot.id}" placeholder="Price (${this.adapter.priceUnit})">
+                <button onclick="app.addLotSpot(${lot.id})" class="btn">Add Spot</button>
+            </div>
+        `;
+    }
+
+    // Settles the reservation and charges its user a penalty
+    async markOverstay(reservationId) {
+        if (!this.adapter) return;
+
+        try {
+            this.showStatus('lotDashboardStatus', 'Marking overstay...', 'info');
+            const { overstayHours, penalty } = await this.adapter.markOverstay(reservationId);
+            this.showStatus('lotDashboardStatus', `Reservation #${reservationId} settled: ${overstayHours} hour(s) overstayed, penalty ${this.adapter.formatAmount(penalty)}`, 'success');
+            await this.loadLotDashboard();
+        } catch (error) {
+            console.error('Marking overstay failed:', error);
+            this.showStatus('lotDashboardStatus', 'Marking overstay failed: ' + error.message, 'error');
+        }
+    }
+
+    async addLotSpot(lotId) {
+        if (!this.adapter) return;
+
+        const location = document.getElementById(`lotSpotLocation-${lotId}`).value;
+        const price = document.getElementById(`lotSpotPrice-${lotId}`).value;
+        if (!location || !price) {
+            this.showStatus('lotDashboardStatus', 'Please fill in location and price', 'error');
+            return;
+        }
+
+        try {
+            this.showStatus('lotDashboardStatus', 'Adding spot...', 'info');
+            // Lot 0 is the platform's own spots
+            const { spotId } = lotId === 0
+                ? await this.adapter.addSpot(location, this.adapter.parsePrice(price))
+                : await this.adapter.addLotSpot(lotId, location, this.adapter.parsePrice(price));
+            this.showStatus('lotDashboardStatus', `Spot #${spotId} added`, 'success');
+            await this.loadLotDashboard();
+        } catch (error) {
+            console.error('Adding spot failed:', error);
+            this.showStatus('lotDashboardStatus', 'Adding spot failed: ' + error.message, 'error');
+        }
+    }
+
+    async updateSpotPrice(spotId) {
+        if (!this.adapter) return;
+
+        const price = prompt(`New price for spot #${spotId} (${this.adapter.priceUnit}):`);
+        if (!price) return;
+
+        try {
+            await this.adapter.updateSpotPrice(spotId, this.adapter.parsePrice(price));
+            this.showStatus('lotDashboardStatus', `Spot #${spotId} price updated`, 'success');
+            await this.loadLotDashboard();
+        } catch (error) {
+            console.error('Updating price failed:', error);
+            this.showStatus('lotDashboardStatus', 'Updating price failed: ' + error.message, 'error');
+        }
+    }
+
+    async setLotFeeShare(lotId) {
+        if (!this.adapter) return;
+
+        const feeShare = prompt(`New platform fee share for lot #${lotId} (%):`);
+        if (!feeShare) return;
+
+        try {
+            await this.adapter.setLotFeeShare(lotId, Number(feeShare));
+            this.showStatus('lotDashboardStatus', `Lot #${lotId} fee share updated`, 'success');
+            await this.loadLotDashboard();
+        } catch (error) {
+            console.error('Updating fee share failed:', error);
+            this.showStatus('lotDashboardStatus', 'Updating fee share failed: ' + error.message, 'error');
+        }
+    }
+
+    async withdrawLotRevenue(lotId) {
+        if (!this.adapter || !this.userAddress) return;
+
+        try {
+            await this.adapter.withdrawLotRevenue(lotId, this.userAddress);
+            this.showStatus('lotDashboardStatus', `Lot #${lotId} revenue withdrawn`, 'success');
+            await this.loadLotDashboard();
+        } catch (error) {
+            console.error('Withdrawing revenue failed:', error);
+            this.showStatus('lotDashboardStatus', 'Withdrawing revenue failed: ' + error.message, 'error');
+        }
+    }
+
     async loadSystemStats() {
-        if (!this.contract) {
+        if (!this.adapter) {
             document.getElementById('totalSpots').textContent = 'N/A';
             document.getElementById('totalReservations').textContent = 'N/A';
             document.getElementById('currentTime').textContent = 'N/A';
@@ -391,11 +1241,12 @@ class ParkingApp {
         }
 
         try {
-            const stats = await this.contract.getStatistics();
+            const stats = await this.adapter.stats();
+            const now = stats.timestamp !== null ? new Date(stats.timestamp * 1000) : new Date();
 
-            document.getElementById('totalSpots').textContent = stats[0].toString();
-            document.getElementById('totalReservations').textContent = stats[1].toString();
-            document.getElementById('currentTime').textContent = new Date(stats[2] * 1000).toLocaleTimeString();
+            document.getElementById('totalSpots').textContent = stats.totalSpots.toString();
+            document.getElementById('totalReservations').textContent = stats.totalReservations.toString();
+            document.getElementById('currentTime').textContent = now.toLocaleTimeString();
 
         } catch (error) {
             console.error('Loading statistics failed:', error);
@@ -406,43 +1257,40 @@ class ParkingApp {
     }
 
     async loadMyReservations() {
-        if (!this.contract || !this.userAddress) {
+        if (!this.adapter || !this.userAddress) {
             this.showStatus('myReservations', 'Please connect wallet first', 'error');
             return;
         }
 
         try {
-            const reservationIds = await this.contract.getUserReservations(this.userAddress);
-
-            if (reservationIds.length === 0) {
+            const [page, withdrawable, penalties] = await Promise.all([
+                this.adapter.getUserReservationsPage(
+                    this.userAddress,
+                    this.reservationPage * RESERVATION_PAGE_SIZE,
+                    RESERVATION_PAGE_SIZE
+                ),
+                this.adapter.withdrawableBalance(this.userAddress),
+                this.adapter.capabilities.overstayPenalties ? this.adapter.getPenaltyStatus(this.userAddress) : null
+            ]);
+            const reservations = page.items;
+            this.renderWithdrawableBalance(withdrawable);
+            this.renderPenaltyStatus(penalties);
+            document.getElementById('myReservationsPager').innerHTML =
+                this.renderPager(this.reservationPage, RESERVATION_PAGE_SIZE, page.total, 'showReservationPage');
+
+            if (page.total === 0) {
                 document.getElementById('myReservations').innerHTML =
                     '<div class="status status-info">You have no reservation records yet</div>';
                 return;
             }
 
-            let reservationsHtml = '<div class="parking-grid">';
-
-            for (let i = 0; i < reservationIds.length; i++) {
-                const reservationId = reservationIds[i];
-                try {
-                    const info = await this.contract.getReservationInfo(reservationId);
-                    reservationsHtml += `
-                        <div class="parking-spot ${info[3] ? 'spot-reserved' : 'spot-available'}">
-                            <h4>Reservation #${reservationId}</h4>
-                            <p><strong>Parking Spot:</strong> ${info[0]}</p>
-                            <p><strong>Start:</strong> ${new Date(info[1] * 1000).toLocaleString()}</p>
-                            <p><strong>End:</strong> ${new Date(info[2] * 1000).toLocaleString()}</p>
-                            <p><strong>Status:</strong> ${info[3] ? 'In Progress' : 'Completed'}</p>
-                            ${info[3] ? `<button onclick="app.completeReservation(${reservationId})" class="btn">Complete Reservation</button>` : ''}
-                        </div>
-                    `;
-                } catch (error) {
-                    console.error(`Failed to get reservation ${reservationId} information:`, error);
-                }
-            }
-
-            reservationsHtml += '</div>';
-            document.getElementById('myReservations').innerHTML = reservationsHtml;
+            const lifecycles = this.tracker
+                ? await Promise.all(reservations.map((reservation) => this.tracker.track(reservation.id)))
+                : [];
+            const reservationsHtml = reservations
+                .map((reservation, i) => this.renderReservation(reservation, lifecycles[i]))
+                .join('');
+            document.getElementById('myReservations').innerHTML = `<div class="parking-grid">${reservationsHtml}</div>`;
 
         } catch (error) {
             console.error('Loading reservations failed:', error);
@@ -450,12 +1298,115 @@ class ParkingApp {
         }
     }
 
+    showReservationPage(page) {
+        this.reservationPage = page;
+        this.loadMyReservations();
+    }
+
+    // Refunds and payouts are pulled, not pushed
+    renderWithdrawableBalance(amount) {
+        document.getElementById('withdrawableBalance').innerHTML = amount > 0n ? `
+            <div class="status status-info">
+                Refunds and payouts to withdraw: <strong>${this.adapter.formatAmount(amount)}</strong>
+                <button onclick="app.withdrawBalance()" class="btn">Withdraw</button>
+            </div>
+        ` : '';
+    }
+
+    // Outstanding overstay penalties bar new reservations until paid
+    renderPenaltyStatus(penalties) {
+        const element = document.getElementById('penaltyStatus');
+        if (!penalties || (penalties.outstanding === 0n && penalties.overstays === 0)) {
+            element.innerHTML = '';
+            return;
+        }
+
+        const barred = penalties.overstays >= penalties.maxOverstays;
+        element.innerHTML = `
+            <div class="status ${penalties.eligible ? 'status-info' : 'status-error'}">
+                Overstays: <strong>${penalties.overstays}/${penalties.maxOverstays}</strong>
+                ${penalties.outstanding > 0n ? `
+                    · Outstanding penalty: <strong>${this.adapter.formatAmount(penalties.outstanding)}</strong>
+                    <button onclick="app.payPenalty()" class="btn">Pay Penalty</button>
+                ` : ''}
+                ${barred ? '<br>You can no longer reserve; contact the operator to have your overstays cleared.' : ''}
+            </div>
+        `;
+    }
+
+    async payPenalty() {
+        if (!this.adapter) return;
+
+        try {
+            this.showStatus('myReservations', 'Paying penalty...', 'info');
+            await this.adapter.payPenalty();
+            await this.loadMyReservations();
+        } catch (error) {
+            console.error('Paying penalty failed:', error);
+            this.showStatus('myReservations', 'Paying penalty failed: ' + error.message, 'error');
+        }
+    }
+
+    async withdrawBalance() {
+        if (!this.adapter) return;
+
+        try {
+            await this.adapter.withdraw();
+            await this.loadMyReservations();
+            await this.renderTokenBalances();
+
+        } catch (error) {
+            console.error('Withdraw failed:', error);
+            alert('Withdraw failed: ' + error.message);
+        }
+    }
+
+    renderReservation(reservation, lifecycle) {
+        const isOpen = reservation.status === 'Pending' || reservation.status === 'Active';
+        const now = Math.floor(Date.now() / 1000);
+        const canCancel = this.adapter.capabilities.cancel && this.adapter.canCancel(reservation, now);
+        const isRunning = reservation.status === 'Active' && reservation.startTime <= now && now < reservation.endTime;
+        const canExtend = this.adapter.capabilities.extend && reservation.status === 'Active' && now < reservation.endTime;
+        const canCheckOut = this.adapter.capabilities.earlyCheckOut && isRunning;
+        const stageLabels = {
+            AwaitingGateway: '⏳ Awaiting gateway confirmation',
+            TimeoutClaimable: '⚠️ Gateway timed out',
+            Confirmed: '✅ Confirmed',
+            Refunded: '↩️ Refunded',
+            TimedOut: '↩️ Refunded after timeout',
+            Cancelled: 'Cancelled',
+            Completed: 'Completed'
+        };
+        const status = lifecycle ? stageLabels[lifecycle.stage] : reservation.status;
+        const isOverdue = reservation.status === 'Active' && now >= reservation.endTime;
+
+        return `
+            <div class="parking-spot ${isOpen ? 'spot-reserved' : 'spot-available'}">
+                <h4>Reservation #${reservation.id}</h4>
+                <p><strong>Parking Spot:</strong> ${reservation.spotId}</p>
+                <p><strong>Start:</strong> ${this.formatTime(reservation.startTime)}</p>
+                <p><strong>End:</strong> ${this.formatTime(reservation.endTime)}</p>
+                <p><strong>Status:</strong> ${status}</p>
+                ${isOverdue ? '<p><strong>⚠️ Ended:</strong> complete it now, overstays are charged a penalty</p>' : ''}
+                ${lifecycle && lifecycle.reason ? `<p><strong>Reason:</strong> ${lifecycle.reason}</p>` : ''}
+                ${lifecycle && lifecycle.stage === 'AwaitingGateway' && lifecycle.timeoutAt ? `<p><strong>Timeout refund after:</strong> ${this.formatTime(lifecycle.timeoutAt)}</p>` : ''}
+                ${lifecycle && lifecycle.canClaimTimeout ? `<button onclick="app.claimTimeoutRefund(${reservation.id})" class="btn">Claim timeout refund</button>` : ''}
+                ${reservation.status === 'Active' ? `<button onclick="app.completeReservation(${reservation.id})" class="btn">Complete Reservation</button>` : ''}
+                ${canCancel ? `<button onclick="app.cancelReservation(${reservation.id})" class="btn btn-secondary">Cancel</button>` : ''}
+                ${canExtend ? `
+                    <input type="number" id="extendDuration-${reservation.id}" placeholder="Extra seconds (e.g. 3600)" min="60" onclick="event.stopPropagation()">
+                    <button onclick="app.extendReservation(${reservation.id})" class="btn">Extend</button>
+                ` : ''}
+                ${canCheckOut ? `<button onclick="app.checkOutEarly(${reservation.id})" class="btn btn-secondary">Check out now (refund ≈ ${this.adapter.formatAmount(this.adapter.estimateCheckOutRefund(reservation, now))})</button>` : ''}
+            </div>
+        `;
+    }
+
     async completeReservation(reservationId) {
-        if (!this.contract) return;
+        if (!this.adapter) return;
 
         try {
-            const tx = await this.contract.completeReservation(reservationId);
-            await tx.wait();
+            await this.adapter.complete(reservationId);
 
             // Reload reservations
             await this.loadMyReservations();
@@ -467,6 +1418,79 @@ class ParkingApp {
         }
     }
 
+    async cancelReservation(reservationId) {
+        if (!this.adapter) return;
+
+        try {
+            await this.adapter.cancel(reservationId);
+
+            await this.loadMyReservations();
+            await this.loadSystemStats();
+
+        } catch (error) {
+            console.error('Cancel reservation failed:', error);
+            alert('Cancel reservation failed: ' + error.message);
+        }
+    }
+
+    async extendReservation(reservationId) {
+        if (!this.adapter) return;
+
+        const extraSeconds = Number(document.getElementById(`extendDuration-${reservationId}`).value);
+        if (!extraSeconds) {
+            alert('Please enter the extra duration in seconds');
+            return;
+        }
+
+        try {
+            const { requestId } = await this.adapter.extend(reservationId, extraSeconds);
+
+            await this.loadMyReservations();
+            await this.renderTokenBalances();
+            if (this.calendarSpotId !== null) {
+                await this.loadSpotCalendar(this.calendarSpotId);
+            }
+            if (requestId !== null) {
+                alert(`Extension of reservation #${reservationId} requested; confirmed once the gateway checks the payment`);
+            }
+
+        } catch (error) {
+            console.error('Extend reservation failed:', error);
+            alert('Extend reservation failed: ' + error.message);
+        }
+    }
+
+    async checkOutEarly(reservationId) {
+        if (!this.adapter) return;
+
+        try {
+            const { refund } = await this.adapter.checkOut(reservationId);
+
+            await this.loadMyReservations();
+            await this.loadSystemStats();
+            alert(`Checked out of reservation #${reservationId}, refunded ${this.adapter.formatAmount(refund || 0n)}`);
+
+        } catch (error) {
+            console.error('Check-out failed:', error);
+            alert('Check-out failed: ' + error.message);
+        }
+    }
+
+    async claimTimeoutRefund(reservationId) {
+        if (!this.tracker) return;
+
+        try {
+            await this.tracker.claimTimeoutRefund(reservationId);
+
+            await this.loadMyReservations();
+            await this.loadSystemStats();
+
+        } catch (error) {
+            console.error('Timeout refund failed:', error);
+            alert('Timeout refund failed: ' + error.message);
+        }
+    }
+
     showStatus(elementId, message, type) {
         const element = document.getElementById(elementId);
         element.innerHTML = `<div class="status status-${type}">${message}</div>`;
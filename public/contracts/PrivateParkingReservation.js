@@ -0,0 +1,160 @@
+// Auto-generated by scripts/generate-abi.js - do not edit by hand.
+window.PARKING_CONTRACTS = window.PARKING_CONTRACTS || {};
+window.PARKING_CONTRACTS["PrivateParkingReservation"] = {
+    "contractName": "PrivateParkingReservation",
+    "abi": [
+        "constructor(address _extension)",
+        "error HandlesAlreadySavedForRequestID()",
+        "error InvalidKMSSignatures()",
+        "error NoHandleFoundForRequestID()",
+        "event CreditTiersUpdated(uint16 minScore, uint16 depositScore, uint8 depositPercent, uint16 discountScore, uint8 discountPercent)",
+        "event DecryptionFulfilled(uint256 indexed requestID)",
+        "event DepositReceived(address indexed user, uint256 amount)",
+        "event EmergencyWithdrawal(address indexed user, uint256 amount)",
+        "event ExtensionRequested(uint256 indexed reservationId, uint256 requestId, uint256 newEndTime)",
+        "event GatewayCallbackReceived(uint256 indexed requestId, bool success)",
+        "event KeeperUpdated(address indexed keeper, bool status)",
+        "event LotFeeShareUpdated(uint32 indexed lotId, uint8 feeShare)",
+        "event LotPricingRuleUpdated(uint32 indexed lotId, bool enabled)",
+        "event LotRegistered(uint32 indexed lotId, address indexed operator, string name)",
+        "event LotRevenueWithdrawn(uint32 indexed lotId, address indexed to, uint256 amount)",
+        "event LotSpotAdded(uint32 indexed lotId, uint32 indexed spotId)",
+        "event OperatorUpdated(address indexed operator, bool status)",
+        "event OverstayMarked(uint256 indexed reservationId, address indexed user, uint256 overstayHours, uint256 penalty)",
+        "event OverstaysCleared(address indexed user)",
+        "event OwnershipTransferInitiated(address indexed previousOwner, address indexed newOwner)",
+        "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+        "event Paused(address indexed by)",
+        "event PenaltyPaid(address indexed user, uint256 amount)",
+        "event PlatformFeesWithdrawn(address indexed to, uint256 amount)",
+        "event PriceUpdated(uint32 indexed spotId)",
+        "event PrivacyMultiplierUpdated(uint64 newMultiplier)",
+        "event RefundIssued(address indexed user, uint256 amount, string reason)",
+        "event ReservationCancelled(uint256 indexed reservationId, uint32 indexed spotId)",
+        "event ReservationCompleted(uint256 indexed reservationId, uint32 indexed spotId)",
+        "event ReservationConfirmed(uint256 indexed reservationId, uint32 indexed spotId, address indexed user)",
+        "event ReservationExtended(uint256 indexed reservationId, uint256 newEndTime)",
+        "event ReservationRequested(uint256 indexed reservationId, uint32 indexed spotId, address indexed user, uint256 requestId)",
+        "event SpotAdded(uint32 indexed spotId, string location)",
+        "event SpotPricingRuleUpdated(uint32 indexed spotId, bool enabled)",
+        "event SpotRemoved(uint32 indexed spotId)",
+        "event SpotUpdated(uint32 indexed spotId)",
+        "event TimeoutTriggered(uint256 indexed requestId, address indexed user)",
+        "event Unpaused(address indexed by)",
+        "event UserRegistered(address indexed user)",
+        "event UserUpdated(address indexed user)",
+        "event WaitlistJoined(uint32 indexed spotId, address indexed user, uint256 deposit)",
+        "event WaitlistLeft(uint32 indexed spotId, address indexed user, uint256 refund)",
+        "event WaitlistOfferClaimed(uint32 indexed spotId, address indexed user, uint256 reservationId)",
+        "event WaitlistOfferExpired(uint32 indexed spotId, address indexed user)",
+        "event WaitlistOffered(uint32 indexed spotId, address indexed user, uint256 expiresAt)",
+        "function CANCELLATION_REFUND_PERCENT() view returns (uint256)",
+        "function MAX_ADVANCE_BOOKING() view returns (uint256)",
+        "function MAX_CREDIT_SCORE() view returns (uint16)",
+        "function MAX_DURATION() view returns (uint256)",
+        "function MAX_OVERSTAYS() view returns (uint8)",
+        "function MAX_PRICE() view returns (uint256)",
+        "function MAX_PRICE_PERCENT() view returns (uint16)",
+        "function MAX_WAITLIST_LENGTH() view returns (uint256)",
+        "function MIN_DURATION() view returns (uint256)",
+        "function MIN_FEE_SHARE() view returns (uint8)",
+        "function OVERSTAY_GRACE_PERIOD() view returns (uint256)",
+        "function OVERSTAY_PENALTY_PERCENT() view returns (uint256)",
+        "function PLATFORM_FEE_DIVISOR() view returns (uint256)",
+        "function PRICE_OBFUSCATION_RANGE() view returns (uint256)",
+        "function REFUND_GRACE_PERIOD() view returns (uint256)",
+        "function TIMEOUT_PERIOD() view returns (uint256)",
+        "function WAITLIST_CLAIM_WINDOW() view returns (uint256)",
+        "function acceptOwnership()",
+        "function addLotSpot(uint32 lotId, uint16 _price, string _location)",
+        "function addParkingSpot(uint16 _price, string _location)",
+        "function cancelReservation(uint256 reservationId)",
+        "function checkCreditTier() returns (bytes32 tier)",
+        "function checkOutEarly(uint256 reservationId)",
+        "function checkSpotAvailability(uint32 spotId) returns (bytes32 available)",
+        "function claimWaitlistOffer(uint32 spotId)",
+        "function clearOverstays(address user)",
+        "function completeReservation(uint256 reservationId)",
+        "function creditTiers() view returns (uint16 minScore, uint16 depositScore, uint8 depositPercent, uint16 discountScore, uint8 discountPercent)",
+        "function deactivateSpot(uint32 spotId)",
+        "function deposit() payable",
+        "function emergencyRefund(uint256 reservationId)",
+        "function emergencyReleaseSpot(uint32 spotId)",
+        "function expireWaitlistOffer(uint32 spotId)",
+        "function extendReservation(uint256 reservationId, uint256 extraDuration) payable",
+        "function extension() view returns (address)",
+        "function extensionCallback(uint256 requestId, bytes cleartexts, bytes decryptionProof)",
+        "function gatewayRequests(uint256) view returns (uint8 requestType, uint256 reservationId, uint32 spotId, address requester, uint256 timestamp, bool processed, bool timedOut)",
+        "function getAvailabilityResult(uint32 spotId) view returns (bytes32)",
+        "function getCreditTierResult() view returns (bytes32)",
+        "function getIdentityResult(address user) view returns (bytes32)",
+        "function getQuoteResult() view returns (bytes32)",
+        "function getRequestStatus(uint256 requestId) view returns (uint8 requestType, uint256 reservationId, address requester, uint256 timestamp, bool processed, bool timedOut)",
+        "function getReservationInfo(uint256 reservationId) view returns (uint32 spotId, address user, uint256 startTime, uint256 endTime, uint8 status, bool isActive)",
+        "function getSpotBookings(uint32 spotId) view returns (uint256[] reservationIds, uint256[] startTimes, uint256[] endTimes)",
+        "function getSpotInfo(uint32 spotId) view returns (string location, bool isActive, uint256 reservationEnd)",
+        "function getStatistics() view returns (uint32 totalParkingSpots, uint256 totalReservationsCount, uint256 currentPlatformFees, bool isPaused)",
+        "function getUserProfile(address user) view returns (bool isRegistered, uint256 totalReservations, uint256 lastReservation, uint256 depositBalance)",
+        "function getUserReservations(address user) view returns (uint256[])",
+        "function getWaitlist(uint32 spotId) view returns (address[] waiting)",
+        "function joinWaitlist(uint32 spotId, uint256 duration, bytes32 encryptedOffer, bytes inputProof) payable",
+        "function keepers(address) view returns (bool)",
+        "function lastMultiplierUpdate() view returns (uint256)",
+        "function leaveWaitlist(uint32 spotId)",
+        "function lotOccupancy(uint32) view returns (uint32 spots, uint32 occupied)",
+        "function lotPricingRules(uint32) view returns (bool enabled, uint8 peakStartHour, uint8 peakEndHour, uint16 peakPercent, uint16 weekendPercent, uint8 surgeOccupancy, uint16 surgePercent, uint16 maxPrice)",
+        "function markOverstay(uint256 reservationId)",
+        "function operators(address) view returns (bool)",
+        "function outstandingPenalties(address) view returns (uint256)",
+        "function overstayCounts(address) view returns (uint8)",
+        "function owner() view returns (address)",
+        "function parkingLots(uint32) view returns (address operator, uint8 feeShare, uint256 revenue, string name)",
+        "function parkingSpots(uint32) view returns (bytes32 encryptedPrice, bytes32 encryptedStatus, bool isActive, bytes32 encryptedReservedBy, uint256 reservationEnd, string location, uint64 obfuscationSeed)",
+        "function pause()",
+        "function paused() view returns (bool)",
+        "function payPenalty() payable",
+        "function pendingExtensions(uint256) view returns (uint256 requestId, uint256 extraDuration, uint256 payment)",
+        "function pendingOwner() view returns (address)",
+        "function platformFees() view returns (uint256)",
+        "function privacyMultiplier() view returns (uint64)",
+        "function protocolId() pure returns (uint256)",
+        "function quotePrice(uint32 spotId, uint256 startTime, uint256 duration) returns (bytes32 price)",
+        "function registerLot(string name, uint8 feeShare) returns (uint32 lotId)",
+        "function registerUser(bytes32 encryptedUserId, bytes32 encryptedCreditScore, bytes inputProof)",
+        "function registeredUserCount() view returns (uint256)",
+        "function registeredUsers(uint256) view returns (address)",
+        "function requestReservation(uint32 spotId, uint256 duration, bytes32 encryptedOffer, bytes inputProof) payable",
+        "function requestReservationAt(uint32 spotId, uint256 startTime, uint256 duration, bytes32 encryptedOffer, bytes inputProof) payable",
+        "function reservationCallback(uint256 requestId, bytes cleartexts, bytes decryptionProof)",
+        "function reservationCounter() view returns (uint256)",
+        "function reservations(uint256) view returns (uint32 spotId, address user, bytes32 encryptedUserId, bytes32 encryptedPaidAmount, uint256 startTime, uint256 endTime, uint8 status, bool isActive, uint256 depositAmount, uint256 requestTimestamp, uint256 decryptionRequestId, uint256 platformFee)",
+        "function setCreditTiers(uint16 minScore, uint16 depositScore, uint8 depositPercent, uint16 discountScore, uint8 discountPercent)",
+        "function setKeeper(address keeper, bool status)",
+        "function setLotFeeShare(uint32 lotId, uint8 feeShare)",
+        "function setLotPricingRule(uint32 lotId, (bool enabled, uint8 peakStartHour, uint8 peakEndHour, uint16 peakPercent, uint16 weekendPercent, uint8 surgeOccupancy, uint16 surgePercent, uint16 maxPrice) rule)",
+        "function setOperator(address operator, bool status)",
+        "function setSpotMaintenance(uint32 spotId, bool inMaintenance)",
+        "function setSpotPricingRule(uint32 spotId, (bool enabled, uint8 peakStartHour, uint8 peakEndHour, uint16 peakPercent, uint16 weekendPercent, uint8 surgeOccupancy, uint16 surgePercent, uint16 maxPrice) rule)",
+        "function spotLots(uint32) view returns (uint32)",
+        "function spotPricingRules(uint32) view returns (bool enabled, uint8 peakStartHour, uint8 peakEndHour, uint16 peakPercent, uint16 weekendPercent, uint8 surgeOccupancy, uint16 surgePercent, uint16 maxPrice)",
+        "function totalLots() view returns (uint32)",
+        "function totalSpots() view returns (uint32)",
+        "function transferOwnership(address newOwner)",
+        "function triggerTimeout(uint256 requestId)",
+        "function unpause()",
+        "function updatePrivacyMultiplier()",
+        "function updateSpotPrice(uint32 spotId, uint16 newPrice)",
+        "function userProfiles(address) view returns (bytes32 encryptedUserId, bytes32 encryptedCreditScore, bool isRegistered, uint256 totalReservations, uint256 lastReservation, uint256 depositBalance)",
+        "function userReservationAt(address user, uint256 index) view returns (uint256)",
+        "function userReservationCount(address user) view returns (uint256)",
+        "function verifyUserIdentity(address user, uint32 providedUserId) returns (bytes32 matches)",
+        "function views() view returns (address)",
+        "function waitlistEntries(uint32, address) view returns (uint32 position, uint256 duration, uint256 deposit, bytes32 encryptedOffer)",
+        "function waitlistOffers(uint32) view returns (address user, uint256 expiresAt)",
+        "function withdrawDeposit()",
+        "function withdrawLotRevenue(uint32 lotId, address to)",
+        "function withdrawPlatformFees(address to)",
+        "receive() payable"
+    ],
+    "deployments": {}
+};
@@ -2,6 +2,8 @@
  * FHEVM Integration Module
  * Demonstrates proper fhevmjs integration for encrypted operations
  * Includes input proof generation (ZKPoK) and Gateway interaction
+ *
+ * @contract PrivateParkingReservation
  */
 
 import { initFhevm, createInstance } from "fhevmjs";
@@ -131,43 +133,21 @@ class FHEVMIntegration {
     try {
       console.log("Registering user with encrypted data...");
 
-      // Create encrypted inputs for user data
-      const encUserId = await this.createEncryptedInput(
-        userData.userId,
-        "euint32"
-      );
-      const encCreditScore = await this.createEncryptedInput(
-        userData.creditScore,
-        "euint32"
-      );
-      const encHasLicense = await this.createEncryptedInput(
-        userData.hasLicense,
-        "ebool"
-      );
-      const encBalance = await this.createEncryptedInput(
-        userData.initialBalance,
-        "euint64"
-      );
-
-      // Combine all encrypted inputs
+      // Both values share one input proof, bound to this contract and sender
       const encryptedInput = this.instance.createEncryptedInput(
         this.contractAddress,
         await this.signer.getAddress()
       );
 
       encryptedInput.add32(userData.userId);
-      encryptedInput.add32(userData.creditScore);
-      encryptedInput.addBool(userData.hasLicense);
-      encryptedInput.add64(userData.initialBalance);
+      encryptedInput.add16(userData.creditScore);
 
-      const { handles, inputProof } = encryptedInput.encrypt();
+      const { handles, inputProof } = await encryptedInput.encrypt();
 
       // Call contract with encrypted inputs and proof
       const tx = await this.contract.registerUser(
         handles[0], // encryptedUserId
         handles[1], // encryptedCreditScore
-        handles[2], // hasLicense
-        handles[3], // initialBalance
         inputProof
       );
 
@@ -183,8 +163,12 @@ class FHEVMIntegration {
   }
 
   /**
-   * Reserve parking spot with encrypted payment
-   * @param {object} reservationData - Reservation details
+   * Reserve parking spot with an encrypted offer
+   * The contract compares the offer to the encrypted spot price with FHE.ge; only the
+   * result is decrypted by the Gateway, which then confirms or refunds the deposit.
+   * @param {object} reservationData - { spotId, duration, deposit, offer, startTime? }
+   *   deposit is the wei sent with the transaction (public), offer the encrypted amount
+   *   in wei (at most the deposit, defaults to it)
    */
   async reserveSpot(reservationData) {
     if (!this.initialized) {
@@ -192,39 +176,56 @@ class FHEVMIntegration {
     }
 
     try {
-      console.log("Creating reservation with encrypted data...");
+      console.log("Creating reservation with encrypted offer...");
+
+      const deposit = BigInt(reservationData.deposit);
+      const offer = BigInt(reservationData.offer ?? deposit);
+      if (offer > deposit) {
+        throw new Error("Offer exceeds the deposit");
+      }
 
-      // Create encrypted input for reservation
+      // Create encrypted input for the offer
       const encryptedInput = this.instance.createEncryptedInput(
         this.contractAddress,
         await this.signer.getAddress()
       );
 
-      encryptedInput.add64(reservationData.duration); // Duration in seconds
-      encryptedInput.add32(reservationData.paymentAmount);
-
-      const { handles, inputProof } = encryptedInput.encrypt();
-
-      // Call contract
-      const tx = await this.contract.reserveSpot(
-        reservationData.spotId,
-        handles[0], // encryptedDuration
-        handles[1], // encryptedPayment
-        inputProof
-      );
+      encryptedInput.add64(offer);
+
+      const { handles, inputProof } = await encryptedInput.encrypt();
+
+      // Call contract; the deposit is refunded if the offer or the spot is rejected
+      const tx =
+        reservationData.startTime != null
+          ? await this.contract.requestReservationAt(
+              reservationData.spotId,
+              reservationData.startTime,
+              reservationData.duration,
+              handles[0], // encryptedOffer
+              inputProof,
+              { value: deposit }
+            )
+          : await this.contract.requestReservation(
+              reservationData.spotId,
+              reservationData.duration,
+              handles[0], // encryptedOffer
+              inputProof,
+              { value: deposit }
+            );
 
       console.log("Transaction sent:", tx.hash);
       const receipt = await tx.wait();
 
-      // Extract reservation ID from events
+      // Extract reservation and Gateway request IDs from events
       const event = receipt.logs.find(
-        (log) => log.fragment && log.fragment.name === "ReservationCreated"
+        (log) => log.fragment && log.fragment.name === "ReservationRequested"
       );
 
-      const reservationId = event ? event.args[0] : null;
-      console.log("Reservation created:", reservationId);
+      const reservationId = event ? event.args.reservationId : null;
+      const requestId = event ? event.args.requestId : null;
+      console.log("Reservation requested:", reservationId);
 
-      return { receipt, reservationId };
+      return { receipt, reservationId, requestId };
     } catch (error) {
       console.error("Reservation failed:", error);
       throw error;
@@ -280,8 +281,8 @@ class FHEVMIntegration {
 
     while (Date.now() - startTime < maxWaitTime) {
       try {
-        // Listen for GatewayRequestFulfilled event
-        const filter = this.contract.filters.GatewayRequestFulfilled(requestId);
+        // Listen for GatewayCallbackReceived event
+        const filter = this.contract.filters.GatewayCallbackReceived(requestId);
         const events = await this.contract.queryFilter(filter);
 
         if (events.length > 0) {
@@ -304,10 +305,49 @@ class FHEVMIntegration {
   }
 
   /**
-   * Decrypt encrypted contract data (requires permission)
+   * Check spot availability; the contract grants the caller access to the
+   * encrypted answer, which is then decrypted client-side
+   * @param {number} spotId - Parking spot ID
+   * @returns {boolean} Whether the spot is available
+   */
+  async checkSpotAvailability(spotId) {
+    const tx = await this.contract.checkSpotAvailability(spotId);
+    await tx.wait();
+    const handle = await this.contract.getAvailabilityResult(spotId);
+    return Boolean(await this.decrypt(this.contractAddress, handle));
+  }
+
+  /**
+   * Verify a user ID against the encrypted one; only the caller can decrypt the answer
+   * @param {string} user - Registered user address
+   * @param {number} userId - User ID to compare
+   * @returns {boolean} Whether the IDs match
+   */
+  async verifyUserIdentity(user, userId) {
+    const tx = await this.contract.verifyUserIdentity(user, userId);
+    await tx.wait();
+    const handle = await this.contract.getIdentityResult(user);
+    return Boolean(await this.decrypt(this.contractAddress, handle));
+  }
+
+  /**
+   * Compute the caller's credit tier from the encrypted credit score; only the caller can decrypt it
+   * @returns {number} CreditTier: 0 DepositRequired, 1 Standard, 2 Discount
+   */
+  async checkCreditTier() {
+    const tx = await this.contract.checkCreditTier();
+    await tx.wait();
+    const handle = await this.contract.getCreditTierResult();
+    return Number(await this.decrypt(this.contractAddress, handle));
+  }
+
+  /**
+   * Decrypt encrypted contract data (requires FHE.allow for the user and the contract)
+   * The user signs an EIP-712 request for a fresh keypair; the relayer reencrypts
+   * the value for that keypair and the instance decrypts it locally.
    * @param {string} contractAddress - Contract address
    * @param {string} handle - Encrypted data handle
-   * @returns {number} Decrypted value
+   * @returns {bigint|boolean} Decrypted value
    */
   async decrypt(contractAddress, handle) {
     if (!this.initialized) {
@@ -315,26 +355,37 @@ class FHEVMIntegration {
     }
 
     try {
-      // Request reencryption for user's public key
       const userAddress = await this.signer.getAddress();
-
-      // Generate EIP-712 signature for reencryption
-      const eip712 = this.instance.createEIP712(handle, contractAddress);
+      const { publicKey, privateKey } = this.instance.generateKeypair();
+      const startTimestamp = Math.floor(Date.now() / 1000);
+      const durationDays = 1;
+
+      // Generate EIP-712 signature authorizing the keypair
+      const eip712 = this.instance.createEIP712(
+        publicKey,
+        [contractAddress],
+        startTimestamp,
+        durationDays
+      );
       const signature = await this.signer.signTypedData(
         eip712.domain,
-        { Reencrypt: eip712.types.Reencrypt },
+        { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
         eip712.message
       );
 
-      // Request reencryption from Gateway
-      const decrypted = await this.instance.reencrypt(
-        handle,
-        contractAddress,
+      // Request reencryption from the relayer and decrypt locally
+      const results = await this.instance.userDecrypt(
+        [{ handle, contractAddress }],
+        privateKey,
+        publicKey,
+        signature.replace("0x", ""),
+        [contractAddress],
         userAddress,
-        signature
+        startTimestamp,
+        durationDays
       );
 
-      return decrypted;
+      return results[handle];
     } catch (error) {
       console.error("Decryption failed:", error);
       throw error;
@@ -355,25 +406,22 @@ await fhevm.initialize(provider, contractAddress, contractABI);
 // Register user
 await fhevm.registerUser({
   userId: 12345,
-  creditScore: 750,
-  hasLicense: true,
-  initialBalance: 10000
+  creditScore: 750
 });
 
-// Reserve spot
-const { reservationId } = await fhevm.reserveSpot({
+// Reserve spot: the offer stays encrypted, only "offer >= price" is decrypted
+const { reservationId, requestId } = await fhevm.reserveSpot({
   spotId: 0,
   duration: 3600, // 1 hour
-  paymentAmount: 100
+  deposit: 1000n,
+  offer: 100n
 });
 
-// Request approval decryption
-const { requestId } = await fhevm.requestDecryption(
-  'requestReservationApproval',
-  [reservationId]
-);
-
-// Wait for Gateway callback
+// Wait for Gateway callback: confirmed on success, deposit refunded otherwise
 const result = await fhevm.waitForGatewayCallback(requestId);
-console.log('Approval result:', result.success);
+console.log('Reservation', reservationId, 'confirmed:', result.success);
+
+// Encrypted queries, decrypted for the caller only
+const available = await fhevm.checkSpotAvailability(0);
+const isMe = await fhevm.verifyUserIdentity(userAddress, 12345);
 */
@@ -0,0 +1,74 @@
+const { ethers, network } = require("hardhat");
+const { loadDeployment } = require("./lib/deployments");
+const { ParkingApi } = require("./lib/api");
+const { ADAPTERS, batchReader } = require("../public/adapters");
+
+// Options come from the environment because `hardhat run` does not forward script arguments:
+//   PARKING_CONTRACT   ParkingReservation | PrivateParkingReservation (default: latest deployment)
+//   API_PORT           Port to listen on (default: 3002)
+//   API_CACHE_TTL      Cache lifetime of contract reads in ms (default: 15000)
+//   API_CACHE_SIZE     Number of cached contract reads kept (default: 1000)
+function readOptions() {
+  return {
+    contractName: process.env.PARKING_CONTRACT,
+    port: Number(process.env.API_PORT || 3002),
+    cacheTtl: Number(process.env.API_CACHE_TTL || 15000),
+    cacheSize: Number(process.env.API_CACHE_SIZE || 1000),
+  };
+}
+
+async function main() {
+  console.log("=".repeat(60));
+  console.log("Private Parking Reservation - REST API");
+  console.log("=".repeat(60));
+
+  const options = readOptions();
+  const deployment = loadDeployment(network.name, options.contractName);
+
+  // Read-only: connect to the provider, not a signer
+  const contract = (
+    await ethers.getContractAt(deployment.contractName, deployment.contractAddress)
+  ).connect(ethers.provider);
+  const adapter = new ADAPTERS[deployment.contractName](contract, {
+    deploymentBlock: deployment.blockNumber || 0,
+    ethers,
+    reader: batchReader.createBatchReader(ethers, ethers.provider),
+  });
+
+  const api = new ParkingApi({
+    adapter,
+    cacheTtl: options.cacheTtl,
+    cacheSize: options.cacheSize,
+    info: { network: network.name, address: deployment.contractAddress },
+  });
+  const server = api.createServer();
+
+  await new Promise((resolve) => server.listen(options.port, resolve));
+
+  console.log("\n📋 API Configuration:");
+  console.log("─".repeat(60));
+  console.log("Network:", network.name);
+  console.log("Contract:", deployment.contractName, deployment.contractAddress);
+  console.log("Cache TTL:", `${options.cacheTtl}ms`);
+  console.log("Cache Size:", options.cacheSize);
+  console.log("─".repeat(60));
+  console.log(`\n✅ Listening on http://localhost:${options.port}`);
+  console.log("   GET /spots  /spots/:id  /reservations/:id  /users/:address/reservations  /stats");
+  console.log("\n(Ctrl+C to stop)");
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  console.log("\n🛑 Stopping API server...");
+  await new Promise((resolve) => server.close(resolve));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Error:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
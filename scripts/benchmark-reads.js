@@ -0,0 +1,125 @@
+const { ethers, deployments, network } = require("hardhat");
+const { ADAPTERS, batchReader, spotCatalog } = require("../public/adapters");
+
+// Compares the eth_call requests the spot list and a user's reservation list take with one call per view and
+// through Multicall3, next to a page of the paginated getSpotsPage view, on the in-process Hardhat network. Sizes come from the environment, because `hardhat run`
+// does not forward script arguments:
+//   BENCHMARK_SPOTS         Spots to add (default: 200)
+//   BENCHMARK_RESERVATIONS  Reservations the user makes, one per spot (default: 50)
+const SPOTS = Number(process.env.BENCHMARK_SPOTS || 200);
+const RESERVATIONS = Number(process.env.BENCHMARK_RESERVATIONS || 50);
+const PRICE = ethers.parseEther("0.001");
+
+// Run a read and count the eth_call requests ethers sent for it
+async function measure(read) {
+  const provider = network.provider;
+  const send = provider.send;
+  let calls = 0;
+  provider.send = (method, params) => {
+    if (method === "eth_call") calls++;
+    return send.call(provider, method, params);
+  };
+
+  try {
+    const started = Date.now();
+    const result = await read();
+    return { calls, ms: Date.now() - started, items: result.length };
+  } finally {
+    provider.send = send;
+  }
+}
+
+async function main() {
+  console.log("=".repeat(60));
+  console.log("Private Parking Reservation - Read Benchmark");
+  console.log("=".repeat(60));
+
+  if (network.name !== "hardhat") {
+    throw new Error("❌ The benchmark deploys its own contracts; run it on the hardhat network");
+  }
+  if (RESERVATIONS > SPOTS) {
+    throw new Error("❌ BENCHMARK_RESERVATIONS cannot exceed BENCHMARK_SPOTS");
+  }
+
+  await deployments.fixture(["multicall"]);
+  const [owner, user] = await ethers.getSigners();
+  const Factory = await ethers.getContractFactory("ParkingReservation", owner);
+  const contract = await Factory.deploy();
+  await contract.waitForDeployment();
+
+  console.log(`\n🚀 Adding ${SPOTS} spots and ${RESERVATIONS} reservations...`);
+  const batchSize = Number(await contract.MAX_SPOTS_PER_BATCH());
+  const batches = Array.from({ length: Math.ceil(SPOTS / batchSize) }, (_, i) =>
+    Array.from(
+      { length: Math.min(batchSize, SPOTS - i * batchSize) },
+      (_, j) => `Spot ${i * batchSize + j + 1}`
+    )
+  );
+  await batches.reduce(
+    (previous, locations) =>
+      previous.then(async () => {
+        const tx = await contract.addParkingSpots(
+          0,
+          locations,
+          locations.map(() => PRICE)
+        );
+        await tx.wait();
+      }),
+    Promise.resolve()
+  );
+  await (await contract.connect(user).registerUser(1001, 750)).wait();
+  await Array.from({ length: RESERVATIONS }, (_, i) => i + 1).reduce(
+    (previous, spotId) =>
+      previous.then(async () => {
+        const tx = await contract.connect(user).makeReservation(spotId, 1, { value: PRICE });
+        await tx.wait();
+      }),
+    Promise.resolve()
+  );
+
+  const adapters = {
+    "One call per view": new ADAPTERS.ParkingReservation(contract, { ethers }),
+    Multicall3: new ADAPTERS.ParkingReservation(contract, {
+      ethers,
+      reader: batchReader.createBatchReader(ethers, ethers.provider),
+    }),
+  };
+
+  const rows = [];
+  await Object.entries(adapters).reduce(
+    (previous, [mode, adapter]) =>
+      previous.then(async () => {
+        rows.push({
+          read: "Spot list",
+          mode,
+          ...(await measure(() => spotCatalog.loadSpots(adapter))),
+        });
+        rows.push({
+          read: "Reservation list",
+          mode,
+          ...(await measure(() => adapter.listReservations(user.address))),
+        });
+      }),
+    Promise.resolve()
+  );
+  rows.push({
+    read: "Spot page",
+    mode: "getSpotsPage",
+    ...(await measure(async () => (await adapters.Multicall3.getSpotsPage(0, 100)).items)),
+  });
+
+  console.log("\n📊 eth_call requests per read:");
+  console.table(rows);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Error:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
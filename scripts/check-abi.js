@@ -0,0 +1,220 @@
+const { artifacts, ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { listDeployments } = require("./lib/deployments");
+
+const ROOT_DIR = path.join(__dirname, "..");
+
+// UI sources to scan; generated ABI modules are skipped
+const SOURCE_DIRS = [
+  { dir: path.join(ROOT_DIR, "public"), extensions: [".js"] },
+  { dir: path.join(ROOT_DIR, "private-parking-react", "src"), extensions: [".ts", ".tsx"] },
+];
+const IGNORED_DIRS = [
+  path.join(ROOT_DIR, "public", "contracts"),
+  path.join(ROOT_DIR, "private-parking-react", "src", "config", "contracts"),
+];
+
+// Members of ethers.Contract itself (v5 and v6) that are not contract functions
+const CONTRACT_BUILTINS = new Set([
+  "address",
+  "addListener",
+  "attach",
+  "callStatic",
+  "connect",
+  "deployed",
+  "deploymentTransaction",
+  "emit",
+  "estimateGas",
+  "filters",
+  "functions",
+  "getAddress",
+  "getDeployedCode",
+  "getEvent",
+  "getFunction",
+  "interface",
+  "listenerCount",
+  "listeners",
+  "off",
+  "on",
+  "once",
+  "populateTransaction",
+  "provider",
+  "queryFilter",
+  "removeAllListeners",
+  "removeListener",
+  "runner",
+  "signer",
+  "target",
+  "waitForDeployment",
+]);
+
+// A file can pin itself to one contract with a "@contract <Name>" comment
+const CONTRACT_ANNOTATION = /@contract\s+(\w+)/;
+// A call is contract.<name>( or contract.<name>.staticCall( and the like, optionally through contract.callStatic;
+// the parts are matched one after the other since optional groups around \s* make a regex backtrack badly
+const CONTRACT_MEMBER = /\bcontract\s*\.\s*([A-Za-z_$][\w$]*)/g;
+const NEXT_MEMBER = /\s*\.\s*([A-Za-z_$][\w$]*)/y;
+const CALL_OPEN = /\s*\(/y;
+const CALL_METHOD = /\s*\.\s*(?:staticCall|send|estimateGas|populateTransaction)\s*\(/y;
+const INDEXED_CALL = /\bcontract\s*\[\s*["'`](\w+)["'`]\s*\]/g;
+const EVENT_FILTER = /\bcontract\s*\.\s*filters\s*\.\s*(\w+)\s*\(/g;
+
+function collectSourceFiles(dir, extensions) {
+  if (!fs.existsSync(dir) || IGNORED_DIRS.includes(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return collectSourceFiles(fullPath, extensions);
+    }
+    return extensions.includes(path.extname(entry.name)) ? [fullPath] : [];
+  });
+}
+
+// Whether a sticky pattern matches at index; returns the match
+function matchAt(pattern, source, index) {
+  pattern.lastIndex = index;
+  return pattern.exec(source);
+}
+
+function findFunctionCalls(source) {
+  const calls = [];
+
+  for (const match of source.matchAll(CONTRACT_MEMBER)) {
+    let name = match[1];
+    let end = match.index + match[0].length;
+
+    if (name === "callStatic") {
+      const member = matchAt(NEXT_MEMBER, source, end);
+      if (!member) continue;
+      name = member[1];
+      end += member[0].length;
+    }
+
+    if (matchAt(CALL_OPEN, source, end) || matchAt(CALL_METHOD, source, end)) {
+      calls.push({ name, index: match.index });
+    }
+  }
+
+  return calls;
+}
+
+function lineOf(source, index) {
+  return source.slice(0, index).split("\n").length;
+}
+
+/**
+ * Find every contract member a source file calls
+ * @param {string} source - File contents
+ * @returns {{kind: string, name: string, line: number}[]} Referenced functions and events
+ */
+function findContractReferences(source) {
+  const references = [];
+
+  const indexedCalls = [...source.matchAll(INDEXED_CALL)].map((match) => ({
+    name: match[1],
+    index: match.index,
+  }));
+  for (const { name, index } of [...findFunctionCalls(source), ...indexedCalls]) {
+    if (!CONTRACT_BUILTINS.has(name)) {
+      references.push({ kind: "function", name, line: lineOf(source, index) });
+    }
+  }
+
+  for (const match of source.matchAll(EVENT_FILTER)) {
+    references.push({ kind: "event", name: match[1], line: lineOf(source, match.index) });
+  }
+
+  return references;
+}
+
+// Contract the UI is expected to drive: PARKING_CONTRACT, else whatever is deployed
+function resolveSelectedContract() {
+  if (process.env.PARKING_CONTRACT) {
+    return process.env.PARKING_CONTRACT;
+  }
+
+  const onNetwork = listDeployments().filter((d) => d.network === network.name);
+  const candidates = onNetwork.length > 0 ? onNetwork : listDeployments();
+  const names = [...new Set(candidates.map((d) => d.contractName))];
+
+  if (names.length !== 1) {
+    throw new Error(
+      `❌ Cannot tell which contract the UI targets (found: ${names.join(", ") || "none"})\nSet PARKING_CONTRACT=<ContractName>`
+    );
+  }
+  return names[0];
+}
+
+async function loadInterface(contractName, cache) {
+  if (!cache.has(contractName)) {
+    const artifact = await artifacts.readArtifact(contractName);
+    cache.set(contractName, new ethers.Interface(artifact.abi));
+  }
+  return cache.get(contractName);
+}
+
+function hasMember(iface, { kind, name }) {
+  if (kind === "event") {
+    return iface.fragments.some((f) => f.type === "event" && f.name === name);
+  }
+  return iface.fragments.some((f) => f.type === "function" && f.name === name);
+}
+
+async function main() {
+  console.log("=".repeat(60));
+  console.log("Checking UI Contract Calls Against ABI...");
+  console.log("=".repeat(60));
+
+  const selectedContract = resolveSelectedContract();
+  console.log("\nSelected Contract:", selectedContract);
+
+  const interfaces = new Map();
+  const problems = [];
+  let checkedCalls = 0;
+
+  const files = SOURCE_DIRS.flatMap(({ dir, extensions }) => collectSourceFiles(dir, extensions));
+
+  for (const file of files) {
+    const source = fs.readFileSync(file, "utf8");
+    const annotation = CONTRACT_ANNOTATION.exec(source);
+    const contractName = annotation ? annotation[1] : selectedContract;
+    const iface = await loadInterface(contractName, interfaces);
+
+    for (const reference of findContractReferences(source)) {
+      checkedCalls++;
+      if (!hasMember(iface, reference)) {
+        problems.push({ file: path.relative(ROOT_DIR, file), contractName, ...reference });
+      }
+    }
+  }
+
+  console.log(`Scanned ${files.length} file(s), ${checkedCalls} contract reference(s)`);
+  console.log("─".repeat(60));
+
+  if (problems.length > 0) {
+    for (const problem of problems) {
+      console.log(
+        `❌ ${problem.file}:${problem.line} calls ${problem.kind} "${problem.name}" which ${problem.contractName} does not define`
+      );
+    }
+    throw new Error(`${problems.length} call(s) to undefined contract members`);
+  }
+
+  console.log("✅ Every UI contract call exists in the ABI");
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ ABI Check Failed:");
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
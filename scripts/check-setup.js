@@ -80,7 +80,7 @@ console.log("\n🛠️  Checking Deployment Scripts...\n");
 // 部署脚本
 checkFile("scripts/deploy.js", "Deployment Script");
 checkFile("scripts/verify.js", "Verification Script");
-checkFile("scripts/interact.js", "Interaction Script");
+checkFile("tasks/parking.js", "Parking CLI Tasks");
 checkFile("scripts/simulate.js", "Simulation Script");
 
 console.log("\n🧪 Checking Test Files...\n");
@@ -0,0 +1,146 @@
+const { artifacts, ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { listDeployments } = require("./lib/deployments");
+
+// Contracts the frontends can be pointed at
+const CONTRACTS = ["ParkingReservation", "PrivateParkingReservation"];
+
+// Contracts that forward part of their functions to an extension through stubs without parameter names
+const EXTENSIONS = { PrivateParkingReservation: "PrivateParkingReservationExtension" };
+
+const ROOT_DIR = path.join(__dirname, "..");
+const VANILLA_OUT_DIR = path.join(ROOT_DIR, "public", "contracts");
+const REACT_OUT_DIR = path.join(ROOT_DIR, "private-parking-react", "src", "config", "contracts");
+
+const HEADER = "Auto-generated by scripts/generate-abi.js - do not edit by hand.";
+
+/**
+ * Build the frontend description of a contract: human-readable ABI plus known deployments
+ * @param {string} contractName - Contract name
+ * @returns {Promise<object|null>} Contract description, or null if it has not been compiled
+ */
+async function describeContract(contractName) {
+  if (!(await artifacts.artifactExists(contractName))) {
+    return null;
+  }
+
+  const artifact = await artifacts.readArtifact(contractName);
+  const jsonAbi = await withExtensionNames(contractName, artifact.abi);
+  const abi = new ethers.Interface(jsonAbi).format(false);
+
+  const deployments = {};
+  for (const deployment of listDeployments(contractName)) {
+    deployments[deployment.network] = {
+      address: deployment.contractAddress,
+      chainId: deployment.chainId,
+      blockNumber: deployment.blockNumber,
+    };
+  }
+
+  return { contractName, abi, deployments };
+}
+
+/**
+ * Replace the forwarding stubs of a contract with the extension functions they run, which name their parameters
+ * @param {string} contractName - Contract name
+ * @param {object[]} abi - JSON ABI of the contract
+ * @returns {Promise<object[]>} JSON ABI with the named fragments
+ */
+async function withExtensionNames(contractName, abi) {
+  const extensionName = EXTENSIONS[contractName];
+  if (!extensionName || !(await artifacts.artifactExists(extensionName))) {
+    return abi;
+  }
+
+  const extension = new ethers.Interface((await artifacts.readArtifact(extensionName)).abi);
+  return abi.map((fragment) => {
+    if (fragment.type !== "function") return fragment;
+    const named = extension.getFunction(ethers.FunctionFragment.from(fragment).selector);
+    return named ? JSON.parse(named.format("json")) : fragment;
+  });
+}
+
+// public/contracts/<Contract>.js - plain script registering itself on window.PARKING_CONTRACTS
+function renderVanillaModule(description) {
+  return `// ${HEADER}
+window.PARKING_CONTRACTS = window.PARKING_CONTRACTS || {};
+window.PARKING_CONTRACTS[${JSON.stringify(description.contractName)}] = ${JSON.stringify(description, null, 4)};
+`;
+}
+
+// private-parking-react/src/config/contracts/<Contract>.ts - typed ES module
+function renderReactModule(description) {
+  return `// ${HEADER}
+import type { ContractDescription } from './types';
+
+const contract: ContractDescription = ${JSON.stringify(description, null, 2)};
+
+export default contract;
+`;
+}
+
+function renderReactIndex(contractNames) {
+  const imports = contractNames.map((name) => `import ${name} from './${name}';`).join("\n");
+  return `// ${HEADER}
+${imports}
+import type { ContractDescription } from './types';
+
+export type { ContractDescription, ContractDeployment } from './types';
+
+export const CONTRACTS: Record<string, ContractDescription> = {
+${contractNames.map((name) => `  ${name},`).join("\n")}
+};
+`;
+}
+
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  console.log("  •", path.relative(ROOT_DIR, filePath));
+}
+
+async function main() {
+  console.log("=".repeat(60));
+  console.log("Generating Frontend ABI Modules...");
+  console.log("=".repeat(60));
+
+  const generated = [];
+
+  for (const contractName of CONTRACTS) {
+    const description = await describeContract(contractName);
+    if (!description) {
+      console.log(`\n⚠️  No artifact for ${contractName} - run "npm run compile" first, skipping`);
+      continue;
+    }
+
+    console.log(
+      `\n📄 ${contractName}: ${description.abi.length} ABI entries, ${Object.keys(description.deployments).length} deployment(s)`
+    );
+    writeFile(path.join(VANILLA_OUT_DIR, `${contractName}.js`), renderVanillaModule(description));
+    writeFile(path.join(REACT_OUT_DIR, `${contractName}.ts`), renderReactModule(description));
+    generated.push(contractName);
+  }
+
+  if (generated.length === 0) {
+    throw new Error("❌ No compiled contracts found");
+  }
+
+  writeFile(path.join(REACT_OUT_DIR, "index.ts"), renderReactIndex(generated));
+
+  console.log("\n" + "=".repeat(60));
+  console.log("✨ ABI Generation Complete!");
+  console.log("=".repeat(60));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ ABI Generation Failed:");
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,101 @@
+const { ethers, network } = require("hardhat");
+const { loadDeployment } = require("./lib/deployments");
+const { EventIndexer, openStore } = require("./lib/indexer");
+
+// Options come from the environment because `hardhat run` does not forward script arguments:
+//   PARKING_CONTRACT        ParkingReservation | PrivateParkingReservation (default: latest deployment)
+//   INDEXER_STORE           json (default) | sqlite (uses better-sqlite3)
+//   INDEXER_DB              Output file (default: data/indexer/<network>-<Contract>.<json|sqlite>)
+//   INDEXER_CONFIRMATIONS   Blocks to stay behind the head (default: 0)
+//   INDEXER_WATCH           "true" to keep polling for new blocks
+//   INDEXER_POLL_INTERVAL   Poll interval in ms when watching (default: 4000)
+function readOptions() {
+  return {
+    contractName: process.env.PARKING_CONTRACT,
+    storeType: process.env.INDEXER_STORE || "json",
+    file: process.env.INDEXER_DB,
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0),
+    watch: process.env.INDEXER_WATCH === "true",
+    pollInterval: Number(process.env.INDEXER_POLL_INTERVAL || 4000),
+  };
+}
+
+function printSummary(indexer) {
+  const stats = indexer.query.stats();
+  console.log("─".repeat(60));
+  console.log("Indexed up to block:", indexer.cursor ? indexer.cursor.number : "-");
+  console.log("Parking spots:", stats.totalSpots, `(${stats.activeSpots} active)`);
+  console.log("Registered users:", stats.totalUsers);
+  console.log("Reservations:", stats.totalReservations, JSON.stringify(stats.reservationsByStatus));
+  console.log("Refunded:", ethers.formatEther(stats.totalRefunded), "ETH");
+  console.log("─".repeat(60));
+}
+
+async function main() {
+  console.log("=".repeat(60));
+  console.log("Private Parking Reservation - Event Indexer");
+  console.log("=".repeat(60));
+
+  const options = readOptions();
+  const deployment = loadDeployment(network.name, options.contractName);
+  const contract = await ethers.getContractAt(deployment.contractName, deployment.contractAddress);
+  const store = openStore({
+    type: options.storeType,
+    file: options.file,
+    network: network.name,
+    contractName: deployment.contractName,
+  });
+
+  console.log("\n📋 Indexer Configuration:");
+  console.log("─".repeat(60));
+  console.log("Network:", network.name);
+  console.log("Contract:", deployment.contractName, deployment.contractAddress);
+  console.log("Deployment block:", deployment.blockNumber);
+  console.log("Store:", options.storeType, store.file);
+  console.log("Confirmations:", options.confirmations);
+  console.log("─".repeat(60));
+
+  const indexer = new EventIndexer({
+    contract,
+    contractName: deployment.contractName,
+    store,
+    chainId: Number(deployment.chainId),
+    fromBlock: deployment.blockNumber || 0,
+    confirmations: options.confirmations,
+  });
+  await indexer.open();
+
+  const logSync = ({ fromBlock, toBlock, events }) => {
+    if (events > 0) {
+      console.log(`✅ Indexed ${events} event(s) in blocks ${fromBlock}-${toBlock}`);
+    }
+  };
+
+  if (!options.watch) {
+    logSync(await indexer.sync());
+    printSummary(indexer);
+    indexer.close();
+    return;
+  }
+
+  console.log(`\n👀 Watching for new blocks every ${options.pollInterval}ms (Ctrl+C to stop)`);
+  process.once("SIGINT", () => {
+    console.log("\n🛑 Stopping indexer...");
+    indexer.stop();
+  });
+  await indexer.watch({ pollInterval: options.pollInterval, onSync: logSync });
+  printSummary(indexer);
+  indexer.close();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Error:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
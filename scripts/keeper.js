@@ -0,0 +1,84 @@
+const { ethers, network } = require("hardhat");
+const { loadDeployment } = require("./lib/deployments");
+const { Keeper, resolveKeeperConfig } = require("./lib/keeper");
+
+// Settings come from the `keeper` section of the network in hardhat.config.js:
+//   pollInterval          Milliseconds between polls (default: 15000)
+//   dryRun                Check settlements with static calls instead of sending them
+//   maxFeePerGas          Cap in gwei; settlements wait while the base fee is above it
+//   maxPriorityFeePerGas  Cap in gwei on the priority fee
+//   gasLimit              Settlements estimated above this are skipped (default: 500000)
+//   maxActionsPerPoll     Settlements sent per poll (default: 20)
+//   maxConcurrentReads    Reservations read at once (default: 10)
+//   account               Index of the paying account in the network's accounts (default: 0)
+// and from the environment, because `hardhat run` does not forward script arguments:
+//   PARKING_CONTRACT      ParkingReservation | PrivateParkingReservation (default: latest deployment)
+//   KEEPER_DRY_RUN        "true" or "false", overrides dryRun
+//   KEEPER_POLL_INTERVAL  Overrides pollInterval
+//   KEEPER_ACCOUNT        Overrides account
+async function main() {
+  console.log("=".repeat(60));
+  console.log("Private Parking Reservation - Keeper");
+  console.log("=".repeat(60));
+
+  const config = resolveKeeperConfig(network.config.keeper);
+  const deployment = loadDeployment(network.name, process.env.PARKING_CONTRACT);
+  const signers = await ethers.getSigners();
+  const signer = signers[config.account];
+  if (!signer) {
+    throw new Error(`❌ Network "${network.name}" has no account #${config.account}`);
+  }
+  const contract = await ethers.getContractAt(
+    deployment.contractName,
+    deployment.contractAddress,
+    signer
+  );
+
+  console.log("\n📋 Keeper Configuration:");
+  console.log("─".repeat(60));
+  console.log("Network:", network.name);
+  console.log("Contract:", deployment.contractName, deployment.contractAddress);
+  console.log("Keeper account:", signer.address);
+  console.log("Mode:", config.dryRun ? "dry run (nothing is sent)" : "live");
+  console.log("Poll interval:", `${config.pollInterval}ms`);
+  console.log(
+    "Max fee per gas:",
+    config.maxFeePerGas != null ? `${config.maxFeePerGas} gwei` : "network"
+  );
+  console.log(
+    "Max priority fee:",
+    config.maxPriorityFeePerGas != null ? `${config.maxPriorityFeePerGas} gwei` : "network"
+  );
+  console.log("Gas limit:", config.gasLimit);
+  console.log("─".repeat(60));
+
+  const keeper = new Keeper({
+    contract,
+    contractName: deployment.contractName,
+    signer,
+    provider: ethers.provider,
+    ...config,
+  });
+
+  const warnings = await keeper.checkPermissions();
+  warnings.forEach((warning) => console.log(`⚠️  ${warning}`));
+
+  console.log("\n👀 Watching for expired reservations and stuck gateway requests (Ctrl+C to stop)");
+  await keeper.start({ pollInterval: config.pollInterval });
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  console.log("\n🛑 Stopping keeper...");
+  keeper.stop();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Error:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,74 @@
+/**
+ * Time-based cache for contract reads. Concurrent requests for the same key share one
+ * in-flight call, and failed calls are not cached. Expired entries are dropped whenever a
+ * new one is stored, and past maxEntries the least recently used entry is evicted.
+ */
+class TtlCache {
+  /**
+   * @param {object} [options] - { ttl, maxEntries } lifetime of an entry in ms (0 disables
+   *   caching) and the number of entries kept
+   */
+  constructor({ ttl = 15000, maxEntries = 1000, now = Date.now } = {}) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.now = now;
+    // Insertion order doubles as recency order: hits are moved to the end
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Return the cached value for key, loading it when missing or expired
+   * @param {string} key - Cache key
+   * @param {Function} load - Async loader
+   * @returns {Promise<*>} Value
+   */
+  async get(key, load) {
+    const cached = this.entries.get(key);
+    if (cached && cached.expiresAt > this.now()) {
+      this.entries.delete(key);
+      this.entries.set(key, cached);
+      return cached.value;
+    }
+
+    const entry = { value: load(), expiresAt: this.now() + this.ttl };
+    this.entries.delete(key);
+    this.prune();
+    this.entries.set(key, entry);
+    try {
+      return await entry.value;
+    } catch (error) {
+      // Unless the key was evicted and loaded again meanwhile
+      if (this.entries.get(key) === entry) {
+        this.entries.delete(key);
+      }
+      throw error;
+    }
+  }
+
+  // Drop expired entries, then the least recently used ones until a new entry fits
+  prune() {
+    const now = this.now();
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    });
+
+    const excess = this.entries.size - this.maxEntries + 1;
+    if (excess > 0) {
+      Array.from(this.entries.keys())
+        .slice(0, excess)
+        .forEach((key) => this.entries.delete(key));
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = { TtlCache };
@@ -0,0 +1,9 @@
+const { TtlCache } = require("./cache");
+const { HttpError, ParkingApi, toJson } = require("./server");
+
+module.exports = {
+  HttpError,
+  ParkingApi,
+  TtlCache,
+  toJson,
+};
@@ -0,0 +1,220 @@
+const http = require("http");
+const { isAddress, ZeroAddress } = require("ethers");
+const { spotCatalog } = require("../../../public/adapters");
+const { DEFAULT_LIMIT, MAX_LIMIT, paginate } = require("../indexer/query");
+const { TtlCache } = require("./cache");
+
+const { loadSpots, filterSpots } = spotCatalog;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+// bigint amounts (wei) are sent as decimal strings
+function toJson(body) {
+  return JSON.stringify(body, (key, value) =>
+    typeof value === "bigint" ? value.toString() : value
+  );
+}
+
+// ethers gives provider and contract call errors a code, and reverts on Hardhat's in-process
+// network carry revert data; anything else is a bug in the server
+function isContractCallError(error) {
+  return error.code !== undefined || error.data !== undefined;
+}
+
+function parseId(value, name) {
+  if (!/^\d+$/.test(value)) {
+    throw new HttpError(400, `Invalid ${name}: ${value}`);
+  }
+  return Number(value);
+}
+
+function parsePage(searchParams) {
+  const page = {};
+  ["offset", "limit"].forEach((name) => {
+    const value = searchParams.get(name);
+    if (value !== null) page[name] = parseId(value, name);
+  });
+  return page;
+}
+
+/**
+ * Read-only JSON API over a contract adapter
+ *
+ *   GET /spots                          ?search=&state=&sortBy=&descending=&offset=&limit=
+ *   GET /spots/:id
+ *   GET /reservations/:id
+ *   GET /users/:address/reservations    ?status=&offset=&limit=
+ *   GET /stats
+ */
+class ParkingApi {
+  /**
+   * @param {object} options
+   * @param {object} options.adapter - Adapter from public/adapters (read-only runner is enough)
+   * @param {number} [options.cacheTtl] - Cache lifetime in ms
+   * @param {number} [options.cacheSize] - Number of cached reads kept
+   * @param {object} [options.info] - Extra fields for /stats, e.g. { network, address }
+   */
+  constructor({ adapter, cacheTtl = 15000, cacheSize = 1000, info = {} }) {
+    this.adapter = adapter;
+    this.cache = new TtlCache({ ttl: cacheTtl, maxEntries: cacheSize });
+    this.info = info;
+    this.routes = [
+      { pattern: /^\/spots$/, handler: (match, query) => this.listSpots(query) },
+      {
+        pattern: /^\/spots\/([^/]+)$/,
+        handler: (match) => this.getSpot(parseId(match[1], "spot ID")),
+      },
+      {
+        pattern: /^\/reservations\/([^/]+)$/,
+        handler: (match) => this.getReservation(parseId(match[1], "reservation ID")),
+      },
+      {
+        pattern: /^\/users\/([^/]+)\/reservations$/,
+        handler: (match, query) => this.listUserReservations(match[1], query),
+      },
+      { pattern: /^\/stats$/, handler: () => this.stats() },
+    ];
+  }
+
+  cached(key, load) {
+    return this.cache.get(key, load);
+  }
+
+  async loadSpots() {
+    return this.cached("spots", () => loadSpots(this.adapter));
+  }
+
+  // getSpotsPage returns at most MAX_PAGE_SIZE spots per call
+  async readSpotsPage(offset, limit) {
+    const { items, total } = await this.adapter.getSpotsPage(offset, limit);
+    if (items.length === 0 || items.length >= limit || offset + items.length >= total) {
+      return { items, total };
+    }
+    const rest = await this.readSpotsPage(offset + items.length, limit - items.length);
+    return { items: [...items, ...rest.items], total };
+  }
+
+  async listSpots(query) {
+    const search = query.get("search") || "";
+    const state = query.get("state") || "all";
+    const sortBy = query.get("sortBy") || "id";
+    const descending = query.get("descending") === "true";
+    const page = parsePage(query);
+
+    // Without filters or sorting only the requested page is read; otherwise every spot is
+    if (!search && state === "all" && sortBy === "id" && !descending) {
+      const offset = page.offset || 0;
+      const limit = Math.min(MAX_LIMIT, page.limit || DEFAULT_LIMIT);
+      const { items, total } = await this.cached(`spots:${offset}:${limit}`, () =>
+        this.readSpotsPage(offset, limit)
+      );
+      return { items, total, offset, limit };
+    }
+    const spots = filterSpots(await this.loadSpots(), { search, state, sortBy, descending });
+    return paginate(spots, page);
+  }
+
+  async getSpot(spotId) {
+    const { totalSpots } = await this.stats();
+    if (!this.adapter.spotIds(totalSpots).includes(spotId)) {
+      throw new HttpError(404, `Spot ${spotId} not found`);
+    }
+    return this.cached(`spot:${spotId}`, () => this.adapter.getSpot(spotId));
+  }
+
+  async getReservation(reservationId) {
+    const reservation = await this.cached(`reservation:${reservationId}`, () =>
+      this.adapter.getReservation(reservationId)
+    );
+    // Unknown IDs read back as an empty struct
+    if (reservation.user === ZeroAddress) {
+      throw new HttpError(404, `Reservation ${reservationId} not found`);
+    }
+    return reservation;
+  }
+
+  async listUserReservations(address, query) {
+    if (!isAddress(address)) {
+      throw new HttpError(400, `Invalid address: ${address}`);
+    }
+
+    const status = query.get("status");
+    const reservations = await this.cached(`user:${address.toLowerCase()}`, () =>
+      this.adapter.listReservations(address)
+    );
+    const matching = reservations
+      .filter((reservation) => !status || reservation.status === status)
+      .sort((a, b) => b.id - a.id);
+    return paginate(matching, parsePage(query));
+  }
+
+  async stats() {
+    const stats = await this.cached("stats", () => this.adapter.stats());
+    return { contractName: this.adapter.contractName, ...this.info, ...stats };
+  }
+
+  /**
+   * Resolve a request to a JSON body
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL (path and query)
+   * @returns {Promise<{status: number, body: object}>} Response
+   */
+  async handle(method, url) {
+    const { pathname, searchParams } = new URL(url, "http://localhost");
+    const path = pathname.replace(/\/+$/, "") || "/";
+
+    try {
+      if (method !== "GET") {
+        throw new HttpError(405, `Method ${method} not allowed`);
+      }
+
+      const route = this.routes.find(({ pattern }) => pattern.test(path));
+      if (!route) {
+        throw new HttpError(404, `No route for ${path}`);
+      }
+
+      const body = await route.handler(route.pattern.exec(path), searchParams);
+      return { status: 200, body };
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return { status: error.status, body: { error: error.message } };
+      }
+      if (!isContractCallError(error)) {
+        return { status: 500, body: { error: "Internal server error" } };
+      }
+      return {
+        status: 502,
+        body: { error: `Contract call failed: ${error.shortMessage || error.message}` },
+      };
+    }
+  }
+
+  /**
+   * Create the HTTP server (call listen() on the result)
+   * @returns {http.Server} Server
+   */
+  createServer() {
+    return http.createServer(async (req, res) => {
+      const { status, body } = await this.handle(req.method, req.url);
+      res.writeHead(status, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Access-Control-Allow-Origin": "*",
+        "Cache-Control":
+          status === 200 ? `public, max-age=${Math.floor(this.cache.ttl / 1000)}` : "no-store",
+      });
+      res.end(toJson(body));
+    });
+  }
+}
+
+module.exports = {
+  HttpError,
+  ParkingApi,
+  toJson,
+};
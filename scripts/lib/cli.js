@@ -0,0 +1,143 @@
+const { loadDeployment } = require("./deployments");
+const { ADAPTERS, batchReader } = require("../../public/adapters");
+
+/**
+ * Pick the account to send from
+ * @param {object[]} signers - hre.ethers.getSigners()
+ * @param {string} [from] - Account index or address; the first account when omitted
+ * @returns {object} Signer
+ */
+function resolveSigner(signers, from) {
+  if (from === undefined || from === "") return signers[0];
+
+  const signer = /^\d+$/.test(from)
+    ? signers[Number(from)]
+    : signers.find((candidate) => candidate.address.toLowerCase() === from.toLowerCase());
+  if (!signer) {
+    throw new Error(`❌ No account ${from} on this network (${signers.length} configured)`);
+  }
+  return signer;
+}
+
+/**
+ * Connect an adapter to the parking contract for a command
+ * @param {object} hre - Hardhat runtime environment
+ * @param {object} options - { contract, at, from }: contract name, contract address (defaults to the
+ *   latest deployment on the network) and account
+ * @returns {Promise<{adapter: object, contract: object, signer: object, contractName: string}>}
+ */
+async function connect(hre, { contract: contractName, at, from }) {
+  const deployment = at
+    ? { contractName: contractName || "ParkingReservation", contractAddress: at, blockNumber: 0 }
+    : loadDeployment(hre.network.name, contractName);
+
+  const Adapter = ADAPTERS[deployment.contractName];
+  if (!Adapter) {
+    throw new Error(`❌ No adapter for contract ${deployment.contractName}`);
+  }
+
+  const signer = resolveSigner(await hre.ethers.getSigners(), from);
+  const contract = await hre.ethers.getContractAt(
+    deployment.contractName,
+    deployment.contractAddress,
+    signer
+  );
+  // Encrypted inputs and decryptions go through the fhevm plugin
+  if (deployment.contractName === "PrivateParkingReservation") {
+    await hre.fhevm.initializeCLIApi();
+  }
+  const adapter = new Adapter(contract, {
+    deploymentBlock: deployment.blockNumber || 0,
+    fhe: hre.fhevm,
+    ethers: hre.ethers,
+    // Spot and reservation lists go through Multicall3 where the network has it
+    reader: batchReader.createBatchReader(hre.ethers, signer),
+  });
+  // Prices and amounts are parsed and formatted in the payment token when one is set
+  await adapter.loadPaymentToken();
+
+  return { adapter, contract, signer, contractName: deployment.contractName };
+}
+
+function isTransactionResult(value) {
+  return value !== null && typeof value === "object" && value.tx && value.receipt;
+}
+
+/**
+ * Wait for more confirmations than the one every transaction is sent with
+ * @param {*} result - Command result
+ * @param {number} confirmations - Confirmations to wait for
+ */
+async function waitForConfirmations(result, confirmations) {
+  if (isTransactionResult(result) && confirmations > 1) {
+    await result.tx.wait(confirmations);
+  }
+}
+
+/**
+ * Turn a command result into plain JSON values: bigint amounts become decimal strings and
+ * transaction results are summarised by hash, block, gas and event names
+ * @param {*} value - Command result
+ * @returns {*} JSON-safe value
+ */
+function serialize(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(serialize);
+  if (value === null || typeof value !== "object") return value;
+
+  if (isTransactionResult(value)) {
+    const { tx, receipt, events, ...rest } = value;
+    return {
+      ...serialize(rest),
+      txHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      events: events.map((event) => event.name),
+    };
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, serialize(entry)]));
+}
+
+/**
+ * Render a serialized result for a terminal: one "key: value" line per field
+ * @param {*} value - Serialized result
+ * @returns {string} Text
+ */
+function formatText(value) {
+  if (Array.isArray(value)) {
+    const separator = value.some((entry) => entry !== null && typeof entry === "object")
+      ? "\n\n"
+      : "\n";
+    return value.length === 0 ? "(none)" : value.map((entry) => formatText(entry)).join(separator);
+  }
+  if (value === null || typeof value !== "object") return String(value);
+
+  return Object.entries(value)
+    .map(
+      ([key, entry]) =>
+        `${key}: ${typeof entry === "object" && entry !== null ? JSON.stringify(entry) : entry}`
+    )
+    .join("\n");
+}
+
+/**
+ * Convert the values returned by a contract call to named fields when the ABI names them
+ * @param {object} fragment - ethers FunctionFragment
+ * @param {*} result - Call result
+ * @returns {*} The single value, or an object keyed by output name (or index)
+ */
+function namedOutputs(fragment, result) {
+  if (fragment.outputs.length === 1) return result[0];
+  return Object.fromEntries(
+    fragment.outputs.map((output, i) => [output.name || String(i), result[i]])
+  );
+}
+
+module.exports = {
+  connect,
+  formatText,
+  namedOutputs,
+  resolveSigner,
+  serialize,
+  waitForConfirmations,
+};
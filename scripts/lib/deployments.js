@@ -0,0 +1,50 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+// Deployment files are written by scripts/deploy.js as <network>-<Contract>.json
+const DEPLOYMENT_FILE_PATTERN = /^([\w-]+?)-(\w+)\.json$/;
+
+/**
+ * List every deployment record found in deployments/
+ * @param {string} [contractName] - Only return deployments of this contract
+ * @returns {object[]} Deployment records
+ */
+function listDeployments(contractName) {
+  if (!fs.existsSync(DEPLOYMENTS_DIR)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(DEPLOYMENTS_DIR)
+    .map((file) => ({ file, match: DEPLOYMENT_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match && !match[2].endsWith("ABI"))
+    .filter(({ match }) => !contractName || match[2] === contractName)
+    .map(({ file }) => JSON.parse(fs.readFileSync(path.join(DEPLOYMENTS_DIR, file), "utf8")));
+}
+
+/**
+ * Load the deployment record of a contract on a network
+ * @param {string} networkName - Hardhat network name
+ * @param {string} [contractName] - Contract name; defaults to whichever contract is deployed
+ * @returns {object} Deployment record
+ */
+function loadDeployment(networkName, contractName) {
+  const deployments = listDeployments(contractName).filter((d) => d.network === networkName);
+
+  if (deployments.length === 0) {
+    throw new Error(
+      `❌ No ${contractName || "contract"} deployment found for network "${networkName}"\nPlease run deployment script first: npx hardhat run scripts/deploy.js --network ${networkName}`
+    );
+  }
+
+  // Most recent deployment wins when several contracts live on the same network
+  return deployments.sort((a, b) => (a.deploymentTime < b.deploymentTime ? 1 : -1))[0];
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  listDeployments,
+  loadDeployment,
+};
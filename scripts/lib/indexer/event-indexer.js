@@ -0,0 +1,253 @@
+const {
+  CONTRACT_EVENTS,
+  RESERVATION_CREATED_EVENTS,
+  applyEvent,
+  replayEvents,
+} = require("./projection");
+const { IndexQuery } = require("./query");
+
+function serializeValue(value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Turn an ethers v6 EventLog into a plain JSON-serializable record
+ * @param {object} log - EventLog returned by contract.queryFilter
+ * @returns {object} { name, args, blockNumber, blockHash, logIndex, transactionHash }
+ */
+function normalizeEvent(log) {
+  const args = {};
+  log.fragment.inputs.forEach((input, index) => {
+    args[input.name] = serializeValue(log.args[index]);
+  });
+
+  return {
+    name: log.fragment.name,
+    args,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    logIndex: log.index,
+    transactionHash: log.transactionHash,
+  };
+}
+
+/**
+ * Replays parking contract events into a store and keeps the derived state up to date.
+ * Reorgs are detected by re-checking the hash of the last indexed block; on mismatch the
+ * index is rolled back to the newest stored block that is still canonical and re-synced.
+ */
+class EventIndexer {
+  /**
+   * @param {object} options
+   * @param {object} options.contract - ethers v6 contract connected to a provider
+   * @param {string} options.contractName - "ParkingReservation" or "PrivateParkingReservation"
+   * @param {object} options.store - Store from openStore
+   * @param {number} [options.chainId] - Recorded in the store to refuse mixing deployments
+   * @param {number} [options.fromBlock] - Deployment block
+   * @param {number} [options.confirmations] - Blocks to stay behind the head
+   * @param {number} [options.batchSize] - Blocks per eth_getLogs request
+   * @param {number} [options.reorgDepth] - How many recent blocks to keep hashes for
+   */
+  constructor({
+    contract,
+    contractName,
+    store,
+    chainId = 0,
+    fromBlock = 0,
+    confirmations = 0,
+    batchSize = 2000,
+    reorgDepth = 64,
+    logger = console,
+  }) {
+    if (!CONTRACT_EVENTS[contractName]) {
+      throw new Error(`❌ Indexing is not supported for contract "${contractName}"`);
+    }
+
+    this.contract = contract;
+    this.contractName = contractName;
+    this.store = store;
+    this.chainId = chainId;
+    this.fromBlock = fromBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+    this.logger = logger;
+    this.config = CONTRACT_EVENTS[contractName];
+
+    this.cursor = null;
+    this.blocks = [];
+    this.state = replayEvents([]);
+    this.query = new IndexQuery(() => this.state);
+    this.stopped = false;
+  }
+
+  get provider() {
+    return this.contract.runner.provider || this.contract.runner;
+  }
+
+  /**
+   * Load previously indexed events and rebuild the state
+   */
+  async open() {
+    this.meta = {
+      contractName: this.contractName,
+      address: await this.contract.getAddress(),
+      chainId: this.chainId,
+      fromBlock: this.fromBlock,
+    };
+    this.reload();
+    return this;
+  }
+
+  reload() {
+    const saved = this.store.load(this.meta);
+    this.cursor = saved.cursor;
+    this.blocks = saved.blocks;
+    this.state = replayEvents(saved.events);
+  }
+
+  /**
+   * Index every block up to the confirmed head
+   * @returns {Promise<object>} { fromBlock, toBlock, events, reorg }
+   */
+  async sync() {
+    const reorg = await this.handleReorg();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const startBlock = this.cursor ? this.cursor.number + 1 : this.fromBlock;
+    let from = startBlock;
+    let indexed = 0;
+
+    while (from <= head && !this.stopped) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      indexed += await this.indexRange(from, to);
+      from = to + 1;
+    }
+
+    return {
+      fromBlock: startBlock,
+      toBlock: this.cursor ? this.cursor.number : null,
+      events: indexed,
+      reorg,
+    };
+  }
+
+  async indexRange(from, to) {
+    const logs = await this.contract.queryFilter("*", from, to);
+    const events = [];
+
+    // Sequential on purpose: detail reads are pinned to each event's block
+    for (const log of logs) {
+      if (!log.fragment || !this.config.events.includes(log.fragment.name)) continue;
+      const event = normalizeEvent(log);
+      if (RESERVATION_CREATED_EVENTS.includes(event.name)) {
+        event.details = await this.readReservationDetails(
+          event.args.reservationId,
+          event.blockNumber
+        );
+      }
+      events.push(event);
+    }
+
+    const toBlock = await this.provider.getBlock(to);
+    this.cursor = { number: toBlock.number, hash: toBlock.hash };
+    this.blocks = this.trackBlocks(events);
+
+    events.forEach((event) => applyEvent(this.state, event));
+    this.store.append({ events, blocks: this.blocks, cursor: this.cursor, state: this.state });
+    return events.length;
+  }
+
+  // Events only carry IDs; read times and amount as they were when the reservation was created
+  async readReservationDetails(reservationId, blockNumber) {
+    const reservation = await this.contract.reservations(reservationId, { blockTag: blockNumber });
+    return {
+      startTime: Number(reservation.startTime),
+      endTime: Number(reservation.endTime),
+      amount: reservation[this.config.reservationAmount].toString(),
+    };
+  }
+
+  // Remember the hash of every block with events plus the cursor, within the reorg window
+  trackBlocks(events) {
+    const byNumber = new Map(this.blocks.map((block) => [block.number, block]));
+    events.forEach((event) =>
+      byNumber.set(event.blockNumber, { number: event.blockNumber, hash: event.blockHash })
+    );
+    byNumber.set(this.cursor.number, this.cursor);
+
+    const oldest = this.cursor.number - this.reorgDepth;
+    return [...byNumber.values()]
+      .filter((block) => block.number >= oldest)
+      .sort((a, b) => a.number - b.number);
+  }
+
+  /**
+   * Roll back to the newest stored block that is still part of the chain, if the last
+   * indexed block has been replaced
+   * @returns {Promise<object|null>} { detectedAt, rolledBackTo } or null
+   */
+  async handleReorg() {
+    if (!this.cursor || (await this.isCanonical(this.cursor))) {
+      return null;
+    }
+
+    const candidates = [...this.blocks].sort((a, b) => b.number - a.number);
+    let ancestor = null;
+    for (const block of candidates) {
+      if (await this.isCanonical(block)) {
+        ancestor = block;
+        break;
+      }
+    }
+
+    // Reorg deeper than the window: start over from the deployment block
+    const rollbackTo = ancestor ? ancestor.number : this.fromBlock - 1;
+    const detectedAt = this.cursor.number;
+
+    this.store.rollback(rollbackTo);
+    this.reload();
+    this.store.append({ events: [], blocks: this.blocks, cursor: this.cursor, state: this.state });
+
+    this.logger.warn(
+      `⚠️  Reorg detected at block ${detectedAt}, rolled back to block ${rollbackTo}`
+    );
+    return { detectedAt, rolledBackTo: rollbackTo };
+  }
+
+  async isCanonical(block) {
+    const current = await this.provider.getBlock(block.number);
+    return Boolean(current) && current.hash === block.hash;
+  }
+
+  /**
+   * Keep syncing until stop() is called
+   * @param {object} [options] - { pollInterval, onSync }
+   */
+  async watch({ pollInterval = 4000, onSync } = {}) {
+    this.stopped = false;
+    while (!this.stopped) {
+      const result = await this.sync();
+      if (onSync) onSync(result);
+      await new Promise((resolve) => {
+        this.wakeUp = resolve;
+        this.timer = setTimeout(resolve, pollInterval);
+      });
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    if (this.wakeUp) this.wakeUp();
+  }
+
+  close() {
+    this.stop();
+    this.store.close();
+  }
+}
+
+module.exports = {
+  EventIndexer,
+  normalizeEvent,
+};
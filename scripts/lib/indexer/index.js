@@ -0,0 +1,19 @@
+const { EventIndexer, normalizeEvent } = require("./event-indexer");
+const { CONTRACT_EVENTS, applyEvent, createState, replayEvents } = require("./projection");
+const { IndexQuery, paginate } = require("./query");
+const { DEFAULT_DATA_DIR, JsonStore, SqliteStore, openStore } = require("./store");
+
+module.exports = {
+  CONTRACT_EVENTS,
+  DEFAULT_DATA_DIR,
+  EventIndexer,
+  IndexQuery,
+  JsonStore,
+  SqliteStore,
+  applyEvent,
+  createState,
+  normalizeEvent,
+  openStore,
+  paginate,
+  replayEvents,
+};
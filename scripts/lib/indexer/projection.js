@@ -0,0 +1,251 @@
+// Builds the indexed view of spots, users and reservations from contract events.
+// applyEvent is pure with respect to the chain: everything it needs is in the stored event,
+// so the state can be rebuilt by replaying events after a reorg rollback.
+
+/**
+ * Events indexed per contract. `reservationAmount` names the reservations() field holding the paid amount.
+ */
+const CONTRACT_EVENTS = {
+  ParkingReservation: {
+    events: [
+      "ParkingSpotAdded",
+      "UserRegistered",
+      "ReservationCreated",
+      "ReservationCompleted",
+      "ReservationCancelled",
+    ],
+    reservationAmount: "totalPrice",
+  },
+  PrivateParkingReservation: {
+    events: [
+      "SpotAdded",
+      "SpotRemoved",
+      "UserRegistered",
+      "ReservationRequested",
+      "ReservationConfirmed",
+      "ReservationCompleted",
+      "ReservationCancelled",
+      "RefundIssued",
+      "GatewayCallbackReceived",
+      "TimeoutTriggered",
+    ],
+    reservationAmount: "depositAmount",
+  },
+};
+
+// Events creating a reservation; the indexer attaches reservations() details read at that block
+const RESERVATION_CREATED_EVENTS = ["ReservationCreated", "ReservationRequested"];
+
+function createState() {
+  return {
+    spots: {},
+    users: {},
+    reservations: {},
+    refunds: [],
+    // Gateway request ID -> reservation ID (FHE contract)
+    requests: {},
+    lastBlock: null,
+  };
+}
+
+function addressKey(address) {
+  return address.toLowerCase();
+}
+
+function setSpotReservationEnd(state, spotId, reservationEnd) {
+  const spot = state.spots[spotId];
+  if (!spot) return;
+  spot.reservationEnd = reservationEnd;
+  // Availability is only public on the plain contract
+  if (spot.isAvailable !== null) {
+    spot.isAvailable = reservationEnd === 0;
+  }
+}
+
+function updateReservation(state, reservationId, event, changes) {
+  const reservation = state.reservations[reservationId];
+  if (!reservation) return null;
+  Object.assign(reservation, changes, { updatedBlock: event.blockNumber });
+  return reservation;
+}
+
+// RefundIssued is emitted before the event naming the reservation in the same transaction
+function linkRefunds(state, event, reservationId) {
+  state.refunds
+    .filter(
+      (refund) => refund.transactionHash === event.transactionHash && refund.reservationId === null
+    )
+    .forEach((refund) => {
+      refund.reservationId = reservationId;
+    });
+}
+
+function refundByRequest(state, event, requestId, reason) {
+  const reservationId = state.requests[requestId];
+  if (reservationId === undefined) return;
+  updateReservation(state, reservationId, event, { status: "Refunded", refundReason: reason });
+  linkRefunds(state, event, reservationId);
+}
+
+const HANDLERS = {
+  ParkingSpotAdded(state, { args, blockNumber }) {
+    state.spots[args.spotId] = {
+      id: Number(args.spotId),
+      location: args.location,
+      price: args.pricePerHour,
+      isActive: true,
+      isAvailable: true,
+      reservationEnd: 0,
+      addedBlock: blockNumber,
+    };
+  },
+
+  SpotAdded(state, { args, blockNumber }) {
+    state.spots[args.spotId] = {
+      id: Number(args.spotId),
+      location: args.location,
+      price: null,
+      isActive: true,
+      isAvailable: null,
+      reservationEnd: 0,
+      addedBlock: blockNumber,
+    };
+  },
+
+  SpotRemoved(state, { args }) {
+    if (state.spots[args.spotId]) {
+      state.spots[args.spotId].isActive = false;
+    }
+  },
+
+  UserRegistered(state, { args, blockNumber }) {
+    state.users[addressKey(args.user)] = {
+      address: args.user,
+      // Only the plain contract publishes these
+      userId: args.userId !== undefined ? Number(args.userId) : null,
+      creditScore: args.creditScore !== undefined ? Number(args.creditScore) : null,
+      registeredBlock: blockNumber,
+      reservationIds: [],
+    };
+  },
+
+  ReservationCreated(state, event) {
+    const { args, details } = event;
+    const id = Number(args.reservationId);
+    state.reservations[id] = {
+      id,
+      spotId: Number(args.spotId),
+      user: args.user,
+      status: "Active",
+      startTime: details.startTime,
+      endTime: details.endTime,
+      amount: details.amount,
+      requestId: null,
+      refundReason: null,
+      createdBlock: event.blockNumber,
+      updatedBlock: event.blockNumber,
+      transactionHash: event.transactionHash,
+    };
+    setSpotReservationEnd(state, args.spotId, details.endTime);
+    const user = state.users[addressKey(args.user)];
+    if (user) user.reservationIds.push(id);
+  },
+
+  ReservationRequested(state, event) {
+    const { args, details } = event;
+    const id = Number(args.reservationId);
+    state.reservations[id] = {
+      id,
+      spotId: Number(args.spotId),
+      user: args.user,
+      status: "Pending",
+      startTime: details.startTime,
+      endTime: details.endTime,
+      amount: details.amount,
+      requestId: Number(args.requestId),
+      refundReason: null,
+      createdBlock: event.blockNumber,
+      updatedBlock: event.blockNumber,
+      transactionHash: event.transactionHash,
+    };
+    state.requests[args.requestId] = id;
+    const user = state.users[addressKey(args.user)];
+    if (user) user.reservationIds.push(id);
+  },
+
+  ReservationConfirmed(state, event) {
+    const reservation = updateReservation(state, event.args.reservationId, event, {
+      status: "Active",
+    });
+    if (reservation) setSpotReservationEnd(state, reservation.spotId, reservation.endTime);
+  },
+
+  ReservationCompleted(state, event) {
+    const reservation = updateReservation(state, event.args.reservationId, event, {
+      status: "Completed",
+    });
+    if (reservation) setSpotReservationEnd(state, reservation.spotId, 0);
+  },
+
+  ReservationCancelled(state, event) {
+    const reservation = updateReservation(state, event.args.reservationId, event, {
+      status: "Cancelled",
+    });
+    if (!reservation) return;
+    setSpotReservationEnd(state, reservation.spotId, 0);
+    linkRefunds(state, event, reservation.id);
+  },
+
+  RefundIssued(state, event) {
+    state.refunds.push({
+      user: event.args.user,
+      amount: event.args.amount,
+      reason: event.args.reason,
+      reservationId: null,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    });
+  },
+
+  GatewayCallbackReceived(state, event) {
+    if (!event.args.success) {
+      refundByRequest(state, event, event.args.requestId, "Spot not available");
+    }
+  },
+
+  TimeoutTriggered(state, event) {
+    refundByRequest(state, event, event.args.requestId, "Gateway timeout");
+  },
+};
+
+/**
+ * Apply one normalized event to the state (mutates state)
+ * @param {object} state - State from createState
+ * @param {object} event - { name, args, details?, blockNumber, logIndex, transactionHash }
+ */
+function applyEvent(state, event) {
+  const handler = HANDLERS[event.name];
+  if (handler) {
+    handler(state, event);
+  }
+  state.lastBlock = event.blockNumber;
+}
+
+/**
+ * Rebuild state from a list of stored events
+ * @param {object[]} events - Events in chain order
+ * @returns {object} State
+ */
+function replayEvents(events) {
+  const state = createState();
+  events.forEach((event) => applyEvent(state, event));
+  return state;
+}
+
+module.exports = {
+  CONTRACT_EVENTS,
+  RESERVATION_CREATED_EVENTS,
+  createState,
+  applyEvent,
+  replayEvents,
+};
@@ -0,0 +1,110 @@
+// Read-only queries over the indexed state, so callers avoid one contract call per ID.
+// List methods return { items, total, offset, limit } for pagination.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function paginate(items, { offset = 0, limit = DEFAULT_LIMIT } = {}) {
+  const start = Math.max(0, Number(offset) || 0);
+  const size = Math.min(MAX_LIMIT, Math.max(1, Number(limit) || DEFAULT_LIMIT));
+  return {
+    items: items.slice(start, start + size),
+    total: items.length,
+    offset: start,
+    limit: size,
+  };
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+class IndexQuery {
+  /**
+   * @param {Function} getState - Returns the current indexed state (it is replaced after a reorg)
+   */
+  constructor(getState) {
+    this.getState = getState;
+  }
+
+  getSpot(spotId) {
+    return this.getState().spots[spotId] || null;
+  }
+
+  /**
+   * @param {object} [options] - { location, activeOnly, offset, limit }
+   */
+  listSpots({ location, activeOnly = false, ...page } = {}) {
+    const query = (location || "").trim().toLowerCase();
+    const spots = Object.values(this.getState().spots)
+      .filter((spot) => !activeOnly || spot.isActive)
+      .filter((spot) => !query || spot.location.toLowerCase().includes(query))
+      .sort((a, b) => a.id - b.id);
+    return paginate(spots, page);
+  }
+
+  getUser(address) {
+    return this.getState().users[address.toLowerCase()] || null;
+  }
+
+  getReservation(reservationId) {
+    const reservation = this.getState().reservations[reservationId];
+    if (!reservation) return null;
+    return { ...reservation, refunds: this.listRefunds({ reservationId: reservation.id }) };
+  }
+
+  /**
+   * @param {object} [options] - { user, spotId, status, offset, limit }; newest first
+   */
+  listReservations({ user, spotId, status, ...page } = {}) {
+    const reservations = Object.values(this.getState().reservations)
+      .filter((r) => !user || sameAddress(r.user, user))
+      .filter((r) => spotId === undefined || r.spotId === Number(spotId))
+      .filter((r) => !status || r.status === status)
+      .sort((a, b) => b.id - a.id);
+    return paginate(reservations, page);
+  }
+
+  listUserReservations(address, options = {}) {
+    return this.listReservations({ ...options, user: address });
+  }
+
+  /**
+   * @param {object} [options] - { user, reservationId }
+   */
+  listRefunds({ user, reservationId } = {}) {
+    return this.getState().refunds.filter(
+      (refund) =>
+        (!user || sameAddress(refund.user, user)) &&
+        (reservationId === undefined || refund.reservationId === reservationId)
+    );
+  }
+
+  stats() {
+    const state = this.getState();
+    const reservations = Object.values(state.reservations);
+    const byStatus = reservations.reduce((counts, r) => {
+      counts[r.status] = (counts[r.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    return {
+      totalSpots: Object.keys(state.spots).length,
+      activeSpots: Object.values(state.spots).filter((spot) => spot.isActive).length,
+      totalUsers: Object.keys(state.users).length,
+      totalReservations: reservations.length,
+      reservationsByStatus: byStatus,
+      totalRefunded: state.refunds
+        .reduce((sum, refund) => sum + BigInt(refund.amount), 0n)
+        .toString(),
+      lastBlock: state.lastBlock,
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  IndexQuery,
+  paginate,
+};
@@ -0,0 +1,274 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "..", "..", "data", "indexer");
+const STORE_VERSION = 1;
+
+// Both stores keep the raw events (the source of truth, replayed after a reorg), the hashes of
+// recently indexed blocks for reorg detection, the cursor, and a snapshot of the derived state.
+//
+//   load()            -> { meta, cursor, blocks, events }
+//   append(batch)     batch = { events, blocks, cursor, state }
+//   rollback(number)  drop events and blocks after block `number`
+//   close()
+
+/**
+ * Store backed by a single JSON file, rewritten atomically after every batch
+ */
+class JsonStore {
+  constructor(file) {
+    this.file = file;
+    this.data = null;
+  }
+
+  load(meta) {
+    if (fs.existsSync(this.file)) {
+      this.data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      assertSameContract(this.data.meta, meta, this.file);
+    } else {
+      this.data = {
+        version: STORE_VERSION,
+        meta,
+        cursor: null,
+        blocks: [],
+        events: [],
+        state: null,
+      };
+    }
+    const { cursor, blocks, events } = this.data;
+    return { meta: this.data.meta, cursor, blocks, events };
+  }
+
+  append({ events, blocks, cursor, state }) {
+    this.data.events.push(...events);
+    this.data.blocks = blocks;
+    this.data.cursor = cursor;
+    this.data.state = state;
+    this.write();
+  }
+
+  rollback(blockNumber) {
+    this.data.events = this.data.events.filter((event) => event.blockNumber <= blockNumber);
+    this.data.blocks = this.data.blocks.filter((block) => block.number <= blockNumber);
+    this.data.cursor = this.data.blocks[this.data.blocks.length - 1] || null;
+    this.write();
+  }
+
+  write() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  close() {}
+}
+
+/**
+ * Store backed by SQLite (better-sqlite3). Besides the events it keeps spots, users,
+ * reservations and refunds tables so the index can be queried with plain SQL.
+ */
+class SqliteStore {
+  constructor(file) {
+    this.file = file;
+    this.db = null;
+  }
+
+  load(meta) {
+    if (!this.db) {
+      this.open();
+    }
+
+    const storedMeta = this.db.prepare("SELECT value FROM meta WHERE key = 'meta'").get();
+    if (storedMeta) {
+      assertSameContract(JSON.parse(storedMeta.value), meta, this.file);
+    } else {
+      this.db.prepare("INSERT INTO meta (key, value) VALUES ('meta', ?)").run(JSON.stringify(meta));
+    }
+
+    const cursor = this.db.prepare("SELECT value FROM meta WHERE key = 'cursor'").get();
+    return {
+      meta: storedMeta ? JSON.parse(storedMeta.value) : meta,
+      cursor: cursor ? JSON.parse(cursor.value) : null,
+      blocks: this.db.prepare("SELECT number, hash FROM blocks ORDER BY number").all(),
+      events: this.db
+        .prepare("SELECT data FROM events ORDER BY block_number, log_index")
+        .all()
+        .map((row) => JSON.parse(row.data)),
+    };
+  }
+
+  open() {
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (error) {
+      throw new Error(
+        "❌ SQLite storage requires better-sqlite3, a dev dependency\nInstall it with: npm install (or use INDEXER_STORE=json)"
+      );
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.db = new Database(this.file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+      );
+      CREATE TABLE IF NOT EXISTS spots (
+        id INTEGER PRIMARY KEY, location TEXT, price TEXT, is_active INTEGER,
+        is_available INTEGER, reservation_end INTEGER, added_block INTEGER
+      );
+      CREATE TABLE IF NOT EXISTS users (
+        address TEXT PRIMARY KEY, user_id INTEGER, credit_score INTEGER, registered_block INTEGER
+      );
+      CREATE TABLE IF NOT EXISTS reservations (
+        id INTEGER PRIMARY KEY, spot_id INTEGER, user TEXT, status TEXT, start_time INTEGER,
+        end_time INTEGER, amount TEXT, request_id INTEGER, refund_reason TEXT,
+        created_block INTEGER, updated_block INTEGER, tx_hash TEXT
+      );
+      CREATE INDEX IF NOT EXISTS reservations_user ON reservations (user COLLATE NOCASE);
+      CREATE TABLE IF NOT EXISTS refunds (
+        tx_hash TEXT, user TEXT, amount TEXT, reason TEXT, reservation_id INTEGER, block_number INTEGER
+      );
+    `);
+  }
+
+  append({ events, blocks, cursor, state }) {
+    const insertEvent = this.db.prepare(
+      "INSERT OR REPLACE INTO events (block_number, log_index, data) VALUES (?, ?, ?)"
+    );
+    const insertBlock = this.db.prepare(
+      "INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)"
+    );
+
+    this.db.transaction(() => {
+      events.forEach((event) =>
+        insertEvent.run(event.blockNumber, event.logIndex, JSON.stringify(event))
+      );
+      this.db.prepare("DELETE FROM blocks").run();
+      blocks.forEach((block) => insertBlock.run(block.number, block.hash));
+      this.setCursor(cursor);
+      this.writeState(state);
+    })();
+  }
+
+  rollback(blockNumber) {
+    this.db.transaction(() => {
+      this.db.prepare("DELETE FROM events WHERE block_number > ?").run(blockNumber);
+      this.db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+      const cursor = this.db
+        .prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT 1")
+        .get();
+      this.setCursor(cursor || null);
+    })();
+  }
+
+  setCursor(cursor) {
+    this.db
+      .prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('cursor', ?)")
+      .run(JSON.stringify(cursor));
+  }
+
+  // The derived tables are small; rewriting them keeps them exactly in sync with the replayed state
+  writeState(state) {
+    ["spots", "users", "reservations", "refunds"].forEach((table) =>
+      this.db.prepare(`DELETE FROM ${table}`).run()
+    );
+
+    const insertSpot = this.db.prepare("INSERT INTO spots VALUES (?, ?, ?, ?, ?, ?, ?)");
+    Object.values(state.spots).forEach((spot) =>
+      insertSpot.run(
+        spot.id,
+        spot.location,
+        spot.price,
+        Number(spot.isActive),
+        spot.isAvailable === null ? null : Number(spot.isAvailable),
+        spot.reservationEnd,
+        spot.addedBlock
+      )
+    );
+
+    const insertUser = this.db.prepare("INSERT INTO users VALUES (?, ?, ?, ?)");
+    Object.values(state.users).forEach((user) =>
+      insertUser.run(user.address, user.userId, user.creditScore, user.registeredBlock)
+    );
+
+    const insertReservation = this.db.prepare(
+      "INSERT INTO reservations VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"
+    );
+    Object.values(state.reservations).forEach((r) =>
+      insertReservation.run(
+        r.id,
+        r.spotId,
+        r.user,
+        r.status,
+        r.startTime,
+        r.endTime,
+        r.amount,
+        r.requestId,
+        r.refundReason,
+        r.createdBlock,
+        r.updatedBlock,
+        r.transactionHash
+      )
+    );
+
+    const insertRefund = this.db.prepare("INSERT INTO refunds VALUES (?, ?, ?, ?, ?, ?)");
+    state.refunds.forEach((refund) =>
+      insertRefund.run(
+        refund.transactionHash,
+        refund.user,
+        refund.amount,
+        refund.reason,
+        refund.reservationId,
+        refund.blockNumber
+      )
+    );
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+// An index file belongs to one contract deployment; refuse to mix events of two deployments
+function assertSameContract(stored, meta, file) {
+  if (
+    stored.chainId !== meta.chainId ||
+    stored.address.toLowerCase() !== meta.address.toLowerCase()
+  ) {
+    throw new Error(
+      `❌ ${file} indexes ${stored.contractName} at ${stored.address} (chain ${stored.chainId}), not ${meta.address}\nDelete it or set INDEXER_DB to another file`
+    );
+  }
+}
+
+/**
+ * Open the store for a deployment
+ * @param {object} options - { type: "json" | "sqlite", file, network, contractName }
+ * @returns {JsonStore|SqliteStore} Store (call load() before use)
+ */
+function openStore({ type = "json", file, network, contractName }) {
+  const extension = type === "sqlite" ? "sqlite" : "json";
+  const storeFile = file || path.join(DEFAULT_DATA_DIR, `${network}-${contractName}.${extension}`);
+
+  if (type === "sqlite") return new SqliteStore(storeFile);
+  if (type === "json") return new JsonStore(storeFile);
+  throw new Error(`❌ Unknown indexer store "${type}" (expected "json" or "sqlite")`);
+}
+
+module.exports = {
+  DEFAULT_DATA_DIR,
+  JsonStore,
+  SqliteStore,
+  openStore,
+};
@@ -0,0 +1,379 @@
+const { parseUnits } = require("ethers");
+
+// ReservationStatus in PrivateParkingReservation
+const PRIVATE_STATUS = { Pending: 0n, Active: 1n };
+
+// Settlement transactions a keeper sends
+const ACTION = {
+  // Reservation still running OVERSTAY_GRACE_PERIOD after its end
+  MARK_OVERSTAY: "markOverstay",
+  // PrivateParkingReservation: gateway request unanswered for TIMEOUT_PERIOD
+  TRIGGER_TIMEOUT: "triggerTimeout",
+};
+
+// Reverts come back as CALL_EXCEPTION from JSON-RPC providers and with revert data from Hardhat's
+// in-process network; anything else is a provider or network failure worth retrying
+function isRevert(error) {
+  return error.code === "CALL_EXCEPTION" || error.data !== undefined;
+}
+
+const DEFAULT_CONFIG = {
+  pollInterval: 15000,
+  dryRun: false,
+  // Caps in gwei; unset means whatever the network asks
+  maxFeePerGas: null,
+  maxPriorityFeePerGas: null,
+  gasLimit: 500000,
+  // Settlements sent per poll; the rest wait for the next one
+  maxActionsPerPoll: 20,
+  // Reservations read at once, so a first poll over every reservation is not rate-limited
+  maxConcurrentReads: 10,
+  // Index in the network's accounts of the account that pays for settlements
+  account: 0,
+};
+
+/**
+ * Merge the `keeper` section of a Hardhat network config with environment overrides
+ * @param {object} [networkKeeperConfig] - hre.network.config.keeper
+ * @param {object} [env] - Environment variables
+ * @returns {object} Keeper configuration
+ */
+function resolveKeeperConfig(networkKeeperConfig = {}, env = process.env) {
+  const config = { ...DEFAULT_CONFIG, ...networkKeeperConfig };
+  if (env.KEEPER_DRY_RUN !== undefined) config.dryRun = env.KEEPER_DRY_RUN === "true";
+  if (env.KEEPER_POLL_INTERVAL) config.pollInterval = Number(env.KEEPER_POLL_INTERVAL);
+  if (env.KEEPER_ACCOUNT) config.account = Number(env.KEEPER_ACCOUNT);
+  return config;
+}
+
+/**
+ * Settles what users and the gateway leave hanging: reservations left running past their end
+ * and gateway requests never answered. Every poll reads the reservations opened since the last
+ * one, sends the settlements that are due and drops the reservations that are settled.
+ */
+class Keeper {
+  /**
+   * @param {object} options
+   * @param {object} options.contract - Parking contract connected to the keeper's signer
+   * @param {string} options.contractName - ParkingReservation | PrivateParkingReservation
+   * @param {object} options.signer - Account paying for settlement transactions
+   * @param {object} options.provider - ethers v6 provider
+   * @param {boolean} [options.dryRun] - Check settlements with a static call instead of sending them
+   * @param {string|number} [options.maxFeePerGas] - Cap in gwei; settlements wait while the network fee is above it
+   * @param {string|number} [options.maxPriorityFeePerGas] - Cap in gwei on the priority fee
+   * @param {number} [options.gasLimit] - Settlements estimated above this are skipped
+   * @param {number} [options.maxActionsPerPoll] - Settlements sent per poll
+   * @param {number} [options.maxConcurrentReads] - Reservations read at once
+   * @param {Function} [options.onAction] - Called with { action, id, outcome, txHash?, error? }
+   */
+  constructor({
+    contract,
+    contractName,
+    signer,
+    provider,
+    dryRun = DEFAULT_CONFIG.dryRun,
+    maxFeePerGas = DEFAULT_CONFIG.maxFeePerGas,
+    maxPriorityFeePerGas = DEFAULT_CONFIG.maxPriorityFeePerGas,
+    gasLimit = DEFAULT_CONFIG.gasLimit,
+    maxActionsPerPoll = DEFAULT_CONFIG.maxActionsPerPoll,
+    maxConcurrentReads = DEFAULT_CONFIG.maxConcurrentReads,
+    onAction = () => {},
+    logger = console,
+  }) {
+    if (!["ParkingReservation", "PrivateParkingReservation"].includes(contractName)) {
+      throw new Error(`❌ The keeper does not support ${contractName}`);
+    }
+
+    this.contract = contract;
+    this.contractName = contractName;
+    this.signer = signer;
+    this.provider = provider;
+    this.dryRun = dryRun;
+    this.maxFeePerGas = maxFeePerGas != null ? parseUnits(String(maxFeePerGas), "gwei") : null;
+    this.maxPriorityFeePerGas =
+      maxPriorityFeePerGas != null ? parseUnits(String(maxPriorityFeePerGas), "gwei") : null;
+    this.gasLimit = BigInt(gasLimit);
+    this.maxActionsPerPoll = maxActionsPerPoll;
+    this.maxConcurrentReads = maxConcurrentReads;
+    this.onAction = onAction;
+    this.logger = logger;
+
+    // Reservation IDs start at 1 in ParkingReservation and at 0 in PrivateParkingReservation
+    this.nextReservationId = contractName === "ParkingReservation" ? 1 : 0;
+    this.open = new Set();
+    this.nonce = null;
+    // Dry runs report each settlement once, not on every poll
+    this.reported = new Set();
+    // Settlements the contract refused, by action:id, not tried again until the keeper restarts
+    this.refused = new Set();
+    this.stopped = false;
+  }
+
+  log(message) {
+    this.logger.log(`[${new Date().toISOString()}] ${message}`);
+  }
+
+  /**
+   * Check the keeper account can send the settlements it will find
+   * @returns {Promise<string[]>} Warnings, empty when the account has every permission it needs
+   */
+  async checkPermissions() {
+    const address = await this.signer.getAddress();
+    const warnings = (await this.contract.keepers(address))
+      ? []
+      : [`${address} is not a keeper: the owner must call setKeeper(${address}, true) first`];
+    if (this.contractName === "ParkingReservation") return warnings;
+
+    const owner = await this.contract.owner();
+    return owner.toLowerCase() === address.toLowerCase()
+      ? warnings
+      : [
+          ...warnings,
+          `${address} is not the owner: only requesters can trigger their own timeouts`,
+        ];
+  }
+
+  /**
+   * Start polling
+   * @param {object} [options] - { pollInterval }
+   */
+  async start({ pollInterval = DEFAULT_CONFIG.pollInterval } = {}) {
+    this.stopped = false;
+    this.pollInterval = pollInterval;
+    await this.pollLoop();
+  }
+
+  async pollLoop() {
+    if (this.stopped) return;
+    try {
+      await this.poll();
+    } catch (error) {
+      this.logger.error("❌ Keeper poll failed:", error.message);
+    }
+    if (!this.stopped) this.pollTimer = setTimeout(() => this.pollLoop(), this.pollInterval);
+  }
+
+  /**
+   * Find the settlements that are due and send them
+   * @returns {Promise<object[]>} Results, one per settlement attempted
+   */
+  async poll() {
+    const due = await this.findDue();
+    if (due.length === 0) return [];
+
+    const overrides = await this.feeOverrides();
+    if (!overrides) return [];
+
+    // Sent one after the other with consecutive nonces, then waited for together
+    this.nonce = null;
+    const submitted = await due
+      .slice(0, this.maxActionsPerPoll)
+      .reduce(
+        (previous, task) =>
+          previous.then(async (done) => [...done, await this.submit(task, overrides)]),
+        Promise.resolve([])
+      );
+    return Promise.all(submitted.map((result) => (result.tx ? this.confirm(result) : result)));
+  }
+
+  /**
+   * Read the open reservations and list the settlements that are due at the latest block's time
+   * @returns {Promise<object[]>} Tasks { action, id, reservationId }
+   */
+  async findDue() {
+    const [counter, block] = await Promise.all([
+      this.contract.reservationCounter(),
+      this.provider.getBlock("latest"),
+    ]);
+    const last = Number(counter) + (this.contractName === "ParkingReservation" ? 0 : -1);
+    Array.from({ length: Math.max(last + 1 - this.nextReservationId, 0) }, (_, i) =>
+      this.open.add(this.nextReservationId + i)
+    );
+    this.nextReservationId = Math.max(this.nextReservationId, last + 1);
+
+    const now = BigInt(block.timestamp);
+    const ids = [...this.open];
+    // Read in batches of maxConcurrentReads, each waiting for the one before
+    const size = this.maxConcurrentReads;
+    const batches = Array.from({ length: Math.ceil(ids.length / size) }, (_, i) =>
+      ids.slice(i * size, (i + 1) * size)
+    );
+    const tasks = await batches.reduce(
+      (previous, batch) =>
+        previous.then(async (done) => [
+          ...done,
+          ...(await Promise.all(batch.map((id) => this.taskFor(id, now)))),
+        ]),
+      Promise.resolve([])
+    );
+    return tasks.filter((task) => task && !this.refused.has(`${task.action}:${task.id}`));
+  }
+
+  async taskFor(reservationId, now) {
+    const reservation = await this.contract.reservations(reservationId);
+
+    if (this.contractName === "ParkingReservation") {
+      if (reservation.isCompleted) return this.settled(reservationId);
+      const grace = await this.gracePeriod();
+      return now > reservation.endTime + grace
+        ? { action: ACTION.MARK_OVERSTAY, id: reservationId, reservationId }
+        : null;
+    }
+
+    if (reservation.status === PRIVATE_STATUS.Pending) {
+      const timeout = await this.timeoutPeriod();
+      return now >= reservation.requestTimestamp + timeout
+        ? {
+            action: ACTION.TRIGGER_TIMEOUT,
+            id: Number(reservation.decryptionRequestId),
+            reservationId,
+          }
+        : null;
+    }
+    if (reservation.status === PRIVATE_STATUS.Active) {
+      // An extension the gateway never answered holds the end time until it is refunded
+      const extension = await this.contract.pendingExtensions(reservationId);
+      if (extension.payment > 0n) {
+        const timeout = await this.timeoutPeriod();
+        const request = await this.contract.gatewayRequests(extension.requestId);
+        return now >= request.timestamp + timeout
+          ? { action: ACTION.TRIGGER_TIMEOUT, id: Number(extension.requestId), reservationId }
+          : null;
+      }
+      const grace = await this.gracePeriod();
+      return now > reservation.endTime + grace
+        ? { action: ACTION.MARK_OVERSTAY, id: reservationId, reservationId }
+        : null;
+    }
+    return this.settled(reservationId);
+  }
+
+  settled(reservationId) {
+    this.open.delete(reservationId);
+    return null;
+  }
+
+  async gracePeriod() {
+    if (this.grace === undefined) this.grace = await this.contract.OVERSTAY_GRACE_PERIOD();
+    return this.grace;
+  }
+
+  async timeoutPeriod() {
+    if (this.timeout === undefined) this.timeout = await this.contract.TIMEOUT_PERIOD();
+    return this.timeout;
+  }
+
+  /**
+   * Fee overrides within the configured caps
+   * @returns {Promise<object|null>} Overrides, or null while the network fee is above the cap
+   */
+  async feeOverrides() {
+    if (this.maxFeePerGas === null && this.maxPriorityFeePerGas === null) return {};
+
+    const feeData = await this.provider.getFeeData();
+    const block = await this.provider.getBlock("latest");
+    const baseFee = block.baseFeePerGas ?? feeData.gasPrice;
+    if (this.maxFeePerGas !== null && baseFee > this.maxFeePerGas) {
+      this.log(`⏸️  Base fee ${baseFee} wei is above the ${this.maxFeePerGas} wei cap, waiting`);
+      return null;
+    }
+
+    const priorityFee =
+      this.maxPriorityFeePerGas !== null && feeData.maxPriorityFeePerGas > this.maxPriorityFeePerGas
+        ? this.maxPriorityFeePerGas
+        : feeData.maxPriorityFeePerGas;
+    return {
+      maxPriorityFeePerGas: priorityFee,
+      maxFeePerGas: this.maxFeePerGas ?? feeData.maxFeePerGas,
+    };
+  }
+
+  async submit(task, overrides) {
+    const { action, id } = task;
+    const label = `${action}(${id})`;
+    const key = `${action}:${id}`;
+    const method = this.contract.getFunction(action);
+
+    try {
+      if (this.dryRun) {
+        await method.staticCall(id);
+        if (!this.reported.has(key)) {
+          this.reported.add(key);
+          this.log(`🧪 [dry run] Would send ${label} for reservation #${task.reservationId}`);
+        }
+        return this.report({ ...task, outcome: "dry-run" });
+      }
+
+      const gasEstimate = await method.estimateGas(id);
+      if (gasEstimate > this.gasLimit) {
+        this.log(`⚠️  Skipping ${label}: needs ${gasEstimate} gas, above the ${this.gasLimit} cap`);
+        return this.report({ ...task, outcome: "skipped" });
+      }
+
+      const nonce = await this.nextNonce();
+      const tx = await method.send(id, {
+        ...overrides,
+        nonce,
+        // Headroom over the estimate, within the cap
+        gasLimit: [(gasEstimate * 12n) / 10n, this.gasLimit].reduce((a, b) => (a < b ? a : b)),
+      });
+      this.log(
+        `📤 Sent ${label} for reservation #${task.reservationId} (nonce ${nonce}, tx ${tx.hash})`
+      );
+      return { ...task, tx };
+    } catch (error) {
+      // A failed send may or may not have used its nonce: read it again from the node
+      this.nonce = null;
+      // A revert before sending, such as a missing permission, would come back on every poll
+      const refused = isRevert(error);
+      if (refused) this.refused.add(key);
+      this.logger.error(
+        `❌ ${label} failed: ${error.shortMessage || error.message}${refused ? ", not retried" : ""}`
+      );
+      return this.report({ ...task, outcome: "failed", error });
+    }
+  }
+
+  async confirm({ tx, ...task }) {
+    const label = `${task.action}(${task.id})`;
+    try {
+      const receipt = await tx.wait();
+      this.log(`✅ Settled ${label} in block ${receipt.blockNumber}, gas used ${receipt.gasUsed}`);
+      return this.report({ ...task, outcome: "settled", txHash: tx.hash });
+    } catch (error) {
+      this.logger.error(
+        `❌ ${label} reverted in tx ${tx.hash}: ${error.shortMessage || error.message}`
+      );
+      return this.report({ ...task, outcome: "failed", txHash: tx.hash, error });
+    }
+  }
+
+  report(result) {
+    this.onAction(result);
+    return result;
+  }
+
+  // Nonces are read from the node once per poll and counted locally, so the settlements of a poll
+  // can be sent without waiting for each other
+  async nextNonce() {
+    if (this.nonce === null) {
+      this.nonce = await this.provider.getTransactionCount(
+        await this.signer.getAddress(),
+        "pending"
+      );
+    }
+    return this.nonce++;
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.pollTimer);
+  }
+}
+
+module.exports = {
+  ACTION,
+  DEFAULT_CONFIG,
+  Keeper,
+  resolveKeeperConfig,
+};
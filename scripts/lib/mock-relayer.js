@@ -0,0 +1,225 @@
+const { AbiCoder, concat, dataLength, dataSlice, getAddress, solidityPacked } = require("ethers");
+
+// What the relayer does with a decryption request
+const OUTCOME = {
+  FULFIL: "fulfil",
+  // Never answer: the request stays pending until triggerTimeout refunds it
+  DROP: "drop",
+  // Answer with a different spot status: the contract sees the spot as unavailable and refunds
+  REJECT: "reject",
+};
+
+// SpotStatus.Maintenance in PrivateParkingReservation; Reserved no longer rejects windows booked
+// after the current reservation
+const REJECTED_SPOT_STATUS = "0x02";
+
+// Custom JSON-RPC methods of the @fhevm/hardhat-plugin mock engine
+const RPC_GET_CLEAR_TEXT = "fhevm_getClearText";
+const RPC_CREATE_DECRYPTION_SIGNATURES = "fhevm_createDecryptionSignatures";
+
+// extraData version 0, as expected by FHE.checkSignatures
+const EXTRA_DATA_V0 = solidityPacked(["uint8"], [0]);
+
+/**
+ * Answers FHE.requestDecryption calls on a Hardhat node running the fhevm mock, the way the
+ * Zama gateway/relayer does on a real network: read the cleartexts, get KMS signatures for
+ * them and call the requesting contract's callback.
+ */
+class MockRelayer {
+  /**
+   * @param {object} options
+   * @param {object} options.provider - ethers v6 provider of a node with the fhevm mock engine
+   * @param {object} options.signer - Account paying for callback transactions
+   * @param {object} options.fhevm - hre.fhevm, used to parse DecryptionRequest logs
+   * @param {string} [options.contractAddress] - Only answer requests from this contract
+   * @param {number} [options.delay] - Milliseconds to wait before answering
+   * @param {number} [options.failureRate] - Probability (0-1) of not answering normally
+   * @param {string} [options.failureMode] - OUTCOME.DROP or OUTCOME.REJECT
+   * @param {Function} [options.decide] - (request) => OUTCOME, overrides failureRate/failureMode
+   * @param {Function} [options.onResult] - Called with { requestId, outcome, txHash?, error? }
+   * @param {Function} [options.random] - Random source for failureRate, returns [0, 1)
+   */
+  constructor({
+    provider,
+    signer,
+    fhevm,
+    contractAddress,
+    delay = 0,
+    failureRate = 0,
+    failureMode = OUTCOME.DROP,
+    decide,
+    onResult = () => {},
+    random = Math.random,
+    logger = console,
+  }) {
+    if (![OUTCOME.DROP, OUTCOME.REJECT].includes(failureMode)) {
+      throw new Error(`❌ Unknown failure mode "${failureMode}" (expected "drop" or "reject")`);
+    }
+
+    this.provider = provider;
+    this.signer = signer;
+    this.fhevm = fhevm;
+    this.contractAddress = contractAddress ? getAddress(contractAddress) : null;
+    this.delay = delay;
+    this.decide = decide || (() => (random() < failureRate ? failureMode : OUTCOME.FULFIL));
+    this.onResult = onResult;
+    this.logger = logger;
+
+    this.nextBlock = null;
+    this.inFlight = new Set();
+    this.timers = new Set();
+    this.stopped = false;
+  }
+
+  /**
+   * Start answering requests from blocks after the current head
+   * @param {object} [options] - { fromBlock, pollInterval }
+   */
+  async start({ fromBlock, pollInterval = 1000 } = {}) {
+    this.stopped = false;
+    this.nextBlock =
+      fromBlock !== undefined ? fromBlock : (await this.provider.getBlockNumber()) + 1;
+    this.pollInterval = pollInterval;
+    await this.pollLoop();
+  }
+
+  async pollLoop() {
+    if (this.stopped) return;
+    try {
+      await this.poll();
+    } catch (error) {
+      this.logger.error("❌ Polling for decryption requests failed:", error.message);
+    }
+    this.pollTimer = setTimeout(() => this.pollLoop(), this.pollInterval);
+  }
+
+  /**
+   * Pick up decryption requests mined since the last poll and schedule their answers
+   * @returns {Promise<object[]>} New requests
+   */
+  async poll() {
+    const head = await this.provider.getBlockNumber();
+    if (this.nextBlock === null) this.nextBlock = head + 1;
+
+    // The dev chain was reverted to an earlier snapshot
+    if (head < this.nextBlock - 1) this.nextBlock = head + 1;
+    if (head < this.nextBlock) return [];
+
+    const logs = await this.provider.getLogs({ fromBlock: this.nextBlock, toBlock: head });
+    this.nextBlock = head + 1;
+
+    const requests = this.fhevm
+      .parseDecryptionRequestEvents(logs)
+      .filter(
+        (request) =>
+          !this.contractAddress ||
+          getAddress(request.contractCallerAddress) === this.contractAddress
+      );
+    requests.forEach((request) => this.schedule(request));
+    return requests;
+  }
+
+  schedule(request) {
+    const requestId = Number(request.requestID);
+    const outcome = this.decide(request);
+
+    if (outcome === OUTCOME.DROP) {
+      this.logger.log(`⚠️  Dropping decryption request ${requestId} (failure injection)`);
+      this.onResult({ requestId, outcome });
+      return;
+    }
+
+    const job = this.sleep(this.delay)
+      .then(() => (this.stopped ? null : this.answer(request, outcome)))
+      .then(
+        (txHash) => {
+          if (txHash) this.onResult({ requestId, outcome, txHash });
+        },
+        (error) => {
+          this.logger.error(`❌ Answering decryption request ${requestId} failed:`, error.message);
+          this.onResult({ requestId, outcome, error });
+        }
+      )
+      .finally(() => this.inFlight.delete(job));
+    this.inFlight.add(job);
+  }
+
+  /**
+   * Call the request's callback with (optionally replaced) cleartexts and a mock KMS proof
+   * @returns {Promise<string>} Callback transaction hash
+   */
+  async answer(request, outcome) {
+    const handles = request.handlesBytes32Hex;
+    const clearTexts = await this.provider.send(RPC_GET_CLEAR_TEXT, [handles]);
+    // The spot status is the first handle; the offer check that follows it is left as is
+    if (outcome === OUTCOME.REJECT) clearTexts[0] = REJECTED_SPOT_STATUS;
+
+    const { decryptedResult, signatures } = await this.provider.send(
+      RPC_CREATE_DECRYPTION_SIGNATURES,
+      [{ handlesBytes32Hex: handles, clearTextValuesHex: clearTexts, extraData: EXTRA_DATA_V0 }]
+    );
+
+    // decryptedResult is what the KMS signed: abi.encode(values) followed by the offset of the
+    // (empty) signatures array; the callback only takes the encoded values
+    const encodedCleartexts = dataSlice(decryptedResult, 0, dataLength(decryptedResult) - 32);
+
+    // numSigners + signatures + extraData, see FHE.checkSignatures
+    const decryptionProof = concat([
+      solidityPacked(["uint8"], [signatures.length]),
+      solidityPacked(Array(signatures.length).fill("bytes"), signatures),
+      EXTRA_DATA_V0,
+    ]);
+    const data = concat([
+      request.callbackSelectorBytes4Hex,
+      AbiCoder.defaultAbiCoder().encode(
+        ["uint256", "bytes", "bytes"],
+        [request.requestID, encodedCleartexts, decryptionProof]
+      ),
+    ]);
+
+    const tx = await this.signer.sendTransaction({ to: request.contractCallerAddress, data });
+    await tx.wait();
+    this.logger.log(
+      `✅ Answered decryption request ${Number(request.requestID)} (${outcome}) in tx ${tx.hash}`
+    );
+    return tx.hash;
+  }
+
+  sleep(ms) {
+    if (ms <= 0) return Promise.resolve();
+    return new Promise((resolve) => {
+      const entry = { resolve };
+      entry.timer = setTimeout(() => {
+        this.timers.delete(entry);
+        resolve();
+      }, ms);
+      this.timers.add(entry);
+    });
+  }
+
+  /**
+   * Wait until every scheduled answer has been sent
+   */
+  async idle() {
+    if (this.inFlight.size === 0) return;
+    await Promise.all([...this.inFlight]);
+    // Answers may have been scheduled meanwhile
+    await this.idle();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.pollTimer);
+    this.timers.forEach(({ timer, resolve }) => {
+      clearTimeout(timer);
+      resolve();
+    });
+    this.timers.clear();
+  }
+}
+
+module.exports = {
+  MockRelayer,
+  OUTCOME,
+  REJECTED_SPOT_STATUS,
+};
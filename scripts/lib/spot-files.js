@@ -0,0 +1,422 @@
+const fs = require("fs");
+const path = require("path");
+const { formatUnits } = require("../../public/adapters/adapter-utils");
+const { loadSpots } = require("../../public/adapters/spot-catalog");
+
+// Columns of a spot file, in CSV order; JSON files hold an array of objects with these keys
+const COLUMNS = ["location", "price", "lot", "maintenance"];
+const REQUIRED_COLUMNS = ["location", "price"];
+
+// Spots sent per addParkingSpots transaction; ParkingReservation accepts MAX_SPOTS_PER_BATCH
+const DEFAULT_BATCH_SIZE = 20;
+
+const TRUE_VALUES = ["true", "yes", "y", "1"];
+const FALSE_VALUES = ["false", "no", "n", "0", ""];
+
+// A quoted field, an unquoted field, a separator or a line break
+const CSV_TOKEN = /"((?:[^"]|"")*)"|([^",\r\n]+)|(,)|(\r?\n)/g;
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may hold commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows, blank lines left out
+ */
+function parseCsv(text) {
+  // Spreadsheet exports often start with a byte order mark
+  const content = text.replace(/^\uFEFF/, "");
+  const tokens = Array.from(content.matchAll(CSV_TOKEN));
+  const parsedLength = tokens.reduce((length, token) => length + token[0].length, 0);
+  if (parsedLength !== content.length) {
+    throw new Error("❌ Malformed CSV: check for an unclosed or stray quote");
+  }
+
+  const state = tokens.reduce(
+    (current, [, quoted, plain, separator, lineBreak]) => {
+      if (separator || lineBreak) {
+        current.row.push(current.field);
+        current.field = "";
+        if (lineBreak) {
+          current.rows.push(current.row);
+          current.row = [];
+        }
+      } else {
+        current.field += quoted !== undefined ? quoted.replace(/""/g, '"') : plain;
+      }
+      return current;
+    },
+    { rows: [], row: [], field: "" }
+  );
+  state.row.push(state.field);
+  state.rows.push(state.row);
+
+  return state.rows.filter((row) => row.some((field) => field.trim() !== ""));
+}
+
+function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseLot(value, row) {
+  const text = value == null ? "" : String(value).trim();
+  if (text === "") return 0;
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`❌ Row ${row}: lot must be a lot ID, got "${text}"`);
+  }
+  return Number(text);
+}
+
+function parseMaintenance(value, row) {
+  if (typeof value === "boolean") return value;
+  const text = value == null ? "" : String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  throw new Error(`❌ Row ${row}: maintenance must be true or false, got "${value}"`);
+}
+
+// Row numbers count data rows (CSV) or array entries (JSON) from 1
+function toSpot(entry, row) {
+  return {
+    row,
+    location: entry.location == null ? "" : String(entry.location).trim(),
+    price: entry.price == null ? "" : String(entry.price).trim(),
+    lot: parseLot(entry.lot, row),
+    maintenance: parseMaintenance(entry.maintenance, row),
+  };
+}
+
+/**
+ * Format of a spot file from its extension
+ * @param {string} file - File path
+ * @param {string} [format] - "csv" or "json", overrides the extension
+ * @returns {string} "csv" or "json"
+ */
+function detectFormat(file, format) {
+  const resolved = (format || path.extname(file || "").slice(1) || "csv").toLowerCase();
+  if (resolved !== "csv" && resolved !== "json") {
+    throw new Error(`❌ Unknown spot file format "${resolved}" (csv or json)`);
+  }
+  return resolved;
+}
+
+/**
+ * Read the spots of a CSV or JSON file
+ * @param {string} text - File content
+ * @param {string} format - "csv" or "json"
+ * @returns {object[]} { row, location, price, lot, maintenance } price is the decimal text, parsed
+ *   later with the contract's adapter
+ */
+function parseSpotFile(text, format) {
+  if (format === "json") {
+    let entries;
+    try {
+      entries = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`❌ Malformed JSON: ${error.message}`);
+    }
+    if (!Array.isArray(entries)) {
+      throw new Error("❌ A JSON spot file holds an array of spots");
+    }
+    return entries.map((entry, i) => toSpot(entry || {}, i + 1));
+  }
+
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const unknown = columns.filter((name) => !COLUMNS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`❌ Unknown column(s) ${unknown.join(", ")}; expected ${COLUMNS.join(", ")}`);
+  }
+  const missing = REQUIRED_COLUMNS.filter((name) => !columns.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`❌ Missing column(s) ${missing.join(", ")} in the CSV header`);
+  }
+
+  return rows.map((fields, i) =>
+    toSpot(Object.fromEntries(columns.map((name, column) => [name, fields[column]])), i + 1)
+  );
+}
+
+/**
+ * Write spots in the format parseSpotFile reads
+ * @param {object[]} spots - { location, price, lot, maintenance }
+ * @param {string} format - "csv" or "json"
+ * @returns {string} File content
+ */
+function formatSpotFile(spots, format) {
+  const entries = spots.map((spot) => Object.fromEntries(COLUMNS.map((key) => [key, spot[key]])));
+  if (format === "json") {
+    return `${JSON.stringify(entries, null, 2)}\n`;
+  }
+  const lines = entries.map((entry) =>
+    COLUMNS.map((key) => csvField(entry[key] === null ? "" : entry[key])).join(",")
+  );
+  return `${[COLUMNS.join(","), ...lines].join("\n")}\n`;
+}
+
+// Decimals prices are written with: the unit adapter.parsePrice reads
+function priceDecimals(adapter) {
+  if (adapter.paymentToken) return adapter.paymentToken.decimals;
+  return adapter.contractName === "PrivateParkingReservation" ? 0 : 18;
+}
+
+/**
+ * Read the contract's limits on imported spots
+ * @param {object} adapter - Contract adapter
+ * @returns {Promise<{maxPrice: bigint|null, maxBatchSize: number|null, totalLots: number}>}
+ */
+async function readLimits(adapter) {
+  const { contract } = adapter;
+  const constant = async (name) =>
+    contract.interface.getFunction(name) ? BigInt(await contract[name]()) : null;
+
+  const [maxPrice, maxBatchSize, totalLots] = await Promise.all([
+    constant("MAX_PRICE"),
+    constant("MAX_SPOTS_PER_BATCH"),
+    contract.totalLots(),
+  ]);
+  return {
+    maxPrice,
+    maxBatchSize: maxBatchSize === null ? null : Number(maxBatchSize),
+    totalLots: Number(totalLots),
+  };
+}
+
+function priceProblem(spot, adapter, limits) {
+  if (spot.price === "") {
+    return "Price required (prices of the FHE contract are encrypted and not exported; fill them in)";
+  }
+  let price;
+  try {
+    price = adapter.parsePrice(spot.price);
+  } catch (error) {
+    return `Invalid price "${spot.price}"`;
+  }
+  if (price <= 0n) return "Price must be above 0";
+  if (limits.maxPrice !== null && price > limits.maxPrice) {
+    return `Price above MAX_PRICE (${limits.maxPrice})`;
+  }
+  return null;
+}
+
+/**
+ * Check spots against the rules the contract enforces, so a file is rejected before anything is sent
+ * @param {object[]} spots - Spots returned by parseSpotFile
+ * @param {object} adapter - Contract adapter, to parse prices in the contract's unit
+ * @param {object} limits - Limits returned by readLimits
+ * @returns {object[]} { row, message } one per problem, empty when every spot is valid
+ */
+function validateSpots(spots, adapter, limits) {
+  return spots.flatMap((spot) => {
+    const problems = [
+      spot.location === "" ? "Location required" : null,
+      // Locations end up in the frontends, which are no place for markup from a file
+      /[<>]/.test(spot.location) ? "Location must not contain < or >" : null,
+      priceProblem(spot, adapter, limits),
+      spot.lot > limits.totalLots ? `Unknown lot ${spot.lot}` : null,
+      spot.maintenance && !adapter.capabilities.maintenance
+        ? `${adapter.contractName} spots have no maintenance mode`
+        : null,
+    ];
+    return problems.filter(Boolean).map((message) => ({ row: spot.row, message }));
+  });
+}
+
+/**
+ * Import progress, so a failed or interrupted import resumes where it stopped. Rows are recorded
+ * once their transaction is mined; the file is rewritten after every batch.
+ */
+class ImportProgress {
+  /**
+   * @param {string} file - Progress file path
+   * @param {object} target - { chainId, contractAddress } the import writes to
+   */
+  constructor(file, target) {
+    this.file = file;
+    this.state = { ...target, rows: {} };
+
+    if (fs.existsSync(file)) {
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (
+        saved.chainId !== target.chainId ||
+        saved.contractAddress.toLowerCase() !== target.contractAddress.toLowerCase()
+      ) {
+        throw new Error(
+          `❌ ${file} records an import into ${saved.contractAddress} on chain ${saved.chainId}; delete it or pass another --progress file`
+        );
+      }
+      this.state = saved;
+    }
+  }
+
+  get(row) {
+    return this.state.rows[row] || null;
+  }
+
+  /**
+   * Fail when a row was imported from a different file content, e.g. after rows were inserted
+   * @param {object[]} spots - Spots about to be imported
+   */
+  check(spots) {
+    const changed = spots.filter(
+      (spot) => this.get(spot.row) && this.get(spot.row).location !== spot.location
+    );
+    if (changed.length > 0) {
+      throw new Error(
+        `❌ Row ${changed[0].row} changed since it was imported (${this.get(changed[0].row).location}); delete ${this.file} to import the file from scratch`
+      );
+    }
+  }
+
+  record(spot, entry) {
+    this.state.rows[spot.row] = { ...this.get(spot.row), location: spot.location, ...entry };
+  }
+
+  save() {
+    // Write then rename, so an interrupted write cannot leave a truncated file behind
+    const temporary = `${this.file}.tmp`;
+    fs.writeFileSync(temporary, `${JSON.stringify(this.state, null, 2)}\n`);
+    fs.renameSync(temporary, this.file);
+  }
+}
+
+// Consecutive spots of the same lot, at most size per batch
+function toBatches(spots, size) {
+  return spots.reduce((batches, spot) => {
+    const last = batches[batches.length - 1];
+    if (last && last.lot === spot.lot && last.spots.length < size) {
+      last.spots.push(spot);
+    } else {
+      batches.push({ lot: spot.lot, spots: [spot] });
+    }
+    return batches;
+  }, []);
+}
+
+// The spot, then its maintenance flag; a spot added on an earlier run only gets the flag
+async function importOne(adapter, spot, progress) {
+  const transactions = [];
+  let entry = progress.get(spot.row);
+
+  if (!entry || entry.spotId == null) {
+    const price = adapter.parsePrice(spot.price);
+    const result =
+      spot.lot > 0
+        ? await adapter.addLotSpot(spot.lot, spot.location, price)
+        : await adapter.addSpot(spot.location, price);
+    transactions.push(result.tx.hash);
+    progress.record(spot, { spotId: result.spotId, txHash: result.tx.hash, maintenance: false });
+    progress.save();
+    entry = progress.get(spot.row);
+  }
+
+  if (spot.maintenance && !entry.maintenance) {
+    const result = await adapter.setSpotMaintenance(entry.spotId, true);
+    transactions.push(result.tx.hash);
+    progress.record(spot, { maintenance: true });
+    progress.save();
+  }
+  return transactions;
+}
+
+// Hashes of the transactions sent for a batch
+async function importBatch(adapter, batch, progress) {
+  if (!adapter.capabilities.batchSpots) {
+    return importOne(adapter, batch.spots[0], progress);
+  }
+
+  const result = await adapter.addSpots(
+    batch.lot,
+    batch.spots.map((spot) => ({ location: spot.location, price: adapter.parsePrice(spot.price) }))
+  );
+  batch.spots.forEach((spot, i) =>
+    progress.record(spot, { spotId: result.spotIds[i], txHash: result.tx.hash })
+  );
+  progress.save();
+  return [result.tx.hash];
+}
+
+/**
+ * Add the spots of a file, skipping those a previous run already added. Contracts with
+ * capabilities.batchSpots take batchSize spots per transaction; the others get one transaction per
+ * spot (and one per maintenance flag). The import stops at the first failing transaction.
+ * @param {object} options - { adapter, spots, progress, batchSize, onBatch } onBatch is called with
+ *   { rows, spotIds, txHash } after each mined transaction
+ * @returns {Promise<object>} { imported, skipped, transactions, failure } failure is
+ *   { rows, error } or null
+ */
+async function importSpots({ adapter, spots, progress, batchSize = DEFAULT_BATCH_SIZE, onBatch }) {
+  progress.check(spots);
+  const done = (spot) => {
+    const entry = progress.get(spot.row);
+    return Boolean(entry && entry.spotId != null && (entry.maintenance || !spot.maintenance));
+  };
+  const pending = spots.filter((spot) => !done(spot));
+  const batches = adapter.capabilities.batchSpots
+    ? toBatches(pending, batchSize)
+    : pending.map((spot) => ({ lot: spot.lot, spots: [spot] }));
+
+  const summary = {
+    imported: 0,
+    skipped: spots.length - pending.length,
+    transactions: [],
+    failure: null,
+  };
+
+  await batches.reduce(async (previous, batch) => {
+    await previous;
+    if (summary.failure) return;
+
+    const rows = batch.spots.map((spot) => spot.row);
+    try {
+      const transactions = await importBatch(adapter, batch, progress);
+      summary.transactions.push(...transactions);
+      summary.imported += batch.spots.length;
+      if (onBatch) {
+        onBatch({
+          rows,
+          spotIds: rows.map((row) => progress.get(row).spotId),
+          txHash: transactions[transactions.length - 1],
+        });
+      }
+    } catch (error) {
+      summary.failure = { rows, error: error.reason || error.shortMessage || error.message };
+    }
+  }, Promise.resolve());
+
+  return summary;
+}
+
+/**
+ * Current spots in the format importSpots reads. Deactivated spots are left out. Prices and the
+ * maintenance flag of the FHE contract are encrypted, so they are exported empty (null in JSON).
+ * @param {object} adapter - Contract adapter, with loadPaymentToken called
+ * @returns {Promise<object[]>} { id, location, price, lot, maintenance }
+ */
+async function exportSpots(adapter) {
+  const decimals = priceDecimals(adapter);
+  const spots = await loadSpots(adapter);
+
+  return spots
+    .filter((spot) => spot.isActive)
+    .map((spot) => ({
+      id: spot.id,
+      location: spot.location,
+      price: spot.price === null ? null : formatUnits(spot.price, decimals),
+      lot: spot.lotId,
+      maintenance: adapter.capabilities.maintenance ? null : false,
+    }));
+}
+
+module.exports = {
+  COLUMNS,
+  DEFAULT_BATCH_SIZE,
+  ImportProgress,
+  detectFormat,
+  exportSpots,
+  formatSpotFile,
+  importSpots,
+  parseCsv,
+  parseSpotFile,
+  readLimits,
+  validateSpots,
+};
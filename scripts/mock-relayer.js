@@ -0,0 +1,81 @@
+const { ethers, network, fhevm } = require("hardhat");
+const { listDeployments } = require("./lib/deployments");
+const { MockRelayer, OUTCOME } = require("./lib/mock-relayer");
+
+// Options come from the environment because `hardhat run` does not forward script arguments:
+//   PARKING_CONTRACT        Contract whose requests to answer (default: PrivateParkingReservation)
+//   RELAYER_DELAY           Milliseconds to wait before answering (default: 2000)
+//   RELAYER_FAILURE_RATE    Probability 0-1 of a failed answer (default: 0)
+//   RELAYER_FAILURE_MODE    drop (leave pending until timeout) | reject (spot reported taken, refund)
+//   RELAYER_POLL_INTERVAL   Milliseconds between polls for new blocks (default: 1000)
+function readOptions() {
+  return {
+    contractName: process.env.PARKING_CONTRACT || "PrivateParkingReservation",
+    delay: Number(process.env.RELAYER_DELAY || 2000),
+    failureRate: Number(process.env.RELAYER_FAILURE_RATE || 0),
+    failureMode: process.env.RELAYER_FAILURE_MODE || OUTCOME.DROP,
+    pollInterval: Number(process.env.RELAYER_POLL_INTERVAL || 1000),
+  };
+}
+
+async function main() {
+  console.log("=".repeat(60));
+  console.log("Private Parking Reservation - Mock FHE Relayer");
+  console.log("=".repeat(60));
+
+  await fhevm.initializeCLIApi();
+  if (!fhevm.isMock) {
+    throw new Error(
+      `❌ Network "${network.name}" is not running the fhevm mock engine\nStart one with: npm run node`
+    );
+  }
+
+  const options = readOptions();
+  const deployment = listDeployments(options.contractName).find((d) => d.network === network.name);
+  // The last account answers, so its nonces never collide with the deployer's or a user's
+  const signers = await ethers.getSigners();
+  const signer = signers[signers.length - 1];
+
+  console.log("\n📋 Relayer Configuration:");
+  console.log("─".repeat(60));
+  console.log("Network:", network.name);
+  console.log(
+    "Contract:",
+    deployment
+      ? `${deployment.contractName} ${deployment.contractAddress}`
+      : "any (no deployment found)"
+  );
+  console.log("Relayer account:", signer.address);
+  console.log("Answer delay:", `${options.delay}ms`);
+  console.log("Failure injection:", `${options.failureRate * 100}% ${options.failureMode}`);
+  console.log("─".repeat(60));
+
+  const relayer = new MockRelayer({
+    provider: ethers.provider,
+    signer,
+    fhevm,
+    contractAddress: deployment ? deployment.contractAddress : undefined,
+    delay: options.delay,
+    failureRate: options.failureRate,
+    failureMode: options.failureMode,
+  });
+
+  console.log("\n👀 Watching for decryption requests (Ctrl+C to stop)");
+  await relayer.start({ pollInterval: options.pollInterval });
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  console.log("\n🛑 Stopping relayer...");
+  relayer.stop();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Error:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
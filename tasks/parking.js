@@ -0,0 +1,615 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const {
+  connect,
+  formatText,
+  namedOutputs,
+  serialize,
+  waitForConfirmations,
+} = require("../scripts/lib/cli");
+const { parseUnits, sendTransaction } = require("../public/adapters/adapter-utils");
+const { loadSpots } = require("../public/adapters/spot-catalog");
+const {
+  DEFAULT_BATCH_SIZE,
+  ImportProgress,
+  detectFormat,
+  exportSpots,
+  formatSpotFile,
+  importSpots,
+  parseSpotFile,
+  readLimits,
+  validateSpots,
+} = require("../scripts/lib/spot-files");
+
+// Non-interactive parking commands, e.g.
+//   npx hardhat parking:spot:add --location "Zone A" --price 0.01 --network localhost
+//   npx hardhat parking:reserve --spot 1 --duration 7200 --from 1 --confirmations 2
+//   npx hardhat parking:stats --json
+// Every command takes --contract, --at, --from, --confirmations and --json (see addCommonParams).
+// parking:call reaches the contract functions no dedicated command covers.
+
+const required = (name, description, type = types.int) => ({ name, description, type });
+const optional = (name, description, type = types.int) => ({
+  name,
+  description,
+  type,
+  optional: true,
+});
+
+// ETH, or the payment token once one is set
+function parseAmount(adapter, value) {
+  if (value === undefined) return undefined;
+  return parseUnits(value, adapter.paymentToken ? adapter.paymentToken.decimals : 18);
+}
+
+function parseJson(value, name) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`❌ --${name} is not valid JSON: ${error.message}`);
+  }
+}
+
+const accountOf = (args, session) => args.address || session.signer.address;
+
+// --offset and --limit of the paginated views, which return at most MAX_PAGE_SIZE (100) items a call
+const pageParams = [
+  optional("offset", "Items to skip (default: 0)"),
+  optional("limit", "Items to return, at most 100 (default: 100)"),
+];
+const DEFAULT_PAGE_LIMIT = 100;
+
+// Check the whole file before anything is sent, then add what a previous run left out
+async function importSpotFile(adapter, args, { contract }) {
+  const { file, format, batchSize = DEFAULT_BATCH_SIZE, dryRun } = args;
+  const spots = parseSpotFile(fs.readFileSync(file, "utf8"), detectFormat(file, format));
+  const limits = await readLimits(adapter);
+  if (!(batchSize > 0) || (limits.maxBatchSize !== null && batchSize > limits.maxBatchSize)) {
+    throw new Error(`❌ --batch-size must be between 1 and ${limits.maxBatchSize}`);
+  }
+
+  const problems = validateSpots(spots, adapter, limits);
+  if (problems.length > 0) {
+    const lines = problems.map(({ row, message }) => `  Row ${row}: ${message}`);
+    throw new Error(`❌ ${file} has invalid spots, nothing was sent:\n${lines.join("\n")}`);
+  }
+  if (dryRun) return { file, spots: spots.length, valid: true };
+
+  const { chainId } = await contract.runner.provider.getNetwork();
+  const progress = new ImportProgress(args.progress || `${file}.progress.json`, {
+    chainId: chainId.toString(),
+    contractAddress: await contract.getAddress(),
+  });
+  const summary = await importSpots({
+    adapter,
+    spots,
+    progress,
+    batchSize,
+    // On stderr, so --json output stays parseable
+    onBatch: ({ rows, spotIds, txHash }) =>
+      console.error(`✅ Row(s) ${rows.join(", ")} → spot(s) ${spotIds.join(", ")} (${txHash})`),
+  });
+
+  if (summary.failure) {
+    throw new Error(
+      `❌ Row(s) ${summary.failure.rows.join(", ")} failed: ${summary.failure.error}\n${summary.imported} spot(s) were imported; run the command again to resume from ${progress.file}`
+    );
+  }
+  return {
+    file,
+    imported: summary.imported,
+    skipped: summary.skipped,
+    transactions: summary.transactions.length,
+    progress: progress.file,
+  };
+}
+
+const COMMANDS = [
+  // ============ Spots ============
+  {
+    name: "spot:add",
+    description: "Add a parking spot, to a lot when --lot is given (operators)",
+    params: [
+      required("location", "Spot location", types.string),
+      required(
+        "price",
+        "Hourly price (ETH or payment token; units for the FHE contract)",
+        types.string
+      ),
+      optional("lot", "Lot ID"),
+    ],
+    run: (adapter, { location, price, lot }) =>
+      lot
+        ? adapter.addLotSpot(lot, location, adapter.parsePrice(price))
+        : adapter.addSpot(location, adapter.parsePrice(price)),
+  },
+  {
+    name: "spot:price",
+    description: "Change the hourly price of a spot (spot operator)",
+    params: [required("spot", "Spot ID"), required("price", "New hourly price", types.string)],
+    run: (adapter, { spot, price }) => adapter.updateSpotPrice(spot, adapter.parsePrice(price)),
+  },
+  {
+    name: "spot:info",
+    description: "Show a spot",
+    params: [required("spot", "Spot ID")],
+    run: (adapter, { spot }) => adapter.getSpot(spot),
+  },
+  {
+    name: "spot:list",
+    description: "List every spot",
+    run: (adapter) => loadSpots(adapter),
+  },
+  {
+    name: "spot:import",
+    description:
+      "Add the spots of a CSV or JSON file (location, price, lot, maintenance); rerun to resume",
+    params: [
+      required("file", "CSV or JSON file", types.string),
+      optional("format", "csv or json (default: from the extension)", types.string),
+      optional("batchSize", `Spots per transaction (default: ${DEFAULT_BATCH_SIZE})`),
+      optional("progress", "Progress file (default: <file>.progress.json)", types.string),
+      optional("dryRun", "true to only validate the file", types.boolean),
+    ],
+    run: importSpotFile,
+  },
+  {
+    name: "spot:export",
+    description: "Write the current spots to a CSV or JSON file that spot:import reads",
+    params: [
+      required("file", "Output file", types.string),
+      optional("format", "csv or json (default: from the extension)", types.string),
+    ],
+    run: async (adapter, { file, format }) => {
+      const spots = await exportSpots(adapter);
+      fs.writeFileSync(file, formatSpotFile(spots, detectFormat(file, format)));
+      return { file, spots: spots.length };
+    },
+  },
+  {
+    name: "spot:bookings",
+    description: "List the windows booked on a spot",
+    params: [required("spot", "Spot ID")],
+    run: (adapter, { spot }) => adapter.getBookings(spot),
+  },
+  {
+    name: "spot:available",
+    description: "Check whether a spot is free (decrypted for the caller on the FHE contract)",
+    params: [required("spot", "Spot ID")],
+    run: async (adapter, { spot }) => ({
+      spotId: spot,
+      available: await adapter.checkAvailability(spot),
+    }),
+  },
+  {
+    name: "spot:quote",
+    description: "Price of a booking, pricing rules included",
+    params: [
+      required("spot", "Spot ID"),
+      required("duration", "Duration in seconds"),
+      optional("start", "Unix timestamp of the start (default: now)"),
+    ],
+    run: async (adapter, { spot, duration, start }) => ({
+      spotId: spot,
+      price: await adapter.quote(spot, duration, start),
+    }),
+  },
+
+  // ============ Users ============
+  {
+    name: "register",
+    description: "Register the account (values are encrypted for the FHE contract)",
+    params: [required("userId", "User ID"), required("creditScore", "Credit score (300-850)")],
+    run: (adapter, { userId, creditScore }) => adapter.register(userId, creditScore),
+  },
+  {
+    name: "user",
+    description: "Show a user profile",
+    params: [optional("address", "User address (default: --from)", types.string)],
+    run: (adapter, args, session) => adapter.getUser(accountOf(args, session)),
+  },
+  {
+    name: "users",
+    description: "List the registered users, a page at a time",
+    params: pageParams,
+    run: (adapter, { offset = 0, limit = DEFAULT_PAGE_LIMIT }) =>
+      adapter.getRegisteredUsersPage(offset, limit),
+  },
+  {
+    name: "user:verify",
+    description: "Check a user's ID (compared under encryption on the FHE contract)",
+    params: [
+      required("address", "User address", types.string),
+      required("userId", "User ID to check"),
+    ],
+    run: async (adapter, { address, userId }) => ({
+      address,
+      verified: await adapter.verifyIdentity(address, userId),
+    }),
+  },
+
+  // ============ Reservations ============
+  {
+    name: "reserve",
+    description: "Reserve a spot; the FHE contract needs --payment",
+    params: [
+      required("spot", "Spot ID"),
+      required("duration", "Duration in seconds, rounded up to whole hours by the plain contract"),
+      optional("start", "Unix timestamp of a future start (default: now)"),
+      optional("payment", "Amount to send (default: the quoted price)", types.string),
+      optional("offer", "Encrypted offer below the payment (FHE contract)", types.string),
+    ],
+    run: (adapter, { spot, duration, start, payment, offer }) =>
+      adapter.reserve(
+        spot,
+        duration,
+        parseAmount(adapter, payment),
+        start,
+        parseAmount(adapter, offer)
+      ),
+  },
+  {
+    name: "reservation",
+    description: "Show a reservation",
+    params: [required("id", "Reservation ID")],
+    run: (adapter, { id }) => adapter.getReservation(id),
+  },
+  {
+    name: "reservations",
+    description: "List the reservations of a user",
+    params: [optional("address", "User address (default: --from)", types.string)],
+    run: (adapter, args, session) => adapter.listReservations(accountOf(args, session)),
+  },
+  {
+    name: "reservations:active",
+    description:
+      "List the reservations not yet settled among a page of reservation IDs; continue from offset + limit until total",
+    params: pageParams,
+    run: (adapter, { offset = 0, limit = DEFAULT_PAGE_LIMIT }) =>
+      adapter.getActiveReservations(offset, limit),
+  },
+  {
+    name: "complete",
+    description: "Complete a reservation",
+    params: [required("id", "Reservation ID")],
+    run: (adapter, { id }) => adapter.complete(id),
+  },
+  {
+    name: "cancel",
+    description: "Cancel a reservation",
+    params: [required("id", "Reservation ID")],
+    run: (adapter, { id }) => adapter.cancel(id),
+  },
+  {
+    name: "extend",
+    description: "Extend a running reservation",
+    params: [
+      required("id", "Reservation ID"),
+      required("duration", "Extra seconds"),
+      optional("payment", "Amount to send (default: priced by the contract)", types.string),
+    ],
+    run: (adapter, { id, duration, payment }) =>
+      adapter.extend(id, duration, parseAmount(adapter, payment)),
+  },
+  {
+    name: "checkout",
+    description: "Check out of a running reservation early, refunding the unused time",
+    params: [required("id", "Reservation ID")],
+    run: (adapter, { id }) => adapter.checkOut(id),
+  },
+  {
+    name: "balance",
+    description: "Show the refunds and payouts an account can withdraw",
+    params: [optional("address", "Account address (default: --from)", types.string)],
+    run: async (adapter, args, session) => ({
+      address: accountOf(args, session),
+      withdrawable: await adapter.withdrawableBalance(accountOf(args, session)),
+    }),
+  },
+  {
+    name: "withdraw",
+    description: "Withdraw the account's refunds and payouts",
+    run: (adapter) => adapter.withdraw(),
+  },
+
+  // ============ Gateway (FHE contract) ============
+  {
+    name: "request",
+    description: "Show a gateway decryption request",
+    params: [required("id", "Request ID")],
+    run: (adapter, { id }) => adapter.getGatewayRequest(id),
+  },
+  {
+    name: "timeout",
+    description: "Refund a reservation whose gateway request timed out (requester or owner)",
+    params: [required("id", "Request ID")],
+    run: (adapter, { id }) => adapter.triggerTimeout(id),
+  },
+
+  // ============ Lots ============
+  {
+    name: "lot:register",
+    description: "Register a parking lot (operators)",
+    params: [
+      required("name", "Lot name", types.string),
+      required("feeShare", "Platform fee share in percent"),
+    ],
+    run: (adapter, { name, feeShare }) => adapter.registerLot(name, feeShare),
+  },
+  {
+    name: "lot:fee-share",
+    description: "Change the platform fee share of a lot",
+    params: [required("lot", "Lot ID"), required("feeShare", "Platform fee share in percent")],
+    run: (adapter, { lot, feeShare }) => adapter.setLotFeeShare(lot, feeShare),
+  },
+  {
+    name: "lot:info",
+    description: "Show a lot",
+    params: [required("lot", "Lot ID")],
+    run: (adapter, { lot }) => adapter.getLot(lot),
+  },
+  {
+    name: "lot:list",
+    description: "List the lots of an operator",
+    params: [optional("operator", "Operator address (default: --from)", types.string)],
+    run: (adapter, { operator }, session) => adapter.listLots(operator || session.signer.address),
+  },
+  {
+    name: "lot:withdraw",
+    description: "Withdraw the revenue of a lot (lot operator)",
+    params: [
+      required("lot", "Lot ID"),
+      optional("to", "Recipient (default: --from)", types.string),
+    ],
+    run: (adapter, { lot, to }, session) =>
+      adapter.withdrawLotRevenue(lot, to || session.signer.address),
+  },
+
+  // ============ Pricing ============
+  {
+    name: "pricing:get",
+    description: "Show the pricing rule of a spot or, with --lot, of a lot",
+    params: [optional("spot", "Spot ID"), optional("lot", "Lot ID")],
+    run: (adapter, { spot, lot }) =>
+      lot !== undefined ? adapter.getLotPricingRule(lot) : adapter.getSpotPricingRule(spot),
+  },
+  {
+    name: "pricing:set",
+    description: "Set the pricing rule of a spot or, with --lot, of a lot",
+    params: [
+      optional("spot", "Spot ID"),
+      optional("lot", "Lot ID"),
+      required(
+        "rule",
+        'Rule as JSON, e.g. {"peakStartHour":7,"peakEndHour":10,"peakPercent":150,"maxPrice":"0.05"}; {"enabled":false} clears it',
+        types.string
+      ),
+    ],
+    run: (adapter, { spot, lot, rule }) => {
+      const input = { enabled: true, ...parseJson(rule, "rule") };
+      input.maxPrice = input.maxPrice ? adapter.parsePrice(String(input.maxPrice)) : 0n;
+      return lot !== undefined
+        ? adapter.setLotPricingRule(lot, input)
+        : adapter.setSpotPricingRule(spot, input);
+    },
+  },
+
+  // ============ Waitlist ============
+  {
+    name: "waitlist",
+    description: "Show the waitlist of a spot and its current offer",
+    params: [required("spot", "Spot ID")],
+    run: (adapter, { spot }) => adapter.getWaitlist(spot),
+  },
+  {
+    name: "waitlist:join",
+    description: "Join the waitlist of a taken spot, paying the deposit",
+    params: [required("spot", "Spot ID"), required("duration", "Duration in seconds")],
+    run: (adapter, { spot, duration }) => adapter.joinWaitlist(spot, duration),
+  },
+  {
+    name: "waitlist:leave",
+    description: "Leave the waitlist of a spot, or decline its offer",
+    params: [required("spot", "Spot ID")],
+    run: (adapter, { spot }) => adapter.leaveWaitlist(spot),
+  },
+  {
+    name: "waitlist:claim",
+    description: "Claim the spot offered to the account",
+    params: [required("spot", "Spot ID")],
+    run: (adapter, { spot }) => adapter.claimWaitlistOffer(spot),
+  },
+  {
+    name: "waitlist:expire",
+    description: "Refund an expired offer and offer the spot to the next user",
+    params: [required("spot", "Spot ID")],
+    run: (adapter, { spot }) => adapter.expireWaitlistOffer(spot),
+  },
+
+  // ============ Overstays ============
+  {
+    name: "overstays",
+    description: "List the reservations running past their grace period",
+    run: (adapter) => adapter.listOverstays(),
+  },
+  {
+    name: "overstay:mark",
+    description:
+      "Settle an overstayed reservation and charge the penalty (spot operator or keeper)",
+    params: [required("id", "Reservation ID")],
+    run: (adapter, { id }) => adapter.markOverstay(id),
+  },
+  {
+    name: "overstay:clear",
+    description: "Let a user barred for overstaying reserve again (owner)",
+    params: [required("address", "User address", types.string)],
+    run: (adapter, { address }) => adapter.clearOverstays(address),
+  },
+  {
+    name: "penalty",
+    description: "Show the overstays and outstanding penalty of a user",
+    params: [optional("address", "User address (default: --from)", types.string)],
+    run: (adapter, args, session) => adapter.getPenaltyStatus(accountOf(args, session)),
+  },
+  {
+    name: "penalty:pay",
+    description: "Pay the account's outstanding penalty",
+    run: (adapter) => adapter.payPenalty(),
+  },
+  {
+    name: "keeper:set",
+    description: "Allow or revoke a keeper (owner)",
+    params: [
+      required("address", "Keeper address", types.string),
+      optional("status", "true to allow, false to revoke (default: true)", types.boolean),
+    ],
+    run: (adapter, { address, status }) => adapter.setKeeper(address, status !== false),
+  },
+
+  // ============ Credit tiers (FHE contract) ============
+  {
+    name: "credit:tiers",
+    description: "Show the credit tier pricing",
+    run: (adapter) => adapter.getCreditTiers(),
+  },
+  {
+    name: "credit:set",
+    description: "Set the credit tier pricing (operators)",
+    params: [
+      required(
+        "tiers",
+        'Tiers as JSON, e.g. {"minScore":500,"depositScore":600,"depositPercent":20,"discountScore":750,"discountPercent":10}',
+        types.string
+      ),
+    ],
+    run: (adapter, { tiers }) => adapter.setCreditTiers(parseJson(tiers, "tiers")),
+  },
+  {
+    name: "credit:tier",
+    description: "Decrypt the account's credit tier",
+    run: async (adapter) => ({ tier: await adapter.getCreditTier() }),
+  },
+
+  // ============ Payment token ============
+  {
+    name: "token",
+    description: "Show the payment token and an account's balance and allowance",
+    params: [optional("address", "Account address (default: --from)", types.string)],
+    run: async (adapter, args, session) => ({
+      token: adapter.paymentToken,
+      ...(await adapter.tokenBalances(accountOf(args, session))),
+    }),
+  },
+  {
+    name: "token:approve",
+    description: "Approve the contract to pull payment tokens",
+    params: [required("amount", "Amount in the payment token", types.string)],
+    run: (adapter, { amount }) => adapter.approveToken(parseAmount(adapter, amount)),
+  },
+
+  // ============ Statistics ============
+  {
+    name: "stats",
+    description: "Show the contract statistics",
+    run: (adapter) => adapter.stats(),
+  },
+
+  // ============ Any contract function ============
+  {
+    name: "call",
+    description:
+      "Call any function of the contract: views are read, the others sent as transactions",
+    params: [
+      required(
+        "method",
+        'Function name or signature, e.g. "pause" or "setOperator(address,bool)"',
+        types.string
+      ),
+      optional("args", "Arguments as a JSON array, e.g. '[\"0x…\", true]'", types.string),
+      optional("value", "ETH to send with a payable function", types.string),
+    ],
+    run: async (adapter, { method, args = "[]", value }, { contract }) => {
+      const callArgs = parseJson(args, "args");
+      if (!Array.isArray(callArgs)) throw new Error("❌ --args must be a JSON array");
+
+      const fn = contract.getFunction(method);
+      const fragment = fn.fragment;
+      if (fragment.constant) {
+        return namedOutputs(fragment, await fn.staticCallResult(...callArgs));
+      }
+      const overrides = value !== undefined ? { value: parseUnits(value, 18) } : {};
+      return sendTransaction(contract, fn(...callArgs, overrides));
+    },
+  },
+  {
+    name: "functions",
+    description: "List the functions of the contract, for parking:call",
+    run: (adapter, args, { contract }) =>
+      contract.interface.fragments
+        .filter((fragment) => fragment.type === "function")
+        .map((fragment) => `${fragment.format("sighash")} ${fragment.stateMutability}`)
+        .sort(),
+  },
+];
+
+function addCommonParams(definition) {
+  return definition
+    .addOptionalParam(
+      "contract",
+      "ParkingReservation | PrivateParkingReservation (default: the latest deployment)",
+      undefined,
+      types.string
+    )
+    .addOptionalParam(
+      "at",
+      "Contract address, instead of the deployment record",
+      undefined,
+      types.string
+    )
+    .addOptionalParam(
+      "from",
+      "Account index or address to send from (default: 0)",
+      undefined,
+      types.string
+    )
+    .addOptionalParam(
+      "confirmations",
+      "Confirmations to wait for after each transaction",
+      1,
+      types.int
+    )
+    .addFlag("json", "Print the result as JSON");
+}
+
+/**
+ * Run a command and print its result
+ * @returns {Promise<*>} Serialized result, for callers using hre.run
+ */
+async function execute(hre, args, command) {
+  let result;
+  try {
+    const session = await connect(hre, args);
+    result = await command.run(session.adapter, args, session);
+    await waitForConfirmations(result, args.confirmations);
+  } catch (error) {
+    // Reported by Hardhat as a plain message rather than an unexpected error with a stack trace
+    throw new HardhatPluginError("parking", error.shortMessage || error.message, error);
+  }
+
+  const output = serialize(result);
+  console.log(args.json ? JSON.stringify(output, null, 2) : formatText(output));
+  return output;
+}
+
+COMMANDS.forEach((command) => {
+  const definition = task(`parking:${command.name}`, command.description);
+  (command.params || []).forEach(({ name, description, type, optional: isOptional }) =>
+    isOptional
+      ? definition.addOptionalParam(name, description, undefined, type)
+      : definition.addParam(name, description, undefined, type)
+  );
+  addCommonParams(definition).setAction((args, hre) => execute(hre, args, command));
+});
+
+module.exports = { COMMANDS };
@@ -0,0 +1,262 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { createParkingAdapter } = require("../public/adapters");
+const { ParkingApi, TtlCache } = require("../scripts/lib/api");
+
+const CHAIN_ID = 31337;
+
+describe("REST API", function () {
+  let server;
+
+  afterEach(async function () {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+    }
+  });
+
+  async function deployApiFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const Factory = await ethers.getContractFactory("ParkingReservation");
+    const contract = await Factory.deploy();
+    await contract.waitForDeployment();
+
+    await contract.addParkingSpot("Zone A Spot 1", ethers.parseEther("0.01"));
+    await contract.addParkingSpot("Zone B Spot 2", ethers.parseEther("0.02"));
+    await contract.addParkingSpot("Zone B Spot 3", ethers.parseEther("0.03"));
+    await contract.connect(user1).registerUser(1001, 750);
+    await contract.connect(user2).registerUser(1002, 680);
+    await contract.connect(user1).makeReservation(1, 1, { value: ethers.parseEther("0.01") });
+    await contract.connect(user1).makeReservation(3, 2, { value: ethers.parseEther("0.06") });
+    await contract.connect(user1).completeReservation(1);
+
+    const artifact = await artifacts.readArtifact("ParkingReservation");
+    const contracts = {
+      ParkingReservation: {
+        contractName: "ParkingReservation",
+        abi: artifact.abi,
+        deployments: {
+          hardhat: { address: await contract.getAddress(), chainId: CHAIN_ID, blockNumber: 0 },
+        },
+      },
+    };
+    // Read-only, like scripts/api-server.js
+    const adapter = createParkingAdapter({
+      ethers,
+      contracts,
+      chainId: CHAIN_ID,
+      runner: ethers.provider,
+    });
+
+    return { contract, adapter, owner, user1, user2 };
+  }
+
+  async function startApi(adapter, cacheTtl = 60000) {
+    const api = new ParkingApi({ adapter, cacheTtl, info: { network: "hardhat" } });
+    server = api.createServer();
+    await new Promise((resolve) => server.listen(0, resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const get = async (path, init) => {
+      const response = await fetch(`${baseUrl}${path}`, init);
+      return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+    return { api, get };
+  }
+
+  it("Should list spots with pagination and filters", async function () {
+    const { adapter } = await loadFixture(deployApiFixture);
+    const { get } = await startApi(adapter);
+
+    const all = await get("/spots");
+    expect(all.status).to.equal(200);
+    expect(all.body.total).to.equal(3);
+    expect(all.body.items[0]).to.include({
+      id: 1,
+      location: "Zone A Spot 1",
+      price: ethers.parseEther("0.01").toString(),
+    });
+
+    const page = await get("/spots?search=zone%20b&offset=1&limit=1");
+    expect(page.body).to.include({ total: 2, offset: 1, limit: 1 });
+    expect(page.body.items.map((spot) => spot.id)).to.deep.equal([3]);
+
+    const available = await get("/spots?state=available");
+    expect(available.body.items.map((spot) => spot.id)).to.deep.equal([1, 2]);
+  });
+
+  it("Should read only the requested page of an unfiltered spot list", async function () {
+    const { adapter } = await loadFixture(deployApiFixture);
+    const pages = [];
+    const paged = Object.create(adapter, {
+      getSpotsPage: {
+        value: (offset, limit) => {
+          pages.push([offset, limit]);
+          return adapter.getSpotsPage(offset, limit);
+        },
+      },
+      getSpots: {
+        value: async () => {
+          throw new Error("Read every spot");
+        },
+      },
+    });
+    const { get } = await startApi(paged);
+
+    const page = await get("/spots?offset=1&limit=1");
+    expect(page.body).to.include({ total: 3, offset: 1, limit: 1 });
+    expect(page.body.items.map((spot) => spot.id)).to.deep.equal([2]);
+
+    const rest = await get("/spots?offset=1");
+    expect(rest.body).to.include({ total: 3, offset: 1, limit: 50 });
+    expect(rest.body.items.map((spot) => spot.id)).to.deep.equal([2, 3]);
+    expect(pages).to.deep.equal([
+      [1, 1],
+      [1, 50],
+    ]);
+  });
+
+  it("Should return single spots and reservations", async function () {
+    const { adapter, user1 } = await loadFixture(deployApiFixture);
+    const { get } = await startApi(adapter);
+
+    const spot = await get("/spots/3");
+    expect(spot.body).to.include({ id: 3, isAvailable: false });
+
+    const reservation = await get("/reservations/2");
+    expect(reservation.status).to.equal(200);
+    expect(reservation.body).to.include({
+      id: 2,
+      spotId: 3,
+      user: user1.address,
+      status: "Active",
+      amount: ethers.parseEther("0.06").toString(),
+    });
+  });
+
+  it("Should list a user's reservations newest first", async function () {
+    const { adapter, user1, user2 } = await loadFixture(deployApiFixture);
+    const { get } = await startApi(adapter);
+
+    const mine = await get(`/users/${user1.address}/reservations`);
+    expect(mine.body.items.map((r) => r.id)).to.deep.equal([2, 1]);
+
+    const completed = await get(`/users/${user1.address}/reservations?status=Completed`);
+    expect(completed.body.items.map((r) => r.id)).to.deep.equal([1]);
+
+    const none = await get(`/users/${user2.address}/reservations`);
+    expect(none.body).to.include({ total: 0 });
+  });
+
+  it("Should serve statistics from getStatistics", async function () {
+    const { adapter } = await loadFixture(deployApiFixture);
+    const { get } = await startApi(adapter);
+
+    const stats = await get("/stats");
+
+    expect(stats.body).to.include({
+      contractName: "ParkingReservation",
+      network: "hardhat",
+      totalSpots: 3,
+      totalReservations: 2,
+    });
+    expect(stats.headers.get("cache-control")).to.equal("public, max-age=60");
+  });
+
+  it("Should reject bad requests with JSON errors", async function () {
+    const { adapter } = await loadFixture(deployApiFixture);
+    const { get } = await startApi(adapter);
+
+    expect((await get("/spots/9")).status).to.equal(404);
+    expect((await get("/spots/abc")).status).to.equal(400);
+    expect((await get("/reservations/99")).body).to.deep.equal({
+      error: "Reservation 99 not found",
+    });
+    expect((await get("/users/0x1234/reservations")).status).to.equal(400);
+    expect((await get("/spots?limit=ten")).status).to.equal(400);
+    expect((await get("/unknown")).status).to.equal(404);
+    expect((await get("/spots", { method: "POST" })).status).to.equal(405);
+  });
+
+  it("Should tell contract call failures from internal errors", async function () {
+    const { adapter } = await loadFixture(deployApiFixture);
+    const failing = (error) =>
+      Object.create(adapter, {
+        stats: {
+          value: async () => {
+            throw error;
+          },
+        },
+      });
+
+    const rpcDown = new ParkingApi({
+      adapter: failing(ethers.makeError("connection refused", "NETWORK_ERROR")),
+    });
+    expect(await rpcDown.handle("GET", "/stats")).to.deep.equal({
+      status: 502,
+      body: { error: "Contract call failed: connection refused" },
+    });
+
+    const broken = new ParkingApi({ adapter: failing(new TypeError("stats is not iterable")) });
+    expect(await broken.handle("GET", "/stats")).to.deep.equal({
+      status: 500,
+      body: { error: "Internal server error" },
+    });
+  });
+
+  it("Should cache contract reads until the TTL expires", async function () {
+    const { contract, adapter } = await loadFixture(deployApiFixture);
+    const { api, get } = await startApi(adapter);
+
+    expect((await get("/stats")).body.totalSpots).to.equal(3);
+    await contract.addParkingSpot("Zone C Spot 4", ethers.parseEther("0.04"));
+
+    expect((await get("/stats")).body.totalSpots).to.equal(3);
+    api.cache.clear();
+    expect((await get("/stats")).body.totalSpots).to.equal(4);
+  });
+
+  it("Should share in-flight loads and not cache failures", async function () {
+    let now = 0;
+    const cache = new TtlCache({ ttl: 1000, now: () => now });
+    let calls = 0;
+    const load = async () => {
+      calls += 1;
+      return calls;
+    };
+
+    const [first, second] = await Promise.all([cache.get("key", load), cache.get("key", load)]);
+    expect([first, second]).to.deep.equal([1, 1]);
+
+    now = 1001;
+    expect(await cache.get("key", load)).to.equal(2);
+
+    const failing = cache.get("broken", async () => {
+      throw new Error("RPC down");
+    });
+    await failing.catch(() => null);
+    expect(await cache.get("broken", load)).to.equal(3);
+  });
+
+  it("Should drop expired entries and evict the least recently used", async function () {
+    let now = 0;
+    const cache = new TtlCache({ ttl: 1000, maxEntries: 2, now: () => now });
+    const load = (value) => async () => value;
+
+    await cache.get("a", load(1));
+    await cache.get("b", load(2));
+    expect(await cache.get("a", load(0))).to.equal(1);
+    await cache.get("c", load(3));
+
+    // "b" was used least recently
+    expect(cache.size).to.equal(2);
+    expect(await cache.get("a", load(0))).to.equal(1);
+    expect(await cache.get("b", load(4))).to.equal(4);
+
+    now = 1001;
+    await cache.get("d", load(5));
+    expect(cache.size).to.equal(1);
+  });
+});
@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const { ethers, deployments, network } = require("hardhat");
+const { ADAPTERS, batchReader, spotCatalog } = require("../public/adapters");
+
+const { MULTICALL3_ADDRESS, BatchReader, createBatchReader } = batchReader;
+
+describe("BatchReader", function () {
+  const PRICE = ethers.parseEther("0.01");
+  let contract;
+  let user1;
+
+  // Multicall3 from deploy/, and a ParkingReservation with five spots, two of them reserved by user1
+  beforeEach(async function () {
+    await deployments.fixture(["multicall"]);
+    const [owner, signer1] = await ethers.getSigners();
+    user1 = signer1;
+    const Factory = await ethers.getContractFactory("ParkingReservation", owner);
+    contract = await Factory.deploy();
+    await contract.waitForDeployment();
+
+    const locations = ["Zone A", "Zone B", "Zone C", "Zone D", "Zone E"];
+    await contract.addParkingSpots(
+      0,
+      locations,
+      locations.map(() => PRICE)
+    );
+    await contract.connect(user1).registerUser(1001, 750);
+    await contract.connect(user1).makeReservation(2, 1, { value: PRICE });
+    await contract.connect(user1).makeReservation(4, 2, { value: PRICE * 2n });
+  });
+
+  // Count the eth_call requests ethers sends while reading
+  async function countCalls(read) {
+    const provider = network.provider;
+    const send = provider.send;
+    let calls = 0;
+    provider.send = (method, params) => {
+      if (method === "eth_call") calls++;
+      return send.call(provider, method, params);
+    };
+    try {
+      return { result: await read(), calls };
+    } finally {
+      provider.send = send;
+    }
+  }
+
+  function spotCalls(spotIds) {
+    return spotIds.map((spotId) => ({ contract, method: "parkingSpots", args: [spotId] }));
+  }
+
+  it("Should put Multicall3 at its canonical address", async function () {
+    expect(await ethers.provider.getCode(MULTICALL3_ADDRESS)).to.not.equal("0x");
+    expect(await createBatchReader(ethers, ethers.provider).isAvailable()).to.equal(true);
+  });
+
+  it("Should return what direct calls return, maxCalls views per request", async function () {
+    const reader = createBatchReader(ethers, ethers.provider, { maxCalls: 2 });
+    const calls = [...spotCalls([1, 2, 3]), { contract, method: "totalSpots" }];
+
+    const { result, calls: requests } = await countCalls(() => reader.read(calls));
+    expect(requests).to.equal(2);
+    expect(result[3]).to.equal(5n);
+    expect(result.slice(0, 3).map((spot) => spot.location)).to.deep.equal([
+      "Zone A",
+      "Zone B",
+      "Zone C",
+    ]);
+    expect(result[1].isAvailable).to.equal((await contract.parkingSpots(2)).isAvailable);
+    expect(await reader.read([])).to.deep.equal([]);
+  });
+
+  it("Should fail the read when a view reverts", async function () {
+    const reader = createBatchReader(ethers, ethers.provider);
+    await expect(reader.read([{ contract, method: "getReservationInfo", args: [99] }])).to.be
+      .rejected;
+  });
+
+  it("Should call each view directly without a Multicall3 deployment", async function () {
+    const missing = createBatchReader(ethers, ethers.provider, {
+      address: ethers.Wallet.createRandom().address,
+    });
+    const direct = new BatchReader(null);
+
+    expect(await missing.isAvailable()).to.equal(false);
+    const { result, calls } = await countCalls(() => missing.read(spotCalls([1, 2, 3])));
+    expect(calls).to.equal(3);
+    expect(result.map((spot) => spot.location)).to.deep.equal(["Zone A", "Zone B", "Zone C"]);
+    expect((await direct.read(spotCalls([5])))[0].location).to.equal("Zone E");
+  });
+
+  it("Should load the spot and reservation lists of an adapter in one request each", async function () {
+    const batched = new ADAPTERS.ParkingReservation(contract, {
+      ethers,
+      reader: createBatchReader(ethers, ethers.provider),
+    });
+    const direct = new ADAPTERS.ParkingReservation(contract, { ethers });
+    const spotIds = batched.spotIds(5);
+
+    const spots = await countCalls(() => batched.getSpots(spotIds));
+    expect(spots.calls).to.equal(1);
+    expect(spots.result).to.deep.equal(await direct.getSpots(spotIds));
+    expect(spots.result.map((spot) => spot.isAvailable)).to.deep.equal([
+      true,
+      false,
+      true,
+      false,
+      true,
+    ]);
+    expect(await spotCatalog.loadSpots(batched)).to.deep.equal(spots.result);
+
+    const reservations = await countCalls(() => batched.listReservations(user1.address));
+    expect(reservations.calls).to.equal(1);
+    expect(reservations.result.map((reservation) => reservation.spotId)).to.deep.equal([2, 4]);
+    expect(reservations.result).to.deep.equal(await direct.listReservations(user1.address));
+    expect(await batched.getReservation(2)).to.deep.equal(reservations.result[1]);
+  });
+});
@@ -0,0 +1,291 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, fhevm } = require("hardhat");
+const { loadFixture, takeSnapshot, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const Database = require("better-sqlite3");
+const { EventIndexer, JsonStore, SqliteStore } = require("../scripts/lib/indexer");
+const { deployParking } = require("./helpers/deploy");
+
+const CHAIN_ID = 31337;
+
+describe("EventIndexer", function () {
+  let dataDir;
+  let warnings;
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "parking-indexer-"));
+    warnings = [];
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  async function openIndexer(
+    contract,
+    contractName,
+    fromBlock,
+    store = new JsonStore(path.join(dataDir, `${contractName}.json`))
+  ) {
+    const indexer = new EventIndexer({
+      contract,
+      contractName,
+      store,
+      chainId: CHAIN_ID,
+      fromBlock,
+      batchSize: 3,
+      logger: { warn: (message) => warnings.push(message) },
+    });
+    return indexer.open();
+  }
+
+  describe("ParkingReservation", function () {
+    async function deployPlainFixture() {
+      const [owner, user1, user2] = await ethers.getSigners();
+
+      const Factory = await ethers.getContractFactory("ParkingReservation");
+      const contract = await Factory.deploy();
+      await contract.waitForDeployment();
+      const fromBlock = contract.deploymentTransaction().blockNumber;
+
+      await contract.addParkingSpot("Zone A Spot 1", ethers.parseEther("0.01"));
+      await contract.addParkingSpot("Zone B Spot 2", ethers.parseEther("0.02"));
+      await contract.addParkingSpot("Zone B Spot 3", ethers.parseEther("0.03"));
+      await contract.connect(user1).registerUser(1001, 750);
+      await contract.connect(user2).registerUser(1002, 680);
+
+      return { contract, fromBlock, owner, user1, user2 };
+    }
+
+    it("Should index spots, users and reservations from the deployment block", async function () {
+      const { contract, fromBlock, user1, user2 } = await loadFixture(deployPlainFixture);
+      await contract.connect(user1).makeReservation(1, 2, { value: ethers.parseEther("0.02") });
+      await contract.connect(user2).makeReservation(2, 1, { value: ethers.parseEther("0.02") });
+      await contract.connect(user1).completeReservation(1);
+
+      const indexer = await openIndexer(contract, "ParkingReservation", fromBlock);
+      const result = await indexer.sync();
+
+      expect(result.events).to.equal(8);
+      expect(indexer.query.getSpot(1)).to.include({ location: "Zone A Spot 1", isAvailable: true });
+      expect(indexer.query.getSpot(2)).to.include({ isAvailable: false });
+      expect(indexer.query.getUser(user1.address)).to.include({ userId: 1001, creditScore: 750 });
+
+      const reservation = indexer.query.getReservation(1);
+      expect(reservation).to.include({
+        spotId: 1,
+        status: "Completed",
+        amount: ethers.parseEther("0.02").toString(),
+      });
+      expect(reservation.endTime - reservation.startTime).to.equal(7200);
+      expect(indexer.query.getReservation(2).status).to.equal("Active");
+    });
+
+    it("Should filter and paginate queries", async function () {
+      const { contract, fromBlock, user1, user2 } = await loadFixture(deployPlainFixture);
+      await contract.connect(user1).makeReservation(1, 1, { value: ethers.parseEther("0.01") });
+      await contract.connect(user2).makeReservation(2, 1, { value: ethers.parseEther("0.02") });
+      await contract.connect(user1).makeReservation(3, 1, { value: ethers.parseEther("0.03") });
+
+      const indexer = await openIndexer(contract, "ParkingReservation", fromBlock);
+      await indexer.sync();
+
+      const page = indexer.query.listSpots({ location: "zone b", limit: 1, offset: 1 });
+      expect(page).to.include({ total: 2, offset: 1, limit: 1 });
+      expect(page.items.map((spot) => spot.id)).to.deep.equal([3]);
+
+      const userPage = indexer.query.listUserReservations(user1.address.toLowerCase());
+      expect(userPage.items.map((r) => r.id)).to.deep.equal([3, 1]);
+      expect(indexer.query.listReservations({ spotId: 2 }).items[0].user).to.equal(user2.address);
+
+      expect(indexer.query.stats()).to.include({
+        totalSpots: 3,
+        totalUsers: 2,
+        totalReservations: 3,
+      });
+    });
+
+    it("Should resume from the stored cursor", async function () {
+      const { contract, fromBlock, user1 } = await loadFixture(deployPlainFixture);
+
+      const first = await openIndexer(contract, "ParkingReservation", fromBlock);
+      await first.sync();
+      first.close();
+
+      await contract.connect(user1).makeReservation(1, 1, { value: ethers.parseEther("0.01") });
+
+      const second = await openIndexer(contract, "ParkingReservation", fromBlock);
+      expect(second.query.stats().totalSpots).to.equal(3);
+      const result = await second.sync();
+
+      expect(result.fromBlock).to.equal(first.cursor.number + 1);
+      expect(result.events).to.equal(1);
+      expect(second.query.getReservation(1).status).to.equal("Active");
+    });
+
+    it("Should roll back events from blocks that were reorganized away", async function () {
+      const { contract, fromBlock, user1, user2 } = await loadFixture(deployPlainFixture);
+      const indexer = await openIndexer(contract, "ParkingReservation", fromBlock);
+      await indexer.sync();
+
+      const snapshot = await takeSnapshot();
+      await contract.connect(user1).makeReservation(1, 1, { value: ethers.parseEther("0.01") });
+      await indexer.sync();
+      expect(indexer.query.getReservation(1).user).to.equal(user1.address);
+
+      // Replace the indexed block with a different chain of the same height and beyond
+      await snapshot.restore();
+      await contract.connect(user2).makeReservation(2, 1, { value: ethers.parseEther("0.02") });
+      await mine(2);
+
+      const result = await indexer.sync();
+
+      expect(result.reorg).to.not.equal(null);
+      expect(warnings).to.have.lengthOf(1);
+      expect(indexer.query.getReservation(1)).to.include({ user: user2.address, spotId: 2 });
+      expect(indexer.query.getSpot(1).isAvailable).to.equal(true);
+      expect(indexer.query.stats().totalReservations).to.equal(1);
+
+      // The rolled back state is what a restarted indexer sees as well
+      const restarted = await openIndexer(contract, "ParkingReservation", fromBlock);
+      expect(restarted.query.getReservation(1).spotId).to.equal(2);
+    });
+
+    it("Should refuse to reuse an index file of another deployment", async function () {
+      const { contract, fromBlock } = await loadFixture(deployPlainFixture);
+      const indexer = await openIndexer(contract, "ParkingReservation", fromBlock);
+      await indexer.sync();
+
+      const other = await (await ethers.getContractFactory("ParkingReservation")).deploy();
+      await other.waitForDeployment();
+
+      const error = await openIndexer(other, "ParkingReservation", fromBlock).catch((e) => e);
+      expect(error.message).to.match(/indexes ParkingReservation/);
+    });
+
+    it("Should keep the SQLite tables in sync through a restart and a reorg", async function () {
+      const { contract, fromBlock, user1, user2 } = await loadFixture(deployPlainFixture);
+      const file = path.join(dataDir, "index.sqlite");
+      const openSqlite = () =>
+        openIndexer(contract, "ParkingReservation", fromBlock, new SqliteStore(file));
+      const select = (sql) => {
+        const db = new Database(file, { readonly: true });
+        try {
+          return db.prepare(sql).all();
+        } finally {
+          db.close();
+        }
+      };
+
+      const first = await openSqlite();
+      await first.sync();
+      first.close();
+      expect(select("SELECT id, location FROM spots ORDER BY id")).to.deep.equal([
+        { id: 1, location: "Zone A Spot 1" },
+        { id: 2, location: "Zone B Spot 2" },
+        { id: 3, location: "Zone B Spot 3" },
+      ]);
+      expect(select("SELECT user_id FROM users ORDER BY user_id")).to.deep.equal([
+        { user_id: 1001 },
+        { user_id: 1002 },
+      ]);
+
+      const indexer = await openSqlite();
+      expect(indexer.query.stats().totalUsers).to.equal(2);
+
+      const snapshot = await takeSnapshot();
+      await contract.connect(user1).makeReservation(1, 1, { value: ethers.parseEther("0.01") });
+      await indexer.sync();
+      expect(select("SELECT id, spot_id, user, status FROM reservations")).to.deep.equal([
+        { id: 1, spot_id: 1, user: user1.address, status: "Active" },
+      ]);
+
+      await snapshot.restore();
+      await contract.connect(user2).makeReservation(2, 1, { value: ethers.parseEther("0.02") });
+      await mine(2);
+      const result = await indexer.sync();
+      indexer.close();
+
+      expect(result.reorg).to.not.equal(null);
+      expect(select("SELECT id, spot_id, user, status FROM reservations")).to.deep.equal([
+        { id: 1, spot_id: 2, user: user2.address, status: "Active" },
+      ]);
+      expect(select("SELECT COUNT(*) AS count FROM events")[0].count).to.equal(6);
+    });
+  });
+
+  describe("PrivateParkingReservation", function () {
+    // The mock decryption oracle can miss a snapshot revert, so deploy fresh instead of loadFixture
+    let contract;
+    let fromBlock;
+    let user1;
+
+    beforeEach(async function () {
+      [, user1] = await ethers.getSigners();
+      contract = await deployParking();
+      fromBlock = contract.deploymentTransaction().blockNumber;
+
+      await contract.addParkingSpot(100, "Zone A");
+      await contract.addParkingSpot(200, "Zone B");
+      const { handles, inputProof } = await fhevm
+        .createEncryptedInput(await contract.getAddress(), user1.address)
+        .add32(1001)
+        .add16(700)
+        .encrypt();
+      await contract.connect(user1).registerUser(handles[0], handles[1], inputProof);
+    });
+
+    async function requestReservation(spotId, deposit) {
+      const { handles, inputProof } = await fhevm
+        .createEncryptedInput(await contract.getAddress(), user1.address)
+        .add64(deposit)
+        .encrypt();
+      await contract
+        .connect(user1)
+        .requestReservation(spotId, 3600, handles[0], inputProof, { value: deposit });
+    }
+
+    it("Should follow a reservation from request to gateway confirmation", async function () {
+      await requestReservation(0, 1000n);
+      await fhevm.awaitDecryptionOracle();
+
+      const indexer = await openIndexer(contract, "PrivateParkingReservation", fromBlock);
+      await indexer.sync();
+
+      const reservation = indexer.query.getReservation(0);
+      expect(reservation).to.include({ status: "Active", amount: "1000", requestId: 0 });
+      expect(indexer.query.getSpot(0)).to.include({
+        location: "Zone A",
+        price: null,
+        isAvailable: null,
+        reservationEnd: reservation.endTime,
+      });
+      expect(indexer.query.getUser(user1.address)).to.include({ userId: null, creditScore: null });
+    });
+
+    it("Should link refunds to rejected and cancelled reservations", async function () {
+      await contract.setSpotMaintenance(0, true);
+      await requestReservation(0, 1000n);
+      await fhevm.awaitDecryptionOracle();
+      await requestReservation(1, 2000n);
+      await contract.connect(user1).cancelReservation(1);
+
+      const indexer = await openIndexer(contract, "PrivateParkingReservation", fromBlock);
+      await indexer.sync();
+
+      expect(indexer.query.getReservation(0)).to.include({
+        status: "Refunded",
+        refundReason: "Spot not available",
+      });
+      expect(indexer.query.getReservation(0).refunds[0]).to.include({ amount: "1000" });
+      expect(indexer.query.getReservation(1).status).to.equal("Cancelled");
+      expect(indexer.query.getReservation(1).refunds[0]).to.include({
+        amount: "2000",
+        reason: "User cancelled",
+      });
+      expect(indexer.query.stats().totalRefunded).to.equal("3000");
+    });
+  });
+});
@@ -0,0 +1,305 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ACTION, Keeper, resolveKeeperConfig } = require("../scripts/lib/keeper");
+const { deployParking } = require("./helpers/deploy");
+
+const silentLogger = { log() {}, error() {} };
+
+describe("Keeper", function () {
+  describe("ParkingReservation", function () {
+    const PRICE = ethers.parseEther("0.01");
+    const GRACE = 15 * 60;
+
+    // user1 holds spots 1 and 2 for an hour, the second ending a second later; the last account is
+    // the keeper
+    async function deployFixture() {
+      const signers = await ethers.getSigners();
+      const [owner, user1] = signers;
+      const keeperSigner = signers[signers.length - 1];
+
+      const Factory = await ethers.getContractFactory("ParkingReservation");
+      const parking = await Factory.deploy();
+      await parking.waitForDeployment();
+
+      await parking.addParkingSpot("Zone A - Spot 1", PRICE);
+      await parking.addParkingSpot("Zone A - Spot 2", PRICE);
+      await parking.setKeeper(keeperSigner.address, true);
+      await parking.connect(user1).registerUser(1001, 750);
+      await parking.connect(user1).makeReservation(1, 1, { value: PRICE });
+      await parking.connect(user1).makeReservation(2, 1, { value: PRICE });
+      const { endTime } = await parking.reservations(1);
+
+      return { parking, owner, user1, keeperSigner, endTime: Number(endTime) };
+    }
+
+    function createKeeper({ parking, keeperSigner }, options = {}) {
+      return new Keeper({
+        contract: parking.connect(keeperSigner),
+        contractName: "ParkingReservation",
+        signer: keeperSigner,
+        provider: ethers.provider,
+        logger: silentLogger,
+        ...options,
+      });
+    }
+
+    it("Should mark overstays once the grace period is over", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { parking, user1, endTime } = fixture;
+      const actions = [];
+      const keeper = createKeeper(fixture, { onAction: (action) => actions.push(action) });
+
+      await time.increaseTo(endTime + GRACE - 1);
+      expect(await keeper.poll()).to.deep.equal([]);
+
+      await time.increaseTo(endTime + GRACE + 2);
+      const results = await keeper.poll();
+
+      expect(results.map(({ action, id, outcome }) => ({ action, id, outcome }))).to.deep.equal([
+        { action: ACTION.MARK_OVERSTAY, id: 1, outcome: "settled" },
+        { action: ACTION.MARK_OVERSTAY, id: 2, outcome: "settled" },
+      ]);
+      expect(actions).to.have.lengthOf(2);
+      expect((await parking.reservations(1)).isCompleted).to.equal(true);
+      expect(await parking.overstayCounts(user1.address)).to.equal(2);
+
+      // Settled reservations are no longer read
+      expect(await keeper.poll()).to.deep.equal([]);
+      expect(keeper.open.size).to.equal(0);
+    });
+
+    it("Should send the settlements of a poll with consecutive nonces", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { keeperSigner, endTime } = fixture;
+      const keeper = createKeeper(fixture);
+
+      await time.increaseTo(endTime + GRACE + 2);
+      const nonce = await ethers.provider.getTransactionCount(keeperSigner.address);
+      const results = await keeper.poll();
+
+      const transactions = await Promise.all(
+        results.map(({ txHash }) => ethers.provider.getTransaction(txHash))
+      );
+      expect(transactions.map((tx) => tx.nonce)).to.deep.equal([nonce, nonce + 1]);
+    });
+
+    it("Should only check settlements in dry-run mode", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { parking, endTime } = fixture;
+      const logs = [];
+      const keeper = createKeeper(fixture, {
+        dryRun: true,
+        logger: { log: (message) => logs.push(message), error() {} },
+      });
+
+      await time.increaseTo(endTime + GRACE + 2);
+      const results = await keeper.poll();
+      await keeper.poll();
+
+      expect(results.map(({ outcome }) => outcome)).to.deep.equal(["dry-run", "dry-run"]);
+      expect((await parking.reservations(1)).isCompleted).to.equal(false);
+      // Reported once each, not on every poll
+      expect(logs.filter((message) => message.includes("Would send"))).to.have.lengthOf(2);
+    });
+
+    it("Should wait while the base fee is above the cap and skip settlements above the gas limit", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { parking, endTime } = fixture;
+
+      await time.increaseTo(endTime + GRACE + 2);
+      expect(await createKeeper(fixture, { maxFeePerGas: "0.000000001" }).poll()).to.deep.equal([]);
+
+      const results = await createKeeper(fixture, { gasLimit: 21000 }).poll();
+      expect(results.map(({ outcome }) => outcome)).to.deep.equal(["skipped", "skipped"]);
+      expect((await parking.reservations(1)).isCompleted).to.equal(false);
+
+      const capped = await createKeeper(fixture, {
+        maxFeePerGas: "100",
+        maxPriorityFeePerGas: "1",
+      }).poll();
+      const tx = await ethers.provider.getTransaction(capped[0].txHash);
+      expect(tx.maxFeePerGas).to.equal(ethers.parseUnits("100", "gwei"));
+      expect(tx.maxPriorityFeePerGas <= ethers.parseUnits("1", "gwei")).to.equal(true);
+    });
+
+    it("Should read at most maxConcurrentReads reservations at once", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const contract = fixture.parking.connect(fixture.keeperSigner);
+      const reads = { current: 0, peak: 0 };
+      // Counts the reservations() calls in flight
+      const counted = new Proxy(contract, {
+        get(target, property) {
+          if (property !== "reservations") {
+            const value = Reflect.get(target, property);
+            return typeof value === "function" ? value.bind(target) : value;
+          }
+          return async (id) => {
+            reads.peak = Math.max(reads.peak, ++reads.current);
+            try {
+              return await target.reservations(id);
+            } finally {
+              reads.current--;
+            }
+          };
+        },
+      });
+
+      await createKeeper(fixture, { contract: counted }).poll();
+      expect(reads.peak).to.equal(2);
+
+      reads.peak = 0;
+      await createKeeper(fixture, { contract: counted, maxConcurrentReads: 1 }).poll();
+      expect(reads.peak).to.equal(1);
+    });
+
+    it("Should not retry settlements the contract refuses", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { parking, keeperSigner, endTime } = fixture;
+      const errors = [];
+      const keeper = createKeeper(fixture, {
+        logger: { log() {}, error: (message) => errors.push(message) },
+      });
+      await parking.setKeeper(keeperSigner.address, false);
+
+      await time.increaseTo(endTime + GRACE + 2);
+      const results = await keeper.poll();
+      expect(results.map(({ outcome }) => outcome)).to.deep.equal(["failed", "failed"]);
+      expect(errors).to.have.lengthOf(2);
+
+      expect(await keeper.poll()).to.deep.equal([]);
+      expect(errors).to.have.lengthOf(2);
+      expect((await parking.reservations(1)).isCompleted).to.equal(false);
+    });
+
+    it("Should warn when the account is not a keeper", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { parking, keeperSigner } = fixture;
+
+      expect(await createKeeper(fixture).checkPermissions()).to.deep.equal([]);
+      await parking.setKeeper(keeperSigner.address, false);
+      expect(await createKeeper(fixture).checkPermissions()).to.have.lengthOf(1);
+    });
+  });
+
+  describe("PrivateParkingReservation", function () {
+    const STATUS = { Active: 1n, Completed: 2n, Refunded: 4n };
+    const GRACE = 15 * 60;
+
+    // The plugin's decryption oracle would answer the timed-out requests in later tests
+    afterEach(async function () {
+      await fhevm.awaitDecryptionOracle().catch(() => null);
+    });
+
+    async function requestReservation(contract, user, spotId) {
+      const { handles, inputProof } = await fhevm
+        .createEncryptedInput(await contract.getAddress(), user.address)
+        .add64(1000n)
+        .encrypt();
+      await contract
+        .connect(user)
+        .requestReservation(spotId, 3600, handles[0], inputProof, { value: 1000n });
+    }
+
+    it("Should time out stuck gateway requests and mark overstays", async function () {
+      const [owner, user1] = await ethers.getSigners();
+      const contract = await deployParking();
+      await contract.addParkingSpot(100, "Zone A");
+      await contract.addParkingSpot(100, "Zone B");
+
+      const { handles, inputProof } = await fhevm
+        .createEncryptedInput(await contract.getAddress(), user1.address)
+        .add32(1001)
+        .add16(700)
+        .encrypt();
+      await contract.connect(user1).registerUser(handles[0], handles[1], inputProof);
+
+      // Reservation 0 is confirmed by the gateway, reservation 1 on spot 1 never is
+      await requestReservation(contract, user1, 0);
+      await fhevm.awaitDecryptionOracle();
+      await requestReservation(contract, user1, 1);
+      const { decryptionRequestId } = await contract.reservations(1);
+
+      const keeper = new Keeper({
+        contract,
+        contractName: "PrivateParkingReservation",
+        signer: owner,
+        provider: ethers.provider,
+        logger: silentLogger,
+      });
+      expect(await keeper.checkPermissions()).to.have.lengthOf(1);
+      await contract.setKeeper(owner.address, true);
+      expect(await keeper.checkPermissions()).to.deep.equal([]);
+      expect(await keeper.poll()).to.deep.equal([]);
+
+      await time.increase(3600);
+      const [timedOut] = await keeper.poll();
+      expect(timedOut).to.include({
+        action: ACTION.TRIGGER_TIMEOUT,
+        id: Number(decryptionRequestId),
+        outcome: "settled",
+      });
+      expect((await contract.reservations(1)).status).to.equal(STATUS.Refunded);
+
+      await time.increase(GRACE);
+      const results = await keeper.poll();
+      expect(results.map(({ action, id, outcome }) => ({ action, id, outcome }))).to.deep.equal([
+        { action: ACTION.MARK_OVERSTAY, id: 0, outcome: "settled" },
+      ]);
+      expect((await contract.reservations(0)).status).to.equal(STATUS.Completed);
+      expect(await keeper.poll()).to.deep.equal([]);
+      expect(keeper.open.size).to.equal(0);
+    });
+
+    it("Should time out a stuck extension before marking its reservation", async function () {
+      const [owner, user1] = await ethers.getSigners();
+      const contract = await deployParking();
+      await contract.addParkingSpot(100, "Zone A");
+
+      const { handles, inputProof } = await fhevm
+        .createEncryptedInput(await contract.getAddress(), user1.address)
+        .add32(1001)
+        .add16(700)
+        .encrypt();
+      await contract.connect(user1).registerUser(handles[0], handles[1], inputProof);
+      await requestReservation(contract, user1, 0);
+      await fhevm.awaitDecryptionOracle();
+
+      // The gateway never answers the extension, which holds the end time an hour later
+      await contract.connect(user1).extendReservation(0, 3600, { value: 1000n });
+      const { requestId } = await contract.pendingExtensions(0);
+
+      const keeper = new Keeper({
+        contract,
+        contractName: "PrivateParkingReservation",
+        signer: owner,
+        provider: ethers.provider,
+        logger: silentLogger,
+      });
+      await time.increase(3600);
+
+      const [timedOut] = await keeper.poll();
+      expect(timedOut).to.include({
+        action: ACTION.TRIGGER_TIMEOUT,
+        id: Number(requestId),
+        outcome: "settled",
+      });
+      expect((await contract.pendingExtensions(0)).payment).to.equal(0n);
+
+      await time.increase(GRACE);
+      const [marked] = await keeper.poll();
+      expect(marked).to.include({ action: ACTION.MARK_OVERSTAY, id: 0, outcome: "settled" });
+      expect((await contract.reservations(0)).status).to.equal(STATUS.Completed);
+    });
+  });
+
+  it("Should read its settings from the network config, overridden by the environment", function () {
+    const config = resolveKeeperConfig(
+      { pollInterval: 5000, dryRun: false, gasLimit: 300000 },
+      { KEEPER_DRY_RUN: "true", KEEPER_ACCOUNT: "2" }
+    );
+
+    expect(config).to.include({ pollInterval: 5000, dryRun: true, gasLimit: 300000, account: 2 });
+    expect(resolveKeeperConfig(undefined, {})).to.include({ dryRun: false, account: 0 });
+  });
+});
@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MockRelayer, OUTCOME } = require("../scripts/lib/mock-relayer");
+const { deployParking } = require("./helpers/deploy");
+
+const STATUS = { Pending: 0n, Active: 1n, Refunded: 4n };
+const silentLogger = { log() {}, error() {} };
+
+describe("MockRelayer", function () {
+  let contract;
+  let relayerSigner;
+  let user1;
+  let relayer;
+  let results;
+
+  // The plugin's own decryption oracle would answer these requests again in later test files.
+  // Let it move past them now; callbacks for requests the relayer already answered revert.
+  after(async function () {
+    await fhevm.awaitDecryptionOracle().catch(() => null);
+  });
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    [, user1] = signers;
+    relayerSigner = signers[signers.length - 1];
+
+    contract = await deployParking();
+    await contract.addParkingSpot(100, "Zone A");
+    await registerUser(contract, 1001, 700);
+    results = [];
+  });
+
+  async function registerUser(target, userId, creditScore) {
+    const { handles, inputProof } = await fhevm
+      .createEncryptedInput(await target.getAddress(), user1.address)
+      .add32(userId)
+      .add16(creditScore)
+      .encrypt();
+    await target.connect(user1).registerUser(handles[0], handles[1], inputProof);
+  }
+
+  async function requestReservationOn(target) {
+    const { handles, inputProof } = await fhevm
+      .createEncryptedInput(await target.getAddress(), user1.address)
+      .add64(1000n)
+      .encrypt();
+    await target
+      .connect(user1)
+      .requestReservation(0, 3600, handles[0], inputProof, { value: 1000n });
+  }
+
+  afterEach(function () {
+    if (relayer) {
+      relayer.stop();
+      relayer = null;
+    }
+  });
+
+  async function createRelayer(options = {}) {
+    relayer = new MockRelayer({
+      provider: ethers.provider,
+      signer: relayerSigner,
+      fhevm,
+      contractAddress: await contract.getAddress(),
+      onResult: (result) => results.push(result),
+      logger: silentLogger,
+      ...options,
+    });
+    // Only requests mined from now on
+    await relayer.poll();
+    return relayer;
+  }
+
+  async function requestReservation() {
+    await requestReservationOn(contract);
+    const reservation = await contract.reservations(0);
+    return Number(reservation.decryptionRequestId);
+  }
+
+  it("Should confirm a reservation with the decrypted spot status", async function () {
+    await createRelayer();
+    const requestId = await requestReservation();
+
+    const requests = await relayer.poll();
+    await relayer.idle();
+
+    expect(requests.map((r) => Number(r.requestID))).to.deep.equal([requestId]);
+    expect(results).to.have.lengthOf(1);
+    expect(results[0]).to.include({ requestId, outcome: OUTCOME.FULFIL });
+    expect(results[0].error).to.equal(undefined);
+    expect((await contract.reservations(0)).status).to.equal(STATUS.Active);
+    expect((await contract.gatewayRequests(requestId)).processed).to.equal(true);
+  });
+
+  it("Should wait for the configured delay before answering", async function () {
+    await createRelayer({ delay: 300 });
+    await requestReservation();
+
+    await relayer.poll();
+    expect((await contract.reservations(0)).status).to.equal(STATUS.Pending);
+
+    await relayer.idle();
+    expect((await contract.reservations(0)).status).to.equal(STATUS.Active);
+  });
+
+  it("Should leave dropped requests pending so the timeout refund applies", async function () {
+    await createRelayer({ failureRate: 1, failureMode: OUTCOME.DROP });
+    const requestId = await requestReservation();
+
+    await relayer.poll();
+    await relayer.idle();
+
+    expect(results[0]).to.include({ requestId, outcome: OUTCOME.DROP });
+    expect((await contract.reservations(0)).status).to.equal(STATUS.Pending);
+
+    await time.increase(3600);
+    await expect(contract.connect(user1).triggerTimeout(requestId))
+      .to.emit(contract, "RefundIssued")
+      .withArgs(user1.address, 1000n, "Gateway timeout");
+  });
+
+  it("Should refund when failure injection reports the spot as taken", async function () {
+    await createRelayer({ decide: () => OUTCOME.REJECT });
+    const requestId = await requestReservation();
+
+    await relayer.poll();
+    await relayer.idle();
+
+    expect(results[0]).to.include({ requestId, outcome: OUTCOME.REJECT });
+    const reservation = await contract.reservations(0);
+    expect(reservation.status).to.equal(STATUS.Refunded);
+  });
+
+  it("Should only answer requests of the configured contract", async function () {
+    const other = await deployParking();
+    await other.addParkingSpot(100, "Zone B");
+    await registerUser(other, 1001, 700);
+
+    await createRelayer();
+    await requestReservationOn(other);
+
+    expect(await relayer.poll()).to.have.lengthOf(0);
+    expect((await other.reservations(0)).status).to.equal(STATUS.Pending);
+  });
+
+  it("Should reject unknown failure modes", function () {
+    expect(
+      () => new MockRelayer({ provider: ethers.provider, fhevm, failureMode: "explode" })
+    ).to.throw(/Unknown failure mode/);
+  });
+});
@@ -0,0 +1,821 @@
+const { expect } = require("chai");
+const { ethers, artifacts, fhevm } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  ADAPTERS,
+  bookingCalendar,
+  createParkingAdapter,
+  lotDashboard,
+  selectDeployment,
+} = require("../public/adapters");
+const { UnsupportedOperationError } = require("../public/adapters/adapter-utils");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { deployParking } = require("./helpers/deploy");
+
+const CHAIN_ID = 31337;
+
+describe("Contract Adapters", function () {
+  // Same shape as the modules emitted by scripts/generate-abi.js
+  async function describeDeployment(contractName, address, blockNumber) {
+    const artifact = await artifacts.readArtifact(contractName);
+    return {
+      contractName,
+      abi: artifact.abi,
+      deployments: { hardhat: { address, chainId: CHAIN_ID, blockNumber } },
+    };
+  }
+
+  async function deployFixture(contractName) {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const contract = await deployParking(contractName);
+
+    const blockNumber = await ethers.provider.getBlockNumber();
+    const contracts = {
+      [contractName]: await describeDeployment(
+        contractName,
+        await contract.getAddress(),
+        blockNumber
+      ),
+    };
+
+    const adapterFor = (signer) =>
+      createParkingAdapter({ ethers, contracts, chainId: CHAIN_ID, runner: signer, fhe: fhevm });
+
+    return { contract, contracts, owner, user1, user2, adapterFor };
+  }
+
+  const deployPlainFixture = () => deployFixture("ParkingReservation");
+  const deployPrivateFixture = () => deployFixture("PrivateParkingReservation");
+
+  describe("Selection", function () {
+    it("Should return null when nothing is deployed on the chain", async function () {
+      const { contracts, owner } = await loadFixture(deployPlainFixture);
+
+      expect(createParkingAdapter({ ethers, contracts, chainId: 1, runner: owner })).to.equal(null);
+    });
+
+    it("Should prefer the most recent deployment on a chain", async function () {
+      const contracts = {
+        ParkingReservation: {
+          contractName: "ParkingReservation",
+          abi: [],
+          deployments: {
+            hardhat: { address: ethers.ZeroAddress, chainId: CHAIN_ID, blockNumber: 5 },
+          },
+        },
+        PrivateParkingReservation: {
+          contractName: "PrivateParkingReservation",
+          abi: [],
+          deployments: {
+            hardhat: { address: ethers.ZeroAddress, chainId: CHAIN_ID, blockNumber: 9 },
+          },
+        },
+      };
+
+      const selected = selectDeployment(contracts, CHAIN_ID);
+      expect(selected.contract.contractName).to.equal("PrivateParkingReservation");
+    });
+  });
+
+  describe("ParkingReservationAdapter", function () {
+    it("Should drive the full reservation lifecycle", async function () {
+      const { owner, user1, adapterFor } = await loadFixture(deployPlainFixture);
+      const ownerAdapter = adapterFor(owner);
+      const userAdapter = adapterFor(user1);
+
+      const { spotId } = await ownerAdapter.addSpot("Zone A", ownerAdapter.parsePrice("0.01"));
+      expect(spotId).to.equal(1);
+
+      await userAdapter.register(1001, 750);
+
+      // 90 minutes is rounded up to 2 paid hours
+      const { reservationId, requestId } = await userAdapter.reserve(spotId, 5400);
+      expect(reservationId).to.equal(1);
+      expect(requestId).to.equal(null);
+
+      const spot = await userAdapter.getSpot(spotId);
+      expect(spot.isAvailable).to.equal(false);
+
+      const reservations = await userAdapter.listReservations(user1.address);
+      expect(reservations).to.have.lengthOf(1);
+      expect(reservations[0].status).to.equal("Active");
+      expect(reservations[0].amount).to.equal(ethers.parseEther("0.02"));
+
+      await userAdapter.complete(reservationId);
+      expect((await userAdapter.getReservation(reservationId)).status).to.equal("Completed");
+
+      const stats = await userAdapter.stats();
+      expect(stats.totalSpots).to.equal(1);
+      expect(stats.totalReservations).to.equal(1);
+    });
+
+    it("Should book a future window and list it with getBookings", async function () {
+      const { owner, user1, adapterFor } = await loadFixture(deployPlainFixture);
+      const ownerAdapter = adapterFor(owner);
+      const userAdapter = adapterFor(user1);
+
+      const { spotId } = await ownerAdapter.addSpot("Zone A", ownerAdapter.parsePrice("0.01"));
+      await userAdapter.register(1001, 750);
+
+      const startTime = (await time.latest()) + 86400;
+      const { reservationId } = await userAdapter.reserve(spotId, 3600, null, startTime);
+
+      const bookings = await userAdapter.getBookings(spotId);
+      expect(bookings).to.deep.equal([{ reservationId, startTime, endTime: startTime + 3600 }]);
+      expect(
+        bookingCalendar.findConflict(bookings, startTime + 1800, startTime + 5400)
+      ).to.deep.equal(bookings[0]);
+      expect(bookingCalendar.findConflict(bookings, startTime + 3600, startTime + 7200)).to.equal(
+        null
+      );
+
+      // Booking ahead leaves the spot free until the window starts
+      expect((await userAdapter.getSpot(spotId)).isAvailable).to.equal(true);
+    });
+
+    it("Should extend and check out early with the estimated refund", async function () {
+      const { owner, user1, adapterFor } = await loadFixture(deployPlainFixture);
+      const ownerAdapter = adapterFor(owner);
+      const userAdapter = adapterFor(user1);
+
+      const { spotId } = await ownerAdapter.addSpot("Zone A", ownerAdapter.parsePrice("0.01"));
+      await userAdapter.register(1001, 750);
+      const { reservationId } = await userAdapter.reserve(spotId, 3600);
+
+      // 30 minutes are rounded up to a paid hour
+      const before = await userAdapter.getReservation(reservationId);
+      const { endTime } = await userAdapter.extend(reservationId, 1800);
+      expect(endTime).to.equal(before.endTime + 3600);
+
+      const reservation = await userAdapter.getReservation(reservationId);
+      expect(reservation.amount).to.equal(ethers.parseEther("0.02"));
+
+      const checkOutTime = reservation.startTime + 1800;
+      await time.setNextBlockTimestamp(checkOutTime);
+      const { refund } = await userAdapter.checkOut(reservationId);
+      expect(refund).to.equal(userAdapter.estimateCheckOutRefund(reservation, checkOutTime));
+      expect((await userAdapter.getReservation(reservationId)).status).to.equal("Completed");
+    });
+
+    it("Should cancel a future window and withdraw the refund", async function () {
+      const { owner, user1, adapterFor } = await loadFixture(deployPlainFixture);
+      const ownerAdapter = adapterFor(owner);
+      const userAdapter = adapterFor(user1);
+
+      const { spotId } = await ownerAdapter.addSpot("Zone A", ownerAdapter.parsePrice("0.01"));
+      await userAdapter.register(1001, 750);
+
+      const startTime = (await time.latest()) + 86400;
+      const { reservationId } = await userAdapter.reserve(spotId, 3600, null, startTime);
+      const reservation = await userAdapter.getReservation(reservationId);
+      expect(userAdapter.canCancel(reservation, startTime - 1)).to.equal(true);
+      expect(userAdapter.canCancel(reservation, startTime)).to.equal(false);
+
+      await userAdapter.cancel(reservationId);
+      expect((await userAdapter.getReservation(reservationId)).status).to.equal("Cancelled");
+      expect(await userAdapter.withdrawableBalance(user1.address)).to.equal(
+        ethers.parseEther("0.01")
+      );
+
+      await userAdapter.withdraw();
+      expect(await userAdapter.withdrawableBalance(user1.address)).to.equal(0n);
+    });
+
+    it("Should quote and charge prices set by pricing rules", async function () {
+      const { owner, user1, adapterFor } = await loadFixture(deployPlainFixture);
+      const ownerAdapter = adapterFor(owner);
+      const userAdapter = adapterFor(user1);
+
+      const { spotId } = await ownerAdapter.addSpot("Zone A", ownerAdapter.parsePrice("0.01"));
+      await userAdapter.register(1001, 750);
+
+      // Peak hours at 150% cover all but one hour of the day; unset percentages stay at 100%
+      await ownerAdapter.setLotPricingRule(0, {
+        peakStartHour: 0,
+        peakEndHour: 23,
+        peakPercent: 150,
+      });
+      await ownerAdapter.setSpotPricingRule(spotId, {
+        peakStartHour: 1,
+        peakEndHour: 0,
+        peakPercent: 150,
+      });
+      expect(await userAdapter.getLotPricingRule(0)).to.include({
+        enabled: true,
+        peakPercent: 150,
+      });
+      expect(await userAdapter.getSpotPricingRule(spotId)).to.deep.equal({
+        enabled: true,
+        peakStartHour: 1,
+        peakEndHour: 0,
+        peakPercent: 150,
+        weekendPercent: 100,
+        surgeOccupancy: 0,
+        surgePercent: 100,
+        maxPrice: 0n,
+      });
+
+      const startTime = (await time.latest()) + 86400;
+      const quote = await userAdapter.quote(spotId, 5400, startTime);
+      expect(quote).to.be.greaterThan(ethers.parseEther("0.02"));
+      const { reservationId } = await userAdapter.reserve(spotId, 5400, null, startTime);
+      expect((await userAdapter.getReservation(reservationId)).amount).to.equal(quote);
+      expect(await userAdapter.withdrawableBalance(user1.address)).to.equal(0n);
+
+      // Clearing the spot rule falls back to the lot rule
+      await ownerAdapter.setSpotPricingRule(spotId, { enabled: false });
+      expect((await userAdapter.getSpotPricingRule(spotId)).enabled).to.equal(false);
+    });
+
+    it("Should queue for a taken spot and claim it when offered", async function () {
+      const { owner, user1, user2, adapterFor } = await loadFixture(deployPlainFixture);
+      const ownerAdapter = adapterFor(owner);
+      const holder = adapterFor(user1);
+      const waiter = adapterFor(user2);
+
+      const { spotId } = await ownerAdapter.addSpot("Zone A", ownerAdapter.parsePrice("0.01"));
+      await holder.register(1001, 750);
+      await waiter.register(1002, 700);
+      const { reservationId } = await holder.reserve(spotId, 3600);
+
+      const { deposit } = await waiter.joinWaitlist(spotId, 7200);
+      expect(deposit).to.equal(ethers.parseEther("0.02"));
+      expect(await waiter.getWaitlist(spotId)).to.deep.equal({
+        waiting: [user2.address],
+        offer: null,
+      });
+
+      const offered = [];
+      const stop = waiter.onWaitlistOffer(user2.address, (offer) => offered.push(offer));
+      await holder.complete(reservationId);
+
+      const offers = await waiter.listWaitlistOffers(user2.address);
+      expect(offers).to.have.length(1);
+      expect(offers[0].spotId).to.equal(spotId);
+      expect((await waiter.getWaitlist(spotId)).offer).to.deep.equal({
+        user: user2.address,
+        expiresAt: offers[0].expiresAt,
+      });
+      // Event listeners are polled, so the callback may not have fired yet
+      stop();
+      offered.forEach((offer) => expect(offer.spotId).to.equal(spotId));
+
+      const claimed = await waiter.claimWaitlistOffer(spotId);
+      const reservation = await waiter.getReservation(claimed.reservationId);
+      expect(reservation.user).to.equal(user2.address);
+      expect(reservation.amount).to.equal(deposit);
+      expect(await waiter.listWaitlistOffers(user2.address)).to.deep.equal([]);
+    });
+
+    it("Should list overstays to the operator and charge the penalty", async function () {
+      const { owner, user1, adapterFor } = await loadFixture(deployPlainFixture);
+      const ownerAdapter = adapterFor(owner);
+      const userAdapter = adapterFor(user1);
+
+      const { lotId } = await ownerAdapter.registerLot("Central Garage", 10);
+      const { spotId } = await ownerAdapter.addLotSpot(
+        lotId,
+        "Level 1",
+        ownerAdapter.parsePrice("0.01")
+      );
+      await userAdapter.register(1001, 750);
+      const { reservationId } = await userAdapter.reserve(spotId, 3600);
+      expect(await ownerAdapter.listOverstays()).to.deep.equal([]);
+
+      const { endTime } = await userAdapter.getReservation(reservationId);
+      await time.increaseTo(endTime + 90 * 60);
+
+      const { lots } = await lotDashboard.loadLotDashboard(ownerAdapter, owner.address);
+      expect(lots[0].overstays.map((reservation) => reservation.id)).to.deep.equal([reservationId]);
+
+      const { overstayHours, penalty } = await ownerAdapter.markOverstay(reservationId);
+      expect(overstayHours).to.equal(2);
+      expect(penalty).to.equal(ethers.parseEther("0.03"));
+      expect((await userAdapter.getReservation(reservationId)).status).to.equal("Completed");
+      expect(await ownerAdapter.listOverstays()).to.deep.equal([]);
+
+      expect(await userAdapter.getPenaltyStatus(user1.address)).to.deep.equal({
+        outstanding: penalty,
+        overstays: 1,
+        maxOverstays: 3,
+        eligible: false,
+      });
+
+      await userAdapter.payPenalty();
+      expect(await userAdapter.getPenaltyStatus(user1.address)).to.include({
+        outstanding: 0n,
+        eligible: true,
+      });
+    });
+
+    it("Should pay in the payment token with a permit, and approve extensions", async function () {
+      const { contract, owner, user1, adapterFor } = await loadFixture(deployPlainFixture);
+      const Token = await ethers.getContractFactory("MockERC20Permit");
+      const token = await Token.deploy("Mock USD", "mUSD", 6);
+      await token.mint(user1.address, 100_000_000n);
+      await contract.setPaymentToken(await token.getAddress());
+
+      const ownerAdapter = adapterFor(owner);
+      const userAdapter = adapterFor(user1);
+      expect(await userAdapter.loadPaymentToken()).to.deep.equal({
+        address: await token.getAddress(),
+        symbol: "mUSD",
+        decimals: 6,
+        supportsPermit: true,
+      });
+      expect(userAdapter.priceUnit).to.equal("mUSD/hour");
+      expect(userAdapter.formatAmount(2_500_000n)).to.equal("2.5 mUSD");
+      expect(userAdapter.capabilities.tokenPayments).to.equal(true);
+
+      await ownerAdapter.loadPaymentToken();
+      const { spotId } = await ownerAdapter.addSpot("Zone A", ownerAdapter.parsePrice("5"));
+      expect((await userAdapter.getSpot(spotId)).price).to.equal(5_000_000n);
+      await userAdapter.register(1001, 750);
+
+      // The permit is signed for the exact price, so no allowance is left behind
+      const { reservationId } = await userAdapter.reserve(spotId, 3600);
+      expect(await userAdapter.tokenBalances(user1.address)).to.deep.equal({
+        balance: 95_000_000n,
+        allowance: 0n,
+      });
+
+      await userAdapter.extend(reservationId, 3600);
+      expect((await userAdapter.tokenBalances(user1.address)).balance).to.equal(90_000_000n);
+      expect((await userAdapter.getReservation(reservationId)).amount).to.equal(10_000_000n);
+    });
+
+    it("Should verify identity against the public user ID", async function () {
+      const { user1, adapterFor } = await loadFixture(deployPlainFixture);
+      const adapter = adapterFor(user1);
+
+      await adapter.register(1001, 750);
+
+      expect(await adapter.verifyIdentity(user1.address, 1001)).to.equal(true);
+      expect(await adapter.verifyIdentity(user1.address, 1002)).to.equal(false);
+    });
+
+    it("Should reject credit tiers as unsupported", async function () {
+      const { user1, adapterFor } = await loadFixture(deployPlainFixture);
+
+      try {
+        await adapterFor(user1).getCreditTier();
+        expect.fail("getCreditTier should throw");
+      } catch (error) {
+        expect(error).to.be.instanceOf(UnsupportedOperationError);
+      }
+    });
+
+    it("Should run a lot and credit its revenue net of the fee share", async function () {
+      const { owner, user1, adapterFor } = await loadFixture(deployPlainFixture);
+      const ownerAdapter = adapterFor(owner);
+      const userAdapter = adapterFor(user1);
+
+      const { lotId } = await ownerAdapter.registerLot("Central Garage", 10);
+      const { spotId } = await ownerAdapter.addLotSpot(
+        lotId,
+        "Level 1",
+        ownerAdapter.parsePrice("0.01")
+      );
+      await ownerAdapter.addSpot("Street", ownerAdapter.parsePrice("0.01"));
+
+      await userAdapter.register(1001, 750);
+      const { reservationId } = await userAdapter.reserve(spotId, 3600);
+      await userAdapter.complete(reservationId);
+
+      const { lots, revenue } = await lotDashboard.loadLotDashboard(ownerAdapter, owner.address);
+      expect(lots).to.have.lengthOf(1);
+      expect(lots[0]).to.include({ id: lotId, name: "Central Garage", feeShare: 10 });
+      expect(lots[0].spots.map((spot) => spot.id)).to.deep.equal([spotId]);
+      expect(revenue).to.equal(ethers.parseEther("0.009"));
+      expect((await ownerAdapter.stats()).platformFees).to.equal(ethers.parseEther("0.001"));
+
+      await ownerAdapter.updateSpotPrice(spotId, ownerAdapter.parsePrice("0.02"));
+      expect((await ownerAdapter.getSpot(spotId)).price).to.equal(ethers.parseEther("0.02"));
+
+      await ownerAdapter.withdrawLotRevenue(lotId, owner.address);
+      expect((await ownerAdapter.getLot(lotId)).revenue).to.equal(0n);
+    });
+
+    it("Should read availability from the public spot status", async function () {
+      const { owner, user1, adapterFor } = await loadFixture(deployPlainFixture);
+
+      await adapterFor(owner).addSpot("Zone A", ethers.parseEther("0.01"));
+      expect(await adapterFor(user1).checkAvailability(1)).to.equal(true);
+    });
+
+    it("Should page through spots, reservations and users", async function () {
+      const { owner, user1, user2, adapterFor } = await loadFixture(deployPlainFixture);
+      const price = ethers.parseEther("0.01");
+      const userAdapter = adapterFor(user1);
+
+      await adapterFor(owner).addSpots(
+        0,
+        ["Zone A", "Zone B", "Zone C"].map((location) => ({ location, price }))
+      );
+      await userAdapter.register(1001, 750);
+      await adapterFor(user2).register(1002, 680);
+      await userAdapter.reserve(1, 3600);
+      await userAdapter.reserve(3, 3600);
+      await userAdapter.complete(1);
+
+      const spots = await userAdapter.getSpotsPage(1, 5);
+      expect(spots.total).to.equal(3);
+      expect(spots.items).to.deep.equal(await userAdapter.getSpots([2, 3]));
+
+      expect(await userAdapter.getUserReservationsPage(user1.address, 0, 5)).to.deep.equal({
+        items: await userAdapter.listReservations(user1.address),
+        total: 2,
+      });
+      const active = await userAdapter.getActiveReservations(0, 5);
+      expect(active.items.map((reservation) => reservation.id)).to.deep.equal([2]);
+
+      expect(await userAdapter.getRegisteredUsersPage(1, 5)).to.deep.equal({
+        items: [{ address: user2.address, isRegistered: true, userId: 1002, creditScore: 680 }],
+        total: 2,
+      });
+    });
+  });
+
+  describe("PrivateParkingReservationAdapter", function () {
+    // The mock decryption oracle can miss snapshot reverts, so deploy fresh instead of loadFixture
+    let fixture;
+
+    beforeEach(async function () {
+      fixture = await deployPrivateFixture();
+    });
+
+    it("Should create pending reservations confirmed by the gateway", async function () {
+      const { owner, user1, adapterFor } = fixture;
+      const ownerAdapter = adapterFor(owner);
+      const userAdapter = adapterFor(user1);
+
+      const { spotId } = await ownerAdapter.addSpot("Zone B", ownerAdapter.parsePrice("100"));
+      expect(spotId).to.equal(0);
+
+      await userAdapter.register(2001, 700);
+
+      const { reservationId, requestId } = await userAdapter.reserve(spotId, 3600, 1000n);
+      expect(requestId).to.not.equal(null);
+      expect((await userAdapter.getReservation(reservationId)).status).to.equal("Pending");
+
+      await fhevm.awaitDecryptionOracle();
+
+      const [reservation] = await userAdapter.listReservations(user1.address);
+      expect(reservation.status).to.equal("Active");
+      expect(reservation.requestId).to.equal(requestId);
+    });
+
+    it("Should register with encrypted credentials", async function () {
+      const { contract, user1, adapterFor } = fixture;
+      const adapter = adapterFor(user1);
+
+      const { tx } = await adapter.register(2001, 700);
+      expect(tx.data).to.not.contain(ethers.zeroPadValue(ethers.toBeHex(2001), 32).slice(2));
+      expect((await adapter.getUser(user1.address)).isRegistered).to.equal(true);
+
+      const { encryptedUserId } = await contract.userProfiles(user1.address);
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint32,
+          encryptedUserId,
+          await contract.getAddress(),
+          user1
+        )
+      ).to.equal(2001n);
+    });
+
+    it("Should validate credentials the contract cannot check", async function () {
+      const { user1, contracts } = fixture;
+      const withoutFhe = createParkingAdapter({
+        ethers,
+        contracts,
+        chainId: CHAIN_ID,
+        runner: user1,
+      });
+
+      for (const [userId, creditScore, message] of [
+        [0, 700, "Invalid user ID"],
+        [2001, 900, "Invalid credit score"],
+        [2001, 700, "FHE instance"],
+      ]) {
+        try {
+          await withoutFhe.register(userId, creditScore);
+          expect.fail("register should throw");
+        } catch (error) {
+          expect(error.message).to.contain(message);
+        }
+      }
+    });
+
+    it("Should decrypt availability and identity results for the caller", async function () {
+      const { owner, user1, adapterFor } = fixture;
+      const userAdapter = adapterFor(user1);
+
+      await adapterFor(owner).addSpot("Zone B", 100n);
+      await userAdapter.register(2001, 700);
+
+      expect(await userAdapter.checkAvailability(0)).to.equal(true);
+      expect(await userAdapter.verifyIdentity(user1.address, 2001)).to.equal(true);
+      expect(await userAdapter.verifyIdentity(user1.address, 2002)).to.equal(false);
+
+      await userAdapter.reserve(0, 3600, 1000n);
+      await fhevm.awaitDecryptionOracle();
+      expect(await userAdapter.checkAvailability(0)).to.equal(false);
+    });
+
+    it("Should configure credit tiers and decrypt the caller's tier", async function () {
+      const { owner, user1, adapterFor } = fixture;
+      const userAdapter = adapterFor(user1);
+      const tiers = {
+        minScore: 500,
+        depositScore: 600,
+        depositPercent: 25,
+        discountScore: 750,
+        discountPercent: 10,
+      };
+
+      await adapterFor(owner).setCreditTiers(tiers);
+      expect(await userAdapter.getCreditTiers()).to.deep.equal(tiers);
+
+      await userAdapter.register(2001, 800);
+      expect(await userAdapter.getCreditTier()).to.equal("Discount");
+    });
+
+    it("Should require an explicit payment", async function () {
+      const { user1, adapterFor } = fixture;
+
+      try {
+        await adapterFor(user1).reserve(0, 3600, null);
+        expect.fail("reserve should throw");
+      } catch (error) {
+        expect(error.message).to.contain("Payment required");
+      }
+    });
+
+    it("Should encrypt the offer and refund one below the price", async function () {
+      const { contract, owner, user1, adapterFor } = fixture;
+      const userAdapter = adapterFor(user1);
+
+      await adapterFor(owner).addSpot("Zone B", 100n);
+      await userAdapter.register(2001, 700);
+
+      try {
+        await userAdapter.reserve(0, 3600, 1000n, null, 1001n);
+        expect.fail("reserve should throw");
+      } catch (error) {
+        expect(error.message).to.contain("Offer exceeds the deposit");
+      }
+
+      const { reservationId } = await userAdapter.reserve(0, 3600, 1000n, null, 99n);
+      const { encryptedPaidAmount } = await contract.reservations(reservationId);
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint64,
+          encryptedPaidAmount,
+          await contract.getAddress(),
+          user1
+        )
+      ).to.equal(99n);
+
+      await fhevm.awaitDecryptionOracle();
+      expect((await userAdapter.getReservation(reservationId)).status).to.equal("Refunded");
+    });
+
+    it("Should cancel a pending reservation", async function () {
+      const { owner, user1, adapterFor } = fixture;
+      const userAdapter = adapterFor(user1);
+
+      await adapterFor(owner).addSpot("Zone B", 100n);
+      await userAdapter.register(2001, 700);
+      const { reservationId } = await userAdapter.reserve(0, 3600, 1000n);
+
+      expect(userAdapter.canCancel(await userAdapter.getReservation(reservationId), 0)).to.equal(
+        true
+      );
+      await userAdapter.cancel(reservationId);
+      expect((await userAdapter.getReservation(reservationId)).status).to.equal("Cancelled");
+      // The refund is sent right away; only failed transfers land in the deposit balance
+      expect(await userAdapter.withdrawableBalance(user1.address)).to.equal(0n);
+    });
+
+    it("Should apply public pricing rules to encrypted prices and decrypt quotes for the caller", async function () {
+      const { owner, user1, adapterFor } = fixture;
+      const ownerAdapter = adapterFor(owner);
+      const userAdapter = adapterFor(user1);
+      const rule = { peakStartHour: 8, peakEndHour: 10, peakPercent: 300 };
+      // 08:00 UTC tomorrow, a peak hour
+      const startTime = (Math.floor((await time.latest()) / 86400) + 1) * 86400 + 8 * 3600;
+
+      await ownerAdapter.addSpot("Zone B", 100n);
+      await userAdapter.register(2001, 700);
+      expect(userAdapter.capabilities.dynamicPricing).to.equal(true);
+
+      await ownerAdapter.setLotPricingRule(0, rule);
+      expect(await userAdapter.getLotPricingRule(0)).to.include({
+        enabled: true,
+        peakPercent: 300,
+        weekendPercent: 100,
+      });
+      expect(await userAdapter.quote(0, 3600, startTime)).to.equal(300n);
+
+      // The spot rule takes precedence; maxPrice is in price units
+      await ownerAdapter.setSpotPricingRule(0, { ...rule, maxPrice: 250n });
+      expect((await userAdapter.getSpotPricingRule(0)).maxPrice).to.equal(250n);
+      const quote = await userAdapter.quote(0, 3600, startTime);
+      expect(quote).to.equal(250n);
+
+      const { reservationId } = await userAdapter.reserve(0, 3600, 1000n, startTime, quote);
+      await fhevm.awaitDecryptionOracle();
+      expect((await userAdapter.getReservation(reservationId)).status).to.equal("Active");
+    });
+
+    it("Should queue with a deposit and claim the offered spot through the gateway", async function () {
+      const { owner, user1, user2, adapterFor } = fixture;
+      const holder = adapterFor(user1);
+      const waiter = adapterFor(user2);
+
+      await adapterFor(owner).addSpot("Zone B", 100n);
+      await holder.register(2001, 700);
+      await waiter.register(2002, 700);
+      const { reservationId } = await holder.reserve(0, 3600, 1000n);
+      await fhevm.awaitDecryptionOracle();
+
+      expect(waiter.capabilities.waitlist).to.equal(true);
+      try {
+        await waiter.joinWaitlist(0, 3600);
+        expect.fail("joinWaitlist should throw");
+      } catch (error) {
+        expect(error.message).to.contain("Payment required");
+      }
+      const { deposit } = await waiter.joinWaitlist(0, 3600, 1000n);
+      expect(deposit).to.equal(1000n);
+      expect(await waiter.getWaitlist(0)).to.deep.equal({ waiting: [user2.address], offer: null });
+
+      await time.increase(3600);
+      await holder.complete(reservationId);
+      const [offer] = await waiter.listWaitlistOffers(user2.address);
+      expect(offer.spotId).to.equal(0);
+      expect((await waiter.getWaitlist(0)).offer).to.deep.equal({
+        user: user2.address,
+        expiresAt: offer.expiresAt,
+      });
+
+      const claimed = await waiter.claimWaitlistOffer(0);
+      expect(claimed.requestId).to.not.equal(null);
+      await fhevm.awaitDecryptionOracle();
+      const reservation = await waiter.getReservation(claimed.reservationId);
+      expect(reservation.user).to.equal(user2.address);
+      expect(reservation.status).to.equal("Active");
+      expect(await waiter.listWaitlistOffers(user2.address)).to.deep.equal([]);
+    });
+
+    it("Should list overstays to the operator and charge the penalty on the deposit rate", async function () {
+      const { owner, user1, adapterFor } = fixture;
+      const ownerAdapter = adapterFor(owner);
+      const userAdapter = adapterFor(user1);
+
+      await ownerAdapter.addSpot("Zone B", 100n);
+      await userAdapter.register(2001, 700);
+      const { reservationId } = await userAdapter.reserve(0, 3600, 1000n);
+      await fhevm.awaitDecryptionOracle();
+      expect(await ownerAdapter.listOverstays()).to.deep.equal([]);
+
+      const { endTime } = await userAdapter.getReservation(reservationId);
+      await time.increaseTo(endTime + 90 * 60);
+
+      const { lots } = await lotDashboard.loadLotDashboard(ownerAdapter, owner.address);
+      expect(lots[0].overstays.map((reservation) => reservation.id)).to.deep.equal([reservationId]);
+
+      const { overstayHours, penalty } = await ownerAdapter.markOverstay(reservationId);
+      expect(overstayHours).to.equal(2);
+      expect(penalty).to.equal(3000n);
+      expect((await userAdapter.getReservation(reservationId)).status).to.equal("Completed");
+      expect(await ownerAdapter.listOverstays()).to.deep.equal([]);
+
+      expect(await userAdapter.getPenaltyStatus(user1.address)).to.deep.equal({
+        outstanding: penalty,
+        overstays: 1,
+        maxOverstays: 3,
+        eligible: false,
+      });
+
+      await userAdapter.payPenalty();
+      expect(await userAdapter.getPenaltyStatus(user1.address)).to.include({
+        outstanding: 0n,
+        eligible: true,
+      });
+    });
+
+    it("Should take payments in ETH only", async function () {
+      const { contract, user1, adapterFor } = fixture;
+      const adapter = adapterFor(user1);
+
+      // The contract has no payment token or permit entry points to fall back on
+      for (const name of ["paymentToken", "setPaymentToken", "makeReservationWithPermit"]) {
+        expect(contract.interface.getFunction(name)).to.equal(null);
+      }
+      expect(adapter.capabilities.tokenPayments).to.equal(false);
+      expect(await adapter.loadPaymentToken()).to.equal(null);
+      expect(await adapter.tokenBalances(user1.address)).to.equal(null);
+      expect(adapter.formatAmount(ethers.parseEther("0.5"))).to.equal("0.5 ETH");
+      try {
+        await adapter.approveToken(1n);
+        expect.fail("approveToken should throw");
+      } catch (error) {
+        expect(error).to.be.instanceOf(UnsupportedOperationError);
+      }
+    });
+
+    it("Should extend at the deposit rate per started hour and check out early", async function () {
+      const { owner, user1, adapterFor } = fixture;
+      const userAdapter = adapterFor(user1);
+
+      await adapterFor(owner).addSpot("Zone B", 100n);
+      await userAdapter.register(2001, 700);
+      const { reservationId } = await userAdapter.reserve(0, 3600, 1000n);
+      await fhevm.awaitDecryptionOracle();
+
+      const { requestId } = await userAdapter.extend(reservationId, 1800);
+      expect(requestId).to.not.equal(null);
+      await fhevm.awaitDecryptionOracle();
+      const reservation = await userAdapter.getReservation(reservationId);
+      expect(reservation.endTime - reservation.startTime).to.equal(5400);
+      expect(reservation.amount).to.equal(2000n);
+
+      const checkOutTime = reservation.startTime + 2700;
+      await time.setNextBlockTimestamp(checkOutTime);
+      const { refund } = await userAdapter.checkOut(reservationId);
+      expect(refund).to.equal(userAdapter.estimateCheckOutRefund(reservation, checkOutTime));
+      expect((await userAdapter.getReservation(reservationId)).status).to.equal("Completed");
+    });
+
+    it("Should list the platform lot to the owner next to registered lots", async function () {
+      const { owner, user1, adapterFor } = fixture;
+      const adapter = adapterFor(owner);
+
+      await adapter.addSpot("Zone A", 50n);
+      const { lotId } = await adapter.registerLot("Harbour Lot", 20);
+      const { spotId } = await adapter.addLotSpot(lotId, "Pier 3", 80n);
+      expect((await adapter.getSpot(spotId)).lotId).to.equal(lotId);
+
+      const { lots } = await lotDashboard.loadLotDashboard(adapter, owner.address);
+      expect(lots.map((lot) => [lot.id, lot.feeShare])).to.deep.equal([
+        [0, 5],
+        [lotId, 20],
+      ]);
+      expect(lots[0].operator).to.equal(owner.address);
+      expect(lots.map((lot) => lot.counts.total)).to.deep.equal([1, 1]);
+
+      expect(await adapter.listLots(user1.address)).to.deep.equal([]);
+    });
+
+    it("Should hide prices and report statistics", async function () {
+      const { owner, adapterFor } = fixture;
+      const adapter = adapterFor(owner);
+
+      await adapter.addSpot("Zone C", 50n);
+
+      const spot = await adapter.getSpot(0);
+      expect(spot.price).to.equal(null);
+      expect(adapter.formatPrice(spot.price)).to.equal("Encrypted");
+
+      const stats = await adapter.stats();
+      expect(stats.totalSpots).to.equal(1);
+      expect(stats.paused).to.equal(false);
+    });
+
+    it("Should page through spots, reservations and users with the views contract", async function () {
+      const { contract, owner, user1, adapterFor } = fixture;
+      const userAdapter = adapterFor(user1);
+
+      await adapterFor(owner).addSpot("Zone A", 50n);
+      await adapterFor(owner).addSpot("Zone B", 50n);
+      await userAdapter.register(2001, 700);
+      const { reservationId } = await userAdapter.reserve(1, 3600, 1000n);
+      await fhevm.awaitDecryptionOracle();
+
+      expect(await userAdapter.getSpotsPage(0, 5)).to.deep.equal({
+        items: await userAdapter.getSpots([0, 1]),
+        total: 2,
+      });
+      expect(await userAdapter.getUserReservationsPage(user1.address, 0, 5)).to.deep.equal({
+        items: await userAdapter.listReservations(user1.address),
+        total: 1,
+      });
+      const active = await userAdapter.getActiveReservations(0, 5);
+      expect(active.items.map((reservation) => reservation.id)).to.deep.equal([reservationId]);
+
+      const users = await userAdapter.getRegisteredUsersPage(0, 5);
+      expect(users.total).to.equal(1);
+      expect(users.items[0]).to.include({
+        address: user1.address,
+        isRegistered: true,
+        totalReservations: 1,
+      });
+
+      const withoutEthers = new ADAPTERS.PrivateParkingReservation(contract);
+      await expect(withoutEthers.getSpotsPage(0, 5)).to.be.rejectedWith("ethers library");
+    });
+  });
+});
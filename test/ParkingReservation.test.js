@@ -1,5 +1,5 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, deployments } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("ParkingReservation", function () {
@@ -226,21 +226,21 @@ describe("ParkingReservation", function () {
       expect(await parking.isSpotAvailable(1)).to.equal(false);
     });
 
-    it("Should refund excess payment", async function () {
+    it("Should credit excess payment for withdrawal", async function () {
       const { parking, user1 } = await loadFixture(setupWithSpotAndUser);
 
-      const initialBalance = await ethers.provider.getBalance(user1.address);
       const payment = ethers.parseEther("0.05"); // Overpay
       const expectedCost = ethers.parseEther("0.02"); // 2 hours at 0.01 per hour
 
-      const tx = await parking.connect(user1).makeReservation(1, 2, { value: payment });
-      const receipt = await tx.wait();
-      const gasUsed = receipt.gasUsed * receipt.gasPrice;
-
-      const finalBalance = await ethers.provider.getBalance(user1.address);
-      const actualCost = initialBalance - finalBalance;
+      await expect(parking.connect(user1).makeReservation(1, 2, { value: payment }))
+        .to.emit(parking, "PaymentCredited")
+        .withArgs(user1.address, payment - expectedCost);
+      expect(await parking.pendingWithdrawals(user1.address)).to.equal(payment - expectedCost);
 
-      expect(actualCost).to.equal(expectedCost + gasUsed);
+      await expect(parking.connect(user1).withdraw()).to.changeEtherBalance(
+        user1,
+        payment - expectedCost
+      );
     });
 
     it("Should store correct reservation details", async function () {
@@ -325,15 +325,17 @@ describe("ParkingReservation", function () {
       expect(await parking.isSpotAvailable(1)).to.equal(true);
     });
 
-    it("Should transfer payment to spot owner", async function () {
+    it("Should credit payment to spot owner", async function () {
       const { parking, owner, user1 } = await loadFixture(setupWithReservation);
 
-      const initialBalance = await ethers.provider.getBalance(owner.address);
-
-      await parking.connect(user1).completeReservation(1);
+      await expect(parking.connect(user1).completeReservation(1))
+        .to.emit(parking, "PaymentCredited")
+        .withArgs(owner.address, ethers.parseEther("0.02"));
 
-      const finalBalance = await ethers.provider.getBalance(owner.address);
-      expect(finalBalance - initialBalance).to.equal(ethers.parseEther("0.02"));
+      await expect(parking.connect(owner).withdraw()).to.changeEtherBalance(
+        owner,
+        ethers.parseEther("0.02")
+      );
     });
 
     it("Should mark reservation as completed", async function () {
@@ -379,6 +381,88 @@ describe("ParkingReservation", function () {
     });
   });
 
+  describe("Paginated Views", function () {
+    const PRICE = ethers.parseEther("0.01");
+
+    // Spots 1-3, user1 holding reservations 1 and 3, user2 holding reservation 2
+    async function setupWithReservations() {
+      const fixture = await deployParkingFixture();
+      const { parking, user1, user2 } = fixture;
+
+      await parking.addParkingSpots(0, ["Spot A", "Spot B", "Spot C"], [PRICE, PRICE, PRICE]);
+      await parking.connect(user1).registerUser(1001, 750);
+      await parking.connect(user2).registerUser(1002, 650);
+      await parking.connect(user1).makeReservation(1, 1, { value: PRICE });
+      await parking.connect(user2).makeReservation(2, 1, { value: PRICE });
+      await parking.connect(user1).makeReservation(3, 1, { value: PRICE });
+
+      return fixture;
+    }
+
+    it("Should page through the spots with their ID and lot", async function () {
+      const { parking } = await loadFixture(setupWithReservations);
+
+      const [page, total] = await parking.getSpotsPage(1, 5);
+      expect(total).to.equal(3);
+      expect(page.map((item) => item.spotId)).to.deep.equal([2n, 3n]);
+      expect(page[0].lotId).to.equal(0);
+      expect(page[0].spot.location).to.equal("Spot B");
+      expect(page[0].spot.isAvailable).to.equal(false);
+
+      expect((await parking.getSpotsPage(3, 5)).page).to.have.lengthOf(0);
+      expect((await parking.getSpotsPage(0, 0)).page).to.have.lengthOf(0);
+    });
+
+    it("Should page through the reservations of a user in the order they were made", async function () {
+      const { parking, user1, user3 } = await loadFixture(setupWithReservations);
+
+      const [page, total] = await parking.getUserReservationsPage(user1.address, 1, 5);
+      expect(total).to.equal(2);
+      expect(page.map((item) => item.reservationId)).to.deep.equal([3n]);
+      expect(page[0].reservation.spotId).to.equal(3);
+      expect(page[0].reservation.user).to.equal(user1.address);
+
+      expect((await parking.getUserReservationsPage(user3.address, 0, 5)).total).to.equal(0);
+    });
+
+    it("Should only return reservations that are neither completed nor cancelled", async function () {
+      const { parking, user1 } = await loadFixture(setupWithReservations);
+      await parking.connect(user1).completeReservation(1);
+
+      const [page, total] = await parking.getActiveReservations(0, 2);
+      expect(total).to.equal(3);
+      // The page checks reservations 1 and 2
+      expect(page.map((item) => item.reservationId)).to.deep.equal([2n]);
+      expect(
+        (await parking.getActiveReservations(2, 2)).page.map((item) => item.reservationId)
+      ).to.deep.equal([3n]);
+    });
+
+    it("Should page through the registered users in the order they registered", async function () {
+      const { parking, user1, user2 } = await loadFixture(setupWithReservations);
+
+      const [page, total] = await parking.getRegisteredUsersPage(0, 5);
+      expect(total).to.equal(2);
+      expect(page.map((item) => item.account)).to.deep.equal([user1.address, user2.address]);
+      expect(page[1].user.userId).to.equal(1002);
+      expect(page[1].user.creditScore).to.equal(650);
+    });
+
+    it("Should cap pages at MAX_PAGE_SIZE", async function () {
+      const { parking } = await loadFixture(deployParkingFixture);
+      const locations = Array.from({ length: 50 }, (_, i) => `Spot ${i + 1}`);
+      const prices = locations.map(() => PRICE);
+      for (let i = 0; i < 3; i++) {
+        await parking.addParkingSpots(0, locations, prices);
+      }
+
+      const [page, total] = await parking.getSpotsPage(20, 1000);
+      expect(total).to.equal(150);
+      expect(page).to.have.lengthOf(Number(await parking.MAX_PAGE_SIZE()));
+      expect(page[0].spotId).to.equal(21);
+    });
+  });
+
   describe("Edge Cases & Boundary Conditions", function () {
     it("Should handle spot ID zero correctly", async function () {
       const { parking } = await loadFixture(deployParkingFixture);
@@ -501,6 +585,1176 @@ describe("ParkingReservation", function () {
     });
   });
 
+  describe("Time-Window Reservations", function () {
+    const HOUR = 3600;
+    const PRICE = ethers.parseEther("0.01");
+
+    async function setupForBooking() {
+      const fixture = await deployParkingFixture();
+      const { parking, owner, user1, user2 } = fixture;
+
+      await parking.connect(owner).addParkingSpot("Zone A - Spot 1", PRICE);
+      await parking.connect(user1).registerUser(1001, 750);
+      await parking.connect(user2).registerUser(1002, 700);
+
+      // Tomorrow, on the hour
+      const tomorrow = Math.ceil((await time.latest()) / HOUR) * HOUR + 24 * HOUR;
+      return { ...fixture, tomorrow };
+    }
+
+    it("Should book a future window without blocking the spot now", async function () {
+      const { parking, user1, tomorrow } = await loadFixture(setupForBooking);
+
+      await expect(parking.connect(user1).makeReservationAt(1, tomorrow, 2, { value: PRICE * 2n }))
+        .to.emit(parking, "ReservationCreated")
+        .withArgs(1, user1.address, 1);
+
+      const reservation = await parking.reservations(1);
+      expect(reservation.startTime).to.equal(tomorrow);
+      expect(reservation.endTime).to.equal(tomorrow + 2 * HOUR);
+      expect(await parking.isSpotAvailable(1)).to.equal(true);
+
+      const [ids, startTimes, endTimes] = await parking.getSpotBookings(1);
+      expect(ids).to.deep.equal([1n]);
+      expect(startTimes).to.deep.equal([BigInt(tomorrow)]);
+      expect(endTimes).to.deep.equal([BigInt(tomorrow + 2 * HOUR)]);
+    });
+
+    it("Should reject overlapping windows and accept adjacent ones", async function () {
+      const { parking, user1, user2, tomorrow } = await loadFixture(setupForBooking);
+      await parking.connect(user1).makeReservationAt(1, tomorrow, 2, { value: PRICE * 2n });
+
+      await expect(
+        parking.connect(user2).makeReservationAt(1, tomorrow + HOUR, 2, { value: PRICE * 2n })
+      ).to.be.revertedWith("Time slot already booked");
+      await expect(
+        parking.connect(user2).makeReservationAt(1, tomorrow - HOUR, 2, { value: PRICE * 2n })
+      ).to.be.revertedWith("Time slot already booked");
+
+      await parking.connect(user2).makeReservationAt(1, tomorrow + 2 * HOUR, 1, { value: PRICE });
+      await parking.connect(user2).makeReservationAt(1, tomorrow - HOUR, 1, { value: PRICE });
+
+      const [ids] = await parking.getSpotBookings(1);
+      expect(ids).to.have.lengthOf(3);
+    });
+
+    it("Should reject start times in the past or too far ahead", async function () {
+      const { parking, user1 } = await loadFixture(setupForBooking);
+      const now = await time.latest();
+      const maxAdvance = Number(await parking.MAX_ADVANCE_BOOKING());
+
+      await expect(
+        parking.connect(user1).makeReservationAt(1, now - HOUR, 1, { value: PRICE })
+      ).to.be.revertedWith("Start time in the past");
+      await expect(
+        parking.connect(user1).makeReservationAt(1, now + maxAdvance + HOUR, 1, { value: PRICE })
+      ).to.be.revertedWith("Start time too far ahead");
+      await expect(
+        parking.connect(user1).makeReservationAt(9, now + HOUR, 1, { value: PRICE })
+      ).to.be.revertedWith("Invalid spot ID");
+    });
+
+    it("Should not start a reservation now that runs into a booked window", async function () {
+      const { parking, user1, user2 } = await loadFixture(setupForBooking);
+      const soon = (await time.latest()) + HOUR;
+      await parking.connect(user1).makeReservationAt(1, soon, 1, { value: PRICE });
+
+      await expect(
+        parking.connect(user2).makeReservation(1, 2, { value: PRICE * 2n })
+      ).to.be.revertedWith("Time slot already booked");
+    });
+
+    it("Should treat a booked window as occupied once it starts", async function () {
+      const { parking, user1, user2, tomorrow } = await loadFixture(setupForBooking);
+      await parking.connect(user1).makeReservationAt(1, tomorrow, 2, { value: PRICE * 2n });
+
+      await time.increaseTo(tomorrow + 60);
+      expect(await parking.isSpotAvailable(1)).to.equal(false);
+      await expect(
+        parking.connect(user2).makeReservation(1, 1, { value: PRICE })
+      ).to.be.revertedWith("Time slot already booked");
+
+      // Ended windows drop out of the calendar
+      await time.increaseTo(tomorrow + 2 * HOUR);
+      const [ids] = await parking.getSpotBookings(1);
+      expect(ids).to.have.lengthOf(0);
+      expect(await parking.isSpotAvailable(1)).to.equal(true);
+      await parking.connect(user2).makeReservation(1, 1, { value: PRICE });
+    });
+
+    it("Should free a window when its reservation is completed", async function () {
+      const { parking, user1, user2, tomorrow } = await loadFixture(setupForBooking);
+      await parking.connect(user1).makeReservation(1, 1, { value: PRICE });
+      await parking.connect(user2).makeReservationAt(1, tomorrow, 1, { value: PRICE });
+
+      // Completing the future booking early must not release the running one
+      await parking.connect(user2).completeReservation(2);
+      expect(await parking.isSpotAvailable(1)).to.equal(false);
+
+      await parking.connect(user1).completeReservation(1);
+      expect(await parking.isSpotAvailable(1)).to.equal(true);
+      const [ids] = await parking.getSpotBookings(1);
+      expect(ids).to.have.lengthOf(0);
+
+      await parking.connect(user1).makeReservationAt(1, tomorrow, 1, { value: PRICE });
+    });
+  });
+
+  describe("Extension & Early Check-out", function () {
+    const HOUR = 3600;
+    const PRICE = ethers.parseEther("0.01");
+
+    async function setupRunningReservation() {
+      const fixture = await deployParkingFixture();
+      const { parking, owner, user1, user2 } = fixture;
+
+      await parking.connect(owner).addParkingSpot("Zone A - Spot 1", PRICE);
+      await parking.connect(user1).registerUser(1001, 750);
+      await parking.connect(user2).registerUser(1002, 700);
+      await parking.connect(user1).makeReservation(1, 2, { value: PRICE * 2n });
+
+      const { startTime, endTime } = await parking.reservations(1);
+      return { ...fixture, startTime: Number(startTime), endTime: Number(endTime) };
+    }
+
+    it("Should extend a running reservation and refund excess payment", async function () {
+      const { parking, user1, endTime } = await loadFixture(setupRunningReservation);
+
+      const tx = parking.connect(user1).extendReservation(1, 1, { value: PRICE * 2n });
+      await expect(tx)
+        .to.emit(parking, "ReservationExtended")
+        .withArgs(1, endTime + HOUR);
+      await expect(tx).to.changeEtherBalance(user1, -PRICE * 2n);
+      expect(await parking.pendingWithdrawals(user1.address)).to.equal(PRICE);
+
+      const reservation = await parking.reservations(1);
+      expect(reservation.endTime).to.equal(endTime + HOUR);
+      expect(reservation.totalPrice).to.equal(PRICE * 3n);
+    });
+
+    it("Should not extend into the next booking", async function () {
+      const { parking, user1, user2, endTime } = await loadFixture(setupRunningReservation);
+
+      await parking.connect(user2).makeReservationAt(1, endTime + HOUR, 1, { value: PRICE });
+
+      await expect(
+        parking.connect(user1).extendReservation(1, 2, { value: PRICE * 2n })
+      ).to.be.revertedWith("Time slot already booked");
+      await expect(parking.connect(user1).extendReservation(1, 1, { value: PRICE })).to.emit(
+        parking,
+        "ReservationExtended"
+      );
+    });
+
+    it("Should reject invalid extensions", async function () {
+      const { parking, user1, user2, endTime } = await loadFixture(setupRunningReservation);
+
+      await expect(
+        parking.connect(user2).extendReservation(1, 1, { value: PRICE })
+      ).to.be.revertedWith("Not your reservation");
+      await expect(
+        parking.connect(user1).extendReservation(1, 0, { value: PRICE })
+      ).to.be.revertedWith("Invalid duration");
+      await expect(
+        parking.connect(user1).extendReservation(1, 2, { value: PRICE })
+      ).to.be.revertedWith("Insufficient payment");
+
+      await time.increaseTo(endTime);
+      await expect(
+        parking.connect(user1).extendReservation(1, 1, { value: PRICE })
+      ).to.be.revertedWith("Reservation ended");
+    });
+
+    it("Should refund unused time minus the platform fee on early check-out", async function () {
+      const { parking, owner, user1, startTime, endTime } =
+        await loadFixture(setupRunningReservation);
+
+      // Leave after 30 of 120 minutes
+      const checkOutTime = startTime + HOUR / 2;
+      await time.setNextBlockTimestamp(checkOutTime);
+
+      const unused = (PRICE * 2n * 90n) / 120n;
+      const fee = (unused * 5n) / 100n;
+      const refund = unused - fee;
+      const feesBefore = await parking.platformFees();
+      const tx = parking.connect(user1).checkOutEarly(1);
+      await expect(tx).to.emit(parking, "EarlyCheckOut").withArgs(1, refund);
+      await expect(tx).to.emit(parking, "ReservationCompleted").withArgs(1);
+      await tx;
+      expect(await parking.pendingWithdrawals(user1.address)).to.equal(refund);
+      expect(await parking.pendingWithdrawals(owner.address)).to.equal(PRICE * 2n - unused);
+      expect((await parking.platformFees()) - feesBefore).to.equal(fee);
+
+      const reservation = await parking.reservations(1);
+      expect(reservation.isCompleted).to.equal(true);
+      expect(reservation.endTime).to.equal(checkOutTime);
+      expect(reservation.totalPrice).to.equal(PRICE * 2n - unused);
+      expect(await parking.isSpotAvailable(1)).to.equal(true);
+      expect(endTime).to.be.greaterThan(checkOutTime);
+    });
+
+    it("Should only check out of a running reservation", async function () {
+      const { parking, user1, user2, endTime } = await loadFixture(setupRunningReservation);
+
+      await parking.connect(user2).makeReservationAt(1, endTime + HOUR, 1, { value: PRICE });
+      await expect(parking.connect(user2).checkOutEarly(2)).to.be.revertedWith(
+        "Reservation not started"
+      );
+
+      await time.increaseTo(endTime);
+      await expect(parking.connect(user1).checkOutEarly(1)).to.be.revertedWith("Reservation ended");
+
+      await parking.connect(user1).completeReservation(1);
+      await expect(parking.connect(user1).checkOutEarly(1)).to.be.revertedWith("Already completed");
+    });
+  });
+
+  describe("Parking Lots", function () {
+    const PRICE = ethers.parseEther("0.01");
+    const FEE_SHARE = 10n;
+
+    // Lot 1 run by user3, with spot 1 in it; the owner's spot 2 stays outside lots
+    async function deployLotFixture() {
+      const fixture = await deployParkingFixture();
+      const { parking, owner, user1, user3 } = fixture;
+
+      await parking.connect(owner).setOperator(user3.address, true);
+      await parking.connect(user3).registerLot("Garage North", FEE_SHARE);
+      await parking.connect(user3).addLotSpot(1, "Garage North Level 1", PRICE);
+      await parking.connect(owner).addParkingSpot("Zone A - Spot 1", PRICE);
+      await parking.connect(user1).registerUser(1001, 750);
+
+      return fixture;
+    }
+
+    it("Should register lots and their spots", async function () {
+      const { parking, user3 } = await loadFixture(deployLotFixture);
+
+      const lot = await parking.parkingLots(1);
+      expect(lot.operator).to.equal(user3.address);
+      expect(lot.feeShare).to.equal(FEE_SHARE);
+      expect(lot.name).to.equal("Garage North");
+      expect(await parking.spotLots(1)).to.equal(1);
+      expect(await parking.spotLots(2)).to.equal(0);
+      expect((await parking.parkingSpots(1)).spotOwner).to.equal(user3.address);
+    });
+
+    it("Should add several spots in one transaction", async function () {
+      const { parking, owner, user1, user3 } = await loadFixture(deployLotFixture);
+
+      await expect(
+        parking.connect(user3).addParkingSpots(1, ["Level 2", "Level 3"], [PRICE, PRICE * 2n])
+      )
+        .to.emit(parking, "ParkingSpotAdded")
+        .withArgs(4, "Level 3", PRICE * 2n)
+        .and.to.emit(parking, "LotSpotAdded")
+        .withArgs(1, 3);
+      expect(await parking.spotLots(4)).to.equal(1);
+      expect((await parking.lotOccupancy(1)).spots).to.equal(3);
+
+      await parking.connect(owner).addParkingSpots(0, ["Zone B"], [PRICE]);
+      expect(await parking.totalSpots()).to.equal(5);
+      expect(await parking.spotLots(5)).to.equal(0);
+
+      await expect(
+        parking.connect(user1).addParkingSpots(0, ["Zone C"], [PRICE])
+      ).to.be.revertedWith("Not owner");
+      await expect(
+        parking.connect(owner).addParkingSpots(1, ["Level 4"], [PRICE])
+      ).to.be.revertedWith("Not lot operator");
+      await expect(
+        parking.connect(user3).addParkingSpots(2, ["Nowhere"], [PRICE])
+      ).to.be.revertedWith("Invalid lot ID");
+      await expect(parking.connect(owner).addParkingSpots(0, ["Zone C"], [])).to.be.revertedWith(
+        "Length mismatch"
+      );
+      const tooMany = Array.from({ length: 51 }, (_, i) => `Spot ${i}`);
+      await expect(
+        parking.connect(owner).addParkingSpots(
+          0,
+          tooMany,
+          tooMany.map(() => PRICE)
+        )
+      ).to.be.revertedWith("Invalid batch size");
+      await expect(parking.connect(owner).addParkingSpots(0, [], [])).to.be.revertedWith(
+        "Invalid batch size"
+      );
+    });
+
+    it("Should only let operators register lots and lot operators manage them", async function () {
+      const { parking, owner, user1, user3 } = await loadFixture(deployLotFixture);
+
+      await expect(parking.connect(user1).registerLot("Garage", 10)).to.be.revertedWith(
+        "Not operator"
+      );
+      await expect(parking.connect(owner).registerLot("Garage", 4)).to.be.revertedWith(
+        "Invalid fee share"
+      );
+      await expect(
+        parking.connect(owner).addLotSpot(1, "Garage North Level 2", PRICE)
+      ).to.be.revertedWith("Not lot operator");
+      await expect(parking.connect(owner).setLotFeeShare(1, 20)).to.be.revertedWith(
+        "Not lot operator"
+      );
+      await expect(parking.connect(user3).addLotSpot(2, "Nowhere", PRICE)).to.be.revertedWith(
+        "Invalid lot ID"
+      );
+    });
+
+    it("Should let the lot operator price its spots", async function () {
+      const { parking, owner, user3 } = await loadFixture(deployLotFixture);
+
+      await expect(parking.connect(user3).updateSpotPrice(1, PRICE * 2n))
+        .to.emit(parking, "SpotPriceUpdated")
+        .withArgs(1, PRICE * 2n);
+      expect((await parking.parkingSpots(1)).pricePerHour).to.equal(PRICE * 2n);
+
+      await expect(parking.connect(owner).updateSpotPrice(1, PRICE)).to.be.revertedWith(
+        "Not spot operator"
+      );
+      await expect(parking.connect(user3).updateSpotPrice(2, PRICE)).to.be.revertedWith(
+        "Not spot operator"
+      );
+      await parking.connect(owner).updateSpotPrice(2, PRICE * 3n);
+    });
+
+    it("Should split lot revenue between the lot and the platform", async function () {
+      const { parking, owner, user1, user3 } = await loadFixture(deployLotFixture);
+
+      await parking.connect(user1).makeReservation(1, 2, { value: PRICE * 2n });
+      await expect(parking.connect(user1).completeReservation(1)).to.changeEtherBalance(user3, 0);
+
+      const fee = (PRICE * 2n * FEE_SHARE) / 100n;
+      expect(await parking.platformFees()).to.equal(fee);
+      expect((await parking.parkingLots(1)).revenue).to.equal(PRICE * 2n - fee);
+
+      await expect(
+        parking.connect(user3).withdrawLotRevenue(1, user3.address)
+      ).to.changeEtherBalance(user3, PRICE * 2n - fee);
+      await expect(parking.connect(user3).withdrawLotRevenue(1, user3.address)).to.be.revertedWith(
+        "No revenue to withdraw"
+      );
+      await expect(parking.connect(owner).withdrawPlatformFees(owner.address))
+        .to.emit(parking, "PlatformFeesWithdrawn")
+        .withArgs(owner.address, fee);
+    });
+
+    it("Should keep paying spots outside lots to their owner", async function () {
+      const { parking, owner, user1 } = await loadFixture(deployLotFixture);
+
+      await parking.connect(user1).makeReservation(2, 1, { value: PRICE });
+      await parking.connect(user1).completeReservation(1);
+      expect(await parking.pendingWithdrawals(owner.address)).to.equal(PRICE);
+      expect(await parking.platformFees()).to.equal(0);
+    });
+  });
+
+  describe("Escrow and Cancellation", function () {
+    const HOUR = 3600;
+    const PRICE = ethers.parseEther("0.01");
+
+    // user1 holds a 2-hour window starting in a day on the owner's spot 1
+    async function setupFutureReservation() {
+      const fixture = await deployParkingFixture();
+      const { parking, owner, user1, user2 } = fixture;
+
+      await parking.connect(owner).addParkingSpot("Zone A - Spot 1", PRICE);
+      await parking.connect(user1).registerUser(1001, 750);
+      await parking.connect(user2).registerUser(1002, 700);
+
+      const startTime = (await time.latest()) + 24 * HOUR;
+      await parking.connect(user1).makeReservationAt(1, startTime, 2, { value: PRICE * 2n });
+      return { ...fixture, startTime };
+    }
+
+    it("Should hold payments in escrow until completion", async function () {
+      const { parking, owner, user1, startTime } = await loadFixture(setupFutureReservation);
+
+      expect(await ethers.provider.getBalance(await parking.getAddress())).to.equal(PRICE * 2n);
+      expect(await parking.pendingWithdrawals(owner.address)).to.equal(0);
+
+      await time.increaseTo(startTime + 2 * HOUR);
+      await parking.connect(user1).completeReservation(1);
+      expect(await parking.pendingWithdrawals(owner.address)).to.equal(PRICE * 2n);
+
+      await expect(parking.connect(owner).withdraw())
+        .to.emit(parking, "Withdrawal")
+        .withArgs(owner.address, PRICE * 2n);
+      expect(await ethers.provider.getBalance(await parking.getAddress())).to.equal(0);
+      await expect(parking.connect(owner).withdraw()).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("Should refund the full price when cancelled with enough notice", async function () {
+      const { parking, owner, user1, user2, startTime } = await loadFixture(setupFutureReservation);
+
+      await expect(parking.connect(user1).cancelReservation(1))
+        .to.emit(parking, "ReservationCancelled")
+        .withArgs(1, PRICE * 2n);
+
+      const reservation = await parking.reservations(1);
+      expect(reservation.isCancelled).to.equal(true);
+      expect(reservation.totalPrice).to.equal(0);
+      expect(await parking.pendingWithdrawals(user1.address)).to.equal(PRICE * 2n);
+      expect(await parking.pendingWithdrawals(owner.address)).to.equal(0);
+
+      // The window is free again
+      await parking.connect(user2).makeReservationAt(1, startTime, 2, { value: PRICE * 2n });
+    });
+
+    it("Should keep the cancellation fee for the spot on short notice", async function () {
+      const { parking, owner, user1, startTime } = await loadFixture(setupFutureReservation);
+
+      await time.setNextBlockTimestamp(startTime - HOUR / 2);
+      const fee = (PRICE * 2n * 10n) / 100n;
+      await expect(parking.connect(user1).cancelReservation(1))
+        .to.emit(parking, "ReservationCancelled")
+        .withArgs(1, PRICE * 2n - fee);
+
+      expect(await parking.pendingWithdrawals(user1.address)).to.equal(PRICE * 2n - fee);
+      expect(await parking.pendingWithdrawals(owner.address)).to.equal(fee);
+      expect((await parking.reservations(1)).totalPrice).to.equal(fee);
+    });
+
+    it("Should only cancel the caller's reservations before they start", async function () {
+      const { parking, user1, user2, startTime } = await loadFixture(setupFutureReservation);
+
+      await expect(parking.connect(user2).cancelReservation(1)).to.be.revertedWith(
+        "Not your reservation"
+      );
+      await expect(parking.connect(user1).cancelReservation(2)).to.be.revertedWith(
+        "Invalid reservation ID"
+      );
+
+      await time.increaseTo(startTime);
+      await expect(parking.connect(user1).cancelReservation(1)).to.be.revertedWith(
+        "Reservation started"
+      );
+
+      await parking.connect(user1).completeReservation(1);
+      await expect(parking.connect(user1).cancelReservation(1)).to.be.revertedWith(
+        "Already completed"
+      );
+    });
+
+    it("Should let the owner configure the cancellation policy", async function () {
+      const { parking, owner, user1, startTime } = await loadFixture(setupFutureReservation);
+
+      await expect(parking.connect(user1).setCancellationPolicy(0, 0)).to.be.revertedWith(
+        "Not owner"
+      );
+      await expect(
+        parking.connect(owner).setCancellationPolicy(8 * 24 * HOUR, 10)
+      ).to.be.revertedWith("Notice too long");
+      await expect(parking.connect(owner).setCancellationPolicy(HOUR, 101)).to.be.revertedWith(
+        "Invalid percentage"
+      );
+
+      await expect(parking.connect(owner).setCancellationPolicy(2 * 24 * HOUR, 50))
+        .to.emit(parking, "CancellationPolicyUpdated")
+        .withArgs(2 * 24 * HOUR, 50);
+      const policy = await parking.cancellationPolicy();
+      expect(policy.freeNotice).to.equal(2 * 24 * HOUR);
+      expect(policy.feePercent).to.equal(50);
+
+      // A day before the start is now short notice
+      expect(startTime).to.be.greaterThan(await time.latest());
+      await expect(parking.connect(user1).cancelReservation(1))
+        .to.emit(parking, "ReservationCancelled")
+        .withArgs(1, PRICE);
+    });
+  });
+
+  describe("Dynamic Pricing", function () {
+    const HOUR = 3600;
+    const DAY = 24 * HOUR;
+    const BASE = ethers.parseEther("0.01");
+    const FLAT = {
+      enabled: true,
+      peakStartHour: 0,
+      peakEndHour: 0,
+      peakPercent: 100,
+      weekendPercent: 100,
+      surgeOccupancy: 0,
+      surgePercent: 100,
+      maxPrice: 0,
+    };
+
+    // Two platform spots at BASE per hour and registered user1 and user2
+    async function setupPricing() {
+      const fixture = await deployParkingFixture();
+      const { parking, owner, user1, user2 } = fixture;
+      await parking.connect(owner).addParkingSpot("Zone A - Spot 1", BASE);
+      await parking.connect(owner).addParkingSpot("Zone A - Spot 2", BASE);
+      await parking.connect(user1).registerUser(1001, 750);
+      await parking.connect(user2).registerUser(1002, 700);
+      return fixture;
+    }
+
+    // Midnight (UTC) of the next given weekday at least a day ahead; 1970-01-01 was a Thursday
+    async function nextWeekday(weekday) {
+      const day = Math.floor((await time.latest()) / DAY) + 1;
+      const offset = (weekday - ((day + 4) % 7) + 7) % 7;
+      return (day + offset) * DAY;
+    }
+    const MONDAY = 1;
+    const SATURDAY = 6;
+
+    it("Should charge the flat price without rules", async function () {
+      const { parking } = await loadFixture(setupPricing);
+
+      const monday = await nextWeekday(MONDAY);
+      expect(await parking.quotePrice(1, monday, 3)).to.equal(BASE * 3n);
+      expect(await parking.quotePrice(1, 0, 2)).to.equal(BASE * 2n);
+      await expect(parking.quotePrice(3, 0, 1)).to.be.revertedWith("Invalid spot ID");
+      await expect(parking.quotePrice(1, 0, 0)).to.be.revertedWith("Invalid duration");
+    });
+
+    it("Should price peak hours by the start of each booked hour", async function () {
+      const { parking, owner, user1 } = await loadFixture(setupPricing);
+      await parking
+        .connect(owner)
+        .setSpotPricingRule(1, { ...FLAT, peakStartHour: 8, peakEndHour: 10, peakPercent: 200 });
+
+      // 07:00-11:00 on a Monday: 1x, 2x, 2x, 1x
+      const startTime = (await nextWeekday(MONDAY)) + 7 * HOUR;
+      const price = await parking.quotePrice(1, startTime, 4);
+      expect(price).to.equal(BASE * 6n);
+
+      await parking.connect(user1).makeReservationAt(1, startTime, 4, { value: price });
+      expect((await parking.reservations(1)).totalPrice).to.equal(BASE * 6n);
+
+      // The other spot has no rule
+      expect(await parking.quotePrice(2, startTime, 4)).to.equal(BASE * 4n);
+    });
+
+    it("Should apply lot rules with weekend rates, overnight peaks and the price cap", async function () {
+      const { parking, owner } = await loadFixture(setupPricing);
+      await expect(
+        parking.connect(owner).setLotPricingRule(0, {
+          ...FLAT,
+          peakStartHour: 22,
+          peakEndHour: 2,
+          peakPercent: 200,
+          weekendPercent: 150,
+          maxPrice: (BASE * 5n) / 2n,
+        })
+      )
+        .to.emit(parking, "LotPricingRuleUpdated")
+        .withArgs(0, true);
+
+      // Saturday 21:00-00:00: 1.5x, then 3x capped at 2.5x twice
+      const saturday = await nextWeekday(SATURDAY);
+      expect(await parking.quotePrice(1, saturday + 21 * HOUR, 3)).to.equal(
+        (BASE * 3n) / 2n + BASE * 5n
+      );
+      // Monday 01:00-03:00: 2x, then 1x
+      const monday = await nextWeekday(MONDAY);
+      expect(await parking.quotePrice(2, monday + HOUR, 2)).to.equal(BASE * 3n);
+
+      // A spot rule takes precedence over the lot rule
+      await parking.connect(owner).setSpotPricingRule(2, FLAT);
+      expect(await parking.quotePrice(2, monday + HOUR, 2)).to.equal(BASE * 2n);
+    });
+
+    it("Should price bookings of several weeks one week at a time", async function () {
+      const { parking, owner } = await loadFixture(setupPricing);
+      const rule = {
+        ...FLAT,
+        peakStartHour: 8,
+        peakEndHour: 10,
+        peakPercent: 200,
+        weekendPercent: 150,
+      };
+      await parking.connect(owner).setSpotPricingRule(1, rule);
+
+      // Every booked hour priced on its own, as for short bookings
+      const hourlyTotal = (startTime, hours) => {
+        let total = 0n;
+        for (let i = 0; i < hours; i++) {
+          const hourStart = startTime + i * HOUR;
+          const hourOfDay = Math.floor((hourStart % DAY) / HOUR);
+          const dayOfWeek = Math.floor(hourStart / DAY) % 7;
+          let price = BASE;
+          if (hourOfDay >= 8 && hourOfDay < 10) price = (price * 200n) / 100n;
+          if (dayOfWeek === 2 || dayOfWeek === 3) price = (price * 150n) / 100n;
+          total += price;
+        }
+        return total;
+      };
+
+      const startTime = (await nextWeekday(MONDAY)) + 7 * HOUR;
+      const hours = 2 * 7 * 24 + 5;
+      expect(await parking.quotePrice(1, startTime, hours)).to.equal(hourlyTotal(startTime, hours));
+
+      // The cost of a quote does not grow with the duration: one week plus the hours left over at most
+      const longestLoop = await parking.quotePrice.estimateGas(1, startTime, 2 * 7 * 24 - 1);
+      expect(await parking.quotePrice.estimateGas(1, startTime, 10 * 365 * 24)).to.be.at.most(
+        longestLoop
+      );
+    });
+
+    it("Should surge with the occupancy of the lot", async function () {
+      const { parking, owner, user1 } = await loadFixture(setupPricing);
+      await parking
+        .connect(owner)
+        .setLotPricingRule(0, { ...FLAT, surgeOccupancy: 50, surgePercent: 150 });
+
+      expect(await parking.quotePrice(2, 0, 1)).to.equal(BASE);
+      await parking.connect(user1).makeReservation(1, 1, { value: BASE });
+      expect((await parking.lotOccupancy(0)).occupied).to.equal(1);
+
+      // Half of the spots are taken
+      expect(await parking.quotePrice(2, 0, 2)).to.equal(BASE * 3n);
+
+      await parking.connect(user1).completeReservation(1);
+      expect((await parking.lotOccupancy(0)).occupied).to.equal(0);
+      expect(await parking.quotePrice(2, 0, 2)).to.equal(BASE * 2n);
+    });
+
+    it("Should price extensions by the hours they add", async function () {
+      const { parking, owner, user1 } = await loadFixture(setupPricing);
+      await parking
+        .connect(owner)
+        .setSpotPricingRule(1, { ...FLAT, peakStartHour: 9, peakEndHour: 10, peakPercent: 300 });
+
+      const startTime = (await nextWeekday(MONDAY)) + 7 * HOUR;
+      await parking.connect(user1).makeReservationAt(1, startTime, 2, { value: BASE * 2n });
+
+      // 09:00-10:00 is a peak hour
+      await expect(
+        parking.connect(user1).extendReservation(1, 1, { value: BASE })
+      ).to.be.revertedWith("Insufficient payment");
+      await parking.connect(user1).extendReservation(1, 1, { value: BASE * 3n });
+      expect((await parking.reservations(1)).totalPrice).to.equal(BASE * 5n);
+    });
+
+    it("Should only let the spot or lot operator set valid rules", async function () {
+      const { parking, owner, user1 } = await loadFixture(setupPricing);
+
+      await expect(parking.connect(user1).setSpotPricingRule(1, FLAT)).to.be.revertedWith(
+        "Not spot operator"
+      );
+      await expect(parking.connect(user1).setLotPricingRule(0, FLAT)).to.be.revertedWith(
+        "Not lot operator"
+      );
+      await expect(parking.connect(owner).setLotPricingRule(1, FLAT)).to.be.revertedWith(
+        "Invalid lot ID"
+      );
+      await expect(
+        parking.connect(owner).setSpotPricingRule(1, { ...FLAT, peakEndHour: 24 })
+      ).to.be.revertedWith("Invalid hour");
+      await expect(
+        parking.connect(owner).setSpotPricingRule(1, { ...FLAT, surgePercent: 501 })
+      ).to.be.revertedWith("Invalid percentage");
+      await expect(
+        parking.connect(owner).setSpotPricingRule(1, { ...FLAT, weekendPercent: 0 })
+      ).to.be.revertedWith("Invalid percentage");
+
+      // Clearing a rule needs no valid values
+      await expect(
+        parking.connect(owner).setSpotPricingRule(1, { ...FLAT, enabled: false, peakPercent: 0 })
+      )
+        .to.emit(parking, "SpotPricingRuleUpdated")
+        .withArgs(1, false);
+
+      // Lot operators price their own lot
+      await parking.connect(owner).setOperator(user1.address, true);
+      await parking.connect(user1).registerLot("Central Garage", 10);
+      await parking.connect(user1).setLotPricingRule(1, { ...FLAT, weekendPercent: 120 });
+      expect((await parking.lotPricingRules(1)).weekendPercent).to.equal(120);
+    });
+  });
+
+  describe("Waitlist", function () {
+    const HOUR = 3600;
+    const CLAIM_WINDOW = 15 * 60;
+    const PRICE = ethers.parseEther("0.01");
+
+    // user1 occupies the owner's spot 1 for 2 hours; user2 and user3 are registered
+    async function setupTakenSpot() {
+      const fixture = await deployParkingFixture();
+      const { parking, owner, user1, user2, user3 } = fixture;
+
+      await parking.connect(owner).addParkingSpot("Zone A - Spot 1", PRICE);
+      await parking.connect(user1).registerUser(1001, 750);
+      await parking.connect(user2).registerUser(1002, 700);
+      await parking.connect(user3).registerUser(1003, 650);
+      await parking.connect(user1).makeReservation(1, 2, { value: PRICE * 2n });
+      return fixture;
+    }
+
+    it("Should queue users for a taken spot with a prepaid deposit", async function () {
+      const { parking, owner, user2, user3 } = await loadFixture(setupTakenSpot);
+
+      await expect(parking.connect(user2).joinWaitlist(1, 3, { value: PRICE * 3n }))
+        .to.emit(parking, "WaitlistJoined")
+        .withArgs(1, user2.address, PRICE * 3n);
+      await parking.connect(user3).joinWaitlist(1, 1, { value: PRICE });
+
+      expect(await parking.getWaitlist(1)).to.deep.equal([user2.address, user3.address]);
+      const entry = await parking.waitlistEntries(1, user2.address);
+      expect(entry.durationHours).to.equal(3);
+      expect(entry.deposit).to.equal(PRICE * 3n);
+
+      await expect(parking.connect(user2).joinWaitlist(1, 1, { value: PRICE })).to.be.revertedWith(
+        "Already waitlisted"
+      );
+      await expect(parking.connect(user3).joinWaitlist(1, 0)).to.be.revertedWith(
+        "Invalid duration"
+      );
+      await expect(parking.connect(owner).joinWaitlist(1, 1, { value: PRICE })).to.be.revertedWith(
+        "Not registered"
+      );
+
+      // A free spot is reserved directly
+      await parking.connect(owner).addParkingSpot("Zone A - Spot 2", PRICE);
+      await expect(parking.connect(user2).joinWaitlist(2, 1, { value: PRICE })).to.be.revertedWith(
+        "Spot available"
+      );
+    });
+
+    it("Should offer a freed spot to the first user and hold it for the claim window", async function () {
+      const { parking, user1, user2, user3 } = await loadFixture(setupTakenSpot);
+      await parking.connect(user2).joinWaitlist(1, 3, { value: PRICE * 3n });
+      await parking.connect(user3).joinWaitlist(1, 1, { value: PRICE });
+
+      const tx = parking.connect(user1).completeReservation(1);
+      const expiresAt = (await time.latest()) + 1 + CLAIM_WINDOW;
+      await expect(tx).to.emit(parking, "WaitlistOffered").withArgs(1, user2.address, expiresAt);
+
+      expect(await parking.isSpotAvailable(1)).to.equal(false);
+      expect(await parking.getWaitlist(1)).to.deep.equal([user3.address]);
+      await expect(
+        parking.connect(user3).makeReservation(1, 1, { value: PRICE })
+      ).to.be.revertedWith("Spot offered to waitlist");
+      await expect(parking.connect(user3).claimWaitlistOffer(1)).to.be.revertedWith("No offer");
+
+      // The deposit pays for the reservation
+      await expect(parking.connect(user2).claimWaitlistOffer(1))
+        .to.emit(parking, "WaitlistOfferClaimed")
+        .withArgs(1, user2.address, 2)
+        .and.to.emit(parking, "ReservationCreated")
+        .withArgs(2, user2.address, 1);
+
+      const reservation = await parking.reservations(2);
+      expect(reservation.totalPrice).to.equal(PRICE * 3n);
+      expect(reservation.endTime - reservation.startTime).to.equal(3n * BigInt(HOUR));
+      expect(await parking.isSpotAvailable(1)).to.equal(false);
+      expect((await parking.waitlistEntries(1, user2.address)).position).to.equal(0);
+    });
+
+    it("Should refund an expired offer and offer the spot to the next user", async function () {
+      const { parking, owner, user1, user2, user3 } = await loadFixture(setupTakenSpot);
+      await parking.connect(user2).joinWaitlist(1, 3, { value: PRICE * 3n });
+      await parking.connect(user3).joinWaitlist(1, 1, { value: PRICE });
+      await parking.connect(user1).completeReservation(1);
+
+      await expect(parking.connect(owner).expireWaitlistOffer(1)).to.be.revertedWith(
+        "No expired offer"
+      );
+
+      await time.increase(CLAIM_WINDOW + 1);
+      await expect(parking.connect(user2).claimWaitlistOffer(1)).to.be.revertedWith(
+        "Offer expired"
+      );
+
+      // Anyone can move the waitlist on
+      await expect(parking.connect(owner).expireWaitlistOffer(1))
+        .to.emit(parking, "WaitlistOfferExpired")
+        .withArgs(1, user2.address)
+        .and.to.emit(parking, "WaitlistOffered");
+      expect(await parking.pendingWithdrawals(user2.address)).to.equal(PRICE * 3n);
+      expect((await parking.waitlistOffers(1)).user).to.equal(user3.address);
+
+      await parking.connect(user3).claimWaitlistOffer(1);
+      expect((await parking.reservations(2)).user).to.equal(user3.address);
+    });
+
+    it("Should only let eligible users claim an offer", async function () {
+      const { parking, owner, user1, user2 } = await loadFixture(setupTakenSpot);
+      await parking.connect(user2).joinWaitlist(1, 1, { value: PRICE });
+
+      // user2 overstays on spot 2 while waiting and owes the penalty
+      await parking.connect(owner).addParkingSpot("Zone A - Spot 2", PRICE);
+      await parking.connect(user2).makeReservation(2, 1, { value: PRICE });
+      await time.increase(HOUR + Number(await parking.OVERSTAY_GRACE_PERIOD()) + 1);
+      await parking.connect(owner).markOverstay(2);
+      const penalty = await parking.outstandingPenalties(user2.address);
+      expect(penalty).to.be.greaterThan(0n);
+
+      await parking.connect(user1).completeReservation(1);
+      expect((await parking.waitlistOffers(1)).user).to.equal(user2.address);
+      await expect(parking.connect(user2).claimWaitlistOffer(1)).to.be.revertedWith(
+        "Outstanding penalty"
+      );
+
+      await parking.connect(user2).payPenalty({ value: penalty });
+      await expect(parking.connect(user2).claimWaitlistOffer(1)).to.emit(
+        parking,
+        "WaitlistOfferClaimed"
+      );
+    });
+
+    it("Should refund users leaving or declining and skip their old place", async function () {
+      const { parking, user1, user2, user3 } = await loadFixture(setupTakenSpot);
+      await parking.connect(user2).joinWaitlist(1, 1, { value: PRICE });
+      await parking.connect(user3).joinWaitlist(1, 1, { value: PRICE });
+
+      await expect(parking.connect(user2).leaveWaitlist(1))
+        .to.emit(parking, "WaitlistLeft")
+        .withArgs(1, user2.address, PRICE);
+      expect(await parking.pendingWithdrawals(user2.address)).to.equal(PRICE);
+      await expect(parking.connect(user2).leaveWaitlist(1)).to.be.revertedWith("Not waitlisted");
+
+      // Joining again goes to the back of the line
+      await parking.connect(user2).joinWaitlist(1, 2, { value: PRICE * 2n });
+      expect(await parking.getWaitlist(1)).to.deep.equal([user3.address, user2.address]);
+
+      // Checking out early frees the spot too
+      await time.increase(HOUR);
+      await expect(parking.connect(user1).checkOutEarly(1))
+        .to.emit(parking, "WaitlistOffered")
+        .withArgs(1, user3.address, (await time.latest()) + 1 + CLAIM_WINDOW);
+
+      // Declining passes the offer on
+      await expect(parking.connect(user3).leaveWaitlist(1))
+        .to.emit(parking, "WaitlistOffered")
+        .withArgs(1, user2.address, (await time.latest()) + 1 + CLAIM_WINDOW);
+      expect(await parking.getWaitlist(1)).to.deep.equal([]);
+    });
+  });
+
+  describe("Overstays", function () {
+    const HOUR = 3600;
+    const GRACE = 15 * 60;
+    const PRICE = ethers.parseEther("0.01");
+    // OVERSTAY_PENALTY_PERCENT of the hourly price per started hour
+    const PENALTY = (PRICE * 150n) / 100n;
+
+    // user1 holds the owner's spot 1 for 2 hours; user2 is a keeper
+    async function setupRunningReservation() {
+      const fixture = await deployParkingFixture();
+      const { parking, owner, user1, user2 } = fixture;
+
+      await parking.connect(owner).addParkingSpot("Zone A - Spot 1", PRICE);
+      await parking.connect(owner).setKeeper(user2.address, true);
+      await parking.connect(user1).registerUser(1001, 750);
+      await parking.connect(user1).makeReservation(1, 2, { value: PRICE * 2n });
+      const { endTime } = await parking.reservations(1);
+      return { ...fixture, endTime: Number(endTime) };
+    }
+
+    it("Should only mark overstays after the grace period, by keepers and spot operators", async function () {
+      const { parking, owner, user1, user2, user3, endTime } =
+        await loadFixture(setupRunningReservation);
+
+      // The next block is the last second of the grace period
+      await time.increaseTo(endTime + GRACE - 1);
+      await expect(parking.connect(user2).markOverstay(1)).to.be.revertedWith("Not overstayed");
+
+      await time.increase(1);
+      await expect(parking.connect(user3).markOverstay(1)).to.be.revertedWith(
+        "Not spot operator or keeper"
+      );
+      await expect(parking.connect(user1).markOverstay(1)).to.be.revertedWith(
+        "Not spot operator or keeper"
+      );
+      await expect(parking.connect(owner).setKeeper(ethers.ZeroAddress, true)).to.be.revertedWith(
+        "Invalid address"
+      );
+
+      await expect(parking.connect(owner).markOverstay(1))
+        .to.emit(parking, "OverstayMarked")
+        .withArgs(1, user1.address, 1, PENALTY)
+        .and.to.emit(parking, "ReservationCompleted")
+        .withArgs(1);
+      await expect(parking.connect(user2).markOverstay(1)).to.be.revertedWith("Already completed");
+    });
+
+    it("Should settle the reservation and free the spot", async function () {
+      const { parking, owner, user1, user2, endTime } = await loadFixture(setupRunningReservation);
+
+      await time.increaseTo(endTime + 2 * HOUR + 1);
+      await expect(parking.connect(user2).markOverstay(1))
+        .to.emit(parking, "OverstayMarked")
+        .withArgs(1, user1.address, 3, PENALTY * 3n);
+
+      expect((await parking.reservations(1)).isCompleted).to.equal(true);
+      expect(await parking.isSpotAvailable(1)).to.equal(true);
+      expect(await parking.pendingWithdrawals(owner.address)).to.equal(PRICE * 2n);
+      expect(await parking.overstayCounts(user1.address)).to.equal(1);
+    });
+
+    it("Should charge the penalty when the user completes after the grace period", async function () {
+      const { parking, owner, user1, endTime } = await loadFixture(setupRunningReservation);
+
+      await time.increaseTo(endTime + HOUR + GRACE);
+      await expect(parking.connect(user1).completeReservation(1))
+        .to.emit(parking, "OverstayMarked")
+        .withArgs(1, user1.address, 2, PENALTY * 2n)
+        .and.to.emit(parking, "ReservationCompleted")
+        .withArgs(1);
+      expect(await parking.pendingWithdrawals(owner.address)).to.equal(PRICE * 2n);
+      expect(await parking.outstandingPenalties(user1.address)).to.equal(PENALTY * 2n);
+      expect(await parking.overstayCounts(user1.address)).to.equal(1);
+    });
+
+    it("Should take penalties from pending withdrawals and keep the rest outstanding", async function () {
+      const { parking, owner, user1, user2, endTime } = await loadFixture(setupRunningReservation);
+
+      // Overpaying the next reservation leaves a credit smaller than the penalty
+      const credit = PENALTY / 2n;
+      await time.increaseTo(endTime - HOUR);
+      await parking.connect(owner).addParkingSpot("Zone A - Spot 2", PRICE);
+      await parking.connect(user1).makeReservation(2, 1, { value: PRICE + credit });
+      expect(await parking.pendingWithdrawals(user1.address)).to.equal(credit);
+
+      await time.increaseTo(endTime + GRACE + 1);
+      await parking.connect(user2).markOverstay(1);
+      expect(await parking.pendingWithdrawals(user1.address)).to.equal(0);
+      expect(await parking.outstandingPenalties(user1.address)).to.equal(PENALTY - credit);
+      expect(await parking.platformFees()).to.equal(credit);
+
+      // Outstanding penalties bar new reservations until paid
+      await expect(
+        parking.connect(user1).makeReservation(1, 1, { value: PRICE })
+      ).to.be.revertedWith("Outstanding penalty");
+      await expect(
+        parking.connect(user1).payPenalty({ value: PENALTY - credit - 1n })
+      ).to.be.revertedWith("Insufficient payment");
+      await expect(parking.connect(user1).payPenalty({ value: PENALTY - credit }))
+        .to.emit(parking, "PenaltyPaid")
+        .withArgs(user1.address, PENALTY - credit);
+      expect(await parking.platformFees()).to.equal(PENALTY);
+      await expect(parking.connect(user1).payPenalty()).to.be.revertedWith(
+        "No outstanding penalty"
+      );
+      await parking.connect(user1).makeReservation(1, 1, { value: PRICE });
+    });
+
+    it("Should settle outstanding penalties from later credits", async function () {
+      const { parking, owner, user1, user2, endTime } = await loadFixture(setupRunningReservation);
+
+      // A future booking to cancel later for a refund
+      await parking.connect(owner).addParkingSpot("Zone A - Spot 2", PRICE);
+      await parking
+        .connect(user1)
+        .makeReservationAt(2, endTime + 24 * HOUR, 2, { value: PRICE * 2n });
+
+      await time.increaseTo(endTime + GRACE + 1);
+      await parking.connect(user2).markOverstay(1);
+      expect(await parking.outstandingPenalties(user1.address)).to.equal(PENALTY);
+
+      await expect(parking.connect(user1).cancelReservation(2))
+        .to.emit(parking, "PenaltyPaid")
+        .withArgs(user1.address, PENALTY)
+        .and.to.emit(parking, "PaymentCredited")
+        .withArgs(user1.address, PRICE * 2n - PENALTY);
+      expect(await parking.outstandingPenalties(user1.address)).to.equal(0);
+    });
+
+    it("Should bar users after repeated overstays until the owner clears them", async function () {
+      const { parking, owner, user1, user2, endTime } = await loadFixture(setupRunningReservation);
+      const overstay = async (reservationId) => {
+        const reservation = await parking.reservations(reservationId);
+        await time.increaseTo(Number(reservation.endTime) + GRACE + 1);
+        await parking.connect(user2).markOverstay(reservationId);
+        await parking.connect(user1).payPenalty({ value: PENALTY });
+      };
+
+      await time.increaseTo(endTime - 1);
+      await overstay(1);
+      await parking.connect(user1).makeReservation(1, 1, { value: PRICE });
+      await overstay(2);
+      await parking.connect(user1).makeReservation(1, 1, { value: PRICE });
+      await overstay(3);
+
+      expect(await parking.overstayCounts(user1.address)).to.equal(3);
+      await expect(
+        parking.connect(user1).makeReservation(1, 1, { value: PRICE })
+      ).to.be.revertedWith("Too many overstays");
+      await expect(parking.connect(user2).clearOverstays(user1.address)).to.be.revertedWith(
+        "Not owner"
+      );
+
+      await expect(parking.connect(owner).clearOverstays(user1.address))
+        .to.emit(parking, "OverstaysCleared")
+        .withArgs(user1.address);
+      await parking.connect(user1).makeReservation(1, 1, { value: PRICE });
+    });
+  });
+
+  describe("ERC-20 Payments", function () {
+    const HOUR = 3600;
+    const PRICE = 5_000_000n; // 5 mUSD per hour (6 decimals)
+
+    // Parking priced in the mock stablecoin from deploy/, with spot 1 and registered user1
+    async function setupTokenPayments() {
+      await deployments.fixture(["mocks"]);
+      const { address } = await deployments.get("MockERC20Permit");
+      const token = await ethers.getContractAt("MockERC20Permit", address);
+
+      const fixture = await deployParkingFixture();
+      const { parking, owner, user1 } = fixture;
+      await parking.connect(owner).setPaymentToken(address);
+      await parking.connect(owner).addParkingSpot("Zone A - Spot 1", PRICE);
+      await parking.connect(user1).registerUser(1001, 750);
+      return { ...fixture, token };
+    }
+
+    async function signPermit(token, signer, spender, value, deadline) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const signature = await signer.signTypedData(
+        {
+          name: await token.name(),
+          version: "1",
+          chainId,
+          verifyingContract: await token.getAddress(),
+        },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+          ],
+        },
+        {
+          owner: signer.address,
+          spender,
+          value,
+          nonce: await token.nonces(signer.address),
+          deadline,
+        }
+      );
+      return ethers.Signature.from(signature);
+    }
+
+    it("Should only switch the payment token before the first reservation", async function () {
+      const { parking, owner, user1, token } = await loadFixture(setupTokenPayments);
+
+      expect(await parking.paymentToken()).to.equal(await token.getAddress());
+      await expect(parking.connect(user1).setPaymentToken(ethers.ZeroAddress)).to.be.revertedWith(
+        "Not owner"
+      );
+      await expect(parking.connect(owner).setPaymentToken(user1.address)).to.be.revertedWith(
+        "Invalid token"
+      );
+
+      await token.connect(user1).approve(await parking.getAddress(), PRICE);
+      await parking.connect(user1).makeReservation(1, 1);
+      await expect(parking.connect(owner).setPaymentToken(ethers.ZeroAddress)).to.be.revertedWith(
+        "Payments already taken"
+      );
+    });
+
+    it("Should only switch the payment token while no payments are held", async function () {
+      const { parking, owner, user1, user2, token } = await loadFixture(setupTokenPayments);
+      const parkingAddress = await parking.getAddress();
+      const payOut = async () => {
+        for (const account of [owner, user1, user2]) {
+          if ((await parking.pendingWithdrawals(account.address)) > 0n) {
+            await parking.connect(account).withdraw();
+          }
+        }
+        if ((await parking.platformFees()) > 0n) {
+          await parking.connect(owner).withdrawPlatformFees(owner.address);
+        }
+      };
+
+      await parking.connect(user2).registerUser(1002, 700);
+      await token.connect(user1).approve(parkingAddress, PRICE);
+      await token.connect(user2).approve(parkingAddress, PRICE);
+      await parking.connect(user1).makeReservation(1, 1);
+      await parking.connect(user2).joinWaitlist(1, 1);
+      await parking.connect(user1).completeReservation(1);
+      await payOut();
+
+      // The reservation is paid out, the waitlist deposit is still held
+      expect(await parking.totalEscrowed()).to.equal(PRICE);
+      await expect(parking.connect(owner).setPaymentToken(ethers.ZeroAddress)).to.be.revertedWith(
+        "Payments already taken"
+      );
+
+      await parking.connect(user2).leaveWaitlist(1);
+      await payOut();
+      expect(await parking.totalEscrowed()).to.equal(0n);
+      await expect(parking.connect(owner).setPaymentToken(ethers.ZeroAddress))
+        .to.emit(parking, "PaymentTokenUpdated")
+        .withArgs(ethers.ZeroAddress);
+    });
+
+    it("Should hold token payments in escrow and pay out through withdraw", async function () {
+      const { parking, owner, user1, token } = await loadFixture(setupTokenPayments);
+      const parkingAddress = await parking.getAddress();
+
+      await token.connect(user1).approve(parkingAddress, PRICE * 2n);
+      await expect(parking.connect(user1).makeReservation(1, 2)).to.changeTokenBalances(
+        token,
+        [user1, parking],
+        [-PRICE * 2n, PRICE * 2n]
+      );
+
+      await parking.connect(user1).completeReservation(1);
+      expect(await parking.pendingWithdrawals(owner.address)).to.equal(PRICE * 2n);
+      await expect(parking.connect(owner).withdraw()).to.changeTokenBalances(
+        token,
+        [owner, parking],
+        [PRICE * 2n, -PRICE * 2n]
+      );
+    });
+
+    it("Should reserve in one transaction with a permit", async function () {
+      const { parking, user1, token } = await loadFixture(setupTokenPayments);
+      const parkingAddress = await parking.getAddress();
+
+      const startTime = (await time.latest()) + 24 * HOUR;
+      const deadline = startTime;
+      const { v, r, s } = await signPermit(token, user1, parkingAddress, PRICE * 3n, deadline);
+
+      await expect(
+        parking.connect(user1).makeReservationWithPermit(1, startTime, 3, deadline, v, r, s)
+      ).to.changeTokenBalance(token, user1, -PRICE * 3n);
+      const reservation = await parking.reservations(1);
+      expect(reservation.startTime).to.equal(startTime);
+      expect(reservation.totalPrice).to.equal(PRICE * 3n);
+
+      // Replaying the used permit is ignored; without an allowance the payment fails
+      await expect(
+        parking.connect(user1).makeReservationWithPermit(1, 0, 1, deadline, v, r, s)
+      ).to.be.revertedWith("Token transfer failed");
+    });
+
+    it("Should refund cancellations in the token", async function () {
+      const { parking, user1, token } = await loadFixture(setupTokenPayments);
+
+      const startTime = (await time.latest()) + 24 * HOUR;
+      await token.connect(user1).approve(await parking.getAddress(), PRICE);
+      await parking.connect(user1).makeReservationAt(1, startTime, 1);
+      await parking.connect(user1).cancelReservation(1);
+
+      await expect(parking.connect(user1).withdraw()).to.changeTokenBalance(token, user1, PRICE);
+    });
+
+    it("Should reject ETH when a token is set, and permits when it is not", async function () {
+      const { parking, user1, token } = await loadFixture(setupTokenPayments);
+
+      await token.connect(user1).approve(await parking.getAddress(), PRICE);
+      await expect(
+        parking.connect(user1).makeReservation(1, 1, { value: PRICE })
+      ).to.be.revertedWith("ETH not accepted");
+
+      const { parking: ethParking, user1: ethUser } = await loadFixture(deployParkingFixture);
+      await ethParking.connect(ethUser).registerUser(1001, 750);
+      await expect(
+        ethParking
+          .connect(ethUser)
+          .makeReservationWithPermit(1, 0, 1, 0, 0, ethers.ZeroHash, ethers.ZeroHash)
+      ).to.be.revertedWith("Token payments disabled");
+    });
+  });
+
   describe("Gas Optimization", function () {
     it("Should use reasonable gas for user registration", async function () {
       const { parking, user1 } = await loadFixture(deployParkingFixture);
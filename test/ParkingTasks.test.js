@@ -0,0 +1,223 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { formatText, resolveSigner, serialize } = require("../scripts/lib/cli");
+const { deployParking } = require("./helpers/deploy");
+
+const { ethers, fhevm } = hre;
+
+describe("Parking tasks", function () {
+  let consoleLog;
+  let consoleError;
+
+  // The commands print their results and progress; keep the test output readable
+  beforeEach(function () {
+    consoleLog = console.log;
+    consoleError = console.error;
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  async function deploy(contractName) {
+    const contract = await deployParking(contractName);
+    return { contract, at: await contract.getAddress() };
+  }
+
+  describe("ParkingReservation", function () {
+    let target;
+
+    beforeEach(async function () {
+      const { at } = await deploy("ParkingReservation");
+      target = { contract: "ParkingReservation", at };
+    });
+
+    it("Should add a spot, reserve it and complete the reservation", async function () {
+      const [, user1] = await ethers.getSigners();
+
+      const added = await hre.run("parking:spot:add", {
+        ...target,
+        location: "Zone A",
+        price: "0.01",
+      });
+      expect(added).to.include({ spotId: 1 });
+      expect(added.events).to.deep.equal(["ParkingSpotAdded"]);
+
+      await hre.run("parking:register", { ...target, from: "1", userId: 1001, creditScore: 750 });
+      const reserved = await hre.run("parking:reserve", {
+        ...target,
+        from: user1.address,
+        spot: 1,
+        duration: 7200,
+      });
+      expect(reserved.reservationId).to.equal(1);
+      expect(reserved.txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+      const reservation = await hre.run("parking:reservation", { ...target, id: 1 });
+      expect(reservation).to.include({ user: user1.address, spotId: 1, status: "Active" });
+      expect(reservation.amount).to.equal(ethers.parseEther("0.02").toString());
+
+      const active = await hre.run("parking:reservations:active", target);
+      expect(active.items.map((item) => item.id)).to.deep.equal([1]);
+      await hre.run("parking:complete", { ...target, from: "1", id: 1 });
+      expect(await hre.run("parking:reservations:active", target)).to.deep.equal({
+        items: [],
+        total: 1,
+      });
+      expect(await hre.run("parking:users", { ...target, limit: 10 })).to.deep.equal({
+        items: [{ address: user1.address, isRegistered: true, userId: 1001, creditScore: 750 }],
+        total: 1,
+      });
+
+      const stats = await hre.run("parking:stats", { ...target, json: true });
+      expect(stats).to.include({ totalSpots: 1, totalReservations: 1 });
+    });
+
+    it("Should call any contract function and list them", async function () {
+      const [, , user2] = await ethers.getSigners();
+
+      expect(await hre.run("parking:call", { ...target, method: "owner" })).to.equal(
+        (await ethers.getSigners())[0].address
+      );
+      const sent = await hre.run("parking:call", {
+        ...target,
+        method: "setKeeper",
+        args: JSON.stringify([user2.address, true]),
+      });
+      expect(sent.events).to.deep.equal(["KeeperUpdated"]);
+      expect(
+        await hre.run("parking:call", {
+          ...target,
+          method: "keepers",
+          args: JSON.stringify([user2.address]),
+        })
+      ).to.equal(true);
+
+      const functions = await hre.run("parking:functions", target);
+      expect(functions).to.include("markOverstay(uint256) nonpayable");
+      expect(functions).to.include("quotePrice(uint256,uint256,uint256) view");
+    });
+
+    it("Should import spots from a file and export them", async function () {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "spots-"));
+      const file = path.join(directory, "spots.csv");
+      fs.writeFileSync(file, "location,price\nZone A,0.01\nZone B,0.02\nZone C,0.03\n");
+
+      try {
+        expect(await hre.run("parking:spot:import", { ...target, file, dryRun: true })).to.include({
+          spots: 3,
+          valid: true,
+        });
+        const imported = await hre.run("parking:spot:import", { ...target, file, batchSize: 2 });
+        expect(imported).to.include({ imported: 3, skipped: 0, transactions: 2 });
+        expect(await hre.run("parking:spot:import", { ...target, file, batchSize: 2 })).to.include({
+          imported: 0,
+          skipped: 3,
+        });
+
+        const exported = path.join(directory, "export.json");
+        await hre.run("parking:spot:export", { ...target, file: exported });
+        expect(JSON.parse(fs.readFileSync(exported, "utf8"))[2]).to.deep.equal({
+          location: "Zone C",
+          price: "0.03",
+          lot: 0,
+          maintenance: false,
+        });
+
+        fs.writeFileSync(file, "location,price\n,0.01\n");
+        await expect(hre.run("parking:spot:import", { ...target, file })).to.be.rejectedWith(
+          /Row 1: Location required/
+        );
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    it("Should reject unknown accounts and malformed arguments", async function () {
+      await expect(hre.run("parking:stats", { ...target, from: "99" })).to.be.rejectedWith(
+        /No account 99/
+      );
+      await expect(
+        hre.run("parking:call", { ...target, method: "owner", args: "[1," })
+      ).to.be.rejectedWith(/--args is not valid JSON/);
+    });
+  });
+
+  describe("PrivateParkingReservation", function () {
+    // The plugin's decryption oracle would answer the timed-out request in later test files
+    after(async function () {
+      await fhevm.awaitDecryptionOracle().catch(() => null);
+    });
+
+    it("Should encrypt the registration and offer, and refund a timed-out request", async function () {
+      const [, user1] = await ethers.getSigners();
+      const { at } = await deploy("PrivateParkingReservation");
+      const target = { contract: "PrivateParkingReservation", at };
+
+      await hre.run("parking:spot:add", { ...target, location: "Zone A", price: "100" });
+      await hre.run("parking:register", { ...target, from: "1", userId: 1001, creditScore: 700 });
+      expect(await hre.run("parking:user", { ...target, address: user1.address })).to.include({
+        isRegistered: true,
+      });
+
+      const { reservationId, requestId } = await hre.run("parking:reserve", {
+        ...target,
+        from: "1",
+        spot: 0,
+        duration: 3600,
+        payment: "0.000000000000001",
+      });
+      expect(
+        (await hre.run("parking:reservation", { ...target, id: reservationId })).status
+      ).to.equal("Pending");
+
+      await time.increase(3600);
+      const refunded = await hre.run("parking:timeout", { ...target, from: "1", id: requestId });
+      expect(refunded.events).to.include("TimeoutTriggered");
+      expect(
+        (await hre.run("parking:reservation", { ...target, id: reservationId })).status
+      ).to.equal("Refunded");
+    });
+  });
+
+  describe("Output", function () {
+    it("Should serialize amounts and transaction results to JSON values", function () {
+      const result = {
+        tx: { hash: "0xabc" },
+        receipt: { blockNumber: 7, gasUsed: 21000n },
+        events: [{ name: "ReservationCreated" }],
+        reservationId: 3,
+        price: 10n ** 18n,
+      };
+
+      expect(serialize(result)).to.deep.equal({
+        reservationId: 3,
+        price: "1000000000000000000",
+        txHash: "0xabc",
+        blockNumber: 7,
+        gasUsed: "21000",
+        events: ["ReservationCreated"],
+      });
+      expect(formatText({ spotId: 1, available: true })).to.equal("spotId: 1\navailable: true");
+      expect(formatText([])).to.equal("(none)");
+    });
+
+    it("Should pick the sending account by index or address", async function () {
+      const signers = await ethers.getSigners();
+
+      expect(resolveSigner(signers)).to.equal(signers[0]);
+      expect(resolveSigner(signers, "2")).to.equal(signers[2]);
+      expect(resolveSigner(signers, signers[3].address.toLowerCase())).to.equal(signers[3]);
+      expect(() => resolveSigner(signers, "0x0000000000000000000000000000000000000001")).to.throw(
+        /No account/
+      );
+    });
+  });
+});
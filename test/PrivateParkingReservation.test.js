@@ -0,0 +1,1435 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { setCode, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployParking } = require("./helpers/deploy");
+
+const STATUS = { Pending: 0n, Active: 1n, Completed: 2n, Cancelled: 3n, Refunded: 4n };
+const DEPOSIT = 1000n;
+const DURATION = 3600;
+// Runtime code that reverts on every call, so plain ETH transfers to the account fail
+const REJECTING_CODE = "0x60006000fd";
+
+describe("PrivateParkingReservation", function () {
+  // The mock decryption oracle can miss snapshot reverts, so deploy fresh instead of loadFixture
+  let parking;
+  let owner;
+  let user1;
+  let user2;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    parking = await deployParking();
+
+    await parking.addParkingSpot(100, "Zone A Spot 1");
+    await registerUser(user1, 1001, 700);
+  });
+
+  // Encrypt the credentials client-side, bound to the contract and the sender
+  async function encryptCredentials(user, userId, creditScore) {
+    return fhevm
+      .createEncryptedInput(await parking.getAddress(), user.address)
+      .add32(userId)
+      .add16(creditScore)
+      .encrypt();
+  }
+
+  async function registerUser(user, userId, creditScore) {
+    const { handles, inputProof } = await encryptCredentials(user, userId, creditScore);
+    return parking.connect(user).registerUser(handles[0], handles[1], inputProof);
+  }
+
+  // Encrypted offer arguments (handle and input proof) for requestReservation and requestReservationAt
+  async function encryptOffer(user, offer = DEPOSIT) {
+    const { handles, inputProof } = await fhevm
+      .createEncryptedInput(await parking.getAddress(), user.address)
+      .add64(offer)
+      .encrypt();
+    return [handles[0], inputProof];
+  }
+
+  async function requestReservation(user = user1, spotId = 0, offer = DEPOSIT) {
+    await parking
+      .connect(user)
+      .requestReservation(spotId, DURATION, ...(await encryptOffer(user, offer)), {
+        value: DEPOSIT,
+      });
+    const reservationId = (await parking.reservationCounter()) - 1n;
+    const { decryptionRequestId } = await parking.reservations(reservationId);
+    return { reservationId, requestId: decryptionRequestId };
+  }
+
+  describe("Encrypted registration", function () {
+    // Distinctive values, so finding them in calldata cannot be a coincidence
+    const USER_ID = 0x5a17c0de;
+    const CREDIT_SCORE = 777;
+
+    it("Should keep the cleartext credentials out of the transaction data", async function () {
+      const tx = await registerUser(user2, USER_ID, CREDIT_SCORE);
+      const data = tx.data.toLowerCase();
+
+      expect(data).to.not.contain(USER_ID.toString(16));
+      expect(data).to.not.contain(ethers.zeroPadValue(ethers.toBeHex(USER_ID), 32).slice(2));
+      expect(data).to.not.contain(ethers.zeroPadValue(ethers.toBeHex(CREDIT_SCORE), 32).slice(2));
+
+      // Only handles and the proof are sent
+      const [userIdHandle, creditScoreHandle] = parking.interface.decodeFunctionData(
+        "registerUser",
+        tx.data
+      );
+      expect(userIdHandle).to.not.equal(ethers.zeroPadValue(ethers.toBeHex(USER_ID), 32));
+      expect(creditScoreHandle).to.not.equal(ethers.zeroPadValue(ethers.toBeHex(CREDIT_SCORE), 32));
+    });
+
+    it("Should store the encrypted values for the user to decrypt", async function () {
+      await registerUser(user2, USER_ID, CREDIT_SCORE);
+      const profile = await parking.userProfiles(user2.address);
+      const contractAddress = await parking.getAddress();
+
+      expect(profile.isRegistered).to.equal(true);
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint32,
+          profile.encryptedUserId,
+          contractAddress,
+          user2
+        )
+      ).to.equal(BigInt(USER_ID));
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint16,
+          profile.encryptedCreditScore,
+          contractAddress,
+          user2
+        )
+      ).to.equal(BigInt(CREDIT_SCORE));
+    });
+
+    it("Should cap the credit score at MAX_CREDIT_SCORE under encryption", async function () {
+      await registerUser(user2, USER_ID, 900);
+      const profile = await parking.userProfiles(user2.address);
+
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint16,
+          profile.encryptedCreditScore,
+          await parking.getAddress(),
+          user2
+        )
+      ).to.equal(850n);
+    });
+
+    it("Should reject inputs encrypted for another sender", async function () {
+      const { handles, inputProof } = await encryptCredentials(user1, USER_ID, CREDIT_SCORE);
+
+      await expect(parking.connect(user2).registerUser(handles[0], handles[1], inputProof)).to.be
+        .reverted;
+      expect((await parking.userProfiles(user2.address)).isRegistered).to.equal(false);
+    });
+
+    it("Should not register the same account twice", async function () {
+      await expect(registerUser(user1, 1001, 700)).to.be.revertedWith("User already registered");
+    });
+  });
+
+  describe("Gateway callback", function () {
+    it("Should confirm the reservation when the spot is available", async function () {
+      const { reservationId, requestId } = await requestReservation();
+      expect((await parking.reservations(reservationId)).status).to.equal(STATUS.Pending);
+
+      await fhevm.awaitDecryptionOracle();
+
+      const reservation = await parking.reservations(reservationId);
+      expect(reservation.status).to.equal(STATUS.Active);
+      expect((await parking.getSpotInfo(0)).reservationEnd).to.equal(reservation.endTime);
+      expect((await parking.gatewayRequests(requestId)).processed).to.equal(true);
+      expect(await parking.platformFees()).to.equal(DEPOSIT / 20n);
+
+      const profile = await parking.getUserProfile(user1.address);
+      expect(profile.totalReservations).to.equal(1);
+    });
+
+    it("Should refund the deposit when the spot is not available", async function () {
+      await parking.setSpotMaintenance(0, true);
+      const { reservationId } = await requestReservation();
+
+      // The callback is sent by the oracle's own account, so user1 pays no gas here
+      const balanceBefore = await ethers.provider.getBalance(user1.address);
+      await fhevm.awaitDecryptionOracle();
+      expect(await ethers.provider.getBalance(user1.address)).to.equal(balanceBefore + DEPOSIT);
+      expect(await ethers.provider.getBalance(await parking.getAddress())).to.equal(0);
+
+      const reservation = await parking.reservations(reservationId);
+      expect(reservation.status).to.equal(STATUS.Refunded);
+      expect(reservation.isActive).to.equal(false);
+      expect(await parking.platformFees()).to.equal(0);
+    });
+
+    it("Should block new requests while the confirmed reservation lasts", async function () {
+      await requestReservation();
+      await fhevm.awaitDecryptionOracle();
+
+      await registerUser(user2, 1002, 650);
+      await expect(requestReservation(user2)).to.be.revertedWith("Spot currently reserved");
+    });
+
+    it("Should report the reservation and its request through the summary getters", async function () {
+      const { reservationId, requestId } = await requestReservation();
+      await fhevm.awaitDecryptionOracle();
+
+      const reservation = await parking.reservations(reservationId);
+      const info = await parking.getReservationInfo(reservationId);
+      expect([info.spotId, info.user, info.startTime, info.endTime]).to.deep.equal([
+        0n,
+        user1.address,
+        reservation.startTime,
+        reservation.endTime,
+      ]);
+      expect(info.status).to.equal(STATUS.Active);
+      expect(info.isActive).to.equal(true);
+      await expect(parking.getReservationInfo(reservationId + 1n)).to.be.revertedWith(
+        "Invalid reservation ID"
+      );
+
+      const request = await parking.getRequestStatus(requestId);
+      expect(request.requestType).to.equal(0n);
+      expect(request.reservationId).to.equal(reservationId);
+      expect(request.requester).to.equal(user1.address);
+      expect(request.processed).to.equal(true);
+      expect(request.timedOut).to.equal(false);
+    });
+
+    it("Should reject callbacks without valid KMS signatures", async function () {
+      const { requestId } = await requestReservation();
+      const cleartexts = ethers.AbiCoder.defaultAbiCoder().encode(["uint8", "bool"], [0, true]);
+
+      await expect(parking.reservationCallback(requestId, cleartexts, "0x00")).to.be.reverted;
+
+      await fhevm.awaitDecryptionOracle();
+    });
+  });
+
+  describe("Encrypted offers", function () {
+    const PRICE = 100n;
+
+    async function refundedFor(offer) {
+      const { reservationId, requestId } = await requestReservation(user1, 0, offer);
+      const balanceBefore = await ethers.provider.getBalance(user1.address);
+
+      await fhevm.awaitDecryptionOracle();
+
+      expect(await ethers.provider.getBalance(user1.address)).to.equal(balanceBefore + DEPOSIT);
+      expect((await parking.reservations(reservationId)).status).to.equal(STATUS.Refunded);
+      expect((await parking.gatewayRequests(requestId)).processed).to.equal(true);
+      expect(await parking.platformFees()).to.equal(0);
+
+      const [event] = await parking.queryFilter(parking.filters.RefundIssued(user1.address));
+      expect(event.args.reason).to.equal("Offer not accepted");
+    }
+
+    it("Should keep the offer out of the transaction data", async function () {
+      // Distinctive value, so finding it in calldata cannot be a coincidence
+      const offer = 0x1abcdn;
+      const args = await encryptOffer(user1, offer);
+      const tx = await parking
+        .connect(user1)
+        .requestReservation(0, DURATION, ...args, { value: 0x2abcdn });
+
+      expect(tx.data.toLowerCase()).to.not.contain(offer.toString(16));
+      await fhevm.awaitDecryptionOracle();
+    });
+
+    it("Should confirm an offer that covers the price and store it for the user", async function () {
+      const { reservationId } = await requestReservation(user1, 0, PRICE);
+      await fhevm.awaitDecryptionOracle();
+
+      const reservation = await parking.reservations(reservationId);
+      expect(reservation.status).to.equal(STATUS.Active);
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint64,
+          reservation.encryptedPaidAmount,
+          await parking.getAddress(),
+          user1
+        )
+      ).to.equal(PRICE);
+    });
+
+    it("Should refund an offer below the spot price", async function () {
+      await refundedFor(PRICE - 1n);
+    });
+
+    it("Should refund an offer the deposit does not cover", async function () {
+      await refundedFor(DEPOSIT + 1n);
+    });
+
+    it("Should only decrypt the spot status and the result of the comparison", async function () {
+      const args = await encryptOffer(user1, PRICE);
+      const tx = await parking
+        .connect(user1)
+        .requestReservation(0, DURATION, ...args, { value: DEPOSIT });
+      const [request] = fhevm.parseDecryptionRequestEvents((await tx.wait()).logs);
+
+      // The spot status and an ebool, never the offer or the price
+      expect(request.handlesBytes32Hex).to.have.lengthOf(2);
+      const [, offerAccepted] = await ethers.provider.send("fhevm_getClearText", [
+        request.handlesBytes32Hex,
+      ]);
+      expect(BigInt(offerAccepted)).to.equal(1n);
+      await fhevm.awaitDecryptionOracle();
+    });
+
+    it("Should reject deposits that do not fit in 64 bits", async function () {
+      const args = await encryptOffer(user1);
+      await expect(
+        parking.connect(user1).requestReservation(0, DURATION, ...args, { value: 2n ** 64n })
+      ).to.be.revertedWith("Payment too large");
+    });
+  });
+
+  describe("Encrypted query results", function () {
+    async function decryptAvailability(user, spotId = 0) {
+      await parking.connect(user).checkSpotAvailability(spotId);
+      const handle = await parking.connect(user).getAvailabilityResult(spotId);
+      return fhevm.userDecryptEbool(handle, await parking.getAddress(), user);
+    }
+
+    it("Should let the caller decrypt spot availability", async function () {
+      expect(await decryptAvailability(user1)).to.equal(true);
+
+      await parking.setSpotMaintenance(0, true);
+      expect(await decryptAvailability(user1)).to.equal(false);
+    });
+
+    it("Should report a spot held by a confirmed reservation as unavailable", async function () {
+      await requestReservation();
+      await fhevm.awaitDecryptionOracle();
+
+      expect(await decryptAvailability(user2)).to.equal(false);
+    });
+
+    it("Should let the caller decrypt identity checks", async function () {
+      await parking.connect(user1).verifyUserIdentity(user1.address, 1001);
+      const handle = await parking.connect(user1).getIdentityResult(user1.address);
+      expect(await fhevm.userDecryptEbool(handle, await parking.getAddress(), user1)).to.equal(
+        true
+      );
+
+      // Operators may check other users
+      await parking.connect(owner).verifyUserIdentity(user1.address, 1002);
+      const mismatch = await parking.connect(owner).getIdentityResult(user1.address);
+      expect(await fhevm.userDecryptEbool(mismatch, await parking.getAddress(), owner)).to.equal(
+        false
+      );
+    });
+
+    it("Should not let third parties check another user's identity", async function () {
+      await registerUser(user2, 1002, 650);
+      await expect(
+        parking.connect(user2).verifyUserIdentity(user1.address, 1001)
+      ).to.be.revertedWith("Not authorized: operator only");
+    });
+
+    it("Should not let other accounts decrypt a result", async function () {
+      await parking.connect(user1).checkSpotAvailability(0);
+      const handle = await parking.connect(user1).getAvailabilityResult(0);
+
+      // Results are kept per caller
+      expect(await parking.connect(user2).getAvailabilityResult(0)).to.equal(ethers.ZeroHash);
+      await expect(fhevm.userDecryptEbool(handle, await parking.getAddress(), user2)).to.be
+        .rejected;
+    });
+  });
+
+  describe("Credit tiers", function () {
+    const TIER = { DepositRequired: 0n, Standard: 1n, Discount: 2n };
+
+    // Below 600 ineligible, below 650 +50% deposit, from 750 20% off the price of 100
+    beforeEach(async function () {
+      await parking.setCreditTiers(600, 650, 50, 750, 20);
+    });
+
+    async function statusFor(user, offer) {
+      const { reservationId } = await requestReservation(user, 0, offer);
+      await fhevm.awaitDecryptionOracle();
+      return (await parking.reservations(reservationId)).status;
+    }
+
+    it("Should accept a discounted offer from a high score", async function () {
+      await registerUser(user2, 1002, 800);
+
+      expect(await statusFor(user2, 79n)).to.equal(STATUS.Refunded);
+      expect(await statusFor(user2, 80n)).to.equal(STATUS.Active);
+    });
+
+    it("Should require the security deposit from a low score", async function () {
+      await registerUser(user2, 1002, 620);
+
+      expect(await statusFor(user2, 149n)).to.equal(STATUS.Refunded);
+      expect(await statusFor(user2, 150n)).to.equal(STATUS.Active);
+    });
+
+    it("Should charge the spot price to a standard score", async function () {
+      expect(await statusFor(user1, 99n)).to.equal(STATUS.Refunded);
+      expect(await statusFor(user1, 100n)).to.equal(STATUS.Active);
+    });
+
+    it("Should refund any offer from a score below the minimum", async function () {
+      await registerUser(user2, 1002, 550);
+
+      expect(await statusFor(user2, DEPOSIT)).to.equal(STATUS.Refunded);
+    });
+
+    it("Should let users decrypt their own tier", async function () {
+      await registerUser(user2, 1002, 800);
+
+      for (const [user, tier] of [
+        [user1, TIER.Standard],
+        [user2, TIER.Discount],
+      ]) {
+        await parking.connect(user).checkCreditTier();
+        const handle = await parking.connect(user).getCreditTierResult();
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint8, handle, await parking.getAddress(), user)
+        ).to.equal(tier);
+      }
+    });
+
+    it("Should only let operators configure valid tiers", async function () {
+      await expect(parking.connect(user1).setCreditTiers(0, 0, 0, 0, 0)).to.be.revertedWith(
+        "Not authorized: operator only"
+      );
+      await expect(parking.setCreditTiers(0, 0, 0, 851, 10)).to.be.revertedWith(
+        "Invalid credit score"
+      );
+      await expect(parking.setCreditTiers(0, 700, 10, 650, 10)).to.be.revertedWith(
+        "Invalid tier order"
+      );
+      await expect(parking.setCreditTiers(0, 0, 0, 750, 100)).to.be.revertedWith(
+        "Invalid percentage"
+      );
+
+      await expect(parking.setCreditTiers(0, 0, 0, 0, 0))
+        .to.emit(parking, "CreditTiersUpdated")
+        .withArgs(0, 0, 0, 0, 0);
+      expect((await parking.creditTiers()).discountScore).to.equal(0);
+    });
+  });
+
+  describe("Pricing rules", function () {
+    const HOUR = 3600;
+    const DAY = 24 * HOUR;
+    // Neutral rule: every percentage at 100, no peak hours, no surge, no cap
+    const RULE = {
+      enabled: true,
+      peakStartHour: 0,
+      peakEndHour: 0,
+      peakPercent: 100,
+      weekendPercent: 100,
+      surgeOccupancy: 0,
+      surgePercent: 100,
+      maxPrice: 0,
+    };
+
+    // Next time of day on a day of the week counted from Thursday, as 1970-01-01 was one (Monday is 4)
+    async function next(dayOfWeek, hour) {
+      const now = await time.latest();
+      let start = Math.floor(now / DAY) * DAY + hour * HOUR;
+      while (start <= now || Math.floor(start / DAY) % 7 !== dayOfWeek) start += DAY;
+      return start;
+    }
+
+    async function quote(user, spotId, startTime, duration) {
+      await parking.connect(user).quotePrice(spotId, startTime, duration);
+      const handle = await parking.connect(user).getQuoteResult();
+      return fhevm.userDecryptEuint(FhevmType.euint64, handle, await parking.getAddress(), user);
+    }
+
+    async function statusAt(startTime, duration, offer) {
+      await parking
+        .connect(user1)
+        .requestReservationAt(0, startTime, duration, ...(await encryptOffer(user1, offer)), {
+          value: DEPOSIT,
+        });
+      const reservationId = (await parking.reservationCounter()) - 1n;
+      await fhevm.awaitDecryptionOracle();
+      return (await parking.reservations(reservationId)).status;
+    }
+
+    it("Should charge every started hour at the peak rate of the spot's rule", async function () {
+      await parking.setSpotPricingRule(0, {
+        ...RULE,
+        peakStartHour: 8,
+        peakEndHour: 10,
+        peakPercent: 200,
+      });
+      // Monday 07:00-09:30: one hour at 100, then two started peak hours at 200
+      const monday = await next(4, 7);
+
+      expect(await quote(user1, 0, monday, 2.5 * HOUR)).to.equal(500n);
+      expect(await statusAt(monday, 2.5 * HOUR, 499n)).to.equal(STATUS.Refunded);
+      expect(await statusAt(monday, 2.5 * HOUR, 500n)).to.equal(STATUS.Active);
+    });
+
+    it("Should apply the weekend rate and the caller's credit tier to the quote", async function () {
+      await parking.setLotPricingRule(0, { ...RULE, weekendPercent: 150 });
+      await parking.setCreditTiers(0, 0, 0, 750, 20);
+      await registerUser(user2, 1002, 800);
+      const saturday = await next(2, 12);
+
+      expect(await quote(user1, 0, saturday, 2 * HOUR)).to.equal(300n);
+      expect(await quote(user2, 0, saturday, 2 * HOUR)).to.equal(240n);
+    });
+
+    it("Should cap hourly prices at the rule's maxPrice and at MAX_PRICE", async function () {
+      await parking.updateSpotPrice(0, 9000);
+      await parking.setSpotPricingRule(0, { ...RULE, weekendPercent: 200 });
+      const saturday = await next(2, 12);
+
+      expect(await quote(user1, 0, saturday, HOUR)).to.equal(10000n);
+
+      await parking.setSpotPricingRule(0, { ...RULE, weekendPercent: 200, maxPrice: 9500 });
+      expect(await quote(user1, 0, saturday, HOUR)).to.equal(9500n);
+
+      // A cleared rule prices every hour at the spot price again
+      await parking.setSpotPricingRule(0, { ...RULE, enabled: false });
+      expect(await quote(user1, 0, saturday, 2 * HOUR)).to.equal(18000n);
+    });
+
+    it("Should surge while the lot's occupancy is at the threshold", async function () {
+      await parking.addParkingSpot(100, "Zone A Spot 2");
+      await parking.setLotPricingRule(0, { ...RULE, surgeOccupancy: 50, surgePercent: 200 });
+      expect(await quote(user1, 1, 0, HOUR)).to.equal(100n);
+
+      const { reservationId } = await requestReservation();
+      await fhevm.awaitDecryptionOracle();
+      expect(await parking.lotOccupancy(0)).to.deep.equal([2n, 1n]);
+      expect(await quote(user1, 1, 0, HOUR)).to.equal(200n);
+
+      await time.increase(DURATION);
+      await parking.completeReservation(reservationId);
+      expect(await parking.lotOccupancy(0)).to.deep.equal([2n, 0n]);
+      expect(await quote(user1, 1, 0, HOUR)).to.equal(100n);
+    });
+
+    it("Should only let spot and lot operators set valid rules", async function () {
+      await expect(parking.connect(user1).setSpotPricingRule(0, RULE)).to.be.revertedWith(
+        "Not authorized: operator only"
+      );
+      await expect(parking.connect(user1).setLotPricingRule(0, RULE)).to.be.revertedWith(
+        "Not authorized: lot operator only"
+      );
+      await expect(parking.setSpotPricingRule(0, { ...RULE, peakEndHour: 24 })).to.be.revertedWith(
+        "Invalid hour"
+      );
+      await expect(parking.setSpotPricingRule(0, { ...RULE, peakPercent: 501 })).to.be.revertedWith(
+        "Invalid percentage"
+      );
+      await expect(
+        parking.setSpotPricingRule(0, { ...RULE, surgeOccupancy: 101 })
+      ).to.be.revertedWith("Invalid percentage");
+      await expect(parking.setSpotPricingRule(0, { ...RULE, maxPrice: 10001 })).to.be.revertedWith(
+        "Invalid price"
+      );
+      await expect(parking.connect(user1).quotePrice(0, 0, 60)).to.be.revertedWith(
+        "Invalid duration"
+      );
+
+      await expect(parking.setSpotPricingRule(0, RULE))
+        .to.emit(parking, "SpotPricingRuleUpdated")
+        .withArgs(0, true);
+      await expect(parking.setLotPricingRule(0, { ...RULE, enabled: false }))
+        .to.emit(parking, "LotPricingRuleUpdated")
+        .withArgs(0, false);
+      expect((await parking.spotPricingRules(0)).peakPercent).to.equal(100);
+    });
+  });
+
+  describe("Time windows", function () {
+    const HOUR = 3600;
+
+    async function requestWindow(user, startTime, duration = HOUR) {
+      await parking
+        .connect(user)
+        .requestReservationAt(0, startTime, duration, ...(await encryptOffer(user)), {
+          value: DEPOSIT,
+        });
+      return (await parking.reservationCounter()) - 1n;
+    }
+
+    beforeEach(async function () {
+      await registerUser(user2, 1002, 650);
+    });
+
+    it("Should hold a future window while pending and confirm it without occupying the spot", async function () {
+      const tomorrow = (await time.latest()) + 24 * HOUR;
+      const reservationId = await requestWindow(user1, tomorrow, 2 * HOUR);
+
+      await expect(requestWindow(user2, tomorrow + HOUR)).to.be.revertedWith(
+        "Time slot already booked"
+      );
+
+      await fhevm.awaitDecryptionOracle();
+      const reservation = await parking.reservations(reservationId);
+      expect(reservation.status).to.equal(STATUS.Active);
+      expect(reservation.startTime).to.equal(tomorrow);
+      expect((await parking.getSpotInfo(0)).reservationEnd).to.equal(0);
+
+      const [ids, startTimes, endTimes] = await parking.getSpotBookings(0);
+      expect(ids).to.deep.equal([reservationId]);
+      expect(startTimes).to.deep.equal([BigInt(tomorrow)]);
+      expect(endTimes).to.deep.equal([BigInt(tomorrow + 2 * HOUR)]);
+
+      // The spot is still free until then
+      const { reservationId: nowId } = await requestReservation(user2);
+      await fhevm.awaitDecryptionOracle();
+      expect((await parking.reservations(nowId)).status).to.equal(STATUS.Active);
+    });
+
+    it("Should confirm a window after the current reservation while the spot is reserved", async function () {
+      await requestReservation(user1);
+      await fhevm.awaitDecryptionOracle();
+      const { reservationEnd } = await parking.getSpotInfo(0);
+
+      const laterId = await requestWindow(user2, Number(reservationEnd));
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await parking.reservations(laterId)).status).to.equal(STATUS.Active);
+      expect((await parking.getSpotInfo(0)).reservationEnd).to.equal(reservationEnd);
+    });
+
+    it("Should reject start times in the past or too far ahead", async function () {
+      const now = await time.latest();
+      const maxAdvance = Number(await parking.MAX_ADVANCE_BOOKING());
+
+      await expect(requestWindow(user1, now - HOUR)).to.be.revertedWith("Start time in the past");
+      await expect(requestWindow(user1, now + maxAdvance + HOUR)).to.be.revertedWith(
+        "Start time too far ahead"
+      );
+    });
+
+    it("Should not release the running reservation when a future window is cancelled", async function () {
+      await requestReservation(user1);
+      const tomorrow = (await time.latest()) + 24 * HOUR;
+      const laterId = await requestWindow(user2, tomorrow);
+      await fhevm.awaitDecryptionOracle();
+      const { reservationEnd } = await parking.getSpotInfo(0);
+
+      await expect(parking.connect(user2).cancelReservation(laterId))
+        .to.emit(parking, "RefundIssued")
+        .withArgs(user2.address, (DEPOSIT * 90n) / 100n, "User cancelled");
+
+      expect((await parking.getSpotInfo(0)).reservationEnd).to.equal(reservationEnd);
+      const [ids] = await parking.getSpotBookings(0);
+      expect(ids).to.deep.equal([0n]);
+    });
+
+    it("Should free the window of a refunded request", async function () {
+      await parking.setSpotMaintenance(0, true);
+      const tomorrow = (await time.latest()) + 24 * HOUR;
+      const reservationId = await requestWindow(user1, tomorrow);
+      await fhevm.awaitDecryptionOracle();
+      expect((await parking.reservations(reservationId)).status).to.equal(STATUS.Refunded);
+
+      await parking.setSpotMaintenance(0, false);
+      const retryId = await requestWindow(user2, tomorrow);
+      await fhevm.awaitDecryptionOracle();
+      expect((await parking.reservations(retryId)).status).to.equal(STATUS.Active);
+    });
+  });
+
+  describe("Extension and early check-out", function () {
+    async function activeReservation() {
+      const { reservationId } = await requestReservation();
+      await fhevm.awaitDecryptionOracle();
+      const { startTime, endTime } = await parking.reservations(reservationId);
+      return { reservationId, startTime: Number(startTime), endTime: Number(endTime) };
+    }
+
+    it("Should extend an active reservation once the gateway accepts the payment", async function () {
+      const { reservationId, endTime } = await activeReservation();
+
+      await expect(parking.connect(user1).extendReservation(reservationId, 1800, { value: 500n }))
+        .to.emit(parking, "ExtensionRequested")
+        .and.not.to.emit(parking, "ReservationExtended");
+      const { requestId } = await parking.pendingExtensions(reservationId);
+      expect((await parking.gatewayRequests(requestId)).requestType).to.equal(3n);
+      // The extra time is held while the gateway checks the payment
+      expect((await parking.reservations(reservationId)).endTime).to.equal(endTime + 1800);
+      expect((await parking.reservations(reservationId)).depositAmount).to.equal(DEPOSIT);
+      await expect(
+        parking.connect(user1).extendReservation(reservationId, 1800, { value: 500n })
+      ).to.be.revertedWith("Extension pending");
+      await expect(parking.connect(user1).checkOutEarly(reservationId)).to.be.revertedWith(
+        "Extension pending"
+      );
+
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await parking.pendingExtensions(reservationId)).payment).to.equal(0);
+      const reservation = await parking.reservations(reservationId);
+      expect(reservation.endTime).to.equal(endTime + 1800);
+      expect(reservation.depositAmount).to.equal(DEPOSIT + 500n);
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint64,
+          reservation.encryptedPaidAmount,
+          await parking.getAddress(),
+          user1
+        )
+      ).to.equal(DEPOSIT + 500n);
+      expect((await parking.getSpotInfo(0)).reservationEnd).to.equal(endTime + 1800);
+      expect(await parking.platformFees()).to.equal(DEPOSIT / 20n + 500n / 20n);
+    });
+
+    it("Should refund an extension that does not cover the spot price for every started hour", async function () {
+      const { reservationId, endTime } = await activeReservation();
+      const parkingAddress = await parking.getAddress();
+
+      // 90 minutes start 2 hours at 100 each
+      await parking.connect(user1).extendReservation(reservationId, 5400, { value: 150n });
+      expect((await parking.getSpotInfo(0)).reservationEnd).to.equal(endTime + 5400);
+      expect(await ethers.provider.getBalance(parkingAddress)).to.equal(DEPOSIT + 150n);
+
+      const balanceBefore = await ethers.provider.getBalance(user1.address);
+      await fhevm.awaitDecryptionOracle();
+
+      expect(await ethers.provider.getBalance(user1.address)).to.equal(balanceBefore + 150n);
+      expect(await ethers.provider.getBalance(parkingAddress)).to.equal(DEPOSIT);
+      const reservation = await parking.reservations(reservationId);
+      expect(reservation.endTime).to.equal(endTime);
+      expect(reservation.depositAmount).to.equal(DEPOSIT);
+      expect((await parking.getSpotInfo(0)).reservationEnd).to.equal(endTime);
+      expect(await parking.platformFees()).to.equal(DEPOSIT / 20n);
+
+      // Paying for both started hours is accepted
+      await parking.connect(user1).extendReservation(reservationId, 5400, { value: 200n });
+      await fhevm.awaitDecryptionOracle();
+      expect((await parking.reservations(reservationId)).endTime).to.equal(endTime + 5400);
+      expect((await parking.reservations(reservationId)).depositAmount).to.equal(DEPOSIT + 200n);
+    });
+
+    it("Should refund a pending extension when the gateway times out", async function () {
+      const { reservationId, endTime } = await activeReservation();
+      await parking.connect(user1).extendReservation(reservationId, 1800, { value: 500n });
+      const { requestId } = await parking.pendingExtensions(reservationId);
+
+      await time.increase(3600);
+      await expect(parking.connect(user1).triggerTimeout(requestId))
+        .to.emit(parking, "RefundIssued")
+        .withArgs(user1.address, 500n, "Gateway timeout");
+
+      const reservation = await parking.reservations(reservationId);
+      expect(reservation.status).to.equal(STATUS.Active);
+      expect(reservation.endTime).to.equal(endTime);
+      expect((await parking.pendingExtensions(reservationId)).payment).to.equal(0);
+      // The oracle's late answer is rejected
+      await expect(fhevm.awaitDecryptionOracle()).to.be.rejected;
+    });
+
+    it("Should respect MAX_DURATION and the next booking", async function () {
+      const { reservationId, endTime } = await activeReservation();
+      const maxDuration = Number(await parking.MAX_DURATION());
+
+      await expect(
+        parking.connect(user1).extendReservation(reservationId, maxDuration, { value: 500n })
+      ).to.be.revertedWith("Exceeds maximum duration");
+
+      await registerUser(user2, 1002, 650);
+      await parking
+        .connect(user2)
+        .requestReservationAt(0, endTime + DURATION, DURATION, ...(await encryptOffer(user2)), {
+          value: DEPOSIT,
+        });
+      await expect(
+        parking.connect(user1).extendReservation(reservationId, 2 * DURATION, { value: 500n })
+      ).to.be.revertedWith("Time slot already booked");
+      await fhevm.awaitDecryptionOracle();
+    });
+
+    it("Should only extend the user's own active reservations", async function () {
+      const { reservationId } = await requestReservation();
+
+      await expect(
+        parking.connect(user1).extendReservation(reservationId, 1800, { value: 500n })
+      ).to.be.revertedWith("Reservation not active");
+      await fhevm.awaitDecryptionOracle();
+
+      await expect(
+        parking.connect(user2).extendReservation(reservationId, 1800, { value: 500n })
+      ).to.be.revertedWith("Not your reservation");
+      await expect(
+        parking.connect(user1).extendReservation(reservationId, 1800)
+      ).to.be.revertedWith("Payment required");
+    });
+
+    it("Should refund the unused share of the deposit minus the platform fee", async function () {
+      const { reservationId, startTime } = await activeReservation();
+
+      // Leave after 15 of 60 minutes
+      await time.setNextBlockTimestamp(startTime + 900);
+      const refund = ((DEPOSIT - DEPOSIT / 20n) * 2700n) / 3600n;
+
+      await expect(parking.connect(user1).checkOutEarly(reservationId))
+        .to.emit(parking, "RefundIssued")
+        .withArgs(user1.address, refund, "Early check-out")
+        .and.to.emit(parking, "ReservationCompleted")
+        .withArgs(reservationId, 0);
+
+      const reservation = await parking.reservations(reservationId);
+      expect(reservation.status).to.equal(STATUS.Completed);
+      expect(reservation.endTime).to.equal(startTime + 900);
+      expect((await parking.getSpotInfo(0)).reservationEnd).to.equal(0);
+
+      // The spot can be reserved again right away
+      await registerUser(user2, 1002, 650);
+      const { reservationId: nextId } = await requestReservation(user2);
+      await fhevm.awaitDecryptionOracle();
+      expect((await parking.reservations(nextId)).status).to.equal(STATUS.Active);
+    });
+
+    it("Should not check out of a window that has not started", async function () {
+      const tomorrow = (await time.latest()) + 24 * 3600;
+      await parking
+        .connect(user1)
+        .requestReservationAt(0, tomorrow, DURATION, ...(await encryptOffer(user1)), {
+          value: DEPOSIT,
+        });
+      await fhevm.awaitDecryptionOracle();
+
+      await expect(parking.connect(user1).checkOutEarly(0)).to.be.revertedWith(
+        "Reservation not started"
+      );
+    });
+  });
+
+  describe("Waitlist", function () {
+    const CLAIM_WINDOW = 15 * 60;
+    let user3;
+
+    // user1 occupies spot 0 for an hour; user2 and user3 are registered
+    beforeEach(async function () {
+      [, , , user3] = await ethers.getSigners();
+      await registerUser(user2, 1002, 650);
+      await registerUser(user3, 1003, 600);
+      await requestReservation();
+      await fhevm.awaitDecryptionOracle();
+    });
+
+    async function joinWaitlist(user, offer = DEPOSIT, spotId = 0) {
+      return parking
+        .connect(user)
+        .joinWaitlist(spotId, DURATION, ...(await encryptOffer(user, offer)), { value: DEPOSIT });
+    }
+
+    it("Should queue users for a taken spot with a deposit and an encrypted offer", async function () {
+      await expect(joinWaitlist(user2))
+        .to.emit(parking, "WaitlistJoined")
+        .withArgs(0, user2.address, DEPOSIT);
+      await joinWaitlist(user3);
+
+      expect(await parking.getWaitlist(0)).to.deep.equal([user2.address, user3.address]);
+      const entry = await parking.waitlistEntries(0, user2.address);
+      expect(entry.duration).to.equal(DURATION);
+      expect(entry.deposit).to.equal(DEPOSIT);
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint64,
+          entry.encryptedOffer,
+          await parking.getAddress(),
+          user2
+        )
+      ).to.equal(DEPOSIT);
+
+      await expect(joinWaitlist(user2)).to.be.revertedWith("Already waitlisted");
+      await expect(joinWaitlist(owner)).to.be.revertedWith("User not registered");
+
+      // A free spot is reserved directly
+      await parking.addParkingSpot(100, "Zone A Spot 2");
+      await expect(joinWaitlist(user2, DEPOSIT, 1)).to.be.revertedWith("Spot available");
+    });
+
+    it("Should offer a freed spot to the first user and request the reservation on claiming", async function () {
+      await joinWaitlist(user2);
+      await joinWaitlist(user3);
+      await time.increase(DURATION);
+
+      const tx = parking.completeReservation(0);
+      const expiresAt = (await time.latest()) + 1 + CLAIM_WINDOW;
+      await expect(tx).to.emit(parking, "WaitlistOffered").withArgs(0, user2.address, expiresAt);
+
+      expect(await parking.getWaitlist(0)).to.deep.equal([user3.address]);
+      await expect(requestReservation(user3)).to.be.revertedWith("Spot offered to waitlist");
+      await expect(parking.connect(user3).claimWaitlistOffer(0)).to.be.revertedWith("No offer");
+
+      // The deposit and offer given on joining back the request
+      await expect(parking.connect(user2).claimWaitlistOffer(0))
+        .to.emit(parking, "WaitlistOfferClaimed")
+        .withArgs(0, user2.address, 1)
+        .and.to.emit(parking, "ReservationRequested");
+      expect((await parking.reservations(1)).depositAmount).to.equal(DEPOSIT);
+      expect((await parking.waitlistEntries(0, user2.address)).position).to.equal(0);
+
+      await fhevm.awaitDecryptionOracle();
+      const reservation = await parking.reservations(1);
+      expect(reservation.status).to.equal(STATUS.Active);
+      expect(reservation.endTime - reservation.startTime).to.equal(DURATION);
+    });
+
+    it("Should refund a claim whose offer does not cover the price and offer the spot to the next user", async function () {
+      await joinWaitlist(user2, 50n);
+      await joinWaitlist(user3);
+      await time.increase(DURATION);
+      await parking.completeReservation(0);
+
+      await parking.connect(user2).claimWaitlistOffer(0);
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await parking.reservations(1)).status).to.equal(STATUS.Refunded);
+      expect((await parking.waitlistOffers(0)).user).to.equal(user3.address);
+    });
+
+    it("Should refund expired offers and users leaving or declining", async function () {
+      await joinWaitlist(user2);
+      await joinWaitlist(user3);
+
+      // Cancelling within the grace period frees the spot too
+      await expect(parking.connect(user1).cancelReservation(0)).to.emit(parking, "WaitlistOffered");
+      await expect(parking.expireWaitlistOffer(0)).to.be.revertedWith("No expired offer");
+
+      await time.increase(CLAIM_WINDOW + 1);
+      await expect(parking.connect(user2).claimWaitlistOffer(0)).to.be.revertedWith(
+        "Offer expired"
+      );
+
+      // Anyone can move the waitlist on
+      const tx = parking.expireWaitlistOffer(0);
+      await expect(tx).to.changeEtherBalances([user2, parking], [DEPOSIT, -DEPOSIT]);
+      await expect(tx)
+        .to.emit(parking, "WaitlistOfferExpired")
+        .withArgs(0, user2.address)
+        .and.to.emit(parking, "RefundIssued")
+        .withArgs(user2.address, DEPOSIT, "Waitlist offer expired");
+      expect((await parking.waitlistOffers(0)).user).to.equal(user3.address);
+
+      // Declining refunds the deposit and leaves the spot to anyone
+      await expect(parking.connect(user3).leaveWaitlist(0))
+        .to.emit(parking, "WaitlistLeft")
+        .withArgs(0, user3.address, DEPOSIT)
+        .and.to.emit(parking, "RefundIssued")
+        .withArgs(user3.address, DEPOSIT, "Left waitlist");
+      expect((await parking.waitlistOffers(0)).user).to.equal(ethers.ZeroAddress);
+      await expect(parking.connect(user3).leaveWaitlist(0)).to.be.revertedWith("Not waitlisted");
+      await requestReservation(user3);
+      await fhevm.awaitDecryptionOracle();
+    });
+
+    it("Should offer a spot the owner releases once no reservation holds it", async function () {
+      await joinWaitlist(user2);
+
+      await expect(parking.emergencyReleaseSpot(0)).not.to.emit(parking, "WaitlistOffered");
+
+      await time.increase(DURATION);
+      await expect(parking.emergencyReleaseSpot(0))
+        .to.emit(parking, "WaitlistOffered")
+        .withArgs(0, user2.address, (await time.latest()) + 1 + CLAIM_WINDOW);
+    });
+  });
+
+  describe("Overstays", function () {
+    const GRACE = 15 * 60;
+    // 150% of the deposit of the one-hour reservation, per started hour
+    const PENALTY = (DEPOSIT * 150n) / 100n;
+    let keeper;
+
+    // user1 holds spot 0 for an hour; keeper may mark overstays
+    beforeEach(async function () {
+      [, , , keeper] = await ethers.getSigners();
+      await parking.setKeeper(keeper.address, true);
+    });
+
+    async function overstay(hours = 1) {
+      const { reservationId } = await requestReservation();
+      await fhevm.awaitDecryptionOracle();
+      const { endTime } = await parking.reservations(reservationId);
+      await time.increaseTo(endTime + BigInt((hours - 1) * 3600 + GRACE));
+      return reservationId;
+    }
+
+    it("Should let spot operators and keepers mark a reservation after the grace period", async function () {
+      const { reservationId } = await requestReservation();
+      await fhevm.awaitDecryptionOracle();
+      const { endTime } = await parking.reservations(reservationId);
+
+      await time.setNextBlockTimestamp(endTime + BigInt(GRACE));
+      await expect(parking.connect(keeper).markOverstay(reservationId)).to.be.revertedWith(
+        "Not overstayed"
+      );
+
+      await expect(parking.connect(user2).markOverstay(reservationId)).to.be.revertedWith(
+        "Not authorized: operator only"
+      );
+      await expect(parking.connect(user1).setKeeper(user1.address, true)).to.be.revertedWith(
+        "Not authorized: owner only"
+      );
+      await expect(parking.setKeeper(ethers.ZeroAddress, true)).to.be.revertedWith(
+        "Invalid address"
+      );
+
+      await expect(parking.connect(keeper).markOverstay(reservationId))
+        .to.emit(parking, "OverstayMarked")
+        .withArgs(reservationId, user1.address, 1, PENALTY)
+        .and.to.emit(parking, "ReservationCompleted")
+        .withArgs(reservationId, 0);
+      await expect(parking.markOverstay(reservationId)).to.be.revertedWith(
+        "Reservation not active"
+      );
+    });
+
+    it("Should settle the reservation and take the penalty from the deposit balance", async function () {
+      await parking.connect(user1).deposit({ value: DEPOSIT });
+      const reservationId = await overstay(2);
+
+      await expect(parking.markOverstay(reservationId))
+        .to.emit(parking, "OverstayMarked")
+        .withArgs(reservationId, user1.address, 2, PENALTY * 2n);
+
+      expect((await parking.reservations(reservationId)).status).to.equal(STATUS.Completed);
+      expect((await parking.getSpotInfo(0)).reservationEnd).to.equal(0);
+      // The lot is paid as on completion, the platform gets its fee and what the balance covered
+      expect((await parking.parkingLots(0)).revenue).to.equal(DEPOSIT - DEPOSIT / 20n);
+      expect(await parking.platformFees()).to.equal(DEPOSIT / 20n + DEPOSIT);
+      expect((await parking.getUserProfile(user1.address)).depositBalance).to.equal(0);
+      expect(await parking.outstandingPenalties(user1.address)).to.equal(PENALTY * 2n - DEPOSIT);
+      expect(await parking.overstayCounts(user1.address)).to.equal(1);
+    });
+
+    it("Should settle an outstanding penalty from plain transfers like deposits", async function () {
+      await parking.markOverstay(await overstay());
+
+      await user1.sendTransaction({ to: await parking.getAddress(), value: PENALTY + 10n });
+      expect(await parking.outstandingPenalties(user1.address)).to.equal(0);
+      expect((await parking.getUserProfile(user1.address)).depositBalance).to.equal(10n);
+    });
+
+    it("Should charge the penalty when the reservation is completed after the grace period", async function () {
+      const reservationId = await overstay(2);
+
+      await expect(parking.connect(user2).completeReservation(reservationId))
+        .to.emit(parking, "OverstayMarked")
+        .withArgs(reservationId, user1.address, 2, PENALTY * 2n)
+        .and.to.emit(parking, "ReservationCompleted")
+        .withArgs(reservationId, 0);
+      expect(await parking.outstandingPenalties(user1.address)).to.equal(PENALTY * 2n);
+      expect(await parking.overstayCounts(user1.address)).to.equal(1);
+    });
+
+    it("Should bar users with an outstanding penalty until deposits or payments settle it", async function () {
+      await registerUser(user2, 1002, 650);
+      await parking.markOverstay(await overstay());
+      await requestReservation(user2);
+      await fhevm.awaitDecryptionOracle();
+
+      await expect(requestReservation()).to.be.revertedWith("Outstanding penalty");
+      await expect(
+        parking
+          .connect(user1)
+          .joinWaitlist(0, DURATION, ...(await encryptOffer(user1)), { value: DEPOSIT })
+      ).to.be.revertedWith("Outstanding penalty");
+
+      await expect(parking.connect(user1).deposit({ value: 200n }))
+        .to.emit(parking, "PenaltyPaid")
+        .withArgs(user1.address, 200n);
+      expect((await parking.getUserProfile(user1.address)).depositBalance).to.equal(0);
+
+      await expect(parking.connect(user2).payPenalty()).to.be.revertedWith(
+        "No outstanding penalty"
+      );
+      await expect(parking.connect(user1).payPenalty({ value: 100n })).to.be.revertedWith(
+        "Insufficient payment"
+      );
+      await expect(parking.connect(user1).payPenalty({ value: PENALTY }))
+        .to.emit(parking, "PenaltyPaid")
+        .withArgs(user1.address, PENALTY - 200n);
+      expect(await parking.outstandingPenalties(user1.address)).to.equal(0);
+      expect((await parking.getUserProfile(user1.address)).depositBalance).to.equal(200n);
+      expect(await parking.platformFees()).to.equal((DEPOSIT / 20n) * 2n + PENALTY);
+
+      // The spot is free once user2's reservation ends
+      await time.increase(DURATION);
+      await requestReservation();
+      await fhevm.awaitDecryptionOracle();
+    });
+
+    it("Should bar users after MAX_OVERSTAYS overstays until the owner clears them", async function () {
+      for (let i = 0; i < 3; i++) {
+        await parking.markOverstay(await overstay());
+        await parking.connect(user1).payPenalty({ value: PENALTY });
+      }
+
+      await expect(requestReservation()).to.be.revertedWith("Too many overstays");
+      await expect(parking.connect(keeper).clearOverstays(user1.address)).to.be.revertedWith(
+        "Not authorized: owner only"
+      );
+      await expect(parking.clearOverstays(user1.address))
+        .to.emit(parking, "OverstaysCleared")
+        .withArgs(user1.address);
+
+      await requestReservation();
+      await fhevm.awaitDecryptionOracle();
+    });
+  });
+
+  describe("Timeout", function () {
+    it("Should not allow a timeout before TIMEOUT_PERIOD", async function () {
+      const { requestId } = await requestReservation();
+
+      await expect(parking.connect(user1).triggerTimeout(requestId)).to.be.revertedWith(
+        "Timeout not reached"
+      );
+
+      await fhevm.awaitDecryptionOracle();
+    });
+
+    it("Should refund the requester after TIMEOUT_PERIOD", async function () {
+      const { reservationId, requestId } = await requestReservation();
+      await time.increase(await parking.TIMEOUT_PERIOD());
+
+      await expect(parking.connect(user2).triggerTimeout(requestId)).to.be.revertedWith(
+        "Not authorized"
+      );
+
+      const tx = parking.connect(user1).triggerTimeout(requestId);
+      await expect(tx).to.changeEtherBalances([user1, parking], [DEPOSIT, -DEPOSIT]);
+      await expect(tx)
+        .to.emit(parking, "RefundIssued")
+        .withArgs(user1.address, DEPOSIT, "Gateway timeout")
+        .and.to.emit(parking, "TimeoutTriggered")
+        .withArgs(requestId, user1.address);
+
+      expect((await parking.reservations(reservationId)).status).to.equal(STATUS.Refunded);
+      await expect(parking.connect(user1).triggerTimeout(requestId)).to.be.revertedWith(
+        "Already timed out"
+      );
+
+      // The late gateway answer must not activate the refunded reservation
+      const error = await fhevm.awaitDecryptionOracle().catch((e) => e);
+      expect(error).to.be.instanceOf(Error);
+      expect((await parking.reservations(reservationId)).status).to.equal(STATUS.Refunded);
+    });
+
+    it("Should not time out a request the gateway already answered", async function () {
+      const { requestId } = await requestReservation();
+      await fhevm.awaitDecryptionOracle();
+      await time.increase(await parking.TIMEOUT_PERIOD());
+
+      await expect(parking.triggerTimeout(requestId)).to.be.revertedWith("Already processed");
+    });
+  });
+
+  describe("Parking lots", function () {
+    const FEE_SHARE = 10n;
+    let lotOperator;
+    let lotSpotId;
+
+    // Lot 1 run by its own operator, with spot 1 next to the platform's spot 0
+    beforeEach(async function () {
+      [, , , lotOperator] = await ethers.getSigners();
+      await parking.setOperator(lotOperator.address, true);
+      await parking.connect(lotOperator).registerLot("Garage North", FEE_SHARE);
+      await parking.connect(lotOperator).addLotSpot(1, 100, "Garage North Level 1");
+      lotSpotId = 1;
+    });
+
+    async function confirmedReservation(spotId) {
+      const { reservationId } = await requestReservation(user1, spotId);
+      await fhevm.awaitDecryptionOracle();
+      return reservationId;
+    }
+
+    it("Should register lots and assign their spots", async function () {
+      const lot = await parking.parkingLots(1);
+      expect(lot.operator).to.equal(lotOperator.address);
+      expect(lot.feeShare).to.equal(FEE_SHARE);
+      expect(lot.name).to.equal("Garage North");
+      expect(await parking.totalLots()).to.equal(1);
+      expect(await parking.spotLots(lotSpotId)).to.equal(1);
+      expect(await parking.spotLots(0)).to.equal(0);
+    });
+
+    it("Should let only the lot operator manage the lot and its spots", async function () {
+      // Lot rights do not depend on the operator role needed to register the lot
+      await parking.setOperator(lotOperator.address, false);
+
+      await expect(parking.connect(lotOperator).updateSpotPrice(lotSpotId, 120)).to.emit(
+        parking,
+        "PriceUpdated"
+      );
+      await expect(parking.connect(lotOperator).updateSpotPrice(0, 120)).to.be.revertedWith(
+        "Not authorized: operator only"
+      );
+
+      await parking.setOperator(user2.address, true);
+      for (const call of [
+        parking.connect(user2).updateSpotPrice(lotSpotId, 120),
+        parking.connect(user2).setSpotMaintenance(lotSpotId, true),
+        parking.connect(user2).addLotSpot(1, 100, "Garage North Level 2"),
+        parking.connect(user2).setLotFeeShare(1, 20),
+        parking.connect(user2).withdrawLotRevenue(1, user2.address),
+      ]) {
+        await expect(call).to.be.revertedWith("Not authorized: lot operator only");
+      }
+    });
+
+    it("Should validate lots", async function () {
+      await expect(parking.connect(user1).registerLot("Garage", 10)).to.be.revertedWith(
+        "Not authorized: operator only"
+      );
+      await expect(parking.registerLot("", 10)).to.be.revertedWith("Name required");
+      await expect(parking.registerLot("Garage", 4)).to.be.revertedWith("Invalid fee share");
+      await expect(parking.connect(lotOperator).setLotFeeShare(1, 101)).to.be.revertedWith(
+        "Invalid fee share"
+      );
+      await expect(parking.addLotSpot(2, 100, "Nowhere")).to.be.revertedWith("Invalid lot ID");
+    });
+
+    it("Should take the lot's fee share and credit the rest on completion", async function () {
+      const reservationId = await confirmedReservation(lotSpotId);
+      const fee = (DEPOSIT * FEE_SHARE) / 100n;
+      expect(await parking.platformFees()).to.equal(fee);
+      expect((await parking.reservations(reservationId)).platformFee).to.equal(fee);
+
+      await time.increase(DURATION);
+      await parking.completeReservation(reservationId);
+      expect((await parking.parkingLots(1)).revenue).to.equal(DEPOSIT - fee);
+
+      await expect(
+        parking.connect(lotOperator).withdrawLotRevenue(1, lotOperator.address)
+      ).to.changeEtherBalances([parking, lotOperator], [-(DEPOSIT - fee), DEPOSIT - fee]);
+      expect((await parking.parkingLots(1)).revenue).to.equal(0);
+      await expect(
+        parking.connect(lotOperator).withdrawLotRevenue(1, lotOperator.address)
+      ).to.be.revertedWith("No revenue to withdraw");
+    });
+
+    it("Should keep the cancellation fee for the lot", async function () {
+      const reservationId = await confirmedReservation(lotSpotId);
+      await parking.connect(user1).cancelReservation(reservationId);
+
+      const fee = (DEPOSIT * FEE_SHARE) / 100n;
+      expect(await parking.platformFees()).to.equal(fee);
+      expect((await parking.parkingLots(1)).revenue).to.equal(
+        DEPOSIT - fee - (DEPOSIT * 90n) / 100n
+      );
+    });
+
+    it("Should credit platform spots to lot 0 for the owner", async function () {
+      const reservationId = await confirmedReservation(0);
+      await time.increase(DURATION);
+      await parking.completeReservation(reservationId);
+
+      const revenue = DEPOSIT - DEPOSIT / 20n;
+      expect((await parking.parkingLots(0)).revenue).to.equal(revenue);
+      await expect(parking.withdrawLotRevenue(0, owner.address)).to.changeEtherBalance(
+        owner,
+        revenue
+      );
+    });
+  });
+
+  describe("Refunds and deposits", function () {
+    it("Should credit depositBalance when the recipient rejects ETH", async function () {
+      const { reservationId, requestId } = await requestReservation();
+      await time.increase(await parking.TIMEOUT_PERIOD());
+
+      await setCode(user1.address, REJECTING_CODE);
+      await expect(parking.triggerTimeout(requestId))
+        .to.emit(parking, "RefundIssued")
+        .withArgs(user1.address, DEPOSIT, "Gateway timeout");
+      await setCode(user1.address, "0x");
+
+      expect((await parking.getUserProfile(user1.address)).depositBalance).to.equal(DEPOSIT);
+      expect((await parking.reservations(reservationId)).status).to.equal(STATUS.Refunded);
+
+      await expect(parking.connect(user1).withdrawDeposit()).to.changeEtherBalances(
+        [user1, parking],
+        [DEPOSIT, -DEPOSIT]
+      );
+      await fhevm.awaitDecryptionOracle().catch(() => null);
+    });
+
+    it("Should withdraw deposits and reject empty withdrawals", async function () {
+      await expect(parking.connect(user1).withdrawDeposit()).to.be.revertedWith(
+        "No balance to withdraw"
+      );
+
+      await expect(parking.connect(user1).deposit({ value: 500n }))
+        .to.emit(parking, "DepositReceived")
+        .withArgs(user1.address, 500n);
+
+      await expect(parking.connect(user1).withdrawDeposit())
+        .to.emit(parking, "EmergencyWithdrawal")
+        .withArgs(user1.address, 500n);
+      expect((await parking.getUserProfile(user1.address)).depositBalance).to.equal(0);
+
+      await expect(parking.connect(user2).withdrawDeposit()).to.be.revertedWith(
+        "User not registered"
+      );
+    });
+
+    it("Should let the owner refund an active reservation", async function () {
+      const { reservationId } = await requestReservation();
+      await fhevm.awaitDecryptionOracle();
+
+      await expect(parking.connect(user1).emergencyRefund(reservationId)).to.be.revertedWith(
+        "Not authorized: owner only"
+      );
+
+      const tx = parking.emergencyRefund(reservationId);
+      await expect(tx).to.changeEtherBalances([user1, parking], [DEPOSIT, -DEPOSIT]);
+      await expect(tx)
+        .to.emit(parking, "RefundIssued")
+        .withArgs(user1.address, DEPOSIT, "Emergency refund by admin");
+
+      const reservation = await parking.reservations(reservationId);
+      expect(reservation.status).to.equal(STATUS.Refunded);
+      expect((await parking.getSpotInfo(0)).reservationEnd).to.equal(0);
+
+      await expect(parking.emergencyRefund(reservationId)).to.be.revertedWith(
+        "Reservation not active"
+      );
+    });
+  });
+
+  describe("Paginated views", function () {
+    let views;
+
+    beforeEach(async function () {
+      views = await ethers.getContractAt("PrivateParkingReservationViews", await parking.views());
+      await parking.addParkingSpot(200, "Zone B Spot 1");
+      await registerUser(user2, 1002, 650);
+    });
+
+    it("Should deploy the views with the contract and page through spots and users", async function () {
+      expect(await views.parking()).to.equal(await parking.getAddress());
+
+      const [spots, totalSpots] = await views.getSpotsPage(1, 5);
+      expect(totalSpots).to.equal(2);
+      expect(spots.map((item) => item.spotId)).to.deep.equal([1n]);
+      expect(spots[0].spot.location).to.equal("Zone B Spot 1");
+      expect(spots[0].spot.isActive).to.equal(true);
+
+      const [users, totalUsers] = await views.getRegisteredUsersPage(0, 5);
+      expect(totalUsers).to.equal(2);
+      expect(users.map((item) => item.account)).to.deep.equal([user1.address, user2.address]);
+      expect(users[1].user.isRegistered).to.equal(true);
+      expect(users[1].user.encryptedUserId).to.equal(
+        (await parking.userProfiles(user2.address)).encryptedUserId
+      );
+    });
+
+    it("Should page through reservations and leave settled ones out of the active list", async function () {
+      await requestReservation(user1, 0);
+      await parking.setSpotMaintenance(1, true);
+      await requestReservation(user1, 1);
+      // Reservation 0 is confirmed, 1 refunded as spot 1 is in maintenance
+      await fhevm.awaitDecryptionOracle();
+      await requestReservation(user2, 1);
+
+      const [page, total] = await views.getUserReservationsPage(user1.address, 0, 5);
+      expect(total).to.equal(2);
+      expect(page.map((item) => item.reservationId)).to.deep.equal([0n, 1n]);
+      expect(page.map((item) => item.reservation.status)).to.deep.equal([
+        STATUS.Active,
+        STATUS.Refunded,
+      ]);
+      // Pages read only the IDs they return
+      const [second] = await views.getUserReservationsPage(user1.address, 1, 5);
+      expect(second.map((item) => item.reservationId)).to.deep.equal([1n]);
+      expect(await parking.userReservationCount(user1.address)).to.equal(2);
+      expect(await parking.userReservationAt(user1.address, 1)).to.equal(1n);
+      await expect(parking.userReservationAt(user1.address, 2)).to.be.reverted;
+
+      const [active, totalReservations] = await views.getActiveReservations(0, 5);
+      expect(totalReservations).to.equal(3);
+      // Reservation 2 is pending until the oracle answers
+      expect(active.map((item) => item.reservationId)).to.deep.equal([0n, 2n]);
+      expect(active[0].reservation.user).to.equal(user1.address);
+
+      await fhevm.awaitDecryptionOracle();
+    });
+  });
+
+  describe("Extension", function () {
+    it("Should run forwarded calls on the contract and keep the extension's own storage empty", async function () {
+      const extension = await ethers.getContractAt(
+        "PrivateParkingReservationExtension",
+        await parking.extension()
+      );
+
+      await expect(parking.registerLot("Garage", 10)).to.emit(parking, "LotRegistered");
+      expect(await parking.totalLots()).to.equal(1);
+      expect(await extension.totalLots()).to.equal(0);
+      await expect(extension.registerLot("Garage", 10)).to.be.revertedWith(
+        "Not authorized: operator only"
+      );
+    });
+
+    it("Should not deploy without an extension contract", async function () {
+      const Factory = await ethers.getContractFactory("PrivateParkingReservation");
+
+      await expect(Factory.deploy(user1.address)).to.be.revertedWith("Invalid extension");
+    });
+  });
+
+  describe("Pause", function () {
+    it("Should block registrations and reservations while paused", async function () {
+      await expect(parking.connect(user1).pause()).to.be.revertedWith("Not authorized: owner only");
+
+      await expect(parking.pause()).to.emit(parking, "Paused").withArgs(owner.address);
+      expect(await parking.paused()).to.equal(true);
+
+      await expect(registerUser(user2, 1002, 650)).to.be.revertedWith("Contract is paused");
+      await expect(requestReservation(user1)).to.be.revertedWith("Contract is paused");
+
+      await expect(parking.unpause()).to.emit(parking, "Unpaused").withArgs(owner.address);
+      await requestReservation();
+      await fhevm.awaitDecryptionOracle();
+    });
+  });
+
+  describe("Ownership", function () {
+    it("Should transfer ownership in two steps", async function () {
+      await expect(parking.transferOwnership(user2.address))
+        .to.emit(parking, "OwnershipTransferInitiated")
+        .withArgs(owner.address, user2.address);
+
+      // Nothing changes until the new owner accepts
+      expect(await parking.owner()).to.equal(owner.address);
+      expect(await parking.pendingOwner()).to.equal(user2.address);
+      await expect(parking.connect(user1).acceptOwnership()).to.be.revertedWith(
+        "Not pending owner"
+      );
+
+      await expect(parking.connect(user2).acceptOwnership())
+        .to.emit(parking, "OwnershipTransferred")
+        .withArgs(owner.address, user2.address);
+      expect(await parking.owner()).to.equal(user2.address);
+      expect(await parking.pendingOwner()).to.equal(ethers.ZeroAddress);
+
+      await expect(parking.pause()).to.be.revertedWith("Not authorized: owner only");
+      await expect(parking.connect(user2).pause()).to.emit(parking, "Paused");
+    });
+
+    it("Should reject invalid ownership transfers", async function () {
+      await expect(parking.transferOwnership(ethers.ZeroAddress)).to.be.revertedWith(
+        "Invalid address"
+      );
+      await expect(parking.transferOwnership(owner.address)).to.be.revertedWith("Already owner");
+      await expect(parking.connect(user1).transferOwnership(user1.address)).to.be.revertedWith(
+        "Not authorized: owner only"
+      );
+    });
+  });
+});
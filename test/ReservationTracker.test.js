@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers, artifacts, fhevm } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createParkingAdapter, ReservationTracker } = require("../public/adapters");
+const { deployParking } = require("./helpers/deploy");
+
+const CHAIN_ID = 31337;
+const { LIFECYCLE_STAGE } = ReservationTracker;
+
+describe("ReservationTracker", function () {
+  async function deployTrackerFixture() {
+    const [owner, user1] = await ethers.getSigners();
+
+    const contract = await deployParking();
+
+    const artifact = await artifacts.readArtifact("PrivateParkingReservation");
+    const contracts = {
+      PrivateParkingReservation: {
+        contractName: "PrivateParkingReservation",
+        abi: artifact.abi,
+        deployments: {
+          hardhat: { address: await contract.getAddress(), chainId: CHAIN_ID, blockNumber: 0 },
+        },
+      },
+    };
+    const adapterFor = (signer) =>
+      createParkingAdapter({ ethers, contracts, chainId: CHAIN_ID, runner: signer, fhe: fhevm });
+
+    const ownerAdapter = adapterFor(owner);
+    const userAdapter = adapterFor(user1);
+    await ownerAdapter.addSpot("Zone A", 100n);
+    await userAdapter.register(1001, 700);
+
+    return { contract, owner, user1, ownerAdapter, userAdapter };
+  }
+
+  // The mock decryption oracle keeps its own request log and can miss a snapshot revert,
+  // so every test deploys on top of the current chain instead of using loadFixture
+  let fixture;
+  let tracker;
+
+  beforeEach(async function () {
+    fixture = await deployTrackerFixture();
+  });
+
+  afterEach(function () {
+    if (tracker) {
+      tracker.stop();
+      tracker = null;
+    }
+  });
+
+  it("Should report a new request as awaiting the gateway", async function () {
+    const { userAdapter } = fixture;
+    tracker = new ReservationTracker(userAdapter, { pollInterval: 0 });
+
+    const { reservationId, requestId } = await userAdapter.reserve(0, 3600, 1000n);
+    const lifecycle = await tracker.track(reservationId);
+
+    expect(lifecycle.stage).to.equal(LIFECYCLE_STAGE.AWAITING_GATEWAY);
+    expect(lifecycle.requestId).to.equal(requestId);
+    expect(lifecycle.canClaimTimeout).to.equal(false);
+    expect(lifecycle.timeoutAt).to.equal((await time.latest()) + 3600);
+  });
+
+  it("Should move to Confirmed when the gateway accepts the reservation", async function () {
+    const { userAdapter } = fixture;
+    const updates = [];
+    tracker = new ReservationTracker(userAdapter, {
+      pollInterval: 0,
+      onUpdate: (lifecycle) => updates.push(lifecycle),
+    });
+
+    const { reservationId } = await userAdapter.reserve(0, 3600, 1000n);
+    await tracker.track(reservationId);
+
+    await fhevm.awaitDecryptionOracle();
+    await tracker.refreshAll();
+
+    expect(updates).to.have.lengthOf(1);
+    expect(updates[0].stage).to.equal(LIFECYCLE_STAGE.CONFIRMED);
+    expect(tracker.get(reservationId)).to.equal(null);
+  });
+
+  it("Should move to Refunded when the spot turns out to be unavailable", async function () {
+    const { ownerAdapter, userAdapter, contract } = fixture;
+    tracker = new ReservationTracker(userAdapter, { pollInterval: 0 });
+
+    await contract.setSpotMaintenance(0, true);
+    const { reservationId } = await userAdapter.reserve(0, 3600, 1000n);
+    await tracker.track(reservationId);
+
+    await fhevm.awaitDecryptionOracle();
+    const lifecycle = await tracker.refresh(reservationId);
+
+    expect(lifecycle.stage).to.equal(LIFECYCLE_STAGE.REFUNDED);
+    expect(lifecycle.reason).to.equal("Spot not available");
+    expect((await ownerAdapter.getReservation(reservationId)).status).to.equal("Refunded");
+  });
+
+  it("Should report the refund reason of a rejected offer", async function () {
+    const { userAdapter } = fixture;
+    tracker = new ReservationTracker(userAdapter, { pollInterval: 0 });
+
+    // The spot costs 100
+    const { reservationId } = await userAdapter.reserve(0, 3600, 50n);
+    await tracker.track(reservationId);
+
+    await fhevm.awaitDecryptionOracle();
+    const lifecycle = await tracker.refresh(reservationId);
+
+    expect(lifecycle.stage).to.equal(LIFECYCLE_STAGE.REFUNDED);
+    expect(lifecycle.reason).to.equal("Offer not accepted");
+  });
+
+  it("Should allow claiming a timeout refund once TIMEOUT_PERIOD has elapsed", async function () {
+    const { userAdapter } = fixture;
+    tracker = new ReservationTracker(userAdapter, { pollInterval: 0 });
+
+    const { reservationId } = await userAdapter.reserve(0, 3600, 1000n);
+    await tracker.track(reservationId);
+
+    await time.increase(3600);
+    const claimable = await tracker.refresh(reservationId);
+    expect(claimable.stage).to.equal(LIFECYCLE_STAGE.TIMEOUT_CLAIMABLE);
+    expect(claimable.canClaimTimeout).to.equal(true);
+
+    const lifecycle = await tracker.claimTimeoutRefund(reservationId);
+
+    expect(lifecycle.stage).to.equal(LIFECYCLE_STAGE.TIMED_OUT);
+    expect(lifecycle.reason).to.equal("Gateway timeout");
+    expect((await userAdapter.getReservation(reservationId)).status).to.equal("Refunded");
+  });
+
+  it("Should refuse to claim a timeout refund too early", async function () {
+    const { userAdapter } = fixture;
+    tracker = new ReservationTracker(userAdapter, { pollInterval: 0 });
+
+    const { reservationId } = await userAdapter.reserve(0, 3600, 1000n);
+    await tracker.track(reservationId);
+
+    try {
+      await tracker.claimTimeoutRefund(reservationId);
+      expect.fail("claimTimeoutRefund should throw");
+    } catch (error) {
+      expect(error.message).to.contain("cannot be timed out yet");
+    }
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { createParkingAdapter, spotCatalog } = require("../public/adapters");
+
+const CHAIN_ID = 31337;
+const { SPOT_STATE, loadSpots, spotState, filterSpots, formatCountdown } = spotCatalog;
+
+describe("Spot Catalog", function () {
+  async function deploySpotsFixture() {
+    const [owner, user1] = await ethers.getSigners();
+
+    const Factory = await ethers.getContractFactory("ParkingReservation");
+    const contract = await Factory.deploy();
+    await contract.waitForDeployment();
+
+    const artifact = await artifacts.readArtifact("ParkingReservation");
+    const contracts = {
+      ParkingReservation: {
+        contractName: "ParkingReservation",
+        abi: artifact.abi,
+        deployments: {
+          hardhat: { address: await contract.getAddress(), chainId: CHAIN_ID, blockNumber: 0 },
+        },
+      },
+    };
+    const adapterFor = (signer) =>
+      createParkingAdapter({ ethers, contracts, chainId: CHAIN_ID, runner: signer });
+
+    const ownerAdapter = adapterFor(owner);
+    await ownerAdapter.addSpot("Zone B Spot 2", ethers.parseEther("0.02"));
+    await ownerAdapter.addSpot("Zone A Spot 1", ethers.parseEther("0.01"));
+    await ownerAdapter.addSpot("Zone C Spot 3", ethers.parseEther("0.03"));
+
+    const userAdapter = adapterFor(user1);
+    await userAdapter.register(1001, 750);
+    await userAdapter.reserve(2, 3600);
+
+    return { ownerAdapter, userAdapter };
+  }
+
+  it("Should load every spot starting at the contract's first spot ID", async function () {
+    const { userAdapter } = await loadFixture(deploySpotsFixture);
+
+    const spots = await loadSpots(userAdapter);
+
+    expect(spots.map((spot) => spot.id)).to.deep.equal([1, 2, 3]);
+    expect(spots[0].location).to.equal("Zone B Spot 2");
+  });
+
+  it("Should derive availability from the spot state", async function () {
+    const { userAdapter } = await loadFixture(deploySpotsFixture);
+    const now = Math.floor(Date.now() / 1000);
+
+    const spots = await loadSpots(userAdapter);
+
+    expect(spots.map((spot) => spotState(spot, now))).to.deep.equal([
+      SPOT_STATE.AVAILABLE,
+      SPOT_STATE.RESERVED,
+      SPOT_STATE.AVAILABLE,
+    ]);
+  });
+
+  it("Should filter by location and state", async function () {
+    const { userAdapter } = await loadFixture(deploySpotsFixture);
+    const spots = await loadSpots(userAdapter);
+
+    expect(filterSpots(spots, { search: "zone a" }).map((spot) => spot.id)).to.deep.equal([2]);
+    expect(filterSpots(spots, { search: "3" }).map((spot) => spot.id)).to.deep.equal([3]);
+    expect(filterSpots(spots, { state: "available" }).map((spot) => spot.id)).to.deep.equal([1, 3]);
+    expect(filterSpots(spots, { state: "reserved" }).map((spot) => spot.id)).to.deep.equal([2]);
+  });
+
+  it("Should sort by price and location", async function () {
+    const { userAdapter } = await loadFixture(deploySpotsFixture);
+    const spots = await loadSpots(userAdapter);
+
+    expect(filterSpots(spots, { sortBy: "price" }).map((spot) => spot.id)).to.deep.equal([2, 1, 3]);
+    expect(
+      filterSpots(spots, { sortBy: "price", descending: true }).map((spot) => spot.id)
+    ).to.deep.equal([3, 1, 2]);
+    expect(filterSpots(spots, { sortBy: "location" }).map((spot) => spot.id)).to.deep.equal([
+      2, 1, 3,
+    ]);
+  });
+
+  it("Should treat encrypted spots as reservable unless a reservation is running", function () {
+    const now = 1_000_000;
+    const encryptedSpot = {
+      id: 0,
+      location: "Zone D",
+      price: null,
+      isActive: true,
+      isAvailable: null,
+      reservationEnd: 0,
+    };
+
+    expect(spotState(encryptedSpot, now)).to.equal(SPOT_STATE.UNKNOWN);
+    expect(spotState({ ...encryptedSpot, reservationEnd: now + 60 }, now)).to.equal(
+      SPOT_STATE.RESERVED
+    );
+    expect(spotState({ ...encryptedSpot, isActive: false }, now)).to.equal(SPOT_STATE.INACTIVE);
+    expect(filterSpots([encryptedSpot], { state: "available" }, now)).to.have.lengthOf(1);
+  });
+
+  it("Should format reservation countdowns", function () {
+    expect(formatCountdown(3725)).to.equal("1h 02m 05s");
+    expect(formatCountdown(59)).to.equal("00m 59s");
+    expect(formatCountdown(0)).to.equal("ended");
+  });
+});
@@ -0,0 +1,244 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, fhevm } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ADAPTERS } = require("../public/adapters");
+const {
+  ImportProgress,
+  exportSpots,
+  formatSpotFile,
+  importSpots,
+  parseSpotFile,
+  readLimits,
+  validateSpots,
+} = require("../scripts/lib/spot-files");
+const { deployParking } = require("./helpers/deploy");
+
+describe("Spot Import", function () {
+  let directory;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "spots-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  async function progressFor(adapter) {
+    const { chainId } = await ethers.provider.getNetwork();
+    return new ImportProgress(path.join(directory, "spots.csv.progress.json"), {
+      chainId: chainId.toString(),
+      contractAddress: await adapter.contract.getAddress(),
+    });
+  }
+
+  describe("Files", function () {
+    it("Should read quoted CSV fields, optional columns and JSON", function () {
+      const csv = [
+        "\uFEFFLocation,Price,Lot,Maintenance",
+        '"Garage North, Level 1",0.01,1,yes',
+        "",
+        '"The ""Blue"" Deck",0.02,,',
+      ].join("\r\n");
+
+      expect(parseSpotFile(csv, "csv")).to.deep.equal([
+        { row: 1, location: "Garage North, Level 1", price: "0.01", lot: 1, maintenance: true },
+        { row: 2, location: 'The "Blue" Deck', price: "0.02", lot: 0, maintenance: false },
+      ]);
+      expect(parseSpotFile('[{"location":"Zone A","price":0.5}]', "json")).to.deep.equal([
+        { row: 1, location: "Zone A", price: "0.5", lot: 0, maintenance: false },
+      ]);
+    });
+
+    it("Should reject unknown columns, missing columns and malformed values", function () {
+      expect(() => parseSpotFile("location,price,floor\nA,1,2", "csv")).to.throw(/Unknown column/);
+      expect(() => parseSpotFile("location,lot\nA,1", "csv")).to.throw(/Missing column\(s\) price/);
+      expect(() => parseSpotFile('location,price\n"A,1', "csv")).to.throw(/Malformed CSV/);
+      expect(() => parseSpotFile("location,price,lot\nA,1,first", "csv")).to.throw(
+        /Row 1: lot must be a lot ID/
+      );
+      expect(() => parseSpotFile('{"location":"A"}', "json")).to.throw(/array of spots/);
+    });
+
+    it("Should write files it reads back", function () {
+      const spots = [
+        { location: "Garage North, Level 1", price: "0.01", lot: 1, maintenance: false },
+        { location: "Zone A", price: null, lot: 0, maintenance: null },
+      ];
+
+      const csv = formatSpotFile(spots, "csv");
+      expect(csv).to.equal(
+        'location,price,lot,maintenance\n"Garage North, Level 1",0.01,1,false\nZone A,,0,\n'
+      );
+      expect(parseSpotFile(csv, "csv").map((spot) => spot.location)).to.deep.equal([
+        "Garage North, Level 1",
+        "Zone A",
+      ]);
+      expect(JSON.parse(formatSpotFile(spots, "json"))).to.deep.equal(spots);
+    });
+  });
+
+  describe("ParkingReservation", function () {
+    const PRICE = ethers.parseEther("0.01");
+
+    // Lot 1 is run by user3
+    async function deployFixture() {
+      const [owner, , , user3] = await ethers.getSigners();
+      const Factory = await ethers.getContractFactory("ParkingReservation");
+      const contract = await Factory.deploy();
+      await contract.waitForDeployment();
+      await contract.setOperator(user3.address, true);
+      await contract.connect(user3).registerLot("Garage North", 10);
+
+      const adapterFor = (signer) =>
+        new ADAPTERS.ParkingReservation(contract.connect(signer), { ethers });
+      return { contract, owner, user3, adapterFor };
+    }
+
+    it("Should reject a file with invalid spots before sending anything", async function () {
+      const { adapterFor, owner } = await loadFixture(deployFixture);
+      const adapter = adapterFor(owner);
+      const spots = parseSpotFile(
+        "location,price,lot,maintenance\n,0.01,,\nZone B,0,,\nZone C,abc,,\nZone D,0.01,7,\nZone E,0.01,,true\n<img src=x onerror=alert(1)>,0.01,,",
+        "csv"
+      );
+
+      const problems = validateSpots(spots, adapter, await readLimits(adapter));
+      expect(problems).to.deep.equal([
+        { row: 1, message: "Location required" },
+        { row: 2, message: "Price must be above 0" },
+        { row: 3, message: 'Invalid price "abc"' },
+        { row: 4, message: "Unknown lot 7" },
+        { row: 5, message: "ParkingReservation spots have no maintenance mode" },
+        { row: 6, message: "Location must not contain < or >" },
+      ]);
+    });
+
+    it("Should add spots in batches per lot and resume after a failed batch", async function () {
+      const { contract, adapterFor, owner, user3 } = await loadFixture(deployFixture);
+      const spots = parseSpotFile(
+        "location,price,lot\nZone A,0.01,\nZone B,0.01,\nZone C,0.02,\nGarage 1,0.01,1\nGarage 2,0.01,1",
+        "csv"
+      );
+      const batches = [];
+
+      // The owner cannot add spots to user3's lot: the first three spots are added, then it stops
+      const first = await importSpots({
+        adapter: adapterFor(owner),
+        spots,
+        progress: await progressFor(adapterFor(owner)),
+        batchSize: 2,
+        onBatch: (batch) => batches.push(batch),
+      });
+      expect(first).to.include({ imported: 3, skipped: 0 });
+      expect(first.transactions).to.have.lengthOf(2);
+      expect(first.failure.rows).to.deep.equal([4, 5]);
+      expect(first.failure.error).to.match(/Not lot operator/);
+      expect(batches.map(({ rows, spotIds }) => ({ rows, spotIds }))).to.deep.equal([
+        { rows: [1, 2], spotIds: [1, 2] },
+        { rows: [3], spotIds: [3] },
+      ]);
+
+      const second = await importSpots({
+        adapter: adapterFor(user3),
+        spots,
+        progress: await progressFor(adapterFor(user3)),
+      });
+      expect(second).to.include({ imported: 2, skipped: 3 });
+      expect(second.failure).to.equal(null);
+      expect(await contract.totalSpots()).to.equal(5);
+      expect(await contract.spotLots(5)).to.equal(1);
+      expect((await contract.parkingSpots(3)).pricePerHour).to.equal(PRICE * 2n);
+
+      // Nothing is added twice
+      const third = await importSpots({
+        adapter: adapterFor(owner),
+        spots,
+        progress: await progressFor(adapterFor(owner)),
+      });
+      expect(third).to.include({ imported: 0, skipped: 5 });
+    });
+
+    it("Should refuse to resume when the file changed or the progress is for another contract", async function () {
+      const { adapterFor, owner } = await loadFixture(deployFixture);
+      const adapter = adapterFor(owner);
+      await importSpots({
+        adapter,
+        spots: parseSpotFile("location,price\nZone A,0.01", "csv"),
+        progress: await progressFor(adapter),
+      });
+
+      await expect(
+        importSpots({
+          adapter,
+          spots: parseSpotFile("location,price\nZone Z,0.01", "csv"),
+          progress: await progressFor(adapter),
+        })
+      ).to.be.rejectedWith(/Row 1 changed since it was imported/);
+      expect(
+        () =>
+          new ImportProgress(path.join(directory, "spots.csv.progress.json"), {
+            chainId: "31337",
+            contractAddress: ethers.ZeroAddress,
+          })
+      ).to.throw(/records an import into/);
+    });
+
+    it("Should export the spots in the format it imports", async function () {
+      const { contract, adapterFor, owner, user3 } = await loadFixture(deployFixture);
+      await contract.addParkingSpot("Zone A, North", PRICE);
+      await contract.connect(user3).addLotSpot(1, "Garage 1", PRICE * 3n);
+
+      const exported = formatSpotFile(await exportSpots(adapterFor(owner)), "csv");
+      expect(exported).to.equal(
+        'location,price,lot,maintenance\n"Zone A, North",0.01,0,false\nGarage 1,0.03,1,false\n'
+      );
+      expect(parseSpotFile(exported, "csv")[1]).to.include({ price: "0.03", lot: 1 });
+    });
+  });
+
+  describe("PrivateParkingReservation", function () {
+    it("Should check MAX_PRICE and add spots one at a time with their maintenance flag", async function () {
+      const [owner] = await ethers.getSigners();
+      const contract = await deployParking();
+      const adapter = new ADAPTERS.PrivateParkingReservation(contract.connect(owner), {
+        fhe: fhevm,
+      });
+      const limits = await readLimits(adapter);
+
+      expect(limits).to.include({ maxPrice: 10000n, maxBatchSize: null });
+      expect(
+        validateSpots(
+          parseSpotFile("location,price\nZone A,10001\nZone B,1.5", "csv"),
+          adapter,
+          limits
+        )
+      ).to.deep.equal([
+        { row: 1, message: "Price above MAX_PRICE (10000)" },
+        { row: 2, message: 'Invalid price "1.5"' },
+      ]);
+
+      const spots = parseSpotFile(
+        "location,price,maintenance\nZone A,100,false\nZone B,200,true",
+        "csv"
+      );
+      const progress = await progressFor(adapter);
+      const summary = await importSpots({ adapter, spots, progress });
+
+      expect(summary).to.include({ imported: 2, skipped: 0 });
+      // Zone B's maintenance flag is a transaction of its own
+      expect(summary.transactions).to.have.lengthOf(3);
+      expect(progress.get(2)).to.include({ spotId: 1, maintenance: true });
+      expect(await contract.totalSpots()).to.equal(2);
+
+      // Prices and the maintenance status are encrypted
+      expect(await exportSpots(adapter)).to.deep.equal([
+        { id: 0, location: "Zone A", price: null, lot: 0, maintenance: null },
+        { id: 1, location: "Zone B", price: null, lot: 0, maintenance: null },
+      ]);
+    });
+  });
+});
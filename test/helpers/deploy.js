@@ -0,0 +1,19 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Deploy a parking contract from the first signer. PrivateParkingReservation runs part of its code on
+ * PrivateParkingReservationExtension, which is deployed first and passed to its constructor.
+ * @param {string} [contractName] - ParkingReservation or PrivateParkingReservation
+ * @returns {Promise<import("ethers").Contract>} The deployed contract
+ */
+async function deployParking(contractName = "PrivateParkingReservation") {
+  const args =
+    contractName === "PrivateParkingReservation"
+      ? [await ethers.deployContract("PrivateParkingReservationExtension")]
+      : [];
+  const contract = await ethers.deployContract(contractName, args);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+module.exports = { deployParking };